@@ -11,8 +11,13 @@ const documentCollections = {
 	"chelsa_map": "ChelsaMap",
 	"climate": "Climate",
 	"climate_map": "ClimateMap",
+	"drought_observatory": "DroughtObservatory",
+	"drought_observatory_map": "DroughtObservatoryMap",
 	"shapes": "Shapes",
+	"shape_climate": "ShapeClimate",
 	"shape_data": "ShapeData",
+	"shape_overlaps": "ShapeOverlaps",
+	"species_occurrences": "SpeciesOccurrences",
 	"unit_shapes": "UnitShapes",
 	"worldclim": "WorldClim",
 	"worldclim_map": "WorldClimMap"
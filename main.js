@@ -18,3 +18,5 @@ context.use('/rs/data', require('./routes/remoteSensingData'), 'Remote Sensing D
 context.use('/rs/meta', require('./routes/remoteSensingMeta'), 'Remote Sensing Metadata')
 context.use('/chelsa', require('./routes/chelsaClimate'), 'Chelsa')
 context.use('/worldclim', require('./routes/worldclimClimate'), 'WorldClim')
+context.use('/compare', require('./routes/climateComparison'), 'Climate comparison')
+context.use('/cache', require('./routes/shapeClimate'), 'Climate cache')
@@ -5,8 +5,11 @@ const joi = require('joi')
 module.exports =
 	joi.object({
 		count: joi.number(),
+		area: joi.number(),
+		weight: joi.number(),
+		baseline: joi.string(),
 		geometry_hash: joi.string().regex(/^[0-9a-f]{32}$/),
-		distance: joi.number(),
+		distance: joi.alternatives().try(joi.number(), joi.object()),
 		geometry_point: joi.object(),
 		geometry_bounds: joi.object(),
 		properties: joi.object().required()
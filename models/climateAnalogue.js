@@ -0,0 +1,33 @@
+'use strict'
+
+const joi = require('joi')
+
+module.exports =
+	joi.object({
+		count: joi.number(),
+		geometry_hash: joi.string().regex(/^[0-9a-f]{32}$/),
+		geometry_point: joi.object(),
+		geometry_bounds: joi.object(),
+		direction: joi.string().required(),
+		metric: joi.string().required(),
+		target: joi.object({
+			period: joi.string().required(),
+			values: joi.object().required()
+		}).required(),
+		search: joi.object({
+			period: joi.string().required(),
+			count: joi.number().required(),
+			radius: joi.number().allow(null).required(),
+			means: joi.object().required(),
+			deviations: joi.object().required()
+		}).required(),
+		analogues: joi.array().items(
+			joi.object({
+				geometry_hash: joi.string().regex(/^[0-9a-f]{32}$/).required(),
+				geometry_point: joi.object(),
+				geometry_bounds: joi.object(),
+				distance: joi.number().required(),
+				values: joi.object().required()
+			})
+		).required()
+	})
@@ -0,0 +1,17 @@
+'use strict'
+
+const joi = require('joi')
+
+module.exports =
+	joi.object({
+		chelsa: joi.object().allow(null).required(),
+		worldclim: joi.object().allow(null).required(),
+		pairs: joi.array().items(
+			joi.object({
+				chelsa: joi.string().required(),
+				worldclim: joi.string().required(),
+				offset: joi.number().required(),
+				properties: joi.object().required()
+			})
+		).required()
+	})
@@ -0,0 +1,13 @@
+'use strict'
+
+const joi = require('joi')
+
+module.exports =
+	joi.object({
+		count: joi.number(),
+		geometry_hash: joi.string().regex(/^[0-9a-f]{32}$/),
+		geometry_point: joi.object(),
+		geometry_bounds: joi.object(),
+		latitude: joi.number().required(),
+		periods: joi.array().items(joi.object()).required()
+	})
@@ -0,0 +1,29 @@
+'use strict'
+
+const joi = require('joi')
+
+module.exports =
+	joi.object({
+		geometry_hash: joi.string().regex(/^[0-9a-f]{32}$/).required(),
+		geometry_type: joi.string().required(),
+		area: joi.number().required(),
+		perimeter: joi.number().required(),
+		centroid: joi.object({
+			type: joi.string().valid('Point').required(),
+			coordinates: joi.array().items(joi.number()).required()
+		}).allow(null).required(),
+		bbox: joi.object({
+			bounds: joi.array().items(joi.number()).length(4).required(),
+			width: joi.number().required(),
+			height: joi.number().required()
+		}).required(),
+		convex_hull: joi.object({
+			type: joi.string().valid('Polygon').required(),
+			coordinates: joi.array().items(joi.array()).required()
+		}).allow(null).required(),
+		convex_hull_area: joi.number().required(),
+		polsby_popper: joi.number().allow(null).required(),
+		parts: joi.number().integer().required(),
+		holes: joi.number().integer().required(),
+		vertices: joi.number().integer().required()
+	})
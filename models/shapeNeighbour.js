@@ -0,0 +1,19 @@
+'use strict'
+
+const joi = require('joi')
+
+module.exports =
+	joi.object({
+		geometry_hash: joi.string().regex(/^[0-9a-f]{32}$/).required(),
+		geo_shape_area: joi.number().allow(null),
+		relation: joi.string().valid('overlap', 'touch', 'near').required(),
+		overlap_area: joi.number().required(),
+		overlap_ratio: joi.number().allow(null).required(),
+		distance: joi.number().required(),
+		units: joi.array().items(
+			joi.object({
+				gcu_id_number: joi.string().regex(/[A-Z]{3}[0-9]{5}/),
+				'gcu_id_unit-id': joi.string().regex(/[A-Z]{3}[0-9]{9}/)
+			})
+		).required()
+	})
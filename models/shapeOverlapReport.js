@@ -0,0 +1,29 @@
+'use strict'
+
+const joi = require('joi')
+
+module.exports =
+	joi.object({
+		total: joi.number().integer().required(),
+		start: joi.number().integer().required(),
+		limit: joi.number().integer().required(),
+		std_date_stamp: joi.string().allow(null).required(),
+		items: joi.array().items(
+			joi.object({
+				overlap_area: joi.number().required(),
+				overlap_ratio: joi.number().allow(null).required(),
+				shapes: joi.array().items(
+					joi.object({
+						geometry_hash: joi.string().regex(/^[0-9a-f]{32}$/).required(),
+						geo_shape_area: joi.number().allow(null),
+						units: joi.array().items(
+							joi.object({
+								gcu_id_number: joi.string().regex(/[A-Z]{3}[0-9]{5}/),
+								'gcu_id_unit-id': joi.string().regex(/[A-Z]{3}[0-9]{9}/)
+							})
+						).required()
+					})
+				).min(1).max(2).required()
+			})
+		).required()
+	})
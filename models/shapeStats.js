@@ -0,0 +1,54 @@
+'use strict'
+
+const joi = require('joi')
+
+///
+// Descriptor statistics schema.
+///
+const statistics = (theExtra = {}) =>
+	joi.object(Object.assign({
+		count: joi.number().integer().required(),
+		min: joi.number().required(),
+		max: joi.number().required(),
+		mean: joi.number().required(),
+		std: joi.number().required(),
+		quantiles: joi.object({
+			p05: joi.number(),
+			p25: joi.number(),
+			p50: joi.number(),
+			p75: joi.number(),
+			p95: joi.number()
+		}).required(),
+		histogram: joi.object({
+			min: joi.number(),
+			max: joi.number(),
+			width: joi.number(),
+			counts: joi.array().items(joi.number().integer())
+		}).allow(null).required()
+	}, theExtra)).allow(null)
+
+module.exports =
+	joi.object({
+		count: joi.number().integer().required(),
+		area: statistics(),
+		alt: statistics(),
+		altsd: statistics(),
+		slope: statistics(),
+		aspect: statistics({
+			circular: joi.object({
+				mean: joi.number().allow(null),
+				resultant_length: joi.number(),
+				std: joi.number().allow(null)
+			}).required(),
+			sectors: joi.object({
+				N: joi.number().integer(),
+				NE: joi.number().integer(),
+				E: joi.number().integer(),
+				SE: joi.number().integer(),
+				S: joi.number().integer(),
+				SW: joi.number().integer(),
+				W: joi.number().integer(),
+				NW: joi.number().integer()
+			}).required()
+		})
+	})
@@ -0,0 +1,49 @@
+'use strict'
+
+const joi = require('joi')
+
+///
+// Range schema.
+///
+const range = (theValue) =>
+	joi.object({
+		min: theValue,
+		max: theValue
+	}).or('min', 'max')
+
+module.exports =
+	joi.object({
+		ranges: joi.object({
+			area: range(joi.number().min(0)),
+			alt: range(joi.number()),
+			altsd: range(joi.number().min(0)),
+			slope: range(joi.number().min(0).max(90)),
+			aspect: range(joi.number().min(0).max(360))
+		}).default({}),
+		spatial: joi.object({
+			operation: joi.string().valid('contain', 'intersect', 'distance').required(),
+			geometry: joi.object({
+				type: joi.string()
+					.valid(
+						"Point", "MultiPoint",
+						"Polygon", "MultiPolygon",
+						"LineString", "MultiLineString"
+					).required(),
+				coordinates: joi.array()
+					.items(
+						joi.number(),
+						joi.array())
+					.required()
+			}).required(),
+			min: joi.number().min(0).default(0),
+			max: joi.number().min(0).default(20037509)
+		}),
+		sort: joi.array().items(
+			joi.object({
+				by: joi.string().valid('area', 'alt', 'altsd', 'slope', 'aspect', 'distance').required(),
+				order: joi.string().valid('ASC', 'DESC').default('ASC')
+			})
+		).default([]),
+		start: joi.number().integer().min(0).default(0),
+		limit: joi.number().integer().min(1).max(1000).default(10)
+	})
@@ -0,0 +1,17 @@
+'use strict'
+
+const joi = require('joi')
+
+module.exports =
+	joi.object({
+		gcu_id_number: joi.string().regex(/[A-Z]{3}[0-9]{5}/).required(),
+		'gcu_id_unit-id': joi.string().regex(/[A-Z]{3}[0-9]{9}/).required(),
+		geometry_hash_list: joi.array().items(joi.string().regex(/^[0-9a-f]{32}$/)).required(),
+		climate: joi.object().required(),
+		shapes: joi.array().items(
+			joi.object({
+				geometry_hash: joi.string().regex(/^[0-9a-f]{32}$/).required(),
+				climate: joi.object().required()
+			})
+		)
+	})
@@ -0,0 +1,40 @@
+'use strict'
+
+const joi = require('joi')
+
+module.exports =
+	joi.object({
+		gcu_id_number: joi.string().regex(/[A-Z]{3}[0-9]{5}/).required(),
+		'gcu_id_unit-id': joi.string().regex(/[A-Z]{3}[0-9]{9}/).required(),
+		'gcu_id_unit-id_list': joi.array().items(joi.string().regex(/[A-Z]{3}[0-9]{9}/)).required(),
+		geometry_hash_list: joi.array().items(joi.string().regex(/^[0-9a-f]{32}$/)).required(),
+		geometry_point: joi.object().allow(null).required(),
+		shapes: joi.array().items(
+			joi.object({
+				geometry_hash: joi.string().regex(/^[0-9a-f]{32}$/).required(),
+				geometry: joi.object().allow(null),
+				geometry_bounds: joi.object().allow(null),
+				properties: joi.object({
+					topography: joi.object().allow(null)
+				})
+			})
+		).required(),
+		climate: joi.object().required(),
+		drought: joi.object({
+			count: joi.number(),
+			std_date_start: joi.string(),
+			std_date_end: joi.string(),
+			std_terms: joi.array().items(joi.string())
+		}).allow(null).required(),
+		remote_sensing: joi.array().items(
+			joi.object({
+				geometry_hash: joi.string().regex(/^[0-9a-f]{32}$/).required(),
+				spans: joi.array().items(joi.object()).required()
+			})
+		).required(),
+		occurrences: joi.object({
+			count: joi.number().integer().required(),
+			species_list: joi.array().items(joi.string()).required(),
+			items: joi.array().items(joi.object()).required()
+		}).required()
+	})
@@ -0,0 +1,29 @@
+'use strict'
+
+const joi = require('joi')
+
+module.exports =
+	joi.object({
+		gcu_id_number: joi.string().regex(/[A-Z]{3}[0-9]{5}/).required(),
+		versions: joi.array().items(
+			joi.object({
+				'gcu_id_unit-id': joi.string().regex(/[A-Z]{3}[0-9]{9}/).required(),
+				std_date: joi.string().required(),
+				geometry_hash_list: joi.array().items(joi.string().regex(/^[0-9a-f]{32}$/)).required(),
+				geo_shape_area: joi.number().required(),
+				geometry_point: joi.object().allow(null).required()
+			})
+		).required(),
+		changes: joi.array().items(
+			joi.object({
+				from: joi.string().regex(/[A-Z]{3}[0-9]{9}/).required(),
+				to: joi.string().regex(/[A-Z]{3}[0-9]{9}/).required(),
+				added: joi.array().items(joi.string().regex(/^[0-9a-f]{32}$/)).required(),
+				removed: joi.array().items(joi.string().regex(/^[0-9a-f]{32}$/)).required(),
+				unchanged: joi.array().items(joi.string().regex(/^[0-9a-f]{32}$/)).required(),
+				area_difference: joi.number().required(),
+				iou: joi.number().min(0).max(1).allow(null).required(),
+				centroid_shift: joi.number().allow(null).required()
+			})
+		).required()
+	})
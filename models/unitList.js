@@ -0,0 +1,18 @@
+'use strict'
+
+const joi = require('joi')
+
+module.exports =
+	joi.object({
+		total: joi.number().integer().required(),
+		start: joi.number().integer().required(),
+		limit: joi.number().integer().required(),
+		items: joi.array().items(
+			joi.object({
+				gcu_id_number: joi.string().regex(/[A-Z]{3}[0-9]{5}/).required(),
+				'gcu_id_unit-id': joi.string().regex(/[A-Z]{3}[0-9]{9}/).required(),
+				std_date: joi.string().required(),
+				geometry_hash_list: joi.array().items(joi.string().regex(/^[0-9a-f]{32}$/)).required()
+			})
+		).required()
+	})
@@ -11,7 +11,7 @@
 ///
 const dd = require('dedent')
 const joi = require('joi')
-const {aql, db} = require('@arangodb')
+const {db} = require('@arangodb')
 const createRouter = require('@arangodb/foxx/router')
 
 ///
@@ -19,16 +19,124 @@ const createRouter = require('@arangodb/foxx/router')
 ///
 const collection_map = db._collection('ChelsaMap')
 const collection_data = db._collection('Chelsa')
+const collection_shapes = db._collection('Shapes')
+
+///
+// Utils.
+///
+const {
+	ClimateCoverage,
+	DeltaDescriptor,
+	DescriptorTerms,
+	DescriptorPeriods
+} = require('../utils/climateAggregateAQL')
+const {
+	ChelsaDescriptor,
+	ChelsaBaseline,
+	ChelsaClickAQL,
+	ChelsaDistanceAQL,
+	ChelsaContainsAQL,
+	ChelsaIntersectsAQL,
+	ChelsaDeltaClickAQL,
+	ChelsaDeltaContainsAQL,
+	ChelsaDeltaIntersectsAQL,
+	ChelsaEnvelopeAQL
+} = require('../utils/chelsaAggregateAQL')
+const {MonthlyPeriods} = require('../utils/climateMonthly')
+const {SeasonPeriods} = require('../utils/climateSeasons')
+const {AnalogueTerms} = require('../utils/climateAnalogues')
+const {IsShapeClimateCached, ShapeClimateLookup} = require('../utils/shapeClimate')
+const {
+	ShapeGeometry,
+	WeightedRecords,
+	MonthlyClimate,
+	SeasonalClimate,
+	KoppenClimate,
+	DiagramClimate,
+	IndicesClimate,
+	AnalogueClimate
+} = require('../utils/climateLocation')
+
+///
+// Selection schemas.
+///
+const termsSchema = joi.array().items(joi.string().valid(...DescriptorTerms(ChelsaDescriptor)))
+	.description('List of *descriptors* to return, omit to return all descriptors.')
+const periodsSchema = joi.array().items(joi.string().valid(...DescriptorPeriods(ChelsaDescriptor)))
+	.description('List of *periods* to return, omit to return all periods.')
+const monthsSchema = joi.array().items(joi.number().integer().min(1).max(12))
+	.description('List of *months*, `1` to `12`, of the `std_date_span_month` records to return, omit to return all months.')
+const binsSchema = joi.number().integer().min(1).max(100).default(10)
+	.description('Number of *histogram bins*, only relevant for the `HIST` aggregation.')
+const selectionSchema = {
+	std_terms: termsSchema,
+	periods: periodsSchema,
+	months: monthsSchema,
+	bins: binsSchema
+}
+const deltaTermsSchema = joi.array().items(joi.string().valid(...DescriptorTerms(DeltaDescriptor(ChelsaDescriptor, ChelsaBaseline))))
+	.description('List of *descriptors* to compare, omit to compare all descriptors featured in both the future and baseline periods.')
+const deltaPeriodsSchema = joi.array().items(joi.string().valid(...DescriptorPeriods(DeltaDescriptor(ChelsaDescriptor, ChelsaBaseline))))
+	.description('List of *future periods* to compare with the baseline, omit to compare all future periods.')
+const deltaSelectionSchema = {
+	std_terms: deltaTermsSchema,
+	periods: deltaPeriodsSchema,
+	months: monthsSchema
+}
+const monthlyPeriodsSchema = joi.array().items(joi.string().valid(...MonthlyPeriods(ChelsaDescriptor)))
+	.description('List of *periods* to process, omit to process all periods featuring monthly data.')
+const monthlyPeriodSchema = joi.string().valid(...MonthlyPeriods(ChelsaDescriptor)).required()
+	.description('The *period* to process.')
+const seasonPeriodsSchema = joi.array().items(joi.string().valid(...SeasonPeriods(ChelsaDescriptor)))
+	.description('List of *periods* to process, omit to process all periods featuring monthly data.')
+const seasonMonthsSchema = joi.array().items(joi.number().integer().min(1).max(12))
+	.description('List of *months*, `1` to `12`, of a *custom season*, omit to use the meteorological seasons.')
+const weightedSchema = joi.boolean().default(false)
+	.description('*Weight* each record by the fraction of its data bounds covered by the reference geometry, only relevant for the `AVG`, `STD` and `VAR` aggregations.')
+const envelopePeriodSchema = joi.string().valid(...DescriptorPeriods(ChelsaDescriptor)).required()
+	.description('The *period* of the ranges.')
+const envelopeRangesSchema = joi.array().items(
+	joi.object({
+		std_term: joi.string().valid(...DescriptorTerms(ChelsaDescriptor)).required(),
+		std_month: joi.number().integer().min(1).max(12),
+		min: joi.number(),
+		max: joi.number()
+	}).or('min', 'max')
+).min(1).required()
+	.description('List of *ranges*, all must be satisfied.')
+const analoguePeriodSchema = joi.string().valid(...DescriptorPeriods(DeltaDescriptor(ChelsaDescriptor, ChelsaBaseline))).required()
+	.description('The *future period* to compare with the baseline.')
+const analogueDirectionSchema = joi.string().valid('FUTURE', 'PAST').default('FUTURE')
+	.description('`FUTURE` to match the target\'s future climate with the baseline climate of the searched records, `PAST` to match the target\'s baseline climate with the future climate of the searched records.')
+const analogueMetricSchema = joi.string().valid('EUCLIDEAN', 'MAHALANOBIS').default('EUCLIDEAN')
+	.description('The *distance*: `EUCLIDEAN` for the standardised Euclidean distance, `MAHALANOBIS` for the Mahalanobis distance.')
+const analogueTermsSchema = joi.array().items(joi.string().valid(...AnalogueTerms(ChelsaDescriptor, ChelsaBaseline)))
+	.description('List of *bioclimatic descriptors* to compare, omit to compare all bioclimatic descriptors.')
+const analogueLimitSchema = joi.number().integer().min(1).max(1000).default(10)
+	.description('Number of *analogues* to return.')
+const analogueRadiusSchema = joi.number().min(0)
+	.description('Search *radius* in *meters* from the target, omit to search all records.')
 
 ///
 // Models.
 ///
-const ModelShape = require("../models/shapeAll");
-const ModelShapeContains = require("../models/shapePoly");
+const ModelShape = joi.object(Object.assign({}, require("../models/shapeAll").schema, selectionSchema))
+const ModelShapeIntersects = joi.object(Object.assign({}, require("../models/shapeAll").schema, selectionSchema, { weighted: weightedSchema }))
+const ModelDeltaContains = joi.object(Object.assign({ geometry: require("../models/shapePoly").schema.geometry }, deltaSelectionSchema))
+const ModelDeltaIntersects = joi.object(Object.assign({ geometry: require("../models/shapeAll").schema.geometry }, deltaSelectionSchema, { weighted: weightedSchema }))
+const ModelShapeContains = joi.object(Object.assign({}, require("../models/shapePoly").schema, selectionSchema))
+const ModelMonthlyShape = joi.object({ geometry: require("../models/shapeAll").schema.geometry, periods: monthlyPeriodsSchema })
+const ModelDiagramShape = joi.object({ geometry: require("../models/shapeAll").schema.geometry, period: monthlyPeriodSchema })
+const ModelSeasonShape = joi.object({ geometry: require("../models/shapeAll").schema.geometry, periods: seasonPeriodsSchema, months: seasonMonthsSchema })
+const ModelEnvelope = joi.object({ period: envelopePeriodSchema, ranges: envelopeRangesSchema, geometry: require("../models/shapeAll").schema.geometry.optional(), start: require("../models/shapeAll").schema.start, limit: require("../models/shapeAll").schema.limit, std_terms: termsSchema, periods: periodsSchema, months: monthsSchema })
 const ModelClick = require('../models/click')
 const ModelRecord = require('../models/climate')
+const ModelDerived = require('../models/climateDerived')
+const ModelDiagram = require('../models/walterLieth')
+const ModelAnalogue = require('../models/climateAnalogue')
+const ModelEnvelopeRecord = joi.alternatives().try(joi.string(), ModelRecord.keys({ geometry: joi.object() }))
 
-const whatSchema = joi.string().valid('KEY', 'SHAPE', 'DATA', 'MIN', 'AVG', 'MAX', 'STD', 'VAR').required()
+const whatSchema = joi.string().valid('KEY', 'SHAPE', 'DATA', 'MIN', 'AVG', 'MAX', 'STD', 'VAR', 'MEDIAN', 'P05', 'P25', 'P75', 'P95', 'HIST').required()
 	.description(`
 Return a *selection* of records:
 
@@ -43,6 +151,9 @@ Return selection's quantitative data *aggregation*:
 - \`MAX\`: *Maximum*.
 - \`STD\`: *Standard deviation*.
 - \`VAR\`: *Variance*.
+- \`MEDIAN\`: *Median*.
+- \`P05\`, \`P25\`, \`P75\`, \`P95\`: *Percentiles*.
+- \`HIST\`: *Histogram*.
 `)
 const minDistanceSchema = joi.number().required()
 	.description('*Minimum* distance *inclusive* in *meters*.')
@@ -58,6 +169,28 @@ Results selection *sort* order:
 
 This parameter is only relevant for *selection of records* result, you can ignore it when *aggregating*.
 	`)
+const envelopeWhatSchema = joi.string().valid('KEY', 'SHAPE', 'DATA', 'SHAPES').required()
+	.description(`
+Return a *selection* of records:
+
+- \`KEY\`: Return the matching record *primary keys*.
+- \`SHAPE\`: Return the matching record *primary keys* and *geometries*.
+- \`DATA\`: Return the matching record *primary keys*, *geometries* and *data properties*.
+- \`SHAPES\`: Return the *unit shapes* that intersect the matching records.
+`)
+const relationSchema = joi.string().valid('INTERSECT', 'CONTAIN').default('INTERSECT')
+	.description(`
+Spatial *relation* between the records and the shape:
+
+- \`INTERSECT\`: Select the records whose *data bounds* intersect the shape.
+- \`CONTAIN\`: Select the records whose *data bounds centroid* is contained by the shape.
+`)
+const startSchema = joi.number().integer().min(0).default(0)
+	.description('The zero-based *start index* of the returned *selection*, ignored for aggregated results.')
+const limitSchema = joi.number().integer().min(1).default(10)
+	.description('The *number of records* to return, ignored for aggregated results.')
+const geometryHashSchema = joi.string().regex(/^[0-9a-f]{32}$/).required()
+	.description('Unit shape geometry hash.\nThe value is the `_key` of the `Shapes` collection record.')
 const latSchema = joi.number().min(-90).max(90).required()
 	.description('Coordinate decimal latitude.')
 const lonSchema = joi.number().min(-180).max(180).required()
@@ -80,6 +213,12 @@ The service body record contains the following properties:
 - \`geometry\`: The *GeoJSON geometry* compared with the Chelsa records. It may be a *Polygon* or *MultiPolygon*. This parameter is required.
 - \`start\`: The zero-based *start index* of the returned *selection*. This parameter is ignored for aggregated results.
 - \`limit\`: The *number of records* to return. This parameter is ignored for aggregated results.
+- \`std_terms\`: The list of *descriptors* to return, omit to return all descriptors.
+- \`periods\`: The list of *periods* to return, omit to return all periods.
+- \`months\`: The list of *months*, \`1\` to \`12\`, of the \`std_date_span_month\` records to return, omit to return all months.
+- \`bins\`: The number of *histogram bins*, defaults to \`10\`. This parameter is only relevant for the \`HIST\` aggregation.
+
+The \`std_terms\`, \`periods\` and \`months\` properties are only relevant for the \`DATA\` selection and for aggregated results, both will only compute and return the selected properties.
 `
 const DescriptionModelIntersects = `
 The service body record contains the following properties:
@@ -87,6 +226,13 @@ The service body record contains the following properties:
 - \`geometry\`: The *GeoJSON geometry* compared with the Chelsa records. It may be a *Point*, *MultiPoint*, *LineString*, *MultiLineString*, *Polygon* or *MultiPolygon*. This parameter is required.
 - \`start\`: The zero-based *start index* of the returned *selection*. This parameter is ignored for aggregated results.
 - \`limit\`: The *number of records* to return. This parameter is ignored for aggregated results.
+- \`std_terms\`: The list of *descriptors* to return, omit to return all descriptors.
+- \`periods\`: The list of *periods* to return, omit to return all periods.
+- \`months\`: The list of *months*, \`1\` to \`12\`, of the \`std_date_span_month\` records to return, omit to return all months.
+- \`bins\`: The number of *histogram bins*, defaults to \`10\`. This parameter is only relevant for the \`HIST\` aggregation.
+- \`weighted\`: Set to \`true\` to *weight* each record by the *fraction* of its *data bounds* covered by the reference geometry, defaults to \`false\`. This parameter is only relevant for the \`AVG\`, \`STD\` and \`VAR\` aggregations and requires a *Polygon* or *MultiPolygon* geometry.
+
+The \`std_terms\`, \`periods\` and \`months\` properties are only relevant for the \`DATA\` selection and for aggregated results, both will only compute and return the selected properties.
 `
 const DescriptionModelRecord = `
 Chelsa records.
@@ -94,6 +240,8 @@ Chelsa records.
 The service will return *one* or *more* records structured as follows:
 
 - \`count\`: The *number of records* in the current *selection*, only provided for *aggregated data requests*.
+- \`area\`: The *effective covered area*, in *square meters*, that is the sum of the data bounds areas weighted by their covered fraction, only provided for *weighted aggregated data requests*.
+- \`weight\`: The *sum* of the records *covered fractions*, only provided for *weighted aggregated data requests*.
 - \`geometry_hash\`: The record *primary key*, which corresponds to the *MD5 hash* of the *GeoJSON point geometry*, \`geometry_point\`.
 - \`distance\`: The distance, in *meters*, between the *provided reference geometry* and the *selected Chelsa records*. This property is only provided by services that *select records* based on a *distance range*.
 - \`geometry_point\`: The *GeoJSON point geometry* corresponding to the *centroid* of the *data bounding box*.
@@ -115,13 +263,210 @@ The \`what\` path parameter defines what *type of result* the service should ret
 - \`MAX\`: The *maximum*.
 - \`STD\`: The *standard deviation*.
 - \`VAR\`: The *variance*.
+- \`MEDIAN\`: The *median*.
+- \`P05\`, \`P25\`, \`P75\`, \`P95\`: The *5th*, *25th*, *75th* and *95th percentiles*, interpolated.
+- \`HIST\`: The *histogram*: each value is replaced by an object containing the values range, \`min\` and \`max\`, the bin \`width\` and the list of bin \`counts\`; the number of bins is set by the \`bins\` body parameter.
+
+*Weighted aggregated data requests*, \`AVG\`, \`STD\` and \`VAR\` intersection aggregations with the \`weighted\` body parameter set, weight each record's values by the fraction of its data bounds covered by the reference geometry.
+`
+const DescriptionModelDelta = `
+The service body record contains the following properties:
+
+- \`geometry\`: The *GeoJSON geometry* compared with the Chelsa records. This parameter is required.
+- \`std_terms\`: The list of *descriptors* to compare, omit to compare all descriptors featured in both the future and baseline periods.
+- \`periods\`: The list of *future periods* to compare, omit to compare all future periods.
+- \`months\`: The list of *months*, \`1\` to \`12\`, of the \`std_date_span_month\` records to compare, omit to compare all months.
+`
+const DescriptionModelDeltaRecord = `
+Chelsa climate change records.
+
+The service will return *one* record structured as follows:
+
+- \`count\`: The *number of records* averaged, only provided for geometry requests.
+- \`area\`: The *effective covered area*, in *square meters*, only provided for *weighted* requests.
+- \`weight\`: The *sum* of the records *covered fractions*, only provided for *weighted* requests.
+- \`geometry_hash\`, \`geometry_point\` and \`geometry_bounds\`: The record *key* and *geometries*, only provided for coordinate requests.
+- \`baseline\`: The *baseline period*.
+- \`properties\`: The *future periods* properties, structured as the Chelsa data properties, in which each value is replaced by an object containing the \`absolute\` difference with the baseline value and the \`relative\` difference as a *percentage* of the baseline value. The relative difference is \`null\` if the baseline value is zero.
+`
+const DescriptionDelta = `
+The service will compare the Chelsa *future periods* with the *baseline period*, \`${ChelsaBaseline}\`: for each future value, it will return the difference with the corresponding baseline value, both *absolute* and *relative*. Only descriptors featured in both the future and baseline periods are compared, including the \`std_date_span_month\` monthly descriptors.
+`
+const DescriptionModelMonthlyShape = `
+The service body record contains the following properties:
+
+- \`geometry\`: The *GeoJSON geometry* compared with the Chelsa records. This parameter is required.
+- \`periods\`: The list of *periods* to process, omit to process all periods featuring monthly data.
+`
+const DescriptionMonthly = `
+The values are derived from the *monthly* mean temperature, \`env_climate_tas\`, and precipitation, \`env_climate_pr\`, of the Chelsa data: for a *coordinate* the service uses the record that contains it, for a *shape* or *geometry* it uses the *average* of the records that intersect it. When the mean temperature is missing, it is computed as the mean of the minimum and maximum temperatures.
+`
+const DescriptionModelKoppen = `
+Köppen-Geiger classification record.
+
+The service will return a record structured as follows:
+
+- \`geometry_hash\`, \`geometry_point\` and \`geometry_bounds\`: The Chelsa record *key* and *geometries*, only provided for coordinate requests.
+- \`count\`: The *number of records* averaged, only provided for shape and geometry requests.
+- \`latitude\`: The latitude used to determine the *hemisphere*.
+- \`periods\`: The list of *periods*, each element contains:
+  - \`period\`: The *period*.
+  - \`code\`: The *Köppen-Geiger class* code, \`null\` if the monthly data is incomplete.
+  - \`description\`: The *class* description.
+  - \`criteria\`: The classification *criteria*: mean annual temperature, \`MAT\`, and precipitation, \`MAP\`, temperature of the hottest, \`Thot\`, and coldest, \`Tcold\`, month, number of months above 10°C, \`Tmon10\`, precipitation of the driest month, \`Pdry\`, of the driest and wettest summer, \`Psdry\` and \`Pswet\`, and winter, \`Pwdry\` and \`Pwwet\`, month, and the aridity threshold, \`Pthreshold\`.
+`
+const DescriptionKoppen = `
+The service will return the *Köppen-Geiger climate classification* of each period, computed following the criteria of [Beck et al. (2018)](https://doi.org/10.1038/sdata.2018.214). Summer is April to September in the northern hemisphere and October to March in the southern hemisphere.
+`
+const DescriptionModelDiagramShape = `
+The service body record contains the following properties:
+
+- \`geometry\`: The *GeoJSON geometry* compared with the Chelsa records. This parameter is required.
+- \`period\`: The *period* to process. This parameter is required.
+`
+const DescriptionModelDiagram = `
+Walter-Lieth climate diagram record.
+
+The service will return a record structured as follows:
+
+- \`geometry_hash\`, \`geometry_point\` and \`geometry_bounds\`: The Chelsa record *key* and *geometries*, only provided for coordinate requests.
+- \`count\`: The *number of records* averaged, only provided for shape and geometry requests.
+- \`latitude\`: The *latitude* of the location.
+- \`diagram\`: The *diagram data*, \`null\` if the monthly data is incomplete:
+  - \`period\`: The *period*.
+  - \`temperature_mean\`: The *mean annual temperature*.
+  - \`precipitation_total\`: The *annual precipitation*.
+  - \`coldest_month_min\`: The *mean daily minimum* temperature of the *coldest month*.
+  - \`warmest_month_max\`: The *mean daily maximum* temperature of the *warmest month*.
+  - \`absolute_min\` and \`absolute_max\`: The *absolute extremes*, \`null\` since they are not featured in the data.
+  - \`months\`: The *monthly* data: \`std_month\`, mean \`temperature\`, \`precipitation\`, mean daily minimum and maximum temperatures, \`temperature_min\` and \`temperature_max\`, and the \`arid\`, \`perhumid\` and \`frost\` flags.
+  - \`arid_periods\`, \`humid_periods\` and \`perhumid_periods\`: The list of *month ranges*, \`from\` and \`to\` inclusive, which may wrap around the end of the year.
+  - \`frost_months\`: The list of months whose *mean daily minimum* temperature is *below zero*.
+`
+const DescriptionDiagram = `
+The service will return the data needed to draw a *Walter-Lieth climate diagram* for the provided period. Precipitation is plotted at twice the temperature scale: months whose precipitation is less than twice the mean temperature are *arid*, the others are *humid*, and months exceeding 100 mm are *perhumid*.
+`
+const DescriptionModelSeasonShape = `
+The service body record contains the following properties:
+
+- \`geometry\`: The *GeoJSON geometry* compared with the Chelsa records. This parameter is required.
+- \`periods\`: The list of *periods* to process, omit to process all periods featuring monthly data.
+- \`months\`: The list of *months*, \`1\` to \`12\`, of a *custom season*, omit to use the meteorological seasons.
+`
+const DescriptionModelSeason = `
+Seasonal climate record.
+
+The service will return a record structured as follows:
+
+- \`geometry_hash\`, \`geometry_point\` and \`geometry_bounds\`: The Chelsa record *key* and *geometries*, only provided for coordinate requests.
+- \`count\`: The *number of records* averaged, only provided for shape and geometry requests.
+- \`latitude\`: The *latitude* of the location.
+- \`periods\`: The list of *periods*, each element contains:
+  - \`period\`: The *period*.
+  - \`seasons\`: The list of *seasons*, each element contains the \`season\` name, its \`months\` and the *seasonal values* of the monthly descriptors; values are \`null\` if any of the season's monthly values is missing.
+`
+const DescriptionSeason = `
+The service will aggregate the Chelsa *monthly* records into *seasons*: \`env_climate_pr\` precipitation is *summed*, all other monthly descriptors, such as temperatures, are *averaged*. By default the service will return the *meteorological seasons*, \`DJF\`, \`MAM\`, \`JJA\` and \`SON\`; provide the \`months\` parameter to aggregate a *custom season*, named after the initials of its months, such as \`AMJJAS\` for the April to September growing season.
+
+For a *coordinate* the service uses the record that contains it, for a *shape* or *geometry* it uses the *average* of the records that intersect it.
+`
+const DescriptionModelIndices = `
+Climate indices record.
+
+The service will return a record structured as follows:
+
+- \`geometry_hash\`, \`geometry_point\` and \`geometry_bounds\`: The Chelsa record *key* and *geometries*, only provided for coordinate requests.
+- \`count\`: The *number of records* averaged, only provided for shape and geometry requests.
+- \`latitude\`: The *latitude* used to compute day lengths and continentality.
+- \`periods\`: The list of *periods*, each element contains the \`period\` and the following indices, \`null\` if the monthly data is incomplete:
+  - \`temperature_mean\` and \`precipitation_total\`: The *mean annual temperature* and the *annual precipitation*.
+  - \`de_martonne\`: The *de Martonne aridity index*, P / (T + 10).
+  - \`emberger\`: *Emberger's pluviothermic quotient*, 2000 P / (M² - m²), with the mean daily maximum of the warmest month, M, and mean daily minimum of the coldest month, m, in Kelvin; \`null\` if minimum and maximum temperatures are missing.
+  - \`thornthwaite\`: The *Thornthwaite potential evapotranspiration*: the \`heat_index\`, the \`monthly\` values and their \`total\`, in millimeters.
+  - \`water_balance\`: The *climatic water balance*, precipitation minus potential evapotranspiration: the \`monthly\` values, their \`total\`, the sum of positive values, \`surplus\`, and of negative values, \`deficit\`.
+  - \`continentality\`: The annual temperature \`amplitude\` and the *Gorczyński* and *Conrad* continentality indices.
+  - \`ellenberg\`: *Ellenberg's climate quotient*, 1000 times the July temperature, January in the southern hemisphere, divided by the annual precipitation.
+`
+const DescriptionIndices = `
+The service will return *aridity* and *bioclimatic indices* of each period that are not featured in the Chelsa data properties.
+`
+const DescriptionModelEnvelope = `
+The service body record contains the following properties:
+
+- \`period\`: The *period* to which the ranges refer. This parameter is required.
+- \`ranges\`: The list of *ranges*, each element contains the descriptor, \`std_term\`, its inclusive *minimum*, \`min\`, and/or *maximum*, \`max\`; monthly descriptors also require the month, \`std_month\`, \`1\` to \`12\`. This parameter is required.
+- \`geometry\`: The *GeoJSON geometry* bounding the search, omit to search all records.
+- \`start\`: The zero-based *start index* of the returned *selection*.
+- \`limit\`: The *number of records* to return.
+- \`std_terms\`: The list of *descriptors* to return, omit to return all descriptors.
+- \`periods\`: The list of *periods* to return, omit to return all periods.
+- \`months\`: The list of *months*, \`1\` to \`12\`, of the \`std_date_span_month\` records to return, omit to return all months.
+
+The \`std_terms\`, \`periods\` and \`months\` properties are only relevant for the \`DATA\` selection.
+`
+const DescriptionModelEnvelopeRecord = `
+Chelsa records or unit shapes.
+
+The service will return a list of record *primary keys* for the \`KEY\` selection, of Chelsa records, with \`geometry_hash\`, \`geometry_point\`, \`geometry_bounds\` and, for the \`DATA\` selection, \`properties\`, or of *unit shapes* for the \`SHAPES\` selection:
+
+- \`geometry_hash\`: The shape *primary key*.
+- \`count\`: The *number* of matching Chelsa records intersecting the shape.
+- \`geometry\` and \`geometry_bounds\`: The shape *geometry* and *bounding box*.
+- \`properties\`: The shape properties.
+`
+const DescriptionEnvelope = `
+The service will select all Chelsa records whose values, in the provided \`period\`, fall within *all* the provided *ranges*: for instance, \`env_climate_bio01\` between 8 and 12 and \`env_climate_bio12\` above 800. Records lacking any of the range values are excluded.
+
+If a \`geometry\` is provided, only the records whose *data bounds* intersect it will be considered.
+
+The \`what\` path parameter determines the *type* of *service result*: \`KEY\`, \`SHAPE\` and \`DATA\` return the matching Chelsa records, \`SHAPES\` returns the *unit shapes* that intersect at least one matching record.
+`
+const DescriptionModelAnalogue = `
+Climate analogues record.
+
+The service will return a record structured as follows:
+
+- \`geometry_hash\`, \`geometry_point\` and \`geometry_bounds\`: The Chelsa record *key* and *geometries*, only provided for coordinate requests.
+- \`count\`: The *number of records* averaged, only provided for shape requests.
+- \`direction\` and \`metric\`: The search *direction* and *distance*.
+- \`target\`: The target \`period\` and its descriptor \`values\`.
+- \`search\`: The searched \`period\`, the *number of records* searched, \`count\`, the search \`radius\` and the \`means\` and \`deviations\` of the descriptors used to standardise the distance.
+- \`analogues\`: The list of *analogues*, in ascending distance order, each element contains the Chelsa record \`geometry_hash\`, \`geometry_point\` and \`geometry_bounds\`, the \`distance\` from the target and the descriptor \`values\` in the searched period.
+`
+const DescriptionAnalogue = `
+The service will return the Chelsa records whose climate best matches the climate of the target.
+
+With the \`FUTURE\` direction, the service compares the target's climate in the provided *future period* with the *baseline* climate of all records: the result answers *where is the target's future climate found today*. With the \`PAST\` direction, the service compares the target's baseline climate with the climate of all records in the provided future period: the result answers *where will the target's current climate be found*.
+
+Climates are compared on the selected *bioclimatic descriptors* with the *standardised Euclidean* distance, in which each difference is divided by the descriptor's *standard deviation*, or with the *Mahalanobis* distance, which also accounts for the *covariance* of the descriptors. Deviations and covariances are computed on the searched records, provide a \`radius\` to restrict the search around the target.
+`
+const DescriptionShape = `
+The service will select the Chelsa records related to the *unit shape* identified by the provided *geometry hash*: the shape geometry is read from the \`Shapes\` collection, so that clients need not post it. The service behaves like the \`intersect\` service, or like the \`contain\` service if \`relation\` is \`CONTAIN\`.
+
+The service expects the following *path parameters*:
+
+- \`hash\`: The shape *geometry hash*, the \`_key\` of the \`Shapes\` record.
+- \`what\`: This parameter determines the *type* of *service result*: \`KEY\`, \`SHAPE\` and \`DATA\` for a selection of records, and \`MIN\`, \`AVG\`, \`MAX\`, \`STD\`, \`VAR\`, \`MEDIAN\`, \`P05\`, \`P25\`, \`P75\`, \`P95\` and \`HIST\` for the selection's quantitative data aggregation.
+
+And the following query parameters:
+
+- \`relation\`: The *spatial relation*, \`INTERSECT\` or \`CONTAIN\`.
+- \`start\`: *Initial record index*, zero based, for returned selection of records.
+- \`limit\`: *Number of records* to return.
+- \`std_terms\`: List of *descriptors* to return.
+- \`periods\`: List of *periods* to return.
+- \`months\`: List of *months* to return.
+- \`bins\`: Number of *histogram bins*.
+- \`weighted\`: Weight records by their *covered fraction*, only available for the \`INTERSECT\` relation.
+
+Aggregations of the \`INTERSECT\` relation are served from the *climate cache*, if current, see the \`/cache\` services; histograms are only cached for *10 bins*.
 `
 const DescriptionDistance = `
 The service will select all Chelsa records that lie in the *provided distance range* from the *provided reference geometry*. The distance is calculated from the *wgs84 centroids* of both the provided *reference geometry* and the *shape geometry*.
 
 The service expects the following *path parameters*:
 
-- \`what\`: This parameter determines the *type* of *service result*: \`KEY\`, \`SHAPE\` and \`DATA\` for a selection of records, and \`MIN\`, \`AVG\`, \`MAX\`, \`STD\` and \`VAR\` for the selection's quantitative data aggregation.
+- \`what\`: This parameter determines the *type* of *service result*: \`KEY\`, \`SHAPE\` and \`DATA\` for a selection of records, and \`MIN\`, \`AVG\`, \`MAX\`, \`STD\`, \`VAR\`, \`MEDIAN\`, \`P05\`, \`P25\`, \`P75\`, \`P95\` and \`HIST\` for the selection's quantitative data aggregation.
 - \`min\`: This parameter represents the range's *minimum distance*. The value is inclusive.
 - \`max\`: This parameter represents the range's *maximum distance*. The value is inclusive.
 - \`sort\`: This parameter determines whether results should be *sorted* and in what *order*.
@@ -131,13 +476,17 @@ And the following body parameters:
 - \`geometry\`: This parameter represents the *reference geometry* whose *centroid* will be used to select all Chelsa records within the provided distance range.
 - \`start\`: *Initial record index*, zero based, for returned selection of records.
 - \`limit\`: *Number of records* to return.
+- \`std_terms\`: List of *descriptors* to return.
+- \`periods\`: List of *periods* to return.
+- \`months\`: List of *months* to return.
+- \`bins\`: Number of *histogram bins*.
 `
 const DescriptionContains = `
 The service will select all Chelsa records whose *data bounds centroid* is *fully contained* by the *provided reference geometry*. Since the data bounds extend for a *radius* of *0.004166665* decimal degrees from the bounds *centroid*, this means that the service will *not* select *all* records that intersect with the provided reference geometry.
 
 The service expects the following *path parameters*:
 
-- \`what\`: This parameter determines the *type* of *service result*: \`KEY\`, \`SHAPE\` and \`DATA\` for a selection of records, and \`MIN\`, \`AVG\`, \`MAX\`, \`STD\` and \`VAR\` for the selection's quantitative data aggregation.
+- \`what\`: This parameter determines the *type* of *service result*: \`KEY\`, \`SHAPE\` and \`DATA\` for a selection of records, and \`MIN\`, \`AVG\`, \`MAX\`, \`STD\`, \`VAR\`, \`MEDIAN\`, \`P05\`, \`P25\`, \`P75\`, \`P95\` and \`HIST\` for the selection's quantitative data aggregation.
 - \`min\`: This parameter represents the range's *minimum distance*. The value is inclusive.
 - \`max\`: This parameter represents the range's *maximum distance*. The value is inclusive.
 - \`sort\`: This parameter determines whether results should be *sorted* and in what *order*.
@@ -147,13 +496,17 @@ And the following body parameters:
 - \`geometry\`: This parameter represents the *reference geometry* whose *centroid* will be used to select all Chelsa records within the provided distance range.
 - \`start\`: *Initial record index*, zero based, for returned selection of records.
 - \`limit\`: *Number of records* to return.
+- \`std_terms\`: List of *descriptors* to return.
+- \`periods\`: List of *periods* to return.
+- \`months\`: List of *months* to return.
+- \`bins\`: Number of *histogram bins*.
 `
 const DescriptionIntersects = `
 The service will select all Chelsa records whose *data bounds* is intersect the *provided reference geometry*. Since the data bounds extend for a *radius* of *0.004166665* decimal degrees from the bounds *centroid*, this means that the service will select *all* records whose data bounds intersect with the provided reference geometry.
 
 The service expects the following *path parameters*:
 
-- \`what\`: This parameter determines the *type* of *service result*: \`KEY\`, \`SHAPE\` and \`DATA\` for a selection of records, and \`MIN\`, \`AVG\`, \`MAX\`, \`STD\` and \`VAR\` for the selection's quantitative data aggregation.
+- \`what\`: This parameter determines the *type* of *service result*: \`KEY\`, \`SHAPE\` and \`DATA\` for a selection of records, and \`MIN\`, \`AVG\`, \`MAX\`, \`STD\`, \`VAR\`, \`MEDIAN\`, \`P05\`, \`P25\`, \`P75\`, \`P95\` and \`HIST\` for the selection's quantitative data aggregation.
 - \`min\`: This parameter represents the range's *minimum distance*. The value is inclusive.
 - \`max\`: This parameter represents the range's *maximum distance*. The value is inclusive.
 - \`sort\`: This parameter determines whether results should be *sorted* and in what *order*.
@@ -163,17 +516,15 @@ And the following body parameters:
 - \`geometry\`: This parameter represents the *reference geometry* whose *centroid* will be used to select all Chelsa records within the provided distance range.
 - \`start\`: *Initial record index*, zero based, for returned selection of records.
 - \`limit\`: *Number of records* to return.
-`
+- \`std_terms\`: List of *descriptors* to return.
+- \`periods\`: List of *periods* to return.
+- \`months\`: List of *months* to return.
+- \`bins\`: Number of *histogram bins*.
+- \`weighted\`: Weight records by their *covered fraction*.
 
+When \`weighted\` is set, the \`AVG\`, \`STD\` and \`VAR\` aggregations weight each record by the fraction of its data bounds covered by the reference geometry, which must be a *Polygon* or *MultiPolygon*; the result also features the *effective covered area*, \`area\`, in square meters.
+`
 
-///
-// Utils.
-///
-const {
-	ChelsaDistanceAQL,
-	ChelsaContainsAQL,
-	ChelsaIntersectsAQL
-} = require('../utils/chelsaAggregateAQL')
 
 ///
 // Create and export router.
@@ -204,46 +555,25 @@ router.get('click/:lat/:lon', function (req, res)
 	const lat = req.pathParams.lat
 	const lon = req.pathParams.lon
 
+	///
+	// Query parameters.
+	///
+	const selection = {
+		std_terms: req.queryParams.std_terms,
+		periods: req.queryParams.periods,
+		months: req.queryParams.months
+	}
+
 	///
 	// Build query.
 	//
-	let query = aql`
-		FOR dat IN ${collection_data}
-			FILTER GEO_INTERSECTS(
-				GEO_POINT(${lon}, ${lat}),
-				dat.geometry_bounds
-			)
-		RETURN {
-			geometry_hash: dat._key,
-			geometry_point: dat.geometry_point,
-			geometry_bounds: dat.geometry_bounds,
-			properties: dat.properties
-		}
-	`
-
-	/*
-		LET radius = 0.004166665
-		LET box = GEO_POLYGON([
-		    [ ${lon}-radius, ${lat}-radius ],
-		    [ ${lon}+radius, ${lat}-radius ],
-		    [ ${lon}+radius, ${lat}+radius ],
-		    [ ${lon}-radius, ${lat}+radius ],
-		    [ ${lon}-radius, ${lat}-radius ]
-		])
-		FOR doc IN ${collection_map}
-			FOR dat IN ${collection_data}
-				FILTER dat._key == doc._key
-				FILTER GEO_CONTAINS(
-					box,
-					doc.geometry
-				)
-		RETURN {
-			geometry_hash: doc._key,
-			geometry_point: doc.geometry,
-			geometry_bounds: doc.geometry_bounds,
-			properties: dat.properties
-		}
-	 */
+	const query =
+		ChelsaClickAQL(
+			collection_data,
+			lat,
+			lon,
+			selection
+		)
 
 	///
 	// Perform service.
@@ -270,6 +600,13 @@ router.get('click/:lat/:lon', function (req, res)
 	.pathParam('lat', latSchema)
 	.pathParam('lon', lonSchema)
 
+	///
+	// Query parameter schemas.
+	///
+	.queryParam('std_terms', termsSchema.single())
+	.queryParam('periods', periodsSchema.single())
+	.queryParam('months', monthsSchema.single())
+
 	///
 	// Response schema.
 	///
@@ -285,6 +622,8 @@ router.get('click/:lat/:lon', function (req, res)
 	///
 	.description(dd`
 		The service will return the Chelsa data record that contains the provided coordinate.
+
+		Use the \`std_terms\`, \`periods\` and \`months\` query parameters to only return a selection of the record properties.
 	`)
 
 /**
@@ -298,7 +637,7 @@ router.get('click/:lat/:lon', function (req, res)
  * centroids of the Chelsa records.
  *
  * Parameters:
- * - `:what`: The result type, `KEY` only geometry key, `SHAPE` key and geometry, `DATA` properties, `MIN` minimum, `AVG` average, `MAX` maximum, `STD` standard deviation, `VAR` variance.
+ * - `:what`: The result type, `KEY` only geometry key, `SHAPE` key and geometry, `DATA` properties, `MIN` minimum, `AVG` average, `MAX` maximum, `STD` standard deviation, `VAR` variance, `MEDIAN` median, `P05`, `P25`, `P75`, `P95` percentiles, `HIST` histogram.
  * - `:min`: The minimum distance inclusive.
  * - `:max`: The maximum distance inclusive.
  * - `:sort`: The sort order: `ASC` for ascending, `DESC` for descending.
@@ -321,6 +660,12 @@ router.post('dist/:what/:min/:max/:sort', function (req, res)
 	const reference = req.body.geometry
 	const start = req.body.start
 	const limit = req.body.limit
+	const selection = {
+		std_terms: req.body.std_terms,
+		periods: req.body.periods,
+		months: req.body.months
+	}
+	const bins = req.body.bins
 
 	///
 	// Build query.
@@ -335,7 +680,9 @@ router.post('dist/:what/:min/:max/:sort', function (req, res)
 			max,
 			sort,
 			start,
-			limit
+			limit,
+			selection,
+			bins
 		)
 
 	///
@@ -409,6 +756,12 @@ router.post('contain/:what', function (req, res)
 	const reference = req.body.geometry
 	const start = req.body.start
 	const limit = req.body.limit
+	const selection = {
+		std_terms: req.body.std_terms,
+		periods: req.body.periods,
+		months: req.body.months
+	}
+	const bins = req.body.bins
 
 	///
 	// Build query.
@@ -420,7 +773,9 @@ router.post('contain/:what', function (req, res)
 			reference,
 			what,
 			start,
-			limit
+			limit,
+			selection,
+			bins
 		)
 
 	///
@@ -491,6 +846,24 @@ router.post('intersect/:what', function (req, res)
 	const reference = req.body.geometry
 	const start = req.body.start
 	const limit = req.body.limit
+	const selection = {
+		std_terms: req.body.std_terms,
+		periods: req.body.periods,
+		months: req.body.months
+	}
+	const bins = req.body.bins
+	const weighted = req.body.weighted
+
+	///
+	// Handle weighted aggregation.
+	///
+	if(weighted) {
+		res.send(
+			WeightedRecords('chelsa', reference, what, selection, res)
+		)
+
+		return
+	}
 
 	///
 	// Build query.
@@ -502,7 +875,9 @@ router.post('intersect/:what', function (req, res)
 			reference,
 			what,
 			start,
-			limit
+			limit,
+			selection,
+			bins
 		)
 
 	///
@@ -532,7 +907,7 @@ router.post('intersect/:what', function (req, res)
 	///
 	// Body parameters schema.
 	///
-	.body(ModelShape, DescriptionModelIntersects)
+	.body(ModelShapeIntersects, DescriptionModelIntersects)
 
 	///
 	// Response schema.
@@ -548,3 +923,1282 @@ router.post('intersect/:what', function (req, res)
 	// Description.
 	///
 	.description(DescriptionIntersects)
+
+/**
+ * Return all Chelsa data points related to the provided shape.
+ *
+ * This service will return the selection or aggregation of the Chelsa data
+ * points that intersect, or are contained by, the geometry of the provided shape.
+ *
+ * Parameters:
+ * - `:hash`: The shape geometry hash.
+ * - `:what`: The result type.
+ **/
+router.get('shape/:hash/:what', function (req, res)
+{
+	///
+	// Path parameters.
+	///
+	const hash = req.pathParams.hash
+	const what = req.pathParams.what
+
+	///
+	// Query parameters.
+	///
+	const relation = req.queryParams.relation
+	const start = req.queryParams.start
+	const limit = req.queryParams.limit
+	const selection = {
+		std_terms: req.queryParams.std_terms,
+		periods: req.queryParams.periods,
+		months: req.queryParams.months
+	}
+	const bins = req.queryParams.bins
+	const weighted = req.queryParams.weighted
+
+	///
+	// Serve cached aggregation.
+	///
+	if(relation === 'INTERSECT' && IsShapeClimateCached(what, weighted, bins)) {
+		const cached = ShapeClimateLookup('chelsa', hash, what, weighted, selection)
+		if(cached !== null) {
+			res.send(cached)
+
+			return
+		}
+	}
+
+	///
+	// Load shape geometry.
+	///
+	const reference = ShapeGeometry(hash, res)
+
+	///
+	// Handle weighted aggregation.
+	///
+	if(weighted) {
+		if(relation !== 'INTERSECT') {
+			res.throw(400, 'Weighted aggregation is only available for the INTERSECT relation.')
+		}
+
+		res.send(
+			WeightedRecords('chelsa', reference, what, selection, res)
+		)
+
+		return
+	}
+
+	///
+	// Build query.
+	//
+	const query = (relation === 'CONTAIN')
+		? ChelsaContainsAQL(
+			collection_data,
+			collection_map,
+			reference,
+			what,
+			start,
+			limit,
+			selection,
+			bins
+		)
+		: ChelsaIntersectsAQL(
+			collection_data,
+			collection_map,
+			reference,
+			what,
+			start,
+			limit,
+			selection,
+			bins
+		)
+
+	///
+	// Perform service.
+	///
+	try
+	{
+		///
+		// Perform query.
+		///
+		res.send(
+			db._query(query)
+				.toArray()
+		)
+	}
+	catch (error) {
+		throw error;
+	}
+
+}, 'list')
+
+	///
+	// Path parameter schemas.
+	///
+	.pathParam('hash', geometryHashSchema)
+	.pathParam('what', whatSchema)
+
+	///
+	// Query parameter schemas.
+	///
+	.queryParam('relation', relationSchema)
+	.queryParam('start', startSchema)
+	.queryParam('limit', limitSchema)
+	.queryParam('std_terms', termsSchema.single())
+	.queryParam('periods', periodsSchema.single())
+	.queryParam('months', monthsSchema.single())
+	.queryParam('bins', binsSchema)
+	.queryParam('weighted', weightedSchema)
+
+	///
+	// Response schema.
+	///
+	.response([ModelRecord], DescriptionModelRecord)
+
+	///
+	// Summary.
+	///
+	.summary('Return selection or aggregation of records related to the provided shape')
+
+	///
+	// Description.
+	///
+	.description(DescriptionShape)
+
+/**
+ * Return the Chelsa climate change for the provided point.
+ *
+ * This service will return the difference between the future periods and the
+ * baseline period of the Chelsa record that contains the provided coordinate.
+ *
+ * Parameters:
+ * - `:lat`: The latitude.
+ * - `:lon`: The longitude.
+ **/
+router.get('delta/:lat/:lon', function (req, res)
+{
+	///
+	// Path parameters.
+	///
+	const lat = req.pathParams.lat
+	const lon = req.pathParams.lon
+
+	///
+	// Query parameters.
+	///
+	const selection = {
+		std_terms: req.queryParams.std_terms,
+		periods: req.queryParams.periods,
+		months: req.queryParams.months
+	}
+
+	///
+	// Build query.
+	//
+	const query =
+		ChelsaDeltaClickAQL(
+			collection_data,
+			lat,
+			lon,
+			selection
+		)
+
+	///
+	// Perform service.
+	///
+	try
+	{
+		///
+		// Perform query.
+		///
+		res.send(
+			db._query(query)
+				.toArray()
+		)
+	}
+	catch (error) {
+		throw error;
+	}
+
+}, 'list')
+
+	///
+	// Path parameter schemas.
+	///
+	.pathParam('lat', latSchema)
+	.pathParam('lon', lonSchema)
+
+	///
+	// Query parameter schemas.
+	///
+	.queryParam('std_terms', deltaTermsSchema.single())
+	.queryParam('periods', deltaPeriodsSchema.single())
+	.queryParam('months', monthsSchema.single())
+
+	///
+	// Response schema.
+	///
+	.response([ModelRecord], DescriptionModelDeltaRecord)
+
+	///
+	// Summary.
+	///
+	.summary('Return climate change for the provided point')
+
+	///
+	// Description.
+	///
+	.description(DescriptionDelta + dd`
+		The service will compare the periods of the Chelsa data record that contains the provided coordinate.
+
+		Use the \`std_terms\`, \`periods\` and \`months\` query parameters to only compare a selection of the record properties.
+	`)
+
+/**
+ * Return the Chelsa climate change for the provided polygon.
+ *
+ * This service will return the difference between the future periods and the
+ * baseline period of the average of the Chelsa records whose centroids are
+ * contained by the provided reference geometry.
+ **/
+router.post('delta/contain', function (req, res)
+{
+	///
+	// Body parameters.
+	///
+	const reference = req.body.geometry
+	const selection = {
+		std_terms: req.body.std_terms,
+		periods: req.body.periods,
+		months: req.body.months
+	}
+
+	///
+	// Build query.
+	//
+	const query =
+		ChelsaDeltaContainsAQL(
+			collection_data,
+			collection_map,
+			reference,
+			selection
+		)
+
+	///
+	// Perform service.
+	///
+	try
+	{
+		///
+		// Perform query.
+		///
+		res.send(
+			db._query(query)
+				.toArray()
+		)
+	}
+	catch (error) {
+		throw error;
+	}
+
+}, 'list')
+
+	///
+	// Body parameters schema.
+	///
+	.body(ModelDeltaContains, DescriptionModelDelta)
+
+	///
+	// Response schema.
+	///
+	.response([ModelRecord], DescriptionModelDeltaRecord)
+
+	///
+	// Summary.
+	///
+	.summary('Return climate change for records contained by the provided reference geometry')
+
+	///
+	// Description.
+	///
+	.description(DescriptionDelta + dd`
+		The service will compare the periods of the *average* of the Chelsa records whose *data bounds centroid* is *fully contained* by the provided *Polygon* or *MultiPolygon* reference geometry.
+	`)
+
+/**
+ * Return the Chelsa climate change for the provided geometry.
+ *
+ * This service will return the difference between the future periods and the
+ * baseline period of the average of the Chelsa records that intersect with
+ * the provided reference geometry.
+ **/
+router.post('delta/intersect', function (req, res)
+{
+	///
+	// Body parameters.
+	///
+	const reference = req.body.geometry
+	const selection = {
+		std_terms: req.body.std_terms,
+		periods: req.body.periods,
+		months: req.body.months
+	}
+	const weighted = req.body.weighted
+
+	///
+	// Handle weighted average.
+	///
+	if(weighted && ![ 'Polygon', 'MultiPolygon' ].includes(reference.type)) {
+		res.throw(400, 'Weighted aggregation requires a Polygon or MultiPolygon geometry.')
+	}
+
+	///
+	// Build query.
+	//
+	const query =
+		ChelsaDeltaIntersectsAQL(
+			collection_data,
+			collection_map,
+			reference,
+			selection,
+			(weighted) ? ClimateCoverage(collection_data, reference) : null
+		)
+
+	///
+	// Perform service.
+	///
+	try
+	{
+		///
+		// Perform query.
+		///
+		res.send(
+			db._query(query)
+				.toArray()
+		)
+	}
+	catch (error) {
+		throw error;
+	}
+
+}, 'list')
+
+	///
+	// Body parameters schema.
+	///
+	.body(ModelDeltaIntersects, DescriptionModelDelta + dd`
+		- \`weighted\`: Set to \`true\` to *weight* each record by the *fraction* of its *data bounds* covered by the reference geometry, defaults to \`false\`. This parameter requires a *Polygon* or *MultiPolygon* geometry.
+	`)
+
+	///
+	// Response schema.
+	///
+	.response([ModelRecord], DescriptionModelDeltaRecord)
+
+	///
+	// Summary.
+	///
+	.summary('Return climate change for records that intersect the provided reference geometry')
+
+	///
+	// Description.
+	///
+	.description(DescriptionDelta + dd`
+		The service will compare the periods of the *average* of the Chelsa records whose *data bounds* intersect the provided reference geometry; set the \`weighted\` body parameter to weight each record by the fraction of its data bounds covered by the reference geometry.
+	`)
+
+/**
+ * Return the Chelsa Köppen-Geiger classification for the provided point.
+ *
+ * This service will return the Köppen-Geiger class of each period of the
+ * Chelsa record that contains the provided coordinate.
+ *
+ * Parameters:
+ * - `:lat`: The latitude.
+ * - `:lon`: The longitude.
+ **/
+router.get('koppen/click/:lat/:lon', function (req, res)
+{
+	///
+	// Parameters.
+	///
+	const location = { lat: req.pathParams.lat, lon: req.pathParams.lon }
+	const periods = req.queryParams.periods || []
+
+	///
+	// Perform service.
+	///
+	try
+	{
+		res.send(
+			KoppenClimate(MonthlyClimate('chelsa', location, periods))
+		)
+	}
+	catch (error) {
+		throw error;
+	}
+
+}, 'koppen')
+
+	///
+	// Path parameter schemas.
+	///
+	.pathParam('lat', latSchema)
+	.pathParam('lon', lonSchema)
+
+	///
+	// Query parameter schemas.
+	///
+	.queryParam('periods', monthlyPeriodsSchema.single())
+
+	///
+	// Response schema.
+	///
+	.response(ModelDerived, DescriptionModelKoppen)
+
+	///
+	// Summary.
+	///
+	.summary('Return Köppen-Geiger classification for the provided point')
+
+	///
+	// Description.
+	///
+	.description(DescriptionKoppen + DescriptionMonthly)
+
+/**
+ * Return the Chelsa Köppen-Geiger classification for the provided shape.
+ *
+ * This service will return the Köppen-Geiger class of each period of the
+ * average of the Chelsa records that intersect the provided shape.
+ *
+ * Parameters:
+ * - `:hash`: The shape geometry hash.
+ **/
+router.get('koppen/shape/:hash', function (req, res)
+{
+	///
+	// Parameters.
+	///
+	const location = { geometry_hash: req.pathParams.hash, geometry: ShapeGeometry(req.pathParams.hash, res) }
+	const periods = req.queryParams.periods || []
+
+	///
+	// Perform service.
+	///
+	try
+	{
+		res.send(
+			KoppenClimate(MonthlyClimate('chelsa', location, periods))
+		)
+	}
+	catch (error) {
+		throw error;
+	}
+
+}, 'koppen')
+
+	///
+	// Path parameter schemas.
+	///
+	.pathParam('hash', geometryHashSchema)
+
+	///
+	// Query parameter schemas.
+	///
+	.queryParam('periods', monthlyPeriodsSchema.single())
+
+	///
+	// Response schema.
+	///
+	.response(ModelDerived, DescriptionModelKoppen)
+
+	///
+	// Summary.
+	///
+	.summary('Return Köppen-Geiger classification for the provided shape')
+
+	///
+	// Description.
+	///
+	.description(DescriptionKoppen + DescriptionMonthly)
+
+/**
+ * Return the Chelsa Köppen-Geiger classification for the provided geometry.
+ *
+ * This service will return the Köppen-Geiger class of each period of the
+ * average of the Chelsa records that intersect the provided geometry.
+ **/
+router.post('koppen/geometry', function (req, res)
+{
+	///
+	// Parameters.
+	///
+	const location = { geometry: req.body.geometry }
+	const periods = req.body.periods || []
+
+	///
+	// Perform service.
+	///
+	try
+	{
+		res.send(
+			KoppenClimate(MonthlyClimate('chelsa', location, periods))
+		)
+	}
+	catch (error) {
+		throw error;
+	}
+
+}, 'koppen')
+
+	///
+	// Body parameters schema.
+	///
+	.body(ModelMonthlyShape, DescriptionModelMonthlyShape)
+
+	///
+	// Response schema.
+	///
+	.response(ModelDerived, DescriptionModelKoppen)
+
+	///
+	// Summary.
+	///
+	.summary('Return Köppen-Geiger classification for the provided geometry')
+
+	///
+	// Description.
+	///
+	.description(DescriptionKoppen + DescriptionMonthly)
+
+
+/**
+ * Return the Chelsa Walter-Lieth climate diagram data for the provided point.
+ *
+ * This service will return the Walter-Lieth climate diagram data of the
+ * provided period of the Chelsa record that contains the provided coordinate.
+ *
+ * Parameters:
+ * - `:lat`: The latitude.
+ * - `:lon`: The longitude.
+ **/
+router.get('walter/click/:lat/:lon', function (req, res)
+{
+	///
+	// Parameters.
+	///
+	const location = { lat: req.pathParams.lat, lon: req.pathParams.lon }
+	const period = req.queryParams.period
+
+	///
+	// Perform service.
+	///
+	try
+	{
+		res.send(
+			DiagramClimate(MonthlyClimate('chelsa', location, [ period ]))
+		)
+	}
+	catch (error) {
+		throw error;
+	}
+
+}, 'diagram')
+
+	///
+	// Path parameter schemas.
+	///
+	.pathParam('lat', latSchema)
+	.pathParam('lon', lonSchema)
+
+	///
+	// Query parameter schemas.
+	///
+	.queryParam('period', monthlyPeriodSchema)
+
+	///
+	// Response schema.
+	///
+	.response(ModelDiagram, DescriptionModelDiagram)
+
+	///
+	// Summary.
+	///
+	.summary('Return Walter-Lieth climate diagram data for the provided point')
+
+	///
+	// Description.
+	///
+	.description(DescriptionDiagram + DescriptionMonthly)
+
+/**
+ * Return the Chelsa Walter-Lieth climate diagram data for the provided shape.
+ *
+ * This service will return the Walter-Lieth climate diagram data of the
+ * provided period of the average of the Chelsa records that intersect the provided shape.
+ *
+ * Parameters:
+ * - `:hash`: The shape geometry hash.
+ **/
+router.get('walter/shape/:hash', function (req, res)
+{
+	///
+	// Parameters.
+	///
+	const location = { geometry_hash: req.pathParams.hash, geometry: ShapeGeometry(req.pathParams.hash, res) }
+	const period = req.queryParams.period
+
+	///
+	// Perform service.
+	///
+	try
+	{
+		res.send(
+			DiagramClimate(MonthlyClimate('chelsa', location, [ period ]))
+		)
+	}
+	catch (error) {
+		throw error;
+	}
+
+}, 'diagram')
+
+	///
+	// Path parameter schemas.
+	///
+	.pathParam('hash', geometryHashSchema)
+
+	///
+	// Query parameter schemas.
+	///
+	.queryParam('period', monthlyPeriodSchema)
+
+	///
+	// Response schema.
+	///
+	.response(ModelDiagram, DescriptionModelDiagram)
+
+	///
+	// Summary.
+	///
+	.summary('Return Walter-Lieth climate diagram data for the provided shape')
+
+	///
+	// Description.
+	///
+	.description(DescriptionDiagram + DescriptionMonthly)
+
+/**
+ * Return the Chelsa Walter-Lieth climate diagram data for the provided geometry.
+ *
+ * This service will return the Walter-Lieth climate diagram data of the
+ * provided period of the average of the Chelsa records that intersect the provided geometry.
+ **/
+router.post('walter/geometry', function (req, res)
+{
+	///
+	// Parameters.
+	///
+	const location = { geometry: req.body.geometry }
+	const period = req.body.period
+
+	///
+	// Perform service.
+	///
+	try
+	{
+		res.send(
+			DiagramClimate(MonthlyClimate('chelsa', location, [ period ]))
+		)
+	}
+	catch (error) {
+		throw error;
+	}
+
+}, 'diagram')
+
+	///
+	// Body parameters schema.
+	///
+	.body(ModelDiagramShape, DescriptionModelDiagramShape)
+
+	///
+	// Response schema.
+	///
+	.response(ModelDiagram, DescriptionModelDiagram)
+
+	///
+	// Summary.
+	///
+	.summary('Return Walter-Lieth climate diagram data for the provided geometry')
+
+	///
+	// Description.
+	///
+	.description(DescriptionDiagram + DescriptionMonthly)
+
+
+/**
+ * Return the Chelsa seasonal climate for the provided point.
+ *
+ * This service will return the seasonal aggregation of the monthly records
+ * of the Chelsa record that contains the provided coordinate.
+ *
+ * Parameters:
+ * - `:lat`: The latitude.
+ * - `:lon`: The longitude.
+ **/
+router.get('season/click/:lat/:lon', function (req, res)
+{
+	///
+	// Parameters.
+	///
+	const location = { lat: req.pathParams.lat, lon: req.pathParams.lon }
+	const periods = req.queryParams.periods || []
+	const months = req.queryParams.months || []
+
+	///
+	// Perform service.
+	///
+	try
+	{
+		res.send(
+			SeasonalClimate('chelsa', location, periods, months)
+		)
+	}
+	catch (error) {
+		throw error;
+	}
+
+}, 'season')
+
+	///
+	// Path parameter schemas.
+	///
+	.pathParam('lat', latSchema)
+	.pathParam('lon', lonSchema)
+
+	///
+	// Query parameter schemas.
+	///
+	.queryParam('periods', seasonPeriodsSchema.single())
+	.queryParam('months', seasonMonthsSchema.single())
+
+	///
+	// Response schema.
+	///
+	.response(ModelDerived, DescriptionModelSeason)
+
+	///
+	// Summary.
+	///
+	.summary('Return seasonal climate for the provided point')
+
+	///
+	// Description.
+	///
+	.description(DescriptionSeason)
+
+/**
+ * Return the Chelsa seasonal climate for the provided shape.
+ *
+ * This service will return the seasonal aggregation of the monthly records
+ * of the average of the Chelsa records that intersect the provided shape.
+ *
+ * Parameters:
+ * - `:hash`: The shape geometry hash.
+ **/
+router.get('season/shape/:hash', function (req, res)
+{
+	///
+	// Parameters.
+	///
+	const location = { geometry_hash: req.pathParams.hash, geometry: ShapeGeometry(req.pathParams.hash, res) }
+	const periods = req.queryParams.periods || []
+	const months = req.queryParams.months || []
+
+	///
+	// Perform service.
+	///
+	try
+	{
+		res.send(
+			SeasonalClimate('chelsa', location, periods, months)
+		)
+	}
+	catch (error) {
+		throw error;
+	}
+
+}, 'season')
+
+	///
+	// Path parameter schemas.
+	///
+	.pathParam('hash', geometryHashSchema)
+
+	///
+	// Query parameter schemas.
+	///
+	.queryParam('periods', seasonPeriodsSchema.single())
+	.queryParam('months', seasonMonthsSchema.single())
+
+	///
+	// Response schema.
+	///
+	.response(ModelDerived, DescriptionModelSeason)
+
+	///
+	// Summary.
+	///
+	.summary('Return seasonal climate for the provided shape')
+
+	///
+	// Description.
+	///
+	.description(DescriptionSeason)
+
+/**
+ * Return the Chelsa seasonal climate for the provided geometry.
+ *
+ * This service will return the seasonal aggregation of the monthly records
+ * of the average of the Chelsa records that intersect the provided geometry.
+ **/
+router.post('season/geometry', function (req, res)
+{
+	///
+	// Parameters.
+	///
+	const location = { geometry: req.body.geometry }
+	const periods = req.body.periods || []
+	const months = req.body.months || []
+
+	///
+	// Perform service.
+	///
+	try
+	{
+		res.send(
+			SeasonalClimate('chelsa', location, periods, months)
+		)
+	}
+	catch (error) {
+		throw error;
+	}
+
+}, 'season')
+
+	///
+	// Body parameters schema.
+	///
+	.body(ModelSeasonShape, DescriptionModelSeasonShape)
+
+	///
+	// Response schema.
+	///
+	.response(ModelDerived, DescriptionModelSeason)
+
+	///
+	// Summary.
+	///
+	.summary('Return seasonal climate for the provided geometry')
+
+	///
+	// Description.
+	///
+	.description(DescriptionSeason)
+
+
+/**
+ * Return the Chelsa climate indices for the provided point.
+ *
+ * This service will return the aridity and bioclimatic indices of each
+ * period of the Chelsa record that contains the provided coordinate.
+ *
+ * Parameters:
+ * - `:lat`: The latitude.
+ * - `:lon`: The longitude.
+ **/
+router.get('indices/click/:lat/:lon', function (req, res)
+{
+	///
+	// Parameters.
+	///
+	const location = { lat: req.pathParams.lat, lon: req.pathParams.lon }
+	const periods = req.queryParams.periods || []
+
+	///
+	// Perform service.
+	///
+	try
+	{
+		res.send(
+			IndicesClimate(MonthlyClimate('chelsa', location, periods))
+		)
+	}
+	catch (error) {
+		throw error;
+	}
+
+}, 'indices')
+
+	///
+	// Path parameter schemas.
+	///
+	.pathParam('lat', latSchema)
+	.pathParam('lon', lonSchema)
+
+	///
+	// Query parameter schemas.
+	///
+	.queryParam('periods', monthlyPeriodsSchema.single())
+
+	///
+	// Response schema.
+	///
+	.response(ModelDerived, DescriptionModelIndices)
+
+	///
+	// Summary.
+	///
+	.summary('Return climate indices for the provided point')
+
+	///
+	// Description.
+	///
+	.description(DescriptionIndices + DescriptionMonthly)
+
+/**
+ * Return the Chelsa climate indices for the provided shape.
+ *
+ * This service will return the aridity and bioclimatic indices of each
+ * period of the average of the Chelsa records that intersect the provided shape.
+ *
+ * Parameters:
+ * - `:hash`: The shape geometry hash.
+ **/
+router.get('indices/shape/:hash', function (req, res)
+{
+	///
+	// Parameters.
+	///
+	const location = { geometry_hash: req.pathParams.hash, geometry: ShapeGeometry(req.pathParams.hash, res) }
+	const periods = req.queryParams.periods || []
+
+	///
+	// Perform service.
+	///
+	try
+	{
+		res.send(
+			IndicesClimate(MonthlyClimate('chelsa', location, periods))
+		)
+	}
+	catch (error) {
+		throw error;
+	}
+
+}, 'indices')
+
+	///
+	// Path parameter schemas.
+	///
+	.pathParam('hash', geometryHashSchema)
+
+	///
+	// Query parameter schemas.
+	///
+	.queryParam('periods', monthlyPeriodsSchema.single())
+
+	///
+	// Response schema.
+	///
+	.response(ModelDerived, DescriptionModelIndices)
+
+	///
+	// Summary.
+	///
+	.summary('Return climate indices for the provided shape')
+
+	///
+	// Description.
+	///
+	.description(DescriptionIndices + DescriptionMonthly)
+
+/**
+ * Return the Chelsa climate indices for the provided geometry.
+ *
+ * This service will return the aridity and bioclimatic indices of each
+ * period of the average of the Chelsa records that intersect the provided geometry.
+ **/
+router.post('indices/geometry', function (req, res)
+{
+	///
+	// Parameters.
+	///
+	const location = { geometry: req.body.geometry }
+	const periods = req.body.periods || []
+
+	///
+	// Perform service.
+	///
+	try
+	{
+		res.send(
+			IndicesClimate(MonthlyClimate('chelsa', location, periods))
+		)
+	}
+	catch (error) {
+		throw error;
+	}
+
+}, 'indices')
+
+	///
+	// Body parameters schema.
+	///
+	.body(ModelMonthlyShape, DescriptionModelMonthlyShape)
+
+	///
+	// Response schema.
+	///
+	.response(ModelDerived, DescriptionModelIndices)
+
+	///
+	// Summary.
+	///
+	.summary('Return climate indices for the provided geometry')
+
+	///
+	// Description.
+	///
+	.description(DescriptionIndices + DescriptionMonthly)
+
+
+/**
+ * Return all Chelsa data records within the provided climate envelope.
+ *
+ * This service will return the Chelsa records, or the shapes intersecting
+ * them, whose values in the provided period fall within all the provided ranges.
+ *
+ * Parameters:
+ * - `:what`: The result type, `KEY`, `SHAPE`, `DATA` or `SHAPES`.
+ **/
+router.post('envelope/:what', function (req, res)
+{
+	///
+	// Path parameters.
+	///
+	const what = req.pathParams.what
+
+	///
+	// Body parameters.
+	///
+	const period = req.body.period
+	const ranges = req.body.ranges
+	const reference = req.body.geometry || null
+	const start = req.body.start
+	const limit = req.body.limit
+	const selection = {
+		std_terms: req.body.std_terms,
+		periods: req.body.periods,
+		months: req.body.months
+	}
+
+	///
+	// Validate ranges.
+	///
+	const group = ChelsaDescriptor.find( (item) => item.key === period )
+	ranges.forEach( (range) => {
+		const terms = (range.std_month === undefined) ? group.annual : group.monthly
+		if(!terms.includes(range.std_term)) {
+			res.throw(400, `Descriptor ${range.std_term} is not available ${(range.std_month === undefined) ? 'annually' : 'monthly'} in period ${period}.`)
+		}
+	})
+
+	///
+	// Build query.
+	//
+	let query =
+		ChelsaEnvelopeAQL(
+			collection_data,
+			collection_shapes,
+			period,
+			ranges,
+			reference,
+			what,
+			start,
+			limit,
+			selection
+		)
+
+	///
+	// Perform service.
+	///
+	try
+	{
+		///
+		// Perform query.
+		///
+		res.send(
+			db._query(query)
+				.toArray()
+		)
+	}
+	catch (error) {
+		throw error;
+	}
+
+}, 'envelope')
+
+	///
+	// Path parameter schemas.
+	///
+	.pathParam('what', envelopeWhatSchema)
+
+	///
+	// Body parameters schema.
+	///
+	.body(ModelEnvelope, DescriptionModelEnvelope)
+
+	///
+	// Response schema.
+	///
+	.response([ModelEnvelopeRecord], DescriptionModelEnvelopeRecord)
+
+	///
+	// Summary.
+	///
+	.summary('Return records or shapes within the provided climate envelope')
+
+	///
+	// Description.
+	///
+	.description(DescriptionEnvelope)
+
+
+/**
+ * Return the Chelsa climate analogues of the provided point.
+ *
+ * This service will return the Chelsa records whose climate best matches
+ * the climate of the Chelsa record that contains the provided coordinate.
+ *
+ * Parameters:
+ * - `:lat`: The latitude.
+ * - `:lon`: The longitude.
+ **/
+router.get('analogue/click/:lat/:lon', function (req, res)
+{
+	///
+	// Parameters.
+	///
+	const location = { lat: req.pathParams.lat, lon: req.pathParams.lon }
+
+	///
+	// Perform service.
+	///
+	try
+	{
+		res.send(
+			AnalogueClimate('chelsa', location, req.queryParams, res)
+		)
+	}
+	catch (error) {
+		throw error;
+	}
+
+}, 'analogue')
+
+	///
+	// Path parameter schemas.
+	///
+	.pathParam('lat', latSchema)
+	.pathParam('lon', lonSchema)
+
+	///
+	// Query parameter schemas.
+	///
+	.queryParam('period', analoguePeriodSchema)
+	.queryParam('direction', analogueDirectionSchema)
+	.queryParam('metric', analogueMetricSchema)
+	.queryParam('std_terms', analogueTermsSchema.single())
+	.queryParam('limit', analogueLimitSchema)
+	.queryParam('radius', analogueRadiusSchema)
+
+	///
+	// Response schema.
+	///
+	.response(ModelAnalogue, DescriptionModelAnalogue)
+
+	///
+	// Summary.
+	///
+	.summary('Return climate analogues of the provided point')
+
+	///
+	// Description.
+	///
+	.description(DescriptionAnalogue)
+
+/**
+ * Return the Chelsa climate analogues of the provided shape.
+ *
+ * This service will return the Chelsa records whose climate best matches
+ * the average climate of the Chelsa records that intersect the provided shape.
+ *
+ * Parameters:
+ * - `:hash`: The shape geometry hash.
+ **/
+router.get('analogue/shape/:hash', function (req, res)
+{
+	///
+	// Parameters.
+	///
+	const location = { geometry_hash: req.pathParams.hash, geometry: ShapeGeometry(req.pathParams.hash, res) }
+
+	///
+	// Perform service.
+	///
+	try
+	{
+		res.send(
+			AnalogueClimate('chelsa', location, req.queryParams, res)
+		)
+	}
+	catch (error) {
+		throw error;
+	}
+
+}, 'analogue')
+
+	///
+	// Path parameter schemas.
+	///
+	.pathParam('hash', geometryHashSchema)
+
+	///
+	// Query parameter schemas.
+	///
+	.queryParam('period', analoguePeriodSchema)
+	.queryParam('direction', analogueDirectionSchema)
+	.queryParam('metric', analogueMetricSchema)
+	.queryParam('std_terms', analogueTermsSchema.single())
+	.queryParam('limit', analogueLimitSchema)
+	.queryParam('radius', analogueRadiusSchema)
+
+	///
+	// Response schema.
+	///
+	.response(ModelAnalogue, DescriptionModelAnalogue)
+
+	///
+	// Summary.
+	///
+	.summary('Return climate analogues of the provided shape')
+
+	///
+	// Description.
+	///
+	.description(DescriptionAnalogue)
+
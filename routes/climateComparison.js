@@ -0,0 +1,361 @@
+'use strict'
+
+/**
+ * climateComparison.js
+ *
+ * This script contains the routes for the Chelsa and WorldClim comparison services.
+ */
+
+///
+// Load modules.
+///
+const dd = require('dedent')
+const joi = require('joi')
+const {db} = require('@arangodb')
+const createRouter = require('@arangodb/foxx/router')
+
+///
+// Collections.
+///
+const chelsa_map = db._collection('ChelsaMap')
+const chelsa_data = db._collection('Chelsa')
+const worldclim_map = db._collection('WorldClimMap')
+const worldclim_data = db._collection('WorldClim')
+
+///
+// Utils.
+///
+const {
+	ChelsaDescriptor,
+	ChelsaClickAQL,
+	ChelsaContainsAQL,
+	ChelsaIntersectsAQL
+} = require('../utils/chelsaAggregateAQL')
+const {
+	WorldClimClickAQL,
+	WorldClimContainsAQL,
+	WorldClimIntersectsAQL
+} = require('../utils/worldclimAggregateAQL')
+const {
+	ComparisonAnnualTerms,
+	ComparisonMonthlyTerms,
+	PeriodPairs,
+	ComparisonSelections,
+	CompareProperties
+} = require('../utils/climateComparison')
+
+///
+// Selection schemas.
+///
+const termsSchema = joi.array().items(joi.string().valid(...ComparisonAnnualTerms, ...ComparisonMonthlyTerms))
+	.description('List of *descriptors* to compare, omit to compare all harmonised descriptors.')
+const periodsSchema = joi.array().items(joi.string().valid(...ChelsaDescriptor.map( (group) => group.key )))
+	.description('List of *Chelsa periods* to compare, omit to compare all periods.')
+const monthsSchema = joi.array().items(joi.number().integer().min(1).max(12))
+	.description('List of *months*, `1` to `12`, of the `std_date_span_month` records to compare, omit to compare all months.')
+const selectionSchema = {
+	std_terms: termsSchema,
+	periods: periodsSchema,
+	months: monthsSchema
+}
+
+///
+// Models.
+///
+const ModelShape = joi.object(Object.assign({ geometry: require("../models/shapeAll").schema.geometry }, selectionSchema))
+const ModelShapeContains = joi.object(Object.assign({ geometry: require("../models/shapePoly").schema.geometry }, selectionSchema))
+const ModelRecord = require('../models/climateComparison')
+const latSchema = joi.number().min(-90).max(90).required()
+	.description('Coordinate decimal latitude.')
+const lonSchema = joi.number().min(-180).max(180).required()
+	.description('Coordinate decimal longitude.')
+
+///
+// Descriptions.
+///
+const DescriptionModelShape = `
+The service body record contains the following properties:
+
+- \`geometry\`: The *GeoJSON geometry* compared with the Chelsa and WorldClim records. This parameter is required.
+- \`std_terms\`: The list of *descriptors* to compare, omit to compare all harmonised descriptors.
+- \`periods\`: The list of *Chelsa periods* to compare, omit to compare all periods.
+- \`months\`: The list of *months*, \`1\` to \`12\`, of the \`std_date_span_month\` records to compare, omit to compare all months.
+`
+const DescriptionModelRecord = `
+Chelsa and WorldClim comparison record.
+
+The service will return a record structured as follows:
+
+- \`chelsa\`: The Chelsa selection: the record \`geometry_hash\`, \`geometry_point\` and \`geometry_bounds\` for coordinate requests, or the *number of records*, \`count\`, for geometry requests; \`null\` if there is no matching record.
+- \`worldclim\`: The WorldClim selection, structured as the Chelsa selection.
+- \`pairs\`: The list of *compared periods*, each element contains:
+  - \`chelsa\`: The *Chelsa period*.
+  - \`worldclim\`: The *paired WorldClim period*, whose midpoint year is closest to the Chelsa period midpoint.
+  - \`offset\`: The *number of years* between the WorldClim and Chelsa period midpoints.
+  - \`properties\`: The compared *descriptors*, each value is an object containing the \`chelsa\` value, the \`worldclim\` value and their \`difference\`, Chelsa minus WorldClim. Descriptors missing in either dataset have a \`null\` difference.
+`
+const DescriptionComparison = `
+The service will compare the *harmonised descriptors* of the Chelsa and WorldClim datasets: the *bioclimatic variables*, \`env_climate_bio01\` to \`env_climate_bio19\`, and the *monthly* \`env_climate_pr\`, \`env_climate_tas\`, \`env_climate_tasmax\` and \`env_climate_tasmin\` values.
+
+Each Chelsa period is *paired* with the WorldClim period whose midpoint year is closest, the pairing is returned in the \`pairs\` property of the result:
+
+${PeriodPairs().map( (pair) => `- Chelsa \`${pair.chelsa}\` with WorldClim \`${pair.worldclim}\`.`).join('\n')}
+`
+
+///
+// Create and export router.
+//
+const router = createRouter()
+module.exports = router
+
+///
+// Tag router.
+///
+router.tag('Climate comparison')
+
+
+/**
+ * Compare Chelsa and WorldClim data for the provided point.
+ *
+ * This service will compare the Chelsa and WorldClim records that contain
+ * the provided coordinate.
+ *
+ * Parameters:
+ * - `:lat`: The latitude.
+ * - `:lon`: The longitude.
+ **/
+router.get('click/:lat/:lon', function (req, res)
+{
+	///
+	// Path parameters.
+	///
+	const lat = req.pathParams.lat
+	const lon = req.pathParams.lon
+
+	///
+	// Query parameters.
+	///
+	const terms = req.queryParams.std_terms || []
+	const months = req.queryParams.months || []
+	const pairs = PeriodPairs(req.queryParams.periods || [])
+	const selection = ComparisonSelections(pairs, terms, months)
+
+	///
+	// Perform service.
+	///
+	try
+	{
+		res.send(
+			CompareRecords(
+				db._query(ChelsaClickAQL(chelsa_data, lat, lon, selection.chelsa)).toArray(),
+				db._query(WorldClimClickAQL(worldclim_data, lat, lon, selection.worldclim)).toArray(),
+				pairs,
+				terms,
+				months
+			)
+		)
+	}
+	catch (error) {
+		throw error;
+	}
+
+}, 'comparison')
+
+	///
+	// Path parameter schemas.
+	///
+	.pathParam('lat', latSchema)
+	.pathParam('lon', lonSchema)
+
+	///
+	// Query parameter schemas.
+	///
+	.queryParam('std_terms', termsSchema.single())
+	.queryParam('periods', periodsSchema.single())
+	.queryParam('months', monthsSchema.single())
+
+	///
+	// Response schema.
+	///
+	.response(ModelRecord, DescriptionModelRecord)
+
+	///
+	// Summary.
+	///
+	.summary('Compare Chelsa and WorldClim records that contain the provided point')
+
+	///
+	// Description.
+	///
+	.description(DescriptionComparison + dd`
+
+		The service will compare the Chelsa and WorldClim data records that contain the provided coordinate.
+	`)
+
+/**
+ * Compare Chelsa and WorldClim data contained by the provided geometry.
+ *
+ * This service will compare the averages of the Chelsa and WorldClim records
+ * whose centroids are contained by the provided reference geometry.
+ **/
+router.post('contain', function (req, res)
+{
+	///
+	// Body parameters.
+	///
+	const reference = req.body.geometry
+	const terms = req.body.std_terms || []
+	const months = req.body.months || []
+	const pairs = PeriodPairs(req.body.periods || [])
+	const selection = ComparisonSelections(pairs, terms, months)
+
+	///
+	// Perform service.
+	///
+	try
+	{
+		res.send(
+			CompareRecords(
+				db._query(ChelsaContainsAQL(chelsa_data, chelsa_map, reference, 'AVG', 0, 10, selection.chelsa)).toArray(),
+				db._query(WorldClimContainsAQL(worldclim_data, worldclim_map, reference, 'AVG', 0, 10, selection.worldclim)).toArray(),
+				pairs,
+				terms,
+				months
+			)
+		)
+	}
+	catch (error) {
+		throw error;
+	}
+
+}, 'comparison')
+
+	///
+	// Body parameters schema.
+	///
+	.body(ModelShapeContains, DescriptionModelShape)
+
+	///
+	// Response schema.
+	///
+	.response(ModelRecord, DescriptionModelRecord)
+
+	///
+	// Summary.
+	///
+	.summary('Compare Chelsa and WorldClim records contained by the provided reference geometry')
+
+	///
+	// Description.
+	///
+	.description(DescriptionComparison + dd`
+
+		The service will compare the *averages* of the Chelsa and WorldClim records whose *data bounds centroid* is *fully contained* by the provided *Polygon* or *MultiPolygon* reference geometry.
+	`)
+
+/**
+ * Compare Chelsa and WorldClim data intersecting the provided geometry.
+ *
+ * This service will compare the averages of the Chelsa and WorldClim records
+ * that intersect with the provided reference geometry.
+ **/
+router.post('intersect', function (req, res)
+{
+	///
+	// Body parameters.
+	///
+	const reference = req.body.geometry
+	const terms = req.body.std_terms || []
+	const months = req.body.months || []
+	const pairs = PeriodPairs(req.body.periods || [])
+	const selection = ComparisonSelections(pairs, terms, months)
+
+	///
+	// Perform service.
+	///
+	try
+	{
+		res.send(
+			CompareRecords(
+				db._query(ChelsaIntersectsAQL(chelsa_data, chelsa_map, reference, 'AVG', 0, 10, selection.chelsa)).toArray(),
+				db._query(WorldClimIntersectsAQL(worldclim_data, worldclim_map, reference, 'AVG', 0, 10, selection.worldclim)).toArray(),
+				pairs,
+				terms,
+				months
+			)
+		)
+	}
+	catch (error) {
+		throw error;
+	}
+
+}, 'comparison')
+
+	///
+	// Body parameters schema.
+	///
+	.body(ModelShape, DescriptionModelShape)
+
+	///
+	// Response schema.
+	///
+	.response(ModelRecord, DescriptionModelRecord)
+
+	///
+	// Summary.
+	///
+	.summary('Compare Chelsa and WorldClim records that intersect the provided reference geometry')
+
+	///
+	// Description.
+	///
+	.description(DescriptionComparison + dd`
+
+		The service will compare the *averages* of the Chelsa and WorldClim records whose *data bounds* intersect the provided reference geometry.
+	`)
+
+
+/**
+ * This function will combine the Chelsa and WorldClim query results into the
+ * comparison record.
+ *
+ * Parameters:
+ * - theChelsa {Object[]}: Chelsa query result.
+ * - theWorldClim {Object[]}: WorldClim query result.
+ * - thePairs {Object[]}: Period pairs.
+ * - theTerms {String[]}: Selected descriptors.
+ * - theMonths {Number[]}: Selected months.
+ *
+ * Returns:
+ * - {Object}: The comparison record.
+ */
+function CompareRecords(theChelsa, theWorldClim, thePairs, theTerms, theMonths)
+{
+	const chelsa = (theChelsa.length > 0) ? theChelsa[0] : null
+	const worldclim = (theWorldClim.length > 0) ? theWorldClim[0] : null
+
+	///
+	// Selection summary helper.
+	///
+	const summary = (theRecord) => {
+		if(theRecord === null) {
+			return null
+		}
+		const result = Object.assign({}, theRecord)
+		delete result.properties
+		return result
+	}
+
+	return {
+		chelsa: summary(chelsa),
+		worldclim: summary(worldclim),
+		pairs: CompareProperties(
+			thePairs,
+			(chelsa !== null) ? chelsa.properties : null,
+			(worldclim !== null) ? worldclim.properties : null,
+			theTerms,
+			theMonths
+		)
+	}
+
+} // CompareRecords()
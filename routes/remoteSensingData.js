@@ -16,6 +16,11 @@ const joi = require('joi')
 const {aql, db} = require('@arangodb')
 const createRouter = require('@arangodb/foxx/router')
 
+///
+// Utils.
+///
+const {UnitShapeAreas, UnitRemoteSensingAQL} = require('../utils/unitRemoteSensing')
+
 ///
 // Collections and models.
 ///
@@ -30,6 +35,17 @@ const startDateSchema = joi.string().regex(/^[0-9]+$/).required()
 	.description('The start date expressed as a string in `YYYYMMDD`, `YYYYMM` or `YYYY` format.')
 const endDateSchema = joi.string().regex(/^[0-9]+$/).required()
 	.description('The end date expressed as a string in `YYYYMMDD`, `YYYYMM` or `YYYY` format.')
+const unitIdSchema = joi.string().regex(/^[A-Z]{3}[0-9]{9}$/).required()
+	.description('Unit ID.\nThe value is the `gcu_id_unit-id` of the `UnitShapes` collection record.')
+const startDateQuerySchema = joi.string().regex(/^[0-9]+$/)
+	.description('The start date expressed as a string in `YYYYMMDD`, `YYYYMM` or `YYYY` format, omit for no lower bound.')
+const endDateQuerySchema = joi.string().regex(/^[0-9]+$/)
+	.description('The end date expressed as a string in `YYYYMMDD`, `YYYYMM` or `YYYY` format, omit for no upper bound.')
+const spansQuerySchema = joi.array()
+	.items(joi.string().valid('std_date_span_day', 'std_date_span_month', 'std_date_span_year'))
+	.description('List of *time span codes*, omit to return all time spans.')
+const termsQuerySchema = joi.array().items(joi.string())
+	.description('List of *observation variable names*, omit to return all variables.')
 const ModelDataDescription =
 	'Remote sensing data *combined* by *annual*, *monthly* and *daily* time frame.\n' +
 	'\n' +
@@ -461,3 +477,70 @@ Provide the *geometry ID* of the *unit shape*, the *start* and *end* dates of th
 
 The returned data will only feature the provided variables, if found.
 `)
+
+
+/**
+ * Get remote sensing data of a unit.
+ *
+ * This service will return the area weighted observations of all the
+ * shapes of the provided unit ID, grouped by time span.
+ *
+ * Parameters:
+ * - `:id`: The genetic conservation unit ID.
+ */
+router.get('unit/:id', function (req, res)
+{
+	///
+	// Parameters.
+	///
+	const id = req.pathParams.id
+	const startDate = req.queryParams.startDate || null
+	const endDate = req.queryParams.endDate || null
+	const spans = req.queryParams.std_date_span || []
+	const terms = req.queryParams.std_terms || []
+
+	///
+	// Get unit shapes.
+	///
+	const shapes = UnitShapeAreas(id)
+	if(shapes === null) {
+		res.throw(404, 'Unit not found.')
+	}
+
+	///
+	// Perform service.
+	///
+	let result;
+	try {
+		result = db._query(
+			UnitRemoteSensingAQL(shapes, startDate, endDate, spans, terms)
+		).toArray()
+	}
+
+	///
+	// Handle errors.
+	///
+	catch (error) {
+		throw error;
+	}
+
+	///
+	// Return result.
+	///
+	res.send(result);
+
+}, 'list')
+	.pathParam('id', unitIdSchema)
+	.queryParam('startDate', startDateQuerySchema)
+	.queryParam('endDate', endDateQuerySchema)
+	.queryParam('std_date_span', spansQuerySchema.single())
+	.queryParam('std_terms', termsQuerySchema.single())
+	.response([ModelData], ModelDataDescription)
+	.summary('Get remote sensing data combining all shapes of the provided unit ID, grouped by time span')
+	.description(dd`
+  Retrieves remote sensing data for *all* the *unit shapes* of the provided *unit ID*, combined into a single series.
+
+For each *time span*, *date* and *observation variable*, the values of the unit shapes are *averaged* using the *shape area*, \`geo_shape_area\`, as weight. Only shapes featuring the variable at that date contribute to the average, only numeric values are combined and shapes without area are ignored.
+
+Provide the *unit ID* and, optionally, the *start* and *end* dates, one or more *time span codes* and one or more *observation variable names*; the filters behave as in the unit shape services.
+`)
@@ -0,0 +1,254 @@
+'use strict'
+
+/**
+ * shapeClimate.js
+ *
+ * This script contains the routes for managing the cached climate
+ * aggregations of the unit shapes.
+ */
+
+///
+// Load modules.
+///
+const dd = require('dedent')
+const joi = require('joi')
+const createRouter = require('@arangodb/foxx/router')
+
+///
+// Utils.
+///
+const {
+	ShapeClimateDatasets,
+	ShapeClimateStatus,
+	ShapeClimateSchedule,
+	ShapeClimateInvalidate
+} = require('../utils/shapeClimate')
+
+///
+// Schemas.
+///
+const datasetsSchema = joi.array().items(joi.string().valid(...Object.keys(ShapeClimateDatasets)))
+	.description('List of *datasets*, omit to process all datasets.')
+const hashesSchema = joi.array().items(joi.string().regex(/^[0-9a-f]{32}$/))
+	.description('List of shape *geometry hashes*, omit to process all shapes.')
+const staleSchema = joi.boolean().default(true)
+	.description('Set to `true` to only rebuild *stale* or *missing* records, `false` to rebuild all records.')
+
+///
+// Models.
+///
+const ModelRebuild = joi.object({ datasets: datasetsSchema, hashes: hashesSchema, stale: staleSchema })
+const ModelInvalidate = joi.object({ datasets: datasetsSchema, hashes: hashesSchema })
+const ModelStatus = joi.object({
+	dataset: joi.string().required(),
+	shapes: joi.number().required(),
+	current: joi.number().required(),
+	stale: joi.number().required(),
+	missing: joi.number().required()
+})
+const ModelJobs = joi.object({
+	dataset: joi.string().required(),
+	shapes: joi.number().required(),
+	jobs: joi.number().required()
+})
+const ModelRemoved = joi.object({
+	dataset: joi.string().required(),
+	removed: joi.number().required()
+})
+
+///
+// Descriptions.
+///
+const DescriptionModelStatus = `
+Cache status.
+
+The service will return one record per dataset structured as follows:
+
+- \`dataset\`: The *dataset*, \`chelsa\` or \`worldclim\`.
+- \`shapes\`: The *number of shapes*.
+- \`current\`: The number of shapes whose cache record is *current*.
+- \`stale\`: The number of shapes whose cache record is *stale*, because the shape or the climate data changed after the aggregation.
+- \`missing\`: The number of shapes *without* a cache record.
+`
+const DescriptionModelRebuild = `
+The service body record contains the following properties:
+
+- \`datasets\`: The list of *datasets* to rebuild, omit to rebuild all datasets.
+- \`hashes\`: The list of shape *geometry hashes* to rebuild, omit to rebuild all shapes.
+- \`stale\`: Set to \`true\`, the default, to only rebuild *stale* or *missing* records.
+`
+const DescriptionModelJobs = `
+Scheduled jobs.
+
+The service will return one record per dataset, with the \`dataset\`, the number of \`shapes\` to rebuild and the number of queued \`jobs\`.
+`
+const DescriptionModelInvalidate = `
+The service body record contains the following properties:
+
+- \`datasets\`: The list of *datasets* to invalidate, omit to invalidate all datasets.
+- \`hashes\`: The list of shape *geometry hashes* to invalidate, omit to invalidate all shapes.
+`
+const DescriptionModelRemoved = `
+Removed records.
+
+The service will return one record per dataset, with the \`dataset\` and the number of \`removed\` records.
+`
+
+///
+// Create and export router.
+//
+const router = createRouter()
+module.exports = router
+
+///
+// Tag router.
+///
+router.tag('Climate cache')
+
+
+/**
+ * Return the climate cache status.
+ *
+ * This service will return, for each dataset, the number of shapes whose
+ * cached climate aggregations are current, stale or missing.
+ **/
+router.get('status', function (req, res)
+{
+	///
+	// Perform service.
+	///
+	try
+	{
+		res.send(
+			Object.keys(ShapeClimateDatasets).map(ShapeClimateStatus)
+		)
+	}
+	catch (error) {
+		throw error;
+	}
+
+}, 'status')
+
+	///
+	// Response schema.
+	///
+	.response([ModelStatus], DescriptionModelStatus)
+
+	///
+	// Summary.
+	///
+	.summary('Return the climate cache status')
+
+	///
+	// Description.
+	///
+	.description(dd`
+		The service will return the *number of shapes* whose cached climate aggregations are *current*, *stale* or *missing*, for each dataset.
+	`)
+
+/**
+ * Rebuild the climate cache.
+ *
+ * This service will queue the jobs that compute the cached climate
+ * aggregations of the selected shapes and datasets.
+ **/
+router.post('rebuild', function (req, res)
+{
+	///
+	// Body parameters.
+	///
+	const datasets = req.body.datasets || Object.keys(ShapeClimateDatasets)
+	const hashes = req.body.hashes || []
+	const stale = req.body.stale
+
+	///
+	// Perform service.
+	///
+	try
+	{
+		res.send(
+			ShapeClimateSchedule(datasets, hashes, stale)
+		)
+	}
+	catch (error) {
+		throw error;
+	}
+
+}, 'rebuild')
+
+	///
+	// Body parameters schema.
+	///
+	.body(ModelRebuild, DescriptionModelRebuild)
+
+	///
+	// Response schema.
+	///
+	.response([ModelJobs], DescriptionModelJobs)
+
+	///
+	// Summary.
+	///
+	.summary('Rebuild the climate cache')
+
+	///
+	// Description.
+	///
+	.description(dd`
+		The service will queue the jobs that compute the *cached climate aggregations* of the selected shapes and datasets, each job processes a batch of shapes.
+		By default only *stale* or *missing* records are rebuilt. Stale and missing records are also rebuilt *automatically* by a recurring job, which runs every hour: use this service to refresh the cache right after updating the shapes or the climate data.
+	`)
+
+/**
+ * Invalidate the climate cache.
+ *
+ * This service will remove the cached climate aggregations of the selected
+ * shapes and datasets.
+ **/
+router.post('invalidate', function (req, res)
+{
+	///
+	// Body parameters.
+	///
+	const datasets = req.body.datasets || Object.keys(ShapeClimateDatasets)
+	const hashes = req.body.hashes || []
+
+	///
+	// Perform service.
+	///
+	try
+	{
+		res.send(
+			datasets.map( (dataset) => ({
+				dataset,
+				removed: ShapeClimateInvalidate(dataset, hashes)
+			}))
+		)
+	}
+	catch (error) {
+		throw error;
+	}
+
+}, 'invalidate')
+
+	///
+	// Body parameters schema.
+	///
+	.body(ModelInvalidate, DescriptionModelInvalidate)
+
+	///
+	// Response schema.
+	///
+	.response([ModelRemoved], DescriptionModelRemoved)
+
+	///
+	// Summary.
+	///
+	.summary('Invalidate the climate cache')
+
+	///
+	// Description.
+	///
+	.description(dd`
+		The service will remove the *cached climate aggregations* of the selected shapes and datasets, aggregations will then be computed on request until the cache is rebuilt.
+	`)
@@ -14,6 +14,13 @@ const joi = require('joi')
 const {aql, db} = require('@arangodb')
 const createRouter = require('@arangodb/foxx/router')
 
+///
+// Utils.
+///
+const {ShapeNeighbours, OverlapReport, OverlapReportSchedule} = require('../utils/shapeOverlap')
+const {ShapeTopographyDescriptors, ShapeTopoSearch, ShapeTopoStats} = require('../utils/shapeTopography')
+const {ShapeMetricsRecords} = require('../utils/shapeMetrics')
+
 ///
 // Collections and models.
 ///
@@ -57,6 +64,114 @@ const latSchema = joi.number().min(-90).max(90).required()
 	.description('Coordinate decimal latitude.')
 const lonSchema = joi.number().min(-180).max(180).required()
 	.description('Coordinate decimal longitude.')
+const ModelNeighbour = require('../models/shapeNeighbour')
+const ModelOverlapReport = require('../models/shapeOverlapReport')
+const ModelOverlapJob = joi.object({
+	job: joi.string().allow(null).required()
+})
+const ModelTopoQuery = require('../models/shapeTopoQuery')
+const ModelStats = require('../models/shapeStats')
+const ModelMetrics = require('../models/shapeMetrics')
+const ModelMetricsTarget = joi.object({
+	hashes: joi.array().items(geometryHashSchema).min(1).max(1000).required()
+		.description('List of shape *geometry hashes*.')
+})
+const ModelStatsTarget = joi.object({ geometry: ModelShape.schema.geometry })
+const countriesSchema = joi.array().items(joi.string().regex(/^[A-Z]{3}$/))
+	.description('List of *country codes*, the three letter prefix of the unit number, omit to select all countries.')
+const binsSchema = joi.number().integer().min(1).max(100).default(10)
+	.description('Number of *histogram bins*.')
+const toleranceSchema = joi.number().min(0).max(10000).default(0)
+	.description('Tolerance distance in meters: shapes whose boundaries lie within this distance are also returned.')
+const minRatioSchema = joi.number().min(0).max(1).default(0)
+	.description('Minimum *overlap ratio*, the overlap area divided by the area of the smaller shape.')
+const ShapeNeighbourDescription = `
+Neighbouring shape record.
+
+The record contains the following properties:
+
+- \`geometry_hash\`: The *shape reference*.
+- \`geo_shape_area\`: The *shape area* in square meters.
+- \`relation\`: \`overlap\` if the shapes *share some area*, \`touch\` if they *intersect* without sharing any area, \`near\` if their boundaries lie *within the tolerance distance*.
+- \`overlap_area\`: The *estimated overlap area* in square meters.
+- \`overlap_ratio\`: The *overlap area* divided by the area of the *smaller shape*, \`null\` if the shape areas are missing.
+- \`distance\`: The distance between the shape *boundaries* in meters, \`0\` for intersecting shapes.
+- \`units\`: The *unit numbers* and *unit IDs* featuring the shape.
+`
+const ShapeOverlapReportDescription = `
+Overlapping shapes report.
+
+The record contains the following properties:
+
+- \`total\`: The *total number* of overlapping shape pairs and shared shapes.
+- \`start\`: The start index of the returned pairs.
+- \`limit\`: The maximum number of returned pairs.
+- \`std_date_stamp\`: The *report computation* timestamp, \`null\` if no overlaps are stored.
+- \`items\`: The shape pairs, sorted by decreasing overlap area, each featuring the *estimated overlap area* in square meters, \`overlap_area\`, the overlap area divided by the area of the smaller shape, \`overlap_ratio\`, and the two \`shapes\` with their reference, area and *units*; a shape featured by *several unit numbers* is reported with its single shape.
+`
+const ShapeOverlapJobDescription = `
+Overlaps report rebuild job.
+
+The record contains the \`job\` property, the *queued job ID*, or \`null\` if a rebuild job is already *waiting* or *running*.
+`
+const ShapeTopoQueryDescription = `
+The service body record contains the following properties, all optional:
+
+- \`ranges\`: The *topography ranges*, all of which must be satisfied, by descriptor, each with a \`min\` and/or \`max\` inclusive value:
+  - \`area\`: The *shape area* in square meters.
+  - \`alt\`: The *average elevation* in meters.
+  - \`altsd\`: The *elevation standard deviation* in meters.
+  - \`slope\`: The *average slope* in degrees.
+  - \`aspect\`: The *average aspect* in degrees: if \`min\` is larger than \`max\` the range *wraps around north*, \`315\` to \`45\` selects *north-facing* shapes. Shapes on *flat* terrain, with an aspect of \`-1\`, are never selected by aspect ranges.
+- \`spatial\`: The *spatial filter*, with:
+  - \`operation\`: \`contain\` to select shapes *fully contained* by the geometry, \`intersect\` to select shapes *intersecting* the geometry, \`distance\` to select shapes whose *distance* from the geometry is within \`min\` and \`max\`.
+  - \`geometry\`: The *reference GeoJSON geometry*, which must be a *Polygon* or *MultiPolygon* for \`contain\`.
+  - \`min\` and \`max\`: The *distance range* in meters, for the \`distance\` operation.
+- \`sort\`: The list of *sort keys*, in order of precedence, each with the descriptor, \`by\`, one of the \`ranges\` descriptors or \`distance\`, and the \`order\`, \`ASC\` or \`DESC\`.
+- \`start\`: The start index, defaults to \`0\`.
+- \`limit\`: The number of records, defaults to \`10\`, at most \`1000\`.
+`
+const ShapeStatsDescription = `
+Topography statistics.
+
+The record contains the number of selected shapes, \`count\`, and the following properties, one per topography descriptor:
+
+- \`area\`: The *shape area* in square meters.
+- \`alt\`: The *average elevation* in meters.
+- \`altsd\`: The *elevation standard deviation* in meters.
+- \`slope\`: The *average slope* in degrees.
+- \`aspect\`: The *average aspect* in degrees.
+
+Each descriptor features the number of shapes with a value, \`count\`, the \`min\`, \`max\`, \`mean\` and population standard deviation, \`std\`, the 5th, 25th, 50th, 75th and 95th percentile \`quantiles\` and the \`histogram\`, with the values range, \`min\` and \`max\`, the bin \`width\` and the bin \`counts\`. Descriptors without values are \`null\`.
+
+The aspect also features:
+
+- \`circular\`: The *circular statistics*: the \`mean\` direction in degrees, the mean \`resultant_length\`, from \`0\` for evenly spread aspects to \`1\` for identical aspects, and the circular standard deviation, \`std\`, in degrees.
+- \`sectors\`: The number of shapes by *compass sector*, \`N\`, \`NE\`, \`E\`, \`SE\`, \`S\`, \`SW\`, \`W\` and \`NW\`, each 45 degrees wide and centred on its direction.
+
+Aspect values outside the 0 to 360 degrees range, such as the -1 used for *flat* terrain, are ignored.
+`
+const ShapeMetricsDescription = `
+Shape geometric descriptors.
+
+The record contains the following properties, computed from the shape GeoJSON *geometry*:
+
+- \`geometry_hash\`: The *shape reference*.
+- \`geometry_type\`: The GeoJSON *geometry type*.
+- \`area\`: The *area* in square meters, outer rings minus holes.
+- \`perimeter\`: The total *length* of the rings, or lines, in meters.
+- \`centroid\`: The GeoJSON *Point* of the *centroid*.
+- \`bbox\`: The *bounding box*, with its \`bounds\` as \`[minLon, minLat, maxLon, maxLat]\` and its \`width\`, measured at the middle latitude, and \`height\` in meters.
+- \`convex_hull\`: The GeoJSON *Polygon* of the *convex hull*, \`null\` for less than three distinct points.
+- \`convex_hull_area\`: The *convex hull area* in square meters.
+- \`polsby_popper\`: The *Polsby-Popper compactness*, \`4π * area / perimeter²\`, from close to \`0\` for slivers to \`1\` for a circle, \`null\` for geometries other than polygons.
+- \`parts\`: The number of *polygons*, *lines* or *points*.
+- \`holes\`: The number of polygon *holes*.
+- \`vertices\`: The number of *vertices*, not counting the points closing the rings.
+`
+const ShapeOverlapDescription = `
+The *overlap area* is *estimated* by sampling a 100 by 100 grid covering the intersection of the shapes bounding boxes: intersecting shapes whose overlap is below the sampling resolution are considered *touching*.
+`
 const ShapeRecordDescription = `
 Unit Shape record.
 
@@ -133,6 +248,100 @@ router.get(':hash', function (req, res)
 		The service will return the *shape record* identified by the provided *geometry hash*.
 	`);
 
+/**
+ * Return the geometric descriptors of the shape associated with the provided geometry hash.
+ *
+ * This service will compute the geometric descriptors of the shape
+ * identified by the provided geometry hash.
+ *
+ * Parameters:
+ * - `:hash`: The shape geometry hash.
+ */
+router.get('metrics/:hash', function (req, res)
+{
+	///
+	// Parameters.
+	///
+	const hash = req.pathParams.hash
+
+	///
+	// Perform service.
+	///
+	let result
+	try {
+		result = ShapeMetricsRecords([ hash ])
+	}
+
+	///
+	// Handle errors.
+	///
+	catch (error) {
+		throw error;
+	}
+
+	///
+	// Handle unknown shape.
+	///
+	if(result.length === 0) {
+		res.throw(404, 'Shape not found.')
+	}
+
+	///
+	// Return result.
+	///
+	res.send(result[0]);
+
+}, 'metrics')
+
+	.pathParam('hash', geometryHashSchema)
+	.response(ModelMetrics, ShapeMetricsDescription)
+	.summary('Get geometric descriptors of the shape for the provided geometry hash')
+	.description(dd`
+		The service will return the *perimeter*, *centroid*, *bounding box* dimensions, *convex hull*, *Polsby-Popper compactness*, number of *parts* and *holes* and *vertex count* of the shape identified by the provided *geometry hash*. Use these descriptors to flag *implausible polygons*, such as *slivers*, with a very low compactness, or *digitising errors*, with unexpected parts, holes or vertex counts.
+	`);
+
+/**
+ * Return the geometric descriptors of the shapes associated with the provided geometry hashes.
+ *
+ * This service will compute the geometric descriptors of the shapes
+ * identified by the provided list of geometry hashes.
+ */
+router.post('metrics', function (req, res)
+{
+	///
+	// Parameters.
+	///
+	const hashes = req.body.hashes
+
+	///
+	// Perform service.
+	///
+	let result
+	try {
+		result = ShapeMetricsRecords(hashes)
+	}
+
+	///
+	// Handle errors.
+	///
+	catch (error) {
+		throw error;
+	}
+
+	///
+	// Return result.
+	///
+	res.send(result);
+
+}, 'metrics')
+
+	.body(ModelMetricsTarget, "The list of requested shape *geometry hashes*, up to 1000.")
+	.response([ModelMetrics], ShapeMetricsDescription)
+	.summary('Get geometric descriptors of the shapes for the provided geometry hashes')
+	.description(dd`
+		The service will return the *perimeter*, *centroid*, *bounding box* dimensions, *convex hull*, *Polsby-Popper compactness*, number of *parts* and *holes* and *vertex count* of the shapes identified by the provided *geometry hashes*. Unknown hashes are ignored.
+	`);
+
 /**
  * Return the shape record that intersects the provided point.
  *
@@ -232,7 +441,7 @@ router.get('topo/area/:min/:max/:sort/:start/:limit', function (req, res)
 	const sort = req.pathParams.sort
 	const start = req.pathParams.start
 	const limit = req.pathParams.limit
-	const descriptor = "geo_shape_area"
+	const descriptor = ShapeTopographyDescriptors.area
 
 	///
 	// Perform service.
@@ -301,7 +510,7 @@ router.get('topo/alt/:min/:max/:sort/:start/:limit', function (req, res)
 	const sort = req.pathParams.sort
 	const start = req.pathParams.start
 	const limit = req.pathParams.limit
-	const descriptor = "chr_AvElevation"
+	const descriptor = ShapeTopographyDescriptors.alt
 
 	///
 	// Perform service.
@@ -371,7 +580,7 @@ router.get('topo/altsd/:min/:max/:sort/:start/:limit', function (req, res)
 	const sort = req.pathParams.sort
 	const start = req.pathParams.start
 	const limit = req.pathParams.limit
-	const descriptor = "chr_StdElevation"
+	const descriptor = ShapeTopographyDescriptors.altsd
 
 	///
 	// Perform service.
@@ -440,7 +649,7 @@ router.get('topo/slope/:min/:max/:sort/:start/:limit', function (req, res)
 	const sort = req.pathParams.sort
 	const start = req.pathParams.start
 	const limit = req.pathParams.limit
-	const descriptor = "chr_AvSlope"
+	const descriptor = ShapeTopographyDescriptors.slope
 
 	///
 	// Perform service.
@@ -509,7 +718,7 @@ router.get('topo/aspect/:min/:max/:sort/:start/:limit', function (req, res)
 	const sort = req.pathParams.sort
 	const start = req.pathParams.start
 	const limit = req.pathParams.limit
-	const descriptor = "chr_AvAspect"
+	const descriptor = ShapeTopographyDescriptors.aspect
 
 	///
 	// Perform service.
@@ -555,6 +764,169 @@ router.get('topo/aspect/:min/:max/:sort/:start/:limit', function (req, res)
 		The service will return the *list* of *shape records* whose *aspect* is within the *provided range*.
 	`);
 
+/**
+ * Return all shapes matching the provided topography ranges and spatial filter.
+ *
+ * This service will return the shape records matching all the provided
+ * topography ranges and the optional spatial filter, sorted by the provided
+ * sort keys.
+ */
+router.post('topo', function (req, res)
+{
+	///
+	// Parameters.
+	///
+	const query = req.body
+
+	///
+	// Check ranges.
+	///
+	for(const [key, range] of Object.entries(query.ranges)) {
+		if(key !== 'aspect' && range.min !== undefined && range.max !== undefined && range.min > range.max) {
+			res.throw(400, `The \`${key}\` range minimum is larger than its maximum.`)
+		}
+	}
+
+	///
+	// Check spatial filter.
+	///
+	if(query.spatial !== undefined) {
+		if(query.spatial.operation === 'contain' && !['Polygon', 'MultiPolygon'].includes(query.spatial.geometry.type)) {
+			res.throw(400, 'The `contain` operation requires a Polygon or MultiPolygon geometry.')
+		}
+		if(query.spatial.operation === 'distance' && query.spatial.min > query.spatial.max) {
+			res.throw(400, 'The distance minimum is larger than its maximum.')
+		}
+	}
+	if(query.sort.some( (key) => key.by === 'distance' ) &&
+	   (query.spatial === undefined || query.spatial.operation !== 'distance')) {
+		res.throw(400, 'Sorting by distance requires the `distance` spatial operation.')
+	}
+
+	///
+	// Perform service.
+	///
+	let result
+	try {
+		result = ShapeTopoSearch(query)
+	}
+
+	///
+	// Handle errors.
+	///
+	catch (error) {
+		throw error;
+	}
+
+	///
+	// Return result.
+	///
+	res.send(result);
+
+}, 'list')
+
+	.body(ModelTopoQuery, ShapeTopoQueryDescription)
+	.response([ModelRecord], ShapeRecordDescription)
+	.summary('Get all shapes matching the provided topography ranges and spatial filter')
+	.description(dd`
+		The service will return the *list* of *shape records* matching *all* the provided *topography ranges*, optionally combined with a *spatial filter*, sorted by the provided *sort keys*. For instance, to select *north-facing* shapes *above 1200 meters* with a *slope under 20 degrees*, provide the \`aspect\` range from \`315\` to \`45\`, the \`alt\` range with a \`min\` of \`1200\` and the \`slope\` range with a \`max\` of \`20\`.
+		When using the \`distance\` spatial operation, the records will include the \`distance\`, calculated between the *wgs84 centroids* of the reference geometry and of the shape geometry.
+	`);
+
+/**
+ * Return the topography statistics of the shapes.
+ *
+ * This service will return the topography statistics of all shapes, or of
+ * the shapes of the units of the provided countries.
+ */
+router.get('stats', function (req, res)
+{
+	///
+	// Parameters.
+	///
+	const countries = req.queryParams.countries
+	const bins = req.queryParams.bins
+
+	///
+	// Perform service.
+	///
+	let result
+	try {
+		result = ShapeTopoStats({ countries }, bins)
+	}
+
+	///
+	// Handle errors.
+	///
+	catch (error) {
+		throw error;
+	}
+
+	///
+	// Return result.
+	///
+	res.send(result);
+
+}, 'stats')
+
+	.queryParam('countries', countriesSchema.single())
+	.queryParam('bins', binsSchema)
+	.response(ModelStats, ShapeStatsDescription)
+	.summary('Get topography statistics of all shapes')
+	.description(dd`
+		The service will return the *histograms*, *quantiles*, *means* and, for the aspect, the *circular statistics* and *compass sector* counts of the *topography* of all unit shapes, or of the shapes of the units of the provided *countries*.
+	`);
+
+/**
+ * Return the topography statistics of the shapes intersecting the provided geometry.
+ *
+ * This service will return the topography statistics of the shapes that
+ * intersect the provided reference geometry, optionally restricted to the
+ * shapes of the units of the provided countries.
+ */
+router.post('stats', function (req, res)
+{
+	///
+	// Parameters.
+	///
+	const countries = req.queryParams.countries
+	const bins = req.queryParams.bins
+	const geometry = req.body.geometry
+
+	///
+	// Perform service.
+	///
+	let result
+	try {
+		result = ShapeTopoStats({ countries, geometry }, bins)
+	}
+
+	///
+	// Handle errors.
+	///
+	catch (error) {
+		throw error;
+	}
+
+	///
+	// Return result.
+	///
+	res.send(result);
+
+}, 'stats')
+
+	.queryParam('countries', countriesSchema.single())
+	.queryParam('bins', binsSchema)
+	.body(ModelStatsTarget, "The *reference shape* for the operation: provide  a \
+		*GeoJSON object* representing a *Point*, *MultiPoint*, *LineString*, \
+		*MultiLineString*, *Polygon* or *MultiPolygon*."
+	)
+	.response(ModelStats, ShapeStatsDescription)
+	.summary('Get topography statistics of the shapes intersecting the provided geometry')
+	.description(dd`
+		The service will return the *histograms*, *quantiles*, *means* and, for the aspect, the *circular statistics* and *compass sector* counts of the *topography* of the unit shapes that *intersect* the provided reference geometry, optionally restricted to the shapes of the units of the provided *countries*.
+	`);
+
 /**
  * Return all shapes within the provided distance range.
  *
@@ -761,3 +1133,148 @@ router.post('intersect/:start/:limit', function (req, res)
 		The service will return the *list* of *shape records* intersecting by the provided reference geometry.
 		*Intersecting* is defined such that at least one point in the reference geometry is also in the shape geometry or vice-versa.
 	`)
+
+/**
+ * Return the shapes overlapping, touching or near the provided shape.
+ *
+ * This service will return the shapes that overlap, touch or lie within the
+ * provided tolerance distance from the shape identified by the provided
+ * geometry hash, along with the units featuring them; the shape itself is
+ * returned if it is featured by several unit numbers.
+ *
+ * Parameters:
+ * - `:hash`: The shape geometry hash.
+ **/
+router.get('neighbours/:hash', function (req, res)
+{
+	///
+	// Parameters.
+	///
+	const hash = req.pathParams.hash
+	const tolerance = req.queryParams.tolerance
+
+	///
+	// Perform service.
+	///
+	let result
+	try {
+		result = ShapeNeighbours(hash, tolerance)
+	}
+
+	///
+	// Handle errors.
+	///
+	catch (error) {
+		throw error;
+	}
+
+	///
+	// Handle unknown shape.
+	///
+	if(result === null) {
+		res.throw(404, 'Shape not found.')
+	}
+
+	///
+	// Return result.
+	///
+	res.send(result);
+
+}, 'list')
+
+	.pathParam('hash', geometryHashSchema)
+	.queryParam('tolerance', toleranceSchema)
+	.response([ModelNeighbour], ShapeNeighbourDescription)
+	.summary('Get shapes overlapping, touching or near the provided shape')
+	.description(dd`
+		The service will return the *list* of shapes that *overlap*, *touch* or lie *within the tolerance distance* from the shape identified by the provided *geometry hash*, along with the *units* featuring them; the shape itself is returned as *overlapping* if it is featured by several *unit numbers*. Shapes are sorted by relation, decreasing overlap area and increasing distance.
+	` + '\n\n' + ShapeOverlapDescription);
+
+/**
+ * Return the overlapping shapes of different units.
+ *
+ * This service will return the pairs of overlapping shapes that do not share
+ * any unit number, and the shapes featured by several unit numbers, sorted
+ * by decreasing overlap area.
+ *
+ * Parameters:
+ * - `:start`: The start index.
+ * - `:limit`: The number of records.
+ **/
+router.get('overlaps/:start/:limit', function (req, res)
+{
+	///
+	// Parameters.
+	///
+	const start = req.pathParams.start
+	const limit = req.pathParams.limit
+	const ratio = req.queryParams.min_ratio
+
+	///
+	// Perform service.
+	///
+	let result
+	try {
+		result = OverlapReport(start, limit, ratio)
+	}
+
+	///
+	// Handle errors.
+	///
+	catch (error) {
+		throw error;
+	}
+
+	///
+	// Return result.
+	///
+	res.send(result);
+
+}, 'list')
+
+	.pathParam('start', startLimitSchema)
+	.pathParam('limit', itemsLimitSchema)
+	.queryParam('min_ratio', minRatioSchema)
+	.response(ModelOverlapReport, ShapeOverlapReportDescription)
+	.summary('Get overlapping shapes of different units')
+	.description(dd`
+		The service will return the *pairs* of *Polygon* and *MultiPolygon* shapes that *overlap* and do *not share* any *unit number*, sorted by decreasing overlap area, along with the shapes *shared* by several unit numbers; use it to detect *duplicated* or *overlapping* unit shapes submitted by different countries. Use \`min_ratio\` to only report pairs whose overlap covers at least that fraction of the smaller shape.
+
+The report is *stored*: it is computed by the job queued by the \`overlaps/rebuild\` service, the \`std_date_stamp\` property tells when.
+	` + '\n\n' + ShapeOverlapDescription);
+
+/**
+ * Rebuild the overlapping shapes report.
+ *
+ * This service will queue the job that computes the overlapping shapes of
+ * different units and stores the report served by the overlaps service.
+ **/
+router.post('overlaps/rebuild', function (req, res)
+{
+	///
+	// Perform service.
+	///
+	let result
+	try {
+		result = OverlapReportSchedule()
+	}
+
+	///
+	// Handle errors.
+	///
+	catch (error) {
+		throw error;
+	}
+
+	///
+	// Return result.
+	///
+	res.send({ job: result });
+
+}, 'rebuild')
+
+	.response(ModelOverlapJob, ShapeOverlapJobDescription)
+	.summary('Rebuild the overlapping shapes report')
+	.description(dd`
+		The service will queue the job that *scans* the whole shapes collection for *overlapping* shapes of *different units* and *replaces* the stored report served by the \`overlaps\` service. The job is not queued if a previous rebuild job is still *waiting* or *running*.
+	`);
@@ -14,6 +14,17 @@ const joi = require('joi')
 const {aql, db} = require('@arangodb')
 const createRouter = require('@arangodb/foxx/router')
 
+///
+// Utils.
+///
+const {DescriptorTerms, DescriptorPeriods} = require('../utils/climateAggregateAQL')
+const {ShapeClimateDatasets} = require('../utils/shapeClimate')
+const {UnitRecord, UnitLatestId, UnitClimate, ShapeClimate} = require('../utils/unitClimate')
+const {UnitDossier} = require('../utils/unitDossier')
+const {UnitSheet} = require('../utils/unitSheet')
+const {UnitList, UnitLocate} = require('../utils/unitCatalogue')
+const {UnitHistory} = require('../utils/unitHistory')
+
 ///
 // Collections and models.
 ///
@@ -27,6 +38,48 @@ const unitIdSchema = joi.string().regex(/[A-Z]{3}[0-9]{9}/).required()
 	.description('Unit number identifier.')
 const unitNumberSchema = joi.string().regex(/[A-Z]{3}[0-9]{5}/).required()
 	.description('Unit number identifier.')
+const ModelClimateRecord = require('../models/unitClimate')
+const ModelDossierRecord = require('../models/unitDossier')
+const ModelListRecord = require('../models/unitList')
+const ModelHistoryRecord = require('../models/unitHistory')
+const ModelContainer = require('../models/containerTarget')
+const ModelShape = require('../models/shapeAll')
+const latSchema = joi.number().min(-90).max(90).required()
+	.description('Coordinate decimal latitude.')
+const lonSchema = joi.number().min(-180).max(180).required()
+	.description('Coordinate decimal longitude.')
+const latestSchema = joi.boolean().default(false)
+	.description('Set to `true` to only return the *most recent unit ID* of each unit number.')
+const countriesSchema = joi.array().items(joi.string().regex(/^[A-Z]{3}$/))
+	.description('List of *country codes*, the three letter prefix of the unit number, omit to select all countries.')
+const startYearSchema = joi.string().regex(/^[0-9]{4}$/)
+	.description('Minimum data *collection date*, inclusive, expressed as a string in `YYYY` format.')
+const endYearSchema = joi.string().regex(/^[0-9]{4}$/)
+	.description('Maximum data *collection date*, inclusive, expressed as a string in `YYYY` format.')
+const bboxSchema = joi.array().items(joi.number()).length(4)
+	.description('Bounding box as `min longitude`, `min latitude`, `max longitude` and `max latitude`: select units with at least one shape intersecting the box.')
+const hasRemoteSensingSchema = joi.boolean()
+	.description('Set to `true` to select units with *remote sensing data*, `false` to select units without; omit to select all units.')
+const listStartSchema = joi.number().integer().min(0).default(0)
+	.description('Start index for results list, 0 is first.')
+const listLimitSchema = joi.number().integer().min(1).max(1000).default(25)
+	.description('Number of records to return, if found, at most 1000.')
+const climateWhatSchema = joi.string().valid('AVG', 'STD', 'VAR').default('AVG')
+	.description('The area weighted *aggregation*: `AVG` mean, `STD` standard deviation or `VAR` variance.')
+const climateDatasetsSchema = joi.array().items(joi.string().valid(...Object.keys(ShapeClimateDatasets)))
+	.description('List of climate *datasets*, `chelsa` and `worldclim`, omit to return all datasets.')
+const climateTermsSchema = joi.array().items(joi.string().valid(...new Set(
+	Object.values(ShapeClimateDatasets).flatMap( (dataset) => DescriptorTerms(dataset.descriptor) )
+)))
+	.description('List of *descriptors* to return, omit to return all descriptors.')
+const climatePeriodsSchema = joi.array().items(joi.string().valid(...new Set(
+	Object.values(ShapeClimateDatasets).flatMap( (dataset) => DescriptorPeriods(dataset.descriptor) )
+)))
+	.description('List of *periods* to return, omit to return all periods.')
+const climateMonthsSchema = joi.array().items(joi.number().integer().min(1).max(12))
+	.description('List of *months*, `1` to `12`, of the `std_date_span_month` records to return, omit to return all months.')
+const climateBreakdownSchema = joi.boolean().default(false)
+	.description('Set to `true` to also return the aggregation of *each shape*.')
 const UnitRecordDescription = `
 Genetic Conservation Unit record.
 
@@ -49,6 +102,63 @@ The record contains the *combination* of these three properties:
 - \`gcu_id_unit-id\`: The *unit ID*, which is the *unit number* postfixed with the *date* when the *data* was *collected in the field*.
 - \`geometry_hash_list\`: The *list* of *unit shape references* associated with the *unit ID*.
 `
+const UnitClimateRecordDescription = `
+Genetic Conservation Unit climate record.
+
+The record contains the following properties:
+
+- \`gcu_id_number\`: The *unit number*.
+- \`gcu_id_unit-id\`: The *unit ID*.
+- \`geometry_hash_list\`: The *list* of *unit shape references* associated with the *unit ID*.
+- \`climate\`: The *area weighted aggregation* of each dataset, \`chelsa\` and \`worldclim\`, over the *union* of the unit shapes: each record features the number of climate records, \`count\`, the effective covered area in square meters, \`area\`, the sum of covered fractions, \`weight\`, and the aggregated \`properties\`; \`null\` if the shapes cover no climate records.
+- \`shapes\`: The *per shape breakdown*, only provided if requested: each element features the shape \`geometry_hash\` and its \`climate\` aggregations.
+`
+const UnitClimateDescription = `
+The service will aggregate the Chelsa and WorldClim data over the *union* of the unit shapes: each climate record is weighted by the *fraction* of its data bounds covered by the shapes, areas covered by overlapping shapes are only counted once. Only *Polygon* and *MultiPolygon* shapes are considered.
+
+Set \`breakdown\` to also return the aggregation of *each shape*, these are served from the *climate cache*, if current.
+`
+const UnitDossierRecordDescription = `
+Genetic Conservation Unit dossier.
+
+The record contains the following properties:
+
+- \`gcu_id_number\`: The *unit number*.
+- \`gcu_id_unit-id\`: The *unit ID*.
+- \`gcu_id_unit-id_list\`: The list of *unit IDs* related to the *unit number*.
+- \`geometry_hash_list\`: The *list* of *unit shape references* associated with the *unit ID*.
+- \`geometry_point\`: The GeoJSON *centroid* of the unit shapes, \`null\` if the shapes have no geometry.
+- \`shapes\`: The unit shapes, each featuring its \`geometry_hash\`, \`geometry\`, \`geometry_bounds\` and \`topography\` properties.
+- \`climate\`: The *area weighted average* of each dataset, \`chelsa\` and \`worldclim\`, over the *union* of the unit shapes, \`null\` if the shapes cover no climate records.
+- \`drought\`: The *drought observatory metadata* at the unit centroid: the number of observations, \`count\`, the date range, \`std_date_start\` and \`std_date_end\`, and the variables, \`std_terms\`; \`null\` if there is no data.
+- \`remote_sensing\`: The *remote sensing metadata* of each shape: the shape \`geometry_hash\` and the \`spans\` summary, one record per time span with variables, date range and number of observations.
+- \`occurrences\`: The *species occurrences* intersecting any of the unit shapes: their number, \`count\`, the sorted list of their species, \`species_list\`, and the first 100 *occurrence records*, \`items\`.
+`
+const UnitListRecordDescription = `
+Genetic Conservation Unit list.
+
+The record contains the following properties:
+
+- \`total\`: The *total number* of units matching the filters.
+- \`start\`: The start index of the returned units.
+- \`limit\`: The maximum number of returned units.
+- \`items\`: The list of units, sorted by unit number, data collection date and unit ID, each featuring the *unit number*, \`gcu_id_number\`, the *unit ID*, \`gcu_id_unit-id\`, the *data collection date*, \`std_date\`, and the list of *unit shape references*, \`geometry_hash_list\`.
+`
+const UnitListDescription = `
+The *country* is the three letter prefix of the unit number, the *data collection date* is the four digit postfix of the unit ID. Units are selected by *location* if at least one of their shapes *intersects* the reference geometry, and by *remote sensing data* if at least one of their shapes has remote sensing data.
+`
+const UnitHistoryRecordDescription = `
+Genetic Conservation Unit version history.
+
+The record contains the following properties:
+
+- \`gcu_id_number\`: The *unit number*.
+- \`versions\`: The *unit IDs* in chronological order, each featuring the *unit ID*, \`gcu_id_unit-id\`, the *data collection date*, \`std_date\`, the list of *unit shape references*, \`geometry_hash_list\`, the total *shape area* in square meters, \`geo_shape_area\`, and the GeoJSON *centroid* of the shapes, \`geometry_point\`.
+- \`changes\`: The changes between *consecutive versions*, each featuring the previous and current unit IDs, \`from\` and \`to\`, the \`added\`, \`removed\` and \`unchanged\` shape references, the *area difference* in square meters, \`area_difference\`, the *intersection over union* of the version shapes, \`iou\`, and the *centroid shift* in meters, \`centroid_shift\`.
+`
+const UnitLocateDescription = `
+A unit is returned if at least one of its shapes intersects the reference geometry: the *geometry_hash_list* property only lists the *intersecting shapes*. If \`latest\` is set, only the *most recent unit ID* of each *unit number* is considered: units whose intersecting shapes only belong to previous versions are not returned.
+`
 const UnitNumberRecordDescription = `
 Genetic Conservation Unit number record.
 
@@ -70,6 +180,225 @@ module.exports = router
 router.tag('Units')
 
 
+/**
+ * List units.
+ *
+ * This service will return the paginated list of units matching the
+ * provided country, data collection date, bounding box and remote sensing
+ * data filters.
+ */
+router.get('/', function (req, res)
+{
+	///
+	// Parameters.
+	///
+	const bbox = req.queryParams.bbox
+	if(bbox !== undefined && (bbox[0] >= bbox[2] || bbox[1] >= bbox[3])) {
+		res.throw(400, 'Invalid bounding box.')
+	}
+
+	///
+	// Perform service.
+	///
+	let result;
+	try {
+		result = UnitList(
+			{
+				countries: req.queryParams.countries,
+				startDate: req.queryParams.startDate,
+				endDate: req.queryParams.endDate,
+				geometry: (bbox !== undefined)
+					? {
+						type: 'Polygon',
+						coordinates: [ [
+							[ bbox[0], bbox[1] ], [ bbox[2], bbox[1] ],
+							[ bbox[2], bbox[3] ], [ bbox[0], bbox[3] ],
+							[ bbox[0], bbox[1] ]
+						] ]
+					}
+					: null,
+				has_rs: req.queryParams.has_rs
+			},
+			req.queryParams.start,
+			req.queryParams.limit
+		)
+	}
+
+	///
+	// Handle errors.
+	///
+	catch (error) {
+		throw error;
+	}
+
+	///
+	// Return result.
+	///
+	res.send(result);
+
+}, 'list')
+
+	.queryParam('countries', countriesSchema.single())
+	.queryParam('startDate', startYearSchema)
+	.queryParam('endDate', endYearSchema)
+	.queryParam('bbox', bboxSchema)
+	.queryParam('has_rs', hasRemoteSensingSchema)
+	.queryParam('start', listStartSchema)
+	.queryParam('limit', listLimitSchema)
+	.response(ModelListRecord, UnitListRecordDescription)
+	.summary('List units')
+	.description(dd`
+		The service will return the *paginated list* of units matching the provided *countries*, *data collection date range*, *bounding box* and *remote sensing data* filters, along with the *total* number of matching units.
+	` + '\n\n' + UnitListDescription);
+
+/**
+ * List units intersecting a geometry.
+ *
+ * This service will return the paginated list of units with at least one
+ * shape intersecting the provided geometry, matching the provided country,
+ * data collection date and remote sensing data filters.
+ */
+router.post('/', function (req, res)
+{
+	///
+	// Perform service.
+	///
+	let result;
+	try {
+		result = UnitList(
+			{
+				countries: req.queryParams.countries,
+				startDate: req.queryParams.startDate,
+				endDate: req.queryParams.endDate,
+				geometry: req.body.geometry,
+				has_rs: req.queryParams.has_rs
+			},
+			req.queryParams.start,
+			req.queryParams.limit
+		)
+	}
+
+	///
+	// Handle errors.
+	///
+	catch (error) {
+		throw error;
+	}
+
+	///
+	// Return result.
+	///
+	res.send(result);
+
+}, 'list')
+
+	.queryParam('countries', countriesSchema.single())
+	.queryParam('startDate', startYearSchema)
+	.queryParam('endDate', endYearSchema)
+	.queryParam('has_rs', hasRemoteSensingSchema)
+	.queryParam('start', listStartSchema)
+	.queryParam('limit', listLimitSchema)
+	.body(ModelContainer, "`geometry` represents the *reference shape* for the operation: provide a *GeoJSON object* representing a *Polygon* or *MultiPolygon*.")
+	.response(ModelListRecord, UnitListRecordDescription)
+	.summary('List units intersecting the provided geometry')
+	.description(dd`
+		The service will return the *paginated list* of units with at least one shape *intersecting* the provided *reference geometry* and matching the provided *countries*, *data collection date range* and *remote sensing data* filters, along with the *total* number of matching units.
+	` + '\n\n' + UnitListDescription);
+
+/**
+ * Return the units featuring shapes that contain the provided point.
+ *
+ * This service will return the unit numbers and IDs whose shapes intersect
+ * the provided coordinate, along with the matching shapes.
+ *
+ * Parameters:
+ * - `:lat`: The latitude.
+ * - `:lon`: The longitude.
+ */
+router.get('click/:lat/:lon', function (req, res)
+{
+	///
+	// Parameters.
+	///
+	const lat = req.pathParams.lat
+	const lon = req.pathParams.lon
+
+	///
+	// Perform service.
+	///
+	let result;
+	try {
+		result = UnitLocate(
+			{ type: 'Point', coordinates: [ lon, lat ] },
+			req.queryParams.latest
+		)
+	}
+
+	///
+	// Handle errors.
+	///
+	catch (error) {
+		throw error;
+	}
+
+	///
+	// Return result.
+	///
+	res.send(result);
+
+}, 'list')
+
+	.pathParam('lat', latSchema)
+	.pathParam('lon', lonSchema)
+	.queryParam('latest', latestSchema)
+	.response([ModelIdRecord], UnitIdRecordDescription)
+	.summary('Get units whose shapes intersect the provided coordinate')
+	.description(dd`
+		The service will return the *unit numbers* and *unit IDs* whose *shapes* intersect the *provided coordinate*, along with the list of *matching shapes*.
+	` + '\n\n' + UnitLocateDescription);
+
+/**
+ * Return the units featuring shapes that intersect the provided geometry.
+ *
+ * This service will return the unit numbers and IDs whose shapes intersect
+ * the provided reference geometry, along with the matching shapes.
+ */
+router.post('intersect', function (req, res)
+{
+	///
+	// Perform service.
+	///
+	let result;
+	try {
+		result = UnitLocate(req.body.geometry, req.queryParams.latest)
+	}
+
+	///
+	// Handle errors.
+	///
+	catch (error) {
+		throw error;
+	}
+
+	///
+	// Return result.
+	///
+	res.send(result);
+
+}, 'list')
+
+	.queryParam('latest', latestSchema)
+	.body(ModelShape, "The *reference shape* for the operation: provide a \
+		*GeoJSON object* representing a *Point*, *MultiPoint*, *LineString*, \
+		*MultiLineString*, *Polygon* or *MultiPolygon*."
+	)
+	.response([ModelIdRecord], UnitIdRecordDescription)
+	.summary('Get units whose shapes intersect the provided reference geometry')
+	.description(dd`
+		The service will return the *unit numbers* and *unit IDs* whose *shapes* intersect the *provided reference geometry*, along with the list of *matching shapes*.
+		*Intersecting* is defined such that at least one point in the reference geometry is also in the shape geometry or vice-versa.
+	` + '\n\n' + UnitLocateDescription);
+
 /**
  * Given unit number return corresponding unit IDs.
  *
@@ -225,3 +554,330 @@ router.get('rec/:shape', function (req, res)
 	.description(dd`
 		The service will return the *unit number* and *unit ID* related to the provided *unit shape reference*.
 	`);
+
+/**
+ * Given unit number return the unit version history.
+ *
+ * This service will return the unit IDs related to the provided unit number
+ * in chronological order, along with the shape changes between consecutive
+ * versions.
+ *
+ * Parameters:
+ * - `:num`: The genetic conservation unit number.
+ */
+router.get('history/:num', function (req, res)
+{
+	///
+	// Parameters.
+	///
+	const num = req.pathParams.num
+
+	///
+	// Perform service.
+	///
+	let result;
+	try {
+		result = UnitHistory(num)
+	}
+
+	///
+	// Handle errors.
+	///
+	catch (error) {
+		throw error;
+	}
+
+	///
+	// Handle unknown unit.
+	///
+	if(result === null) {
+		res.throw(404, 'Unit not found.')
+	}
+
+	///
+	// Return result.
+	///
+	res.send(result);
+
+}, 'history')
+
+	.pathParam('num', unitNumberSchema)
+	.response(ModelHistoryRecord, UnitHistoryRecordDescription)
+	.summary('Get the version history of the provided unit number')
+	.description(dd`
+		The service will return all *unit IDs* related to the *provided unit number* in *chronological order* of data collection date, along with the *shape changes* between *consecutive versions*: the added and removed shapes, the area difference, the overlap and the centroid shift.
+
+The version *area* is the sum of the \`geo_shape_area\` of its shapes. The *overlap* is the *intersection over union* of the *Polygon* and *MultiPolygon* shapes of both versions, *estimated* by sampling a 100 by 100 grid covering the bounding box shared by both versions, the union being the sum of the version areas minus the intersection; it is \`null\` if either version has no polygons. The *centroid shift* is the great circle distance between the version centroids.
+	`);
+
+/**
+ * Given unit ID return the unit dossier.
+ *
+ * This service will return a single document combining the unit records,
+ * the unit shapes, their climate, the drought observatory metadata, the
+ * remote sensing metadata and the species occurrences of the unit.
+ *
+ * Parameters:
+ * - `:id`: The genetic conservation unit ID.
+ */
+router.get('dossier/:id', function (req, res)
+{
+	///
+	// Parameters.
+	///
+	const id = req.pathParams.id
+
+	///
+	// Perform service.
+	///
+	let result;
+	try {
+		result = UnitDossier(id)
+	}
+
+	///
+	// Handle errors.
+	///
+	catch (error) {
+		throw error;
+	}
+
+	///
+	// Handle unknown unit.
+	///
+	if(result === null) {
+		res.throw(404, 'Unit not found.')
+	}
+
+	///
+	// Return result.
+	///
+	res.send(result);
+
+}, 'dossier')
+
+	.pathParam('id', unitIdSchema)
+	.response(ModelDossierRecord, UnitDossierRecordDescription)
+	.summary('Get the dossier of the provided unit ID')
+	.description(dd`
+		The service will return a *single document* combining all the information related to the *provided unit ID*: the *unit number* and its *unit IDs*, the *shapes* with their *geometry* and *topography*, the *Chelsa* and *WorldClim* area weighted averages over the unit shapes, the *drought observatory metadata* at the unit centroid, the *remote sensing metadata* of each shape and the *species occurrences* intersecting the unit.
+	`);
+
+/**
+ * Given unit ID return the unit fact sheet.
+ *
+ * This service will return the printable HTML fact sheet of the provided
+ * unit ID, compiled from the unit dossier.
+ *
+ * Parameters:
+ * - `:id`: The genetic conservation unit ID.
+ */
+router.get('sheet/:id', function (req, res)
+{
+	///
+	// Parameters.
+	///
+	const id = req.pathParams.id
+
+	///
+	// Perform service.
+	///
+	let result;
+	try {
+		result = UnitDossier(id)
+	}
+
+	///
+	// Handle errors.
+	///
+	catch (error) {
+		throw error;
+	}
+
+	///
+	// Handle unknown unit.
+	///
+	if(result === null) {
+		res.throw(404, 'Unit not found.')
+	}
+
+	///
+	// Return result.
+	///
+	res.set('content-type', 'text/html; charset=utf-8')
+	res.send(UnitSheet(result));
+
+}, 'sheet')
+
+	.pathParam('id', unitIdSchema)
+	.response(['text/html'], 'The unit fact sheet HTML page.')
+	.summary('Get the printable fact sheet of the provided unit ID')
+	.description(dd`
+		The service will return a *self-contained HTML page* describing the *provided unit ID*, which can be printed to PDF from a browser. The page features the *outline* of the unit shapes, their *topography*, the *Chelsa* and *WorldClim* climate of *all periods*, a *monthly climate chart* of each dataset baseline and the availability of *remote sensing*, *drought observatory* and *species occurrence* data.
+	`);
+
+/**
+ * Given unit ID return the unit climate.
+ *
+ * This service will return the area weighted Chelsa and WorldClim
+ * aggregation over the union of the shapes of the provided unit ID.
+ *
+ * Parameters:
+ * - `:id`: The genetic conservation unit ID.
+ */
+router.get('climate/:id', function (req, res)
+{
+	///
+	// Parameters.
+	///
+	const id = req.pathParams.id
+
+	///
+	// Perform service.
+	///
+	let result;
+	try {
+		result = UnitClimateRecord(id, req.queryParams, res)
+	}
+
+	///
+	// Handle errors.
+	///
+	catch (error) {
+		throw error;
+	}
+
+	///
+	// Return result.
+	///
+	res.send(result);
+
+}, 'climate')
+
+	.pathParam('id', unitIdSchema)
+	.queryParam('what', climateWhatSchema)
+	.queryParam('datasets', climateDatasetsSchema.single())
+	.queryParam('std_terms', climateTermsSchema.single())
+	.queryParam('periods', climatePeriodsSchema.single())
+	.queryParam('months', climateMonthsSchema.single())
+	.queryParam('breakdown', climateBreakdownSchema)
+	.response(ModelClimateRecord, UnitClimateRecordDescription)
+	.summary('Get climate of the provided unit ID')
+	.description(UnitClimateDescription);
+
+/**
+ * Given unit number return the unit climate.
+ *
+ * This service will return the area weighted Chelsa and WorldClim
+ * aggregation over the union of the shapes of the most recent unit ID
+ * related to the provided unit number.
+ *
+ * Parameters:
+ * - `:num`: The genetic conservation unit number.
+ */
+router.get('climate/number/:num', function (req, res)
+{
+	///
+	// Parameters.
+	///
+	const id = UnitLatestId(req.pathParams.num)
+	if(id === null) {
+		res.throw(404, 'Unit not found.')
+	}
+
+	///
+	// Perform service.
+	///
+	let result;
+	try {
+		result = UnitClimateRecord(id, req.queryParams, res)
+	}
+
+	///
+	// Handle errors.
+	///
+	catch (error) {
+		throw error;
+	}
+
+	///
+	// Return result.
+	///
+	res.send(result);
+
+}, 'climate')
+
+	.pathParam('num', unitNumberSchema)
+	.queryParam('what', climateWhatSchema)
+	.queryParam('datasets', climateDatasetsSchema.single())
+	.queryParam('std_terms', climateTermsSchema.single())
+	.queryParam('periods', climatePeriodsSchema.single())
+	.queryParam('months', climateMonthsSchema.single())
+	.queryParam('breakdown', climateBreakdownSchema)
+	.response(ModelClimateRecord, UnitClimateRecordDescription)
+	.summary('Get climate of the latest unit ID of the provided unit number')
+	.description(dd`
+		The service will use the *most recent unit ID* related to the provided *unit number*, that is, the one with the most recent data collection date.
+	` + '\n\n' + UnitClimateDescription);
+
+
+/**
+ * This function will return the climate record of the provided unit ID.
+ *
+ * If the unit does not exist, the function will respond with a 404 error.
+ *
+ * Parameters:
+ * - theId {String}: Unit ID.
+ * - theParameters {Object}: `what`, `datasets`, `std_terms`, `periods`, `months` and `breakdown`.
+ * - theResponse {Object}: Service response.
+ *
+ * Returns:
+ * - {Object}: The unit climate record.
+ */
+function UnitClimateRecord(theId, theParameters, theResponse)
+{
+	///
+	// Get unit.
+	///
+	const unit = UnitRecord(theId)
+	if(unit === null) {
+		theResponse.throw(404, 'Unit not found.')
+	}
+
+	///
+	// Resolve parameters.
+	///
+	const datasets = theParameters.datasets || Object.keys(ShapeClimateDatasets)
+	const selection = {
+		std_terms: theParameters.std_terms,
+		periods: theParameters.periods,
+		months: theParameters.months
+	}
+	const climate = (theCompute) => datasets.reduce( (result, dataset) => {
+		result[dataset] = theCompute(dataset)
+		return result
+	}, {})
+
+	///
+	// Aggregate.
+	///
+	const record = {
+		gcu_id_number: unit.gcu_id_number,
+		'gcu_id_unit-id': unit['gcu_id_unit-id'],
+		geometry_hash_list: unit.shapes.map( (shape) => shape.geometry_hash ),
+		climate: climate( (dataset) =>
+			UnitClimate(dataset, unit.shapes, theParameters.what, selection)
+		)
+	}
+	if(theParameters.breakdown) {
+		record.shapes = unit.shapes.map( (shape) => ({
+			geometry_hash: shape.geometry_hash,
+			climate: climate( (dataset) =>
+				ShapeClimate(dataset, shape, theParameters.what, selection)
+			)
+		}))
+	}
+
+	return record
+
+} // UnitClimateRecord()
@@ -6,6 +6,7 @@
 const {db} = require('@arangodb')
 const {context} = require('@arangodb/locals')
 const {documentCollections, edgeCollections} = require('../constants')
+const {ShapeClimateRefresh} = require('../utils/shapeClimate')
 
 ///
 // Create document collections.
@@ -25,6 +26,8 @@ for (const [key, collection] of Object.entries(documentCollections)) {
 			case 'chelsa_map':
 			case 'climate':
 			case 'climate_map':
+			case 'drought_observatory_map':
+			case 'species_occurrences':
 			case 'worldclim':
 			case 'worldclim_map':
 			case 'shapes':
@@ -35,6 +38,13 @@ for (const [key, collection] of Object.entries(documentCollections)) {
 				})
 				break;
 
+			case 'drought_observatory':
+				coll.ensureIndex({
+					type: 'persistent',
+					fields: ['geometry_hash', 'std_date']
+				})
+				break;
+
 			case 'unit_shapes':
 				coll.ensureIndex({
 					type: 'persistent',
@@ -42,6 +52,20 @@ for (const [key, collection] of Object.entries(documentCollections)) {
 				})
 				break;
 
+			case 'shape_climate':
+				coll.ensureIndex({
+					type: 'persistent',
+					fields: ['dataset', 'geometry_hash']
+				})
+				break;
+
+			case 'shape_overlaps':
+				coll.ensureIndex({
+					type: 'persistent',
+					fields: ['overlap_area']
+				})
+				break;
+
 			case 'shape_data':
 				coll.ensureIndex({
 					type: 'persistent',
@@ -72,3 +96,8 @@ for (const [key, collection] of Object.entries(edgeCollections)) {
 		console.debug(`collection ${collection} already exists. Leaving it untouched.`)
 	}
 }
+
+///
+// Register the climate cache refresh job.
+///
+ShapeClimateRefresh()
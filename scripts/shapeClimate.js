@@ -0,0 +1,19 @@
+'use strict'
+
+///
+// Load modules.
+///
+const {context} = require('@arangodb/locals')
+const {ShapeClimateBuild} = require('../utils/shapeClimate')
+
+///
+// Get job parameters: the dataset and the shape geometry hashes.
+///
+const {dataset, hashes} = context.argv[0]
+
+///
+// Build cache records.
+///
+hashes.forEach( (hash) => {
+	ShapeClimateBuild(dataset, hash)
+})
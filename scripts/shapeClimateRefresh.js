@@ -0,0 +1,18 @@
+'use strict'
+
+///
+// Load modules.
+///
+const {
+	ShapeClimateDatasets,
+	ShapeClimateBusy,
+	ShapeClimateSchedule
+} = require('../utils/shapeClimate')
+
+///
+// Queue the rebuild of stale and missing records,
+// unless the previous rebuild jobs are still waiting or running.
+///
+if(!ShapeClimateBusy()) {
+	ShapeClimateSchedule(Object.keys(ShapeClimateDatasets), [], true)
+}
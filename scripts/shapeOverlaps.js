@@ -0,0 +1,11 @@
+'use strict'
+
+///
+// Load modules.
+///
+const {OverlapReportBuild} = require('../utils/shapeOverlap')
+
+///
+// Build the overlapping shapes report.
+///
+OverlapReportBuild()
@@ -5,6 +5,12 @@
 ///
 const {db} = require('@arangodb')
 const {documentCollections, edgeCollections} = require('../constants')
+const {ShapeClimateRefresh} = require('../utils/shapeClimate')
+
+///
+// Remove the climate cache refresh job.
+///
+ShapeClimateRefresh(false)
 
 ///
 // Drop collections.
@@ -0,0 +1,65 @@
+/*global describe, it */
+'use strict';
+const { expect } = require('chai');
+const { DistanceMatrix, InverseMatrix } = require('../utils/climateAnalogues');
+
+const expectMatrix = (actual, expected) => {
+  expect(actual).to.have.lengthOf(expected.length);
+  actual.forEach((row, i) => row.forEach((value, j) => {
+    expect(value).to.be.closeTo(expected[i][j], 1e-9);
+  }));
+};
+
+describe('InverseMatrix', function () {
+  it('inverts a square matrix', function () {
+    const matrix = [[4, 7, 2], [3, 6, 1], [2, 5, 3]];
+    const inverse = InverseMatrix(matrix);
+    const product = matrix.map((row) =>
+      inverse[0].map((value, j) => row.reduce((sum, item, k) => sum + (item * inverse[k][j]), 0))
+    );
+    expectMatrix(product, [[1, 0, 0], [0, 1, 0], [0, 0, 1]]);
+  });
+
+  it('pivots on zero diagonal values', function () {
+    expectMatrix(InverseMatrix([[0, 1], [1, 0]]), [[0, 1], [1, 0]]);
+  });
+
+  it('returns null for singular matrices', function () {
+    expect(InverseMatrix([[1, 2], [2, 4]])).to.equal(null);
+  });
+});
+
+describe('DistanceMatrix', function () {
+  // Points (12, 21), (8, 19), (11, 22) and (9, 18):
+  // means (10, 20), covariance [[2.5, 2], [2, 2.5]].
+  const moments = {
+    count: 4,
+    sums: [40, 80],
+    products: [[410, 808], [808, 1610]]
+  };
+  const terms = ['env_climate_bio01', 'env_climate_bio12'];
+
+  it('returns the means and deviations', function () {
+    const result = DistanceMatrix('EUCLIDEAN', moments, terms);
+    expect(result.means).to.deep.equal({ env_climate_bio01: 10, env_climate_bio12: 20 });
+    expect(result.deviations.env_climate_bio01).to.be.closeTo(Math.sqrt(2.5), 1e-9);
+    expect(result.deviations.env_climate_bio12).to.be.closeTo(Math.sqrt(2.5), 1e-9);
+  });
+
+  it('standardises the euclidean distance', function () {
+    expectMatrix(DistanceMatrix('EUCLIDEAN', moments, terms).matrix, [[0.4, 0], [0, 0.4]]);
+  });
+
+  it('inverts the covariance for the mahalanobis distance', function () {
+    expectMatrix(
+      DistanceMatrix('MAHALANOBIS', moments, terms).matrix,
+      [[2.5 / 2.25, -2 / 2.25], [-2 / 2.25, 2.5 / 2.25]]
+    );
+  });
+
+  it('returns null for too few, constant or collinear records', function () {
+    expect(DistanceMatrix('EUCLIDEAN', { count: 1, sums: [1, 2], products: [[1, 2], [2, 4]] }, terms)).to.equal(null);
+    expect(DistanceMatrix('EUCLIDEAN', { count: 2, sums: [2, 0], products: [[2, 0], [0, 2]] }, terms)).to.equal(null);
+    expect(DistanceMatrix('MAHALANOBIS', { count: 2, sums: [0, 0], products: [[2, 4], [4, 8]] }, terms)).to.equal(null);
+  });
+});
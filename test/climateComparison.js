@@ -0,0 +1,77 @@
+/*global describe, it */
+'use strict';
+const { expect } = require('chai');
+const {
+  PeriodPairs,
+  ComparisonSelections,
+  CompareProperties
+} = require('../utils/climateComparison');
+
+describe('PeriodPairs', function () {
+  it('pairs each period with the closest midpoint', function () {
+    const pairs = PeriodPairs(['1981-2010', '2041-2070']);
+    expect(pairs).to.deep.equal([
+      { chelsa: '1981-2010', worldclim: '1970-2000', offset: -10.5 },
+      { chelsa: '2041-2070', worldclim: '2041-2060', offset: -5 }
+    ]);
+  });
+
+  it('ignores periods without a midpoint', function () {
+    PeriodPairs().forEach((pair) => {
+      expect(pair.worldclim).to.not.equal('topography');
+    });
+  });
+});
+
+describe('ComparisonSelections', function () {
+  it('selects the temperature extremes to derive the WorldClim mean', function () {
+    const selection = ComparisonSelections(PeriodPairs(['2041-2070']), ['env_climate_tas']);
+    expect(selection.chelsa.std_terms).to.deep.equal(['env_climate_tas']);
+    expect(selection.worldclim.std_terms).to.have.members(
+      ['env_climate_tas', 'env_climate_tasmax', 'env_climate_tasmin']
+    );
+  });
+});
+
+describe('CompareProperties', function () {
+  const pairs = [{ chelsa: '2041-2070', worldclim: '2041-2060', offset: -5 }];
+  const chelsa = {
+    '2041-2070': {
+      'MPI-ESM1-2-HR': {
+        ssp370: {
+          std_date_span_month: [
+            { std_month: '3', env_climate_tas: 12 },
+            { std_month: '7', env_climate_tas: 20 }
+          ]
+        }
+      }
+    }
+  };
+  const worldclim = {
+    '2041-2060': {
+      'MPI-ESM1-2-HR': {
+        ssp370: {
+          std_date_span_month: [
+            { std_month: '7', env_climate_tasmax: 24, env_climate_tasmin: 14 }
+          ]
+        }
+      }
+    }
+  };
+
+  it('derives the missing mean temperature', function () {
+    const result = CompareProperties(pairs, chelsa, worldclim, ['env_climate_tas'], [7]);
+    expect(result[0].properties.std_date_span_month).to.deep.equal([
+      { std_month: 7, env_climate_tas: { chelsa: 20, worldclim: 19, difference: 1 } }
+    ]);
+  });
+
+  it('matches months on their number', function () {
+    const result = CompareProperties(pairs, chelsa, worldclim, ['env_climate_tas'], [3, 7]);
+    const months = result[0].properties.std_date_span_month;
+    expect(months[0]).to.deep.equal(
+      { std_month: 3, env_climate_tas: { chelsa: 12, worldclim: null, difference: null } }
+    );
+    expect(months[1].env_climate_tas.chelsa).to.equal(20);
+  });
+});
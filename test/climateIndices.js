@@ -0,0 +1,68 @@
+/*global describe, it */
+'use strict';
+const { expect } = require('chai');
+const { ClimateIndices, ThornthwaitePET } = require('../utils/climateIndices');
+
+const constant = (value) => new Array(12).fill(value);
+
+describe('ClimateIndices', function () {
+  const series = {
+    period: '1981-2010',
+    tas: constant(10),
+    tasmax: constant(15),
+    tasmin: constant(5),
+    pr: constant(50)
+  };
+
+  it('computes the aridity indices', function () {
+    const result = ClimateIndices(series, 0);
+    expect(result.period).to.equal('1981-2010');
+    expect(result.temperature_mean).to.equal(10);
+    expect(result.precipitation_total).to.equal(600);
+    expect(result.de_martonne).to.equal(30);
+    expect(result.emberger).to.be.closeTo(2000 * 600 / (10 * 566.3), 1e-9);
+    expect(result.ellenberg).to.be.closeTo(1000 * 10 / 600, 1e-9);
+  });
+
+  it('computes the continentality indices', function () {
+    const result = ClimateIndices(series, 0);
+    expect(result.continentality.amplitude).to.equal(0);
+    expect(result.continentality.gorczynski).to.equal(null);
+    expect(result.continentality.conrad).to.equal(-14);
+  });
+
+  it('balances precipitation and evapotranspiration', function () {
+    const result = ClimateIndices(series, 0);
+    const balance = result.water_balance;
+    expect(balance.total).to.be.closeTo(600 - result.thornthwaite.total, 1e-9);
+    expect(balance.surplus + balance.deficit).to.be.closeTo(balance.total, 1e-9);
+  });
+
+  it('ignores missing extreme temperatures', function () {
+    const partial = Object.assign({}, series, { tasmax: constant(null) });
+    expect(ClimateIndices(partial, 45).emberger).to.equal(null);
+  });
+});
+
+describe('ThornthwaitePET', function () {
+  it('computes the heat index', function () {
+    expect(ThornthwaitePET(constant(10), 0).heat_index).to.be.closeTo(12 * Math.pow(2, 1.514), 1e-9);
+  });
+
+  it('adjusts for the month length at the equator', function () {
+    const monthly = ThornthwaitePET(constant(10), 0).monthly;
+    expect(monthly[0] / monthly[1]).to.be.closeTo(31 / 28, 1e-9);
+    expect(monthly[3] / monthly[4]).to.be.closeTo(30 / 31, 1e-9);
+  });
+
+  it('uses the Willmott formula above 26.5 degrees', function () {
+    const monthly = ThornthwaitePET(constant(30), 0).monthly;
+    expect(monthly[0]).to.be.closeTo((-415.85 + (32.24 * 30) - (0.43 * 900)) * 31 / 30, 1e-9);
+  });
+
+  it('returns no evapotranspiration below freezing', function () {
+    const result = ThornthwaitePET(constant(-5), 45);
+    expect(result.heat_index).to.equal(0);
+    expect(result.total).to.equal(0);
+  });
+});
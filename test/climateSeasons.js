@@ -0,0 +1,84 @@
+/*global describe, it */
+'use strict';
+const { expect } = require('chai');
+const {
+  MeteorologicalSeasons,
+  SeasonPeriods,
+  SeasonSelection,
+  Seasons,
+  SeasonalProperties
+} = require('../utils/climateSeasons');
+
+const descriptor = [
+  { key: 'topography', path: ['topography'], annual: ['geo_shape_elevation'], monthly: [] },
+  { key: '1981-2010', path: ['1981-2010'], annual: [], monthly: ['env_climate_pr', 'env_climate_tas'] },
+  { key: '2041-2070', path: ['2041-2070', 'ssp370'], annual: [], monthly: ['env_climate_pr', 'env_climate_tasmax'] }
+];
+
+const monthly = (pr, tas) => Array.from({ length: 12 }, (item, index) => ({
+  std_month: String(index + 1),
+  env_climate_pr: pr(index + 1),
+  env_climate_tas: tas(index + 1)
+}));
+
+describe('SeasonSelection', function () {
+  it('selects the periods featuring monthly descriptors', function () {
+    expect(SeasonPeriods(descriptor)).to.deep.equal(['1981-2010', '2041-2070']);
+  });
+
+  it('merges the monthly descriptors of the selected periods', function () {
+    const selection = SeasonSelection(descriptor);
+    expect(selection.std_terms).to.deep.equal(['env_climate_pr', 'env_climate_tas', 'env_climate_tasmax']);
+    expect(selection.months).to.have.length(12);
+    expect(SeasonSelection(descriptor, ['1981-2010']).std_terms).to.deep.equal(['env_climate_pr', 'env_climate_tas']);
+  });
+});
+
+describe('Seasons', function () {
+  it('defaults to the meteorological seasons', function () {
+    expect(Seasons()).to.equal(MeteorologicalSeasons);
+  });
+
+  it('names custom seasons after their month initials', function () {
+    expect(Seasons([11, 12, 1, 12])).to.deep.equal([{ season: 'NDJ', months: [11, 12, 1] }]);
+  });
+});
+
+describe('SeasonalProperties', function () {
+  const properties = {
+    '1981-2010': { std_date_span_month: monthly((month) => month * 10, (month) => month) }
+  };
+
+  it('sums precipitation and averages temperatures', function () {
+    const result = SeasonalProperties(descriptor, properties, MeteorologicalSeasons, ['1981-2010']);
+    expect(result).to.have.length(1);
+    expect(result[0].period).to.equal('1981-2010');
+    expect(result[0].seasons[0]).to.deep.equal({
+      season: 'DJF',
+      months: [12, 1, 2],
+      env_climate_pr: 150,
+      env_climate_tas: 5
+    });
+    expect(result[0].seasons[2].env_climate_tas).to.equal(7);
+  });
+
+  it('returns null for seasons with missing months', function () {
+    const partial = {
+      '1981-2010': { std_date_span_month: monthly((month) => month * 10, (month) => (month === 1) ? null : month) }
+    };
+    const result = SeasonalProperties(descriptor, partial, MeteorologicalSeasons, ['1981-2010']);
+    expect(result[0].seasons[0].env_climate_tas).to.equal(null);
+    expect(result[0].seasons[0].env_climate_pr).to.equal(150);
+    expect(result[0].seasons[1].env_climate_tas).to.equal(4);
+  });
+
+  it('returns null values for missing properties', function () {
+    const result = SeasonalProperties(descriptor, null, Seasons([6, 7]), ['2041-2070']);
+    expect(result[0].seasons).to.deep.equal([{
+      season: 'JJ',
+      months: [6, 7],
+      env_climate_pr: null,
+      env_climate_tasmax: null
+    }]);
+  });
+});
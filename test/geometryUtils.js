@@ -0,0 +1,39 @@
+/*global describe, it */
+'use strict';
+const { expect } = require('chai');
+const { GeometryCentroid } = require('../utils/geometryUtils');
+
+const box = (x, y, size) => [[x, y], [x + size, y], [x + size, y + size], [x, y + size], [x, y]];
+const polygon = (...rings) => ({ type: 'Polygon', coordinates: rings });
+const expectPoint = (actual, expected) => {
+  expect(actual[0]).to.be.closeTo(expected[0], 1e-9);
+  expect(actual[1]).to.be.closeTo(expected[1], 1e-9);
+};
+
+describe('GeometryCentroid', function () {
+  it('returns the center of a square', function () {
+    expect(GeometryCentroid([polygon(box(0, 0, 2))])).to.deep.equal([1, 1]);
+  });
+
+  it('ignores the ring orientation', function () {
+    expect(GeometryCentroid([polygon(box(0, 0, 2).reverse())])).to.deep.equal([1, 1]);
+  });
+
+  it('subtracts holes whatever their orientation', function () {
+    const expected = ((16 * 2) - 1.5) / 15;
+    [box(1, 1, 1), box(1, 1, 1).reverse()].forEach((hole) => {
+      expectPoint(GeometryCentroid([polygon(box(0, 0, 4), hole)]), [expected, expected]);
+    });
+  });
+
+  it('weights multi polygons and geometry lists by area', function () {
+    const multi = { type: 'MultiPolygon', coordinates: [[box(0, 0, 1)], [box(3, 0, 1)]] };
+    expectPoint(GeometryCentroid([multi]), [2, 0.5]);
+    expectPoint(GeometryCentroid([polygon(box(0, 0, 2)), polygon(box(4, 0, 1))]), [(4 + 4.5) / 5, (4 + 0.5) / 5]);
+  });
+
+  it('averages the points of geometries without area', function () {
+    expect(GeometryCentroid([{ type: 'Point', coordinates: [2, 4] }, { type: 'Point', coordinates: [4, 6] }])).to.deep.equal([3, 5]);
+    expect(GeometryCentroid([])).to.equal(null);
+  });
+});
@@ -0,0 +1,58 @@
+/*global describe, it */
+'use strict';
+const { expect } = require('chai');
+const { KoppenGeiger, KoppenDescriptions } = require('../utils/koppenGeiger');
+
+const constant = (value) => new Array(12).fill(value);
+
+describe('KoppenGeiger', function () {
+  it('classifies frost and tundra climates', function () {
+    expect(KoppenGeiger(constant(-5), constant(20), 80).code).to.equal('EF');
+    expect(KoppenGeiger(constant(5), constant(20), 70).code).to.equal('ET');
+  });
+
+  it('does not class a hottest month of 10 degrees as polar', function () {
+    const temperature = [-10, -8, -4, 0, 4, 8, 10, 9, 5, 0, -5, -9];
+    expect(KoppenGeiger(temperature, constant(60), 65).code).to.equal('Dfc');
+  });
+
+  it('classifies hot deserts', function () {
+    const result = KoppenGeiger(constant(25), constant(1), 25);
+    expect(result.code).to.equal('BWh');
+    expect(result.criteria.Pthreshold).to.equal(64);
+  });
+
+  it('classifies tropical rainforests', function () {
+    expect(KoppenGeiger(constant(26), constant(200), 0).code).to.equal('Af');
+  });
+
+  it('classifies oceanic climates', function () {
+    const result = KoppenGeiger(
+      [3, 4, 7, 10, 13, 16, 18, 17, 14, 10, 6, 4],
+      constant(70),
+      50
+    );
+    expect(result.code).to.equal('Cfb');
+    expect(result.description).to.equal(KoppenDescriptions.Cfb);
+    expect(result.criteria.Tmon10).to.equal(5);
+  });
+
+  it('classifies subarctic climates', function () {
+    const result = KoppenGeiger(
+      [-20, -18, -10, 0, 8, 14, 16, 13, 7, 0, -10, -17],
+      constant(40),
+      62
+    );
+    expect(result.code).to.equal('Dfc');
+  });
+
+  it('uses the summer of the hemisphere', function () {
+    const temperature = [10, 11, 13, 15, 19, 23, 26, 26, 22, 18, 14, 11];
+    const precipitation = [90, 80, 70, 50, 30, 10, 5, 10, 30, 70, 100, 100];
+    const shift = (list) => list.slice(6).concat(list.slice(0, 6));
+
+    expect(KoppenGeiger(temperature, precipitation, 38).code).to.equal('Csa');
+    expect(KoppenGeiger(shift(temperature), shift(precipitation), -38).code).to.equal('Csa');
+    expect(KoppenGeiger(temperature, precipitation, -38).code).to.not.equal('Csa');
+  });
+});
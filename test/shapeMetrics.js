@@ -0,0 +1,85 @@
+/*global describe, it */
+'use strict';
+const { expect } = require('chai');
+const { ConvexHull, ShapeMetrics } = require('../utils/shapeMetrics');
+const { SphereRingArea } = require('../utils/geometryUtils');
+
+const EarthRadius = 6371008.8;
+const radians = (degrees) => degrees * Math.PI / 180;
+const box = (min, max) => [[min, min], [max, min], [max, max], [min, max], [min, min]];
+
+// Area of the box between longitudes 0 and the provided value and
+// latitudes 0 and the provided value.
+const boxArea = (size) => EarthRadius * EarthRadius * radians(size) * Math.sin(radians(size));
+
+// Great circle length between the box corners at the provided latitude.
+const chord = (lat, size) => 2 * EarthRadius * Math.asin(Math.cos(radians(lat)) * Math.sin(radians(size) / 2));
+
+describe('SphereRingArea', function () {
+  it('computes the area of a box', function () {
+    expect(SphereRingArea(box(0, 1))).to.be.closeTo(boxArea(1), 1e-3);
+  });
+
+  it('ignores the ring orientation and closing point', function () {
+    const ring = box(0, 1);
+    expect(SphereRingArea(ring.slice().reverse())).to.be.closeTo(boxArea(1), 1e-3);
+    expect(SphereRingArea(ring.slice(0, -1))).to.be.closeTo(boxArea(1), 1e-3);
+  });
+});
+
+describe('ConvexHull', function () {
+  it('drops interior and collinear points', function () {
+    const hull = ConvexHull([[0, 0], [1, 0], [2, 0], [1, 1], [2, 2], [0, 2], [0, 1], [1, 1]]);
+    expect(hull).to.deep.equal([[0, 0], [2, 0], [2, 2], [0, 2], [0, 0]]);
+  });
+
+  it('returns null for less than three distinct points', function () {
+    expect(ConvexHull([[0, 0], [1, 1], [0, 0]])).to.equal(null);
+    expect(ConvexHull([[0, 0], [1, 1], [2, 2]])).to.equal(null);
+  });
+});
+
+describe('ShapeMetrics', function () {
+  it('describes a square', function () {
+    const metrics = ShapeMetrics({ type: 'Polygon', coordinates: [box(0, 1)] });
+    const perimeter = (2 * EarthRadius * radians(1)) + chord(0, 1) + chord(1, 1);
+
+    expect(metrics.geometry_type).to.equal('Polygon');
+    expect(metrics.area).to.be.closeTo(boxArea(1), 1e-3);
+    expect(metrics.perimeter).to.be.closeTo(perimeter, 1e-6);
+    expect(metrics.polsby_popper).to.be.closeTo(4 * Math.PI * boxArea(1) / (perimeter * perimeter), 1e-9);
+    expect(metrics.polsby_popper).to.be.closeTo(Math.PI / 4, 1e-2);
+    expect(metrics.parts).to.equal(1);
+    expect(metrics.holes).to.equal(0);
+    expect(metrics.vertices).to.equal(4);
+    expect(metrics.bbox.bounds).to.deep.equal([0, 0, 1, 1]);
+    expect(metrics.convex_hull_area).to.be.closeTo(metrics.area, 1e-3);
+  });
+
+  it('subtracts holes', function () {
+    const outer = box(0, 2);
+    const hole = box(0.5, 1.5).reverse();
+    const metrics = ShapeMetrics({ type: 'Polygon', coordinates: [outer, hole] });
+
+    expect(metrics.area).to.be.closeTo(SphereRingArea(outer) - SphereRingArea(hole), 1e-3);
+    expect(metrics.holes).to.equal(1);
+    expect(metrics.vertices).to.equal(8);
+    expect(metrics.parts).to.equal(1);
+    expect(metrics.convex_hull_area).to.be.closeTo(SphereRingArea(outer), 1e-3);
+    expect(metrics.centroid.coordinates[0]).to.be.closeTo(1, 1e-9);
+    expect(metrics.centroid.coordinates[1]).to.be.closeTo(1, 1e-9);
+  });
+
+  it('counts the parts of multi polygons', function () {
+    const metrics = ShapeMetrics({ type: 'MultiPolygon', coordinates: [[box(0, 1)], [box(2, 3)]] });
+    expect(metrics.parts).to.equal(2);
+    expect(metrics.vertices).to.equal(8);
+  });
+
+  it('has no compactness for lines', function () {
+    const metrics = ShapeMetrics({ type: 'LineString', coordinates: [[0, 0], [0, 1]] });
+    expect(metrics.area).to.equal(0);
+    expect(metrics.polsby_popper).to.equal(null);
+    expect(metrics.perimeter).to.be.closeTo(EarthRadius * radians(1), 1e-6);
+  });
+});
@@ -0,0 +1,43 @@
+/*global describe, it */
+'use strict';
+const { expect } = require('chai');
+const { TopographyFilterAQL } = require('../utils/shapeTopography');
+
+const values = (filter) => Object.values(filter.bindVars);
+const filters = (filter) => filter.query.split('FILTER').length - 1;
+
+describe('TopographyFilterAQL', function () {
+  it('wraps aspect ranges around north', function () {
+    const filter = TopographyFilterAQL('aspect', { min: 315, max: 45 });
+    expect(filter.query).to.match(/>= @\w+ OR [^\n]* <= @\w+/);
+    expect(values(filter)).to.include.members(['geo_shape_aspect', 315, 45]);
+  });
+
+  it('does not wrap ordered aspect ranges', function () {
+    const filter = TopographyFilterAQL('aspect', { min: 45, max: 135 });
+    expect(filter.query).to.not.match(/ OR /);
+    expect(filters(filter)).to.equal(4);
+    expect(values(filter)).to.include.members([45, 135]);
+  });
+
+  it('excludes flat terrain from aspect ranges', function () {
+    [{ min: 315, max: 45 }, { min: 90 }].forEach((range) => {
+      const filter = TopographyFilterAQL('aspect', range);
+      expect(filter.query).to.match(/>= 0 AND [^\n]* <= 360/);
+    });
+  });
+
+  it('never wraps other descriptors', function () {
+    const filter = TopographyFilterAQL('slope', { min: 30, max: 10 });
+    expect(filter.query).to.not.match(/ OR /);
+    expect(filter.query).to.not.match(/360/);
+    expect(values(filter)).to.include.members(['geo_shape_slope', 30, 10]);
+  });
+
+  it('skips omitted bounds', function () {
+    const filter = TopographyFilterAQL('alt', { max: 2000 });
+    expect(filters(filter)).to.equal(2);
+    expect(filter.query).to.not.match(/>= @/);
+    expect(values(filter)).to.include.members(['geo_shape_elevation', 2000]);
+  });
+});
@@ -0,0 +1,69 @@
+/*global describe, it */
+'use strict';
+const { expect } = require('chai');
+const { WalterLieth } = require('../utils/walterLieth');
+
+const constant = (value) => new Array(12).fill(value);
+
+describe('WalterLieth', function () {
+  const series = {
+    period: '1981-2010',
+    tas: [-6, -4, 0, 6, 12, 16, 20, 19, 14, 8, 2, -3],
+    tasmax: [-2, 0, 5, 11, 17, 21, 26, 25, 19, 12, 5, 1],
+    tasmin: [-10, -8, -4, 1, 7, 11, 14, 13, 9, 4, -1, -7],
+    pr: [40, 30, 30, 20, 20, 30, 10, 20, 60, 120, 110, 50]
+  };
+
+  it('summarises the series', function () {
+    const result = WalterLieth(series);
+    expect(result.period).to.equal('1981-2010');
+    expect(result.temperature_mean).to.be.closeTo(84 / 12, 1e-9);
+    expect(result.precipitation_total).to.equal(540);
+    expect(result.coldest_month_min).to.equal(-10);
+    expect(result.warmest_month_max).to.equal(26);
+    expect(result.absolute_min).to.equal(null);
+    expect(result.absolute_max).to.equal(null);
+  });
+
+  it('flags arid, humid and perhumid months', function () {
+    const result = WalterLieth(series);
+    expect(result.months[3]).to.include({ std_month: 4, arid: false, perhumid: false });
+    expect(result.months[6]).to.include({ std_month: 7, arid: true, perhumid: false });
+    expect(result.months[9]).to.include({ std_month: 10, arid: false, perhumid: true });
+    expect(result.arid_periods).to.deep.equal([{ from: 5, to: 8 }]);
+    expect(result.humid_periods).to.deep.equal([{ from: 9, to: 4 }]);
+    expect(result.perhumid_periods).to.deep.equal([{ from: 10, to: 11 }]);
+  });
+
+  it('wraps periods around the end of the year', function () {
+    const result = WalterLieth(Object.assign({}, series, {
+      pr: [10, 10, 60, 60, 60, 60, 60, 60, 60, 60, 60, 10],
+      tas: constant(10)
+    }));
+    expect(result.arid_periods).to.deep.equal([{ from: 12, to: 2 }]);
+    expect(result.humid_periods).to.deep.equal([{ from: 3, to: 11 }]);
+  });
+
+  it('returns a single period for all months', function () {
+    const result = WalterLieth(Object.assign({}, series, { pr: constant(150) }));
+    expect(result.humid_periods).to.deep.equal([{ from: 1, to: 12 }]);
+    expect(result.perhumid_periods).to.deep.equal([{ from: 1, to: 12 }]);
+    expect(result.arid_periods).to.deep.equal([]);
+  });
+
+  it('flags frost months by their minimum temperature', function () {
+    const result = WalterLieth(series);
+    expect(result.frost_months).to.deep.equal([1, 2, 3, 11, 12]);
+  });
+
+  it('flags frost months by their mean temperature without extremes', function () {
+    const result = WalterLieth(Object.assign({}, series, {
+      tasmax: constant(null),
+      tasmin: constant(null)
+    }));
+    expect(result.frost_months).to.deep.equal([1, 2, 12]);
+    expect(result.coldest_month_min).to.equal(null);
+    expect(result.warmest_month_max).to.equal(null);
+    expect(result.months[0].temperature_min).to.equal(null);
+  });
+});
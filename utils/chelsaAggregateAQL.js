@@ -1,10 +1,120 @@
 'use strict'
 
+/**
+ * chelsaAggregateAQL.js
+ *
+ * This script contains the Chelsa dataset descriptor and the AQL query
+ * builders used by the Chelsa climate services.
+ *
+ * To add a period or a variable, edit the descriptor: queries are generated
+ * from it by the functions in `climateAggregateAQL.js`.
+ */
+
 ///
 // Modules.
 ///
-const {aql} = require('@arangodb')
+const {
+	ClimateClickAQL,
+	ClimateDistanceAQL,
+	ClimateContainsAQL,
+	ClimateIntersectsAQL,
+	ClimateWeightedAQL,
+	ClimateDeltaAQL,
+	ClimateEnvelopeAQL,
+	ClimateMomentsAQL,
+	ClimateAnalogueAQL
+} = require('./climateAggregateAQL')
+
+///
+// Historical period scalar descriptors.
+///
+const ChelsaHistoricalTerms = [
+	'env_climate_ai',
+	'env_climate_bio01', 'env_climate_bio02', 'env_climate_bio03', 'env_climate_bio04',
+	'env_climate_bio05', 'env_climate_bio06', 'env_climate_bio07', 'env_climate_bio08',
+	'env_climate_bio09', 'env_climate_bio10', 'env_climate_bio11', 'env_climate_bio12',
+	'env_climate_bio13', 'env_climate_bio14', 'env_climate_bio15', 'env_climate_bio16',
+	'env_climate_bio17', 'env_climate_bio18', 'env_climate_bio19',
+	'env_climate_clt_max', 'env_climate_clt_mean', 'env_climate_clt_min', 'env_climate_clt_range',
+	'env_climate_cmi_max', 'env_climate_cmi_mean', 'env_climate_cmi_min', 'env_climate_cmi_range',
+	'env_climate_fcf', 'env_climate_fgd',
+	'env_climate_gdd0', 'env_climate_gdd10', 'env_climate_gdd5',
+	'env_climate_gddlgd0', 'env_climate_gddlgd10', 'env_climate_gddlgd5',
+	'env_climate_gdgfgd0', 'env_climate_gdgfgd10', 'env_climate_gdgfgd5',
+	'env_climate_gsl', 'env_climate_gsp', 'env_climate_gst',
+	'env_climate_hurs_max', 'env_climate_hurs_mean', 'env_climate_hurs_min', 'env_climate_hurs_range',
+	'env_climate_ngd0', 'env_climate_ngd10', 'env_climate_ngd5',
+	'env_climate_npp',
+	'env_climate_pet_penman_max', 'env_climate_pet_penman_mean', 'env_climate_pet_penman_min', 'env_climate_pet_penman_range',
+	'env_climate_rsds_max', 'env_climate_rsds_mean', 'env_climate_rsds_min', 'env_climate_rsds_range',
+	'env_climate_scd',
+	'env_climate_sfcWind_max', 'env_climate_sfcWind_mean', 'env_climate_sfcWind_min', 'env_climate_sfcWind_range',
+	'env_climate_swb', 'env_climate_swe',
+	'env_climate_vpd_max', 'env_climate_vpd_mean', 'env_climate_vpd_min', 'env_climate_vpd_range'
+]
+
+///
+// Future periods scalar descriptors.
+///
+const ChelsaFutureTerms = [
+	'env_climate_bio01', 'env_climate_bio02', 'env_climate_bio03', 'env_climate_bio04',
+	'env_climate_bio05', 'env_climate_bio06', 'env_climate_bio07', 'env_climate_bio08',
+	'env_climate_bio09', 'env_climate_bio10', 'env_climate_bio11', 'env_climate_bio12',
+	'env_climate_bio13', 'env_climate_bio14', 'env_climate_bio15', 'env_climate_bio16',
+	'env_climate_bio17', 'env_climate_bio18', 'env_climate_bio19',
+	'env_climate_gdd0', 'env_climate_gdd10', 'env_climate_gdd5',
+	'env_climate_gsl', 'env_climate_gsp', 'env_climate_gst',
+	'env_climate_ngd0', 'env_climate_ngd10', 'env_climate_ngd5',
+	'env_climate_npp', 'env_climate_scd'
+]
+
+///
+// Monthly descriptors.
+///
+const ChelsaMonthlyTerms = [
+	'env_climate_pr', 'env_climate_tas', 'env_climate_tasmax', 'env_climate_tasmin'
+]
+
+///
+// Dataset descriptor.
+///
+const ChelsaDescriptor = [
+	{ key: '1981-2010', path: ['1981-2010'], annual: ChelsaHistoricalTerms, monthly: ChelsaMonthlyTerms },
+	{ key: '2011-2040', path: ['2011-2040', 'MPI-ESM1-2-HR', 'ssp370'], annual: ChelsaFutureTerms, monthly: ChelsaMonthlyTerms },
+	{ key: '2041-2070', path: ['2041-2070', 'MPI-ESM1-2-HR', 'ssp370'], annual: ChelsaFutureTerms, monthly: ChelsaMonthlyTerms },
+	{ key: '2071-2100', path: ['2071-2100', 'MPI-ESM1-2-HR', 'ssp370'], annual: ChelsaFutureTerms, monthly: ChelsaMonthlyTerms }
+]
+
+///
+// Baseline period.
+///
+const ChelsaBaseline = '1981-2010'
+
+
+/**
+ * This function can be used to retrieve the AQL query required for selecting
+ * the Chelsa data record whose bounds contain the provided coordinate.
+ *
+ * Parameters:
+ * - theCollection {String}: Data collection.
+ * - theLat {Number}: Latitude.
+ * - theLon {Number}: Longitude.
+ * - theSelection {Object}: Properties selection, `std_terms`, `periods` and `months`.
+ *
+ * Returns:
+ * - {String}: The AQL query.
+ */
+function ChelsaClickAQL(theCollection, theLat, theLon, theSelection = {})
+{
+	return ClimateClickAQL(
+		ChelsaDescriptor,
+		theCollection,
+		theLat,
+		theLon,
+		theSelection
+	)
 
+} // ChelsaClickAQL()
 
 /**
  * This function can be used to retrieve the AQL query required for selecting
@@ -15,4604 +125,34 @@ const {aql} = require('@arangodb')
  * - theCollection {String}: Data collection.
  * - theCollectionMap {String}: Map collection.
  * - theGeometry {Object}: GeoJSON reference geometry, provide either a Point, MultiPoint, Polygon, MultiPolygon, LineString, or a MultiLineString.
- * - theWhat {String}: Query result: `KEY` geometry hash; `SHAPE` geometries; `DATA` all properties; `MIN` the minimum of all quantitative  properties; `AVG` the average of all quantitative  properties; `MAX` the maximum of all quantitative  properties; `STD` the standard deviation of all quantitative  properties.; `VAR` the variance of all quantitative  properties.
+ * - theWhat {String}: Query result: `KEY` geometry hash; `SHAPE` geometries; `DATA` all properties; `MIN` the minimum of all quantitative  properties; `AVG` the average of all quantitative  properties; `MAX` the maximum of all quantitative  properties; `STD` the standard deviation of all quantitative  properties.; `VAR` the variance of all quantitative  properties; `MEDIAN` the median of all quantitative properties; `P05`, `P25`, `P75` and `P95` the percentiles of all quantitative properties; `HIST` the histogram of all quantitative properties.
  * - theMin {Number}: Minimum distance in meters.
  * - theMax {Number}: Maximum distance in meters.
  * - theSort {String}: `NO` for no sorting,`ASC` for ascending or `DESC` for descending. Only relevant for theWhat == `KEY`, `SHAPE` and `DATA`.
  * - theStart {Integer}: The results start index, 0 based. Default: 0. Only relevant for theWhat == `KEY`, `SHAPE` and `DATA`.
  * - theLimit {Integer}: Number of records to return. Default 10. Only relevant for theWhat == `KEY`, `SHAPE` and `DATA`.
+ * - theSelection {Object}: Properties selection, `std_terms`, `periods` and `months`. Only relevant for theWhat == `DATA` and aggregations.
+ * - theBins {Integer}: Number of histogram bins. Default 10. Only relevant for theWhat == `HIST`.
  *
  * Returns:
  * - {String}: The AQL query.
  */
-function ChelsaDistanceAQL(theCollection, theCollectionMap, theGeometry, theWhat, theMin, theMax, theSort, theStart = 0, theLimit = 10)
+function ChelsaDistanceAQL(theCollection, theCollectionMap, theGeometry, theWhat, theMin, theMax, theSort, theStart = 0, theLimit = 10, theSelection = {}, theBins = 10)
 {
-	///
-	// Parse request type.
-	///
-	let query
-	switch(theWhat)
-	{
-		///
-		// Return data record keys.
-		///
-		case 'KEY':
-			query = (theSort === 'NO') ?
-				aql`
-				    LET target = ${theGeometry}
-					FOR doc IN ${theCollectionMap}
-						LET distance = GEO_DISTANCE(target, doc.geometry)
-						FILTER distance >= ${theMin}
-						FILTER distance <= ${theMax}
-						LIMIT ${theStart}, ${theLimit}
-					RETURN doc._key
-				` :
-				aql`
-				    LET target = ${theGeometry}
-					FOR doc IN ${theCollectionMap}
-						LET distance = GEO_DISTANCE(target, doc.geometry)
-						FILTER distance >= ${theMin}
-						FILTER distance <= ${theMax}
-						SORT distance ${theSort}
-						LIMIT ${theStart}, ${theLimit}
-					RETURN doc._key
-				`
-			break
-
-		///
-		// Return data record geometries.
-		///
-		case 'SHAPE':
-			query = (theSort === 'NO') ?
-				aql`
-				    LET target = ${theGeometry}
-					FOR doc IN ${theCollectionMap}
-						LET distance = GEO_DISTANCE(target, doc.geometry)
-						FILTER distance >= ${theMin}
-						FILTER distance <= ${theMax}
-						LIMIT ${theStart}, ${theLimit}
-					RETURN {
-						geometry_hash: doc._key,
-						distance: distance,
-						geometry_point: doc.geometry,
-						geometry_bounds: doc.geometry_bounds
-					}
-				` :
-				aql`
-				    LET target = ${theGeometry}
-					FOR doc IN ${theCollectionMap}
-						LET distance = GEO_DISTANCE(target, doc.geometry)
-						FILTER distance >= ${theMin}
-						FILTER distance <= ${theMax}
-						SORT distance ${theSort}
-						LIMIT ${theStart}, ${theLimit}
-					RETURN {
-						geometry_hash: doc._key,
-						distance: distance,
-						geometry_point: doc.geometry,
-						geometry_bounds: doc.geometry_bounds
-					}
-				`
-			break
-
-		///
-		// Return full data records.
-		///
-		case 'DATA':
-			query = (theSort === 'NO') ?
-				aql`
-				    LET target = ${theGeometry}
-					FOR doc IN ${theCollectionMap}
-						FOR dat IN ${theCollection}
-							FILTER dat._key == doc._key
-							LET distance = GEO_DISTANCE(target, doc.geometry)
-							FILTER distance >= ${theMin}
-							FILTER distance <= ${theMax}
-							LIMIT ${theStart}, ${theLimit}
-					RETURN {
-						geometry_hash: doc._key,
-						distance: distance,
-						geometry_point: doc.geometry,
-						geometry_bounds: doc.geometry_bounds,
-						properties: dat.properties
-					}
-				` :
-				aql`
-				    LET target = ${theGeometry}
-					FOR doc IN ${theCollectionMap}
-						FOR dat IN ${theCollection}
-							FILTER dat._key == doc._key
-							LET distance = GEO_DISTANCE(target, doc.geometry)
-							FILTER distance >= ${theMin}
-							FILTER distance <= ${theMax}
-							SORT distance ${theSort}
-							LIMIT ${theStart}, ${theLimit}
-					RETURN {
-						geometry_hash: doc._key,
-						distance: distance,
-						geometry_point: doc.geometry,
-						geometry_bounds: doc.geometry_bounds,
-						properties: dat.properties
-					}
-				`
-			break
-
-		///
-		// Return selection minimum.
-		///
-		case 'MIN':
-			query = aql`
-				LET target = ${theGeometry}
-				FOR doc IN ${theCollectionMap}
-					FOR dat IN ${theCollection}
-						FILTER dat._key == doc._key
-						LET dist = GEO_DISTANCE(target, doc.geometry)
-						FILTER dist >= ${theMin}
-						FILTER dist <= ${theMax}
-						COLLECT AGGREGATE count = COUNT(),
-									  distance = MIN(dist),
-									  period1_ai = MIN(dat.properties.\`1981-2010\`.env_climate_ai),
-									  period1_bio01 = MIN(dat.properties.\`1981-2010\`.env_climate_bio01),
-									  period1_bio02 = MIN(dat.properties.\`1981-2010\`.env_climate_bio02),
-									  period1_bio03 = MIN(dat.properties.\`1981-2010\`.env_climate_bio03),
-									  period1_bio04 = MIN(dat.properties.\`1981-2010\`.env_climate_bio04),
-									  period1_bio05 = MIN(dat.properties.\`1981-2010\`.env_climate_bio05),
-									  period1_bio06 = MIN(dat.properties.\`1981-2010\`.env_climate_bio06),
-									  period1_bio07 = MIN(dat.properties.\`1981-2010\`.env_climate_bio07),
-									  period1_bio08 = MIN(dat.properties.\`1981-2010\`.env_climate_bio08),
-									  period1_bio09 = MIN(dat.properties.\`1981-2010\`.env_climate_bio09),
-									  period1_bio10 = MIN(dat.properties.\`1981-2010\`.env_climate_bio10),
-									  period1_bio11 = MIN(dat.properties.\`1981-2010\`.env_climate_bio11),
-									  period1_bio12 = MIN(dat.properties.\`1981-2010\`.env_climate_bio12),
-									  period1_bio13 = MIN(dat.properties.\`1981-2010\`.env_climate_bio13),
-									  period1_bio14 = MIN(dat.properties.\`1981-2010\`.env_climate_bio14),
-									  period1_bio15 = MIN(dat.properties.\`1981-2010\`.env_climate_bio15),
-									  period1_bio16 = MIN(dat.properties.\`1981-2010\`.env_climate_bio16),
-									  period1_bio17 = MIN(dat.properties.\`1981-2010\`.env_climate_bio17),
-									  period1_bio18 = MIN(dat.properties.\`1981-2010\`.env_climate_bio18),
-									  period1_bio19 = MIN(dat.properties.\`1981-2010\`.env_climate_bio19),
-									  period1_clt_max = MIN(dat.properties.\`1981-2010\`.env_climate_clt_max),
-									  period1_clt_mean = MIN(dat.properties.\`1981-2010\`.env_climate_clt_mean),
-									  period1_clt_min = MIN(dat.properties.\`1981-2010\`.env_climate_clt_min),
-									  period1_clt_range = MIN(dat.properties.\`1981-2010\`.env_climate_clt_range),
-									  period1_cmi_max = MIN(dat.properties.\`1981-2010\`.env_climate_cmi_max),
-									  period1_cmi_mean = MIN(dat.properties.\`1981-2010\`.env_climate_cmi_mean),
-									  period1_cmi_min = MIN(dat.properties.\`1981-2010\`.env_climate_cmi_min),
-									  period1_cmi_range = MIN(dat.properties.\`1981-2010\`.env_climate_cmi_range),
-									  period1_fcf =  MIN(dat.properties.\`1981-2010\`.env_climate_fcf),
-									  period1_fgd =  MIN(dat.properties.\`1981-2010\`.env_climate_fgd),
-									  period1_gdd0 =  MIN(dat.properties.\`1981-2010\`.env_climate_gdd0),
-									  period1_gdd10 = MIN(dat.properties.\`1981-2010\`.env_climate_gdd10),
-									  period1_gdd5 = MIN(dat.properties.\`1981-2010\`.env_climate_gdd5),
-									  period1_gddlgd0 = MIN(dat.properties.\`1981-2010\`.env_climate_gddlgd0),
-									  period1_gddlgd10 = MIN(dat.properties.\`1981-2010\`.env_climate_gddlgd10),
-									  period1_gddlgd5 = MIN(dat.properties.\`1981-2010\`.env_climate_gddlgd5),
-									  period1_gdgfgd0 = MIN(dat.properties.\`1981-2010\`.env_climate_gdgfgd0),
-									  period1_gdgfgd10 = MIN(dat.properties.\`1981-2010\`.env_climate_gdgfgd10),
-									  period1_gdgfgd5 = MIN(dat.properties.\`1981-2010\`.env_climate_gdgfgd5),
-									  period1_gsl = MIN(dat.properties.\`1981-2010\`.env_climate_gsl),
-									  period1_gsp = MIN(dat.properties.\`1981-2010\`.env_climate_gsp),
-									  period1_gst = MIN(dat.properties.\`1981-2010\`.env_climate_gst),
-									  period1_hurs_max = MIN(dat.properties.\`1981-2010\`.env_climate_hurs_max),
-									  period1_hurs_mean = MIN(dat.properties.\`1981-2010\`.env_climate_hurs_mean),
-									  period1_hurs_min = MIN(dat.properties.\`1981-2010\`.env_climate_hurs_min),
-									  period1_hurs_range = MIN(dat.properties.\`1981-2010\`.env_climate_hurs_range),
-									  period1_ngd0 = MIN(dat.properties.\`1981-2010\`.env_climate_ngd0),
-									  period1_ngd10 = MIN(dat.properties.\`1981-2010\`.env_climate_ngd10),
-									  period1_ngd5 = MIN(dat.properties.\`1981-2010\`.env_climate_ngd5),
-									  period1_npp = MIN(dat.properties.\`1981-2010\`.env_climate_npp),
-									  period1_pet_penman_max = MIN(dat.properties.\`1981-2010\`.env_climate_pet_penman_max),
-									  period1_pet_penman_mean = MIN(dat.properties.\`1981-2010\`.env_climate_pet_penman_mean),
-									  period1_pet_penman_min = MIN(dat.properties.\`1981-2010\`.env_climate_pet_penman_min),
-									  period1_pet_penman_range = MIN(dat.properties.\`1981-2010\`.env_climate_pet_penman_range),
-									  period1_rsds_max = MIN(dat.properties.\`1981-2010\`.env_climate_rsds_max),
-									  period1_rsds_mean = MIN(dat.properties.\`1981-2010\`.env_climate_rsds_mean),
-									  period1_rsds_min = MIN(dat.properties.\`1981-2010\`.env_climate_rsds_min),
-									  period1_rsds_range = MIN(dat.properties.\`1981-2010\`.env_climate_rsds_range),
-									  period1_scd = MIN(dat.properties.\`1981-2010\`.env_climate_scd),
-									  period1_sfcWind_max = MIN(dat.properties.\`1981-2010\`.env_climate_sfcWind_max),
-									  period1_sfcWind_mean = MIN(dat.properties.\`1981-2010\`.env_climate_sfcWind_mean),
-									  period1_sfcWind_min = MIN(dat.properties.\`1981-2010\`.env_climate_sfcWind_min),
-									  period1_sfcWind_range = MIN(dat.properties.\`1981-2010\`.env_climate_sfcWind_range),
-									  period1_swb = MIN(dat.properties.\`1981-2010\`.env_climate_swb),
-									  period1_swe = MIN(dat.properties.\`1981-2010\`.env_climate_swe),
-									  period1_vpd_max = MIN(dat.properties.\`1981-2010\`.env_climate_vpd_max),
-									  period1_vpd_mean = MIN(dat.properties.\`1981-2010\`.env_climate_vpd_mean),
-									  period1_vpd_min = MIN(dat.properties.\`1981-2010\`.env_climate_vpd_min),
-									  period1_vpd_range = MIN(dat.properties.\`1981-2010\`.env_climate_vpd_range),
-									  period1_01_pr = MIN(dat.properties.\`1981-2010\`.std_date_span_month[0].env_climate_pr),
-									  period1_01_tas = MIN(dat.properties.\`1981-2010\`.std_date_span_month[0].env_climate_tas),
-									  period1_01_tasmax = MIN(dat.properties.\`1981-2010\`.std_date_span_month[0].env_climate_tasmax),
-									  period1_01_tasmin = MIN(dat.properties.\`1981-2010\`.std_date_span_month[0].env_climate_tasmin),
-									  period1_02_pr = MIN(dat.properties.\`1981-2010\`.std_date_span_month[1].env_climate_pr),
-									  period1_02_tas = MIN(dat.properties.\`1981-2010\`.std_date_span_month[1].env_climate_tas),
-									  period1_02_tasmax = MIN(dat.properties.\`1981-2010\`.std_date_span_month[1].env_climate_tasmax),
-									  period1_02_tasmin = MIN(dat.properties.\`1981-2010\`.std_date_span_month[1].env_climate_tasmin),
-									  period1_03_pr = MIN(dat.properties.\`1981-2010\`.std_date_span_month[2].env_climate_pr),
-									  period1_03_tas = MIN(dat.properties.\`1981-2010\`.std_date_span_month[2].env_climate_tas),
-									  period1_03_tasmax = MIN(dat.properties.\`1981-2010\`.std_date_span_month[2].env_climate_tasmax),
-									  period1_03_tasmin = MIN(dat.properties.\`1981-2010\`.std_date_span_month[2].env_climate_tasmin),
-									  period1_04_pr = MIN(dat.properties.\`1981-2010\`.std_date_span_month[3].env_climate_pr),
-									  period1_04_tas = MIN(dat.properties.\`1981-2010\`.std_date_span_month[3].env_climate_tas),
-									  period1_04_tasmax = MIN(dat.properties.\`1981-2010\`.std_date_span_month[3].env_climate_tasmax),
-									  period1_04_tasmin = MIN(dat.properties.\`1981-2010\`.std_date_span_month[3].env_climate_tasmin),
-									  period1_05_pr = MIN(dat.properties.\`1981-2010\`.std_date_span_month[4].env_climate_pr),
-									  period1_05_tas = MIN(dat.properties.\`1981-2010\`.std_date_span_month[4].env_climate_tas),
-									  period1_05_tasmax = MIN(dat.properties.\`1981-2010\`.std_date_span_month[4].env_climate_tasmax),
-									  period1_05_tasmin = MIN(dat.properties.\`1981-2010\`.std_date_span_month[4].env_climate_tasmin),
-									  period1_06_pr = MIN(dat.properties.\`1981-2010\`.std_date_span_month[5].env_climate_pr),
-									  period1_06_tas = MIN(dat.properties.\`1981-2010\`.std_date_span_month[5].env_climate_tas),
-									  period1_06_tasmax = MIN(dat.properties.\`1981-2010\`.std_date_span_month[5].env_climate_tasmax),
-									  period1_06_tasmin = MIN(dat.properties.\`1981-2010\`.std_date_span_month[5].env_climate_tasmin),
-									  period1_07_pr = MIN(dat.properties.\`1981-2010\`.std_date_span_month[6].env_climate_pr),
-									  period1_07_tas = MIN(dat.properties.\`1981-2010\`.std_date_span_month[6].env_climate_tas),
-									  period1_07_tasmax = MIN(dat.properties.\`1981-2010\`.std_date_span_month[6].env_climate_tasmax),
-									  period1_07_tasmin = MIN(dat.properties.\`1981-2010\`.std_date_span_month[6].env_climate_tasmin),
-									  period1_08_pr = MIN(dat.properties.\`1981-2010\`.std_date_span_month[7].env_climate_pr),
-									  period1_08_tas = MIN(dat.properties.\`1981-2010\`.std_date_span_month[7].env_climate_tas),
-									  period1_08_tasmax = MIN(dat.properties.\`1981-2010\`.std_date_span_month[7].env_climate_tasmax),
-									  period1_08_tasmin = MIN(dat.properties.\`1981-2010\`.std_date_span_month[7].env_climate_tasmin),
-									  period1_09_pr = MIN(dat.properties.\`1981-2010\`.std_date_span_month[8].env_climate_pr),
-									  period1_09_tas = MIN(dat.properties.\`1981-2010\`.std_date_span_month[8].env_climate_tas),
-									  period1_09_tasmax = MIN(dat.properties.\`1981-2010\`.std_date_span_month[8].env_climate_tasmax),
-									  period1_09_tasmin = MIN(dat.properties.\`1981-2010\`.std_date_span_month[8].env_climate_tasmin),
-									  period1_10_pr = MIN(dat.properties.\`1981-2010\`.std_date_span_month[9].env_climate_pr),
-									  period1_10_tas = MIN(dat.properties.\`1981-2010\`.std_date_span_month[9].env_climate_tas),
-									  period1_10_tasmax = MIN(dat.properties.\`1981-2010\`.std_date_span_month[9].env_climate_tasmax),
-									  period1_10_tasmin = MIN(dat.properties.\`1981-2010\`.std_date_span_month[9].env_climate_tasmin),
-									  period1_11_pr = MIN(dat.properties.\`1981-2010\`.std_date_span_month[10].env_climate_pr),
-									  period1_11_tas = MIN(dat.properties.\`1981-2010\`.std_date_span_month[10].env_climate_tas),
-									  period1_11_tasmax = MIN(dat.properties.\`1981-2010\`.std_date_span_month[10].env_climate_tasmax),
-									  period1_11_tasmin = MIN(dat.properties.\`1981-2010\`.std_date_span_month[10].env_climate_tasmin),
-									  period1_12_pr = MIN(dat.properties.\`1981-2010\`.std_date_span_month[11].env_climate_pr),
-									  period1_12_tas = MIN(dat.properties.\`1981-2010\`.std_date_span_month[11].env_climate_tas),
-									  period1_12_tasmax = MIN(dat.properties.\`1981-2010\`.std_date_span_month[11].env_climate_tasmax),
-									  period1_12_tasmin = MIN(dat.properties.\`1981-2010\`.std_date_span_month[11].env_climate_tasmin),
-									  period2_bio01 = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio01),
-									  period2_bio02 = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio02),
-									  period2_bio03 = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio03),
-									  period2_bio04 = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio04),
-									  period2_bio05 = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio05),
-									  period2_bio06 = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio06),
-									  period2_bio07 = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio07),
-									  period2_bio08 = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio08),
-									  period2_bio09 = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio09),
-									  period2_bio10 = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio10),
-									  period2_bio11 = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio11),
-									  period2_bio12 = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio12),
-									  period2_bio13 = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio13),
-									  period2_bio14 = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio14),
-									  period2_bio15 = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio15),
-									  period2_bio16 = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio16),
-									  period2_bio17 = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio17),
-									  period2_bio18 = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio18),
-									  period2_bio19 = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio19),
-									  period2_gdd0 = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gdd0),
-									  period2_gdd10 = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gdd10),
-									  period2_gdd5 = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gdd5),
-									  period2_gsl = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gsl),
-									  period2_gsp = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gsp),
-									  period2_gst = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gst),
-									  period2_ngd0 = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_ngd0),
-									  period2_ngd10 = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_ngd10),
-									  period2_ngd5 = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_ngd5),
-									  period2_npp = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_npp),
-									  period2_scd = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_scd),
-									  period2_01_pr = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_pr),
-									  period2_01_tas = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_tas),
-									  period2_01_tasmax = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_tasmax),
-									  period2_01_tasmin = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_tasmin),
-									  period2_02_pr = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_pr),
-									  period2_02_tas = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_tas),
-									  period2_02_tasmax = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_tasmax),
-									  period2_02_tasmin = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_tasmin),
-									  period2_03_pr = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_pr),
-									  period2_03_tas = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_tas),
-									  period2_03_tasmax = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_tasmax),
-									  period2_03_tasmin = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_tasmin),
-									  period2_04_pr = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_pr),
-									  period2_04_tas = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_tas),
-									  period2_04_tasmax = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_tasmax),
-									  period2_04_tasmin = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_tasmin),
-									  period2_05_pr = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_pr),
-									  period2_05_tas = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_tas),
-									  period2_05_tasmax = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_tasmax),
-									  period2_05_tasmin = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_tasmin),
-									  period2_06_pr = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_pr),
-									  period2_06_tas = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_tas),
-									  period2_06_tasmax = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_tasmax),
-									  period2_06_tasmin = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_tasmin),
-									  period2_07_pr = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_pr),
-									  period2_07_tas = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_tas),
-									  period2_07_tasmax = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_tasmax),
-									  period2_07_tasmin = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_tasmin),
-									  period2_08_pr = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_pr),
-									  period2_08_tas = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_tas),
-									  period2_08_tasmax = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_tasmax),
-									  period2_08_tasmin = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_tasmin),
-									  period2_09_pr = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_pr),
-									  period2_09_tas = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_tas),
-									  period2_09_tasmax = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_tasmax),
-									  period2_09_tasmin = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_tasmin),
-									  period2_10_pr = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_pr),
-									  period2_10_tas = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_tas),
-									  period2_10_tasmax = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_tasmax),
-									  period2_10_tasmin = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_tasmin),
-									  period2_11_pr = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_pr),
-									  period2_11_tas = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_tas),
-									  period2_11_tasmax = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_tasmax),
-									  period2_11_tasmin = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_tasmin),
-									  period2_12_pr = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_pr),
-									  period2_12_tas = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_tas),
-									  period2_12_tasmax = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_tasmax),
-									  period2_12_tasmin = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_tasmin),
-									  period3_bio01 = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio01),
-									  period3_bio02 = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio02),
-									  period3_bio03 = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio03),
-									  period3_bio04 = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio04),
-									  period3_bio05 = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio05),
-									  period3_bio06 = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio06),
-									  period3_bio07 = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio07),
-									  period3_bio08 = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio08),
-									  period3_bio09 = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio09),
-									  period3_bio10 = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio10),
-									  period3_bio11 = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio11),
-									  period3_bio12 = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio12),
-									  period3_bio13 = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio13),
-									  period3_bio14 = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio14),
-									  period3_bio15 = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio15),
-									  period3_bio16 = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio16),
-									  period3_bio17 = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio17),
-									  period3_bio18 = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio18),
-									  period3_bio19 = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio19),
-									  period3_gdd0 = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gdd0),
-									  period3_gdd10 = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gdd10),
-									  period3_gdd5 = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gdd5),
-									  period3_gsl = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gsl),
-									  period3_gsp = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gsp),
-									  period3_gst = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gst),
-									  period3_ngd0 = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_ngd0),
-									  period3_ngd10 = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_ngd10),
-									  period3_ngd5 = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_ngd5),
-									  period3_npp = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_npp),
-									  period3_scd = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_scd),
-									  period3_01_pr = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_pr),
-									  period3_01_tas = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_tas),
-									  period3_01_tasmax = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_tasmax),
-									  period3_01_tasmin = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_tasmin),
-									  period3_02_pr = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_pr),
-									  period3_02_tas = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_tas),
-									  period3_02_tasmax = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_tasmax),
-									  period3_02_tasmin = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_tasmin),
-									  period3_03_pr = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_pr),
-									  period3_03_tas = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_tas),
-									  period3_03_tasmax = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_tasmax),
-									  period3_03_tasmin = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_tasmin),
-									  period3_04_pr = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_pr),
-									  period3_04_tas = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_tas),
-									  period3_04_tasmax = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_tasmax),
-									  period3_04_tasmin = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_tasmin),
-									  period3_05_pr = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_pr),
-									  period3_05_tas = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_tas),
-									  period3_05_tasmax = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_tasmax),
-									  period3_05_tasmin = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_tasmin),
-									  period3_06_pr = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_pr),
-									  period3_06_tas = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_tas),
-									  period3_06_tasmax = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_tasmax),
-									  period3_06_tasmin = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_tasmin),
-									  period3_07_pr = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_pr),
-									  period3_07_tas = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_tas),
-									  period3_07_tasmax = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_tasmax),
-									  period3_07_tasmin = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_tasmin),
-									  period3_08_pr = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_pr),
-									  period3_08_tas = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_tas),
-									  period3_08_tasmax = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_tasmax),
-									  period3_08_tasmin = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_tasmin),
-									  period3_09_pr = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_pr),
-									  period3_09_tas = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_tas),
-									  period3_09_tasmax = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_tasmax),
-									  period3_09_tasmin = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_tasmin),
-									  period3_10_pr = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_pr),
-									  period3_10_tas = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_tas),
-									  period3_10_tasmax = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_tasmax),
-									  period3_10_tasmin = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_tasmin),
-									  period3_11_pr = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_pr),
-									  period3_11_tas = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_tas),
-									  period3_11_tasmax = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_tasmax),
-									  period3_11_tasmin = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_tasmin),
-									  period3_12_pr = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_pr),
-									  period3_12_tas = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_tas),
-									  period3_12_tasmax = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_tasmax),
-									  period3_12_tasmin = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_tasmin),
-									  period4_bio01 = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio01),
-									  period4_bio02 = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio02),
-									  period4_bio03 = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio03),
-									  period4_bio04 = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio04),
-									  period4_bio05 = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio05),
-									  period4_bio06 = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio06),
-									  period4_bio07 = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio07),
-									  period4_bio08 = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio08),
-									  period4_bio09 = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio09),
-									  period4_bio10 = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio10),
-									  period4_bio11 = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio11),
-									  period4_bio12 = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio12),
-									  period4_bio13 = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio13),
-									  period4_bio14 = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio14),
-									  period4_bio15 = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio15),
-									  period4_bio16 = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio16),
-									  period4_bio17 = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio17),
-									  period4_bio18 = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio18),
-									  period4_bio19 = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio19),
-									  period4_gdd0 = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gdd0),
-									  period4_gdd10 = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gdd10),
-									  period4_gdd5 = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gdd5),
-									  period4_gsl = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gsl),
-									  period4_gsp = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gsp),
-									  period4_gst = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gst),
-									  period4_ngd0 = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_ngd0),
-									  period4_ngd10 = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_ngd10),
-									  period4_ngd5 = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_ngd5),
-									  period4_npp = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_npp),
-									  period4_scd = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_scd),
-									  period4_01_pr = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_pr),
-									  period4_01_tas = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_tas),
-									  period4_01_tasmax = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_tasmax),
-									  period4_01_tasmin = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_tasmin),
-									  period4_02_pr = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_pr),
-									  period4_02_tas = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_tas),
-									  period4_02_tasmax = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_tasmax),
-									  period4_02_tasmin = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_tasmin),
-									  period4_03_pr = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_pr),
-									  period4_03_tas = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_tas),
-									  period4_03_tasmax = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_tasmax),
-									  period4_03_tasmin = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_tasmin),
-									  period4_04_pr = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_pr),
-									  period4_04_tas = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_tas),
-									  period4_04_tasmax = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_tasmax),
-									  period4_04_tasmin = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_tasmin),
-									  period4_05_pr = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_pr),
-									  period4_05_tas = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_tas),
-									  period4_05_tasmax = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_tasmax),
-									  period4_05_tasmin = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_tasmin),
-									  period4_06_pr = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_pr),
-									  period4_06_tas = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_tas),
-									  period4_06_tasmax = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_tasmax),
-									  period4_06_tasmin = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_tasmin),
-									  period4_07_pr = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_pr),
-									  period4_07_tas = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_tas),
-									  period4_07_tasmax = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_tasmax),
-									  period4_07_tasmin = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_tasmin),
-									  period4_08_pr = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_pr),
-									  period4_08_tas = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_tas),
-									  period4_08_tasmax = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_tasmax),
-									  period4_08_tasmin = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_tasmin),
-									  period4_09_pr = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_pr),
-									  period4_09_tas = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_tas),
-									  period4_09_tasmax = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_tasmax),
-									  period4_09_tasmin = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_tasmin),
-									  period4_10_pr = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_pr),
-									  period4_10_tas = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_tas),
-									  period4_10_tasmax = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_tasmax),
-									  period4_10_tasmin = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_tasmin),
-									  period4_11_pr = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_pr),
-									  period4_11_tas = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_tas),
-									  period4_11_tasmax = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_tasmax),
-									  period4_11_tasmin = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_tasmin),
-									  period4_12_pr = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_pr),
-									  period4_12_tas = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_tas),
-									  period4_12_tasmax = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_tasmax),
-									  period4_12_tasmin = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_tasmin)
-				RETURN {
-					count: count,
-					distance: distance,
-					properties: {
-						\`1981-2010\`: {
-							env_climate_ai: period1_ai,
-							env_climate_bio01: period1_bio01,
-							env_climate_bio02: period1_bio02,
-							env_climate_bio03: period1_bio03,
-							env_climate_bio04: period1_bio04,
-							env_climate_bio05: period1_bio05,
-							env_climate_bio06: period1_bio06,
-							env_climate_bio07: period1_bio07,
-							env_climate_bio08: period1_bio08,
-							env_climate_bio09: period1_bio09,
-							env_climate_bio10: period1_bio10,
-							env_climate_bio11: period1_bio11,
-							env_climate_bio12: period1_bio12,
-							env_climate_bio13: period1_bio13,
-							env_climate_bio14: period1_bio14,
-							env_climate_bio15: period1_bio15,
-							env_climate_bio16: period1_bio16,
-							env_climate_bio17: period1_bio17,
-							env_climate_bio18: period1_bio18,
-							env_climate_bio19: period1_bio19,
-							env_climate_clt_max: period1_clt_max,
-							env_climate_clt_mean: period1_clt_mean,
-							env_climate_clt_min: period1_clt_min,
-							env_climate_clt_range: period1_clt_range,
-							env_climate_cmi_max: period1_cmi_max,
-							env_climate_cmi_mean: period1_cmi_mean,
-							env_climate_cmi_min: period1_cmi_min,
-							env_climate_cmi_range: period1_cmi_range,
-							env_climate_fcf: period1_fcf,
-							env_climate_fgd: period1_fgd,
-							env_climate_gdd0: period1_gdd0,
-							env_climate_gdd10: period1_gdd10,
-							env_climate_gdd5: period1_gdd5,
-							env_climate_gddlgd0: period1_gddlgd0,
-							env_climate_gddlgd10: period1_gddlgd10,
-							env_climate_gddlgd5: period1_gddlgd5,
-							env_climate_gdgfgd0: period1_gdgfgd0,
-							env_climate_gdgfgd10: period1_gdgfgd10,
-							env_climate_gdgfgd5: period1_gdgfgd5,
-							env_climate_gsl: period1_gsl,
-							env_climate_gsp: period1_gsp,
-							env_climate_gst: period1_gst,
-							env_climate_hurs_max: period1_hurs_max,
-							env_climate_hurs_mean: period1_hurs_mean,
-							env_climate_hurs_min: period1_hurs_min,
-							env_climate_hurs_range: period1_hurs_range,
-							env_climate_ngd0: period1_ngd0,
-							env_climate_ngd10: period1_ngd10,
-							env_climate_ngd5: period1_ngd5,
-							env_climate_npp: period1_npp,
-							env_climate_pet_penman_max: period1_pet_penman_max,
-							env_climate_pet_penman_mean: period1_pet_penman_mean,
-							env_climate_pet_penman_min: period1_pet_penman_min,
-							env_climate_pet_penman_range: period1_pet_penman_range,
-							env_climate_rsds_max: period1_rsds_max,
-							env_climate_rsds_mean: period1_rsds_mean,
-							env_climate_rsds_min: period1_rsds_min,
-							env_climate_rsds_range: period1_rsds_range,
-							env_climate_scd: period1_scd,
-							env_climate_sfcWind_max: period1_sfcWind_max,
-							env_climate_sfcWind_mean: period1_sfcWind_mean,
-							env_climate_sfcWind_min: period1_sfcWind_min,
-							env_climate_sfcWind_range: period1_sfcWind_range,
-							env_climate_swb: period1_swb,
-							env_climate_swe: period1_swe,
-							env_climate_vpd_max: period1_vpd_max,
-							env_climate_vpd_mean: period1_vpd_mean,
-							env_climate_vpd_min: period1_vpd_min,
-							env_climate_vpd_range: period1_vpd_range,
-							std_date_span_month: [
-								{
-									std_month: 1,
-									env_climate_pr: 	period1_01_pr,
-									env_climate_tas: 	period1_01_tas,
-									env_climate_tasmax: period1_01_tasmax,
-									env_climate_tasmin: period1_01_tasmin
-								},
-								{
-									std_month: 2,
-									env_climate_pr: 	period1_02_pr,
-									env_climate_tas: 	period1_02_tas,
-									env_climate_tasmax: period1_02_tasmax,
-									env_climate_tasmin: period1_02_tasmin
-								},
-								{
-									std_month: 3,
-									env_climate_pr: 	period1_03_pr,
-									env_climate_tas: 	period1_03_tas,
-									env_climate_tasmax: period1_03_tasmax,
-									env_climate_tasmin: period1_03_tasmin
-								},
-								{
-									std_month: 4,
-									env_climate_pr: 	period1_04_pr,
-									env_climate_tas: 	period1_04_tas,
-									env_climate_tasmax: period1_04_tasmax,
-									env_climate_tasmin: period1_04_tasmin
-								},
-								{
-									std_month: 5,
-									env_climate_pr: 	period1_05_pr,
-									env_climate_tas: 	period1_05_tas,
-									env_climate_tasmax: period1_05_tasmax,
-									env_climate_tasmin: period1_05_tasmin
-								},
-								{
-									std_month: 6,
-									env_climate_pr: 	period1_06_pr,
-									env_climate_tas: 	period1_06_tas,
-									env_climate_tasmax: period1_06_tasmax,
-									env_climate_tasmin: period1_06_tasmin
-								},
-								{
-									std_month: 7,
-									env_climate_pr: 	period1_07_pr,
-									env_climate_tas: 	period1_07_tas,
-									env_climate_tasmax: period1_07_tasmax,
-									env_climate_tasmin: period1_07_tasmin
-								},
-								{
-									std_month: 8,
-									env_climate_pr: 	period1_08_pr,
-									env_climate_tas: 	period1_08_tas,
-									env_climate_tasmax: period1_08_tasmax,
-									env_climate_tasmin: period1_08_tasmin
-								},
-								{
-									std_month: 9,
-									env_climate_pr: 	period1_09_pr,
-									env_climate_tas: 	period1_09_tas,
-									env_climate_tasmax: period1_09_tasmax,
-									env_climate_tasmin: period1_09_tasmin
-								},
-								{
-									std_month: 10,
-									env_climate_pr: 	period1_10_pr,
-									env_climate_tas: 	period1_10_tas,
-									env_climate_tasmax: period1_10_tasmax,
-									env_climate_tasmin: period1_10_tasmin
-								},
-								{
-									std_month: 11,
-									env_climate_pr: 	period1_11_pr,
-									env_climate_tas: 	period1_11_tas,
-									env_climate_tasmax: period1_11_tasmax,
-									env_climate_tasmin: period1_11_tasmin
-								},
-								{
-									std_month: 12,
-									env_climate_pr: 	period1_12_pr,
-									env_climate_tas: 	period1_12_tas,
-									env_climate_tasmax: period1_12_tasmax,
-									env_climate_tasmin: period1_12_tasmin
-								}
-							]
-						},
-						\`2011-2040\`: {
-							\`MPI-ESM1-2-HR\`: {
-								ssp370: {
-									env_climate_bio01: period2_bio01,
-									env_climate_bio02: period2_bio02,
-									env_climate_bio03: period2_bio03,
-									env_climate_bio04: period2_bio04,
-									env_climate_bio05: period2_bio05,
-									env_climate_bio06: period2_bio06,
-									env_climate_bio07: period2_bio07,
-									env_climate_bio08: period2_bio08,
-									env_climate_bio09: period2_bio09,
-									env_climate_bio10: period2_bio10,
-									env_climate_bio11: period2_bio11,
-									env_climate_bio12: period2_bio12,
-									env_climate_bio13: period2_bio13,
-									env_climate_bio14: period2_bio14,
-									env_climate_bio15: period2_bio15,
-									env_climate_bio16: period2_bio16,
-									env_climate_bio17: period2_bio17,
-									env_climate_bio18: period2_bio18,
-									env_climate_bio19: period2_bio19,
-									env_climate_gdd0: period2_gdd0,
-									env_climate_gdd10: period2_gdd10,
-									env_climate_gdd5: period2_gdd5,
-									env_climate_gsl: period2_gsl,
-									env_climate_gsp: period2_gsp,
-									env_climate_gst: period2_gst,
-									env_climate_ngd0: period2_ngd0,
-									env_climate_ngd10: period2_ngd10,
-									env_climate_ngd5: period2_ngd5,
-									env_climate_npp: period2_npp,
-									env_climate_scd: period2_scd,
-									std_date_span_month: [
-										{
-											std_month: 1,
-											env_climate_pr: 	period2_01_pr,
-											env_climate_tas: 	period2_01_tas,
-											env_climate_tasmax: period2_01_tasmax,
-											env_climate_tasmin: period2_01_tasmin
-										},
-										{
-											std_month: 2,
-											env_climate_pr: 	period2_02_pr,
-											env_climate_tas: 	period2_02_tas,
-											env_climate_tasmax: period2_02_tasmax,
-											env_climate_tasmin: period2_02_tasmin
-										},
-										{
-											std_month: 3,
-											env_climate_pr: 	period2_03_pr,
-											env_climate_tas: 	period2_03_tas,
-											env_climate_tasmax: period2_03_tasmax,
-											env_climate_tasmin: period2_03_tasmin
-										},
-										{
-											std_month: 4,
-											env_climate_pr: 	period2_04_pr,
-											env_climate_tas: 	period2_04_tas,
-											env_climate_tasmax: period2_04_tasmax,
-											env_climate_tasmin: period2_04_tasmin
-										},
-										{
-											std_month: 5,
-											env_climate_pr: 	period2_05_pr,
-											env_climate_tas: 	period2_05_tas,
-											env_climate_tasmax: period2_05_tasmax,
-											env_climate_tasmin: period2_05_tasmin
-										},
-										{
-											std_month: 6,
-											env_climate_pr: 	period2_06_pr,
-											env_climate_tas: 	period2_06_tas,
-											env_climate_tasmax: period2_06_tasmax,
-											env_climate_tasmin: period2_06_tasmin
-										},
-										{
-											std_month: 7,
-											env_climate_pr: 	period2_07_pr,
-											env_climate_tas: 	period2_07_tas,
-											env_climate_tasmax: period2_07_tasmax,
-											env_climate_tasmin: period2_07_tasmin
-										},
-										{
-											std_month: 8,
-											env_climate_pr: 	period2_08_pr,
-											env_climate_tas: 	period2_08_tas,
-											env_climate_tasmax: period2_08_tasmax,
-											env_climate_tasmin: period2_08_tasmin
-										},
-										{
-											std_month: 9,
-											env_climate_pr: 	period2_09_pr,
-											env_climate_tas: 	period2_09_tas,
-											env_climate_tasmax: period2_09_tasmax,
-											env_climate_tasmin: period2_09_tasmin
-										},
-										{
-											std_month: 10,
-											env_climate_pr: 	period2_10_pr,
-											env_climate_tas: 	period2_10_tas,
-											env_climate_tasmax: period2_10_tasmax,
-											env_climate_tasmin: period2_10_tasmin
-										},
-										{
-											std_month: 11,
-											env_climate_pr: 	period2_11_pr,
-											env_climate_tas: 	period2_11_tas,
-											env_climate_tasmax: period2_11_tasmax,
-											env_climate_tasmin: period2_11_tasmin
-										},
-										{
-											std_month: 12,
-											env_climate_pr: 	period2_12_pr,
-											env_climate_tas: 	period2_12_tas,
-											env_climate_tasmax: period2_12_tasmax,
-											env_climate_tasmin: period2_12_tasmin
-										}
-									]
-								}
-							}
-						},
-						\`2041-2070\`: {
-							\`MPI-ESM1-2-HR\`: {
-								ssp370: {
-									env_climate_bio01: period3_bio01,
-									env_climate_bio02: period3_bio02,
-									env_climate_bio03: period3_bio03,
-									env_climate_bio04: period3_bio04,
-									env_climate_bio05: period3_bio05,
-									env_climate_bio06: period3_bio06,
-									env_climate_bio07: period3_bio07,
-									env_climate_bio08: period3_bio08,
-									env_climate_bio09: period3_bio09,
-									env_climate_bio10: period3_bio10,
-									env_climate_bio11: period3_bio11,
-									env_climate_bio12: period3_bio12,
-									env_climate_bio13: period3_bio13,
-									env_climate_bio14: period3_bio14,
-									env_climate_bio15: period3_bio15,
-									env_climate_bio16: period3_bio16,
-									env_climate_bio17: period3_bio17,
-									env_climate_bio18: period3_bio18,
-									env_climate_bio19: period3_bio19,
-									env_climate_gdd0: period3_gdd0,
-									env_climate_gdd10: period3_gdd10,
-									env_climate_gdd5: period3_gdd5,
-									env_climate_gsl: period3_gsl,
-									env_climate_gsp: period3_gsp,
-									env_climate_gst: period3_gst,
-									env_climate_ngd0: period3_ngd0,
-									env_climate_ngd10: period3_ngd10,
-									env_climate_ngd5: period3_ngd5,
-									env_climate_npp: period3_npp,
-									env_climate_scd: period3_scd,
-									std_date_span_month: [
-										{
-											std_month: 1,
-											env_climate_pr: 	period3_01_pr,
-											env_climate_tas: 	period3_01_tas,
-											env_climate_tasmax: period3_01_tasmax,
-											env_climate_tasmin: period3_01_tasmin
-										},
-										{
-											std_month: 2,
-											env_climate_pr: 	period3_02_pr,
-											env_climate_tas: 	period3_02_tas,
-											env_climate_tasmax: period3_02_tasmax,
-											env_climate_tasmin: period3_02_tasmin
-										},
-										{
-											std_month: 3,
-											env_climate_pr: 	period3_03_pr,
-											env_climate_tas: 	period3_03_tas,
-											env_climate_tasmax: period3_03_tasmax,
-											env_climate_tasmin: period3_03_tasmin
-										},
-										{
-											std_month: 4,
-											env_climate_pr: 	period3_04_pr,
-											env_climate_tas: 	period3_04_tas,
-											env_climate_tasmax: period3_04_tasmax,
-											env_climate_tasmin: period3_04_tasmin
-										},
-										{
-											std_month: 5,
-											env_climate_pr: 	period3_05_pr,
-											env_climate_tas: 	period3_05_tas,
-											env_climate_tasmax: period3_05_tasmax,
-											env_climate_tasmin: period3_05_tasmin
-										},
-										{
-											std_month: 6,
-											env_climate_pr: 	period3_06_pr,
-											env_climate_tas: 	period3_06_tas,
-											env_climate_tasmax: period3_06_tasmax,
-											env_climate_tasmin: period3_06_tasmin
-										},
-										{
-											std_month: 7,
-											env_climate_pr: 	period3_07_pr,
-											env_climate_tas: 	period3_07_tas,
-											env_climate_tasmax: period3_07_tasmax,
-											env_climate_tasmin: period3_07_tasmin
-										},
-										{
-											std_month: 8,
-											env_climate_pr: 	period3_08_pr,
-											env_climate_tas: 	period3_08_tas,
-											env_climate_tasmax: period3_08_tasmax,
-											env_climate_tasmin: period3_08_tasmin
-										},
-										{
-											std_month: 9,
-											env_climate_pr: 	period3_09_pr,
-											env_climate_tas: 	period3_09_tas,
-											env_climate_tasmax: period3_09_tasmax,
-											env_climate_tasmin: period3_09_tasmin
-										},
-										{
-											std_month: 10,
-											env_climate_pr: 	period3_10_pr,
-											env_climate_tas: 	period3_10_tas,
-											env_climate_tasmax: period3_10_tasmax,
-											env_climate_tasmin: period3_10_tasmin
-										},
-										{
-											std_month: 11,
-											env_climate_pr: 	period3_11_pr,
-											env_climate_tas: 	period3_11_tas,
-											env_climate_tasmax: period3_11_tasmax,
-											env_climate_tasmin: period3_11_tasmin
-										},
-										{
-											std_month: 12,
-											env_climate_pr: 	period3_12_pr,
-											env_climate_tas: 	period3_12_tas,
-											env_climate_tasmax: period3_12_tasmax,
-											env_climate_tasmin: period3_12_tasmin
-										}
-									]
-								}
-							}
-						},
-						\`2071-2100\`: {
-							\`MPI-ESM1-2-HR\`: {
-								ssp370: {
-									env_climate_bio01: period4_bio01,
-									env_climate_bio02: period4_bio02,
-									env_climate_bio03: period4_bio03,
-									env_climate_bio04: period4_bio04,
-									env_climate_bio05: period4_bio05,
-									env_climate_bio06: period4_bio06,
-									env_climate_bio07: period4_bio07,
-									env_climate_bio08: period4_bio08,
-									env_climate_bio09: period4_bio09,
-									env_climate_bio10: period4_bio10,
-									env_climate_bio11: period4_bio11,
-									env_climate_bio12: period4_bio12,
-									env_climate_bio13: period4_bio13,
-									env_climate_bio14: period4_bio14,
-									env_climate_bio15: period4_bio15,
-									env_climate_bio16: period4_bio16,
-									env_climate_bio17: period4_bio17,
-									env_climate_bio18: period4_bio18,
-									env_climate_bio19: period4_bio19,
-									env_climate_gdd0: period4_gdd0,
-									env_climate_gdd10: period4_gdd10,
-									env_climate_gdd5: period4_gdd5,
-									env_climate_gsl: period4_gsl,
-									env_climate_gsp: period4_gsp,
-									env_climate_gst: period4_gst,
-									env_climate_ngd0: period4_ngd0,
-									env_climate_ngd10: period4_ngd10,
-									env_climate_ngd5: period4_ngd5,
-									env_climate_npp: period4_npp,
-									env_climate_scd: period4_scd,
-									std_date_span_month: [
-										{
-											std_month: 1,
-											env_climate_pr: 	period4_01_pr,
-											env_climate_tas: 	period4_01_tas,
-											env_climate_tasmax: period4_01_tasmax,
-											env_climate_tasmin: period4_01_tasmin
-										},
-										{
-											std_month: 2,
-											env_climate_pr: 	period4_02_pr,
-											env_climate_tas: 	period4_02_tas,
-											env_climate_tasmax: period4_02_tasmax,
-											env_climate_tasmin: period4_02_tasmin
-										},
-										{
-											std_month: 3,
-											env_climate_pr: 	period4_03_pr,
-											env_climate_tas: 	period4_03_tas,
-											env_climate_tasmax: period4_03_tasmax,
-											env_climate_tasmin: period4_03_tasmin
-										},
-										{
-											std_month: 4,
-											env_climate_pr: 	period4_04_pr,
-											env_climate_tas: 	period4_04_tas,
-											env_climate_tasmax: period4_04_tasmax,
-											env_climate_tasmin: period4_04_tasmin
-										},
-										{
-											std_month: 5,
-											env_climate_pr: 	period4_05_pr,
-											env_climate_tas: 	period4_05_tas,
-											env_climate_tasmax: period4_05_tasmax,
-											env_climate_tasmin: period4_05_tasmin
-										},
-										{
-											std_month: 6,
-											env_climate_pr: 	period4_06_pr,
-											env_climate_tas: 	period4_06_tas,
-											env_climate_tasmax: period4_06_tasmax,
-											env_climate_tasmin: period4_06_tasmin
-										},
-										{
-											std_month: 7,
-											env_climate_pr: 	period4_07_pr,
-											env_climate_tas: 	period4_07_tas,
-											env_climate_tasmax: period4_07_tasmax,
-											env_climate_tasmin: period4_07_tasmin
-										},
-										{
-											std_month: 8,
-											env_climate_pr: 	period4_08_pr,
-											env_climate_tas: 	period4_08_tas,
-											env_climate_tasmax: period4_08_tasmax,
-											env_climate_tasmin: period4_08_tasmin
-										},
-										{
-											std_month: 9,
-											env_climate_pr: 	period4_09_pr,
-											env_climate_tas: 	period4_09_tas,
-											env_climate_tasmax: period4_09_tasmax,
-											env_climate_tasmin: period4_09_tasmin
-										},
-										{
-											std_month: 10,
-											env_climate_pr: 	period4_10_pr,
-											env_climate_tas: 	period4_10_tas,
-											env_climate_tasmax: period4_10_tasmax,
-											env_climate_tasmin: period4_10_tasmin
-										},
-										{
-											std_month: 11,
-											env_climate_pr: 	period4_11_pr,
-											env_climate_tas: 	period4_11_tas,
-											env_climate_tasmax: period4_11_tasmax,
-											env_climate_tasmin: period4_11_tasmin
-										},
-										{
-											std_month: 12,
-											env_climate_pr: 	period4_12_pr,
-											env_climate_tas: 	period4_12_tas,
-											env_climate_tasmax: period4_12_tasmax,
-											env_climate_tasmin: period4_12_tasmin
-										}
-									]
-								}
-							}
-						}
-					}
-				}
-			`
-			break
-
-		case 'AVG':
-			query = aql`
-				LET target = ${theGeometry}
-				FOR doc IN ${theCollectionMap}
-					FOR dat IN ${theCollection}
-						FILTER dat._key == doc._key
-						LET dist = GEO_DISTANCE(target, doc.geometry)
-						FILTER dist >= ${theMin}
-						FILTER dist <= ${theMax}
-						COLLECT AGGREGATE count = COUNT(),
-									  distance = AVERAGE(dist),
-									  period1_ai = AVERAGE(dat.properties.\`1981-2010\`.env_climate_ai),
-									  period1_bio01 = AVERAGE(dat.properties.\`1981-2010\`.env_climate_bio01),
-									  period1_bio02 = AVERAGE(dat.properties.\`1981-2010\`.env_climate_bio02),
-									  period1_bio03 = AVERAGE(dat.properties.\`1981-2010\`.env_climate_bio03),
-									  period1_bio04 = AVERAGE(dat.properties.\`1981-2010\`.env_climate_bio04),
-									  period1_bio05 = AVERAGE(dat.properties.\`1981-2010\`.env_climate_bio05),
-									  period1_bio06 = AVERAGE(dat.properties.\`1981-2010\`.env_climate_bio06),
-									  period1_bio07 = AVERAGE(dat.properties.\`1981-2010\`.env_climate_bio07),
-									  period1_bio08 = AVERAGE(dat.properties.\`1981-2010\`.env_climate_bio08),
-									  period1_bio09 = AVERAGE(dat.properties.\`1981-2010\`.env_climate_bio09),
-									  period1_bio10 = AVERAGE(dat.properties.\`1981-2010\`.env_climate_bio10),
-									  period1_bio11 = AVERAGE(dat.properties.\`1981-2010\`.env_climate_bio11),
-									  period1_bio12 = AVERAGE(dat.properties.\`1981-2010\`.env_climate_bio12),
-									  period1_bio13 = AVERAGE(dat.properties.\`1981-2010\`.env_climate_bio13),
-									  period1_bio14 = AVERAGE(dat.properties.\`1981-2010\`.env_climate_bio14),
-									  period1_bio15 = AVERAGE(dat.properties.\`1981-2010\`.env_climate_bio15),
-									  period1_bio16 = AVERAGE(dat.properties.\`1981-2010\`.env_climate_bio16),
-									  period1_bio17 = AVERAGE(dat.properties.\`1981-2010\`.env_climate_bio17),
-									  period1_bio18 = AVERAGE(dat.properties.\`1981-2010\`.env_climate_bio18),
-									  period1_bio19 = AVERAGE(dat.properties.\`1981-2010\`.env_climate_bio19),
-									  period1_clt_max = AVERAGE(dat.properties.\`1981-2010\`.env_climate_clt_max),
-									  period1_clt_mean = AVERAGE(dat.properties.\`1981-2010\`.env_climate_clt_mean),
-									  period1_clt_min = AVERAGE(dat.properties.\`1981-2010\`.env_climate_clt_min),
-									  period1_clt_range = AVERAGE(dat.properties.\`1981-2010\`.env_climate_clt_range),
-									  period1_cmi_max = AVERAGE(dat.properties.\`1981-2010\`.env_climate_cmi_max),
-									  period1_cmi_mean = AVERAGE(dat.properties.\`1981-2010\`.env_climate_cmi_mean),
-									  period1_cmi_min = AVERAGE(dat.properties.\`1981-2010\`.env_climate_cmi_min),
-									  period1_cmi_range = AVERAGE(dat.properties.\`1981-2010\`.env_climate_cmi_range),
-									  period1_fcf =  AVERAGE(dat.properties.\`1981-2010\`.env_climate_fcf),
-									  period1_fgd =  AVERAGE(dat.properties.\`1981-2010\`.env_climate_fgd),
-									  period1_gdd0 =  AVERAGE(dat.properties.\`1981-2010\`.env_climate_gdd0),
-									  period1_gdd10 = AVERAGE(dat.properties.\`1981-2010\`.env_climate_gdd10),
-									  period1_gdd5 = AVERAGE(dat.properties.\`1981-2010\`.env_climate_gdd5),
-									  period1_gddlgd0 = AVERAGE(dat.properties.\`1981-2010\`.env_climate_gddlgd0),
-									  period1_gddlgd10 = AVERAGE(dat.properties.\`1981-2010\`.env_climate_gddlgd10),
-									  period1_gddlgd5 = AVERAGE(dat.properties.\`1981-2010\`.env_climate_gddlgd5),
-									  period1_gdgfgd0 = AVERAGE(dat.properties.\`1981-2010\`.env_climate_gdgfgd0),
-									  period1_gdgfgd10 = AVERAGE(dat.properties.\`1981-2010\`.env_climate_gdgfgd10),
-									  period1_gdgfgd5 = AVERAGE(dat.properties.\`1981-2010\`.env_climate_gdgfgd5),
-									  period1_gsl = AVERAGE(dat.properties.\`1981-2010\`.env_climate_gsl),
-									  period1_gsp = AVERAGE(dat.properties.\`1981-2010\`.env_climate_gsp),
-									  period1_gst = AVERAGE(dat.properties.\`1981-2010\`.env_climate_gst),
-									  period1_hurs_max = AVERAGE(dat.properties.\`1981-2010\`.env_climate_hurs_max),
-									  period1_hurs_mean = AVERAGE(dat.properties.\`1981-2010\`.env_climate_hurs_mean),
-									  period1_hurs_min = AVERAGE(dat.properties.\`1981-2010\`.env_climate_hurs_min),
-									  period1_hurs_range = AVERAGE(dat.properties.\`1981-2010\`.env_climate_hurs_range),
-									  period1_ngd0 = AVERAGE(dat.properties.\`1981-2010\`.env_climate_ngd0),
-									  period1_ngd10 = AVERAGE(dat.properties.\`1981-2010\`.env_climate_ngd10),
-									  period1_ngd5 = AVERAGE(dat.properties.\`1981-2010\`.env_climate_ngd5),
-									  period1_npp = AVERAGE(dat.properties.\`1981-2010\`.env_climate_npp),
-									  period1_pet_penman_max = AVERAGE(dat.properties.\`1981-2010\`.env_climate_pet_penman_max),
-									  period1_pet_penman_mean = AVERAGE(dat.properties.\`1981-2010\`.env_climate_pet_penman_mean),
-									  period1_pet_penman_min = AVERAGE(dat.properties.\`1981-2010\`.env_climate_pet_penman_min),
-									  period1_pet_penman_range = AVERAGE(dat.properties.\`1981-2010\`.env_climate_pet_penman_range),
-									  period1_rsds_max = AVERAGE(dat.properties.\`1981-2010\`.env_climate_rsds_max),
-									  period1_rsds_mean = AVERAGE(dat.properties.\`1981-2010\`.env_climate_rsds_mean),
-									  period1_rsds_min = AVERAGE(dat.properties.\`1981-2010\`.env_climate_rsds_min),
-									  period1_rsds_range = AVERAGE(dat.properties.\`1981-2010\`.env_climate_rsds_range),
-									  period1_scd = AVERAGE(dat.properties.\`1981-2010\`.env_climate_scd),
-									  period1_sfcWind_max = AVERAGE(dat.properties.\`1981-2010\`.env_climate_sfcWind_max),
-									  period1_sfcWind_mean = AVERAGE(dat.properties.\`1981-2010\`.env_climate_sfcWind_mean),
-									  period1_sfcWind_min = AVERAGE(dat.properties.\`1981-2010\`.env_climate_sfcWind_min),
-									  period1_sfcWind_range = AVERAGE(dat.properties.\`1981-2010\`.env_climate_sfcWind_range),
-									  period1_swb = AVERAGE(dat.properties.\`1981-2010\`.env_climate_swb),
-									  period1_swe = AVERAGE(dat.properties.\`1981-2010\`.env_climate_swe),
-									  period1_vpd_max = AVERAGE(dat.properties.\`1981-2010\`.env_climate_vpd_max),
-									  period1_vpd_mean = AVERAGE(dat.properties.\`1981-2010\`.env_climate_vpd_mean),
-									  period1_vpd_min = AVERAGE(dat.properties.\`1981-2010\`.env_climate_vpd_min),
-									  period1_vpd_range = AVERAGE(dat.properties.\`1981-2010\`.env_climate_vpd_range),
-									  period1_01_pr = AVERAGE(dat.properties.\`1981-2010\`.std_date_span_month[0].env_climate_pr),
-									  period1_01_tas = AVERAGE(dat.properties.\`1981-2010\`.std_date_span_month[0].env_climate_tas),
-									  period1_01_tasmax = AVERAGE(dat.properties.\`1981-2010\`.std_date_span_month[0].env_climate_tasmax),
-									  period1_01_tasmin = AVERAGE(dat.properties.\`1981-2010\`.std_date_span_month[0].env_climate_tasmin),
-									  period1_02_pr = AVERAGE(dat.properties.\`1981-2010\`.std_date_span_month[1].env_climate_pr),
-									  period1_02_tas = AVERAGE(dat.properties.\`1981-2010\`.std_date_span_month[1].env_climate_tas),
-									  period1_02_tasmax = AVERAGE(dat.properties.\`1981-2010\`.std_date_span_month[1].env_climate_tasmax),
-									  period1_02_tasmin = AVERAGE(dat.properties.\`1981-2010\`.std_date_span_month[1].env_climate_tasmin),
-									  period1_03_pr = AVERAGE(dat.properties.\`1981-2010\`.std_date_span_month[2].env_climate_pr),
-									  period1_03_tas = AVERAGE(dat.properties.\`1981-2010\`.std_date_span_month[2].env_climate_tas),
-									  period1_03_tasmax = AVERAGE(dat.properties.\`1981-2010\`.std_date_span_month[2].env_climate_tasmax),
-									  period1_03_tasmin = AVERAGE(dat.properties.\`1981-2010\`.std_date_span_month[2].env_climate_tasmin),
-									  period1_04_pr = AVERAGE(dat.properties.\`1981-2010\`.std_date_span_month[3].env_climate_pr),
-									  period1_04_tas = AVERAGE(dat.properties.\`1981-2010\`.std_date_span_month[3].env_climate_tas),
-									  period1_04_tasmax = AVERAGE(dat.properties.\`1981-2010\`.std_date_span_month[3].env_climate_tasmax),
-									  period1_04_tasmin = AVERAGE(dat.properties.\`1981-2010\`.std_date_span_month[3].env_climate_tasmin),
-									  period1_05_pr = AVERAGE(dat.properties.\`1981-2010\`.std_date_span_month[4].env_climate_pr),
-									  period1_05_tas = AVERAGE(dat.properties.\`1981-2010\`.std_date_span_month[4].env_climate_tas),
-									  period1_05_tasmax = AVERAGE(dat.properties.\`1981-2010\`.std_date_span_month[4].env_climate_tasmax),
-									  period1_05_tasmin = AVERAGE(dat.properties.\`1981-2010\`.std_date_span_month[4].env_climate_tasmin),
-									  period1_06_pr = AVERAGE(dat.properties.\`1981-2010\`.std_date_span_month[5].env_climate_pr),
-									  period1_06_tas = AVERAGE(dat.properties.\`1981-2010\`.std_date_span_month[5].env_climate_tas),
-									  period1_06_tasmax = AVERAGE(dat.properties.\`1981-2010\`.std_date_span_month[5].env_climate_tasmax),
-									  period1_06_tasmin = AVERAGE(dat.properties.\`1981-2010\`.std_date_span_month[5].env_climate_tasmin),
-									  period1_07_pr = AVERAGE(dat.properties.\`1981-2010\`.std_date_span_month[6].env_climate_pr),
-									  period1_07_tas = AVERAGE(dat.properties.\`1981-2010\`.std_date_span_month[6].env_climate_tas),
-									  period1_07_tasmax = AVERAGE(dat.properties.\`1981-2010\`.std_date_span_month[6].env_climate_tasmax),
-									  period1_07_tasmin = AVERAGE(dat.properties.\`1981-2010\`.std_date_span_month[6].env_climate_tasmin),
-									  period1_08_pr = AVERAGE(dat.properties.\`1981-2010\`.std_date_span_month[7].env_climate_pr),
-									  period1_08_tas = AVERAGE(dat.properties.\`1981-2010\`.std_date_span_month[7].env_climate_tas),
-									  period1_08_tasmax = AVERAGE(dat.properties.\`1981-2010\`.std_date_span_month[7].env_climate_tasmax),
-									  period1_08_tasmin = AVERAGE(dat.properties.\`1981-2010\`.std_date_span_month[7].env_climate_tasmin),
-									  period1_09_pr = AVERAGE(dat.properties.\`1981-2010\`.std_date_span_month[8].env_climate_pr),
-									  period1_09_tas = AVERAGE(dat.properties.\`1981-2010\`.std_date_span_month[8].env_climate_tas),
-									  period1_09_tasmax = AVERAGE(dat.properties.\`1981-2010\`.std_date_span_month[8].env_climate_tasmax),
-									  period1_09_tasmin = AVERAGE(dat.properties.\`1981-2010\`.std_date_span_month[8].env_climate_tasmin),
-									  period1_10_pr = AVERAGE(dat.properties.\`1981-2010\`.std_date_span_month[9].env_climate_pr),
-									  period1_10_tas = AVERAGE(dat.properties.\`1981-2010\`.std_date_span_month[9].env_climate_tas),
-									  period1_10_tasmax = AVERAGE(dat.properties.\`1981-2010\`.std_date_span_month[9].env_climate_tasmax),
-									  period1_10_tasmin = AVERAGE(dat.properties.\`1981-2010\`.std_date_span_month[9].env_climate_tasmin),
-									  period1_11_pr = AVERAGE(dat.properties.\`1981-2010\`.std_date_span_month[10].env_climate_pr),
-									  period1_11_tas = AVERAGE(dat.properties.\`1981-2010\`.std_date_span_month[10].env_climate_tas),
-									  period1_11_tasmax = AVERAGE(dat.properties.\`1981-2010\`.std_date_span_month[10].env_climate_tasmax),
-									  period1_11_tasmin = AVERAGE(dat.properties.\`1981-2010\`.std_date_span_month[10].env_climate_tasmin),
-									  period1_12_pr = AVERAGE(dat.properties.\`1981-2010\`.std_date_span_month[11].env_climate_pr),
-									  period1_12_tas = AVERAGE(dat.properties.\`1981-2010\`.std_date_span_month[11].env_climate_tas),
-									  period1_12_tasmax = AVERAGE(dat.properties.\`1981-2010\`.std_date_span_month[11].env_climate_tasmax),
-									  period1_12_tasmin = AVERAGE(dat.properties.\`1981-2010\`.std_date_span_month[11].env_climate_tasmin),
-									  period2_bio01 = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio01),
-									  period2_bio02 = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio02),
-									  period2_bio03 = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio03),
-									  period2_bio04 = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio04),
-									  period2_bio05 = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio05),
-									  period2_bio06 = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio06),
-									  period2_bio07 = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio07),
-									  period2_bio08 = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio08),
-									  period2_bio09 = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio09),
-									  period2_bio10 = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio10),
-									  period2_bio11 = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio11),
-									  period2_bio12 = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio12),
-									  period2_bio13 = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio13),
-									  period2_bio14 = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio14),
-									  period2_bio15 = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio15),
-									  period2_bio16 = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio16),
-									  period2_bio17 = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio17),
-									  period2_bio18 = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio18),
-									  period2_bio19 = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio19),
-									  period2_gdd0 = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gdd0),
-									  period2_gdd10 = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gdd10),
-									  period2_gdd5 = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gdd5),
-									  period2_gsl = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gsl),
-									  period2_gsp = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gsp),
-									  period2_gst = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gst),
-									  period2_ngd0 = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_ngd0),
-									  period2_ngd10 = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_ngd10),
-									  period2_ngd5 = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_ngd5),
-									  period2_npp = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_npp),
-									  period2_scd = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_scd),
-									  period2_01_pr = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_pr),
-									  period2_01_tas = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_tas),
-									  period2_01_tasmax = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_tasmax),
-									  period2_01_tasmin = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_tasmin),
-									  period2_02_pr = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_pr),
-									  period2_02_tas = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_tas),
-									  period2_02_tasmax = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_tasmax),
-									  period2_02_tasmin = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_tasmin),
-									  period2_03_pr = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_pr),
-									  period2_03_tas = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_tas),
-									  period2_03_tasmax = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_tasmax),
-									  period2_03_tasmin = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_tasmin),
-									  period2_04_pr = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_pr),
-									  period2_04_tas = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_tas),
-									  period2_04_tasmax = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_tasmax),
-									  period2_04_tasmin = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_tasmin),
-									  period2_05_pr = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_pr),
-									  period2_05_tas = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_tas),
-									  period2_05_tasmax = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_tasmax),
-									  period2_05_tasmin = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_tasmin),
-									  period2_06_pr = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_pr),
-									  period2_06_tas = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_tas),
-									  period2_06_tasmax = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_tasmax),
-									  period2_06_tasmin = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_tasmin),
-									  period2_07_pr = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_pr),
-									  period2_07_tas = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_tas),
-									  period2_07_tasmax = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_tasmax),
-									  period2_07_tasmin = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_tasmin),
-									  period2_08_pr = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_pr),
-									  period2_08_tas = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_tas),
-									  period2_08_tasmax = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_tasmax),
-									  period2_08_tasmin = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_tasmin),
-									  period2_09_pr = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_pr),
-									  period2_09_tas = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_tas),
-									  period2_09_tasmax = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_tasmax),
-									  period2_09_tasmin = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_tasmin),
-									  period2_10_pr = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_pr),
-									  period2_10_tas = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_tas),
-									  period2_10_tasmax = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_tasmax),
-									  period2_10_tasmin = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_tasmin),
-									  period2_11_pr = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_pr),
-									  period2_11_tas = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_tas),
-									  period2_11_tasmax = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_tasmax),
-									  period2_11_tasmin = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_tasmin),
-									  period2_12_pr = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_pr),
-									  period2_12_tas = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_tas),
-									  period2_12_tasmax = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_tasmax),
-									  period2_12_tasmin = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_tasmin),
-									  period3_bio01 = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio01),
-									  period3_bio02 = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio02),
-									  period3_bio03 = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio03),
-									  period3_bio04 = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio04),
-									  period3_bio05 = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio05),
-									  period3_bio06 = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio06),
-									  period3_bio07 = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio07),
-									  period3_bio08 = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio08),
-									  period3_bio09 = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio09),
-									  period3_bio10 = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio10),
-									  period3_bio11 = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio11),
-									  period3_bio12 = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio12),
-									  period3_bio13 = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio13),
-									  period3_bio14 = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio14),
-									  period3_bio15 = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio15),
-									  period3_bio16 = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio16),
-									  period3_bio17 = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio17),
-									  period3_bio18 = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio18),
-									  period3_bio19 = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio19),
-									  period3_gdd0 = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gdd0),
-									  period3_gdd10 = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gdd10),
-									  period3_gdd5 = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gdd5),
-									  period3_gsl = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gsl),
-									  period3_gsp = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gsp),
-									  period3_gst = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gst),
-									  period3_ngd0 = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_ngd0),
-									  period3_ngd10 = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_ngd10),
-									  period3_ngd5 = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_ngd5),
-									  period3_npp = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_npp),
-									  period3_scd = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_scd),
-									  period3_01_pr = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_pr),
-									  period3_01_tas = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_tas),
-									  period3_01_tasmax = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_tasmax),
-									  period3_01_tasmin = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_tasmin),
-									  period3_02_pr = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_pr),
-									  period3_02_tas = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_tas),
-									  period3_02_tasmax = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_tasmax),
-									  period3_02_tasmin = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_tasmin),
-									  period3_03_pr = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_pr),
-									  period3_03_tas = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_tas),
-									  period3_03_tasmax = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_tasmax),
-									  period3_03_tasmin = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_tasmin),
-									  period3_04_pr = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_pr),
-									  period3_04_tas = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_tas),
-									  period3_04_tasmax = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_tasmax),
-									  period3_04_tasmin = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_tasmin),
-									  period3_05_pr = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_pr),
-									  period3_05_tas = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_tas),
-									  period3_05_tasmax = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_tasmax),
-									  period3_05_tasmin = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_tasmin),
-									  period3_06_pr = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_pr),
-									  period3_06_tas = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_tas),
-									  period3_06_tasmax = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_tasmax),
-									  period3_06_tasmin = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_tasmin),
-									  period3_07_pr = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_pr),
-									  period3_07_tas = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_tas),
-									  period3_07_tasmax = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_tasmax),
-									  period3_07_tasmin = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_tasmin),
-									  period3_08_pr = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_pr),
-									  period3_08_tas = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_tas),
-									  period3_08_tasmax = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_tasmax),
-									  period3_08_tasmin = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_tasmin),
-									  period3_09_pr = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_pr),
-									  period3_09_tas = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_tas),
-									  period3_09_tasmax = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_tasmax),
-									  period3_09_tasmin = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_tasmin),
-									  period3_10_pr = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_pr),
-									  period3_10_tas = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_tas),
-									  period3_10_tasmax = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_tasmax),
-									  period3_10_tasmin = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_tasmin),
-									  period3_11_pr = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_pr),
-									  period3_11_tas = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_tas),
-									  period3_11_tasmax = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_tasmax),
-									  period3_11_tasmin = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_tasmin),
-									  period3_12_pr = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_pr),
-									  period3_12_tas = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_tas),
-									  period3_12_tasmax = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_tasmax),
-									  period3_12_tasmin = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_tasmin),
-									  period4_bio01 = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio01),
-									  period4_bio02 = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio02),
-									  period4_bio03 = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio03),
-									  period4_bio04 = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio04),
-									  period4_bio05 = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio05),
-									  period4_bio06 = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio06),
-									  period4_bio07 = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio07),
-									  period4_bio08 = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio08),
-									  period4_bio09 = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio09),
-									  period4_bio10 = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio10),
-									  period4_bio11 = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio11),
-									  period4_bio12 = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio12),
-									  period4_bio13 = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio13),
-									  period4_bio14 = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio14),
-									  period4_bio15 = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio15),
-									  period4_bio16 = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio16),
-									  period4_bio17 = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio17),
-									  period4_bio18 = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio18),
-									  period4_bio19 = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio19),
-									  period4_gdd0 = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gdd0),
-									  period4_gdd10 = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gdd10),
-									  period4_gdd5 = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gdd5),
-									  period4_gsl = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gsl),
-									  period4_gsp = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gsp),
-									  period4_gst = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gst),
-									  period4_ngd0 = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_ngd0),
-									  period4_ngd10 = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_ngd10),
-									  period4_ngd5 = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_ngd5),
-									  period4_npp = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_npp),
-									  period4_scd = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_scd),
-									  period4_01_pr = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_pr),
-									  period4_01_tas = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_tas),
-									  period4_01_tasmax = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_tasmax),
-									  period4_01_tasmin = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_tasmin),
-									  period4_02_pr = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_pr),
-									  period4_02_tas = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_tas),
-									  period4_02_tasmax = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_tasmax),
-									  period4_02_tasmin = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_tasmin),
-									  period4_03_pr = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_pr),
-									  period4_03_tas = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_tas),
-									  period4_03_tasmax = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_tasmax),
-									  period4_03_tasmin = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_tasmin),
-									  period4_04_pr = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_pr),
-									  period4_04_tas = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_tas),
-									  period4_04_tasmax = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_tasmax),
-									  period4_04_tasmin = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_tasmin),
-									  period4_05_pr = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_pr),
-									  period4_05_tas = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_tas),
-									  period4_05_tasmax = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_tasmax),
-									  period4_05_tasmin = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_tasmin),
-									  period4_06_pr = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_pr),
-									  period4_06_tas = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_tas),
-									  period4_06_tasmax = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_tasmax),
-									  period4_06_tasmin = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_tasmin),
-									  period4_07_pr = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_pr),
-									  period4_07_tas = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_tas),
-									  period4_07_tasmax = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_tasmax),
-									  period4_07_tasmin = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_tasmin),
-									  period4_08_pr = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_pr),
-									  period4_08_tas = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_tas),
-									  period4_08_tasmax = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_tasmax),
-									  period4_08_tasmin = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_tasmin),
-									  period4_09_pr = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_pr),
-									  period4_09_tas = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_tas),
-									  period4_09_tasmax = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_tasmax),
-									  period4_09_tasmin = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_tasmin),
-									  period4_10_pr = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_pr),
-									  period4_10_tas = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_tas),
-									  period4_10_tasmax = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_tasmax),
-									  period4_10_tasmin = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_tasmin),
-									  period4_11_pr = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_pr),
-									  period4_11_tas = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_tas),
-									  period4_11_tasmax = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_tasmax),
-									  period4_11_tasmin = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_tasmin),
-									  period4_12_pr = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_pr),
-									  period4_12_tas = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_tas),
-									  period4_12_tasmax = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_tasmax),
-									  period4_12_tasmin = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_tasmin)
-				RETURN {
-					count: count,
-					distance: distance,
-					properties: {
-						\`1981-2010\`: {
-							env_climate_ai: period1_ai,
-							env_climate_bio01: period1_bio01,
-							env_climate_bio02: period1_bio02,
-							env_climate_bio03: period1_bio03,
-							env_climate_bio04: period1_bio04,
-							env_climate_bio05: period1_bio05,
-							env_climate_bio06: period1_bio06,
-							env_climate_bio07: period1_bio07,
-							env_climate_bio08: period1_bio08,
-							env_climate_bio09: period1_bio09,
-							env_climate_bio10: period1_bio10,
-							env_climate_bio11: period1_bio11,
-							env_climate_bio12: period1_bio12,
-							env_climate_bio13: period1_bio13,
-							env_climate_bio14: period1_bio14,
-							env_climate_bio15: period1_bio15,
-							env_climate_bio16: period1_bio16,
-							env_climate_bio17: period1_bio17,
-							env_climate_bio18: period1_bio18,
-							env_climate_bio19: period1_bio19,
-							env_climate_clt_max: period1_clt_max,
-							env_climate_clt_mean: period1_clt_mean,
-							env_climate_clt_min: period1_clt_min,
-							env_climate_clt_range: period1_clt_range,
-							env_climate_cmi_max: period1_cmi_max,
-							env_climate_cmi_mean: period1_cmi_mean,
-							env_climate_cmi_min: period1_cmi_min,
-							env_climate_cmi_range: period1_cmi_range,
-							env_climate_fcf: period1_fcf,
-							env_climate_fgd: period1_fgd,
-							env_climate_gdd0: period1_gdd0,
-							env_climate_gdd10: period1_gdd10,
-							env_climate_gdd5: period1_gdd5,
-							env_climate_gddlgd0: period1_gddlgd0,
-							env_climate_gddlgd10: period1_gddlgd10,
-							env_climate_gddlgd5: period1_gddlgd5,
-							env_climate_gdgfgd0: period1_gdgfgd0,
-							env_climate_gdgfgd10: period1_gdgfgd10,
-							env_climate_gdgfgd5: period1_gdgfgd5,
-							env_climate_gsl: period1_gsl,
-							env_climate_gsp: period1_gsp,
-							env_climate_gst: period1_gst,
-							env_climate_hurs_max: period1_hurs_max,
-							env_climate_hurs_mean: period1_hurs_mean,
-							env_climate_hurs_min: period1_hurs_min,
-							env_climate_hurs_range: period1_hurs_range,
-							env_climate_ngd0: period1_ngd0,
-							env_climate_ngd10: period1_ngd10,
-							env_climate_ngd5: period1_ngd5,
-							env_climate_npp: period1_npp,
-							env_climate_pet_penman_max: period1_pet_penman_max,
-							env_climate_pet_penman_mean: period1_pet_penman_mean,
-							env_climate_pet_penman_min: period1_pet_penman_min,
-							env_climate_pet_penman_range: period1_pet_penman_range,
-							env_climate_rsds_max: period1_rsds_max,
-							env_climate_rsds_mean: period1_rsds_mean,
-							env_climate_rsds_min: period1_rsds_min,
-							env_climate_rsds_range: period1_rsds_range,
-							env_climate_scd: period1_scd,
-							env_climate_sfcWind_max: period1_sfcWind_max,
-							env_climate_sfcWind_mean: period1_sfcWind_mean,
-							env_climate_sfcWind_min: period1_sfcWind_min,
-							env_climate_sfcWind_range: period1_sfcWind_range,
-							env_climate_swb: period1_swb,
-							env_climate_swe: period1_swe,
-							env_climate_vpd_max: period1_vpd_max,
-							env_climate_vpd_mean: period1_vpd_mean,
-							env_climate_vpd_min: period1_vpd_min,
-							env_climate_vpd_range: period1_vpd_range,
-							std_date_span_month: [
-								{
-									std_month: 1,
-									env_climate_pr: 	period1_01_pr,
-									env_climate_tas: 	period1_01_tas,
-									env_climate_tasmax: period1_01_tasmax,
-									env_climate_tasmin: period1_01_tasmin
-								},
-								{
-									std_month: 2,
-									env_climate_pr: 	period1_02_pr,
-									env_climate_tas: 	period1_02_tas,
-									env_climate_tasmax: period1_02_tasmax,
-									env_climate_tasmin: period1_02_tasmin
-								},
-								{
-									std_month: 3,
-									env_climate_pr: 	period1_03_pr,
-									env_climate_tas: 	period1_03_tas,
-									env_climate_tasmax: period1_03_tasmax,
-									env_climate_tasmin: period1_03_tasmin
-								},
-								{
-									std_month: 4,
-									env_climate_pr: 	period1_04_pr,
-									env_climate_tas: 	period1_04_tas,
-									env_climate_tasmax: period1_04_tasmax,
-									env_climate_tasmin: period1_04_tasmin
-								},
-								{
-									std_month: 5,
-									env_climate_pr: 	period1_05_pr,
-									env_climate_tas: 	period1_05_tas,
-									env_climate_tasmax: period1_05_tasmax,
-									env_climate_tasmin: period1_05_tasmin
-								},
-								{
-									std_month: 6,
-									env_climate_pr: 	period1_06_pr,
-									env_climate_tas: 	period1_06_tas,
-									env_climate_tasmax: period1_06_tasmax,
-									env_climate_tasmin: period1_06_tasmin
-								},
-								{
-									std_month: 7,
-									env_climate_pr: 	period1_07_pr,
-									env_climate_tas: 	period1_07_tas,
-									env_climate_tasmax: period1_07_tasmax,
-									env_climate_tasmin: period1_07_tasmin
-								},
-								{
-									std_month: 8,
-									env_climate_pr: 	period1_08_pr,
-									env_climate_tas: 	period1_08_tas,
-									env_climate_tasmax: period1_08_tasmax,
-									env_climate_tasmin: period1_08_tasmin
-								},
-								{
-									std_month: 9,
-									env_climate_pr: 	period1_09_pr,
-									env_climate_tas: 	period1_09_tas,
-									env_climate_tasmax: period1_09_tasmax,
-									env_climate_tasmin: period1_09_tasmin
-								},
-								{
-									std_month: 10,
-									env_climate_pr: 	period1_10_pr,
-									env_climate_tas: 	period1_10_tas,
-									env_climate_tasmax: period1_10_tasmax,
-									env_climate_tasmin: period1_10_tasmin
-								},
-								{
-									std_month: 11,
-									env_climate_pr: 	period1_11_pr,
-									env_climate_tas: 	period1_11_tas,
-									env_climate_tasmax: period1_11_tasmax,
-									env_climate_tasmin: period1_11_tasmin
-								},
-								{
-									std_month: 12,
-									env_climate_pr: 	period1_12_pr,
-									env_climate_tas: 	period1_12_tas,
-									env_climate_tasmax: period1_12_tasmax,
-									env_climate_tasmin: period1_12_tasmin
-								}
-							]
-						},
-						\`2011-2040\`: {
-							\`MPI-ESM1-2-HR\`: {
-								ssp370: {
-									env_climate_bio01: period2_bio01,
-									env_climate_bio02: period2_bio02,
-									env_climate_bio03: period2_bio03,
-									env_climate_bio04: period2_bio04,
-									env_climate_bio05: period2_bio05,
-									env_climate_bio06: period2_bio06,
-									env_climate_bio07: period2_bio07,
-									env_climate_bio08: period2_bio08,
-									env_climate_bio09: period2_bio09,
-									env_climate_bio10: period2_bio10,
-									env_climate_bio11: period2_bio11,
-									env_climate_bio12: period2_bio12,
-									env_climate_bio13: period2_bio13,
-									env_climate_bio14: period2_bio14,
-									env_climate_bio15: period2_bio15,
-									env_climate_bio16: period2_bio16,
-									env_climate_bio17: period2_bio17,
-									env_climate_bio18: period2_bio18,
-									env_climate_bio19: period2_bio19,
-									env_climate_gdd0: period2_gdd0,
-									env_climate_gdd10: period2_gdd10,
-									env_climate_gdd5: period2_gdd5,
-									env_climate_gsl: period2_gsl,
-									env_climate_gsp: period2_gsp,
-									env_climate_gst: period2_gst,
-									env_climate_ngd0: period2_ngd0,
-									env_climate_ngd10: period2_ngd10,
-									env_climate_ngd5: period2_ngd5,
-									env_climate_npp: period2_npp,
-									env_climate_scd: period2_scd,
-									std_date_span_month: [
-										{
-											std_month: 1,
-											env_climate_pr: 	period2_01_pr,
-											env_climate_tas: 	period2_01_tas,
-											env_climate_tasmax: period2_01_tasmax,
-											env_climate_tasmin: period2_01_tasmin
-										},
-										{
-											std_month: 2,
-											env_climate_pr: 	period2_02_pr,
-											env_climate_tas: 	period2_02_tas,
-											env_climate_tasmax: period2_02_tasmax,
-											env_climate_tasmin: period2_02_tasmin
-										},
-										{
-											std_month: 3,
-											env_climate_pr: 	period2_03_pr,
-											env_climate_tas: 	period2_03_tas,
-											env_climate_tasmax: period2_03_tasmax,
-											env_climate_tasmin: period2_03_tasmin
-										},
-										{
-											std_month: 4,
-											env_climate_pr: 	period2_04_pr,
-											env_climate_tas: 	period2_04_tas,
-											env_climate_tasmax: period2_04_tasmax,
-											env_climate_tasmin: period2_04_tasmin
-										},
-										{
-											std_month: 5,
-											env_climate_pr: 	period2_05_pr,
-											env_climate_tas: 	period2_05_tas,
-											env_climate_tasmax: period2_05_tasmax,
-											env_climate_tasmin: period2_05_tasmin
-										},
-										{
-											std_month: 6,
-											env_climate_pr: 	period2_06_pr,
-											env_climate_tas: 	period2_06_tas,
-											env_climate_tasmax: period2_06_tasmax,
-											env_climate_tasmin: period2_06_tasmin
-										},
-										{
-											std_month: 7,
-											env_climate_pr: 	period2_07_pr,
-											env_climate_tas: 	period2_07_tas,
-											env_climate_tasmax: period2_07_tasmax,
-											env_climate_tasmin: period2_07_tasmin
-										},
-										{
-											std_month: 8,
-											env_climate_pr: 	period2_08_pr,
-											env_climate_tas: 	period2_08_tas,
-											env_climate_tasmax: period2_08_tasmax,
-											env_climate_tasmin: period2_08_tasmin
-										},
-										{
-											std_month: 9,
-											env_climate_pr: 	period2_09_pr,
-											env_climate_tas: 	period2_09_tas,
-											env_climate_tasmax: period2_09_tasmax,
-											env_climate_tasmin: period2_09_tasmin
-										},
-										{
-											std_month: 10,
-											env_climate_pr: 	period2_10_pr,
-											env_climate_tas: 	period2_10_tas,
-											env_climate_tasmax: period2_10_tasmax,
-											env_climate_tasmin: period2_10_tasmin
-										},
-										{
-											std_month: 11,
-											env_climate_pr: 	period2_11_pr,
-											env_climate_tas: 	period2_11_tas,
-											env_climate_tasmax: period2_11_tasmax,
-											env_climate_tasmin: period2_11_tasmin
-										},
-										{
-											std_month: 12,
-											env_climate_pr: 	period2_12_pr,
-											env_climate_tas: 	period2_12_tas,
-											env_climate_tasmax: period2_12_tasmax,
-											env_climate_tasmin: period2_12_tasmin
-										}
-									]
-								}
-							}
-						},
-						\`2041-2070\`: {
-							\`MPI-ESM1-2-HR\`: {
-								ssp370: {
-									env_climate_bio01: period3_bio01,
-									env_climate_bio02: period3_bio02,
-									env_climate_bio03: period3_bio03,
-									env_climate_bio04: period3_bio04,
-									env_climate_bio05: period3_bio05,
-									env_climate_bio06: period3_bio06,
-									env_climate_bio07: period3_bio07,
-									env_climate_bio08: period3_bio08,
-									env_climate_bio09: period3_bio09,
-									env_climate_bio10: period3_bio10,
-									env_climate_bio11: period3_bio11,
-									env_climate_bio12: period3_bio12,
-									env_climate_bio13: period3_bio13,
-									env_climate_bio14: period3_bio14,
-									env_climate_bio15: period3_bio15,
-									env_climate_bio16: period3_bio16,
-									env_climate_bio17: period3_bio17,
-									env_climate_bio18: period3_bio18,
-									env_climate_bio19: period3_bio19,
-									env_climate_gdd0: period3_gdd0,
-									env_climate_gdd10: period3_gdd10,
-									env_climate_gdd5: period3_gdd5,
-									env_climate_gsl: period3_gsl,
-									env_climate_gsp: period3_gsp,
-									env_climate_gst: period3_gst,
-									env_climate_ngd0: period3_ngd0,
-									env_climate_ngd10: period3_ngd10,
-									env_climate_ngd5: period3_ngd5,
-									env_climate_npp: period3_npp,
-									env_climate_scd: period3_scd,
-									std_date_span_month: [
-										{
-											std_month: 1,
-											env_climate_pr: 	period3_01_pr,
-											env_climate_tas: 	period3_01_tas,
-											env_climate_tasmax: period3_01_tasmax,
-											env_climate_tasmin: period3_01_tasmin
-										},
-										{
-											std_month: 2,
-											env_climate_pr: 	period3_02_pr,
-											env_climate_tas: 	period3_02_tas,
-											env_climate_tasmax: period3_02_tasmax,
-											env_climate_tasmin: period3_02_tasmin
-										},
-										{
-											std_month: 3,
-											env_climate_pr: 	period3_03_pr,
-											env_climate_tas: 	period3_03_tas,
-											env_climate_tasmax: period3_03_tasmax,
-											env_climate_tasmin: period3_03_tasmin
-										},
-										{
-											std_month: 4,
-											env_climate_pr: 	period3_04_pr,
-											env_climate_tas: 	period3_04_tas,
-											env_climate_tasmax: period3_04_tasmax,
-											env_climate_tasmin: period3_04_tasmin
-										},
-										{
-											std_month: 5,
-											env_climate_pr: 	period3_05_pr,
-											env_climate_tas: 	period3_05_tas,
-											env_climate_tasmax: period3_05_tasmax,
-											env_climate_tasmin: period3_05_tasmin
-										},
-										{
-											std_month: 6,
-											env_climate_pr: 	period3_06_pr,
-											env_climate_tas: 	period3_06_tas,
-											env_climate_tasmax: period3_06_tasmax,
-											env_climate_tasmin: period3_06_tasmin
-										},
-										{
-											std_month: 7,
-											env_climate_pr: 	period3_07_pr,
-											env_climate_tas: 	period3_07_tas,
-											env_climate_tasmax: period3_07_tasmax,
-											env_climate_tasmin: period3_07_tasmin
-										},
-										{
-											std_month: 8,
-											env_climate_pr: 	period3_08_pr,
-											env_climate_tas: 	period3_08_tas,
-											env_climate_tasmax: period3_08_tasmax,
-											env_climate_tasmin: period3_08_tasmin
-										},
-										{
-											std_month: 9,
-											env_climate_pr: 	period3_09_pr,
-											env_climate_tas: 	period3_09_tas,
-											env_climate_tasmax: period3_09_tasmax,
-											env_climate_tasmin: period3_09_tasmin
-										},
-										{
-											std_month: 10,
-											env_climate_pr: 	period3_10_pr,
-											env_climate_tas: 	period3_10_tas,
-											env_climate_tasmax: period3_10_tasmax,
-											env_climate_tasmin: period3_10_tasmin
-										},
-										{
-											std_month: 11,
-											env_climate_pr: 	period3_11_pr,
-											env_climate_tas: 	period3_11_tas,
-											env_climate_tasmax: period3_11_tasmax,
-											env_climate_tasmin: period3_11_tasmin
-										},
-										{
-											std_month: 12,
-											env_climate_pr: 	period3_12_pr,
-											env_climate_tas: 	period3_12_tas,
-											env_climate_tasmax: period3_12_tasmax,
-											env_climate_tasmin: period3_12_tasmin
-										}
-									]
-								}
-							}
-						},
-						\`2071-2100\`: {
-							\`MPI-ESM1-2-HR\`: {
-								ssp370: {
-									env_climate_bio01: period4_bio01,
-									env_climate_bio02: period4_bio02,
-									env_climate_bio03: period4_bio03,
-									env_climate_bio04: period4_bio04,
-									env_climate_bio05: period4_bio05,
-									env_climate_bio06: period4_bio06,
-									env_climate_bio07: period4_bio07,
-									env_climate_bio08: period4_bio08,
-									env_climate_bio09: period4_bio09,
-									env_climate_bio10: period4_bio10,
-									env_climate_bio11: period4_bio11,
-									env_climate_bio12: period4_bio12,
-									env_climate_bio13: period4_bio13,
-									env_climate_bio14: period4_bio14,
-									env_climate_bio15: period4_bio15,
-									env_climate_bio16: period4_bio16,
-									env_climate_bio17: period4_bio17,
-									env_climate_bio18: period4_bio18,
-									env_climate_bio19: period4_bio19,
-									env_climate_gdd0: period4_gdd0,
-									env_climate_gdd10: period4_gdd10,
-									env_climate_gdd5: period4_gdd5,
-									env_climate_gsl: period4_gsl,
-									env_climate_gsp: period4_gsp,
-									env_climate_gst: period4_gst,
-									env_climate_ngd0: period4_ngd0,
-									env_climate_ngd10: period4_ngd10,
-									env_climate_ngd5: period4_ngd5,
-									env_climate_npp: period4_npp,
-									env_climate_scd: period4_scd,
-									std_date_span_month: [
-										{
-											std_month: 1,
-											env_climate_pr: 	period4_01_pr,
-											env_climate_tas: 	period4_01_tas,
-											env_climate_tasmax: period4_01_tasmax,
-											env_climate_tasmin: period4_01_tasmin
-										},
-										{
-											std_month: 2,
-											env_climate_pr: 	period4_02_pr,
-											env_climate_tas: 	period4_02_tas,
-											env_climate_tasmax: period4_02_tasmax,
-											env_climate_tasmin: period4_02_tasmin
-										},
-										{
-											std_month: 3,
-											env_climate_pr: 	period4_03_pr,
-											env_climate_tas: 	period4_03_tas,
-											env_climate_tasmax: period4_03_tasmax,
-											env_climate_tasmin: period4_03_tasmin
-										},
-										{
-											std_month: 4,
-											env_climate_pr: 	period4_04_pr,
-											env_climate_tas: 	period4_04_tas,
-											env_climate_tasmax: period4_04_tasmax,
-											env_climate_tasmin: period4_04_tasmin
-										},
-										{
-											std_month: 5,
-											env_climate_pr: 	period4_05_pr,
-											env_climate_tas: 	period4_05_tas,
-											env_climate_tasmax: period4_05_tasmax,
-											env_climate_tasmin: period4_05_tasmin
-										},
-										{
-											std_month: 6,
-											env_climate_pr: 	period4_06_pr,
-											env_climate_tas: 	period4_06_tas,
-											env_climate_tasmax: period4_06_tasmax,
-											env_climate_tasmin: period4_06_tasmin
-										},
-										{
-											std_month: 7,
-											env_climate_pr: 	period4_07_pr,
-											env_climate_tas: 	period4_07_tas,
-											env_climate_tasmax: period4_07_tasmax,
-											env_climate_tasmin: period4_07_tasmin
-										},
-										{
-											std_month: 8,
-											env_climate_pr: 	period4_08_pr,
-											env_climate_tas: 	period4_08_tas,
-											env_climate_tasmax: period4_08_tasmax,
-											env_climate_tasmin: period4_08_tasmin
-										},
-										{
-											std_month: 9,
-											env_climate_pr: 	period4_09_pr,
-											env_climate_tas: 	period4_09_tas,
-											env_climate_tasmax: period4_09_tasmax,
-											env_climate_tasmin: period4_09_tasmin
-										},
-										{
-											std_month: 10,
-											env_climate_pr: 	period4_10_pr,
-											env_climate_tas: 	period4_10_tas,
-											env_climate_tasmax: period4_10_tasmax,
-											env_climate_tasmin: period4_10_tasmin
-										},
-										{
-											std_month: 11,
-											env_climate_pr: 	period4_11_pr,
-											env_climate_tas: 	period4_11_tas,
-											env_climate_tasmax: period4_11_tasmax,
-											env_climate_tasmin: period4_11_tasmin
-										},
-										{
-											std_month: 12,
-											env_climate_pr: 	period4_12_pr,
-											env_climate_tas: 	period4_12_tas,
-											env_climate_tasmax: period4_12_tasmax,
-											env_climate_tasmin: period4_12_tasmin
-										}
-									]
-								}
-							}
-						}
-					}
-				}
-			`
-			break
-
-		case 'MAX':
-			query = aql`
-				LET target = ${theGeometry}
-				FOR doc IN ${theCollectionMap}
-					FOR dat IN ${theCollection}
-						FILTER dat._key == doc._key
-						LET dist = GEO_DISTANCE(target, doc.geometry)
-						FILTER dist >= ${theMin}
-						FILTER dist <= ${theMax}
-						COLLECT AGGREGATE count = COUNT(),
-									  distance = MAX(dist),
-									  period1_ai = MAX(dat.properties.\`1981-2010\`.env_climate_ai),
-									  period1_bio01 = MAX(dat.properties.\`1981-2010\`.env_climate_bio01),
-									  period1_bio02 = MAX(dat.properties.\`1981-2010\`.env_climate_bio02),
-									  period1_bio03 = MAX(dat.properties.\`1981-2010\`.env_climate_bio03),
-									  period1_bio04 = MAX(dat.properties.\`1981-2010\`.env_climate_bio04),
-									  period1_bio05 = MAX(dat.properties.\`1981-2010\`.env_climate_bio05),
-									  period1_bio06 = MAX(dat.properties.\`1981-2010\`.env_climate_bio06),
-									  period1_bio07 = MAX(dat.properties.\`1981-2010\`.env_climate_bio07),
-									  period1_bio08 = MAX(dat.properties.\`1981-2010\`.env_climate_bio08),
-									  period1_bio09 = MAX(dat.properties.\`1981-2010\`.env_climate_bio09),
-									  period1_bio10 = MAX(dat.properties.\`1981-2010\`.env_climate_bio10),
-									  period1_bio11 = MAX(dat.properties.\`1981-2010\`.env_climate_bio11),
-									  period1_bio12 = MAX(dat.properties.\`1981-2010\`.env_climate_bio12),
-									  period1_bio13 = MAX(dat.properties.\`1981-2010\`.env_climate_bio13),
-									  period1_bio14 = MAX(dat.properties.\`1981-2010\`.env_climate_bio14),
-									  period1_bio15 = MAX(dat.properties.\`1981-2010\`.env_climate_bio15),
-									  period1_bio16 = MAX(dat.properties.\`1981-2010\`.env_climate_bio16),
-									  period1_bio17 = MAX(dat.properties.\`1981-2010\`.env_climate_bio17),
-									  period1_bio18 = MAX(dat.properties.\`1981-2010\`.env_climate_bio18),
-									  period1_bio19 = MAX(dat.properties.\`1981-2010\`.env_climate_bio19),
-									  period1_clt_max = MAX(dat.properties.\`1981-2010\`.env_climate_clt_max),
-									  period1_clt_mean = MAX(dat.properties.\`1981-2010\`.env_climate_clt_mean),
-									  period1_clt_min = MAX(dat.properties.\`1981-2010\`.env_climate_clt_min),
-									  period1_clt_range = MAX(dat.properties.\`1981-2010\`.env_climate_clt_range),
-									  period1_cmi_max = MAX(dat.properties.\`1981-2010\`.env_climate_cmi_max),
-									  period1_cmi_mean = MAX(dat.properties.\`1981-2010\`.env_climate_cmi_mean),
-									  period1_cmi_min = MAX(dat.properties.\`1981-2010\`.env_climate_cmi_min),
-									  period1_cmi_range = MAX(dat.properties.\`1981-2010\`.env_climate_cmi_range),
-									  period1_fcf =  MAX(dat.properties.\`1981-2010\`.env_climate_fcf),
-									  period1_fgd =  MAX(dat.properties.\`1981-2010\`.env_climate_fgd),
-									  period1_gdd0 =  MAX(dat.properties.\`1981-2010\`.env_climate_gdd0),
-									  period1_gdd10 = MAX(dat.properties.\`1981-2010\`.env_climate_gdd10),
-									  period1_gdd5 = MAX(dat.properties.\`1981-2010\`.env_climate_gdd5),
-									  period1_gddlgd0 = MAX(dat.properties.\`1981-2010\`.env_climate_gddlgd0),
-									  period1_gddlgd10 = MAX(dat.properties.\`1981-2010\`.env_climate_gddlgd10),
-									  period1_gddlgd5 = MAX(dat.properties.\`1981-2010\`.env_climate_gddlgd5),
-									  period1_gdgfgd0 = MAX(dat.properties.\`1981-2010\`.env_climate_gdgfgd0),
-									  period1_gdgfgd10 = MAX(dat.properties.\`1981-2010\`.env_climate_gdgfgd10),
-									  period1_gdgfgd5 = MAX(dat.properties.\`1981-2010\`.env_climate_gdgfgd5),
-									  period1_gsl = MAX(dat.properties.\`1981-2010\`.env_climate_gsl),
-									  period1_gsp = MAX(dat.properties.\`1981-2010\`.env_climate_gsp),
-									  period1_gst = MAX(dat.properties.\`1981-2010\`.env_climate_gst),
-									  period1_hurs_max = MAX(dat.properties.\`1981-2010\`.env_climate_hurs_max),
-									  period1_hurs_mean = MAX(dat.properties.\`1981-2010\`.env_climate_hurs_mean),
-									  period1_hurs_min = MAX(dat.properties.\`1981-2010\`.env_climate_hurs_min),
-									  period1_hurs_range = MAX(dat.properties.\`1981-2010\`.env_climate_hurs_range),
-									  period1_ngd0 = MAX(dat.properties.\`1981-2010\`.env_climate_ngd0),
-									  period1_ngd10 = MAX(dat.properties.\`1981-2010\`.env_climate_ngd10),
-									  period1_ngd5 = MAX(dat.properties.\`1981-2010\`.env_climate_ngd5),
-									  period1_npp = MAX(dat.properties.\`1981-2010\`.env_climate_npp),
-									  period1_pet_penman_max = MAX(dat.properties.\`1981-2010\`.env_climate_pet_penman_max),
-									  period1_pet_penman_mean = MAX(dat.properties.\`1981-2010\`.env_climate_pet_penman_mean),
-									  period1_pet_penman_min = MAX(dat.properties.\`1981-2010\`.env_climate_pet_penman_min),
-									  period1_pet_penman_range = MAX(dat.properties.\`1981-2010\`.env_climate_pet_penman_range),
-									  period1_rsds_max = MAX(dat.properties.\`1981-2010\`.env_climate_rsds_max),
-									  period1_rsds_mean = MAX(dat.properties.\`1981-2010\`.env_climate_rsds_mean),
-									  period1_rsds_min = MAX(dat.properties.\`1981-2010\`.env_climate_rsds_min),
-									  period1_rsds_range = MAX(dat.properties.\`1981-2010\`.env_climate_rsds_range),
-									  period1_scd = MAX(dat.properties.\`1981-2010\`.env_climate_scd),
-									  period1_sfcWind_max = MAX(dat.properties.\`1981-2010\`.env_climate_sfcWind_max),
-									  period1_sfcWind_mean = MAX(dat.properties.\`1981-2010\`.env_climate_sfcWind_mean),
-									  period1_sfcWind_min = MAX(dat.properties.\`1981-2010\`.env_climate_sfcWind_min),
-									  period1_sfcWind_range = MAX(dat.properties.\`1981-2010\`.env_climate_sfcWind_range),
-									  period1_swb = MAX(dat.properties.\`1981-2010\`.env_climate_swb),
-									  period1_swe = MAX(dat.properties.\`1981-2010\`.env_climate_swe),
-									  period1_vpd_max = MAX(dat.properties.\`1981-2010\`.env_climate_vpd_max),
-									  period1_vpd_mean = MAX(dat.properties.\`1981-2010\`.env_climate_vpd_mean),
-									  period1_vpd_min = MAX(dat.properties.\`1981-2010\`.env_climate_vpd_min),
-									  period1_vpd_range = MAX(dat.properties.\`1981-2010\`.env_climate_vpd_range),
-									  period1_01_pr = MAX(dat.properties.\`1981-2010\`.std_date_span_month[0].env_climate_pr),
-									  period1_01_tas = MAX(dat.properties.\`1981-2010\`.std_date_span_month[0].env_climate_tas),
-									  period1_01_tasmax = MAX(dat.properties.\`1981-2010\`.std_date_span_month[0].env_climate_tasmax),
-									  period1_01_tasmin = MAX(dat.properties.\`1981-2010\`.std_date_span_month[0].env_climate_tasmin),
-									  period1_02_pr = MAX(dat.properties.\`1981-2010\`.std_date_span_month[1].env_climate_pr),
-									  period1_02_tas = MAX(dat.properties.\`1981-2010\`.std_date_span_month[1].env_climate_tas),
-									  period1_02_tasmax = MAX(dat.properties.\`1981-2010\`.std_date_span_month[1].env_climate_tasmax),
-									  period1_02_tasmin = MAX(dat.properties.\`1981-2010\`.std_date_span_month[1].env_climate_tasmin),
-									  period1_03_pr = MAX(dat.properties.\`1981-2010\`.std_date_span_month[2].env_climate_pr),
-									  period1_03_tas = MAX(dat.properties.\`1981-2010\`.std_date_span_month[2].env_climate_tas),
-									  period1_03_tasmax = MAX(dat.properties.\`1981-2010\`.std_date_span_month[2].env_climate_tasmax),
-									  period1_03_tasmin = MAX(dat.properties.\`1981-2010\`.std_date_span_month[2].env_climate_tasmin),
-									  period1_04_pr = MAX(dat.properties.\`1981-2010\`.std_date_span_month[3].env_climate_pr),
-									  period1_04_tas = MAX(dat.properties.\`1981-2010\`.std_date_span_month[3].env_climate_tas),
-									  period1_04_tasmax = MAX(dat.properties.\`1981-2010\`.std_date_span_month[3].env_climate_tasmax),
-									  period1_04_tasmin = MAX(dat.properties.\`1981-2010\`.std_date_span_month[3].env_climate_tasmin),
-									  period1_05_pr = MAX(dat.properties.\`1981-2010\`.std_date_span_month[4].env_climate_pr),
-									  period1_05_tas = MAX(dat.properties.\`1981-2010\`.std_date_span_month[4].env_climate_tas),
-									  period1_05_tasmax = MAX(dat.properties.\`1981-2010\`.std_date_span_month[4].env_climate_tasmax),
-									  period1_05_tasmin = MAX(dat.properties.\`1981-2010\`.std_date_span_month[4].env_climate_tasmin),
-									  period1_06_pr = MAX(dat.properties.\`1981-2010\`.std_date_span_month[5].env_climate_pr),
-									  period1_06_tas = MAX(dat.properties.\`1981-2010\`.std_date_span_month[5].env_climate_tas),
-									  period1_06_tasmax = MAX(dat.properties.\`1981-2010\`.std_date_span_month[5].env_climate_tasmax),
-									  period1_06_tasmin = MAX(dat.properties.\`1981-2010\`.std_date_span_month[5].env_climate_tasmin),
-									  period1_07_pr = MAX(dat.properties.\`1981-2010\`.std_date_span_month[6].env_climate_pr),
-									  period1_07_tas = MAX(dat.properties.\`1981-2010\`.std_date_span_month[6].env_climate_tas),
-									  period1_07_tasmax = MAX(dat.properties.\`1981-2010\`.std_date_span_month[6].env_climate_tasmax),
-									  period1_07_tasmin = MAX(dat.properties.\`1981-2010\`.std_date_span_month[6].env_climate_tasmin),
-									  period1_08_pr = MAX(dat.properties.\`1981-2010\`.std_date_span_month[7].env_climate_pr),
-									  period1_08_tas = MAX(dat.properties.\`1981-2010\`.std_date_span_month[7].env_climate_tas),
-									  period1_08_tasmax = MAX(dat.properties.\`1981-2010\`.std_date_span_month[7].env_climate_tasmax),
-									  period1_08_tasmin = MAX(dat.properties.\`1981-2010\`.std_date_span_month[7].env_climate_tasmin),
-									  period1_09_pr = MAX(dat.properties.\`1981-2010\`.std_date_span_month[8].env_climate_pr),
-									  period1_09_tas = MAX(dat.properties.\`1981-2010\`.std_date_span_month[8].env_climate_tas),
-									  period1_09_tasmax = MAX(dat.properties.\`1981-2010\`.std_date_span_month[8].env_climate_tasmax),
-									  period1_09_tasmin = MAX(dat.properties.\`1981-2010\`.std_date_span_month[8].env_climate_tasmin),
-									  period1_10_pr = MAX(dat.properties.\`1981-2010\`.std_date_span_month[9].env_climate_pr),
-									  period1_10_tas = MAX(dat.properties.\`1981-2010\`.std_date_span_month[9].env_climate_tas),
-									  period1_10_tasmax = MAX(dat.properties.\`1981-2010\`.std_date_span_month[9].env_climate_tasmax),
-									  period1_10_tasmin = MAX(dat.properties.\`1981-2010\`.std_date_span_month[9].env_climate_tasmin),
-									  period1_11_pr = MAX(dat.properties.\`1981-2010\`.std_date_span_month[10].env_climate_pr),
-									  period1_11_tas = MAX(dat.properties.\`1981-2010\`.std_date_span_month[10].env_climate_tas),
-									  period1_11_tasmax = MAX(dat.properties.\`1981-2010\`.std_date_span_month[10].env_climate_tasmax),
-									  period1_11_tasmin = MAX(dat.properties.\`1981-2010\`.std_date_span_month[10].env_climate_tasmin),
-									  period1_12_pr = MAX(dat.properties.\`1981-2010\`.std_date_span_month[11].env_climate_pr),
-									  period1_12_tas = MAX(dat.properties.\`1981-2010\`.std_date_span_month[11].env_climate_tas),
-									  period1_12_tasmax = MAX(dat.properties.\`1981-2010\`.std_date_span_month[11].env_climate_tasmax),
-									  period1_12_tasmin = MAX(dat.properties.\`1981-2010\`.std_date_span_month[11].env_climate_tasmin),
-									  period2_bio01 = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio01),
-									  period2_bio02 = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio02),
-									  period2_bio03 = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio03),
-									  period2_bio04 = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio04),
-									  period2_bio05 = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio05),
-									  period2_bio06 = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio06),
-									  period2_bio07 = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio07),
-									  period2_bio08 = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio08),
-									  period2_bio09 = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio09),
-									  period2_bio10 = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio10),
-									  period2_bio11 = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio11),
-									  period2_bio12 = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio12),
-									  period2_bio13 = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio13),
-									  period2_bio14 = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio14),
-									  period2_bio15 = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio15),
-									  period2_bio16 = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio16),
-									  period2_bio17 = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio17),
-									  period2_bio18 = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio18),
-									  period2_bio19 = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio19),
-									  period2_gdd0 = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gdd0),
-									  period2_gdd10 = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gdd10),
-									  period2_gdd5 = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gdd5),
-									  period2_gsl = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gsl),
-									  period2_gsp = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gsp),
-									  period2_gst = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gst),
-									  period2_ngd0 = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_ngd0),
-									  period2_ngd10 = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_ngd10),
-									  period2_ngd5 = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_ngd5),
-									  period2_npp = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_npp),
-									  period2_scd = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_scd),
-									  period2_01_pr = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_pr),
-									  period2_01_tas = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_tas),
-									  period2_01_tasmax = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_tasmax),
-									  period2_01_tasmin = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_tasmin),
-									  period2_02_pr = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_pr),
-									  period2_02_tas = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_tas),
-									  period2_02_tasmax = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_tasmax),
-									  period2_02_tasmin = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_tasmin),
-									  period2_03_pr = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_pr),
-									  period2_03_tas = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_tas),
-									  period2_03_tasmax = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_tasmax),
-									  period2_03_tasmin = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_tasmin),
-									  period2_04_pr = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_pr),
-									  period2_04_tas = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_tas),
-									  period2_04_tasmax = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_tasmax),
-									  period2_04_tasmin = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_tasmin),
-									  period2_05_pr = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_pr),
-									  period2_05_tas = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_tas),
-									  period2_05_tasmax = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_tasmax),
-									  period2_05_tasmin = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_tasmin),
-									  period2_06_pr = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_pr),
-									  period2_06_tas = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_tas),
-									  period2_06_tasmax = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_tasmax),
-									  period2_06_tasmin = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_tasmin),
-									  period2_07_pr = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_pr),
-									  period2_07_tas = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_tas),
-									  period2_07_tasmax = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_tasmax),
-									  period2_07_tasmin = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_tasmin),
-									  period2_08_pr = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_pr),
-									  period2_08_tas = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_tas),
-									  period2_08_tasmax = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_tasmax),
-									  period2_08_tasmin = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_tasmin),
-									  period2_09_pr = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_pr),
-									  period2_09_tas = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_tas),
-									  period2_09_tasmax = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_tasmax),
-									  period2_09_tasmin = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_tasmin),
-									  period2_10_pr = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_pr),
-									  period2_10_tas = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_tas),
-									  period2_10_tasmax = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_tasmax),
-									  period2_10_tasmin = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_tasmin),
-									  period2_11_pr = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_pr),
-									  period2_11_tas = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_tas),
-									  period2_11_tasmax = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_tasmax),
-									  period2_11_tasmin = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_tasmin),
-									  period2_12_pr = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_pr),
-									  period2_12_tas = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_tas),
-									  period2_12_tasmax = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_tasmax),
-									  period2_12_tasmin = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_tasmin),
-									  period3_bio01 = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio01),
-									  period3_bio02 = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio02),
-									  period3_bio03 = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio03),
-									  period3_bio04 = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio04),
-									  period3_bio05 = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio05),
-									  period3_bio06 = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio06),
-									  period3_bio07 = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio07),
-									  period3_bio08 = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio08),
-									  period3_bio09 = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio09),
-									  period3_bio10 = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio10),
-									  period3_bio11 = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio11),
-									  period3_bio12 = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio12),
-									  period3_bio13 = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio13),
-									  period3_bio14 = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio14),
-									  period3_bio15 = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio15),
-									  period3_bio16 = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio16),
-									  period3_bio17 = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio17),
-									  period3_bio18 = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio18),
-									  period3_bio19 = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio19),
-									  period3_gdd0 = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gdd0),
-									  period3_gdd10 = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gdd10),
-									  period3_gdd5 = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gdd5),
-									  period3_gsl = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gsl),
-									  period3_gsp = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gsp),
-									  period3_gst = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gst),
-									  period3_ngd0 = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_ngd0),
-									  period3_ngd10 = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_ngd10),
-									  period3_ngd5 = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_ngd5),
-									  period3_npp = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_npp),
-									  period3_scd = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_scd),
-									  period3_01_pr = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_pr),
-									  period3_01_tas = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_tas),
-									  period3_01_tasmax = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_tasmax),
-									  period3_01_tasmin = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_tasmin),
-									  period3_02_pr = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_pr),
-									  period3_02_tas = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_tas),
-									  period3_02_tasmax = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_tasmax),
-									  period3_02_tasmin = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_tasmin),
-									  period3_03_pr = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_pr),
-									  period3_03_tas = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_tas),
-									  period3_03_tasmax = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_tasmax),
-									  period3_03_tasmin = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_tasmin),
-									  period3_04_pr = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_pr),
-									  period3_04_tas = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_tas),
-									  period3_04_tasmax = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_tasmax),
-									  period3_04_tasmin = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_tasmin),
-									  period3_05_pr = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_pr),
-									  period3_05_tas = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_tas),
-									  period3_05_tasmax = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_tasmax),
-									  period3_05_tasmin = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_tasmin),
-									  period3_06_pr = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_pr),
-									  period3_06_tas = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_tas),
-									  period3_06_tasmax = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_tasmax),
-									  period3_06_tasmin = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_tasmin),
-									  period3_07_pr = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_pr),
-									  period3_07_tas = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_tas),
-									  period3_07_tasmax = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_tasmax),
-									  period3_07_tasmin = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_tasmin),
-									  period3_08_pr = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_pr),
-									  period3_08_tas = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_tas),
-									  period3_08_tasmax = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_tasmax),
-									  period3_08_tasmin = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_tasmin),
-									  period3_09_pr = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_pr),
-									  period3_09_tas = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_tas),
-									  period3_09_tasmax = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_tasmax),
-									  period3_09_tasmin = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_tasmin),
-									  period3_10_pr = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_pr),
-									  period3_10_tas = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_tas),
-									  period3_10_tasmax = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_tasmax),
-									  period3_10_tasmin = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_tasmin),
-									  period3_11_pr = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_pr),
-									  period3_11_tas = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_tas),
-									  period3_11_tasmax = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_tasmax),
-									  period3_11_tasmin = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_tasmin),
-									  period3_12_pr = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_pr),
-									  period3_12_tas = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_tas),
-									  period3_12_tasmax = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_tasmax),
-									  period3_12_tasmin = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_tasmin),
-									  period4_bio01 = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio01),
-									  period4_bio02 = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio02),
-									  period4_bio03 = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio03),
-									  period4_bio04 = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio04),
-									  period4_bio05 = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio05),
-									  period4_bio06 = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio06),
-									  period4_bio07 = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio07),
-									  period4_bio08 = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio08),
-									  period4_bio09 = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio09),
-									  period4_bio10 = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio10),
-									  period4_bio11 = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio11),
-									  period4_bio12 = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio12),
-									  period4_bio13 = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio13),
-									  period4_bio14 = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio14),
-									  period4_bio15 = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio15),
-									  period4_bio16 = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio16),
-									  period4_bio17 = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio17),
-									  period4_bio18 = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio18),
-									  period4_bio19 = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio19),
-									  period4_gdd0 = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gdd0),
-									  period4_gdd10 = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gdd10),
-									  period4_gdd5 = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gdd5),
-									  period4_gsl = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gsl),
-									  period4_gsp = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gsp),
-									  period4_gst = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gst),
-									  period4_ngd0 = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_ngd0),
-									  period4_ngd10 = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_ngd10),
-									  period4_ngd5 = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_ngd5),
-									  period4_npp = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_npp),
-									  period4_scd = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_scd),
-									  period4_01_pr = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_pr),
-									  period4_01_tas = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_tas),
-									  period4_01_tasmax = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_tasmax),
-									  period4_01_tasmin = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_tasmin),
-									  period4_02_pr = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_pr),
-									  period4_02_tas = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_tas),
-									  period4_02_tasmax = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_tasmax),
-									  period4_02_tasmin = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_tasmin),
-									  period4_03_pr = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_pr),
-									  period4_03_tas = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_tas),
-									  period4_03_tasmax = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_tasmax),
-									  period4_03_tasmin = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_tasmin),
-									  period4_04_pr = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_pr),
-									  period4_04_tas = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_tas),
-									  period4_04_tasmax = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_tasmax),
-									  period4_04_tasmin = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_tasmin),
-									  period4_05_pr = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_pr),
-									  period4_05_tas = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_tas),
-									  period4_05_tasmax = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_tasmax),
-									  period4_05_tasmin = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_tasmin),
-									  period4_06_pr = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_pr),
-									  period4_06_tas = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_tas),
-									  period4_06_tasmax = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_tasmax),
-									  period4_06_tasmin = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_tasmin),
-									  period4_07_pr = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_pr),
-									  period4_07_tas = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_tas),
-									  period4_07_tasmax = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_tasmax),
-									  period4_07_tasmin = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_tasmin),
-									  period4_08_pr = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_pr),
-									  period4_08_tas = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_tas),
-									  period4_08_tasmax = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_tasmax),
-									  period4_08_tasmin = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_tasmin),
-									  period4_09_pr = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_pr),
-									  period4_09_tas = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_tas),
-									  period4_09_tasmax = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_tasmax),
-									  period4_09_tasmin = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_tasmin),
-									  period4_10_pr = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_pr),
-									  period4_10_tas = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_tas),
-									  period4_10_tasmax = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_tasmax),
-									  period4_10_tasmin = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_tasmin),
-									  period4_11_pr = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_pr),
-									  period4_11_tas = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_tas),
-									  period4_11_tasmax = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_tasmax),
-									  period4_11_tasmin = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_tasmin),
-									  period4_12_pr = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_pr),
-									  period4_12_tas = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_tas),
-									  period4_12_tasmax = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_tasmax),
-									  period4_12_tasmin = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_tasmin)
-				RETURN {
-					count: count,
-					distance: distance,
-					properties: {
-						\`1981-2010\`: {
-							env_climate_ai: period1_ai,
-							env_climate_bio01: period1_bio01,
-							env_climate_bio02: period1_bio02,
-							env_climate_bio03: period1_bio03,
-							env_climate_bio04: period1_bio04,
-							env_climate_bio05: period1_bio05,
-							env_climate_bio06: period1_bio06,
-							env_climate_bio07: period1_bio07,
-							env_climate_bio08: period1_bio08,
-							env_climate_bio09: period1_bio09,
-							env_climate_bio10: period1_bio10,
-							env_climate_bio11: period1_bio11,
-							env_climate_bio12: period1_bio12,
-							env_climate_bio13: period1_bio13,
-							env_climate_bio14: period1_bio14,
-							env_climate_bio15: period1_bio15,
-							env_climate_bio16: period1_bio16,
-							env_climate_bio17: period1_bio17,
-							env_climate_bio18: period1_bio18,
-							env_climate_bio19: period1_bio19,
-							env_climate_clt_max: period1_clt_max,
-							env_climate_clt_mean: period1_clt_mean,
-							env_climate_clt_min: period1_clt_min,
-							env_climate_clt_range: period1_clt_range,
-							env_climate_cmi_max: period1_cmi_max,
-							env_climate_cmi_mean: period1_cmi_mean,
-							env_climate_cmi_min: period1_cmi_min,
-							env_climate_cmi_range: period1_cmi_range,
-							env_climate_fcf: period1_fcf,
-							env_climate_fgd: period1_fgd,
-							env_climate_gdd0: period1_gdd0,
-							env_climate_gdd10: period1_gdd10,
-							env_climate_gdd5: period1_gdd5,
-							env_climate_gddlgd0: period1_gddlgd0,
-							env_climate_gddlgd10: period1_gddlgd10,
-							env_climate_gddlgd5: period1_gddlgd5,
-							env_climate_gdgfgd0: period1_gdgfgd0,
-							env_climate_gdgfgd10: period1_gdgfgd10,
-							env_climate_gdgfgd5: period1_gdgfgd5,
-							env_climate_gsl: period1_gsl,
-							env_climate_gsp: period1_gsp,
-							env_climate_gst: period1_gst,
-							env_climate_hurs_max: period1_hurs_max,
-							env_climate_hurs_mean: period1_hurs_mean,
-							env_climate_hurs_min: period1_hurs_min,
-							env_climate_hurs_range: period1_hurs_range,
-							env_climate_ngd0: period1_ngd0,
-							env_climate_ngd10: period1_ngd10,
-							env_climate_ngd5: period1_ngd5,
-							env_climate_npp: period1_npp,
-							env_climate_pet_penman_max: period1_pet_penman_max,
-							env_climate_pet_penman_mean: period1_pet_penman_mean,
-							env_climate_pet_penman_min: period1_pet_penman_min,
-							env_climate_pet_penman_range: period1_pet_penman_range,
-							env_climate_rsds_max: period1_rsds_max,
-							env_climate_rsds_mean: period1_rsds_mean,
-							env_climate_rsds_min: period1_rsds_min,
-							env_climate_rsds_range: period1_rsds_range,
-							env_climate_scd: period1_scd,
-							env_climate_sfcWind_max: period1_sfcWind_max,
-							env_climate_sfcWind_mean: period1_sfcWind_mean,
-							env_climate_sfcWind_min: period1_sfcWind_min,
-							env_climate_sfcWind_range: period1_sfcWind_range,
-							env_climate_swb: period1_swb,
-							env_climate_swe: period1_swe,
-							env_climate_vpd_max: period1_vpd_max,
-							env_climate_vpd_mean: period1_vpd_mean,
-							env_climate_vpd_min: period1_vpd_min,
-							env_climate_vpd_range: period1_vpd_range,
-							std_date_span_month: [
-								{
-									std_month: 1,
-									env_climate_pr: 	period1_01_pr,
-									env_climate_tas: 	period1_01_tas,
-									env_climate_tasmax: period1_01_tasmax,
-									env_climate_tasmin: period1_01_tasmin
-								},
-								{
-									std_month: 2,
-									env_climate_pr: 	period1_02_pr,
-									env_climate_tas: 	period1_02_tas,
-									env_climate_tasmax: period1_02_tasmax,
-									env_climate_tasmin: period1_02_tasmin
-								},
-								{
-									std_month: 3,
-									env_climate_pr: 	period1_03_pr,
-									env_climate_tas: 	period1_03_tas,
-									env_climate_tasmax: period1_03_tasmax,
-									env_climate_tasmin: period1_03_tasmin
-								},
-								{
-									std_month: 4,
-									env_climate_pr: 	period1_04_pr,
-									env_climate_tas: 	period1_04_tas,
-									env_climate_tasmax: period1_04_tasmax,
-									env_climate_tasmin: period1_04_tasmin
-								},
-								{
-									std_month: 5,
-									env_climate_pr: 	period1_05_pr,
-									env_climate_tas: 	period1_05_tas,
-									env_climate_tasmax: period1_05_tasmax,
-									env_climate_tasmin: period1_05_tasmin
-								},
-								{
-									std_month: 6,
-									env_climate_pr: 	period1_06_pr,
-									env_climate_tas: 	period1_06_tas,
-									env_climate_tasmax: period1_06_tasmax,
-									env_climate_tasmin: period1_06_tasmin
-								},
-								{
-									std_month: 7,
-									env_climate_pr: 	period1_07_pr,
-									env_climate_tas: 	period1_07_tas,
-									env_climate_tasmax: period1_07_tasmax,
-									env_climate_tasmin: period1_07_tasmin
-								},
-								{
-									std_month: 8,
-									env_climate_pr: 	period1_08_pr,
-									env_climate_tas: 	period1_08_tas,
-									env_climate_tasmax: period1_08_tasmax,
-									env_climate_tasmin: period1_08_tasmin
-								},
-								{
-									std_month: 9,
-									env_climate_pr: 	period1_09_pr,
-									env_climate_tas: 	period1_09_tas,
-									env_climate_tasmax: period1_09_tasmax,
-									env_climate_tasmin: period1_09_tasmin
-								},
-								{
-									std_month: 10,
-									env_climate_pr: 	period1_10_pr,
-									env_climate_tas: 	period1_10_tas,
-									env_climate_tasmax: period1_10_tasmax,
-									env_climate_tasmin: period1_10_tasmin
-								},
-								{
-									std_month: 11,
-									env_climate_pr: 	period1_11_pr,
-									env_climate_tas: 	period1_11_tas,
-									env_climate_tasmax: period1_11_tasmax,
-									env_climate_tasmin: period1_11_tasmin
-								},
-								{
-									std_month: 12,
-									env_climate_pr: 	period1_12_pr,
-									env_climate_tas: 	period1_12_tas,
-									env_climate_tasmax: period1_12_tasmax,
-									env_climate_tasmin: period1_12_tasmin
-								}
-							]
-						},
-						\`2011-2040\`: {
-							\`MPI-ESM1-2-HR\`: {
-								ssp370: {
-									env_climate_bio01: period2_bio01,
-									env_climate_bio02: period2_bio02,
-									env_climate_bio03: period2_bio03,
-									env_climate_bio04: period2_bio04,
-									env_climate_bio05: period2_bio05,
-									env_climate_bio06: period2_bio06,
-									env_climate_bio07: period2_bio07,
-									env_climate_bio08: period2_bio08,
-									env_climate_bio09: period2_bio09,
-									env_climate_bio10: period2_bio10,
-									env_climate_bio11: period2_bio11,
-									env_climate_bio12: period2_bio12,
-									env_climate_bio13: period2_bio13,
-									env_climate_bio14: period2_bio14,
-									env_climate_bio15: period2_bio15,
-									env_climate_bio16: period2_bio16,
-									env_climate_bio17: period2_bio17,
-									env_climate_bio18: period2_bio18,
-									env_climate_bio19: period2_bio19,
-									env_climate_gdd0: period2_gdd0,
-									env_climate_gdd10: period2_gdd10,
-									env_climate_gdd5: period2_gdd5,
-									env_climate_gsl: period2_gsl,
-									env_climate_gsp: period2_gsp,
-									env_climate_gst: period2_gst,
-									env_climate_ngd0: period2_ngd0,
-									env_climate_ngd10: period2_ngd10,
-									env_climate_ngd5: period2_ngd5,
-									env_climate_npp: period2_npp,
-									env_climate_scd: period2_scd,
-									std_date_span_month: [
-										{
-											std_month: 1,
-											env_climate_pr: 	period2_01_pr,
-											env_climate_tas: 	period2_01_tas,
-											env_climate_tasmax: period2_01_tasmax,
-											env_climate_tasmin: period2_01_tasmin
-										},
-										{
-											std_month: 2,
-											env_climate_pr: 	period2_02_pr,
-											env_climate_tas: 	period2_02_tas,
-											env_climate_tasmax: period2_02_tasmax,
-											env_climate_tasmin: period2_02_tasmin
-										},
-										{
-											std_month: 3,
-											env_climate_pr: 	period2_03_pr,
-											env_climate_tas: 	period2_03_tas,
-											env_climate_tasmax: period2_03_tasmax,
-											env_climate_tasmin: period2_03_tasmin
-										},
-										{
-											std_month: 4,
-											env_climate_pr: 	period2_04_pr,
-											env_climate_tas: 	period2_04_tas,
-											env_climate_tasmax: period2_04_tasmax,
-											env_climate_tasmin: period2_04_tasmin
-										},
-										{
-											std_month: 5,
-											env_climate_pr: 	period2_05_pr,
-											env_climate_tas: 	period2_05_tas,
-											env_climate_tasmax: period2_05_tasmax,
-											env_climate_tasmin: period2_05_tasmin
-										},
-										{
-											std_month: 6,
-											env_climate_pr: 	period2_06_pr,
-											env_climate_tas: 	period2_06_tas,
-											env_climate_tasmax: period2_06_tasmax,
-											env_climate_tasmin: period2_06_tasmin
-										},
-										{
-											std_month: 7,
-											env_climate_pr: 	period2_07_pr,
-											env_climate_tas: 	period2_07_tas,
-											env_climate_tasmax: period2_07_tasmax,
-											env_climate_tasmin: period2_07_tasmin
-										},
-										{
-											std_month: 8,
-											env_climate_pr: 	period2_08_pr,
-											env_climate_tas: 	period2_08_tas,
-											env_climate_tasmax: period2_08_tasmax,
-											env_climate_tasmin: period2_08_tasmin
-										},
-										{
-											std_month: 9,
-											env_climate_pr: 	period2_09_pr,
-											env_climate_tas: 	period2_09_tas,
-											env_climate_tasmax: period2_09_tasmax,
-											env_climate_tasmin: period2_09_tasmin
-										},
-										{
-											std_month: 10,
-											env_climate_pr: 	period2_10_pr,
-											env_climate_tas: 	period2_10_tas,
-											env_climate_tasmax: period2_10_tasmax,
-											env_climate_tasmin: period2_10_tasmin
-										},
-										{
-											std_month: 11,
-											env_climate_pr: 	period2_11_pr,
-											env_climate_tas: 	period2_11_tas,
-											env_climate_tasmax: period2_11_tasmax,
-											env_climate_tasmin: period2_11_tasmin
-										},
-										{
-											std_month: 12,
-											env_climate_pr: 	period2_12_pr,
-											env_climate_tas: 	period2_12_tas,
-											env_climate_tasmax: period2_12_tasmax,
-											env_climate_tasmin: period2_12_tasmin
-										}
-									]
-								}
-							}
-						},
-						\`2041-2070\`: {
-							\`MPI-ESM1-2-HR\`: {
-								ssp370: {
-									env_climate_bio01: period3_bio01,
-									env_climate_bio02: period3_bio02,
-									env_climate_bio03: period3_bio03,
-									env_climate_bio04: period3_bio04,
-									env_climate_bio05: period3_bio05,
-									env_climate_bio06: period3_bio06,
-									env_climate_bio07: period3_bio07,
-									env_climate_bio08: period3_bio08,
-									env_climate_bio09: period3_bio09,
-									env_climate_bio10: period3_bio10,
-									env_climate_bio11: period3_bio11,
-									env_climate_bio12: period3_bio12,
-									env_climate_bio13: period3_bio13,
-									env_climate_bio14: period3_bio14,
-									env_climate_bio15: period3_bio15,
-									env_climate_bio16: period3_bio16,
-									env_climate_bio17: period3_bio17,
-									env_climate_bio18: period3_bio18,
-									env_climate_bio19: period3_bio19,
-									env_climate_gdd0: period3_gdd0,
-									env_climate_gdd10: period3_gdd10,
-									env_climate_gdd5: period3_gdd5,
-									env_climate_gsl: period3_gsl,
-									env_climate_gsp: period3_gsp,
-									env_climate_gst: period3_gst,
-									env_climate_ngd0: period3_ngd0,
-									env_climate_ngd10: period3_ngd10,
-									env_climate_ngd5: period3_ngd5,
-									env_climate_npp: period3_npp,
-									env_climate_scd: period3_scd,
-									std_date_span_month: [
-										{
-											std_month: 1,
-											env_climate_pr: 	period3_01_pr,
-											env_climate_tas: 	period3_01_tas,
-											env_climate_tasmax: period3_01_tasmax,
-											env_climate_tasmin: period3_01_tasmin
-										},
-										{
-											std_month: 2,
-											env_climate_pr: 	period3_02_pr,
-											env_climate_tas: 	period3_02_tas,
-											env_climate_tasmax: period3_02_tasmax,
-											env_climate_tasmin: period3_02_tasmin
-										},
-										{
-											std_month: 3,
-											env_climate_pr: 	period3_03_pr,
-											env_climate_tas: 	period3_03_tas,
-											env_climate_tasmax: period3_03_tasmax,
-											env_climate_tasmin: period3_03_tasmin
-										},
-										{
-											std_month: 4,
-											env_climate_pr: 	period3_04_pr,
-											env_climate_tas: 	period3_04_tas,
-											env_climate_tasmax: period3_04_tasmax,
-											env_climate_tasmin: period3_04_tasmin
-										},
-										{
-											std_month: 5,
-											env_climate_pr: 	period3_05_pr,
-											env_climate_tas: 	period3_05_tas,
-											env_climate_tasmax: period3_05_tasmax,
-											env_climate_tasmin: period3_05_tasmin
-										},
-										{
-											std_month: 6,
-											env_climate_pr: 	period3_06_pr,
-											env_climate_tas: 	period3_06_tas,
-											env_climate_tasmax: period3_06_tasmax,
-											env_climate_tasmin: period3_06_tasmin
-										},
-										{
-											std_month: 7,
-											env_climate_pr: 	period3_07_pr,
-											env_climate_tas: 	period3_07_tas,
-											env_climate_tasmax: period3_07_tasmax,
-											env_climate_tasmin: period3_07_tasmin
-										},
-										{
-											std_month: 8,
-											env_climate_pr: 	period3_08_pr,
-											env_climate_tas: 	period3_08_tas,
-											env_climate_tasmax: period3_08_tasmax,
-											env_climate_tasmin: period3_08_tasmin
-										},
-										{
-											std_month: 9,
-											env_climate_pr: 	period3_09_pr,
-											env_climate_tas: 	period3_09_tas,
-											env_climate_tasmax: period3_09_tasmax,
-											env_climate_tasmin: period3_09_tasmin
-										},
-										{
-											std_month: 10,
-											env_climate_pr: 	period3_10_pr,
-											env_climate_tas: 	period3_10_tas,
-											env_climate_tasmax: period3_10_tasmax,
-											env_climate_tasmin: period3_10_tasmin
-										},
-										{
-											std_month: 11,
-											env_climate_pr: 	period3_11_pr,
-											env_climate_tas: 	period3_11_tas,
-											env_climate_tasmax: period3_11_tasmax,
-											env_climate_tasmin: period3_11_tasmin
-										},
-										{
-											std_month: 12,
-											env_climate_pr: 	period3_12_pr,
-											env_climate_tas: 	period3_12_tas,
-											env_climate_tasmax: period3_12_tasmax,
-											env_climate_tasmin: period3_12_tasmin
-										}
-									]
-								}
-							}
-						},
-						\`2071-2100\`: {
-							\`MPI-ESM1-2-HR\`: {
-								ssp370: {
-									env_climate_bio01: period4_bio01,
-									env_climate_bio02: period4_bio02,
-									env_climate_bio03: period4_bio03,
-									env_climate_bio04: period4_bio04,
-									env_climate_bio05: period4_bio05,
-									env_climate_bio06: period4_bio06,
-									env_climate_bio07: period4_bio07,
-									env_climate_bio08: period4_bio08,
-									env_climate_bio09: period4_bio09,
-									env_climate_bio10: period4_bio10,
-									env_climate_bio11: period4_bio11,
-									env_climate_bio12: period4_bio12,
-									env_climate_bio13: period4_bio13,
-									env_climate_bio14: period4_bio14,
-									env_climate_bio15: period4_bio15,
-									env_climate_bio16: period4_bio16,
-									env_climate_bio17: period4_bio17,
-									env_climate_bio18: period4_bio18,
-									env_climate_bio19: period4_bio19,
-									env_climate_gdd0: period4_gdd0,
-									env_climate_gdd10: period4_gdd10,
-									env_climate_gdd5: period4_gdd5,
-									env_climate_gsl: period4_gsl,
-									env_climate_gsp: period4_gsp,
-									env_climate_gst: period4_gst,
-									env_climate_ngd0: period4_ngd0,
-									env_climate_ngd10: period4_ngd10,
-									env_climate_ngd5: period4_ngd5,
-									env_climate_npp: period4_npp,
-									env_climate_scd: period4_scd,
-									std_date_span_month: [
-										{
-											std_month: 1,
-											env_climate_pr: 	period4_01_pr,
-											env_climate_tas: 	period4_01_tas,
-											env_climate_tasmax: period4_01_tasmax,
-											env_climate_tasmin: period4_01_tasmin
-										},
-										{
-											std_month: 2,
-											env_climate_pr: 	period4_02_pr,
-											env_climate_tas: 	period4_02_tas,
-											env_climate_tasmax: period4_02_tasmax,
-											env_climate_tasmin: period4_02_tasmin
-										},
-										{
-											std_month: 3,
-											env_climate_pr: 	period4_03_pr,
-											env_climate_tas: 	period4_03_tas,
-											env_climate_tasmax: period4_03_tasmax,
-											env_climate_tasmin: period4_03_tasmin
-										},
-										{
-											std_month: 4,
-											env_climate_pr: 	period4_04_pr,
-											env_climate_tas: 	period4_04_tas,
-											env_climate_tasmax: period4_04_tasmax,
-											env_climate_tasmin: period4_04_tasmin
-										},
-										{
-											std_month: 5,
-											env_climate_pr: 	period4_05_pr,
-											env_climate_tas: 	period4_05_tas,
-											env_climate_tasmax: period4_05_tasmax,
-											env_climate_tasmin: period4_05_tasmin
-										},
-										{
-											std_month: 6,
-											env_climate_pr: 	period4_06_pr,
-											env_climate_tas: 	period4_06_tas,
-											env_climate_tasmax: period4_06_tasmax,
-											env_climate_tasmin: period4_06_tasmin
-										},
-										{
-											std_month: 7,
-											env_climate_pr: 	period4_07_pr,
-											env_climate_tas: 	period4_07_tas,
-											env_climate_tasmax: period4_07_tasmax,
-											env_climate_tasmin: period4_07_tasmin
-										},
-										{
-											std_month: 8,
-											env_climate_pr: 	period4_08_pr,
-											env_climate_tas: 	period4_08_tas,
-											env_climate_tasmax: period4_08_tasmax,
-											env_climate_tasmin: period4_08_tasmin
-										},
-										{
-											std_month: 9,
-											env_climate_pr: 	period4_09_pr,
-											env_climate_tas: 	period4_09_tas,
-											env_climate_tasmax: period4_09_tasmax,
-											env_climate_tasmin: period4_09_tasmin
-										},
-										{
-											std_month: 10,
-											env_climate_pr: 	period4_10_pr,
-											env_climate_tas: 	period4_10_tas,
-											env_climate_tasmax: period4_10_tasmax,
-											env_climate_tasmin: period4_10_tasmin
-										},
-										{
-											std_month: 11,
-											env_climate_pr: 	period4_11_pr,
-											env_climate_tas: 	period4_11_tas,
-											env_climate_tasmax: period4_11_tasmax,
-											env_climate_tasmin: period4_11_tasmin
-										},
-										{
-											std_month: 12,
-											env_climate_pr: 	period4_12_pr,
-											env_climate_tas: 	period4_12_tas,
-											env_climate_tasmax: period4_12_tasmax,
-											env_climate_tasmin: period4_12_tasmin
-										}
-									]
-								}
-							}
-						}
-					}
-				}
-			`
-			break
-
-		case 'STD':
-			query = aql`
-				LET target = ${theGeometry}
-				FOR doc IN ${theCollectionMap}
-					FOR dat IN ${theCollection}
-						FILTER dat._key == doc._key
-						LET dist = GEO_DISTANCE(target, doc.geometry)
-						FILTER dist >= ${theMin}
-						FILTER dist <= ${theMax}
-						COLLECT AGGREGATE count = COUNT(),
-									  distance = STDDEV(dist),
-									  period1_ai = STDDEV(dat.properties.\`1981-2010\`.env_climate_ai),
-									  period1_bio01 = STDDEV(dat.properties.\`1981-2010\`.env_climate_bio01),
-									  period1_bio02 = STDDEV(dat.properties.\`1981-2010\`.env_climate_bio02),
-									  period1_bio03 = STDDEV(dat.properties.\`1981-2010\`.env_climate_bio03),
-									  period1_bio04 = STDDEV(dat.properties.\`1981-2010\`.env_climate_bio04),
-									  period1_bio05 = STDDEV(dat.properties.\`1981-2010\`.env_climate_bio05),
-									  period1_bio06 = STDDEV(dat.properties.\`1981-2010\`.env_climate_bio06),
-									  period1_bio07 = STDDEV(dat.properties.\`1981-2010\`.env_climate_bio07),
-									  period1_bio08 = STDDEV(dat.properties.\`1981-2010\`.env_climate_bio08),
-									  period1_bio09 = STDDEV(dat.properties.\`1981-2010\`.env_climate_bio09),
-									  period1_bio10 = STDDEV(dat.properties.\`1981-2010\`.env_climate_bio10),
-									  period1_bio11 = STDDEV(dat.properties.\`1981-2010\`.env_climate_bio11),
-									  period1_bio12 = STDDEV(dat.properties.\`1981-2010\`.env_climate_bio12),
-									  period1_bio13 = STDDEV(dat.properties.\`1981-2010\`.env_climate_bio13),
-									  period1_bio14 = STDDEV(dat.properties.\`1981-2010\`.env_climate_bio14),
-									  period1_bio15 = STDDEV(dat.properties.\`1981-2010\`.env_climate_bio15),
-									  period1_bio16 = STDDEV(dat.properties.\`1981-2010\`.env_climate_bio16),
-									  period1_bio17 = STDDEV(dat.properties.\`1981-2010\`.env_climate_bio17),
-									  period1_bio18 = STDDEV(dat.properties.\`1981-2010\`.env_climate_bio18),
-									  period1_bio19 = STDDEV(dat.properties.\`1981-2010\`.env_climate_bio19),
-									  period1_clt_max = STDDEV(dat.properties.\`1981-2010\`.env_climate_clt_max),
-									  period1_clt_mean = STDDEV(dat.properties.\`1981-2010\`.env_climate_clt_mean),
-									  period1_clt_min = STDDEV(dat.properties.\`1981-2010\`.env_climate_clt_min),
-									  period1_clt_range = STDDEV(dat.properties.\`1981-2010\`.env_climate_clt_range),
-									  period1_cmi_max = STDDEV(dat.properties.\`1981-2010\`.env_climate_cmi_max),
-									  period1_cmi_mean = STDDEV(dat.properties.\`1981-2010\`.env_climate_cmi_mean),
-									  period1_cmi_min = STDDEV(dat.properties.\`1981-2010\`.env_climate_cmi_min),
-									  period1_cmi_range = STDDEV(dat.properties.\`1981-2010\`.env_climate_cmi_range),
-									  period1_fcf =  STDDEV(dat.properties.\`1981-2010\`.env_climate_fcf),
-									  period1_fgd =  STDDEV(dat.properties.\`1981-2010\`.env_climate_fgd),
-									  period1_gdd0 =  STDDEV(dat.properties.\`1981-2010\`.env_climate_gdd0),
-									  period1_gdd10 = STDDEV(dat.properties.\`1981-2010\`.env_climate_gdd10),
-									  period1_gdd5 = STDDEV(dat.properties.\`1981-2010\`.env_climate_gdd5),
-									  period1_gddlgd0 = STDDEV(dat.properties.\`1981-2010\`.env_climate_gddlgd0),
-									  period1_gddlgd10 = STDDEV(dat.properties.\`1981-2010\`.env_climate_gddlgd10),
-									  period1_gddlgd5 = STDDEV(dat.properties.\`1981-2010\`.env_climate_gddlgd5),
-									  period1_gdgfgd0 = STDDEV(dat.properties.\`1981-2010\`.env_climate_gdgfgd0),
-									  period1_gdgfgd10 = STDDEV(dat.properties.\`1981-2010\`.env_climate_gdgfgd10),
-									  period1_gdgfgd5 = STDDEV(dat.properties.\`1981-2010\`.env_climate_gdgfgd5),
-									  period1_gsl = STDDEV(dat.properties.\`1981-2010\`.env_climate_gsl),
-									  period1_gsp = STDDEV(dat.properties.\`1981-2010\`.env_climate_gsp),
-									  period1_gst = STDDEV(dat.properties.\`1981-2010\`.env_climate_gst),
-									  period1_hurs_max = STDDEV(dat.properties.\`1981-2010\`.env_climate_hurs_max),
-									  period1_hurs_mean = STDDEV(dat.properties.\`1981-2010\`.env_climate_hurs_mean),
-									  period1_hurs_min = STDDEV(dat.properties.\`1981-2010\`.env_climate_hurs_min),
-									  period1_hurs_range = STDDEV(dat.properties.\`1981-2010\`.env_climate_hurs_range),
-									  period1_ngd0 = STDDEV(dat.properties.\`1981-2010\`.env_climate_ngd0),
-									  period1_ngd10 = STDDEV(dat.properties.\`1981-2010\`.env_climate_ngd10),
-									  period1_ngd5 = STDDEV(dat.properties.\`1981-2010\`.env_climate_ngd5),
-									  period1_npp = STDDEV(dat.properties.\`1981-2010\`.env_climate_npp),
-									  period1_pet_penman_max = STDDEV(dat.properties.\`1981-2010\`.env_climate_pet_penman_max),
-									  period1_pet_penman_mean = STDDEV(dat.properties.\`1981-2010\`.env_climate_pet_penman_mean),
-									  period1_pet_penman_min = STDDEV(dat.properties.\`1981-2010\`.env_climate_pet_penman_min),
-									  period1_pet_penman_range = STDDEV(dat.properties.\`1981-2010\`.env_climate_pet_penman_range),
-									  period1_rsds_max = STDDEV(dat.properties.\`1981-2010\`.env_climate_rsds_max),
-									  period1_rsds_mean = STDDEV(dat.properties.\`1981-2010\`.env_climate_rsds_mean),
-									  period1_rsds_min = STDDEV(dat.properties.\`1981-2010\`.env_climate_rsds_min),
-									  period1_rsds_range = STDDEV(dat.properties.\`1981-2010\`.env_climate_rsds_range),
-									  period1_scd = STDDEV(dat.properties.\`1981-2010\`.env_climate_scd),
-									  period1_sfcWind_max = STDDEV(dat.properties.\`1981-2010\`.env_climate_sfcWind_max),
-									  period1_sfcWind_mean = STDDEV(dat.properties.\`1981-2010\`.env_climate_sfcWind_mean),
-									  period1_sfcWind_min = STDDEV(dat.properties.\`1981-2010\`.env_climate_sfcWind_min),
-									  period1_sfcWind_range = STDDEV(dat.properties.\`1981-2010\`.env_climate_sfcWind_range),
-									  period1_swb = STDDEV(dat.properties.\`1981-2010\`.env_climate_swb),
-									  period1_swe = STDDEV(dat.properties.\`1981-2010\`.env_climate_swe),
-									  period1_vpd_max = STDDEV(dat.properties.\`1981-2010\`.env_climate_vpd_max),
-									  period1_vpd_mean = STDDEV(dat.properties.\`1981-2010\`.env_climate_vpd_mean),
-									  period1_vpd_min = STDDEV(dat.properties.\`1981-2010\`.env_climate_vpd_min),
-									  period1_vpd_range = STDDEV(dat.properties.\`1981-2010\`.env_climate_vpd_range),
-									  period1_01_pr = STDDEV(dat.properties.\`1981-2010\`.std_date_span_month[0].env_climate_pr),
-									  period1_01_tas = STDDEV(dat.properties.\`1981-2010\`.std_date_span_month[0].env_climate_tas),
-									  period1_01_tasmax = STDDEV(dat.properties.\`1981-2010\`.std_date_span_month[0].env_climate_tasmax),
-									  period1_01_tasmin = STDDEV(dat.properties.\`1981-2010\`.std_date_span_month[0].env_climate_tasmin),
-									  period1_02_pr = STDDEV(dat.properties.\`1981-2010\`.std_date_span_month[1].env_climate_pr),
-									  period1_02_tas = STDDEV(dat.properties.\`1981-2010\`.std_date_span_month[1].env_climate_tas),
-									  period1_02_tasmax = STDDEV(dat.properties.\`1981-2010\`.std_date_span_month[1].env_climate_tasmax),
-									  period1_02_tasmin = STDDEV(dat.properties.\`1981-2010\`.std_date_span_month[1].env_climate_tasmin),
-									  period1_03_pr = STDDEV(dat.properties.\`1981-2010\`.std_date_span_month[2].env_climate_pr),
-									  period1_03_tas = STDDEV(dat.properties.\`1981-2010\`.std_date_span_month[2].env_climate_tas),
-									  period1_03_tasmax = STDDEV(dat.properties.\`1981-2010\`.std_date_span_month[2].env_climate_tasmax),
-									  period1_03_tasmin = STDDEV(dat.properties.\`1981-2010\`.std_date_span_month[2].env_climate_tasmin),
-									  period1_04_pr = STDDEV(dat.properties.\`1981-2010\`.std_date_span_month[3].env_climate_pr),
-									  period1_04_tas = STDDEV(dat.properties.\`1981-2010\`.std_date_span_month[3].env_climate_tas),
-									  period1_04_tasmax = STDDEV(dat.properties.\`1981-2010\`.std_date_span_month[3].env_climate_tasmax),
-									  period1_04_tasmin = STDDEV(dat.properties.\`1981-2010\`.std_date_span_month[3].env_climate_tasmin),
-									  period1_05_pr = STDDEV(dat.properties.\`1981-2010\`.std_date_span_month[4].env_climate_pr),
-									  period1_05_tas = STDDEV(dat.properties.\`1981-2010\`.std_date_span_month[4].env_climate_tas),
-									  period1_05_tasmax = STDDEV(dat.properties.\`1981-2010\`.std_date_span_month[4].env_climate_tasmax),
-									  period1_05_tasmin = STDDEV(dat.properties.\`1981-2010\`.std_date_span_month[4].env_climate_tasmin),
-									  period1_06_pr = STDDEV(dat.properties.\`1981-2010\`.std_date_span_month[5].env_climate_pr),
-									  period1_06_tas = STDDEV(dat.properties.\`1981-2010\`.std_date_span_month[5].env_climate_tas),
-									  period1_06_tasmax = STDDEV(dat.properties.\`1981-2010\`.std_date_span_month[5].env_climate_tasmax),
-									  period1_06_tasmin = STDDEV(dat.properties.\`1981-2010\`.std_date_span_month[5].env_climate_tasmin),
-									  period1_07_pr = STDDEV(dat.properties.\`1981-2010\`.std_date_span_month[6].env_climate_pr),
-									  period1_07_tas = STDDEV(dat.properties.\`1981-2010\`.std_date_span_month[6].env_climate_tas),
-									  period1_07_tasmax = STDDEV(dat.properties.\`1981-2010\`.std_date_span_month[6].env_climate_tasmax),
-									  period1_07_tasmin = STDDEV(dat.properties.\`1981-2010\`.std_date_span_month[6].env_climate_tasmin),
-									  period1_08_pr = STDDEV(dat.properties.\`1981-2010\`.std_date_span_month[7].env_climate_pr),
-									  period1_08_tas = STDDEV(dat.properties.\`1981-2010\`.std_date_span_month[7].env_climate_tas),
-									  period1_08_tasmax = STDDEV(dat.properties.\`1981-2010\`.std_date_span_month[7].env_climate_tasmax),
-									  period1_08_tasmin = STDDEV(dat.properties.\`1981-2010\`.std_date_span_month[7].env_climate_tasmin),
-									  period1_09_pr = STDDEV(dat.properties.\`1981-2010\`.std_date_span_month[8].env_climate_pr),
-									  period1_09_tas = STDDEV(dat.properties.\`1981-2010\`.std_date_span_month[8].env_climate_tas),
-									  period1_09_tasmax = STDDEV(dat.properties.\`1981-2010\`.std_date_span_month[8].env_climate_tasmax),
-									  period1_09_tasmin = STDDEV(dat.properties.\`1981-2010\`.std_date_span_month[8].env_climate_tasmin),
-									  period1_10_pr = STDDEV(dat.properties.\`1981-2010\`.std_date_span_month[9].env_climate_pr),
-									  period1_10_tas = STDDEV(dat.properties.\`1981-2010\`.std_date_span_month[9].env_climate_tas),
-									  period1_10_tasmax = STDDEV(dat.properties.\`1981-2010\`.std_date_span_month[9].env_climate_tasmax),
-									  period1_10_tasmin = STDDEV(dat.properties.\`1981-2010\`.std_date_span_month[9].env_climate_tasmin),
-									  period1_11_pr = STDDEV(dat.properties.\`1981-2010\`.std_date_span_month[10].env_climate_pr),
-									  period1_11_tas = STDDEV(dat.properties.\`1981-2010\`.std_date_span_month[10].env_climate_tas),
-									  period1_11_tasmax = STDDEV(dat.properties.\`1981-2010\`.std_date_span_month[10].env_climate_tasmax),
-									  period1_11_tasmin = STDDEV(dat.properties.\`1981-2010\`.std_date_span_month[10].env_climate_tasmin),
-									  period1_12_pr = STDDEV(dat.properties.\`1981-2010\`.std_date_span_month[11].env_climate_pr),
-									  period1_12_tas = STDDEV(dat.properties.\`1981-2010\`.std_date_span_month[11].env_climate_tas),
-									  period1_12_tasmax = STDDEV(dat.properties.\`1981-2010\`.std_date_span_month[11].env_climate_tasmax),
-									  period1_12_tasmin = STDDEV(dat.properties.\`1981-2010\`.std_date_span_month[11].env_climate_tasmin),
-									  period2_bio01 = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio01),
-									  period2_bio02 = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio02),
-									  period2_bio03 = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio03),
-									  period2_bio04 = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio04),
-									  period2_bio05 = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio05),
-									  period2_bio06 = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio06),
-									  period2_bio07 = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio07),
-									  period2_bio08 = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio08),
-									  period2_bio09 = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio09),
-									  period2_bio10 = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio10),
-									  period2_bio11 = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio11),
-									  period2_bio12 = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio12),
-									  period2_bio13 = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio13),
-									  period2_bio14 = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio14),
-									  period2_bio15 = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio15),
-									  period2_bio16 = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio16),
-									  period2_bio17 = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio17),
-									  period2_bio18 = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio18),
-									  period2_bio19 = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio19),
-									  period2_gdd0 = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gdd0),
-									  period2_gdd10 = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gdd10),
-									  period2_gdd5 = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gdd5),
-									  period2_gsl = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gsl),
-									  period2_gsp = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gsp),
-									  period2_gst = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gst),
-									  period2_ngd0 = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_ngd0),
-									  period2_ngd10 = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_ngd10),
-									  period2_ngd5 = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_ngd5),
-									  period2_npp = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_npp),
-									  period2_scd = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_scd),
-									  period2_01_pr = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_pr),
-									  period2_01_tas = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_tas),
-									  period2_01_tasmax = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_tasmax),
-									  period2_01_tasmin = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_tasmin),
-									  period2_02_pr = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_pr),
-									  period2_02_tas = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_tas),
-									  period2_02_tasmax = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_tasmax),
-									  period2_02_tasmin = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_tasmin),
-									  period2_03_pr = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_pr),
-									  period2_03_tas = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_tas),
-									  period2_03_tasmax = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_tasmax),
-									  period2_03_tasmin = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_tasmin),
-									  period2_04_pr = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_pr),
-									  period2_04_tas = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_tas),
-									  period2_04_tasmax = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_tasmax),
-									  period2_04_tasmin = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_tasmin),
-									  period2_05_pr = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_pr),
-									  period2_05_tas = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_tas),
-									  period2_05_tasmax = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_tasmax),
-									  period2_05_tasmin = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_tasmin),
-									  period2_06_pr = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_pr),
-									  period2_06_tas = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_tas),
-									  period2_06_tasmax = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_tasmax),
-									  period2_06_tasmin = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_tasmin),
-									  period2_07_pr = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_pr),
-									  period2_07_tas = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_tas),
-									  period2_07_tasmax = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_tasmax),
-									  period2_07_tasmin = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_tasmin),
-									  period2_08_pr = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_pr),
-									  period2_08_tas = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_tas),
-									  period2_08_tasmax = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_tasmax),
-									  period2_08_tasmin = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_tasmin),
-									  period2_09_pr = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_pr),
-									  period2_09_tas = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_tas),
-									  period2_09_tasmax = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_tasmax),
-									  period2_09_tasmin = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_tasmin),
-									  period2_10_pr = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_pr),
-									  period2_10_tas = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_tas),
-									  period2_10_tasmax = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_tasmax),
-									  period2_10_tasmin = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_tasmin),
-									  period2_11_pr = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_pr),
-									  period2_11_tas = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_tas),
-									  period2_11_tasmax = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_tasmax),
-									  period2_11_tasmin = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_tasmin),
-									  period2_12_pr = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_pr),
-									  period2_12_tas = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_tas),
-									  period2_12_tasmax = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_tasmax),
-									  period2_12_tasmin = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_tasmin),
-									  period3_bio01 = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio01),
-									  period3_bio02 = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio02),
-									  period3_bio03 = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio03),
-									  period3_bio04 = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio04),
-									  period3_bio05 = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio05),
-									  period3_bio06 = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio06),
-									  period3_bio07 = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio07),
-									  period3_bio08 = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio08),
-									  period3_bio09 = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio09),
-									  period3_bio10 = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio10),
-									  period3_bio11 = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio11),
-									  period3_bio12 = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio12),
-									  period3_bio13 = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio13),
-									  period3_bio14 = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio14),
-									  period3_bio15 = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio15),
-									  period3_bio16 = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio16),
-									  period3_bio17 = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio17),
-									  period3_bio18 = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio18),
-									  period3_bio19 = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio19),
-									  period3_gdd0 = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gdd0),
-									  period3_gdd10 = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gdd10),
-									  period3_gdd5 = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gdd5),
-									  period3_gsl = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gsl),
-									  period3_gsp = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gsp),
-									  period3_gst = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gst),
-									  period3_ngd0 = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_ngd0),
-									  period3_ngd10 = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_ngd10),
-									  period3_ngd5 = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_ngd5),
-									  period3_npp = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_npp),
-									  period3_scd = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_scd),
-									  period3_01_pr = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_pr),
-									  period3_01_tas = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_tas),
-									  period3_01_tasmax = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_tasmax),
-									  period3_01_tasmin = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_tasmin),
-									  period3_02_pr = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_pr),
-									  period3_02_tas = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_tas),
-									  period3_02_tasmax = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_tasmax),
-									  period3_02_tasmin = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_tasmin),
-									  period3_03_pr = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_pr),
-									  period3_03_tas = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_tas),
-									  period3_03_tasmax = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_tasmax),
-									  period3_03_tasmin = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_tasmin),
-									  period3_04_pr = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_pr),
-									  period3_04_tas = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_tas),
-									  period3_04_tasmax = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_tasmax),
-									  period3_04_tasmin = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_tasmin),
-									  period3_05_pr = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_pr),
-									  period3_05_tas = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_tas),
-									  period3_05_tasmax = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_tasmax),
-									  period3_05_tasmin = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_tasmin),
-									  period3_06_pr = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_pr),
-									  period3_06_tas = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_tas),
-									  period3_06_tasmax = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_tasmax),
-									  period3_06_tasmin = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_tasmin),
-									  period3_07_pr = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_pr),
-									  period3_07_tas = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_tas),
-									  period3_07_tasmax = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_tasmax),
-									  period3_07_tasmin = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_tasmin),
-									  period3_08_pr = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_pr),
-									  period3_08_tas = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_tas),
-									  period3_08_tasmax = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_tasmax),
-									  period3_08_tasmin = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_tasmin),
-									  period3_09_pr = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_pr),
-									  period3_09_tas = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_tas),
-									  period3_09_tasmax = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_tasmax),
-									  period3_09_tasmin = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_tasmin),
-									  period3_10_pr = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_pr),
-									  period3_10_tas = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_tas),
-									  period3_10_tasmax = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_tasmax),
-									  period3_10_tasmin = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_tasmin),
-									  period3_11_pr = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_pr),
-									  period3_11_tas = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_tas),
-									  period3_11_tasmax = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_tasmax),
-									  period3_11_tasmin = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_tasmin),
-									  period3_12_pr = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_pr),
-									  period3_12_tas = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_tas),
-									  period3_12_tasmax = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_tasmax),
-									  period3_12_tasmin = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_tasmin),
-									  period4_bio01 = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio01),
-									  period4_bio02 = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio02),
-									  period4_bio03 = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio03),
-									  period4_bio04 = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio04),
-									  period4_bio05 = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio05),
-									  period4_bio06 = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio06),
-									  period4_bio07 = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio07),
-									  period4_bio08 = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio08),
-									  period4_bio09 = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio09),
-									  period4_bio10 = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio10),
-									  period4_bio11 = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio11),
-									  period4_bio12 = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio12),
-									  period4_bio13 = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio13),
-									  period4_bio14 = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio14),
-									  period4_bio15 = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio15),
-									  period4_bio16 = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio16),
-									  period4_bio17 = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio17),
-									  period4_bio18 = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio18),
-									  period4_bio19 = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio19),
-									  period4_gdd0 = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gdd0),
-									  period4_gdd10 = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gdd10),
-									  period4_gdd5 = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gdd5),
-									  period4_gsl = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gsl),
-									  period4_gsp = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gsp),
-									  period4_gst = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gst),
-									  period4_ngd0 = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_ngd0),
-									  period4_ngd10 = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_ngd10),
-									  period4_ngd5 = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_ngd5),
-									  period4_npp = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_npp),
-									  period4_scd = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_scd),
-									  period4_01_pr = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_pr),
-									  period4_01_tas = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_tas),
-									  period4_01_tasmax = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_tasmax),
-									  period4_01_tasmin = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_tasmin),
-									  period4_02_pr = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_pr),
-									  period4_02_tas = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_tas),
-									  period4_02_tasmax = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_tasmax),
-									  period4_02_tasmin = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_tasmin),
-									  period4_03_pr = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_pr),
-									  period4_03_tas = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_tas),
-									  period4_03_tasmax = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_tasmax),
-									  period4_03_tasmin = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_tasmin),
-									  period4_04_pr = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_pr),
-									  period4_04_tas = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_tas),
-									  period4_04_tasmax = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_tasmax),
-									  period4_04_tasmin = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_tasmin),
-									  period4_05_pr = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_pr),
-									  period4_05_tas = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_tas),
-									  period4_05_tasmax = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_tasmax),
-									  period4_05_tasmin = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_tasmin),
-									  period4_06_pr = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_pr),
-									  period4_06_tas = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_tas),
-									  period4_06_tasmax = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_tasmax),
-									  period4_06_tasmin = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_tasmin),
-									  period4_07_pr = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_pr),
-									  period4_07_tas = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_tas),
-									  period4_07_tasmax = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_tasmax),
-									  period4_07_tasmin = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_tasmin),
-									  period4_08_pr = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_pr),
-									  period4_08_tas = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_tas),
-									  period4_08_tasmax = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_tasmax),
-									  period4_08_tasmin = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_tasmin),
-									  period4_09_pr = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_pr),
-									  period4_09_tas = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_tas),
-									  period4_09_tasmax = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_tasmax),
-									  period4_09_tasmin = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_tasmin),
-									  period4_10_pr = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_pr),
-									  period4_10_tas = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_tas),
-									  period4_10_tasmax = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_tasmax),
-									  period4_10_tasmin = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_tasmin),
-									  period4_11_pr = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_pr),
-									  period4_11_tas = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_tas),
-									  period4_11_tasmax = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_tasmax),
-									  period4_11_tasmin = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_tasmin),
-									  period4_12_pr = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_pr),
-									  period4_12_tas = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_tas),
-									  period4_12_tasmax = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_tasmax),
-									  period4_12_tasmin = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_tasmin)
-				RETURN {
-					count: count,
-					distance: distance,
-					properties: {
-						\`1981-2010\`: {
-							env_climate_ai: period1_ai,
-							env_climate_bio01: period1_bio01,
-							env_climate_bio02: period1_bio02,
-							env_climate_bio03: period1_bio03,
-							env_climate_bio04: period1_bio04,
-							env_climate_bio05: period1_bio05,
-							env_climate_bio06: period1_bio06,
-							env_climate_bio07: period1_bio07,
-							env_climate_bio08: period1_bio08,
-							env_climate_bio09: period1_bio09,
-							env_climate_bio10: period1_bio10,
-							env_climate_bio11: period1_bio11,
-							env_climate_bio12: period1_bio12,
-							env_climate_bio13: period1_bio13,
-							env_climate_bio14: period1_bio14,
-							env_climate_bio15: period1_bio15,
-							env_climate_bio16: period1_bio16,
-							env_climate_bio17: period1_bio17,
-							env_climate_bio18: period1_bio18,
-							env_climate_bio19: period1_bio19,
-							env_climate_clt_max: period1_clt_max,
-							env_climate_clt_mean: period1_clt_mean,
-							env_climate_clt_min: period1_clt_min,
-							env_climate_clt_range: period1_clt_range,
-							env_climate_cmi_max: period1_cmi_max,
-							env_climate_cmi_mean: period1_cmi_mean,
-							env_climate_cmi_min: period1_cmi_min,
-							env_climate_cmi_range: period1_cmi_range,
-							env_climate_fcf: period1_fcf,
-							env_climate_fgd: period1_fgd,
-							env_climate_gdd0: period1_gdd0,
-							env_climate_gdd10: period1_gdd10,
-							env_climate_gdd5: period1_gdd5,
-							env_climate_gddlgd0: period1_gddlgd0,
-							env_climate_gddlgd10: period1_gddlgd10,
-							env_climate_gddlgd5: period1_gddlgd5,
-							env_climate_gdgfgd0: period1_gdgfgd0,
-							env_climate_gdgfgd10: period1_gdgfgd10,
-							env_climate_gdgfgd5: period1_gdgfgd5,
-							env_climate_gsl: period1_gsl,
-							env_climate_gsp: period1_gsp,
-							env_climate_gst: period1_gst,
-							env_climate_hurs_max: period1_hurs_max,
-							env_climate_hurs_mean: period1_hurs_mean,
-							env_climate_hurs_min: period1_hurs_min,
-							env_climate_hurs_range: period1_hurs_range,
-							env_climate_ngd0: period1_ngd0,
-							env_climate_ngd10: period1_ngd10,
-							env_climate_ngd5: period1_ngd5,
-							env_climate_npp: period1_npp,
-							env_climate_pet_penman_max: period1_pet_penman_max,
-							env_climate_pet_penman_mean: period1_pet_penman_mean,
-							env_climate_pet_penman_min: period1_pet_penman_min,
-							env_climate_pet_penman_range: period1_pet_penman_range,
-							env_climate_rsds_max: period1_rsds_max,
-							env_climate_rsds_mean: period1_rsds_mean,
-							env_climate_rsds_min: period1_rsds_min,
-							env_climate_rsds_range: period1_rsds_range,
-							env_climate_scd: period1_scd,
-							env_climate_sfcWind_max: period1_sfcWind_max,
-							env_climate_sfcWind_mean: period1_sfcWind_mean,
-							env_climate_sfcWind_min: period1_sfcWind_min,
-							env_climate_sfcWind_range: period1_sfcWind_range,
-							env_climate_swb: period1_swb,
-							env_climate_swe: period1_swe,
-							env_climate_vpd_max: period1_vpd_max,
-							env_climate_vpd_mean: period1_vpd_mean,
-							env_climate_vpd_min: period1_vpd_min,
-							env_climate_vpd_range: period1_vpd_range,
-							std_date_span_month: [
-								{
-									std_month: 1,
-									env_climate_pr: 	period1_01_pr,
-									env_climate_tas: 	period1_01_tas,
-									env_climate_tasmax: period1_01_tasmax,
-									env_climate_tasmin: period1_01_tasmin
-								},
-								{
-									std_month: 2,
-									env_climate_pr: 	period1_02_pr,
-									env_climate_tas: 	period1_02_tas,
-									env_climate_tasmax: period1_02_tasmax,
-									env_climate_tasmin: period1_02_tasmin
-								},
-								{
-									std_month: 3,
-									env_climate_pr: 	period1_03_pr,
-									env_climate_tas: 	period1_03_tas,
-									env_climate_tasmax: period1_03_tasmax,
-									env_climate_tasmin: period1_03_tasmin
-								},
-								{
-									std_month: 4,
-									env_climate_pr: 	period1_04_pr,
-									env_climate_tas: 	period1_04_tas,
-									env_climate_tasmax: period1_04_tasmax,
-									env_climate_tasmin: period1_04_tasmin
-								},
-								{
-									std_month: 5,
-									env_climate_pr: 	period1_05_pr,
-									env_climate_tas: 	period1_05_tas,
-									env_climate_tasmax: period1_05_tasmax,
-									env_climate_tasmin: period1_05_tasmin
-								},
-								{
-									std_month: 6,
-									env_climate_pr: 	period1_06_pr,
-									env_climate_tas: 	period1_06_tas,
-									env_climate_tasmax: period1_06_tasmax,
-									env_climate_tasmin: period1_06_tasmin
-								},
-								{
-									std_month: 7,
-									env_climate_pr: 	period1_07_pr,
-									env_climate_tas: 	period1_07_tas,
-									env_climate_tasmax: period1_07_tasmax,
-									env_climate_tasmin: period1_07_tasmin
-								},
-								{
-									std_month: 8,
-									env_climate_pr: 	period1_08_pr,
-									env_climate_tas: 	period1_08_tas,
-									env_climate_tasmax: period1_08_tasmax,
-									env_climate_tasmin: period1_08_tasmin
-								},
-								{
-									std_month: 9,
-									env_climate_pr: 	period1_09_pr,
-									env_climate_tas: 	period1_09_tas,
-									env_climate_tasmax: period1_09_tasmax,
-									env_climate_tasmin: period1_09_tasmin
-								},
-								{
-									std_month: 10,
-									env_climate_pr: 	period1_10_pr,
-									env_climate_tas: 	period1_10_tas,
-									env_climate_tasmax: period1_10_tasmax,
-									env_climate_tasmin: period1_10_tasmin
-								},
-								{
-									std_month: 11,
-									env_climate_pr: 	period1_11_pr,
-									env_climate_tas: 	period1_11_tas,
-									env_climate_tasmax: period1_11_tasmax,
-									env_climate_tasmin: period1_11_tasmin
-								},
-								{
-									std_month: 12,
-									env_climate_pr: 	period1_12_pr,
-									env_climate_tas: 	period1_12_tas,
-									env_climate_tasmax: period1_12_tasmax,
-									env_climate_tasmin: period1_12_tasmin
-								}
-							]
-						},
-						\`2011-2040\`: {
-							\`MPI-ESM1-2-HR\`: {
-								ssp370: {
-									env_climate_bio01: period2_bio01,
-									env_climate_bio02: period2_bio02,
-									env_climate_bio03: period2_bio03,
-									env_climate_bio04: period2_bio04,
-									env_climate_bio05: period2_bio05,
-									env_climate_bio06: period2_bio06,
-									env_climate_bio07: period2_bio07,
-									env_climate_bio08: period2_bio08,
-									env_climate_bio09: period2_bio09,
-									env_climate_bio10: period2_bio10,
-									env_climate_bio11: period2_bio11,
-									env_climate_bio12: period2_bio12,
-									env_climate_bio13: period2_bio13,
-									env_climate_bio14: period2_bio14,
-									env_climate_bio15: period2_bio15,
-									env_climate_bio16: period2_bio16,
-									env_climate_bio17: period2_bio17,
-									env_climate_bio18: period2_bio18,
-									env_climate_bio19: period2_bio19,
-									env_climate_gdd0: period2_gdd0,
-									env_climate_gdd10: period2_gdd10,
-									env_climate_gdd5: period2_gdd5,
-									env_climate_gsl: period2_gsl,
-									env_climate_gsp: period2_gsp,
-									env_climate_gst: period2_gst,
-									env_climate_ngd0: period2_ngd0,
-									env_climate_ngd10: period2_ngd10,
-									env_climate_ngd5: period2_ngd5,
-									env_climate_npp: period2_npp,
-									env_climate_scd: period2_scd,
-									std_date_span_month: [
-										{
-											std_month: 1,
-											env_climate_pr: 	period2_01_pr,
-											env_climate_tas: 	period2_01_tas,
-											env_climate_tasmax: period2_01_tasmax,
-											env_climate_tasmin: period2_01_tasmin
-										},
-										{
-											std_month: 2,
-											env_climate_pr: 	period2_02_pr,
-											env_climate_tas: 	period2_02_tas,
-											env_climate_tasmax: period2_02_tasmax,
-											env_climate_tasmin: period2_02_tasmin
-										},
-										{
-											std_month: 3,
-											env_climate_pr: 	period2_03_pr,
-											env_climate_tas: 	period2_03_tas,
-											env_climate_tasmax: period2_03_tasmax,
-											env_climate_tasmin: period2_03_tasmin
-										},
-										{
-											std_month: 4,
-											env_climate_pr: 	period2_04_pr,
-											env_climate_tas: 	period2_04_tas,
-											env_climate_tasmax: period2_04_tasmax,
-											env_climate_tasmin: period2_04_tasmin
-										},
-										{
-											std_month: 5,
-											env_climate_pr: 	period2_05_pr,
-											env_climate_tas: 	period2_05_tas,
-											env_climate_tasmax: period2_05_tasmax,
-											env_climate_tasmin: period2_05_tasmin
-										},
-										{
-											std_month: 6,
-											env_climate_pr: 	period2_06_pr,
-											env_climate_tas: 	period2_06_tas,
-											env_climate_tasmax: period2_06_tasmax,
-											env_climate_tasmin: period2_06_tasmin
-										},
-										{
-											std_month: 7,
-											env_climate_pr: 	period2_07_pr,
-											env_climate_tas: 	period2_07_tas,
-											env_climate_tasmax: period2_07_tasmax,
-											env_climate_tasmin: period2_07_tasmin
-										},
-										{
-											std_month: 8,
-											env_climate_pr: 	period2_08_pr,
-											env_climate_tas: 	period2_08_tas,
-											env_climate_tasmax: period2_08_tasmax,
-											env_climate_tasmin: period2_08_tasmin
-										},
-										{
-											std_month: 9,
-											env_climate_pr: 	period2_09_pr,
-											env_climate_tas: 	period2_09_tas,
-											env_climate_tasmax: period2_09_tasmax,
-											env_climate_tasmin: period2_09_tasmin
-										},
-										{
-											std_month: 10,
-											env_climate_pr: 	period2_10_pr,
-											env_climate_tas: 	period2_10_tas,
-											env_climate_tasmax: period2_10_tasmax,
-											env_climate_tasmin: period2_10_tasmin
-										},
-										{
-											std_month: 11,
-											env_climate_pr: 	period2_11_pr,
-											env_climate_tas: 	period2_11_tas,
-											env_climate_tasmax: period2_11_tasmax,
-											env_climate_tasmin: period2_11_tasmin
-										},
-										{
-											std_month: 12,
-											env_climate_pr: 	period2_12_pr,
-											env_climate_tas: 	period2_12_tas,
-											env_climate_tasmax: period2_12_tasmax,
-											env_climate_tasmin: period2_12_tasmin
-										}
-									]
-								}
-							}
-						},
-						\`2041-2070\`: {
-							\`MPI-ESM1-2-HR\`: {
-								ssp370: {
-									env_climate_bio01: period3_bio01,
-									env_climate_bio02: period3_bio02,
-									env_climate_bio03: period3_bio03,
-									env_climate_bio04: period3_bio04,
-									env_climate_bio05: period3_bio05,
-									env_climate_bio06: period3_bio06,
-									env_climate_bio07: period3_bio07,
-									env_climate_bio08: period3_bio08,
-									env_climate_bio09: period3_bio09,
-									env_climate_bio10: period3_bio10,
-									env_climate_bio11: period3_bio11,
-									env_climate_bio12: period3_bio12,
-									env_climate_bio13: period3_bio13,
-									env_climate_bio14: period3_bio14,
-									env_climate_bio15: period3_bio15,
-									env_climate_bio16: period3_bio16,
-									env_climate_bio17: period3_bio17,
-									env_climate_bio18: period3_bio18,
-									env_climate_bio19: period3_bio19,
-									env_climate_gdd0: period3_gdd0,
-									env_climate_gdd10: period3_gdd10,
-									env_climate_gdd5: period3_gdd5,
-									env_climate_gsl: period3_gsl,
-									env_climate_gsp: period3_gsp,
-									env_climate_gst: period3_gst,
-									env_climate_ngd0: period3_ngd0,
-									env_climate_ngd10: period3_ngd10,
-									env_climate_ngd5: period3_ngd5,
-									env_climate_npp: period3_npp,
-									env_climate_scd: period3_scd,
-									std_date_span_month: [
-										{
-											std_month: 1,
-											env_climate_pr: 	period3_01_pr,
-											env_climate_tas: 	period3_01_tas,
-											env_climate_tasmax: period3_01_tasmax,
-											env_climate_tasmin: period3_01_tasmin
-										},
-										{
-											std_month: 2,
-											env_climate_pr: 	period3_02_pr,
-											env_climate_tas: 	period3_02_tas,
-											env_climate_tasmax: period3_02_tasmax,
-											env_climate_tasmin: period3_02_tasmin
-										},
-										{
-											std_month: 3,
-											env_climate_pr: 	period3_03_pr,
-											env_climate_tas: 	period3_03_tas,
-											env_climate_tasmax: period3_03_tasmax,
-											env_climate_tasmin: period3_03_tasmin
-										},
-										{
-											std_month: 4,
-											env_climate_pr: 	period3_04_pr,
-											env_climate_tas: 	period3_04_tas,
-											env_climate_tasmax: period3_04_tasmax,
-											env_climate_tasmin: period3_04_tasmin
-										},
-										{
-											std_month: 5,
-											env_climate_pr: 	period3_05_pr,
-											env_climate_tas: 	period3_05_tas,
-											env_climate_tasmax: period3_05_tasmax,
-											env_climate_tasmin: period3_05_tasmin
-										},
-										{
-											std_month: 6,
-											env_climate_pr: 	period3_06_pr,
-											env_climate_tas: 	period3_06_tas,
-											env_climate_tasmax: period3_06_tasmax,
-											env_climate_tasmin: period3_06_tasmin
-										},
-										{
-											std_month: 7,
-											env_climate_pr: 	period3_07_pr,
-											env_climate_tas: 	period3_07_tas,
-											env_climate_tasmax: period3_07_tasmax,
-											env_climate_tasmin: period3_07_tasmin
-										},
-										{
-											std_month: 8,
-											env_climate_pr: 	period3_08_pr,
-											env_climate_tas: 	period3_08_tas,
-											env_climate_tasmax: period3_08_tasmax,
-											env_climate_tasmin: period3_08_tasmin
-										},
-										{
-											std_month: 9,
-											env_climate_pr: 	period3_09_pr,
-											env_climate_tas: 	period3_09_tas,
-											env_climate_tasmax: period3_09_tasmax,
-											env_climate_tasmin: period3_09_tasmin
-										},
-										{
-											std_month: 10,
-											env_climate_pr: 	period3_10_pr,
-											env_climate_tas: 	period3_10_tas,
-											env_climate_tasmax: period3_10_tasmax,
-											env_climate_tasmin: period3_10_tasmin
-										},
-										{
-											std_month: 11,
-											env_climate_pr: 	period3_11_pr,
-											env_climate_tas: 	period3_11_tas,
-											env_climate_tasmax: period3_11_tasmax,
-											env_climate_tasmin: period3_11_tasmin
-										},
-										{
-											std_month: 12,
-											env_climate_pr: 	period3_12_pr,
-											env_climate_tas: 	period3_12_tas,
-											env_climate_tasmax: period3_12_tasmax,
-											env_climate_tasmin: period3_12_tasmin
-										}
-									]
-								}
-							}
-						},
-						\`2071-2100\`: {
-							\`MPI-ESM1-2-HR\`: {
-								ssp370: {
-									env_climate_bio01: period4_bio01,
-									env_climate_bio02: period4_bio02,
-									env_climate_bio03: period4_bio03,
-									env_climate_bio04: period4_bio04,
-									env_climate_bio05: period4_bio05,
-									env_climate_bio06: period4_bio06,
-									env_climate_bio07: period4_bio07,
-									env_climate_bio08: period4_bio08,
-									env_climate_bio09: period4_bio09,
-									env_climate_bio10: period4_bio10,
-									env_climate_bio11: period4_bio11,
-									env_climate_bio12: period4_bio12,
-									env_climate_bio13: period4_bio13,
-									env_climate_bio14: period4_bio14,
-									env_climate_bio15: period4_bio15,
-									env_climate_bio16: period4_bio16,
-									env_climate_bio17: period4_bio17,
-									env_climate_bio18: period4_bio18,
-									env_climate_bio19: period4_bio19,
-									env_climate_gdd0: period4_gdd0,
-									env_climate_gdd10: period4_gdd10,
-									env_climate_gdd5: period4_gdd5,
-									env_climate_gsl: period4_gsl,
-									env_climate_gsp: period4_gsp,
-									env_climate_gst: period4_gst,
-									env_climate_ngd0: period4_ngd0,
-									env_climate_ngd10: period4_ngd10,
-									env_climate_ngd5: period4_ngd5,
-									env_climate_npp: period4_npp,
-									env_climate_scd: period4_scd,
-									std_date_span_month: [
-										{
-											std_month: 1,
-											env_climate_pr: 	period4_01_pr,
-											env_climate_tas: 	period4_01_tas,
-											env_climate_tasmax: period4_01_tasmax,
-											env_climate_tasmin: period4_01_tasmin
-										},
-										{
-											std_month: 2,
-											env_climate_pr: 	period4_02_pr,
-											env_climate_tas: 	period4_02_tas,
-											env_climate_tasmax: period4_02_tasmax,
-											env_climate_tasmin: period4_02_tasmin
-										},
-										{
-											std_month: 3,
-											env_climate_pr: 	period4_03_pr,
-											env_climate_tas: 	period4_03_tas,
-											env_climate_tasmax: period4_03_tasmax,
-											env_climate_tasmin: period4_03_tasmin
-										},
-										{
-											std_month: 4,
-											env_climate_pr: 	period4_04_pr,
-											env_climate_tas: 	period4_04_tas,
-											env_climate_tasmax: period4_04_tasmax,
-											env_climate_tasmin: period4_04_tasmin
-										},
-										{
-											std_month: 5,
-											env_climate_pr: 	period4_05_pr,
-											env_climate_tas: 	period4_05_tas,
-											env_climate_tasmax: period4_05_tasmax,
-											env_climate_tasmin: period4_05_tasmin
-										},
-										{
-											std_month: 6,
-											env_climate_pr: 	period4_06_pr,
-											env_climate_tas: 	period4_06_tas,
-											env_climate_tasmax: period4_06_tasmax,
-											env_climate_tasmin: period4_06_tasmin
-										},
-										{
-											std_month: 7,
-											env_climate_pr: 	period4_07_pr,
-											env_climate_tas: 	period4_07_tas,
-											env_climate_tasmax: period4_07_tasmax,
-											env_climate_tasmin: period4_07_tasmin
-										},
-										{
-											std_month: 8,
-											env_climate_pr: 	period4_08_pr,
-											env_climate_tas: 	period4_08_tas,
-											env_climate_tasmax: period4_08_tasmax,
-											env_climate_tasmin: period4_08_tasmin
-										},
-										{
-											std_month: 9,
-											env_climate_pr: 	period4_09_pr,
-											env_climate_tas: 	period4_09_tas,
-											env_climate_tasmax: period4_09_tasmax,
-											env_climate_tasmin: period4_09_tasmin
-										},
-										{
-											std_month: 10,
-											env_climate_pr: 	period4_10_pr,
-											env_climate_tas: 	period4_10_tas,
-											env_climate_tasmax: period4_10_tasmax,
-											env_climate_tasmin: period4_10_tasmin
-										},
-										{
-											std_month: 11,
-											env_climate_pr: 	period4_11_pr,
-											env_climate_tas: 	period4_11_tas,
-											env_climate_tasmax: period4_11_tasmax,
-											env_climate_tasmin: period4_11_tasmin
-										},
-										{
-											std_month: 12,
-											env_climate_pr: 	period4_12_pr,
-											env_climate_tas: 	period4_12_tas,
-											env_climate_tasmax: period4_12_tasmax,
-											env_climate_tasmin: period4_12_tasmin
-										}
-									]
-								}
-							}
-						}
-					}
-				}
-			`
-			break
-
-		case 'VAR':
-			query = aql`
-				LET target = ${theGeometry}
-				FOR doc IN ${theCollectionMap}
-					FOR dat IN ${theCollection}
-						FILTER dat._key == doc._key
-						LET dist = GEO_DISTANCE(target, doc.geometry)
-						FILTER dist >= ${theMin}
-						FILTER dist <= ${theMax}
-						COLLECT AGGREGATE count = COUNT(),
-									  distance = VARIANCE(dist),
-									  period1_ai = VARIANCE(dat.properties.\`1981-2010\`.env_climate_ai),
-									  period1_bio01 = VARIANCE(dat.properties.\`1981-2010\`.env_climate_bio01),
-									  period1_bio02 = VARIANCE(dat.properties.\`1981-2010\`.env_climate_bio02),
-									  period1_bio03 = VARIANCE(dat.properties.\`1981-2010\`.env_climate_bio03),
-									  period1_bio04 = VARIANCE(dat.properties.\`1981-2010\`.env_climate_bio04),
-									  period1_bio05 = VARIANCE(dat.properties.\`1981-2010\`.env_climate_bio05),
-									  period1_bio06 = VARIANCE(dat.properties.\`1981-2010\`.env_climate_bio06),
-									  period1_bio07 = VARIANCE(dat.properties.\`1981-2010\`.env_climate_bio07),
-									  period1_bio08 = VARIANCE(dat.properties.\`1981-2010\`.env_climate_bio08),
-									  period1_bio09 = VARIANCE(dat.properties.\`1981-2010\`.env_climate_bio09),
-									  period1_bio10 = VARIANCE(dat.properties.\`1981-2010\`.env_climate_bio10),
-									  period1_bio11 = VARIANCE(dat.properties.\`1981-2010\`.env_climate_bio11),
-									  period1_bio12 = VARIANCE(dat.properties.\`1981-2010\`.env_climate_bio12),
-									  period1_bio13 = VARIANCE(dat.properties.\`1981-2010\`.env_climate_bio13),
-									  period1_bio14 = VARIANCE(dat.properties.\`1981-2010\`.env_climate_bio14),
-									  period1_bio15 = VARIANCE(dat.properties.\`1981-2010\`.env_climate_bio15),
-									  period1_bio16 = VARIANCE(dat.properties.\`1981-2010\`.env_climate_bio16),
-									  period1_bio17 = VARIANCE(dat.properties.\`1981-2010\`.env_climate_bio17),
-									  period1_bio18 = VARIANCE(dat.properties.\`1981-2010\`.env_climate_bio18),
-									  period1_bio19 = VARIANCE(dat.properties.\`1981-2010\`.env_climate_bio19),
-									  period1_clt_max = VARIANCE(dat.properties.\`1981-2010\`.env_climate_clt_max),
-									  period1_clt_mean = VARIANCE(dat.properties.\`1981-2010\`.env_climate_clt_mean),
-									  period1_clt_min = VARIANCE(dat.properties.\`1981-2010\`.env_climate_clt_min),
-									  period1_clt_range = VARIANCE(dat.properties.\`1981-2010\`.env_climate_clt_range),
-									  period1_cmi_max = VARIANCE(dat.properties.\`1981-2010\`.env_climate_cmi_max),
-									  period1_cmi_mean = VARIANCE(dat.properties.\`1981-2010\`.env_climate_cmi_mean),
-									  period1_cmi_min = VARIANCE(dat.properties.\`1981-2010\`.env_climate_cmi_min),
-									  period1_cmi_range = VARIANCE(dat.properties.\`1981-2010\`.env_climate_cmi_range),
-									  period1_fcf =  VARIANCE(dat.properties.\`1981-2010\`.env_climate_fcf),
-									  period1_fgd =  VARIANCE(dat.properties.\`1981-2010\`.env_climate_fgd),
-									  period1_gdd0 =  VARIANCE(dat.properties.\`1981-2010\`.env_climate_gdd0),
-									  period1_gdd10 = VARIANCE(dat.properties.\`1981-2010\`.env_climate_gdd10),
-									  period1_gdd5 = VARIANCE(dat.properties.\`1981-2010\`.env_climate_gdd5),
-									  period1_gddlgd0 = VARIANCE(dat.properties.\`1981-2010\`.env_climate_gddlgd0),
-									  period1_gddlgd10 = VARIANCE(dat.properties.\`1981-2010\`.env_climate_gddlgd10),
-									  period1_gddlgd5 = VARIANCE(dat.properties.\`1981-2010\`.env_climate_gddlgd5),
-									  period1_gdgfgd0 = VARIANCE(dat.properties.\`1981-2010\`.env_climate_gdgfgd0),
-									  period1_gdgfgd10 = VARIANCE(dat.properties.\`1981-2010\`.env_climate_gdgfgd10),
-									  period1_gdgfgd5 = VARIANCE(dat.properties.\`1981-2010\`.env_climate_gdgfgd5),
-									  period1_gsl = VARIANCE(dat.properties.\`1981-2010\`.env_climate_gsl),
-									  period1_gsp = VARIANCE(dat.properties.\`1981-2010\`.env_climate_gsp),
-									  period1_gst = VARIANCE(dat.properties.\`1981-2010\`.env_climate_gst),
-									  period1_hurs_max = VARIANCE(dat.properties.\`1981-2010\`.env_climate_hurs_max),
-									  period1_hurs_mean = VARIANCE(dat.properties.\`1981-2010\`.env_climate_hurs_mean),
-									  period1_hurs_min = VARIANCE(dat.properties.\`1981-2010\`.env_climate_hurs_min),
-									  period1_hurs_range = VARIANCE(dat.properties.\`1981-2010\`.env_climate_hurs_range),
-									  period1_ngd0 = VARIANCE(dat.properties.\`1981-2010\`.env_climate_ngd0),
-									  period1_ngd10 = VARIANCE(dat.properties.\`1981-2010\`.env_climate_ngd10),
-									  period1_ngd5 = VARIANCE(dat.properties.\`1981-2010\`.env_climate_ngd5),
-									  period1_npp = VARIANCE(dat.properties.\`1981-2010\`.env_climate_npp),
-									  period1_pet_penman_max = VARIANCE(dat.properties.\`1981-2010\`.env_climate_pet_penman_max),
-									  period1_pet_penman_mean = VARIANCE(dat.properties.\`1981-2010\`.env_climate_pet_penman_mean),
-									  period1_pet_penman_min = VARIANCE(dat.properties.\`1981-2010\`.env_climate_pet_penman_min),
-									  period1_pet_penman_range = VARIANCE(dat.properties.\`1981-2010\`.env_climate_pet_penman_range),
-									  period1_rsds_max = VARIANCE(dat.properties.\`1981-2010\`.env_climate_rsds_max),
-									  period1_rsds_mean = VARIANCE(dat.properties.\`1981-2010\`.env_climate_rsds_mean),
-									  period1_rsds_min = VARIANCE(dat.properties.\`1981-2010\`.env_climate_rsds_min),
-									  period1_rsds_range = VARIANCE(dat.properties.\`1981-2010\`.env_climate_rsds_range),
-									  period1_scd = VARIANCE(dat.properties.\`1981-2010\`.env_climate_scd),
-									  period1_sfcWind_max = VARIANCE(dat.properties.\`1981-2010\`.env_climate_sfcWind_max),
-									  period1_sfcWind_mean = VARIANCE(dat.properties.\`1981-2010\`.env_climate_sfcWind_mean),
-									  period1_sfcWind_min = VARIANCE(dat.properties.\`1981-2010\`.env_climate_sfcWind_min),
-									  period1_sfcWind_range = VARIANCE(dat.properties.\`1981-2010\`.env_climate_sfcWind_range),
-									  period1_swb = VARIANCE(dat.properties.\`1981-2010\`.env_climate_swb),
-									  period1_swe = VARIANCE(dat.properties.\`1981-2010\`.env_climate_swe),
-									  period1_vpd_max = VARIANCE(dat.properties.\`1981-2010\`.env_climate_vpd_max),
-									  period1_vpd_mean = VARIANCE(dat.properties.\`1981-2010\`.env_climate_vpd_mean),
-									  period1_vpd_min = VARIANCE(dat.properties.\`1981-2010\`.env_climate_vpd_min),
-									  period1_vpd_range = VARIANCE(dat.properties.\`1981-2010\`.env_climate_vpd_range),
-									  period1_01_pr = VARIANCE(dat.properties.\`1981-2010\`.std_date_span_month[0].env_climate_pr),
-									  period1_01_tas = VARIANCE(dat.properties.\`1981-2010\`.std_date_span_month[0].env_climate_tas),
-									  period1_01_tasmax = VARIANCE(dat.properties.\`1981-2010\`.std_date_span_month[0].env_climate_tasmax),
-									  period1_01_tasmin = VARIANCE(dat.properties.\`1981-2010\`.std_date_span_month[0].env_climate_tasmin),
-									  period1_02_pr = VARIANCE(dat.properties.\`1981-2010\`.std_date_span_month[1].env_climate_pr),
-									  period1_02_tas = VARIANCE(dat.properties.\`1981-2010\`.std_date_span_month[1].env_climate_tas),
-									  period1_02_tasmax = VARIANCE(dat.properties.\`1981-2010\`.std_date_span_month[1].env_climate_tasmax),
-									  period1_02_tasmin = VARIANCE(dat.properties.\`1981-2010\`.std_date_span_month[1].env_climate_tasmin),
-									  period1_03_pr = VARIANCE(dat.properties.\`1981-2010\`.std_date_span_month[2].env_climate_pr),
-									  period1_03_tas = VARIANCE(dat.properties.\`1981-2010\`.std_date_span_month[2].env_climate_tas),
-									  period1_03_tasmax = VARIANCE(dat.properties.\`1981-2010\`.std_date_span_month[2].env_climate_tasmax),
-									  period1_03_tasmin = VARIANCE(dat.properties.\`1981-2010\`.std_date_span_month[2].env_climate_tasmin),
-									  period1_04_pr = VARIANCE(dat.properties.\`1981-2010\`.std_date_span_month[3].env_climate_pr),
-									  period1_04_tas = VARIANCE(dat.properties.\`1981-2010\`.std_date_span_month[3].env_climate_tas),
-									  period1_04_tasmax = VARIANCE(dat.properties.\`1981-2010\`.std_date_span_month[3].env_climate_tasmax),
-									  period1_04_tasmin = VARIANCE(dat.properties.\`1981-2010\`.std_date_span_month[3].env_climate_tasmin),
-									  period1_05_pr = VARIANCE(dat.properties.\`1981-2010\`.std_date_span_month[4].env_climate_pr),
-									  period1_05_tas = VARIANCE(dat.properties.\`1981-2010\`.std_date_span_month[4].env_climate_tas),
-									  period1_05_tasmax = VARIANCE(dat.properties.\`1981-2010\`.std_date_span_month[4].env_climate_tasmax),
-									  period1_05_tasmin = VARIANCE(dat.properties.\`1981-2010\`.std_date_span_month[4].env_climate_tasmin),
-									  period1_06_pr = VARIANCE(dat.properties.\`1981-2010\`.std_date_span_month[5].env_climate_pr),
-									  period1_06_tas = VARIANCE(dat.properties.\`1981-2010\`.std_date_span_month[5].env_climate_tas),
-									  period1_06_tasmax = VARIANCE(dat.properties.\`1981-2010\`.std_date_span_month[5].env_climate_tasmax),
-									  period1_06_tasmin = VARIANCE(dat.properties.\`1981-2010\`.std_date_span_month[5].env_climate_tasmin),
-									  period1_07_pr = VARIANCE(dat.properties.\`1981-2010\`.std_date_span_month[6].env_climate_pr),
-									  period1_07_tas = VARIANCE(dat.properties.\`1981-2010\`.std_date_span_month[6].env_climate_tas),
-									  period1_07_tasmax = VARIANCE(dat.properties.\`1981-2010\`.std_date_span_month[6].env_climate_tasmax),
-									  period1_07_tasmin = VARIANCE(dat.properties.\`1981-2010\`.std_date_span_month[6].env_climate_tasmin),
-									  period1_08_pr = VARIANCE(dat.properties.\`1981-2010\`.std_date_span_month[7].env_climate_pr),
-									  period1_08_tas = VARIANCE(dat.properties.\`1981-2010\`.std_date_span_month[7].env_climate_tas),
-									  period1_08_tasmax = VARIANCE(dat.properties.\`1981-2010\`.std_date_span_month[7].env_climate_tasmax),
-									  period1_08_tasmin = VARIANCE(dat.properties.\`1981-2010\`.std_date_span_month[7].env_climate_tasmin),
-									  period1_09_pr = VARIANCE(dat.properties.\`1981-2010\`.std_date_span_month[8].env_climate_pr),
-									  period1_09_tas = VARIANCE(dat.properties.\`1981-2010\`.std_date_span_month[8].env_climate_tas),
-									  period1_09_tasmax = VARIANCE(dat.properties.\`1981-2010\`.std_date_span_month[8].env_climate_tasmax),
-									  period1_09_tasmin = VARIANCE(dat.properties.\`1981-2010\`.std_date_span_month[8].env_climate_tasmin),
-									  period1_10_pr = VARIANCE(dat.properties.\`1981-2010\`.std_date_span_month[9].env_climate_pr),
-									  period1_10_tas = VARIANCE(dat.properties.\`1981-2010\`.std_date_span_month[9].env_climate_tas),
-									  period1_10_tasmax = VARIANCE(dat.properties.\`1981-2010\`.std_date_span_month[9].env_climate_tasmax),
-									  period1_10_tasmin = VARIANCE(dat.properties.\`1981-2010\`.std_date_span_month[9].env_climate_tasmin),
-									  period1_11_pr = VARIANCE(dat.properties.\`1981-2010\`.std_date_span_month[10].env_climate_pr),
-									  period1_11_tas = VARIANCE(dat.properties.\`1981-2010\`.std_date_span_month[10].env_climate_tas),
-									  period1_11_tasmax = VARIANCE(dat.properties.\`1981-2010\`.std_date_span_month[10].env_climate_tasmax),
-									  period1_11_tasmin = VARIANCE(dat.properties.\`1981-2010\`.std_date_span_month[10].env_climate_tasmin),
-									  period1_12_pr = VARIANCE(dat.properties.\`1981-2010\`.std_date_span_month[11].env_climate_pr),
-									  period1_12_tas = VARIANCE(dat.properties.\`1981-2010\`.std_date_span_month[11].env_climate_tas),
-									  period1_12_tasmax = VARIANCE(dat.properties.\`1981-2010\`.std_date_span_month[11].env_climate_tasmax),
-									  period1_12_tasmin = VARIANCE(dat.properties.\`1981-2010\`.std_date_span_month[11].env_climate_tasmin),
-									  period2_bio01 = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio01),
-									  period2_bio02 = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio02),
-									  period2_bio03 = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio03),
-									  period2_bio04 = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio04),
-									  period2_bio05 = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio05),
-									  period2_bio06 = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio06),
-									  period2_bio07 = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio07),
-									  period2_bio08 = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio08),
-									  period2_bio09 = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio09),
-									  period2_bio10 = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio10),
-									  period2_bio11 = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio11),
-									  period2_bio12 = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio12),
-									  period2_bio13 = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio13),
-									  period2_bio14 = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio14),
-									  period2_bio15 = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio15),
-									  period2_bio16 = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio16),
-									  period2_bio17 = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio17),
-									  period2_bio18 = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio18),
-									  period2_bio19 = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio19),
-									  period2_gdd0 = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gdd0),
-									  period2_gdd10 = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gdd10),
-									  period2_gdd5 = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gdd5),
-									  period2_gsl = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gsl),
-									  period2_gsp = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gsp),
-									  period2_gst = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gst),
-									  period2_ngd0 = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_ngd0),
-									  period2_ngd10 = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_ngd10),
-									  period2_ngd5 = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_ngd5),
-									  period2_npp = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_npp),
-									  period2_scd = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_scd),
-									  period2_01_pr = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_pr),
-									  period2_01_tas = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_tas),
-									  period2_01_tasmax = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_tasmax),
-									  period2_01_tasmin = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_tasmin),
-									  period2_02_pr = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_pr),
-									  period2_02_tas = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_tas),
-									  period2_02_tasmax = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_tasmax),
-									  period2_02_tasmin = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_tasmin),
-									  period2_03_pr = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_pr),
-									  period2_03_tas = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_tas),
-									  period2_03_tasmax = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_tasmax),
-									  period2_03_tasmin = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_tasmin),
-									  period2_04_pr = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_pr),
-									  period2_04_tas = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_tas),
-									  period2_04_tasmax = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_tasmax),
-									  period2_04_tasmin = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_tasmin),
-									  period2_05_pr = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_pr),
-									  period2_05_tas = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_tas),
-									  period2_05_tasmax = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_tasmax),
-									  period2_05_tasmin = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_tasmin),
-									  period2_06_pr = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_pr),
-									  period2_06_tas = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_tas),
-									  period2_06_tasmax = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_tasmax),
-									  period2_06_tasmin = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_tasmin),
-									  period2_07_pr = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_pr),
-									  period2_07_tas = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_tas),
-									  period2_07_tasmax = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_tasmax),
-									  period2_07_tasmin = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_tasmin),
-									  period2_08_pr = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_pr),
-									  period2_08_tas = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_tas),
-									  period2_08_tasmax = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_tasmax),
-									  period2_08_tasmin = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_tasmin),
-									  period2_09_pr = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_pr),
-									  period2_09_tas = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_tas),
-									  period2_09_tasmax = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_tasmax),
-									  period2_09_tasmin = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_tasmin),
-									  period2_10_pr = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_pr),
-									  period2_10_tas = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_tas),
-									  period2_10_tasmax = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_tasmax),
-									  period2_10_tasmin = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_tasmin),
-									  period2_11_pr = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_pr),
-									  period2_11_tas = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_tas),
-									  period2_11_tasmax = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_tasmax),
-									  period2_11_tasmin = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_tasmin),
-									  period2_12_pr = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_pr),
-									  period2_12_tas = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_tas),
-									  period2_12_tasmax = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_tasmax),
-									  period2_12_tasmin = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_tasmin),
-									  period3_bio01 = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio01),
-									  period3_bio02 = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio02),
-									  period3_bio03 = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio03),
-									  period3_bio04 = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio04),
-									  period3_bio05 = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio05),
-									  period3_bio06 = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio06),
-									  period3_bio07 = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio07),
-									  period3_bio08 = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio08),
-									  period3_bio09 = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio09),
-									  period3_bio10 = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio10),
-									  period3_bio11 = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio11),
-									  period3_bio12 = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio12),
-									  period3_bio13 = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio13),
-									  period3_bio14 = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio14),
-									  period3_bio15 = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio15),
-									  period3_bio16 = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio16),
-									  period3_bio17 = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio17),
-									  period3_bio18 = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio18),
-									  period3_bio19 = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio19),
-									  period3_gdd0 = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gdd0),
-									  period3_gdd10 = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gdd10),
-									  period3_gdd5 = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gdd5),
-									  period3_gsl = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gsl),
-									  period3_gsp = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gsp),
-									  period3_gst = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gst),
-									  period3_ngd0 = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_ngd0),
-									  period3_ngd10 = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_ngd10),
-									  period3_ngd5 = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_ngd5),
-									  period3_npp = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_npp),
-									  period3_scd = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_scd),
-									  period3_01_pr = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_pr),
-									  period3_01_tas = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_tas),
-									  period3_01_tasmax = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_tasmax),
-									  period3_01_tasmin = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_tasmin),
-									  period3_02_pr = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_pr),
-									  period3_02_tas = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_tas),
-									  period3_02_tasmax = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_tasmax),
-									  period3_02_tasmin = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_tasmin),
-									  period3_03_pr = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_pr),
-									  period3_03_tas = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_tas),
-									  period3_03_tasmax = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_tasmax),
-									  period3_03_tasmin = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_tasmin),
-									  period3_04_pr = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_pr),
-									  period3_04_tas = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_tas),
-									  period3_04_tasmax = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_tasmax),
-									  period3_04_tasmin = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_tasmin),
-									  period3_05_pr = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_pr),
-									  period3_05_tas = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_tas),
-									  period3_05_tasmax = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_tasmax),
-									  period3_05_tasmin = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_tasmin),
-									  period3_06_pr = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_pr),
-									  period3_06_tas = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_tas),
-									  period3_06_tasmax = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_tasmax),
-									  period3_06_tasmin = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_tasmin),
-									  period3_07_pr = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_pr),
-									  period3_07_tas = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_tas),
-									  period3_07_tasmax = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_tasmax),
-									  period3_07_tasmin = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_tasmin),
-									  period3_08_pr = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_pr),
-									  period3_08_tas = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_tas),
-									  period3_08_tasmax = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_tasmax),
-									  period3_08_tasmin = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_tasmin),
-									  period3_09_pr = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_pr),
-									  period3_09_tas = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_tas),
-									  period3_09_tasmax = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_tasmax),
-									  period3_09_tasmin = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_tasmin),
-									  period3_10_pr = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_pr),
-									  period3_10_tas = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_tas),
-									  period3_10_tasmax = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_tasmax),
-									  period3_10_tasmin = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_tasmin),
-									  period3_11_pr = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_pr),
-									  period3_11_tas = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_tas),
-									  period3_11_tasmax = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_tasmax),
-									  period3_11_tasmin = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_tasmin),
-									  period3_12_pr = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_pr),
-									  period3_12_tas = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_tas),
-									  period3_12_tasmax = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_tasmax),
-									  period3_12_tasmin = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_tasmin),
-									  period4_bio01 = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio01),
-									  period4_bio02 = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio02),
-									  period4_bio03 = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio03),
-									  period4_bio04 = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio04),
-									  period4_bio05 = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio05),
-									  period4_bio06 = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio06),
-									  period4_bio07 = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio07),
-									  period4_bio08 = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio08),
-									  period4_bio09 = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio09),
-									  period4_bio10 = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio10),
-									  period4_bio11 = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio11),
-									  period4_bio12 = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio12),
-									  period4_bio13 = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio13),
-									  period4_bio14 = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio14),
-									  period4_bio15 = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio15),
-									  period4_bio16 = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio16),
-									  period4_bio17 = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio17),
-									  period4_bio18 = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio18),
-									  period4_bio19 = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio19),
-									  period4_gdd0 = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gdd0),
-									  period4_gdd10 = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gdd10),
-									  period4_gdd5 = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gdd5),
-									  period4_gsl = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gsl),
-									  period4_gsp = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gsp),
-									  period4_gst = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gst),
-									  period4_ngd0 = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_ngd0),
-									  period4_ngd10 = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_ngd10),
-									  period4_ngd5 = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_ngd5),
-									  period4_npp = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_npp),
-									  period4_scd = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_scd),
-									  period4_01_pr = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_pr),
-									  period4_01_tas = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_tas),
-									  period4_01_tasmax = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_tasmax),
-									  period4_01_tasmin = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_tasmin),
-									  period4_02_pr = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_pr),
-									  period4_02_tas = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_tas),
-									  period4_02_tasmax = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_tasmax),
-									  period4_02_tasmin = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_tasmin),
-									  period4_03_pr = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_pr),
-									  period4_03_tas = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_tas),
-									  period4_03_tasmax = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_tasmax),
-									  period4_03_tasmin = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_tasmin),
-									  period4_04_pr = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_pr),
-									  period4_04_tas = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_tas),
-									  period4_04_tasmax = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_tasmax),
-									  period4_04_tasmin = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_tasmin),
-									  period4_05_pr = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_pr),
-									  period4_05_tas = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_tas),
-									  period4_05_tasmax = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_tasmax),
-									  period4_05_tasmin = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_tasmin),
-									  period4_06_pr = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_pr),
-									  period4_06_tas = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_tas),
-									  period4_06_tasmax = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_tasmax),
-									  period4_06_tasmin = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_tasmin),
-									  period4_07_pr = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_pr),
-									  period4_07_tas = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_tas),
-									  period4_07_tasmax = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_tasmax),
-									  period4_07_tasmin = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_tasmin),
-									  period4_08_pr = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_pr),
-									  period4_08_tas = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_tas),
-									  period4_08_tasmax = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_tasmax),
-									  period4_08_tasmin = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_tasmin),
-									  period4_09_pr = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_pr),
-									  period4_09_tas = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_tas),
-									  period4_09_tasmax = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_tasmax),
-									  period4_09_tasmin = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_tasmin),
-									  period4_10_pr = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_pr),
-									  period4_10_tas = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_tas),
-									  period4_10_tasmax = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_tasmax),
-									  period4_10_tasmin = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_tasmin),
-									  period4_11_pr = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_pr),
-									  period4_11_tas = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_tas),
-									  period4_11_tasmax = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_tasmax),
-									  period4_11_tasmin = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_tasmin),
-									  period4_12_pr = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_pr),
-									  period4_12_tas = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_tas),
-									  period4_12_tasmax = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_tasmax),
-									  period4_12_tasmin = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_tasmin)
-				RETURN {
-					count: count,
-					distance: distance,
-					properties: {
-						\`1981-2010\`: {
-							env_climate_ai: period1_ai,
-							env_climate_bio01: period1_bio01,
-							env_climate_bio02: period1_bio02,
-							env_climate_bio03: period1_bio03,
-							env_climate_bio04: period1_bio04,
-							env_climate_bio05: period1_bio05,
-							env_climate_bio06: period1_bio06,
-							env_climate_bio07: period1_bio07,
-							env_climate_bio08: period1_bio08,
-							env_climate_bio09: period1_bio09,
-							env_climate_bio10: period1_bio10,
-							env_climate_bio11: period1_bio11,
-							env_climate_bio12: period1_bio12,
-							env_climate_bio13: period1_bio13,
-							env_climate_bio14: period1_bio14,
-							env_climate_bio15: period1_bio15,
-							env_climate_bio16: period1_bio16,
-							env_climate_bio17: period1_bio17,
-							env_climate_bio18: period1_bio18,
-							env_climate_bio19: period1_bio19,
-							env_climate_clt_max: period1_clt_max,
-							env_climate_clt_mean: period1_clt_mean,
-							env_climate_clt_min: period1_clt_min,
-							env_climate_clt_range: period1_clt_range,
-							env_climate_cmi_max: period1_cmi_max,
-							env_climate_cmi_mean: period1_cmi_mean,
-							env_climate_cmi_min: period1_cmi_min,
-							env_climate_cmi_range: period1_cmi_range,
-							env_climate_fcf: period1_fcf,
-							env_climate_fgd: period1_fgd,
-							env_climate_gdd0: period1_gdd0,
-							env_climate_gdd10: period1_gdd10,
-							env_climate_gdd5: period1_gdd5,
-							env_climate_gddlgd0: period1_gddlgd0,
-							env_climate_gddlgd10: period1_gddlgd10,
-							env_climate_gddlgd5: period1_gddlgd5,
-							env_climate_gdgfgd0: period1_gdgfgd0,
-							env_climate_gdgfgd10: period1_gdgfgd10,
-							env_climate_gdgfgd5: period1_gdgfgd5,
-							env_climate_gsl: period1_gsl,
-							env_climate_gsp: period1_gsp,
-							env_climate_gst: period1_gst,
-							env_climate_hurs_max: period1_hurs_max,
-							env_climate_hurs_mean: period1_hurs_mean,
-							env_climate_hurs_min: period1_hurs_min,
-							env_climate_hurs_range: period1_hurs_range,
-							env_climate_ngd0: period1_ngd0,
-							env_climate_ngd10: period1_ngd10,
-							env_climate_ngd5: period1_ngd5,
-							env_climate_npp: period1_npp,
-							env_climate_pet_penman_max: period1_pet_penman_max,
-							env_climate_pet_penman_mean: period1_pet_penman_mean,
-							env_climate_pet_penman_min: period1_pet_penman_min,
-							env_climate_pet_penman_range: period1_pet_penman_range,
-							env_climate_rsds_max: period1_rsds_max,
-							env_climate_rsds_mean: period1_rsds_mean,
-							env_climate_rsds_min: period1_rsds_min,
-							env_climate_rsds_range: period1_rsds_range,
-							env_climate_scd: period1_scd,
-							env_climate_sfcWind_max: period1_sfcWind_max,
-							env_climate_sfcWind_mean: period1_sfcWind_mean,
-							env_climate_sfcWind_min: period1_sfcWind_min,
-							env_climate_sfcWind_range: period1_sfcWind_range,
-							env_climate_swb: period1_swb,
-							env_climate_swe: period1_swe,
-							env_climate_vpd_max: period1_vpd_max,
-							env_climate_vpd_mean: period1_vpd_mean,
-							env_climate_vpd_min: period1_vpd_min,
-							env_climate_vpd_range: period1_vpd_range,
-							std_date_span_month: [
-								{
-									std_month: 1,
-									env_climate_pr: 	period1_01_pr,
-									env_climate_tas: 	period1_01_tas,
-									env_climate_tasmax: period1_01_tasmax,
-									env_climate_tasmin: period1_01_tasmin
-								},
-								{
-									std_month: 2,
-									env_climate_pr: 	period1_02_pr,
-									env_climate_tas: 	period1_02_tas,
-									env_climate_tasmax: period1_02_tasmax,
-									env_climate_tasmin: period1_02_tasmin
-								},
-								{
-									std_month: 3,
-									env_climate_pr: 	period1_03_pr,
-									env_climate_tas: 	period1_03_tas,
-									env_climate_tasmax: period1_03_tasmax,
-									env_climate_tasmin: period1_03_tasmin
-								},
-								{
-									std_month: 4,
-									env_climate_pr: 	period1_04_pr,
-									env_climate_tas: 	period1_04_tas,
-									env_climate_tasmax: period1_04_tasmax,
-									env_climate_tasmin: period1_04_tasmin
-								},
-								{
-									std_month: 5,
-									env_climate_pr: 	period1_05_pr,
-									env_climate_tas: 	period1_05_tas,
-									env_climate_tasmax: period1_05_tasmax,
-									env_climate_tasmin: period1_05_tasmin
-								},
-								{
-									std_month: 6,
-									env_climate_pr: 	period1_06_pr,
-									env_climate_tas: 	period1_06_tas,
-									env_climate_tasmax: period1_06_tasmax,
-									env_climate_tasmin: period1_06_tasmin
-								},
-								{
-									std_month: 7,
-									env_climate_pr: 	period1_07_pr,
-									env_climate_tas: 	period1_07_tas,
-									env_climate_tasmax: period1_07_tasmax,
-									env_climate_tasmin: period1_07_tasmin
-								},
-								{
-									std_month: 8,
-									env_climate_pr: 	period1_08_pr,
-									env_climate_tas: 	period1_08_tas,
-									env_climate_tasmax: period1_08_tasmax,
-									env_climate_tasmin: period1_08_tasmin
-								},
-								{
-									std_month: 9,
-									env_climate_pr: 	period1_09_pr,
-									env_climate_tas: 	period1_09_tas,
-									env_climate_tasmax: period1_09_tasmax,
-									env_climate_tasmin: period1_09_tasmin
-								},
-								{
-									std_month: 10,
-									env_climate_pr: 	period1_10_pr,
-									env_climate_tas: 	period1_10_tas,
-									env_climate_tasmax: period1_10_tasmax,
-									env_climate_tasmin: period1_10_tasmin
-								},
-								{
-									std_month: 11,
-									env_climate_pr: 	period1_11_pr,
-									env_climate_tas: 	period1_11_tas,
-									env_climate_tasmax: period1_11_tasmax,
-									env_climate_tasmin: period1_11_tasmin
-								},
-								{
-									std_month: 12,
-									env_climate_pr: 	period1_12_pr,
-									env_climate_tas: 	period1_12_tas,
-									env_climate_tasmax: period1_12_tasmax,
-									env_climate_tasmin: period1_12_tasmin
-								}
-							]
-						},
-						\`2011-2040\`: {
-							\`MPI-ESM1-2-HR\`: {
-								ssp370: {
-									env_climate_bio01: period2_bio01,
-									env_climate_bio02: period2_bio02,
-									env_climate_bio03: period2_bio03,
-									env_climate_bio04: period2_bio04,
-									env_climate_bio05: period2_bio05,
-									env_climate_bio06: period2_bio06,
-									env_climate_bio07: period2_bio07,
-									env_climate_bio08: period2_bio08,
-									env_climate_bio09: period2_bio09,
-									env_climate_bio10: period2_bio10,
-									env_climate_bio11: period2_bio11,
-									env_climate_bio12: period2_bio12,
-									env_climate_bio13: period2_bio13,
-									env_climate_bio14: period2_bio14,
-									env_climate_bio15: period2_bio15,
-									env_climate_bio16: period2_bio16,
-									env_climate_bio17: period2_bio17,
-									env_climate_bio18: period2_bio18,
-									env_climate_bio19: period2_bio19,
-									env_climate_gdd0: period2_gdd0,
-									env_climate_gdd10: period2_gdd10,
-									env_climate_gdd5: period2_gdd5,
-									env_climate_gsl: period2_gsl,
-									env_climate_gsp: period2_gsp,
-									env_climate_gst: period2_gst,
-									env_climate_ngd0: period2_ngd0,
-									env_climate_ngd10: period2_ngd10,
-									env_climate_ngd5: period2_ngd5,
-									env_climate_npp: period2_npp,
-									env_climate_scd: period2_scd,
-									std_date_span_month: [
-										{
-											std_month: 1,
-											env_climate_pr: 	period2_01_pr,
-											env_climate_tas: 	period2_01_tas,
-											env_climate_tasmax: period2_01_tasmax,
-											env_climate_tasmin: period2_01_tasmin
-										},
-										{
-											std_month: 2,
-											env_climate_pr: 	period2_02_pr,
-											env_climate_tas: 	period2_02_tas,
-											env_climate_tasmax: period2_02_tasmax,
-											env_climate_tasmin: period2_02_tasmin
-										},
-										{
-											std_month: 3,
-											env_climate_pr: 	period2_03_pr,
-											env_climate_tas: 	period2_03_tas,
-											env_climate_tasmax: period2_03_tasmax,
-											env_climate_tasmin: period2_03_tasmin
-										},
-										{
-											std_month: 4,
-											env_climate_pr: 	period2_04_pr,
-											env_climate_tas: 	period2_04_tas,
-											env_climate_tasmax: period2_04_tasmax,
-											env_climate_tasmin: period2_04_tasmin
-										},
-										{
-											std_month: 5,
-											env_climate_pr: 	period2_05_pr,
-											env_climate_tas: 	period2_05_tas,
-											env_climate_tasmax: period2_05_tasmax,
-											env_climate_tasmin: period2_05_tasmin
-										},
-										{
-											std_month: 6,
-											env_climate_pr: 	period2_06_pr,
-											env_climate_tas: 	period2_06_tas,
-											env_climate_tasmax: period2_06_tasmax,
-											env_climate_tasmin: period2_06_tasmin
-										},
-										{
-											std_month: 7,
-											env_climate_pr: 	period2_07_pr,
-											env_climate_tas: 	period2_07_tas,
-											env_climate_tasmax: period2_07_tasmax,
-											env_climate_tasmin: period2_07_tasmin
-										},
-										{
-											std_month: 8,
-											env_climate_pr: 	period2_08_pr,
-											env_climate_tas: 	period2_08_tas,
-											env_climate_tasmax: period2_08_tasmax,
-											env_climate_tasmin: period2_08_tasmin
-										},
-										{
-											std_month: 9,
-											env_climate_pr: 	period2_09_pr,
-											env_climate_tas: 	period2_09_tas,
-											env_climate_tasmax: period2_09_tasmax,
-											env_climate_tasmin: period2_09_tasmin
-										},
-										{
-											std_month: 10,
-											env_climate_pr: 	period2_10_pr,
-											env_climate_tas: 	period2_10_tas,
-											env_climate_tasmax: period2_10_tasmax,
-											env_climate_tasmin: period2_10_tasmin
-										},
-										{
-											std_month: 11,
-											env_climate_pr: 	period2_11_pr,
-											env_climate_tas: 	period2_11_tas,
-											env_climate_tasmax: period2_11_tasmax,
-											env_climate_tasmin: period2_11_tasmin
-										},
-										{
-											std_month: 12,
-											env_climate_pr: 	period2_12_pr,
-											env_climate_tas: 	period2_12_tas,
-											env_climate_tasmax: period2_12_tasmax,
-											env_climate_tasmin: period2_12_tasmin
-										}
-									]
-								}
-							}
-						},
-						\`2041-2070\`: {
-							\`MPI-ESM1-2-HR\`: {
-								ssp370: {
-									env_climate_bio01: period3_bio01,
-									env_climate_bio02: period3_bio02,
-									env_climate_bio03: period3_bio03,
-									env_climate_bio04: period3_bio04,
-									env_climate_bio05: period3_bio05,
-									env_climate_bio06: period3_bio06,
-									env_climate_bio07: period3_bio07,
-									env_climate_bio08: period3_bio08,
-									env_climate_bio09: period3_bio09,
-									env_climate_bio10: period3_bio10,
-									env_climate_bio11: period3_bio11,
-									env_climate_bio12: period3_bio12,
-									env_climate_bio13: period3_bio13,
-									env_climate_bio14: period3_bio14,
-									env_climate_bio15: period3_bio15,
-									env_climate_bio16: period3_bio16,
-									env_climate_bio17: period3_bio17,
-									env_climate_bio18: period3_bio18,
-									env_climate_bio19: period3_bio19,
-									env_climate_gdd0: period3_gdd0,
-									env_climate_gdd10: period3_gdd10,
-									env_climate_gdd5: period3_gdd5,
-									env_climate_gsl: period3_gsl,
-									env_climate_gsp: period3_gsp,
-									env_climate_gst: period3_gst,
-									env_climate_ngd0: period3_ngd0,
-									env_climate_ngd10: period3_ngd10,
-									env_climate_ngd5: period3_ngd5,
-									env_climate_npp: period3_npp,
-									env_climate_scd: period3_scd,
-									std_date_span_month: [
-										{
-											std_month: 1,
-											env_climate_pr: 	period3_01_pr,
-											env_climate_tas: 	period3_01_tas,
-											env_climate_tasmax: period3_01_tasmax,
-											env_climate_tasmin: period3_01_tasmin
-										},
-										{
-											std_month: 2,
-											env_climate_pr: 	period3_02_pr,
-											env_climate_tas: 	period3_02_tas,
-											env_climate_tasmax: period3_02_tasmax,
-											env_climate_tasmin: period3_02_tasmin
-										},
-										{
-											std_month: 3,
-											env_climate_pr: 	period3_03_pr,
-											env_climate_tas: 	period3_03_tas,
-											env_climate_tasmax: period3_03_tasmax,
-											env_climate_tasmin: period3_03_tasmin
-										},
-										{
-											std_month: 4,
-											env_climate_pr: 	period3_04_pr,
-											env_climate_tas: 	period3_04_tas,
-											env_climate_tasmax: period3_04_tasmax,
-											env_climate_tasmin: period3_04_tasmin
-										},
-										{
-											std_month: 5,
-											env_climate_pr: 	period3_05_pr,
-											env_climate_tas: 	period3_05_tas,
-											env_climate_tasmax: period3_05_tasmax,
-											env_climate_tasmin: period3_05_tasmin
-										},
-										{
-											std_month: 6,
-											env_climate_pr: 	period3_06_pr,
-											env_climate_tas: 	period3_06_tas,
-											env_climate_tasmax: period3_06_tasmax,
-											env_climate_tasmin: period3_06_tasmin
-										},
-										{
-											std_month: 7,
-											env_climate_pr: 	period3_07_pr,
-											env_climate_tas: 	period3_07_tas,
-											env_climate_tasmax: period3_07_tasmax,
-											env_climate_tasmin: period3_07_tasmin
-										},
-										{
-											std_month: 8,
-											env_climate_pr: 	period3_08_pr,
-											env_climate_tas: 	period3_08_tas,
-											env_climate_tasmax: period3_08_tasmax,
-											env_climate_tasmin: period3_08_tasmin
-										},
-										{
-											std_month: 9,
-											env_climate_pr: 	period3_09_pr,
-											env_climate_tas: 	period3_09_tas,
-											env_climate_tasmax: period3_09_tasmax,
-											env_climate_tasmin: period3_09_tasmin
-										},
-										{
-											std_month: 10,
-											env_climate_pr: 	period3_10_pr,
-											env_climate_tas: 	period3_10_tas,
-											env_climate_tasmax: period3_10_tasmax,
-											env_climate_tasmin: period3_10_tasmin
-										},
-										{
-											std_month: 11,
-											env_climate_pr: 	period3_11_pr,
-											env_climate_tas: 	period3_11_tas,
-											env_climate_tasmax: period3_11_tasmax,
-											env_climate_tasmin: period3_11_tasmin
-										},
-										{
-											std_month: 12,
-											env_climate_pr: 	period3_12_pr,
-											env_climate_tas: 	period3_12_tas,
-											env_climate_tasmax: period3_12_tasmax,
-											env_climate_tasmin: period3_12_tasmin
-										}
-									]
-								}
-							}
-						},
-						\`2071-2100\`: {
-							\`MPI-ESM1-2-HR\`: {
-								ssp370: {
-									env_climate_bio01: period4_bio01,
-									env_climate_bio02: period4_bio02,
-									env_climate_bio03: period4_bio03,
-									env_climate_bio04: period4_bio04,
-									env_climate_bio05: period4_bio05,
-									env_climate_bio06: period4_bio06,
-									env_climate_bio07: period4_bio07,
-									env_climate_bio08: period4_bio08,
-									env_climate_bio09: period4_bio09,
-									env_climate_bio10: period4_bio10,
-									env_climate_bio11: period4_bio11,
-									env_climate_bio12: period4_bio12,
-									env_climate_bio13: period4_bio13,
-									env_climate_bio14: period4_bio14,
-									env_climate_bio15: period4_bio15,
-									env_climate_bio16: period4_bio16,
-									env_climate_bio17: period4_bio17,
-									env_climate_bio18: period4_bio18,
-									env_climate_bio19: period4_bio19,
-									env_climate_gdd0: period4_gdd0,
-									env_climate_gdd10: period4_gdd10,
-									env_climate_gdd5: period4_gdd5,
-									env_climate_gsl: period4_gsl,
-									env_climate_gsp: period4_gsp,
-									env_climate_gst: period4_gst,
-									env_climate_ngd0: period4_ngd0,
-									env_climate_ngd10: period4_ngd10,
-									env_climate_ngd5: period4_ngd5,
-									env_climate_npp: period4_npp,
-									env_climate_scd: period4_scd,
-									std_date_span_month: [
-										{
-											std_month: 1,
-											env_climate_pr: 	period4_01_pr,
-											env_climate_tas: 	period4_01_tas,
-											env_climate_tasmax: period4_01_tasmax,
-											env_climate_tasmin: period4_01_tasmin
-										},
-										{
-											std_month: 2,
-											env_climate_pr: 	period4_02_pr,
-											env_climate_tas: 	period4_02_tas,
-											env_climate_tasmax: period4_02_tasmax,
-											env_climate_tasmin: period4_02_tasmin
-										},
-										{
-											std_month: 3,
-											env_climate_pr: 	period4_03_pr,
-											env_climate_tas: 	period4_03_tas,
-											env_climate_tasmax: period4_03_tasmax,
-											env_climate_tasmin: period4_03_tasmin
-										},
-										{
-											std_month: 4,
-											env_climate_pr: 	period4_04_pr,
-											env_climate_tas: 	period4_04_tas,
-											env_climate_tasmax: period4_04_tasmax,
-											env_climate_tasmin: period4_04_tasmin
-										},
-										{
-											std_month: 5,
-											env_climate_pr: 	period4_05_pr,
-											env_climate_tas: 	period4_05_tas,
-											env_climate_tasmax: period4_05_tasmax,
-											env_climate_tasmin: period4_05_tasmin
-										},
-										{
-											std_month: 6,
-											env_climate_pr: 	period4_06_pr,
-											env_climate_tas: 	period4_06_tas,
-											env_climate_tasmax: period4_06_tasmax,
-											env_climate_tasmin: period4_06_tasmin
-										},
-										{
-											std_month: 7,
-											env_climate_pr: 	period4_07_pr,
-											env_climate_tas: 	period4_07_tas,
-											env_climate_tasmax: period4_07_tasmax,
-											env_climate_tasmin: period4_07_tasmin
-										},
-										{
-											std_month: 8,
-											env_climate_pr: 	period4_08_pr,
-											env_climate_tas: 	period4_08_tas,
-											env_climate_tasmax: period4_08_tasmax,
-											env_climate_tasmin: period4_08_tasmin
-										},
-										{
-											std_month: 9,
-											env_climate_pr: 	period4_09_pr,
-											env_climate_tas: 	period4_09_tas,
-											env_climate_tasmax: period4_09_tasmax,
-											env_climate_tasmin: period4_09_tasmin
-										},
-										{
-											std_month: 10,
-											env_climate_pr: 	period4_10_pr,
-											env_climate_tas: 	period4_10_tas,
-											env_climate_tasmax: period4_10_tasmax,
-											env_climate_tasmin: period4_10_tasmin
-										},
-										{
-											std_month: 11,
-											env_climate_pr: 	period4_11_pr,
-											env_climate_tas: 	period4_11_tas,
-											env_climate_tasmax: period4_11_tasmax,
-											env_climate_tasmin: period4_11_tasmin
-										},
-										{
-											std_month: 12,
-											env_climate_pr: 	period4_12_pr,
-											env_climate_tas: 	period4_12_tas,
-											env_climate_tasmax: period4_12_tasmax,
-											env_climate_tasmin: period4_12_tasmin
-										}
-									]
-								}
-							}
-						}
-					}
-				}
-			`
-			break
-
-	} // switch(theWhat)
-
-	return query
+	return ClimateDistanceAQL(
+		ChelsaDescriptor,
+		theCollection,
+		theCollectionMap,
+		theGeometry,
+		theWhat,
+		theMin,
+		theMax,
+		theSort,
+		theStart,
+		theLimit,
+		theSelection,
+		theBins
+	)
 
 } // ChelsaDistanceAQL()
 
@@ -4623,4538 +163,29 @@ function ChelsaDistanceAQL(theCollection, theCollectionMap, theGeometry, theWhat
  * Parameters:
  * - theCollection {String}: Data collection.
  * - theCollectionMap {String}: Map collection.
- * - theGeometry {Object}: GeoJSON reference geometry, provide either a Point, MultiPoint, Polygon, MultiPolygon, LineString, or a MultiLineString.
- * - theWhat {String}: Query result: `KEY` geometry hash; `SHAPE` geometries; `DATA` all properties; `MIN` the minimum of all quantitative  properties; `AVG` the average of all quantitative  properties; `MAX` the maximum of all quantitative  properties; `STD` the standard deviation of all quantitative  properties.; `VAR` the variance of all quantitative  properties.
+ * - theGeometry {Object}: GeoJSON reference geometry, provide either a Polygon or MultiPolygon.
+ * - theWhat {String}: Query result: `KEY` geometry hash; `SHAPE` geometries; `DATA` all properties; `MIN` the minimum of all quantitative  properties; `AVG` the average of all quantitative  properties; `MAX` the maximum of all quantitative  properties; `STD` the standard deviation of all quantitative  properties.; `VAR` the variance of all quantitative  properties; `MEDIAN` the median of all quantitative properties; `P05`, `P25`, `P75` and `P95` the percentiles of all quantitative properties; `HIST` the histogram of all quantitative properties.
  * - theStart {Integer}: The results start index, 0 based. Default: 0. Only relevant for theWhat == `KEY`, `SHAPE` and `DATA`.
  * - theLimit {Integer}: Number of records to return. Default 10. Only relevant for theWhat == `KEY`, `SHAPE` and `DATA`.
+ * - theSelection {Object}: Properties selection, `std_terms`, `periods` and `months`. Only relevant for theWhat == `DATA` and aggregations.
+ * - theBins {Integer}: Number of histogram bins. Default 10. Only relevant for theWhat == `HIST`.
  *
  * Returns:
  * - {String}: The AQL query.
  */
-function ChelsaContainsAQL(theCollection, theCollectionMap, theGeometry, theWhat, theStart = 0, theLimit = 10)
+function ChelsaContainsAQL(theCollection, theCollectionMap, theGeometry, theWhat, theStart = 0, theLimit = 10, theSelection = {}, theBins = 10)
 {
-	///
-	// Parse request type.
-	///
-	let query
-	switch(theWhat)
-	{
-		///
-		// Return data record keys.
-		///
-		case 'KEY':
-			query = aql`
-				FOR doc IN ${theCollectionMap}
-					FILTER GEO_CONTAINS(${theGeometry}, doc.geometry)
-					LIMIT ${theStart}, ${theLimit}
-				RETURN doc._key
-			`
-			break
-
-		///
-		// Return data record geometries.
-		///
-		case 'SHAPE':
-			query = aql`
-				FOR doc IN ${theCollectionMap}
-					FILTER GEO_CONTAINS(${theGeometry}, doc.geometry)
-					LIMIT ${theStart}, ${theLimit}
-				RETURN {
-					geometry_hash: doc._key,
-					geometry_point: doc.geometry,
-					geometry_bounds: doc.geometry_bounds
-				}
-			`
-			break
-
-		///
-		// Return full data records.
-		///
-		case 'DATA':
-			query = aql`
-			    LET target = ${theGeometry}
-				FOR doc IN ${theCollectionMap}
-					FILTER GEO_CONTAINS(${theGeometry}, doc.geometry)
-					FOR dat IN ${theCollection}
-						FILTER dat._key == doc._key
-						LIMIT ${theStart}, ${theLimit}
-				RETURN {
-					geometry_hash: doc._key,
-					geometry_point: doc.geometry,
-					geometry_bounds: doc.geometry_bounds,
-					properties: dat.properties
-				}
-			`
-			break
-
-		///
-		// Return selection minimum.
-		///
-		case 'MIN':
-			query = aql`
-				LET target = ${theGeometry}
-				FOR doc IN ${theCollectionMap}
-					FILTER GEO_CONTAINS(${theGeometry}, doc.geometry)
-					FOR dat IN ${theCollection}
-						FILTER dat._key == doc._key
-						COLLECT AGGREGATE count = COUNT(),
-									  period1_ai = MIN(dat.properties.\`1981-2010\`.env_climate_ai),
-									  period1_bio01 = MIN(dat.properties.\`1981-2010\`.env_climate_bio01),
-									  period1_bio02 = MIN(dat.properties.\`1981-2010\`.env_climate_bio02),
-									  period1_bio03 = MIN(dat.properties.\`1981-2010\`.env_climate_bio03),
-									  period1_bio04 = MIN(dat.properties.\`1981-2010\`.env_climate_bio04),
-									  period1_bio05 = MIN(dat.properties.\`1981-2010\`.env_climate_bio05),
-									  period1_bio06 = MIN(dat.properties.\`1981-2010\`.env_climate_bio06),
-									  period1_bio07 = MIN(dat.properties.\`1981-2010\`.env_climate_bio07),
-									  period1_bio08 = MIN(dat.properties.\`1981-2010\`.env_climate_bio08),
-									  period1_bio09 = MIN(dat.properties.\`1981-2010\`.env_climate_bio09),
-									  period1_bio10 = MIN(dat.properties.\`1981-2010\`.env_climate_bio10),
-									  period1_bio11 = MIN(dat.properties.\`1981-2010\`.env_climate_bio11),
-									  period1_bio12 = MIN(dat.properties.\`1981-2010\`.env_climate_bio12),
-									  period1_bio13 = MIN(dat.properties.\`1981-2010\`.env_climate_bio13),
-									  period1_bio14 = MIN(dat.properties.\`1981-2010\`.env_climate_bio14),
-									  period1_bio15 = MIN(dat.properties.\`1981-2010\`.env_climate_bio15),
-									  period1_bio16 = MIN(dat.properties.\`1981-2010\`.env_climate_bio16),
-									  period1_bio17 = MIN(dat.properties.\`1981-2010\`.env_climate_bio17),
-									  period1_bio18 = MIN(dat.properties.\`1981-2010\`.env_climate_bio18),
-									  period1_bio19 = MIN(dat.properties.\`1981-2010\`.env_climate_bio19),
-									  period1_clt_max = MIN(dat.properties.\`1981-2010\`.env_climate_clt_max),
-									  period1_clt_mean = MIN(dat.properties.\`1981-2010\`.env_climate_clt_mean),
-									  period1_clt_min = MIN(dat.properties.\`1981-2010\`.env_climate_clt_min),
-									  period1_clt_range = MIN(dat.properties.\`1981-2010\`.env_climate_clt_range),
-									  period1_cmi_max = MIN(dat.properties.\`1981-2010\`.env_climate_cmi_max),
-									  period1_cmi_mean = MIN(dat.properties.\`1981-2010\`.env_climate_cmi_mean),
-									  period1_cmi_min = MIN(dat.properties.\`1981-2010\`.env_climate_cmi_min),
-									  period1_cmi_range = MIN(dat.properties.\`1981-2010\`.env_climate_cmi_range),
-									  period1_fcf =  MIN(dat.properties.\`1981-2010\`.env_climate_fcf),
-									  period1_fgd =  MIN(dat.properties.\`1981-2010\`.env_climate_fgd),
-									  period1_gdd0 =  MIN(dat.properties.\`1981-2010\`.env_climate_gdd0),
-									  period1_gdd10 = MIN(dat.properties.\`1981-2010\`.env_climate_gdd10),
-									  period1_gdd5 = MIN(dat.properties.\`1981-2010\`.env_climate_gdd5),
-									  period1_gddlgd0 = MIN(dat.properties.\`1981-2010\`.env_climate_gddlgd0),
-									  period1_gddlgd10 = MIN(dat.properties.\`1981-2010\`.env_climate_gddlgd10),
-									  period1_gddlgd5 = MIN(dat.properties.\`1981-2010\`.env_climate_gddlgd5),
-									  period1_gdgfgd0 = MIN(dat.properties.\`1981-2010\`.env_climate_gdgfgd0),
-									  period1_gdgfgd10 = MIN(dat.properties.\`1981-2010\`.env_climate_gdgfgd10),
-									  period1_gdgfgd5 = MIN(dat.properties.\`1981-2010\`.env_climate_gdgfgd5),
-									  period1_gsl = MIN(dat.properties.\`1981-2010\`.env_climate_gsl),
-									  period1_gsp = MIN(dat.properties.\`1981-2010\`.env_climate_gsp),
-									  period1_gst = MIN(dat.properties.\`1981-2010\`.env_climate_gst),
-									  period1_hurs_max = MIN(dat.properties.\`1981-2010\`.env_climate_hurs_max),
-									  period1_hurs_mean = MIN(dat.properties.\`1981-2010\`.env_climate_hurs_mean),
-									  period1_hurs_min = MIN(dat.properties.\`1981-2010\`.env_climate_hurs_min),
-									  period1_hurs_range = MIN(dat.properties.\`1981-2010\`.env_climate_hurs_range),
-									  period1_ngd0 = MIN(dat.properties.\`1981-2010\`.env_climate_ngd0),
-									  period1_ngd10 = MIN(dat.properties.\`1981-2010\`.env_climate_ngd10),
-									  period1_ngd5 = MIN(dat.properties.\`1981-2010\`.env_climate_ngd5),
-									  period1_npp = MIN(dat.properties.\`1981-2010\`.env_climate_npp),
-									  period1_pet_penman_max = MIN(dat.properties.\`1981-2010\`.env_climate_pet_penman_max),
-									  period1_pet_penman_mean = MIN(dat.properties.\`1981-2010\`.env_climate_pet_penman_mean),
-									  period1_pet_penman_min = MIN(dat.properties.\`1981-2010\`.env_climate_pet_penman_min),
-									  period1_pet_penman_range = MIN(dat.properties.\`1981-2010\`.env_climate_pet_penman_range),
-									  period1_rsds_max = MIN(dat.properties.\`1981-2010\`.env_climate_rsds_max),
-									  period1_rsds_mean = MIN(dat.properties.\`1981-2010\`.env_climate_rsds_mean),
-									  period1_rsds_min = MIN(dat.properties.\`1981-2010\`.env_climate_rsds_min),
-									  period1_rsds_range = MIN(dat.properties.\`1981-2010\`.env_climate_rsds_range),
-									  period1_scd = MIN(dat.properties.\`1981-2010\`.env_climate_scd),
-									  period1_sfcWind_max = MIN(dat.properties.\`1981-2010\`.env_climate_sfcWind_max),
-									  period1_sfcWind_mean = MIN(dat.properties.\`1981-2010\`.env_climate_sfcWind_mean),
-									  period1_sfcWind_min = MIN(dat.properties.\`1981-2010\`.env_climate_sfcWind_min),
-									  period1_sfcWind_range = MIN(dat.properties.\`1981-2010\`.env_climate_sfcWind_range),
-									  period1_swb = MIN(dat.properties.\`1981-2010\`.env_climate_swb),
-									  period1_swe = MIN(dat.properties.\`1981-2010\`.env_climate_swe),
-									  period1_vpd_max = MIN(dat.properties.\`1981-2010\`.env_climate_vpd_max),
-									  period1_vpd_mean = MIN(dat.properties.\`1981-2010\`.env_climate_vpd_mean),
-									  period1_vpd_min = MIN(dat.properties.\`1981-2010\`.env_climate_vpd_min),
-									  period1_vpd_range = MIN(dat.properties.\`1981-2010\`.env_climate_vpd_range),
-									  period1_01_pr = MIN(dat.properties.\`1981-2010\`.std_date_span_month[0].env_climate_pr),
-									  period1_01_tas = MIN(dat.properties.\`1981-2010\`.std_date_span_month[0].env_climate_tas),
-									  period1_01_tasmax = MIN(dat.properties.\`1981-2010\`.std_date_span_month[0].env_climate_tasmax),
-									  period1_01_tasmin = MIN(dat.properties.\`1981-2010\`.std_date_span_month[0].env_climate_tasmin),
-									  period1_02_pr = MIN(dat.properties.\`1981-2010\`.std_date_span_month[1].env_climate_pr),
-									  period1_02_tas = MIN(dat.properties.\`1981-2010\`.std_date_span_month[1].env_climate_tas),
-									  period1_02_tasmax = MIN(dat.properties.\`1981-2010\`.std_date_span_month[1].env_climate_tasmax),
-									  period1_02_tasmin = MIN(dat.properties.\`1981-2010\`.std_date_span_month[1].env_climate_tasmin),
-									  period1_03_pr = MIN(dat.properties.\`1981-2010\`.std_date_span_month[2].env_climate_pr),
-									  period1_03_tas = MIN(dat.properties.\`1981-2010\`.std_date_span_month[2].env_climate_tas),
-									  period1_03_tasmax = MIN(dat.properties.\`1981-2010\`.std_date_span_month[2].env_climate_tasmax),
-									  period1_03_tasmin = MIN(dat.properties.\`1981-2010\`.std_date_span_month[2].env_climate_tasmin),
-									  period1_04_pr = MIN(dat.properties.\`1981-2010\`.std_date_span_month[3].env_climate_pr),
-									  period1_04_tas = MIN(dat.properties.\`1981-2010\`.std_date_span_month[3].env_climate_tas),
-									  period1_04_tasmax = MIN(dat.properties.\`1981-2010\`.std_date_span_month[3].env_climate_tasmax),
-									  period1_04_tasmin = MIN(dat.properties.\`1981-2010\`.std_date_span_month[3].env_climate_tasmin),
-									  period1_05_pr = MIN(dat.properties.\`1981-2010\`.std_date_span_month[4].env_climate_pr),
-									  period1_05_tas = MIN(dat.properties.\`1981-2010\`.std_date_span_month[4].env_climate_tas),
-									  period1_05_tasmax = MIN(dat.properties.\`1981-2010\`.std_date_span_month[4].env_climate_tasmax),
-									  period1_05_tasmin = MIN(dat.properties.\`1981-2010\`.std_date_span_month[4].env_climate_tasmin),
-									  period1_06_pr = MIN(dat.properties.\`1981-2010\`.std_date_span_month[5].env_climate_pr),
-									  period1_06_tas = MIN(dat.properties.\`1981-2010\`.std_date_span_month[5].env_climate_tas),
-									  period1_06_tasmax = MIN(dat.properties.\`1981-2010\`.std_date_span_month[5].env_climate_tasmax),
-									  period1_06_tasmin = MIN(dat.properties.\`1981-2010\`.std_date_span_month[5].env_climate_tasmin),
-									  period1_07_pr = MIN(dat.properties.\`1981-2010\`.std_date_span_month[6].env_climate_pr),
-									  period1_07_tas = MIN(dat.properties.\`1981-2010\`.std_date_span_month[6].env_climate_tas),
-									  period1_07_tasmax = MIN(dat.properties.\`1981-2010\`.std_date_span_month[6].env_climate_tasmax),
-									  period1_07_tasmin = MIN(dat.properties.\`1981-2010\`.std_date_span_month[6].env_climate_tasmin),
-									  period1_08_pr = MIN(dat.properties.\`1981-2010\`.std_date_span_month[7].env_climate_pr),
-									  period1_08_tas = MIN(dat.properties.\`1981-2010\`.std_date_span_month[7].env_climate_tas),
-									  period1_08_tasmax = MIN(dat.properties.\`1981-2010\`.std_date_span_month[7].env_climate_tasmax),
-									  period1_08_tasmin = MIN(dat.properties.\`1981-2010\`.std_date_span_month[7].env_climate_tasmin),
-									  period1_09_pr = MIN(dat.properties.\`1981-2010\`.std_date_span_month[8].env_climate_pr),
-									  period1_09_tas = MIN(dat.properties.\`1981-2010\`.std_date_span_month[8].env_climate_tas),
-									  period1_09_tasmax = MIN(dat.properties.\`1981-2010\`.std_date_span_month[8].env_climate_tasmax),
-									  period1_09_tasmin = MIN(dat.properties.\`1981-2010\`.std_date_span_month[8].env_climate_tasmin),
-									  period1_10_pr = MIN(dat.properties.\`1981-2010\`.std_date_span_month[9].env_climate_pr),
-									  period1_10_tas = MIN(dat.properties.\`1981-2010\`.std_date_span_month[9].env_climate_tas),
-									  period1_10_tasmax = MIN(dat.properties.\`1981-2010\`.std_date_span_month[9].env_climate_tasmax),
-									  period1_10_tasmin = MIN(dat.properties.\`1981-2010\`.std_date_span_month[9].env_climate_tasmin),
-									  period1_11_pr = MIN(dat.properties.\`1981-2010\`.std_date_span_month[10].env_climate_pr),
-									  period1_11_tas = MIN(dat.properties.\`1981-2010\`.std_date_span_month[10].env_climate_tas),
-									  period1_11_tasmax = MIN(dat.properties.\`1981-2010\`.std_date_span_month[10].env_climate_tasmax),
-									  period1_11_tasmin = MIN(dat.properties.\`1981-2010\`.std_date_span_month[10].env_climate_tasmin),
-									  period1_12_pr = MIN(dat.properties.\`1981-2010\`.std_date_span_month[11].env_climate_pr),
-									  period1_12_tas = MIN(dat.properties.\`1981-2010\`.std_date_span_month[11].env_climate_tas),
-									  period1_12_tasmax = MIN(dat.properties.\`1981-2010\`.std_date_span_month[11].env_climate_tasmax),
-									  period1_12_tasmin = MIN(dat.properties.\`1981-2010\`.std_date_span_month[11].env_climate_tasmin),
-									  period2_bio01 = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio01),
-									  period2_bio02 = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio02),
-									  period2_bio03 = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio03),
-									  period2_bio04 = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio04),
-									  period2_bio05 = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio05),
-									  period2_bio06 = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio06),
-									  period2_bio07 = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio07),
-									  period2_bio08 = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio08),
-									  period2_bio09 = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio09),
-									  period2_bio10 = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio10),
-									  period2_bio11 = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio11),
-									  period2_bio12 = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio12),
-									  period2_bio13 = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio13),
-									  period2_bio14 = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio14),
-									  period2_bio15 = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio15),
-									  period2_bio16 = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio16),
-									  period2_bio17 = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio17),
-									  period2_bio18 = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio18),
-									  period2_bio19 = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio19),
-									  period2_gdd0 = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gdd0),
-									  period2_gdd10 = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gdd10),
-									  period2_gdd5 = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gdd5),
-									  period2_gsl = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gsl),
-									  period2_gsp = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gsp),
-									  period2_gst = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gst),
-									  period2_ngd0 = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_ngd0),
-									  period2_ngd10 = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_ngd10),
-									  period2_ngd5 = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_ngd5),
-									  period2_npp = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_npp),
-									  period2_scd = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_scd),
-									  period2_01_pr = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_pr),
-									  period2_01_tas = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_tas),
-									  period2_01_tasmax = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_tasmax),
-									  period2_01_tasmin = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_tasmin),
-									  period2_02_pr = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_pr),
-									  period2_02_tas = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_tas),
-									  period2_02_tasmax = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_tasmax),
-									  period2_02_tasmin = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_tasmin),
-									  period2_03_pr = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_pr),
-									  period2_03_tas = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_tas),
-									  period2_03_tasmax = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_tasmax),
-									  period2_03_tasmin = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_tasmin),
-									  period2_04_pr = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_pr),
-									  period2_04_tas = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_tas),
-									  period2_04_tasmax = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_tasmax),
-									  period2_04_tasmin = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_tasmin),
-									  period2_05_pr = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_pr),
-									  period2_05_tas = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_tas),
-									  period2_05_tasmax = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_tasmax),
-									  period2_05_tasmin = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_tasmin),
-									  period2_06_pr = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_pr),
-									  period2_06_tas = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_tas),
-									  period2_06_tasmax = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_tasmax),
-									  period2_06_tasmin = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_tasmin),
-									  period2_07_pr = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_pr),
-									  period2_07_tas = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_tas),
-									  period2_07_tasmax = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_tasmax),
-									  period2_07_tasmin = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_tasmin),
-									  period2_08_pr = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_pr),
-									  period2_08_tas = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_tas),
-									  period2_08_tasmax = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_tasmax),
-									  period2_08_tasmin = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_tasmin),
-									  period2_09_pr = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_pr),
-									  period2_09_tas = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_tas),
-									  period2_09_tasmax = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_tasmax),
-									  period2_09_tasmin = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_tasmin),
-									  period2_10_pr = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_pr),
-									  period2_10_tas = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_tas),
-									  period2_10_tasmax = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_tasmax),
-									  period2_10_tasmin = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_tasmin),
-									  period2_11_pr = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_pr),
-									  period2_11_tas = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_tas),
-									  period2_11_tasmax = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_tasmax),
-									  period2_11_tasmin = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_tasmin),
-									  period2_12_pr = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_pr),
-									  period2_12_tas = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_tas),
-									  period2_12_tasmax = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_tasmax),
-									  period2_12_tasmin = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_tasmin),
-									  period3_bio01 = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio01),
-									  period3_bio02 = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio02),
-									  period3_bio03 = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio03),
-									  period3_bio04 = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio04),
-									  period3_bio05 = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio05),
-									  period3_bio06 = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio06),
-									  period3_bio07 = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio07),
-									  period3_bio08 = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio08),
-									  period3_bio09 = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio09),
-									  period3_bio10 = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio10),
-									  period3_bio11 = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio11),
-									  period3_bio12 = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio12),
-									  period3_bio13 = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio13),
-									  period3_bio14 = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio14),
-									  period3_bio15 = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio15),
-									  period3_bio16 = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio16),
-									  period3_bio17 = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio17),
-									  period3_bio18 = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio18),
-									  period3_bio19 = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio19),
-									  period3_gdd0 = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gdd0),
-									  period3_gdd10 = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gdd10),
-									  period3_gdd5 = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gdd5),
-									  period3_gsl = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gsl),
-									  period3_gsp = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gsp),
-									  period3_gst = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gst),
-									  period3_ngd0 = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_ngd0),
-									  period3_ngd10 = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_ngd10),
-									  period3_ngd5 = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_ngd5),
-									  period3_npp = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_npp),
-									  period3_scd = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_scd),
-									  period3_01_pr = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_pr),
-									  period3_01_tas = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_tas),
-									  period3_01_tasmax = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_tasmax),
-									  period3_01_tasmin = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_tasmin),
-									  period3_02_pr = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_pr),
-									  period3_02_tas = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_tas),
-									  period3_02_tasmax = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_tasmax),
-									  period3_02_tasmin = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_tasmin),
-									  period3_03_pr = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_pr),
-									  period3_03_tas = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_tas),
-									  period3_03_tasmax = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_tasmax),
-									  period3_03_tasmin = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_tasmin),
-									  period3_04_pr = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_pr),
-									  period3_04_tas = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_tas),
-									  period3_04_tasmax = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_tasmax),
-									  period3_04_tasmin = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_tasmin),
-									  period3_05_pr = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_pr),
-									  period3_05_tas = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_tas),
-									  period3_05_tasmax = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_tasmax),
-									  period3_05_tasmin = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_tasmin),
-									  period3_06_pr = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_pr),
-									  period3_06_tas = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_tas),
-									  period3_06_tasmax = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_tasmax),
-									  period3_06_tasmin = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_tasmin),
-									  period3_07_pr = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_pr),
-									  period3_07_tas = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_tas),
-									  period3_07_tasmax = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_tasmax),
-									  period3_07_tasmin = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_tasmin),
-									  period3_08_pr = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_pr),
-									  period3_08_tas = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_tas),
-									  period3_08_tasmax = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_tasmax),
-									  period3_08_tasmin = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_tasmin),
-									  period3_09_pr = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_pr),
-									  period3_09_tas = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_tas),
-									  period3_09_tasmax = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_tasmax),
-									  period3_09_tasmin = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_tasmin),
-									  period3_10_pr = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_pr),
-									  period3_10_tas = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_tas),
-									  period3_10_tasmax = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_tasmax),
-									  period3_10_tasmin = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_tasmin),
-									  period3_11_pr = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_pr),
-									  period3_11_tas = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_tas),
-									  period3_11_tasmax = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_tasmax),
-									  period3_11_tasmin = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_tasmin),
-									  period3_12_pr = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_pr),
-									  period3_12_tas = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_tas),
-									  period3_12_tasmax = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_tasmax),
-									  period3_12_tasmin = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_tasmin),
-									  period4_bio01 = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio01),
-									  period4_bio02 = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio02),
-									  period4_bio03 = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio03),
-									  period4_bio04 = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio04),
-									  period4_bio05 = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio05),
-									  period4_bio06 = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio06),
-									  period4_bio07 = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio07),
-									  period4_bio08 = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio08),
-									  period4_bio09 = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio09),
-									  period4_bio10 = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio10),
-									  period4_bio11 = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio11),
-									  period4_bio12 = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio12),
-									  period4_bio13 = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio13),
-									  period4_bio14 = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio14),
-									  period4_bio15 = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio15),
-									  period4_bio16 = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio16),
-									  period4_bio17 = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio17),
-									  period4_bio18 = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio18),
-									  period4_bio19 = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio19),
-									  period4_gdd0 = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gdd0),
-									  period4_gdd10 = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gdd10),
-									  period4_gdd5 = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gdd5),
-									  period4_gsl = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gsl),
-									  period4_gsp = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gsp),
-									  period4_gst = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gst),
-									  period4_ngd0 = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_ngd0),
-									  period4_ngd10 = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_ngd10),
-									  period4_ngd5 = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_ngd5),
-									  period4_npp = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_npp),
-									  period4_scd = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_scd),
-									  period4_01_pr = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_pr),
-									  period4_01_tas = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_tas),
-									  period4_01_tasmax = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_tasmax),
-									  period4_01_tasmin = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_tasmin),
-									  period4_02_pr = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_pr),
-									  period4_02_tas = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_tas),
-									  period4_02_tasmax = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_tasmax),
-									  period4_02_tasmin = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_tasmin),
-									  period4_03_pr = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_pr),
-									  period4_03_tas = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_tas),
-									  period4_03_tasmax = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_tasmax),
-									  period4_03_tasmin = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_tasmin),
-									  period4_04_pr = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_pr),
-									  period4_04_tas = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_tas),
-									  period4_04_tasmax = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_tasmax),
-									  period4_04_tasmin = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_tasmin),
-									  period4_05_pr = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_pr),
-									  period4_05_tas = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_tas),
-									  period4_05_tasmax = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_tasmax),
-									  period4_05_tasmin = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_tasmin),
-									  period4_06_pr = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_pr),
-									  period4_06_tas = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_tas),
-									  period4_06_tasmax = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_tasmax),
-									  period4_06_tasmin = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_tasmin),
-									  period4_07_pr = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_pr),
-									  period4_07_tas = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_tas),
-									  period4_07_tasmax = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_tasmax),
-									  period4_07_tasmin = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_tasmin),
-									  period4_08_pr = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_pr),
-									  period4_08_tas = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_tas),
-									  period4_08_tasmax = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_tasmax),
-									  period4_08_tasmin = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_tasmin),
-									  period4_09_pr = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_pr),
-									  period4_09_tas = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_tas),
-									  period4_09_tasmax = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_tasmax),
-									  period4_09_tasmin = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_tasmin),
-									  period4_10_pr = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_pr),
-									  period4_10_tas = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_tas),
-									  period4_10_tasmax = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_tasmax),
-									  period4_10_tasmin = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_tasmin),
-									  period4_11_pr = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_pr),
-									  period4_11_tas = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_tas),
-									  period4_11_tasmax = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_tasmax),
-									  period4_11_tasmin = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_tasmin),
-									  period4_12_pr = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_pr),
-									  period4_12_tas = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_tas),
-									  period4_12_tasmax = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_tasmax),
-									  period4_12_tasmin = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_tasmin)
-				RETURN {
-					count: count,
-					properties: {
-						\`1981-2010\`: {
-							env_climate_ai: period1_ai,
-							env_climate_bio01: period1_bio01,
-							env_climate_bio02: period1_bio02,
-							env_climate_bio03: period1_bio03,
-							env_climate_bio04: period1_bio04,
-							env_climate_bio05: period1_bio05,
-							env_climate_bio06: period1_bio06,
-							env_climate_bio07: period1_bio07,
-							env_climate_bio08: period1_bio08,
-							env_climate_bio09: period1_bio09,
-							env_climate_bio10: period1_bio10,
-							env_climate_bio11: period1_bio11,
-							env_climate_bio12: period1_bio12,
-							env_climate_bio13: period1_bio13,
-							env_climate_bio14: period1_bio14,
-							env_climate_bio15: period1_bio15,
-							env_climate_bio16: period1_bio16,
-							env_climate_bio17: period1_bio17,
-							env_climate_bio18: period1_bio18,
-							env_climate_bio19: period1_bio19,
-							env_climate_clt_max: period1_clt_max,
-							env_climate_clt_mean: period1_clt_mean,
-							env_climate_clt_min: period1_clt_min,
-							env_climate_clt_range: period1_clt_range,
-							env_climate_cmi_max: period1_cmi_max,
-							env_climate_cmi_mean: period1_cmi_mean,
-							env_climate_cmi_min: period1_cmi_min,
-							env_climate_cmi_range: period1_cmi_range,
-							env_climate_fcf: period1_fcf,
-							env_climate_fgd: period1_fgd,
-							env_climate_gdd0: period1_gdd0,
-							env_climate_gdd10: period1_gdd10,
-							env_climate_gdd5: period1_gdd5,
-							env_climate_gddlgd0: period1_gddlgd0,
-							env_climate_gddlgd10: period1_gddlgd10,
-							env_climate_gddlgd5: period1_gddlgd5,
-							env_climate_gdgfgd0: period1_gdgfgd0,
-							env_climate_gdgfgd10: period1_gdgfgd10,
-							env_climate_gdgfgd5: period1_gdgfgd5,
-							env_climate_gsl: period1_gsl,
-							env_climate_gsp: period1_gsp,
-							env_climate_gst: period1_gst,
-							env_climate_hurs_max: period1_hurs_max,
-							env_climate_hurs_mean: period1_hurs_mean,
-							env_climate_hurs_min: period1_hurs_min,
-							env_climate_hurs_range: period1_hurs_range,
-							env_climate_ngd0: period1_ngd0,
-							env_climate_ngd10: period1_ngd10,
-							env_climate_ngd5: period1_ngd5,
-							env_climate_npp: period1_npp,
-							env_climate_pet_penman_max: period1_pet_penman_max,
-							env_climate_pet_penman_mean: period1_pet_penman_mean,
-							env_climate_pet_penman_min: period1_pet_penman_min,
-							env_climate_pet_penman_range: period1_pet_penman_range,
-							env_climate_rsds_max: period1_rsds_max,
-							env_climate_rsds_mean: period1_rsds_mean,
-							env_climate_rsds_min: period1_rsds_min,
-							env_climate_rsds_range: period1_rsds_range,
-							env_climate_scd: period1_scd,
-							env_climate_sfcWind_max: period1_sfcWind_max,
-							env_climate_sfcWind_mean: period1_sfcWind_mean,
-							env_climate_sfcWind_min: period1_sfcWind_min,
-							env_climate_sfcWind_range: period1_sfcWind_range,
-							env_climate_swb: period1_swb,
-							env_climate_swe: period1_swe,
-							env_climate_vpd_max: period1_vpd_max,
-							env_climate_vpd_mean: period1_vpd_mean,
-							env_climate_vpd_min: period1_vpd_min,
-							env_climate_vpd_range: period1_vpd_range,
-							std_date_span_month: [
-								{
-									std_month: 1,
-									env_climate_pr: 	period1_01_pr,
-									env_climate_tas: 	period1_01_tas,
-									env_climate_tasmax: period1_01_tasmax,
-									env_climate_tasmin: period1_01_tasmin
-								},
-								{
-									std_month: 2,
-									env_climate_pr: 	period1_02_pr,
-									env_climate_tas: 	period1_02_tas,
-									env_climate_tasmax: period1_02_tasmax,
-									env_climate_tasmin: period1_02_tasmin
-								},
-								{
-									std_month: 3,
-									env_climate_pr: 	period1_03_pr,
-									env_climate_tas: 	period1_03_tas,
-									env_climate_tasmax: period1_03_tasmax,
-									env_climate_tasmin: period1_03_tasmin
-								},
-								{
-									std_month: 4,
-									env_climate_pr: 	period1_04_pr,
-									env_climate_tas: 	period1_04_tas,
-									env_climate_tasmax: period1_04_tasmax,
-									env_climate_tasmin: period1_04_tasmin
-								},
-								{
-									std_month: 5,
-									env_climate_pr: 	period1_05_pr,
-									env_climate_tas: 	period1_05_tas,
-									env_climate_tasmax: period1_05_tasmax,
-									env_climate_tasmin: period1_05_tasmin
-								},
-								{
-									std_month: 6,
-									env_climate_pr: 	period1_06_pr,
-									env_climate_tas: 	period1_06_tas,
-									env_climate_tasmax: period1_06_tasmax,
-									env_climate_tasmin: period1_06_tasmin
-								},
-								{
-									std_month: 7,
-									env_climate_pr: 	period1_07_pr,
-									env_climate_tas: 	period1_07_tas,
-									env_climate_tasmax: period1_07_tasmax,
-									env_climate_tasmin: period1_07_tasmin
-								},
-								{
-									std_month: 8,
-									env_climate_pr: 	period1_08_pr,
-									env_climate_tas: 	period1_08_tas,
-									env_climate_tasmax: period1_08_tasmax,
-									env_climate_tasmin: period1_08_tasmin
-								},
-								{
-									std_month: 9,
-									env_climate_pr: 	period1_09_pr,
-									env_climate_tas: 	period1_09_tas,
-									env_climate_tasmax: period1_09_tasmax,
-									env_climate_tasmin: period1_09_tasmin
-								},
-								{
-									std_month: 10,
-									env_climate_pr: 	period1_10_pr,
-									env_climate_tas: 	period1_10_tas,
-									env_climate_tasmax: period1_10_tasmax,
-									env_climate_tasmin: period1_10_tasmin
-								},
-								{
-									std_month: 11,
-									env_climate_pr: 	period1_11_pr,
-									env_climate_tas: 	period1_11_tas,
-									env_climate_tasmax: period1_11_tasmax,
-									env_climate_tasmin: period1_11_tasmin
-								},
-								{
-									std_month: 12,
-									env_climate_pr: 	period1_12_pr,
-									env_climate_tas: 	period1_12_tas,
-									env_climate_tasmax: period1_12_tasmax,
-									env_climate_tasmin: period1_12_tasmin
-								}
-							]
-						},
-						\`2011-2040\`: {
-							\`MPI-ESM1-2-HR\`: {
-								ssp370: {
-									env_climate_bio01: period2_bio01,
-									env_climate_bio02: period2_bio02,
-									env_climate_bio03: period2_bio03,
-									env_climate_bio04: period2_bio04,
-									env_climate_bio05: period2_bio05,
-									env_climate_bio06: period2_bio06,
-									env_climate_bio07: period2_bio07,
-									env_climate_bio08: period2_bio08,
-									env_climate_bio09: period2_bio09,
-									env_climate_bio10: period2_bio10,
-									env_climate_bio11: period2_bio11,
-									env_climate_bio12: period2_bio12,
-									env_climate_bio13: period2_bio13,
-									env_climate_bio14: period2_bio14,
-									env_climate_bio15: period2_bio15,
-									env_climate_bio16: period2_bio16,
-									env_climate_bio17: period2_bio17,
-									env_climate_bio18: period2_bio18,
-									env_climate_bio19: period2_bio19,
-									env_climate_gdd0: period2_gdd0,
-									env_climate_gdd10: period2_gdd10,
-									env_climate_gdd5: period2_gdd5,
-									env_climate_gsl: period2_gsl,
-									env_climate_gsp: period2_gsp,
-									env_climate_gst: period2_gst,
-									env_climate_ngd0: period2_ngd0,
-									env_climate_ngd10: period2_ngd10,
-									env_climate_ngd5: period2_ngd5,
-									env_climate_npp: period2_npp,
-									env_climate_scd: period2_scd,
-									std_date_span_month: [
-										{
-											std_month: 1,
-											env_climate_pr: 	period2_01_pr,
-											env_climate_tas: 	period2_01_tas,
-											env_climate_tasmax: period2_01_tasmax,
-											env_climate_tasmin: period2_01_tasmin
-										},
-										{
-											std_month: 2,
-											env_climate_pr: 	period2_02_pr,
-											env_climate_tas: 	period2_02_tas,
-											env_climate_tasmax: period2_02_tasmax,
-											env_climate_tasmin: period2_02_tasmin
-										},
-										{
-											std_month: 3,
-											env_climate_pr: 	period2_03_pr,
-											env_climate_tas: 	period2_03_tas,
-											env_climate_tasmax: period2_03_tasmax,
-											env_climate_tasmin: period2_03_tasmin
-										},
-										{
-											std_month: 4,
-											env_climate_pr: 	period2_04_pr,
-											env_climate_tas: 	period2_04_tas,
-											env_climate_tasmax: period2_04_tasmax,
-											env_climate_tasmin: period2_04_tasmin
-										},
-										{
-											std_month: 5,
-											env_climate_pr: 	period2_05_pr,
-											env_climate_tas: 	period2_05_tas,
-											env_climate_tasmax: period2_05_tasmax,
-											env_climate_tasmin: period2_05_tasmin
-										},
-										{
-											std_month: 6,
-											env_climate_pr: 	period2_06_pr,
-											env_climate_tas: 	period2_06_tas,
-											env_climate_tasmax: period2_06_tasmax,
-											env_climate_tasmin: period2_06_tasmin
-										},
-										{
-											std_month: 7,
-											env_climate_pr: 	period2_07_pr,
-											env_climate_tas: 	period2_07_tas,
-											env_climate_tasmax: period2_07_tasmax,
-											env_climate_tasmin: period2_07_tasmin
-										},
-										{
-											std_month: 8,
-											env_climate_pr: 	period2_08_pr,
-											env_climate_tas: 	period2_08_tas,
-											env_climate_tasmax: period2_08_tasmax,
-											env_climate_tasmin: period2_08_tasmin
-										},
-										{
-											std_month: 9,
-											env_climate_pr: 	period2_09_pr,
-											env_climate_tas: 	period2_09_tas,
-											env_climate_tasmax: period2_09_tasmax,
-											env_climate_tasmin: period2_09_tasmin
-										},
-										{
-											std_month: 10,
-											env_climate_pr: 	period2_10_pr,
-											env_climate_tas: 	period2_10_tas,
-											env_climate_tasmax: period2_10_tasmax,
-											env_climate_tasmin: period2_10_tasmin
-										},
-										{
-											std_month: 11,
-											env_climate_pr: 	period2_11_pr,
-											env_climate_tas: 	period2_11_tas,
-											env_climate_tasmax: period2_11_tasmax,
-											env_climate_tasmin: period2_11_tasmin
-										},
-										{
-											std_month: 12,
-											env_climate_pr: 	period2_12_pr,
-											env_climate_tas: 	period2_12_tas,
-											env_climate_tasmax: period2_12_tasmax,
-											env_climate_tasmin: period2_12_tasmin
-										}
-									]
-								}
-							}
-						},
-						\`2041-2070\`: {
-							\`MPI-ESM1-2-HR\`: {
-								ssp370: {
-									env_climate_bio01: period3_bio01,
-									env_climate_bio02: period3_bio02,
-									env_climate_bio03: period3_bio03,
-									env_climate_bio04: period3_bio04,
-									env_climate_bio05: period3_bio05,
-									env_climate_bio06: period3_bio06,
-									env_climate_bio07: period3_bio07,
-									env_climate_bio08: period3_bio08,
-									env_climate_bio09: period3_bio09,
-									env_climate_bio10: period3_bio10,
-									env_climate_bio11: period3_bio11,
-									env_climate_bio12: period3_bio12,
-									env_climate_bio13: period3_bio13,
-									env_climate_bio14: period3_bio14,
-									env_climate_bio15: period3_bio15,
-									env_climate_bio16: period3_bio16,
-									env_climate_bio17: period3_bio17,
-									env_climate_bio18: period3_bio18,
-									env_climate_bio19: period3_bio19,
-									env_climate_gdd0: period3_gdd0,
-									env_climate_gdd10: period3_gdd10,
-									env_climate_gdd5: period3_gdd5,
-									env_climate_gsl: period3_gsl,
-									env_climate_gsp: period3_gsp,
-									env_climate_gst: period3_gst,
-									env_climate_ngd0: period3_ngd0,
-									env_climate_ngd10: period3_ngd10,
-									env_climate_ngd5: period3_ngd5,
-									env_climate_npp: period3_npp,
-									env_climate_scd: period3_scd,
-									std_date_span_month: [
-										{
-											std_month: 1,
-											env_climate_pr: 	period3_01_pr,
-											env_climate_tas: 	period3_01_tas,
-											env_climate_tasmax: period3_01_tasmax,
-											env_climate_tasmin: period3_01_tasmin
-										},
-										{
-											std_month: 2,
-											env_climate_pr: 	period3_02_pr,
-											env_climate_tas: 	period3_02_tas,
-											env_climate_tasmax: period3_02_tasmax,
-											env_climate_tasmin: period3_02_tasmin
-										},
-										{
-											std_month: 3,
-											env_climate_pr: 	period3_03_pr,
-											env_climate_tas: 	period3_03_tas,
-											env_climate_tasmax: period3_03_tasmax,
-											env_climate_tasmin: period3_03_tasmin
-										},
-										{
-											std_month: 4,
-											env_climate_pr: 	period3_04_pr,
-											env_climate_tas: 	period3_04_tas,
-											env_climate_tasmax: period3_04_tasmax,
-											env_climate_tasmin: period3_04_tasmin
-										},
-										{
-											std_month: 5,
-											env_climate_pr: 	period3_05_pr,
-											env_climate_tas: 	period3_05_tas,
-											env_climate_tasmax: period3_05_tasmax,
-											env_climate_tasmin: period3_05_tasmin
-										},
-										{
-											std_month: 6,
-											env_climate_pr: 	period3_06_pr,
-											env_climate_tas: 	period3_06_tas,
-											env_climate_tasmax: period3_06_tasmax,
-											env_climate_tasmin: period3_06_tasmin
-										},
-										{
-											std_month: 7,
-											env_climate_pr: 	period3_07_pr,
-											env_climate_tas: 	period3_07_tas,
-											env_climate_tasmax: period3_07_tasmax,
-											env_climate_tasmin: period3_07_tasmin
-										},
-										{
-											std_month: 8,
-											env_climate_pr: 	period3_08_pr,
-											env_climate_tas: 	period3_08_tas,
-											env_climate_tasmax: period3_08_tasmax,
-											env_climate_tasmin: period3_08_tasmin
-										},
-										{
-											std_month: 9,
-											env_climate_pr: 	period3_09_pr,
-											env_climate_tas: 	period3_09_tas,
-											env_climate_tasmax: period3_09_tasmax,
-											env_climate_tasmin: period3_09_tasmin
-										},
-										{
-											std_month: 10,
-											env_climate_pr: 	period3_10_pr,
-											env_climate_tas: 	period3_10_tas,
-											env_climate_tasmax: period3_10_tasmax,
-											env_climate_tasmin: period3_10_tasmin
-										},
-										{
-											std_month: 11,
-											env_climate_pr: 	period3_11_pr,
-											env_climate_tas: 	period3_11_tas,
-											env_climate_tasmax: period3_11_tasmax,
-											env_climate_tasmin: period3_11_tasmin
-										},
-										{
-											std_month: 12,
-											env_climate_pr: 	period3_12_pr,
-											env_climate_tas: 	period3_12_tas,
-											env_climate_tasmax: period3_12_tasmax,
-											env_climate_tasmin: period3_12_tasmin
-										}
-									]
-								}
-							}
-						},
-						\`2071-2100\`: {
-							\`MPI-ESM1-2-HR\`: {
-								ssp370: {
-									env_climate_bio01: period4_bio01,
-									env_climate_bio02: period4_bio02,
-									env_climate_bio03: period4_bio03,
-									env_climate_bio04: period4_bio04,
-									env_climate_bio05: period4_bio05,
-									env_climate_bio06: period4_bio06,
-									env_climate_bio07: period4_bio07,
-									env_climate_bio08: period4_bio08,
-									env_climate_bio09: period4_bio09,
-									env_climate_bio10: period4_bio10,
-									env_climate_bio11: period4_bio11,
-									env_climate_bio12: period4_bio12,
-									env_climate_bio13: period4_bio13,
-									env_climate_bio14: period4_bio14,
-									env_climate_bio15: period4_bio15,
-									env_climate_bio16: period4_bio16,
-									env_climate_bio17: period4_bio17,
-									env_climate_bio18: period4_bio18,
-									env_climate_bio19: period4_bio19,
-									env_climate_gdd0: period4_gdd0,
-									env_climate_gdd10: period4_gdd10,
-									env_climate_gdd5: period4_gdd5,
-									env_climate_gsl: period4_gsl,
-									env_climate_gsp: period4_gsp,
-									env_climate_gst: period4_gst,
-									env_climate_ngd0: period4_ngd0,
-									env_climate_ngd10: period4_ngd10,
-									env_climate_ngd5: period4_ngd5,
-									env_climate_npp: period4_npp,
-									env_climate_scd: period4_scd,
-									std_date_span_month: [
-										{
-											std_month: 1,
-											env_climate_pr: 	period4_01_pr,
-											env_climate_tas: 	period4_01_tas,
-											env_climate_tasmax: period4_01_tasmax,
-											env_climate_tasmin: period4_01_tasmin
-										},
-										{
-											std_month: 2,
-											env_climate_pr: 	period4_02_pr,
-											env_climate_tas: 	period4_02_tas,
-											env_climate_tasmax: period4_02_tasmax,
-											env_climate_tasmin: period4_02_tasmin
-										},
-										{
-											std_month: 3,
-											env_climate_pr: 	period4_03_pr,
-											env_climate_tas: 	period4_03_tas,
-											env_climate_tasmax: period4_03_tasmax,
-											env_climate_tasmin: period4_03_tasmin
-										},
-										{
-											std_month: 4,
-											env_climate_pr: 	period4_04_pr,
-											env_climate_tas: 	period4_04_tas,
-											env_climate_tasmax: period4_04_tasmax,
-											env_climate_tasmin: period4_04_tasmin
-										},
-										{
-											std_month: 5,
-											env_climate_pr: 	period4_05_pr,
-											env_climate_tas: 	period4_05_tas,
-											env_climate_tasmax: period4_05_tasmax,
-											env_climate_tasmin: period4_05_tasmin
-										},
-										{
-											std_month: 6,
-											env_climate_pr: 	period4_06_pr,
-											env_climate_tas: 	period4_06_tas,
-											env_climate_tasmax: period4_06_tasmax,
-											env_climate_tasmin: period4_06_tasmin
-										},
-										{
-											std_month: 7,
-											env_climate_pr: 	period4_07_pr,
-											env_climate_tas: 	period4_07_tas,
-											env_climate_tasmax: period4_07_tasmax,
-											env_climate_tasmin: period4_07_tasmin
-										},
-										{
-											std_month: 8,
-											env_climate_pr: 	period4_08_pr,
-											env_climate_tas: 	period4_08_tas,
-											env_climate_tasmax: period4_08_tasmax,
-											env_climate_tasmin: period4_08_tasmin
-										},
-										{
-											std_month: 9,
-											env_climate_pr: 	period4_09_pr,
-											env_climate_tas: 	period4_09_tas,
-											env_climate_tasmax: period4_09_tasmax,
-											env_climate_tasmin: period4_09_tasmin
-										},
-										{
-											std_month: 10,
-											env_climate_pr: 	period4_10_pr,
-											env_climate_tas: 	period4_10_tas,
-											env_climate_tasmax: period4_10_tasmax,
-											env_climate_tasmin: period4_10_tasmin
-										},
-										{
-											std_month: 11,
-											env_climate_pr: 	period4_11_pr,
-											env_climate_tas: 	period4_11_tas,
-											env_climate_tasmax: period4_11_tasmax,
-											env_climate_tasmin: period4_11_tasmin
-										},
-										{
-											std_month: 12,
-											env_climate_pr: 	period4_12_pr,
-											env_climate_tas: 	period4_12_tas,
-											env_climate_tasmax: period4_12_tasmax,
-											env_climate_tasmin: period4_12_tasmin
-										}
-									]
-								}
-							}
-						}
-					}
-				}
-			`
-			break
-
-		///
-		// Return selection average.
-		///
-		case 'AVG':
-			query = aql`
-				LET target = ${theGeometry}
-				FOR doc IN ${theCollectionMap}
-					FILTER GEO_CONTAINS(${theGeometry}, doc.geometry)
-					FOR dat IN ${theCollection}
-						FILTER dat._key == doc._key
-						COLLECT AGGREGATE count = COUNT(),
-									  period1_ai = AVERAGE(dat.properties.\`1981-2010\`.env_climate_ai),
-									  period1_bio01 = AVERAGE(dat.properties.\`1981-2010\`.env_climate_bio01),
-									  period1_bio02 = AVERAGE(dat.properties.\`1981-2010\`.env_climate_bio02),
-									  period1_bio03 = AVERAGE(dat.properties.\`1981-2010\`.env_climate_bio03),
-									  period1_bio04 = AVERAGE(dat.properties.\`1981-2010\`.env_climate_bio04),
-									  period1_bio05 = AVERAGE(dat.properties.\`1981-2010\`.env_climate_bio05),
-									  period1_bio06 = AVERAGE(dat.properties.\`1981-2010\`.env_climate_bio06),
-									  period1_bio07 = AVERAGE(dat.properties.\`1981-2010\`.env_climate_bio07),
-									  period1_bio08 = AVERAGE(dat.properties.\`1981-2010\`.env_climate_bio08),
-									  period1_bio09 = AVERAGE(dat.properties.\`1981-2010\`.env_climate_bio09),
-									  period1_bio10 = AVERAGE(dat.properties.\`1981-2010\`.env_climate_bio10),
-									  period1_bio11 = AVERAGE(dat.properties.\`1981-2010\`.env_climate_bio11),
-									  period1_bio12 = AVERAGE(dat.properties.\`1981-2010\`.env_climate_bio12),
-									  period1_bio13 = AVERAGE(dat.properties.\`1981-2010\`.env_climate_bio13),
-									  period1_bio14 = AVERAGE(dat.properties.\`1981-2010\`.env_climate_bio14),
-									  period1_bio15 = AVERAGE(dat.properties.\`1981-2010\`.env_climate_bio15),
-									  period1_bio16 = AVERAGE(dat.properties.\`1981-2010\`.env_climate_bio16),
-									  period1_bio17 = AVERAGE(dat.properties.\`1981-2010\`.env_climate_bio17),
-									  period1_bio18 = AVERAGE(dat.properties.\`1981-2010\`.env_climate_bio18),
-									  period1_bio19 = AVERAGE(dat.properties.\`1981-2010\`.env_climate_bio19),
-									  period1_clt_max = AVERAGE(dat.properties.\`1981-2010\`.env_climate_clt_max),
-									  period1_clt_mean = AVERAGE(dat.properties.\`1981-2010\`.env_climate_clt_mean),
-									  period1_clt_min = AVERAGE(dat.properties.\`1981-2010\`.env_climate_clt_min),
-									  period1_clt_range = AVERAGE(dat.properties.\`1981-2010\`.env_climate_clt_range),
-									  period1_cmi_max = AVERAGE(dat.properties.\`1981-2010\`.env_climate_cmi_max),
-									  period1_cmi_mean = AVERAGE(dat.properties.\`1981-2010\`.env_climate_cmi_mean),
-									  period1_cmi_min = AVERAGE(dat.properties.\`1981-2010\`.env_climate_cmi_min),
-									  period1_cmi_range = AVERAGE(dat.properties.\`1981-2010\`.env_climate_cmi_range),
-									  period1_fcf =  AVERAGE(dat.properties.\`1981-2010\`.env_climate_fcf),
-									  period1_fgd =  AVERAGE(dat.properties.\`1981-2010\`.env_climate_fgd),
-									  period1_gdd0 =  AVERAGE(dat.properties.\`1981-2010\`.env_climate_gdd0),
-									  period1_gdd10 = AVERAGE(dat.properties.\`1981-2010\`.env_climate_gdd10),
-									  period1_gdd5 = AVERAGE(dat.properties.\`1981-2010\`.env_climate_gdd5),
-									  period1_gddlgd0 = AVERAGE(dat.properties.\`1981-2010\`.env_climate_gddlgd0),
-									  period1_gddlgd10 = AVERAGE(dat.properties.\`1981-2010\`.env_climate_gddlgd10),
-									  period1_gddlgd5 = AVERAGE(dat.properties.\`1981-2010\`.env_climate_gddlgd5),
-									  period1_gdgfgd0 = AVERAGE(dat.properties.\`1981-2010\`.env_climate_gdgfgd0),
-									  period1_gdgfgd10 = AVERAGE(dat.properties.\`1981-2010\`.env_climate_gdgfgd10),
-									  period1_gdgfgd5 = AVERAGE(dat.properties.\`1981-2010\`.env_climate_gdgfgd5),
-									  period1_gsl = AVERAGE(dat.properties.\`1981-2010\`.env_climate_gsl),
-									  period1_gsp = AVERAGE(dat.properties.\`1981-2010\`.env_climate_gsp),
-									  period1_gst = AVERAGE(dat.properties.\`1981-2010\`.env_climate_gst),
-									  period1_hurs_max = AVERAGE(dat.properties.\`1981-2010\`.env_climate_hurs_max),
-									  period1_hurs_mean = AVERAGE(dat.properties.\`1981-2010\`.env_climate_hurs_mean),
-									  period1_hurs_min = AVERAGE(dat.properties.\`1981-2010\`.env_climate_hurs_min),
-									  period1_hurs_range = AVERAGE(dat.properties.\`1981-2010\`.env_climate_hurs_range),
-									  period1_ngd0 = AVERAGE(dat.properties.\`1981-2010\`.env_climate_ngd0),
-									  period1_ngd10 = AVERAGE(dat.properties.\`1981-2010\`.env_climate_ngd10),
-									  period1_ngd5 = AVERAGE(dat.properties.\`1981-2010\`.env_climate_ngd5),
-									  period1_npp = AVERAGE(dat.properties.\`1981-2010\`.env_climate_npp),
-									  period1_pet_penman_max = AVERAGE(dat.properties.\`1981-2010\`.env_climate_pet_penman_max),
-									  period1_pet_penman_mean = AVERAGE(dat.properties.\`1981-2010\`.env_climate_pet_penman_mean),
-									  period1_pet_penman_min = AVERAGE(dat.properties.\`1981-2010\`.env_climate_pet_penman_min),
-									  period1_pet_penman_range = AVERAGE(dat.properties.\`1981-2010\`.env_climate_pet_penman_range),
-									  period1_rsds_max = AVERAGE(dat.properties.\`1981-2010\`.env_climate_rsds_max),
-									  period1_rsds_mean = AVERAGE(dat.properties.\`1981-2010\`.env_climate_rsds_mean),
-									  period1_rsds_min = AVERAGE(dat.properties.\`1981-2010\`.env_climate_rsds_min),
-									  period1_rsds_range = AVERAGE(dat.properties.\`1981-2010\`.env_climate_rsds_range),
-									  period1_scd = AVERAGE(dat.properties.\`1981-2010\`.env_climate_scd),
-									  period1_sfcWind_max = AVERAGE(dat.properties.\`1981-2010\`.env_climate_sfcWind_max),
-									  period1_sfcWind_mean = AVERAGE(dat.properties.\`1981-2010\`.env_climate_sfcWind_mean),
-									  period1_sfcWind_min = AVERAGE(dat.properties.\`1981-2010\`.env_climate_sfcWind_min),
-									  period1_sfcWind_range = AVERAGE(dat.properties.\`1981-2010\`.env_climate_sfcWind_range),
-									  period1_swb = AVERAGE(dat.properties.\`1981-2010\`.env_climate_swb),
-									  period1_swe = AVERAGE(dat.properties.\`1981-2010\`.env_climate_swe),
-									  period1_vpd_max = AVERAGE(dat.properties.\`1981-2010\`.env_climate_vpd_max),
-									  period1_vpd_mean = AVERAGE(dat.properties.\`1981-2010\`.env_climate_vpd_mean),
-									  period1_vpd_min = AVERAGE(dat.properties.\`1981-2010\`.env_climate_vpd_min),
-									  period1_vpd_range = AVERAGE(dat.properties.\`1981-2010\`.env_climate_vpd_range),
-									  period1_01_pr = AVERAGE(dat.properties.\`1981-2010\`.std_date_span_month[0].env_climate_pr),
-									  period1_01_tas = AVERAGE(dat.properties.\`1981-2010\`.std_date_span_month[0].env_climate_tas),
-									  period1_01_tasmax = AVERAGE(dat.properties.\`1981-2010\`.std_date_span_month[0].env_climate_tasmax),
-									  period1_01_tasmin = AVERAGE(dat.properties.\`1981-2010\`.std_date_span_month[0].env_climate_tasmin),
-									  period1_02_pr = AVERAGE(dat.properties.\`1981-2010\`.std_date_span_month[1].env_climate_pr),
-									  period1_02_tas = AVERAGE(dat.properties.\`1981-2010\`.std_date_span_month[1].env_climate_tas),
-									  period1_02_tasmax = AVERAGE(dat.properties.\`1981-2010\`.std_date_span_month[1].env_climate_tasmax),
-									  period1_02_tasmin = AVERAGE(dat.properties.\`1981-2010\`.std_date_span_month[1].env_climate_tasmin),
-									  period1_03_pr = AVERAGE(dat.properties.\`1981-2010\`.std_date_span_month[2].env_climate_pr),
-									  period1_03_tas = AVERAGE(dat.properties.\`1981-2010\`.std_date_span_month[2].env_climate_tas),
-									  period1_03_tasmax = AVERAGE(dat.properties.\`1981-2010\`.std_date_span_month[2].env_climate_tasmax),
-									  period1_03_tasmin = AVERAGE(dat.properties.\`1981-2010\`.std_date_span_month[2].env_climate_tasmin),
-									  period1_04_pr = AVERAGE(dat.properties.\`1981-2010\`.std_date_span_month[3].env_climate_pr),
-									  period1_04_tas = AVERAGE(dat.properties.\`1981-2010\`.std_date_span_month[3].env_climate_tas),
-									  period1_04_tasmax = AVERAGE(dat.properties.\`1981-2010\`.std_date_span_month[3].env_climate_tasmax),
-									  period1_04_tasmin = AVERAGE(dat.properties.\`1981-2010\`.std_date_span_month[3].env_climate_tasmin),
-									  period1_05_pr = AVERAGE(dat.properties.\`1981-2010\`.std_date_span_month[4].env_climate_pr),
-									  period1_05_tas = AVERAGE(dat.properties.\`1981-2010\`.std_date_span_month[4].env_climate_tas),
-									  period1_05_tasmax = AVERAGE(dat.properties.\`1981-2010\`.std_date_span_month[4].env_climate_tasmax),
-									  period1_05_tasmin = AVERAGE(dat.properties.\`1981-2010\`.std_date_span_month[4].env_climate_tasmin),
-									  period1_06_pr = AVERAGE(dat.properties.\`1981-2010\`.std_date_span_month[5].env_climate_pr),
-									  period1_06_tas = AVERAGE(dat.properties.\`1981-2010\`.std_date_span_month[5].env_climate_tas),
-									  period1_06_tasmax = AVERAGE(dat.properties.\`1981-2010\`.std_date_span_month[5].env_climate_tasmax),
-									  period1_06_tasmin = AVERAGE(dat.properties.\`1981-2010\`.std_date_span_month[5].env_climate_tasmin),
-									  period1_07_pr = AVERAGE(dat.properties.\`1981-2010\`.std_date_span_month[6].env_climate_pr),
-									  period1_07_tas = AVERAGE(dat.properties.\`1981-2010\`.std_date_span_month[6].env_climate_tas),
-									  period1_07_tasmax = AVERAGE(dat.properties.\`1981-2010\`.std_date_span_month[6].env_climate_tasmax),
-									  period1_07_tasmin = AVERAGE(dat.properties.\`1981-2010\`.std_date_span_month[6].env_climate_tasmin),
-									  period1_08_pr = AVERAGE(dat.properties.\`1981-2010\`.std_date_span_month[7].env_climate_pr),
-									  period1_08_tas = AVERAGE(dat.properties.\`1981-2010\`.std_date_span_month[7].env_climate_tas),
-									  period1_08_tasmax = AVERAGE(dat.properties.\`1981-2010\`.std_date_span_month[7].env_climate_tasmax),
-									  period1_08_tasmin = AVERAGE(dat.properties.\`1981-2010\`.std_date_span_month[7].env_climate_tasmin),
-									  period1_09_pr = AVERAGE(dat.properties.\`1981-2010\`.std_date_span_month[8].env_climate_pr),
-									  period1_09_tas = AVERAGE(dat.properties.\`1981-2010\`.std_date_span_month[8].env_climate_tas),
-									  period1_09_tasmax = AVERAGE(dat.properties.\`1981-2010\`.std_date_span_month[8].env_climate_tasmax),
-									  period1_09_tasmin = AVERAGE(dat.properties.\`1981-2010\`.std_date_span_month[8].env_climate_tasmin),
-									  period1_10_pr = AVERAGE(dat.properties.\`1981-2010\`.std_date_span_month[9].env_climate_pr),
-									  period1_10_tas = AVERAGE(dat.properties.\`1981-2010\`.std_date_span_month[9].env_climate_tas),
-									  period1_10_tasmax = AVERAGE(dat.properties.\`1981-2010\`.std_date_span_month[9].env_climate_tasmax),
-									  period1_10_tasmin = AVERAGE(dat.properties.\`1981-2010\`.std_date_span_month[9].env_climate_tasmin),
-									  period1_11_pr = AVERAGE(dat.properties.\`1981-2010\`.std_date_span_month[10].env_climate_pr),
-									  period1_11_tas = AVERAGE(dat.properties.\`1981-2010\`.std_date_span_month[10].env_climate_tas),
-									  period1_11_tasmax = AVERAGE(dat.properties.\`1981-2010\`.std_date_span_month[10].env_climate_tasmax),
-									  period1_11_tasmin = AVERAGE(dat.properties.\`1981-2010\`.std_date_span_month[10].env_climate_tasmin),
-									  period1_12_pr = AVERAGE(dat.properties.\`1981-2010\`.std_date_span_month[11].env_climate_pr),
-									  period1_12_tas = AVERAGE(dat.properties.\`1981-2010\`.std_date_span_month[11].env_climate_tas),
-									  period1_12_tasmax = AVERAGE(dat.properties.\`1981-2010\`.std_date_span_month[11].env_climate_tasmax),
-									  period1_12_tasmin = AVERAGE(dat.properties.\`1981-2010\`.std_date_span_month[11].env_climate_tasmin),
-									  period2_bio01 = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio01),
-									  period2_bio02 = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio02),
-									  period2_bio03 = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio03),
-									  period2_bio04 = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio04),
-									  period2_bio05 = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio05),
-									  period2_bio06 = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio06),
-									  period2_bio07 = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio07),
-									  period2_bio08 = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio08),
-									  period2_bio09 = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio09),
-									  period2_bio10 = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio10),
-									  period2_bio11 = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio11),
-									  period2_bio12 = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio12),
-									  period2_bio13 = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio13),
-									  period2_bio14 = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio14),
-									  period2_bio15 = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio15),
-									  period2_bio16 = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio16),
-									  period2_bio17 = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio17),
-									  period2_bio18 = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio18),
-									  period2_bio19 = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio19),
-									  period2_gdd0 = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gdd0),
-									  period2_gdd10 = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gdd10),
-									  period2_gdd5 = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gdd5),
-									  period2_gsl = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gsl),
-									  period2_gsp = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gsp),
-									  period2_gst = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gst),
-									  period2_ngd0 = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_ngd0),
-									  period2_ngd10 = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_ngd10),
-									  period2_ngd5 = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_ngd5),
-									  period2_npp = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_npp),
-									  period2_scd = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_scd),
-									  period2_01_pr = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_pr),
-									  period2_01_tas = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_tas),
-									  period2_01_tasmax = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_tasmax),
-									  period2_01_tasmin = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_tasmin),
-									  period2_02_pr = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_pr),
-									  period2_02_tas = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_tas),
-									  period2_02_tasmax = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_tasmax),
-									  period2_02_tasmin = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_tasmin),
-									  period2_03_pr = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_pr),
-									  period2_03_tas = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_tas),
-									  period2_03_tasmax = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_tasmax),
-									  period2_03_tasmin = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_tasmin),
-									  period2_04_pr = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_pr),
-									  period2_04_tas = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_tas),
-									  period2_04_tasmax = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_tasmax),
-									  period2_04_tasmin = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_tasmin),
-									  period2_05_pr = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_pr),
-									  period2_05_tas = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_tas),
-									  period2_05_tasmax = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_tasmax),
-									  period2_05_tasmin = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_tasmin),
-									  period2_06_pr = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_pr),
-									  period2_06_tas = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_tas),
-									  period2_06_tasmax = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_tasmax),
-									  period2_06_tasmin = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_tasmin),
-									  period2_07_pr = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_pr),
-									  period2_07_tas = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_tas),
-									  period2_07_tasmax = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_tasmax),
-									  period2_07_tasmin = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_tasmin),
-									  period2_08_pr = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_pr),
-									  period2_08_tas = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_tas),
-									  period2_08_tasmax = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_tasmax),
-									  period2_08_tasmin = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_tasmin),
-									  period2_09_pr = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_pr),
-									  period2_09_tas = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_tas),
-									  period2_09_tasmax = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_tasmax),
-									  period2_09_tasmin = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_tasmin),
-									  period2_10_pr = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_pr),
-									  period2_10_tas = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_tas),
-									  period2_10_tasmax = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_tasmax),
-									  period2_10_tasmin = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_tasmin),
-									  period2_11_pr = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_pr),
-									  period2_11_tas = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_tas),
-									  period2_11_tasmax = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_tasmax),
-									  period2_11_tasmin = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_tasmin),
-									  period2_12_pr = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_pr),
-									  period2_12_tas = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_tas),
-									  period2_12_tasmax = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_tasmax),
-									  period2_12_tasmin = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_tasmin),
-									  period3_bio01 = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio01),
-									  period3_bio02 = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio02),
-									  period3_bio03 = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio03),
-									  period3_bio04 = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio04),
-									  period3_bio05 = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio05),
-									  period3_bio06 = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio06),
-									  period3_bio07 = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio07),
-									  period3_bio08 = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio08),
-									  period3_bio09 = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio09),
-									  period3_bio10 = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio10),
-									  period3_bio11 = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio11),
-									  period3_bio12 = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio12),
-									  period3_bio13 = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio13),
-									  period3_bio14 = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio14),
-									  period3_bio15 = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio15),
-									  period3_bio16 = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio16),
-									  period3_bio17 = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio17),
-									  period3_bio18 = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio18),
-									  period3_bio19 = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio19),
-									  period3_gdd0 = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gdd0),
-									  period3_gdd10 = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gdd10),
-									  period3_gdd5 = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gdd5),
-									  period3_gsl = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gsl),
-									  period3_gsp = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gsp),
-									  period3_gst = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gst),
-									  period3_ngd0 = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_ngd0),
-									  period3_ngd10 = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_ngd10),
-									  period3_ngd5 = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_ngd5),
-									  period3_npp = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_npp),
-									  period3_scd = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_scd),
-									  period3_01_pr = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_pr),
-									  period3_01_tas = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_tas),
-									  period3_01_tasmax = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_tasmax),
-									  period3_01_tasmin = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_tasmin),
-									  period3_02_pr = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_pr),
-									  period3_02_tas = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_tas),
-									  period3_02_tasmax = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_tasmax),
-									  period3_02_tasmin = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_tasmin),
-									  period3_03_pr = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_pr),
-									  period3_03_tas = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_tas),
-									  period3_03_tasmax = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_tasmax),
-									  period3_03_tasmin = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_tasmin),
-									  period3_04_pr = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_pr),
-									  period3_04_tas = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_tas),
-									  period3_04_tasmax = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_tasmax),
-									  period3_04_tasmin = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_tasmin),
-									  period3_05_pr = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_pr),
-									  period3_05_tas = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_tas),
-									  period3_05_tasmax = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_tasmax),
-									  period3_05_tasmin = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_tasmin),
-									  period3_06_pr = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_pr),
-									  period3_06_tas = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_tas),
-									  period3_06_tasmax = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_tasmax),
-									  period3_06_tasmin = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_tasmin),
-									  period3_07_pr = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_pr),
-									  period3_07_tas = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_tas),
-									  period3_07_tasmax = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_tasmax),
-									  period3_07_tasmin = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_tasmin),
-									  period3_08_pr = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_pr),
-									  period3_08_tas = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_tas),
-									  period3_08_tasmax = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_tasmax),
-									  period3_08_tasmin = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_tasmin),
-									  period3_09_pr = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_pr),
-									  period3_09_tas = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_tas),
-									  period3_09_tasmax = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_tasmax),
-									  period3_09_tasmin = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_tasmin),
-									  period3_10_pr = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_pr),
-									  period3_10_tas = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_tas),
-									  period3_10_tasmax = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_tasmax),
-									  period3_10_tasmin = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_tasmin),
-									  period3_11_pr = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_pr),
-									  period3_11_tas = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_tas),
-									  period3_11_tasmax = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_tasmax),
-									  period3_11_tasmin = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_tasmin),
-									  period3_12_pr = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_pr),
-									  period3_12_tas = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_tas),
-									  period3_12_tasmax = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_tasmax),
-									  period3_12_tasmin = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_tasmin),
-									  period4_bio01 = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio01),
-									  period4_bio02 = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio02),
-									  period4_bio03 = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio03),
-									  period4_bio04 = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio04),
-									  period4_bio05 = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio05),
-									  period4_bio06 = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio06),
-									  period4_bio07 = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio07),
-									  period4_bio08 = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio08),
-									  period4_bio09 = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio09),
-									  period4_bio10 = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio10),
-									  period4_bio11 = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio11),
-									  period4_bio12 = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio12),
-									  period4_bio13 = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio13),
-									  period4_bio14 = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio14),
-									  period4_bio15 = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio15),
-									  period4_bio16 = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio16),
-									  period4_bio17 = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio17),
-									  period4_bio18 = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio18),
-									  period4_bio19 = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio19),
-									  period4_gdd0 = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gdd0),
-									  period4_gdd10 = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gdd10),
-									  period4_gdd5 = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gdd5),
-									  period4_gsl = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gsl),
-									  period4_gsp = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gsp),
-									  period4_gst = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gst),
-									  period4_ngd0 = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_ngd0),
-									  period4_ngd10 = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_ngd10),
-									  period4_ngd5 = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_ngd5),
-									  period4_npp = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_npp),
-									  period4_scd = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_scd),
-									  period4_01_pr = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_pr),
-									  period4_01_tas = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_tas),
-									  period4_01_tasmax = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_tasmax),
-									  period4_01_tasmin = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_tasmin),
-									  period4_02_pr = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_pr),
-									  period4_02_tas = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_tas),
-									  period4_02_tasmax = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_tasmax),
-									  period4_02_tasmin = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_tasmin),
-									  period4_03_pr = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_pr),
-									  period4_03_tas = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_tas),
-									  period4_03_tasmax = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_tasmax),
-									  period4_03_tasmin = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_tasmin),
-									  period4_04_pr = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_pr),
-									  period4_04_tas = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_tas),
-									  period4_04_tasmax = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_tasmax),
-									  period4_04_tasmin = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_tasmin),
-									  period4_05_pr = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_pr),
-									  period4_05_tas = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_tas),
-									  period4_05_tasmax = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_tasmax),
-									  period4_05_tasmin = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_tasmin),
-									  period4_06_pr = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_pr),
-									  period4_06_tas = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_tas),
-									  period4_06_tasmax = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_tasmax),
-									  period4_06_tasmin = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_tasmin),
-									  period4_07_pr = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_pr),
-									  period4_07_tas = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_tas),
-									  period4_07_tasmax = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_tasmax),
-									  period4_07_tasmin = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_tasmin),
-									  period4_08_pr = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_pr),
-									  period4_08_tas = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_tas),
-									  period4_08_tasmax = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_tasmax),
-									  period4_08_tasmin = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_tasmin),
-									  period4_09_pr = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_pr),
-									  period4_09_tas = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_tas),
-									  period4_09_tasmax = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_tasmax),
-									  period4_09_tasmin = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_tasmin),
-									  period4_10_pr = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_pr),
-									  period4_10_tas = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_tas),
-									  period4_10_tasmax = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_tasmax),
-									  period4_10_tasmin = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_tasmin),
-									  period4_11_pr = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_pr),
-									  period4_11_tas = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_tas),
-									  period4_11_tasmax = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_tasmax),
-									  period4_11_tasmin = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_tasmin),
-									  period4_12_pr = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_pr),
-									  period4_12_tas = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_tas),
-									  period4_12_tasmax = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_tasmax),
-									  period4_12_tasmin = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_tasmin)
-				RETURN {
-					count: count,
-					properties: {
-						\`1981-2010\`: {
-							env_climate_ai: period1_ai,
-							env_climate_bio01: period1_bio01,
-							env_climate_bio02: period1_bio02,
-							env_climate_bio03: period1_bio03,
-							env_climate_bio04: period1_bio04,
-							env_climate_bio05: period1_bio05,
-							env_climate_bio06: period1_bio06,
-							env_climate_bio07: period1_bio07,
-							env_climate_bio08: period1_bio08,
-							env_climate_bio09: period1_bio09,
-							env_climate_bio10: period1_bio10,
-							env_climate_bio11: period1_bio11,
-							env_climate_bio12: period1_bio12,
-							env_climate_bio13: period1_bio13,
-							env_climate_bio14: period1_bio14,
-							env_climate_bio15: period1_bio15,
-							env_climate_bio16: period1_bio16,
-							env_climate_bio17: period1_bio17,
-							env_climate_bio18: period1_bio18,
-							env_climate_bio19: period1_bio19,
-							env_climate_clt_max: period1_clt_max,
-							env_climate_clt_mean: period1_clt_mean,
-							env_climate_clt_min: period1_clt_min,
-							env_climate_clt_range: period1_clt_range,
-							env_climate_cmi_max: period1_cmi_max,
-							env_climate_cmi_mean: period1_cmi_mean,
-							env_climate_cmi_min: period1_cmi_min,
-							env_climate_cmi_range: period1_cmi_range,
-							env_climate_fcf: period1_fcf,
-							env_climate_fgd: period1_fgd,
-							env_climate_gdd0: period1_gdd0,
-							env_climate_gdd10: period1_gdd10,
-							env_climate_gdd5: period1_gdd5,
-							env_climate_gddlgd0: period1_gddlgd0,
-							env_climate_gddlgd10: period1_gddlgd10,
-							env_climate_gddlgd5: period1_gddlgd5,
-							env_climate_gdgfgd0: period1_gdgfgd0,
-							env_climate_gdgfgd10: period1_gdgfgd10,
-							env_climate_gdgfgd5: period1_gdgfgd5,
-							env_climate_gsl: period1_gsl,
-							env_climate_gsp: period1_gsp,
-							env_climate_gst: period1_gst,
-							env_climate_hurs_max: period1_hurs_max,
-							env_climate_hurs_mean: period1_hurs_mean,
-							env_climate_hurs_min: period1_hurs_min,
-							env_climate_hurs_range: period1_hurs_range,
-							env_climate_ngd0: period1_ngd0,
-							env_climate_ngd10: period1_ngd10,
-							env_climate_ngd5: period1_ngd5,
-							env_climate_npp: period1_npp,
-							env_climate_pet_penman_max: period1_pet_penman_max,
-							env_climate_pet_penman_mean: period1_pet_penman_mean,
-							env_climate_pet_penman_min: period1_pet_penman_min,
-							env_climate_pet_penman_range: period1_pet_penman_range,
-							env_climate_rsds_max: period1_rsds_max,
-							env_climate_rsds_mean: period1_rsds_mean,
-							env_climate_rsds_min: period1_rsds_min,
-							env_climate_rsds_range: period1_rsds_range,
-							env_climate_scd: period1_scd,
-							env_climate_sfcWind_max: period1_sfcWind_max,
-							env_climate_sfcWind_mean: period1_sfcWind_mean,
-							env_climate_sfcWind_min: period1_sfcWind_min,
-							env_climate_sfcWind_range: period1_sfcWind_range,
-							env_climate_swb: period1_swb,
-							env_climate_swe: period1_swe,
-							env_climate_vpd_max: period1_vpd_max,
-							env_climate_vpd_mean: period1_vpd_mean,
-							env_climate_vpd_min: period1_vpd_min,
-							env_climate_vpd_range: period1_vpd_range,
-							std_date_span_month: [
-								{
-									std_month: 1,
-									env_climate_pr: 	period1_01_pr,
-									env_climate_tas: 	period1_01_tas,
-									env_climate_tasmax: period1_01_tasmax,
-									env_climate_tasmin: period1_01_tasmin
-								},
-								{
-									std_month: 2,
-									env_climate_pr: 	period1_02_pr,
-									env_climate_tas: 	period1_02_tas,
-									env_climate_tasmax: period1_02_tasmax,
-									env_climate_tasmin: period1_02_tasmin
-								},
-								{
-									std_month: 3,
-									env_climate_pr: 	period1_03_pr,
-									env_climate_tas: 	period1_03_tas,
-									env_climate_tasmax: period1_03_tasmax,
-									env_climate_tasmin: period1_03_tasmin
-								},
-								{
-									std_month: 4,
-									env_climate_pr: 	period1_04_pr,
-									env_climate_tas: 	period1_04_tas,
-									env_climate_tasmax: period1_04_tasmax,
-									env_climate_tasmin: period1_04_tasmin
-								},
-								{
-									std_month: 5,
-									env_climate_pr: 	period1_05_pr,
-									env_climate_tas: 	period1_05_tas,
-									env_climate_tasmax: period1_05_tasmax,
-									env_climate_tasmin: period1_05_tasmin
-								},
-								{
-									std_month: 6,
-									env_climate_pr: 	period1_06_pr,
-									env_climate_tas: 	period1_06_tas,
-									env_climate_tasmax: period1_06_tasmax,
-									env_climate_tasmin: period1_06_tasmin
-								},
-								{
-									std_month: 7,
-									env_climate_pr: 	period1_07_pr,
-									env_climate_tas: 	period1_07_tas,
-									env_climate_tasmax: period1_07_tasmax,
-									env_climate_tasmin: period1_07_tasmin
-								},
-								{
-									std_month: 8,
-									env_climate_pr: 	period1_08_pr,
-									env_climate_tas: 	period1_08_tas,
-									env_climate_tasmax: period1_08_tasmax,
-									env_climate_tasmin: period1_08_tasmin
-								},
-								{
-									std_month: 9,
-									env_climate_pr: 	period1_09_pr,
-									env_climate_tas: 	period1_09_tas,
-									env_climate_tasmax: period1_09_tasmax,
-									env_climate_tasmin: period1_09_tasmin
-								},
-								{
-									std_month: 10,
-									env_climate_pr: 	period1_10_pr,
-									env_climate_tas: 	period1_10_tas,
-									env_climate_tasmax: period1_10_tasmax,
-									env_climate_tasmin: period1_10_tasmin
-								},
-								{
-									std_month: 11,
-									env_climate_pr: 	period1_11_pr,
-									env_climate_tas: 	period1_11_tas,
-									env_climate_tasmax: period1_11_tasmax,
-									env_climate_tasmin: period1_11_tasmin
-								},
-								{
-									std_month: 12,
-									env_climate_pr: 	period1_12_pr,
-									env_climate_tas: 	period1_12_tas,
-									env_climate_tasmax: period1_12_tasmax,
-									env_climate_tasmin: period1_12_tasmin
-								}
-							]
-						},
-						\`2011-2040\`: {
-							\`MPI-ESM1-2-HR\`: {
-								ssp370: {
-									env_climate_bio01: period2_bio01,
-									env_climate_bio02: period2_bio02,
-									env_climate_bio03: period2_bio03,
-									env_climate_bio04: period2_bio04,
-									env_climate_bio05: period2_bio05,
-									env_climate_bio06: period2_bio06,
-									env_climate_bio07: period2_bio07,
-									env_climate_bio08: period2_bio08,
-									env_climate_bio09: period2_bio09,
-									env_climate_bio10: period2_bio10,
-									env_climate_bio11: period2_bio11,
-									env_climate_bio12: period2_bio12,
-									env_climate_bio13: period2_bio13,
-									env_climate_bio14: period2_bio14,
-									env_climate_bio15: period2_bio15,
-									env_climate_bio16: period2_bio16,
-									env_climate_bio17: period2_bio17,
-									env_climate_bio18: period2_bio18,
-									env_climate_bio19: period2_bio19,
-									env_climate_gdd0: period2_gdd0,
-									env_climate_gdd10: period2_gdd10,
-									env_climate_gdd5: period2_gdd5,
-									env_climate_gsl: period2_gsl,
-									env_climate_gsp: period2_gsp,
-									env_climate_gst: period2_gst,
-									env_climate_ngd0: period2_ngd0,
-									env_climate_ngd10: period2_ngd10,
-									env_climate_ngd5: period2_ngd5,
-									env_climate_npp: period2_npp,
-									env_climate_scd: period2_scd,
-									std_date_span_month: [
-										{
-											std_month: 1,
-											env_climate_pr: 	period2_01_pr,
-											env_climate_tas: 	period2_01_tas,
-											env_climate_tasmax: period2_01_tasmax,
-											env_climate_tasmin: period2_01_tasmin
-										},
-										{
-											std_month: 2,
-											env_climate_pr: 	period2_02_pr,
-											env_climate_tas: 	period2_02_tas,
-											env_climate_tasmax: period2_02_tasmax,
-											env_climate_tasmin: period2_02_tasmin
-										},
-										{
-											std_month: 3,
-											env_climate_pr: 	period2_03_pr,
-											env_climate_tas: 	period2_03_tas,
-											env_climate_tasmax: period2_03_tasmax,
-											env_climate_tasmin: period2_03_tasmin
-										},
-										{
-											std_month: 4,
-											env_climate_pr: 	period2_04_pr,
-											env_climate_tas: 	period2_04_tas,
-											env_climate_tasmax: period2_04_tasmax,
-											env_climate_tasmin: period2_04_tasmin
-										},
-										{
-											std_month: 5,
-											env_climate_pr: 	period2_05_pr,
-											env_climate_tas: 	period2_05_tas,
-											env_climate_tasmax: period2_05_tasmax,
-											env_climate_tasmin: period2_05_tasmin
-										},
-										{
-											std_month: 6,
-											env_climate_pr: 	period2_06_pr,
-											env_climate_tas: 	period2_06_tas,
-											env_climate_tasmax: period2_06_tasmax,
-											env_climate_tasmin: period2_06_tasmin
-										},
-										{
-											std_month: 7,
-											env_climate_pr: 	period2_07_pr,
-											env_climate_tas: 	period2_07_tas,
-											env_climate_tasmax: period2_07_tasmax,
-											env_climate_tasmin: period2_07_tasmin
-										},
-										{
-											std_month: 8,
-											env_climate_pr: 	period2_08_pr,
-											env_climate_tas: 	period2_08_tas,
-											env_climate_tasmax: period2_08_tasmax,
-											env_climate_tasmin: period2_08_tasmin
-										},
-										{
-											std_month: 9,
-											env_climate_pr: 	period2_09_pr,
-											env_climate_tas: 	period2_09_tas,
-											env_climate_tasmax: period2_09_tasmax,
-											env_climate_tasmin: period2_09_tasmin
-										},
-										{
-											std_month: 10,
-											env_climate_pr: 	period2_10_pr,
-											env_climate_tas: 	period2_10_tas,
-											env_climate_tasmax: period2_10_tasmax,
-											env_climate_tasmin: period2_10_tasmin
-										},
-										{
-											std_month: 11,
-											env_climate_pr: 	period2_11_pr,
-											env_climate_tas: 	period2_11_tas,
-											env_climate_tasmax: period2_11_tasmax,
-											env_climate_tasmin: period2_11_tasmin
-										},
-										{
-											std_month: 12,
-											env_climate_pr: 	period2_12_pr,
-											env_climate_tas: 	period2_12_tas,
-											env_climate_tasmax: period2_12_tasmax,
-											env_climate_tasmin: period2_12_tasmin
-										}
-									]
-								}
-							}
-						},
-						\`2041-2070\`: {
-							\`MPI-ESM1-2-HR\`: {
-								ssp370: {
-									env_climate_bio01: period3_bio01,
-									env_climate_bio02: period3_bio02,
-									env_climate_bio03: period3_bio03,
-									env_climate_bio04: period3_bio04,
-									env_climate_bio05: period3_bio05,
-									env_climate_bio06: period3_bio06,
-									env_climate_bio07: period3_bio07,
-									env_climate_bio08: period3_bio08,
-									env_climate_bio09: period3_bio09,
-									env_climate_bio10: period3_bio10,
-									env_climate_bio11: period3_bio11,
-									env_climate_bio12: period3_bio12,
-									env_climate_bio13: period3_bio13,
-									env_climate_bio14: period3_bio14,
-									env_climate_bio15: period3_bio15,
-									env_climate_bio16: period3_bio16,
-									env_climate_bio17: period3_bio17,
-									env_climate_bio18: period3_bio18,
-									env_climate_bio19: period3_bio19,
-									env_climate_gdd0: period3_gdd0,
-									env_climate_gdd10: period3_gdd10,
-									env_climate_gdd5: period3_gdd5,
-									env_climate_gsl: period3_gsl,
-									env_climate_gsp: period3_gsp,
-									env_climate_gst: period3_gst,
-									env_climate_ngd0: period3_ngd0,
-									env_climate_ngd10: period3_ngd10,
-									env_climate_ngd5: period3_ngd5,
-									env_climate_npp: period3_npp,
-									env_climate_scd: period3_scd,
-									std_date_span_month: [
-										{
-											std_month: 1,
-											env_climate_pr: 	period3_01_pr,
-											env_climate_tas: 	period3_01_tas,
-											env_climate_tasmax: period3_01_tasmax,
-											env_climate_tasmin: period3_01_tasmin
-										},
-										{
-											std_month: 2,
-											env_climate_pr: 	period3_02_pr,
-											env_climate_tas: 	period3_02_tas,
-											env_climate_tasmax: period3_02_tasmax,
-											env_climate_tasmin: period3_02_tasmin
-										},
-										{
-											std_month: 3,
-											env_climate_pr: 	period3_03_pr,
-											env_climate_tas: 	period3_03_tas,
-											env_climate_tasmax: period3_03_tasmax,
-											env_climate_tasmin: period3_03_tasmin
-										},
-										{
-											std_month: 4,
-											env_climate_pr: 	period3_04_pr,
-											env_climate_tas: 	period3_04_tas,
-											env_climate_tasmax: period3_04_tasmax,
-											env_climate_tasmin: period3_04_tasmin
-										},
-										{
-											std_month: 5,
-											env_climate_pr: 	period3_05_pr,
-											env_climate_tas: 	period3_05_tas,
-											env_climate_tasmax: period3_05_tasmax,
-											env_climate_tasmin: period3_05_tasmin
-										},
-										{
-											std_month: 6,
-											env_climate_pr: 	period3_06_pr,
-											env_climate_tas: 	period3_06_tas,
-											env_climate_tasmax: period3_06_tasmax,
-											env_climate_tasmin: period3_06_tasmin
-										},
-										{
-											std_month: 7,
-											env_climate_pr: 	period3_07_pr,
-											env_climate_tas: 	period3_07_tas,
-											env_climate_tasmax: period3_07_tasmax,
-											env_climate_tasmin: period3_07_tasmin
-										},
-										{
-											std_month: 8,
-											env_climate_pr: 	period3_08_pr,
-											env_climate_tas: 	period3_08_tas,
-											env_climate_tasmax: period3_08_tasmax,
-											env_climate_tasmin: period3_08_tasmin
-										},
-										{
-											std_month: 9,
-											env_climate_pr: 	period3_09_pr,
-											env_climate_tas: 	period3_09_tas,
-											env_climate_tasmax: period3_09_tasmax,
-											env_climate_tasmin: period3_09_tasmin
-										},
-										{
-											std_month: 10,
-											env_climate_pr: 	period3_10_pr,
-											env_climate_tas: 	period3_10_tas,
-											env_climate_tasmax: period3_10_tasmax,
-											env_climate_tasmin: period3_10_tasmin
-										},
-										{
-											std_month: 11,
-											env_climate_pr: 	period3_11_pr,
-											env_climate_tas: 	period3_11_tas,
-											env_climate_tasmax: period3_11_tasmax,
-											env_climate_tasmin: period3_11_tasmin
-										},
-										{
-											std_month: 12,
-											env_climate_pr: 	period3_12_pr,
-											env_climate_tas: 	period3_12_tas,
-											env_climate_tasmax: period3_12_tasmax,
-											env_climate_tasmin: period3_12_tasmin
-										}
-									]
-								}
-							}
-						},
-						\`2071-2100\`: {
-							\`MPI-ESM1-2-HR\`: {
-								ssp370: {
-									env_climate_bio01: period4_bio01,
-									env_climate_bio02: period4_bio02,
-									env_climate_bio03: period4_bio03,
-									env_climate_bio04: period4_bio04,
-									env_climate_bio05: period4_bio05,
-									env_climate_bio06: period4_bio06,
-									env_climate_bio07: period4_bio07,
-									env_climate_bio08: period4_bio08,
-									env_climate_bio09: period4_bio09,
-									env_climate_bio10: period4_bio10,
-									env_climate_bio11: period4_bio11,
-									env_climate_bio12: period4_bio12,
-									env_climate_bio13: period4_bio13,
-									env_climate_bio14: period4_bio14,
-									env_climate_bio15: period4_bio15,
-									env_climate_bio16: period4_bio16,
-									env_climate_bio17: period4_bio17,
-									env_climate_bio18: period4_bio18,
-									env_climate_bio19: period4_bio19,
-									env_climate_gdd0: period4_gdd0,
-									env_climate_gdd10: period4_gdd10,
-									env_climate_gdd5: period4_gdd5,
-									env_climate_gsl: period4_gsl,
-									env_climate_gsp: period4_gsp,
-									env_climate_gst: period4_gst,
-									env_climate_ngd0: period4_ngd0,
-									env_climate_ngd10: period4_ngd10,
-									env_climate_ngd5: period4_ngd5,
-									env_climate_npp: period4_npp,
-									env_climate_scd: period4_scd,
-									std_date_span_month: [
-										{
-											std_month: 1,
-											env_climate_pr: 	period4_01_pr,
-											env_climate_tas: 	period4_01_tas,
-											env_climate_tasmax: period4_01_tasmax,
-											env_climate_tasmin: period4_01_tasmin
-										},
-										{
-											std_month: 2,
-											env_climate_pr: 	period4_02_pr,
-											env_climate_tas: 	period4_02_tas,
-											env_climate_tasmax: period4_02_tasmax,
-											env_climate_tasmin: period4_02_tasmin
-										},
-										{
-											std_month: 3,
-											env_climate_pr: 	period4_03_pr,
-											env_climate_tas: 	period4_03_tas,
-											env_climate_tasmax: period4_03_tasmax,
-											env_climate_tasmin: period4_03_tasmin
-										},
-										{
-											std_month: 4,
-											env_climate_pr: 	period4_04_pr,
-											env_climate_tas: 	period4_04_tas,
-											env_climate_tasmax: period4_04_tasmax,
-											env_climate_tasmin: period4_04_tasmin
-										},
-										{
-											std_month: 5,
-											env_climate_pr: 	period4_05_pr,
-											env_climate_tas: 	period4_05_tas,
-											env_climate_tasmax: period4_05_tasmax,
-											env_climate_tasmin: period4_05_tasmin
-										},
-										{
-											std_month: 6,
-											env_climate_pr: 	period4_06_pr,
-											env_climate_tas: 	period4_06_tas,
-											env_climate_tasmax: period4_06_tasmax,
-											env_climate_tasmin: period4_06_tasmin
-										},
-										{
-											std_month: 7,
-											env_climate_pr: 	period4_07_pr,
-											env_climate_tas: 	period4_07_tas,
-											env_climate_tasmax: period4_07_tasmax,
-											env_climate_tasmin: period4_07_tasmin
-										},
-										{
-											std_month: 8,
-											env_climate_pr: 	period4_08_pr,
-											env_climate_tas: 	period4_08_tas,
-											env_climate_tasmax: period4_08_tasmax,
-											env_climate_tasmin: period4_08_tasmin
-										},
-										{
-											std_month: 9,
-											env_climate_pr: 	period4_09_pr,
-											env_climate_tas: 	period4_09_tas,
-											env_climate_tasmax: period4_09_tasmax,
-											env_climate_tasmin: period4_09_tasmin
-										},
-										{
-											std_month: 10,
-											env_climate_pr: 	period4_10_pr,
-											env_climate_tas: 	period4_10_tas,
-											env_climate_tasmax: period4_10_tasmax,
-											env_climate_tasmin: period4_10_tasmin
-										},
-										{
-											std_month: 11,
-											env_climate_pr: 	period4_11_pr,
-											env_climate_tas: 	period4_11_tas,
-											env_climate_tasmax: period4_11_tasmax,
-											env_climate_tasmin: period4_11_tasmin
-										},
-										{
-											std_month: 12,
-											env_climate_pr: 	period4_12_pr,
-											env_climate_tas: 	period4_12_tas,
-											env_climate_tasmax: period4_12_tasmax,
-											env_climate_tasmin: period4_12_tasmin
-										}
-									]
-								}
-							}
-						}
-					}
-				}
-			`
-			break
-
-		///
-		// Return selection maximum.
-		///
-		case 'MAX':
-			query = aql`
-				LET target = ${theGeometry}
-				FOR doc IN ${theCollectionMap}
-					FILTER GEO_CONTAINS(${theGeometry}, doc.geometry)
-					FOR dat IN ${theCollection}
-						FILTER dat._key == doc._key
-						COLLECT AGGREGATE count = COUNT(),
-									  period1_ai = MAX(dat.properties.\`1981-2010\`.env_climate_ai),
-									  period1_bio01 = MAX(dat.properties.\`1981-2010\`.env_climate_bio01),
-									  period1_bio02 = MAX(dat.properties.\`1981-2010\`.env_climate_bio02),
-									  period1_bio03 = MAX(dat.properties.\`1981-2010\`.env_climate_bio03),
-									  period1_bio04 = MAX(dat.properties.\`1981-2010\`.env_climate_bio04),
-									  period1_bio05 = MAX(dat.properties.\`1981-2010\`.env_climate_bio05),
-									  period1_bio06 = MAX(dat.properties.\`1981-2010\`.env_climate_bio06),
-									  period1_bio07 = MAX(dat.properties.\`1981-2010\`.env_climate_bio07),
-									  period1_bio08 = MAX(dat.properties.\`1981-2010\`.env_climate_bio08),
-									  period1_bio09 = MAX(dat.properties.\`1981-2010\`.env_climate_bio09),
-									  period1_bio10 = MAX(dat.properties.\`1981-2010\`.env_climate_bio10),
-									  period1_bio11 = MAX(dat.properties.\`1981-2010\`.env_climate_bio11),
-									  period1_bio12 = MAX(dat.properties.\`1981-2010\`.env_climate_bio12),
-									  period1_bio13 = MAX(dat.properties.\`1981-2010\`.env_climate_bio13),
-									  period1_bio14 = MAX(dat.properties.\`1981-2010\`.env_climate_bio14),
-									  period1_bio15 = MAX(dat.properties.\`1981-2010\`.env_climate_bio15),
-									  period1_bio16 = MAX(dat.properties.\`1981-2010\`.env_climate_bio16),
-									  period1_bio17 = MAX(dat.properties.\`1981-2010\`.env_climate_bio17),
-									  period1_bio18 = MAX(dat.properties.\`1981-2010\`.env_climate_bio18),
-									  period1_bio19 = MAX(dat.properties.\`1981-2010\`.env_climate_bio19),
-									  period1_clt_max = MAX(dat.properties.\`1981-2010\`.env_climate_clt_max),
-									  period1_clt_mean = MAX(dat.properties.\`1981-2010\`.env_climate_clt_mean),
-									  period1_clt_min = MAX(dat.properties.\`1981-2010\`.env_climate_clt_min),
-									  period1_clt_range = MAX(dat.properties.\`1981-2010\`.env_climate_clt_range),
-									  period1_cmi_max = MAX(dat.properties.\`1981-2010\`.env_climate_cmi_max),
-									  period1_cmi_mean = MAX(dat.properties.\`1981-2010\`.env_climate_cmi_mean),
-									  period1_cmi_min = MAX(dat.properties.\`1981-2010\`.env_climate_cmi_min),
-									  period1_cmi_range = MAX(dat.properties.\`1981-2010\`.env_climate_cmi_range),
-									  period1_fcf =  MAX(dat.properties.\`1981-2010\`.env_climate_fcf),
-									  period1_fgd =  MAX(dat.properties.\`1981-2010\`.env_climate_fgd),
-									  period1_gdd0 =  MAX(dat.properties.\`1981-2010\`.env_climate_gdd0),
-									  period1_gdd10 = MAX(dat.properties.\`1981-2010\`.env_climate_gdd10),
-									  period1_gdd5 = MAX(dat.properties.\`1981-2010\`.env_climate_gdd5),
-									  period1_gddlgd0 = MAX(dat.properties.\`1981-2010\`.env_climate_gddlgd0),
-									  period1_gddlgd10 = MAX(dat.properties.\`1981-2010\`.env_climate_gddlgd10),
-									  period1_gddlgd5 = MAX(dat.properties.\`1981-2010\`.env_climate_gddlgd5),
-									  period1_gdgfgd0 = MAX(dat.properties.\`1981-2010\`.env_climate_gdgfgd0),
-									  period1_gdgfgd10 = MAX(dat.properties.\`1981-2010\`.env_climate_gdgfgd10),
-									  period1_gdgfgd5 = MAX(dat.properties.\`1981-2010\`.env_climate_gdgfgd5),
-									  period1_gsl = MAX(dat.properties.\`1981-2010\`.env_climate_gsl),
-									  period1_gsp = MAX(dat.properties.\`1981-2010\`.env_climate_gsp),
-									  period1_gst = MAX(dat.properties.\`1981-2010\`.env_climate_gst),
-									  period1_hurs_max = MAX(dat.properties.\`1981-2010\`.env_climate_hurs_max),
-									  period1_hurs_mean = MAX(dat.properties.\`1981-2010\`.env_climate_hurs_mean),
-									  period1_hurs_min = MAX(dat.properties.\`1981-2010\`.env_climate_hurs_min),
-									  period1_hurs_range = MAX(dat.properties.\`1981-2010\`.env_climate_hurs_range),
-									  period1_ngd0 = MAX(dat.properties.\`1981-2010\`.env_climate_ngd0),
-									  period1_ngd10 = MAX(dat.properties.\`1981-2010\`.env_climate_ngd10),
-									  period1_ngd5 = MAX(dat.properties.\`1981-2010\`.env_climate_ngd5),
-									  period1_npp = MAX(dat.properties.\`1981-2010\`.env_climate_npp),
-									  period1_pet_penman_max = MAX(dat.properties.\`1981-2010\`.env_climate_pet_penman_max),
-									  period1_pet_penman_mean = MAX(dat.properties.\`1981-2010\`.env_climate_pet_penman_mean),
-									  period1_pet_penman_min = MAX(dat.properties.\`1981-2010\`.env_climate_pet_penman_min),
-									  period1_pet_penman_range = MAX(dat.properties.\`1981-2010\`.env_climate_pet_penman_range),
-									  period1_rsds_max = MAX(dat.properties.\`1981-2010\`.env_climate_rsds_max),
-									  period1_rsds_mean = MAX(dat.properties.\`1981-2010\`.env_climate_rsds_mean),
-									  period1_rsds_min = MAX(dat.properties.\`1981-2010\`.env_climate_rsds_min),
-									  period1_rsds_range = MAX(dat.properties.\`1981-2010\`.env_climate_rsds_range),
-									  period1_scd = MAX(dat.properties.\`1981-2010\`.env_climate_scd),
-									  period1_sfcWind_max = MAX(dat.properties.\`1981-2010\`.env_climate_sfcWind_max),
-									  period1_sfcWind_mean = MAX(dat.properties.\`1981-2010\`.env_climate_sfcWind_mean),
-									  period1_sfcWind_min = MAX(dat.properties.\`1981-2010\`.env_climate_sfcWind_min),
-									  period1_sfcWind_range = MAX(dat.properties.\`1981-2010\`.env_climate_sfcWind_range),
-									  period1_swb = MAX(dat.properties.\`1981-2010\`.env_climate_swb),
-									  period1_swe = MAX(dat.properties.\`1981-2010\`.env_climate_swe),
-									  period1_vpd_max = MAX(dat.properties.\`1981-2010\`.env_climate_vpd_max),
-									  period1_vpd_mean = MAX(dat.properties.\`1981-2010\`.env_climate_vpd_mean),
-									  period1_vpd_min = MAX(dat.properties.\`1981-2010\`.env_climate_vpd_min),
-									  period1_vpd_range = MAX(dat.properties.\`1981-2010\`.env_climate_vpd_range),
-									  period1_01_pr = MAX(dat.properties.\`1981-2010\`.std_date_span_month[0].env_climate_pr),
-									  period1_01_tas = MAX(dat.properties.\`1981-2010\`.std_date_span_month[0].env_climate_tas),
-									  period1_01_tasmax = MAX(dat.properties.\`1981-2010\`.std_date_span_month[0].env_climate_tasmax),
-									  period1_01_tasmin = MAX(dat.properties.\`1981-2010\`.std_date_span_month[0].env_climate_tasmin),
-									  period1_02_pr = MAX(dat.properties.\`1981-2010\`.std_date_span_month[1].env_climate_pr),
-									  period1_02_tas = MAX(dat.properties.\`1981-2010\`.std_date_span_month[1].env_climate_tas),
-									  period1_02_tasmax = MAX(dat.properties.\`1981-2010\`.std_date_span_month[1].env_climate_tasmax),
-									  period1_02_tasmin = MAX(dat.properties.\`1981-2010\`.std_date_span_month[1].env_climate_tasmin),
-									  period1_03_pr = MAX(dat.properties.\`1981-2010\`.std_date_span_month[2].env_climate_pr),
-									  period1_03_tas = MAX(dat.properties.\`1981-2010\`.std_date_span_month[2].env_climate_tas),
-									  period1_03_tasmax = MAX(dat.properties.\`1981-2010\`.std_date_span_month[2].env_climate_tasmax),
-									  period1_03_tasmin = MAX(dat.properties.\`1981-2010\`.std_date_span_month[2].env_climate_tasmin),
-									  period1_04_pr = MAX(dat.properties.\`1981-2010\`.std_date_span_month[3].env_climate_pr),
-									  period1_04_tas = MAX(dat.properties.\`1981-2010\`.std_date_span_month[3].env_climate_tas),
-									  period1_04_tasmax = MAX(dat.properties.\`1981-2010\`.std_date_span_month[3].env_climate_tasmax),
-									  period1_04_tasmin = MAX(dat.properties.\`1981-2010\`.std_date_span_month[3].env_climate_tasmin),
-									  period1_05_pr = MAX(dat.properties.\`1981-2010\`.std_date_span_month[4].env_climate_pr),
-									  period1_05_tas = MAX(dat.properties.\`1981-2010\`.std_date_span_month[4].env_climate_tas),
-									  period1_05_tasmax = MAX(dat.properties.\`1981-2010\`.std_date_span_month[4].env_climate_tasmax),
-									  period1_05_tasmin = MAX(dat.properties.\`1981-2010\`.std_date_span_month[4].env_climate_tasmin),
-									  period1_06_pr = MAX(dat.properties.\`1981-2010\`.std_date_span_month[5].env_climate_pr),
-									  period1_06_tas = MAX(dat.properties.\`1981-2010\`.std_date_span_month[5].env_climate_tas),
-									  period1_06_tasmax = MAX(dat.properties.\`1981-2010\`.std_date_span_month[5].env_climate_tasmax),
-									  period1_06_tasmin = MAX(dat.properties.\`1981-2010\`.std_date_span_month[5].env_climate_tasmin),
-									  period1_07_pr = MAX(dat.properties.\`1981-2010\`.std_date_span_month[6].env_climate_pr),
-									  period1_07_tas = MAX(dat.properties.\`1981-2010\`.std_date_span_month[6].env_climate_tas),
-									  period1_07_tasmax = MAX(dat.properties.\`1981-2010\`.std_date_span_month[6].env_climate_tasmax),
-									  period1_07_tasmin = MAX(dat.properties.\`1981-2010\`.std_date_span_month[6].env_climate_tasmin),
-									  period1_08_pr = MAX(dat.properties.\`1981-2010\`.std_date_span_month[7].env_climate_pr),
-									  period1_08_tas = MAX(dat.properties.\`1981-2010\`.std_date_span_month[7].env_climate_tas),
-									  period1_08_tasmax = MAX(dat.properties.\`1981-2010\`.std_date_span_month[7].env_climate_tasmax),
-									  period1_08_tasmin = MAX(dat.properties.\`1981-2010\`.std_date_span_month[7].env_climate_tasmin),
-									  period1_09_pr = MAX(dat.properties.\`1981-2010\`.std_date_span_month[8].env_climate_pr),
-									  period1_09_tas = MAX(dat.properties.\`1981-2010\`.std_date_span_month[8].env_climate_tas),
-									  period1_09_tasmax = MAX(dat.properties.\`1981-2010\`.std_date_span_month[8].env_climate_tasmax),
-									  period1_09_tasmin = MAX(dat.properties.\`1981-2010\`.std_date_span_month[8].env_climate_tasmin),
-									  period1_10_pr = MAX(dat.properties.\`1981-2010\`.std_date_span_month[9].env_climate_pr),
-									  period1_10_tas = MAX(dat.properties.\`1981-2010\`.std_date_span_month[9].env_climate_tas),
-									  period1_10_tasmax = MAX(dat.properties.\`1981-2010\`.std_date_span_month[9].env_climate_tasmax),
-									  period1_10_tasmin = MAX(dat.properties.\`1981-2010\`.std_date_span_month[9].env_climate_tasmin),
-									  period1_11_pr = MAX(dat.properties.\`1981-2010\`.std_date_span_month[10].env_climate_pr),
-									  period1_11_tas = MAX(dat.properties.\`1981-2010\`.std_date_span_month[10].env_climate_tas),
-									  period1_11_tasmax = MAX(dat.properties.\`1981-2010\`.std_date_span_month[10].env_climate_tasmax),
-									  period1_11_tasmin = MAX(dat.properties.\`1981-2010\`.std_date_span_month[10].env_climate_tasmin),
-									  period1_12_pr = MAX(dat.properties.\`1981-2010\`.std_date_span_month[11].env_climate_pr),
-									  period1_12_tas = MAX(dat.properties.\`1981-2010\`.std_date_span_month[11].env_climate_tas),
-									  period1_12_tasmax = MAX(dat.properties.\`1981-2010\`.std_date_span_month[11].env_climate_tasmax),
-									  period1_12_tasmin = MAX(dat.properties.\`1981-2010\`.std_date_span_month[11].env_climate_tasmin),
-									  period2_bio01 = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio01),
-									  period2_bio02 = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio02),
-									  period2_bio03 = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio03),
-									  period2_bio04 = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio04),
-									  period2_bio05 = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio05),
-									  period2_bio06 = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio06),
-									  period2_bio07 = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio07),
-									  period2_bio08 = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio08),
-									  period2_bio09 = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio09),
-									  period2_bio10 = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio10),
-									  period2_bio11 = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio11),
-									  period2_bio12 = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio12),
-									  period2_bio13 = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio13),
-									  period2_bio14 = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio14),
-									  period2_bio15 = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio15),
-									  period2_bio16 = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio16),
-									  period2_bio17 = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio17),
-									  period2_bio18 = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio18),
-									  period2_bio19 = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio19),
-									  period2_gdd0 = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gdd0),
-									  period2_gdd10 = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gdd10),
-									  period2_gdd5 = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gdd5),
-									  period2_gsl = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gsl),
-									  period2_gsp = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gsp),
-									  period2_gst = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gst),
-									  period2_ngd0 = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_ngd0),
-									  period2_ngd10 = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_ngd10),
-									  period2_ngd5 = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_ngd5),
-									  period2_npp = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_npp),
-									  period2_scd = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_scd),
-									  period2_01_pr = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_pr),
-									  period2_01_tas = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_tas),
-									  period2_01_tasmax = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_tasmax),
-									  period2_01_tasmin = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_tasmin),
-									  period2_02_pr = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_pr),
-									  period2_02_tas = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_tas),
-									  period2_02_tasmax = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_tasmax),
-									  period2_02_tasmin = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_tasmin),
-									  period2_03_pr = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_pr),
-									  period2_03_tas = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_tas),
-									  period2_03_tasmax = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_tasmax),
-									  period2_03_tasmin = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_tasmin),
-									  period2_04_pr = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_pr),
-									  period2_04_tas = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_tas),
-									  period2_04_tasmax = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_tasmax),
-									  period2_04_tasmin = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_tasmin),
-									  period2_05_pr = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_pr),
-									  period2_05_tas = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_tas),
-									  period2_05_tasmax = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_tasmax),
-									  period2_05_tasmin = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_tasmin),
-									  period2_06_pr = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_pr),
-									  period2_06_tas = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_tas),
-									  period2_06_tasmax = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_tasmax),
-									  period2_06_tasmin = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_tasmin),
-									  period2_07_pr = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_pr),
-									  period2_07_tas = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_tas),
-									  period2_07_tasmax = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_tasmax),
-									  period2_07_tasmin = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_tasmin),
-									  period2_08_pr = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_pr),
-									  period2_08_tas = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_tas),
-									  period2_08_tasmax = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_tasmax),
-									  period2_08_tasmin = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_tasmin),
-									  period2_09_pr = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_pr),
-									  period2_09_tas = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_tas),
-									  period2_09_tasmax = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_tasmax),
-									  period2_09_tasmin = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_tasmin),
-									  period2_10_pr = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_pr),
-									  period2_10_tas = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_tas),
-									  period2_10_tasmax = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_tasmax),
-									  period2_10_tasmin = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_tasmin),
-									  period2_11_pr = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_pr),
-									  period2_11_tas = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_tas),
-									  period2_11_tasmax = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_tasmax),
-									  period2_11_tasmin = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_tasmin),
-									  period2_12_pr = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_pr),
-									  period2_12_tas = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_tas),
-									  period2_12_tasmax = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_tasmax),
-									  period2_12_tasmin = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_tasmin),
-									  period3_bio01 = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio01),
-									  period3_bio02 = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio02),
-									  period3_bio03 = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio03),
-									  period3_bio04 = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio04),
-									  period3_bio05 = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio05),
-									  period3_bio06 = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio06),
-									  period3_bio07 = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio07),
-									  period3_bio08 = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio08),
-									  period3_bio09 = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio09),
-									  period3_bio10 = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio10),
-									  period3_bio11 = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio11),
-									  period3_bio12 = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio12),
-									  period3_bio13 = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio13),
-									  period3_bio14 = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio14),
-									  period3_bio15 = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio15),
-									  period3_bio16 = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio16),
-									  period3_bio17 = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio17),
-									  period3_bio18 = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio18),
-									  period3_bio19 = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio19),
-									  period3_gdd0 = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gdd0),
-									  period3_gdd10 = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gdd10),
-									  period3_gdd5 = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gdd5),
-									  period3_gsl = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gsl),
-									  period3_gsp = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gsp),
-									  period3_gst = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gst),
-									  period3_ngd0 = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_ngd0),
-									  period3_ngd10 = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_ngd10),
-									  period3_ngd5 = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_ngd5),
-									  period3_npp = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_npp),
-									  period3_scd = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_scd),
-									  period3_01_pr = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_pr),
-									  period3_01_tas = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_tas),
-									  period3_01_tasmax = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_tasmax),
-									  period3_01_tasmin = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_tasmin),
-									  period3_02_pr = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_pr),
-									  period3_02_tas = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_tas),
-									  period3_02_tasmax = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_tasmax),
-									  period3_02_tasmin = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_tasmin),
-									  period3_03_pr = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_pr),
-									  period3_03_tas = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_tas),
-									  period3_03_tasmax = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_tasmax),
-									  period3_03_tasmin = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_tasmin),
-									  period3_04_pr = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_pr),
-									  period3_04_tas = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_tas),
-									  period3_04_tasmax = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_tasmax),
-									  period3_04_tasmin = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_tasmin),
-									  period3_05_pr = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_pr),
-									  period3_05_tas = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_tas),
-									  period3_05_tasmax = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_tasmax),
-									  period3_05_tasmin = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_tasmin),
-									  period3_06_pr = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_pr),
-									  period3_06_tas = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_tas),
-									  period3_06_tasmax = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_tasmax),
-									  period3_06_tasmin = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_tasmin),
-									  period3_07_pr = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_pr),
-									  period3_07_tas = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_tas),
-									  period3_07_tasmax = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_tasmax),
-									  period3_07_tasmin = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_tasmin),
-									  period3_08_pr = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_pr),
-									  period3_08_tas = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_tas),
-									  period3_08_tasmax = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_tasmax),
-									  period3_08_tasmin = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_tasmin),
-									  period3_09_pr = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_pr),
-									  period3_09_tas = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_tas),
-									  period3_09_tasmax = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_tasmax),
-									  period3_09_tasmin = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_tasmin),
-									  period3_10_pr = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_pr),
-									  period3_10_tas = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_tas),
-									  period3_10_tasmax = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_tasmax),
-									  period3_10_tasmin = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_tasmin),
-									  period3_11_pr = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_pr),
-									  period3_11_tas = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_tas),
-									  period3_11_tasmax = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_tasmax),
-									  period3_11_tasmin = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_tasmin),
-									  period3_12_pr = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_pr),
-									  period3_12_tas = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_tas),
-									  period3_12_tasmax = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_tasmax),
-									  period3_12_tasmin = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_tasmin),
-									  period4_bio01 = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio01),
-									  period4_bio02 = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio02),
-									  period4_bio03 = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio03),
-									  period4_bio04 = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio04),
-									  period4_bio05 = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio05),
-									  period4_bio06 = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio06),
-									  period4_bio07 = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio07),
-									  period4_bio08 = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio08),
-									  period4_bio09 = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio09),
-									  period4_bio10 = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio10),
-									  period4_bio11 = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio11),
-									  period4_bio12 = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio12),
-									  period4_bio13 = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio13),
-									  period4_bio14 = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio14),
-									  period4_bio15 = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio15),
-									  period4_bio16 = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio16),
-									  period4_bio17 = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio17),
-									  period4_bio18 = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio18),
-									  period4_bio19 = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio19),
-									  period4_gdd0 = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gdd0),
-									  period4_gdd10 = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gdd10),
-									  period4_gdd5 = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gdd5),
-									  period4_gsl = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gsl),
-									  period4_gsp = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gsp),
-									  period4_gst = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gst),
-									  period4_ngd0 = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_ngd0),
-									  period4_ngd10 = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_ngd10),
-									  period4_ngd5 = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_ngd5),
-									  period4_npp = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_npp),
-									  period4_scd = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_scd),
-									  period4_01_pr = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_pr),
-									  period4_01_tas = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_tas),
-									  period4_01_tasmax = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_tasmax),
-									  period4_01_tasmin = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_tasmin),
-									  period4_02_pr = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_pr),
-									  period4_02_tas = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_tas),
-									  period4_02_tasmax = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_tasmax),
-									  period4_02_tasmin = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_tasmin),
-									  period4_03_pr = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_pr),
-									  period4_03_tas = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_tas),
-									  period4_03_tasmax = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_tasmax),
-									  period4_03_tasmin = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_tasmin),
-									  period4_04_pr = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_pr),
-									  period4_04_tas = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_tas),
-									  period4_04_tasmax = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_tasmax),
-									  period4_04_tasmin = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_tasmin),
-									  period4_05_pr = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_pr),
-									  period4_05_tas = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_tas),
-									  period4_05_tasmax = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_tasmax),
-									  period4_05_tasmin = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_tasmin),
-									  period4_06_pr = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_pr),
-									  period4_06_tas = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_tas),
-									  period4_06_tasmax = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_tasmax),
-									  period4_06_tasmin = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_tasmin),
-									  period4_07_pr = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_pr),
-									  period4_07_tas = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_tas),
-									  period4_07_tasmax = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_tasmax),
-									  period4_07_tasmin = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_tasmin),
-									  period4_08_pr = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_pr),
-									  period4_08_tas = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_tas),
-									  period4_08_tasmax = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_tasmax),
-									  period4_08_tasmin = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_tasmin),
-									  period4_09_pr = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_pr),
-									  period4_09_tas = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_tas),
-									  period4_09_tasmax = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_tasmax),
-									  period4_09_tasmin = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_tasmin),
-									  period4_10_pr = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_pr),
-									  period4_10_tas = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_tas),
-									  period4_10_tasmax = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_tasmax),
-									  period4_10_tasmin = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_tasmin),
-									  period4_11_pr = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_pr),
-									  period4_11_tas = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_tas),
-									  period4_11_tasmax = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_tasmax),
-									  period4_11_tasmin = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_tasmin),
-									  period4_12_pr = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_pr),
-									  period4_12_tas = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_tas),
-									  period4_12_tasmax = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_tasmax),
-									  period4_12_tasmin = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_tasmin)
-				RETURN {
-					count: count,
-					properties: {
-						\`1981-2010\`: {
-							env_climate_ai: period1_ai,
-							env_climate_bio01: period1_bio01,
-							env_climate_bio02: period1_bio02,
-							env_climate_bio03: period1_bio03,
-							env_climate_bio04: period1_bio04,
-							env_climate_bio05: period1_bio05,
-							env_climate_bio06: period1_bio06,
-							env_climate_bio07: period1_bio07,
-							env_climate_bio08: period1_bio08,
-							env_climate_bio09: period1_bio09,
-							env_climate_bio10: period1_bio10,
-							env_climate_bio11: period1_bio11,
-							env_climate_bio12: period1_bio12,
-							env_climate_bio13: period1_bio13,
-							env_climate_bio14: period1_bio14,
-							env_climate_bio15: period1_bio15,
-							env_climate_bio16: period1_bio16,
-							env_climate_bio17: period1_bio17,
-							env_climate_bio18: period1_bio18,
-							env_climate_bio19: period1_bio19,
-							env_climate_clt_max: period1_clt_max,
-							env_climate_clt_mean: period1_clt_mean,
-							env_climate_clt_min: period1_clt_min,
-							env_climate_clt_range: period1_clt_range,
-							env_climate_cmi_max: period1_cmi_max,
-							env_climate_cmi_mean: period1_cmi_mean,
-							env_climate_cmi_min: period1_cmi_min,
-							env_climate_cmi_range: period1_cmi_range,
-							env_climate_fcf: period1_fcf,
-							env_climate_fgd: period1_fgd,
-							env_climate_gdd0: period1_gdd0,
-							env_climate_gdd10: period1_gdd10,
-							env_climate_gdd5: period1_gdd5,
-							env_climate_gddlgd0: period1_gddlgd0,
-							env_climate_gddlgd10: period1_gddlgd10,
-							env_climate_gddlgd5: period1_gddlgd5,
-							env_climate_gdgfgd0: period1_gdgfgd0,
-							env_climate_gdgfgd10: period1_gdgfgd10,
-							env_climate_gdgfgd5: period1_gdgfgd5,
-							env_climate_gsl: period1_gsl,
-							env_climate_gsp: period1_gsp,
-							env_climate_gst: period1_gst,
-							env_climate_hurs_max: period1_hurs_max,
-							env_climate_hurs_mean: period1_hurs_mean,
-							env_climate_hurs_min: period1_hurs_min,
-							env_climate_hurs_range: period1_hurs_range,
-							env_climate_ngd0: period1_ngd0,
-							env_climate_ngd10: period1_ngd10,
-							env_climate_ngd5: period1_ngd5,
-							env_climate_npp: period1_npp,
-							env_climate_pet_penman_max: period1_pet_penman_max,
-							env_climate_pet_penman_mean: period1_pet_penman_mean,
-							env_climate_pet_penman_min: period1_pet_penman_min,
-							env_climate_pet_penman_range: period1_pet_penman_range,
-							env_climate_rsds_max: period1_rsds_max,
-							env_climate_rsds_mean: period1_rsds_mean,
-							env_climate_rsds_min: period1_rsds_min,
-							env_climate_rsds_range: period1_rsds_range,
-							env_climate_scd: period1_scd,
-							env_climate_sfcWind_max: period1_sfcWind_max,
-							env_climate_sfcWind_mean: period1_sfcWind_mean,
-							env_climate_sfcWind_min: period1_sfcWind_min,
-							env_climate_sfcWind_range: period1_sfcWind_range,
-							env_climate_swb: period1_swb,
-							env_climate_swe: period1_swe,
-							env_climate_vpd_max: period1_vpd_max,
-							env_climate_vpd_mean: period1_vpd_mean,
-							env_climate_vpd_min: period1_vpd_min,
-							env_climate_vpd_range: period1_vpd_range,
-							std_date_span_month: [
-								{
-									std_month: 1,
-									env_climate_pr: 	period1_01_pr,
-									env_climate_tas: 	period1_01_tas,
-									env_climate_tasmax: period1_01_tasmax,
-									env_climate_tasmin: period1_01_tasmin
-								},
-								{
-									std_month: 2,
-									env_climate_pr: 	period1_02_pr,
-									env_climate_tas: 	period1_02_tas,
-									env_climate_tasmax: period1_02_tasmax,
-									env_climate_tasmin: period1_02_tasmin
-								},
-								{
-									std_month: 3,
-									env_climate_pr: 	period1_03_pr,
-									env_climate_tas: 	period1_03_tas,
-									env_climate_tasmax: period1_03_tasmax,
-									env_climate_tasmin: period1_03_tasmin
-								},
-								{
-									std_month: 4,
-									env_climate_pr: 	period1_04_pr,
-									env_climate_tas: 	period1_04_tas,
-									env_climate_tasmax: period1_04_tasmax,
-									env_climate_tasmin: period1_04_tasmin
-								},
-								{
-									std_month: 5,
-									env_climate_pr: 	period1_05_pr,
-									env_climate_tas: 	period1_05_tas,
-									env_climate_tasmax: period1_05_tasmax,
-									env_climate_tasmin: period1_05_tasmin
-								},
-								{
-									std_month: 6,
-									env_climate_pr: 	period1_06_pr,
-									env_climate_tas: 	period1_06_tas,
-									env_climate_tasmax: period1_06_tasmax,
-									env_climate_tasmin: period1_06_tasmin
-								},
-								{
-									std_month: 7,
-									env_climate_pr: 	period1_07_pr,
-									env_climate_tas: 	period1_07_tas,
-									env_climate_tasmax: period1_07_tasmax,
-									env_climate_tasmin: period1_07_tasmin
-								},
-								{
-									std_month: 8,
-									env_climate_pr: 	period1_08_pr,
-									env_climate_tas: 	period1_08_tas,
-									env_climate_tasmax: period1_08_tasmax,
-									env_climate_tasmin: period1_08_tasmin
-								},
-								{
-									std_month: 9,
-									env_climate_pr: 	period1_09_pr,
-									env_climate_tas: 	period1_09_tas,
-									env_climate_tasmax: period1_09_tasmax,
-									env_climate_tasmin: period1_09_tasmin
-								},
-								{
-									std_month: 10,
-									env_climate_pr: 	period1_10_pr,
-									env_climate_tas: 	period1_10_tas,
-									env_climate_tasmax: period1_10_tasmax,
-									env_climate_tasmin: period1_10_tasmin
-								},
-								{
-									std_month: 11,
-									env_climate_pr: 	period1_11_pr,
-									env_climate_tas: 	period1_11_tas,
-									env_climate_tasmax: period1_11_tasmax,
-									env_climate_tasmin: period1_11_tasmin
-								},
-								{
-									std_month: 12,
-									env_climate_pr: 	period1_12_pr,
-									env_climate_tas: 	period1_12_tas,
-									env_climate_tasmax: period1_12_tasmax,
-									env_climate_tasmin: period1_12_tasmin
-								}
-							]
-						},
-						\`2011-2040\`: {
-							\`MPI-ESM1-2-HR\`: {
-								ssp370: {
-									env_climate_bio01: period2_bio01,
-									env_climate_bio02: period2_bio02,
-									env_climate_bio03: period2_bio03,
-									env_climate_bio04: period2_bio04,
-									env_climate_bio05: period2_bio05,
-									env_climate_bio06: period2_bio06,
-									env_climate_bio07: period2_bio07,
-									env_climate_bio08: period2_bio08,
-									env_climate_bio09: period2_bio09,
-									env_climate_bio10: period2_bio10,
-									env_climate_bio11: period2_bio11,
-									env_climate_bio12: period2_bio12,
-									env_climate_bio13: period2_bio13,
-									env_climate_bio14: period2_bio14,
-									env_climate_bio15: period2_bio15,
-									env_climate_bio16: period2_bio16,
-									env_climate_bio17: period2_bio17,
-									env_climate_bio18: period2_bio18,
-									env_climate_bio19: period2_bio19,
-									env_climate_gdd0: period2_gdd0,
-									env_climate_gdd10: period2_gdd10,
-									env_climate_gdd5: period2_gdd5,
-									env_climate_gsl: period2_gsl,
-									env_climate_gsp: period2_gsp,
-									env_climate_gst: period2_gst,
-									env_climate_ngd0: period2_ngd0,
-									env_climate_ngd10: period2_ngd10,
-									env_climate_ngd5: period2_ngd5,
-									env_climate_npp: period2_npp,
-									env_climate_scd: period2_scd,
-									std_date_span_month: [
-										{
-											std_month: 1,
-											env_climate_pr: 	period2_01_pr,
-											env_climate_tas: 	period2_01_tas,
-											env_climate_tasmax: period2_01_tasmax,
-											env_climate_tasmin: period2_01_tasmin
-										},
-										{
-											std_month: 2,
-											env_climate_pr: 	period2_02_pr,
-											env_climate_tas: 	period2_02_tas,
-											env_climate_tasmax: period2_02_tasmax,
-											env_climate_tasmin: period2_02_tasmin
-										},
-										{
-											std_month: 3,
-											env_climate_pr: 	period2_03_pr,
-											env_climate_tas: 	period2_03_tas,
-											env_climate_tasmax: period2_03_tasmax,
-											env_climate_tasmin: period2_03_tasmin
-										},
-										{
-											std_month: 4,
-											env_climate_pr: 	period2_04_pr,
-											env_climate_tas: 	period2_04_tas,
-											env_climate_tasmax: period2_04_tasmax,
-											env_climate_tasmin: period2_04_tasmin
-										},
-										{
-											std_month: 5,
-											env_climate_pr: 	period2_05_pr,
-											env_climate_tas: 	period2_05_tas,
-											env_climate_tasmax: period2_05_tasmax,
-											env_climate_tasmin: period2_05_tasmin
-										},
-										{
-											std_month: 6,
-											env_climate_pr: 	period2_06_pr,
-											env_climate_tas: 	period2_06_tas,
-											env_climate_tasmax: period2_06_tasmax,
-											env_climate_tasmin: period2_06_tasmin
-										},
-										{
-											std_month: 7,
-											env_climate_pr: 	period2_07_pr,
-											env_climate_tas: 	period2_07_tas,
-											env_climate_tasmax: period2_07_tasmax,
-											env_climate_tasmin: period2_07_tasmin
-										},
-										{
-											std_month: 8,
-											env_climate_pr: 	period2_08_pr,
-											env_climate_tas: 	period2_08_tas,
-											env_climate_tasmax: period2_08_tasmax,
-											env_climate_tasmin: period2_08_tasmin
-										},
-										{
-											std_month: 9,
-											env_climate_pr: 	period2_09_pr,
-											env_climate_tas: 	period2_09_tas,
-											env_climate_tasmax: period2_09_tasmax,
-											env_climate_tasmin: period2_09_tasmin
-										},
-										{
-											std_month: 10,
-											env_climate_pr: 	period2_10_pr,
-											env_climate_tas: 	period2_10_tas,
-											env_climate_tasmax: period2_10_tasmax,
-											env_climate_tasmin: period2_10_tasmin
-										},
-										{
-											std_month: 11,
-											env_climate_pr: 	period2_11_pr,
-											env_climate_tas: 	period2_11_tas,
-											env_climate_tasmax: period2_11_tasmax,
-											env_climate_tasmin: period2_11_tasmin
-										},
-										{
-											std_month: 12,
-											env_climate_pr: 	period2_12_pr,
-											env_climate_tas: 	period2_12_tas,
-											env_climate_tasmax: period2_12_tasmax,
-											env_climate_tasmin: period2_12_tasmin
-										}
-									]
-								}
-							}
-						},
-						\`2041-2070\`: {
-							\`MPI-ESM1-2-HR\`: {
-								ssp370: {
-									env_climate_bio01: period3_bio01,
-									env_climate_bio02: period3_bio02,
-									env_climate_bio03: period3_bio03,
-									env_climate_bio04: period3_bio04,
-									env_climate_bio05: period3_bio05,
-									env_climate_bio06: period3_bio06,
-									env_climate_bio07: period3_bio07,
-									env_climate_bio08: period3_bio08,
-									env_climate_bio09: period3_bio09,
-									env_climate_bio10: period3_bio10,
-									env_climate_bio11: period3_bio11,
-									env_climate_bio12: period3_bio12,
-									env_climate_bio13: period3_bio13,
-									env_climate_bio14: period3_bio14,
-									env_climate_bio15: period3_bio15,
-									env_climate_bio16: period3_bio16,
-									env_climate_bio17: period3_bio17,
-									env_climate_bio18: period3_bio18,
-									env_climate_bio19: period3_bio19,
-									env_climate_gdd0: period3_gdd0,
-									env_climate_gdd10: period3_gdd10,
-									env_climate_gdd5: period3_gdd5,
-									env_climate_gsl: period3_gsl,
-									env_climate_gsp: period3_gsp,
-									env_climate_gst: period3_gst,
-									env_climate_ngd0: period3_ngd0,
-									env_climate_ngd10: period3_ngd10,
-									env_climate_ngd5: period3_ngd5,
-									env_climate_npp: period3_npp,
-									env_climate_scd: period3_scd,
-									std_date_span_month: [
-										{
-											std_month: 1,
-											env_climate_pr: 	period3_01_pr,
-											env_climate_tas: 	period3_01_tas,
-											env_climate_tasmax: period3_01_tasmax,
-											env_climate_tasmin: period3_01_tasmin
-										},
-										{
-											std_month: 2,
-											env_climate_pr: 	period3_02_pr,
-											env_climate_tas: 	period3_02_tas,
-											env_climate_tasmax: period3_02_tasmax,
-											env_climate_tasmin: period3_02_tasmin
-										},
-										{
-											std_month: 3,
-											env_climate_pr: 	period3_03_pr,
-											env_climate_tas: 	period3_03_tas,
-											env_climate_tasmax: period3_03_tasmax,
-											env_climate_tasmin: period3_03_tasmin
-										},
-										{
-											std_month: 4,
-											env_climate_pr: 	period3_04_pr,
-											env_climate_tas: 	period3_04_tas,
-											env_climate_tasmax: period3_04_tasmax,
-											env_climate_tasmin: period3_04_tasmin
-										},
-										{
-											std_month: 5,
-											env_climate_pr: 	period3_05_pr,
-											env_climate_tas: 	period3_05_tas,
-											env_climate_tasmax: period3_05_tasmax,
-											env_climate_tasmin: period3_05_tasmin
-										},
-										{
-											std_month: 6,
-											env_climate_pr: 	period3_06_pr,
-											env_climate_tas: 	period3_06_tas,
-											env_climate_tasmax: period3_06_tasmax,
-											env_climate_tasmin: period3_06_tasmin
-										},
-										{
-											std_month: 7,
-											env_climate_pr: 	period3_07_pr,
-											env_climate_tas: 	period3_07_tas,
-											env_climate_tasmax: period3_07_tasmax,
-											env_climate_tasmin: period3_07_tasmin
-										},
-										{
-											std_month: 8,
-											env_climate_pr: 	period3_08_pr,
-											env_climate_tas: 	period3_08_tas,
-											env_climate_tasmax: period3_08_tasmax,
-											env_climate_tasmin: period3_08_tasmin
-										},
-										{
-											std_month: 9,
-											env_climate_pr: 	period3_09_pr,
-											env_climate_tas: 	period3_09_tas,
-											env_climate_tasmax: period3_09_tasmax,
-											env_climate_tasmin: period3_09_tasmin
-										},
-										{
-											std_month: 10,
-											env_climate_pr: 	period3_10_pr,
-											env_climate_tas: 	period3_10_tas,
-											env_climate_tasmax: period3_10_tasmax,
-											env_climate_tasmin: period3_10_tasmin
-										},
-										{
-											std_month: 11,
-											env_climate_pr: 	period3_11_pr,
-											env_climate_tas: 	period3_11_tas,
-											env_climate_tasmax: period3_11_tasmax,
-											env_climate_tasmin: period3_11_tasmin
-										},
-										{
-											std_month: 12,
-											env_climate_pr: 	period3_12_pr,
-											env_climate_tas: 	period3_12_tas,
-											env_climate_tasmax: period3_12_tasmax,
-											env_climate_tasmin: period3_12_tasmin
-										}
-									]
-								}
-							}
-						},
-						\`2071-2100\`: {
-							\`MPI-ESM1-2-HR\`: {
-								ssp370: {
-									env_climate_bio01: period4_bio01,
-									env_climate_bio02: period4_bio02,
-									env_climate_bio03: period4_bio03,
-									env_climate_bio04: period4_bio04,
-									env_climate_bio05: period4_bio05,
-									env_climate_bio06: period4_bio06,
-									env_climate_bio07: period4_bio07,
-									env_climate_bio08: period4_bio08,
-									env_climate_bio09: period4_bio09,
-									env_climate_bio10: period4_bio10,
-									env_climate_bio11: period4_bio11,
-									env_climate_bio12: period4_bio12,
-									env_climate_bio13: period4_bio13,
-									env_climate_bio14: period4_bio14,
-									env_climate_bio15: period4_bio15,
-									env_climate_bio16: period4_bio16,
-									env_climate_bio17: period4_bio17,
-									env_climate_bio18: period4_bio18,
-									env_climate_bio19: period4_bio19,
-									env_climate_gdd0: period4_gdd0,
-									env_climate_gdd10: period4_gdd10,
-									env_climate_gdd5: period4_gdd5,
-									env_climate_gsl: period4_gsl,
-									env_climate_gsp: period4_gsp,
-									env_climate_gst: period4_gst,
-									env_climate_ngd0: period4_ngd0,
-									env_climate_ngd10: period4_ngd10,
-									env_climate_ngd5: period4_ngd5,
-									env_climate_npp: period4_npp,
-									env_climate_scd: period4_scd,
-									std_date_span_month: [
-										{
-											std_month: 1,
-											env_climate_pr: 	period4_01_pr,
-											env_climate_tas: 	period4_01_tas,
-											env_climate_tasmax: period4_01_tasmax,
-											env_climate_tasmin: period4_01_tasmin
-										},
-										{
-											std_month: 2,
-											env_climate_pr: 	period4_02_pr,
-											env_climate_tas: 	period4_02_tas,
-											env_climate_tasmax: period4_02_tasmax,
-											env_climate_tasmin: period4_02_tasmin
-										},
-										{
-											std_month: 3,
-											env_climate_pr: 	period4_03_pr,
-											env_climate_tas: 	period4_03_tas,
-											env_climate_tasmax: period4_03_tasmax,
-											env_climate_tasmin: period4_03_tasmin
-										},
-										{
-											std_month: 4,
-											env_climate_pr: 	period4_04_pr,
-											env_climate_tas: 	period4_04_tas,
-											env_climate_tasmax: period4_04_tasmax,
-											env_climate_tasmin: period4_04_tasmin
-										},
-										{
-											std_month: 5,
-											env_climate_pr: 	period4_05_pr,
-											env_climate_tas: 	period4_05_tas,
-											env_climate_tasmax: period4_05_tasmax,
-											env_climate_tasmin: period4_05_tasmin
-										},
-										{
-											std_month: 6,
-											env_climate_pr: 	period4_06_pr,
-											env_climate_tas: 	period4_06_tas,
-											env_climate_tasmax: period4_06_tasmax,
-											env_climate_tasmin: period4_06_tasmin
-										},
-										{
-											std_month: 7,
-											env_climate_pr: 	period4_07_pr,
-											env_climate_tas: 	period4_07_tas,
-											env_climate_tasmax: period4_07_tasmax,
-											env_climate_tasmin: period4_07_tasmin
-										},
-										{
-											std_month: 8,
-											env_climate_pr: 	period4_08_pr,
-											env_climate_tas: 	period4_08_tas,
-											env_climate_tasmax: period4_08_tasmax,
-											env_climate_tasmin: period4_08_tasmin
-										},
-										{
-											std_month: 9,
-											env_climate_pr: 	period4_09_pr,
-											env_climate_tas: 	period4_09_tas,
-											env_climate_tasmax: period4_09_tasmax,
-											env_climate_tasmin: period4_09_tasmin
-										},
-										{
-											std_month: 10,
-											env_climate_pr: 	period4_10_pr,
-											env_climate_tas: 	period4_10_tas,
-											env_climate_tasmax: period4_10_tasmax,
-											env_climate_tasmin: period4_10_tasmin
-										},
-										{
-											std_month: 11,
-											env_climate_pr: 	period4_11_pr,
-											env_climate_tas: 	period4_11_tas,
-											env_climate_tasmax: period4_11_tasmax,
-											env_climate_tasmin: period4_11_tasmin
-										},
-										{
-											std_month: 12,
-											env_climate_pr: 	period4_12_pr,
-											env_climate_tas: 	period4_12_tas,
-											env_climate_tasmax: period4_12_tasmax,
-											env_climate_tasmin: period4_12_tasmin
-										}
-									]
-								}
-							}
-						}
-					}
-				}
-			`
-			break
-
-		///
-		// Return selection standard deviation.
-		///
-		case 'STD':
-			query = aql`
-				LET target = ${theGeometry}
-				FOR doc IN ${theCollectionMap}
-					FILTER GEO_CONTAINS(${theGeometry}, doc.geometry)
-					FOR dat IN ${theCollection}
-						FILTER dat._key == doc._key
-						COLLECT AGGREGATE count = COUNT(),
-									  period1_ai = STDDEV(dat.properties.\`1981-2010\`.env_climate_ai),
-									  period1_bio01 = STDDEV(dat.properties.\`1981-2010\`.env_climate_bio01),
-									  period1_bio02 = STDDEV(dat.properties.\`1981-2010\`.env_climate_bio02),
-									  period1_bio03 = STDDEV(dat.properties.\`1981-2010\`.env_climate_bio03),
-									  period1_bio04 = STDDEV(dat.properties.\`1981-2010\`.env_climate_bio04),
-									  period1_bio05 = STDDEV(dat.properties.\`1981-2010\`.env_climate_bio05),
-									  period1_bio06 = STDDEV(dat.properties.\`1981-2010\`.env_climate_bio06),
-									  period1_bio07 = STDDEV(dat.properties.\`1981-2010\`.env_climate_bio07),
-									  period1_bio08 = STDDEV(dat.properties.\`1981-2010\`.env_climate_bio08),
-									  period1_bio09 = STDDEV(dat.properties.\`1981-2010\`.env_climate_bio09),
-									  period1_bio10 = STDDEV(dat.properties.\`1981-2010\`.env_climate_bio10),
-									  period1_bio11 = STDDEV(dat.properties.\`1981-2010\`.env_climate_bio11),
-									  period1_bio12 = STDDEV(dat.properties.\`1981-2010\`.env_climate_bio12),
-									  period1_bio13 = STDDEV(dat.properties.\`1981-2010\`.env_climate_bio13),
-									  period1_bio14 = STDDEV(dat.properties.\`1981-2010\`.env_climate_bio14),
-									  period1_bio15 = STDDEV(dat.properties.\`1981-2010\`.env_climate_bio15),
-									  period1_bio16 = STDDEV(dat.properties.\`1981-2010\`.env_climate_bio16),
-									  period1_bio17 = STDDEV(dat.properties.\`1981-2010\`.env_climate_bio17),
-									  period1_bio18 = STDDEV(dat.properties.\`1981-2010\`.env_climate_bio18),
-									  period1_bio19 = STDDEV(dat.properties.\`1981-2010\`.env_climate_bio19),
-									  period1_clt_max = STDDEV(dat.properties.\`1981-2010\`.env_climate_clt_max),
-									  period1_clt_mean = STDDEV(dat.properties.\`1981-2010\`.env_climate_clt_mean),
-									  period1_clt_min = STDDEV(dat.properties.\`1981-2010\`.env_climate_clt_min),
-									  period1_clt_range = STDDEV(dat.properties.\`1981-2010\`.env_climate_clt_range),
-									  period1_cmi_max = STDDEV(dat.properties.\`1981-2010\`.env_climate_cmi_max),
-									  period1_cmi_mean = STDDEV(dat.properties.\`1981-2010\`.env_climate_cmi_mean),
-									  period1_cmi_min = STDDEV(dat.properties.\`1981-2010\`.env_climate_cmi_min),
-									  period1_cmi_range = STDDEV(dat.properties.\`1981-2010\`.env_climate_cmi_range),
-									  period1_fcf =  STDDEV(dat.properties.\`1981-2010\`.env_climate_fcf),
-									  period1_fgd =  STDDEV(dat.properties.\`1981-2010\`.env_climate_fgd),
-									  period1_gdd0 =  STDDEV(dat.properties.\`1981-2010\`.env_climate_gdd0),
-									  period1_gdd10 = STDDEV(dat.properties.\`1981-2010\`.env_climate_gdd10),
-									  period1_gdd5 = STDDEV(dat.properties.\`1981-2010\`.env_climate_gdd5),
-									  period1_gddlgd0 = STDDEV(dat.properties.\`1981-2010\`.env_climate_gddlgd0),
-									  period1_gddlgd10 = STDDEV(dat.properties.\`1981-2010\`.env_climate_gddlgd10),
-									  period1_gddlgd5 = STDDEV(dat.properties.\`1981-2010\`.env_climate_gddlgd5),
-									  period1_gdgfgd0 = STDDEV(dat.properties.\`1981-2010\`.env_climate_gdgfgd0),
-									  period1_gdgfgd10 = STDDEV(dat.properties.\`1981-2010\`.env_climate_gdgfgd10),
-									  period1_gdgfgd5 = STDDEV(dat.properties.\`1981-2010\`.env_climate_gdgfgd5),
-									  period1_gsl = STDDEV(dat.properties.\`1981-2010\`.env_climate_gsl),
-									  period1_gsp = STDDEV(dat.properties.\`1981-2010\`.env_climate_gsp),
-									  period1_gst = STDDEV(dat.properties.\`1981-2010\`.env_climate_gst),
-									  period1_hurs_max = STDDEV(dat.properties.\`1981-2010\`.env_climate_hurs_max),
-									  period1_hurs_mean = STDDEV(dat.properties.\`1981-2010\`.env_climate_hurs_mean),
-									  period1_hurs_min = STDDEV(dat.properties.\`1981-2010\`.env_climate_hurs_min),
-									  period1_hurs_range = STDDEV(dat.properties.\`1981-2010\`.env_climate_hurs_range),
-									  period1_ngd0 = STDDEV(dat.properties.\`1981-2010\`.env_climate_ngd0),
-									  period1_ngd10 = STDDEV(dat.properties.\`1981-2010\`.env_climate_ngd10),
-									  period1_ngd5 = STDDEV(dat.properties.\`1981-2010\`.env_climate_ngd5),
-									  period1_npp = STDDEV(dat.properties.\`1981-2010\`.env_climate_npp),
-									  period1_pet_penman_max = STDDEV(dat.properties.\`1981-2010\`.env_climate_pet_penman_max),
-									  period1_pet_penman_mean = STDDEV(dat.properties.\`1981-2010\`.env_climate_pet_penman_mean),
-									  period1_pet_penman_min = STDDEV(dat.properties.\`1981-2010\`.env_climate_pet_penman_min),
-									  period1_pet_penman_range = STDDEV(dat.properties.\`1981-2010\`.env_climate_pet_penman_range),
-									  period1_rsds_max = STDDEV(dat.properties.\`1981-2010\`.env_climate_rsds_max),
-									  period1_rsds_mean = STDDEV(dat.properties.\`1981-2010\`.env_climate_rsds_mean),
-									  period1_rsds_min = STDDEV(dat.properties.\`1981-2010\`.env_climate_rsds_min),
-									  period1_rsds_range = STDDEV(dat.properties.\`1981-2010\`.env_climate_rsds_range),
-									  period1_scd = STDDEV(dat.properties.\`1981-2010\`.env_climate_scd),
-									  period1_sfcWind_max = STDDEV(dat.properties.\`1981-2010\`.env_climate_sfcWind_max),
-									  period1_sfcWind_mean = STDDEV(dat.properties.\`1981-2010\`.env_climate_sfcWind_mean),
-									  period1_sfcWind_min = STDDEV(dat.properties.\`1981-2010\`.env_climate_sfcWind_min),
-									  period1_sfcWind_range = STDDEV(dat.properties.\`1981-2010\`.env_climate_sfcWind_range),
-									  period1_swb = STDDEV(dat.properties.\`1981-2010\`.env_climate_swb),
-									  period1_swe = STDDEV(dat.properties.\`1981-2010\`.env_climate_swe),
-									  period1_vpd_max = STDDEV(dat.properties.\`1981-2010\`.env_climate_vpd_max),
-									  period1_vpd_mean = STDDEV(dat.properties.\`1981-2010\`.env_climate_vpd_mean),
-									  period1_vpd_min = STDDEV(dat.properties.\`1981-2010\`.env_climate_vpd_min),
-									  period1_vpd_range = STDDEV(dat.properties.\`1981-2010\`.env_climate_vpd_range),
-									  period1_01_pr = STDDEV(dat.properties.\`1981-2010\`.std_date_span_month[0].env_climate_pr),
-									  period1_01_tas = STDDEV(dat.properties.\`1981-2010\`.std_date_span_month[0].env_climate_tas),
-									  period1_01_tasmax = STDDEV(dat.properties.\`1981-2010\`.std_date_span_month[0].env_climate_tasmax),
-									  period1_01_tasmin = STDDEV(dat.properties.\`1981-2010\`.std_date_span_month[0].env_climate_tasmin),
-									  period1_02_pr = STDDEV(dat.properties.\`1981-2010\`.std_date_span_month[1].env_climate_pr),
-									  period1_02_tas = STDDEV(dat.properties.\`1981-2010\`.std_date_span_month[1].env_climate_tas),
-									  period1_02_tasmax = STDDEV(dat.properties.\`1981-2010\`.std_date_span_month[1].env_climate_tasmax),
-									  period1_02_tasmin = STDDEV(dat.properties.\`1981-2010\`.std_date_span_month[1].env_climate_tasmin),
-									  period1_03_pr = STDDEV(dat.properties.\`1981-2010\`.std_date_span_month[2].env_climate_pr),
-									  period1_03_tas = STDDEV(dat.properties.\`1981-2010\`.std_date_span_month[2].env_climate_tas),
-									  period1_03_tasmax = STDDEV(dat.properties.\`1981-2010\`.std_date_span_month[2].env_climate_tasmax),
-									  period1_03_tasmin = STDDEV(dat.properties.\`1981-2010\`.std_date_span_month[2].env_climate_tasmin),
-									  period1_04_pr = STDDEV(dat.properties.\`1981-2010\`.std_date_span_month[3].env_climate_pr),
-									  period1_04_tas = STDDEV(dat.properties.\`1981-2010\`.std_date_span_month[3].env_climate_tas),
-									  period1_04_tasmax = STDDEV(dat.properties.\`1981-2010\`.std_date_span_month[3].env_climate_tasmax),
-									  period1_04_tasmin = STDDEV(dat.properties.\`1981-2010\`.std_date_span_month[3].env_climate_tasmin),
-									  period1_05_pr = STDDEV(dat.properties.\`1981-2010\`.std_date_span_month[4].env_climate_pr),
-									  period1_05_tas = STDDEV(dat.properties.\`1981-2010\`.std_date_span_month[4].env_climate_tas),
-									  period1_05_tasmax = STDDEV(dat.properties.\`1981-2010\`.std_date_span_month[4].env_climate_tasmax),
-									  period1_05_tasmin = STDDEV(dat.properties.\`1981-2010\`.std_date_span_month[4].env_climate_tasmin),
-									  period1_06_pr = STDDEV(dat.properties.\`1981-2010\`.std_date_span_month[5].env_climate_pr),
-									  period1_06_tas = STDDEV(dat.properties.\`1981-2010\`.std_date_span_month[5].env_climate_tas),
-									  period1_06_tasmax = STDDEV(dat.properties.\`1981-2010\`.std_date_span_month[5].env_climate_tasmax),
-									  period1_06_tasmin = STDDEV(dat.properties.\`1981-2010\`.std_date_span_month[5].env_climate_tasmin),
-									  period1_07_pr = STDDEV(dat.properties.\`1981-2010\`.std_date_span_month[6].env_climate_pr),
-									  period1_07_tas = STDDEV(dat.properties.\`1981-2010\`.std_date_span_month[6].env_climate_tas),
-									  period1_07_tasmax = STDDEV(dat.properties.\`1981-2010\`.std_date_span_month[6].env_climate_tasmax),
-									  period1_07_tasmin = STDDEV(dat.properties.\`1981-2010\`.std_date_span_month[6].env_climate_tasmin),
-									  period1_08_pr = STDDEV(dat.properties.\`1981-2010\`.std_date_span_month[7].env_climate_pr),
-									  period1_08_tas = STDDEV(dat.properties.\`1981-2010\`.std_date_span_month[7].env_climate_tas),
-									  period1_08_tasmax = STDDEV(dat.properties.\`1981-2010\`.std_date_span_month[7].env_climate_tasmax),
-									  period1_08_tasmin = STDDEV(dat.properties.\`1981-2010\`.std_date_span_month[7].env_climate_tasmin),
-									  period1_09_pr = STDDEV(dat.properties.\`1981-2010\`.std_date_span_month[8].env_climate_pr),
-									  period1_09_tas = STDDEV(dat.properties.\`1981-2010\`.std_date_span_month[8].env_climate_tas),
-									  period1_09_tasmax = STDDEV(dat.properties.\`1981-2010\`.std_date_span_month[8].env_climate_tasmax),
-									  period1_09_tasmin = STDDEV(dat.properties.\`1981-2010\`.std_date_span_month[8].env_climate_tasmin),
-									  period1_10_pr = STDDEV(dat.properties.\`1981-2010\`.std_date_span_month[9].env_climate_pr),
-									  period1_10_tas = STDDEV(dat.properties.\`1981-2010\`.std_date_span_month[9].env_climate_tas),
-									  period1_10_tasmax = STDDEV(dat.properties.\`1981-2010\`.std_date_span_month[9].env_climate_tasmax),
-									  period1_10_tasmin = STDDEV(dat.properties.\`1981-2010\`.std_date_span_month[9].env_climate_tasmin),
-									  period1_11_pr = STDDEV(dat.properties.\`1981-2010\`.std_date_span_month[10].env_climate_pr),
-									  period1_11_tas = STDDEV(dat.properties.\`1981-2010\`.std_date_span_month[10].env_climate_tas),
-									  period1_11_tasmax = STDDEV(dat.properties.\`1981-2010\`.std_date_span_month[10].env_climate_tasmax),
-									  period1_11_tasmin = STDDEV(dat.properties.\`1981-2010\`.std_date_span_month[10].env_climate_tasmin),
-									  period1_12_pr = STDDEV(dat.properties.\`1981-2010\`.std_date_span_month[11].env_climate_pr),
-									  period1_12_tas = STDDEV(dat.properties.\`1981-2010\`.std_date_span_month[11].env_climate_tas),
-									  period1_12_tasmax = STDDEV(dat.properties.\`1981-2010\`.std_date_span_month[11].env_climate_tasmax),
-									  period1_12_tasmin = STDDEV(dat.properties.\`1981-2010\`.std_date_span_month[11].env_climate_tasmin),
-									  period2_bio01 = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio01),
-									  period2_bio02 = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio02),
-									  period2_bio03 = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio03),
-									  period2_bio04 = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio04),
-									  period2_bio05 = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio05),
-									  period2_bio06 = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio06),
-									  period2_bio07 = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio07),
-									  period2_bio08 = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio08),
-									  period2_bio09 = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio09),
-									  period2_bio10 = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio10),
-									  period2_bio11 = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio11),
-									  period2_bio12 = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio12),
-									  period2_bio13 = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio13),
-									  period2_bio14 = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio14),
-									  period2_bio15 = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio15),
-									  period2_bio16 = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio16),
-									  period2_bio17 = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio17),
-									  period2_bio18 = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio18),
-									  period2_bio19 = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio19),
-									  period2_gdd0 = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gdd0),
-									  period2_gdd10 = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gdd10),
-									  period2_gdd5 = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gdd5),
-									  period2_gsl = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gsl),
-									  period2_gsp = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gsp),
-									  period2_gst = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gst),
-									  period2_ngd0 = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_ngd0),
-									  period2_ngd10 = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_ngd10),
-									  period2_ngd5 = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_ngd5),
-									  period2_npp = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_npp),
-									  period2_scd = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_scd),
-									  period2_01_pr = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_pr),
-									  period2_01_tas = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_tas),
-									  period2_01_tasmax = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_tasmax),
-									  period2_01_tasmin = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_tasmin),
-									  period2_02_pr = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_pr),
-									  period2_02_tas = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_tas),
-									  period2_02_tasmax = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_tasmax),
-									  period2_02_tasmin = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_tasmin),
-									  period2_03_pr = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_pr),
-									  period2_03_tas = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_tas),
-									  period2_03_tasmax = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_tasmax),
-									  period2_03_tasmin = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_tasmin),
-									  period2_04_pr = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_pr),
-									  period2_04_tas = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_tas),
-									  period2_04_tasmax = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_tasmax),
-									  period2_04_tasmin = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_tasmin),
-									  period2_05_pr = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_pr),
-									  period2_05_tas = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_tas),
-									  period2_05_tasmax = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_tasmax),
-									  period2_05_tasmin = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_tasmin),
-									  period2_06_pr = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_pr),
-									  period2_06_tas = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_tas),
-									  period2_06_tasmax = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_tasmax),
-									  period2_06_tasmin = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_tasmin),
-									  period2_07_pr = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_pr),
-									  period2_07_tas = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_tas),
-									  period2_07_tasmax = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_tasmax),
-									  period2_07_tasmin = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_tasmin),
-									  period2_08_pr = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_pr),
-									  period2_08_tas = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_tas),
-									  period2_08_tasmax = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_tasmax),
-									  period2_08_tasmin = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_tasmin),
-									  period2_09_pr = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_pr),
-									  period2_09_tas = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_tas),
-									  period2_09_tasmax = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_tasmax),
-									  period2_09_tasmin = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_tasmin),
-									  period2_10_pr = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_pr),
-									  period2_10_tas = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_tas),
-									  period2_10_tasmax = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_tasmax),
-									  period2_10_tasmin = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_tasmin),
-									  period2_11_pr = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_pr),
-									  period2_11_tas = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_tas),
-									  period2_11_tasmax = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_tasmax),
-									  period2_11_tasmin = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_tasmin),
-									  period2_12_pr = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_pr),
-									  period2_12_tas = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_tas),
-									  period2_12_tasmax = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_tasmax),
-									  period2_12_tasmin = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_tasmin),
-									  period3_bio01 = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio01),
-									  period3_bio02 = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio02),
-									  period3_bio03 = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio03),
-									  period3_bio04 = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio04),
-									  period3_bio05 = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio05),
-									  period3_bio06 = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio06),
-									  period3_bio07 = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio07),
-									  period3_bio08 = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio08),
-									  period3_bio09 = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio09),
-									  period3_bio10 = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio10),
-									  period3_bio11 = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio11),
-									  period3_bio12 = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio12),
-									  period3_bio13 = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio13),
-									  period3_bio14 = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio14),
-									  period3_bio15 = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio15),
-									  period3_bio16 = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio16),
-									  period3_bio17 = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio17),
-									  period3_bio18 = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio18),
-									  period3_bio19 = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio19),
-									  period3_gdd0 = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gdd0),
-									  period3_gdd10 = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gdd10),
-									  period3_gdd5 = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gdd5),
-									  period3_gsl = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gsl),
-									  period3_gsp = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gsp),
-									  period3_gst = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gst),
-									  period3_ngd0 = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_ngd0),
-									  period3_ngd10 = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_ngd10),
-									  period3_ngd5 = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_ngd5),
-									  period3_npp = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_npp),
-									  period3_scd = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_scd),
-									  period3_01_pr = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_pr),
-									  period3_01_tas = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_tas),
-									  period3_01_tasmax = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_tasmax),
-									  period3_01_tasmin = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_tasmin),
-									  period3_02_pr = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_pr),
-									  period3_02_tas = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_tas),
-									  period3_02_tasmax = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_tasmax),
-									  period3_02_tasmin = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_tasmin),
-									  period3_03_pr = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_pr),
-									  period3_03_tas = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_tas),
-									  period3_03_tasmax = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_tasmax),
-									  period3_03_tasmin = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_tasmin),
-									  period3_04_pr = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_pr),
-									  period3_04_tas = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_tas),
-									  period3_04_tasmax = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_tasmax),
-									  period3_04_tasmin = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_tasmin),
-									  period3_05_pr = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_pr),
-									  period3_05_tas = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_tas),
-									  period3_05_tasmax = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_tasmax),
-									  period3_05_tasmin = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_tasmin),
-									  period3_06_pr = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_pr),
-									  period3_06_tas = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_tas),
-									  period3_06_tasmax = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_tasmax),
-									  period3_06_tasmin = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_tasmin),
-									  period3_07_pr = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_pr),
-									  period3_07_tas = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_tas),
-									  period3_07_tasmax = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_tasmax),
-									  period3_07_tasmin = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_tasmin),
-									  period3_08_pr = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_pr),
-									  period3_08_tas = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_tas),
-									  period3_08_tasmax = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_tasmax),
-									  period3_08_tasmin = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_tasmin),
-									  period3_09_pr = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_pr),
-									  period3_09_tas = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_tas),
-									  period3_09_tasmax = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_tasmax),
-									  period3_09_tasmin = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_tasmin),
-									  period3_10_pr = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_pr),
-									  period3_10_tas = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_tas),
-									  period3_10_tasmax = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_tasmax),
-									  period3_10_tasmin = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_tasmin),
-									  period3_11_pr = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_pr),
-									  period3_11_tas = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_tas),
-									  period3_11_tasmax = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_tasmax),
-									  period3_11_tasmin = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_tasmin),
-									  period3_12_pr = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_pr),
-									  period3_12_tas = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_tas),
-									  period3_12_tasmax = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_tasmax),
-									  period3_12_tasmin = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_tasmin),
-									  period4_bio01 = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio01),
-									  period4_bio02 = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio02),
-									  period4_bio03 = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio03),
-									  period4_bio04 = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio04),
-									  period4_bio05 = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio05),
-									  period4_bio06 = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio06),
-									  period4_bio07 = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio07),
-									  period4_bio08 = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio08),
-									  period4_bio09 = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio09),
-									  period4_bio10 = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio10),
-									  period4_bio11 = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio11),
-									  period4_bio12 = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio12),
-									  period4_bio13 = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio13),
-									  period4_bio14 = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio14),
-									  period4_bio15 = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio15),
-									  period4_bio16 = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio16),
-									  period4_bio17 = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio17),
-									  period4_bio18 = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio18),
-									  period4_bio19 = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio19),
-									  period4_gdd0 = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gdd0),
-									  period4_gdd10 = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gdd10),
-									  period4_gdd5 = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gdd5),
-									  period4_gsl = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gsl),
-									  period4_gsp = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gsp),
-									  period4_gst = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gst),
-									  period4_ngd0 = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_ngd0),
-									  period4_ngd10 = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_ngd10),
-									  period4_ngd5 = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_ngd5),
-									  period4_npp = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_npp),
-									  period4_scd = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_scd),
-									  period4_01_pr = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_pr),
-									  period4_01_tas = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_tas),
-									  period4_01_tasmax = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_tasmax),
-									  period4_01_tasmin = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_tasmin),
-									  period4_02_pr = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_pr),
-									  period4_02_tas = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_tas),
-									  period4_02_tasmax = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_tasmax),
-									  period4_02_tasmin = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_tasmin),
-									  period4_03_pr = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_pr),
-									  period4_03_tas = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_tas),
-									  period4_03_tasmax = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_tasmax),
-									  period4_03_tasmin = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_tasmin),
-									  period4_04_pr = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_pr),
-									  period4_04_tas = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_tas),
-									  period4_04_tasmax = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_tasmax),
-									  period4_04_tasmin = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_tasmin),
-									  period4_05_pr = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_pr),
-									  period4_05_tas = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_tas),
-									  period4_05_tasmax = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_tasmax),
-									  period4_05_tasmin = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_tasmin),
-									  period4_06_pr = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_pr),
-									  period4_06_tas = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_tas),
-									  period4_06_tasmax = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_tasmax),
-									  period4_06_tasmin = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_tasmin),
-									  period4_07_pr = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_pr),
-									  period4_07_tas = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_tas),
-									  period4_07_tasmax = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_tasmax),
-									  period4_07_tasmin = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_tasmin),
-									  period4_08_pr = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_pr),
-									  period4_08_tas = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_tas),
-									  period4_08_tasmax = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_tasmax),
-									  period4_08_tasmin = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_tasmin),
-									  period4_09_pr = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_pr),
-									  period4_09_tas = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_tas),
-									  period4_09_tasmax = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_tasmax),
-									  period4_09_tasmin = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_tasmin),
-									  period4_10_pr = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_pr),
-									  period4_10_tas = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_tas),
-									  period4_10_tasmax = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_tasmax),
-									  period4_10_tasmin = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_tasmin),
-									  period4_11_pr = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_pr),
-									  period4_11_tas = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_tas),
-									  period4_11_tasmax = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_tasmax),
-									  period4_11_tasmin = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_tasmin),
-									  period4_12_pr = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_pr),
-									  period4_12_tas = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_tas),
-									  period4_12_tasmax = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_tasmax),
-									  period4_12_tasmin = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_tasmin)
-				RETURN {
-					count: count,
-					properties: {
-						\`1981-2010\`: {
-							env_climate_ai: period1_ai,
-							env_climate_bio01: period1_bio01,
-							env_climate_bio02: period1_bio02,
-							env_climate_bio03: period1_bio03,
-							env_climate_bio04: period1_bio04,
-							env_climate_bio05: period1_bio05,
-							env_climate_bio06: period1_bio06,
-							env_climate_bio07: period1_bio07,
-							env_climate_bio08: period1_bio08,
-							env_climate_bio09: period1_bio09,
-							env_climate_bio10: period1_bio10,
-							env_climate_bio11: period1_bio11,
-							env_climate_bio12: period1_bio12,
-							env_climate_bio13: period1_bio13,
-							env_climate_bio14: period1_bio14,
-							env_climate_bio15: period1_bio15,
-							env_climate_bio16: period1_bio16,
-							env_climate_bio17: period1_bio17,
-							env_climate_bio18: period1_bio18,
-							env_climate_bio19: period1_bio19,
-							env_climate_clt_max: period1_clt_max,
-							env_climate_clt_mean: period1_clt_mean,
-							env_climate_clt_min: period1_clt_min,
-							env_climate_clt_range: period1_clt_range,
-							env_climate_cmi_max: period1_cmi_max,
-							env_climate_cmi_mean: period1_cmi_mean,
-							env_climate_cmi_min: period1_cmi_min,
-							env_climate_cmi_range: period1_cmi_range,
-							env_climate_fcf: period1_fcf,
-							env_climate_fgd: period1_fgd,
-							env_climate_gdd0: period1_gdd0,
-							env_climate_gdd10: period1_gdd10,
-							env_climate_gdd5: period1_gdd5,
-							env_climate_gddlgd0: period1_gddlgd0,
-							env_climate_gddlgd10: period1_gddlgd10,
-							env_climate_gddlgd5: period1_gddlgd5,
-							env_climate_gdgfgd0: period1_gdgfgd0,
-							env_climate_gdgfgd10: period1_gdgfgd10,
-							env_climate_gdgfgd5: period1_gdgfgd5,
-							env_climate_gsl: period1_gsl,
-							env_climate_gsp: period1_gsp,
-							env_climate_gst: period1_gst,
-							env_climate_hurs_max: period1_hurs_max,
-							env_climate_hurs_mean: period1_hurs_mean,
-							env_climate_hurs_min: period1_hurs_min,
-							env_climate_hurs_range: period1_hurs_range,
-							env_climate_ngd0: period1_ngd0,
-							env_climate_ngd10: period1_ngd10,
-							env_climate_ngd5: period1_ngd5,
-							env_climate_npp: period1_npp,
-							env_climate_pet_penman_max: period1_pet_penman_max,
-							env_climate_pet_penman_mean: period1_pet_penman_mean,
-							env_climate_pet_penman_min: period1_pet_penman_min,
-							env_climate_pet_penman_range: period1_pet_penman_range,
-							env_climate_rsds_max: period1_rsds_max,
-							env_climate_rsds_mean: period1_rsds_mean,
-							env_climate_rsds_min: period1_rsds_min,
-							env_climate_rsds_range: period1_rsds_range,
-							env_climate_scd: period1_scd,
-							env_climate_sfcWind_max: period1_sfcWind_max,
-							env_climate_sfcWind_mean: period1_sfcWind_mean,
-							env_climate_sfcWind_min: period1_sfcWind_min,
-							env_climate_sfcWind_range: period1_sfcWind_range,
-							env_climate_swb: period1_swb,
-							env_climate_swe: period1_swe,
-							env_climate_vpd_max: period1_vpd_max,
-							env_climate_vpd_mean: period1_vpd_mean,
-							env_climate_vpd_min: period1_vpd_min,
-							env_climate_vpd_range: period1_vpd_range,
-							std_date_span_month: [
-								{
-									std_month: 1,
-									env_climate_pr: 	period1_01_pr,
-									env_climate_tas: 	period1_01_tas,
-									env_climate_tasmax: period1_01_tasmax,
-									env_climate_tasmin: period1_01_tasmin
-								},
-								{
-									std_month: 2,
-									env_climate_pr: 	period1_02_pr,
-									env_climate_tas: 	period1_02_tas,
-									env_climate_tasmax: period1_02_tasmax,
-									env_climate_tasmin: period1_02_tasmin
-								},
-								{
-									std_month: 3,
-									env_climate_pr: 	period1_03_pr,
-									env_climate_tas: 	period1_03_tas,
-									env_climate_tasmax: period1_03_tasmax,
-									env_climate_tasmin: period1_03_tasmin
-								},
-								{
-									std_month: 4,
-									env_climate_pr: 	period1_04_pr,
-									env_climate_tas: 	period1_04_tas,
-									env_climate_tasmax: period1_04_tasmax,
-									env_climate_tasmin: period1_04_tasmin
-								},
-								{
-									std_month: 5,
-									env_climate_pr: 	period1_05_pr,
-									env_climate_tas: 	period1_05_tas,
-									env_climate_tasmax: period1_05_tasmax,
-									env_climate_tasmin: period1_05_tasmin
-								},
-								{
-									std_month: 6,
-									env_climate_pr: 	period1_06_pr,
-									env_climate_tas: 	period1_06_tas,
-									env_climate_tasmax: period1_06_tasmax,
-									env_climate_tasmin: period1_06_tasmin
-								},
-								{
-									std_month: 7,
-									env_climate_pr: 	period1_07_pr,
-									env_climate_tas: 	period1_07_tas,
-									env_climate_tasmax: period1_07_tasmax,
-									env_climate_tasmin: period1_07_tasmin
-								},
-								{
-									std_month: 8,
-									env_climate_pr: 	period1_08_pr,
-									env_climate_tas: 	period1_08_tas,
-									env_climate_tasmax: period1_08_tasmax,
-									env_climate_tasmin: period1_08_tasmin
-								},
-								{
-									std_month: 9,
-									env_climate_pr: 	period1_09_pr,
-									env_climate_tas: 	period1_09_tas,
-									env_climate_tasmax: period1_09_tasmax,
-									env_climate_tasmin: period1_09_tasmin
-								},
-								{
-									std_month: 10,
-									env_climate_pr: 	period1_10_pr,
-									env_climate_tas: 	period1_10_tas,
-									env_climate_tasmax: period1_10_tasmax,
-									env_climate_tasmin: period1_10_tasmin
-								},
-								{
-									std_month: 11,
-									env_climate_pr: 	period1_11_pr,
-									env_climate_tas: 	period1_11_tas,
-									env_climate_tasmax: period1_11_tasmax,
-									env_climate_tasmin: period1_11_tasmin
-								},
-								{
-									std_month: 12,
-									env_climate_pr: 	period1_12_pr,
-									env_climate_tas: 	period1_12_tas,
-									env_climate_tasmax: period1_12_tasmax,
-									env_climate_tasmin: period1_12_tasmin
-								}
-							]
-						},
-						\`2011-2040\`: {
-							\`MPI-ESM1-2-HR\`: {
-								ssp370: {
-									env_climate_bio01: period2_bio01,
-									env_climate_bio02: period2_bio02,
-									env_climate_bio03: period2_bio03,
-									env_climate_bio04: period2_bio04,
-									env_climate_bio05: period2_bio05,
-									env_climate_bio06: period2_bio06,
-									env_climate_bio07: period2_bio07,
-									env_climate_bio08: period2_bio08,
-									env_climate_bio09: period2_bio09,
-									env_climate_bio10: period2_bio10,
-									env_climate_bio11: period2_bio11,
-									env_climate_bio12: period2_bio12,
-									env_climate_bio13: period2_bio13,
-									env_climate_bio14: period2_bio14,
-									env_climate_bio15: period2_bio15,
-									env_climate_bio16: period2_bio16,
-									env_climate_bio17: period2_bio17,
-									env_climate_bio18: period2_bio18,
-									env_climate_bio19: period2_bio19,
-									env_climate_gdd0: period2_gdd0,
-									env_climate_gdd10: period2_gdd10,
-									env_climate_gdd5: period2_gdd5,
-									env_climate_gsl: period2_gsl,
-									env_climate_gsp: period2_gsp,
-									env_climate_gst: period2_gst,
-									env_climate_ngd0: period2_ngd0,
-									env_climate_ngd10: period2_ngd10,
-									env_climate_ngd5: period2_ngd5,
-									env_climate_npp: period2_npp,
-									env_climate_scd: period2_scd,
-									std_date_span_month: [
-										{
-											std_month: 1,
-											env_climate_pr: 	period2_01_pr,
-											env_climate_tas: 	period2_01_tas,
-											env_climate_tasmax: period2_01_tasmax,
-											env_climate_tasmin: period2_01_tasmin
-										},
-										{
-											std_month: 2,
-											env_climate_pr: 	period2_02_pr,
-											env_climate_tas: 	period2_02_tas,
-											env_climate_tasmax: period2_02_tasmax,
-											env_climate_tasmin: period2_02_tasmin
-										},
-										{
-											std_month: 3,
-											env_climate_pr: 	period2_03_pr,
-											env_climate_tas: 	period2_03_tas,
-											env_climate_tasmax: period2_03_tasmax,
-											env_climate_tasmin: period2_03_tasmin
-										},
-										{
-											std_month: 4,
-											env_climate_pr: 	period2_04_pr,
-											env_climate_tas: 	period2_04_tas,
-											env_climate_tasmax: period2_04_tasmax,
-											env_climate_tasmin: period2_04_tasmin
-										},
-										{
-											std_month: 5,
-											env_climate_pr: 	period2_05_pr,
-											env_climate_tas: 	period2_05_tas,
-											env_climate_tasmax: period2_05_tasmax,
-											env_climate_tasmin: period2_05_tasmin
-										},
-										{
-											std_month: 6,
-											env_climate_pr: 	period2_06_pr,
-											env_climate_tas: 	period2_06_tas,
-											env_climate_tasmax: period2_06_tasmax,
-											env_climate_tasmin: period2_06_tasmin
-										},
-										{
-											std_month: 7,
-											env_climate_pr: 	period2_07_pr,
-											env_climate_tas: 	period2_07_tas,
-											env_climate_tasmax: period2_07_tasmax,
-											env_climate_tasmin: period2_07_tasmin
-										},
-										{
-											std_month: 8,
-											env_climate_pr: 	period2_08_pr,
-											env_climate_tas: 	period2_08_tas,
-											env_climate_tasmax: period2_08_tasmax,
-											env_climate_tasmin: period2_08_tasmin
-										},
-										{
-											std_month: 9,
-											env_climate_pr: 	period2_09_pr,
-											env_climate_tas: 	period2_09_tas,
-											env_climate_tasmax: period2_09_tasmax,
-											env_climate_tasmin: period2_09_tasmin
-										},
-										{
-											std_month: 10,
-											env_climate_pr: 	period2_10_pr,
-											env_climate_tas: 	period2_10_tas,
-											env_climate_tasmax: period2_10_tasmax,
-											env_climate_tasmin: period2_10_tasmin
-										},
-										{
-											std_month: 11,
-											env_climate_pr: 	period2_11_pr,
-											env_climate_tas: 	period2_11_tas,
-											env_climate_tasmax: period2_11_tasmax,
-											env_climate_tasmin: period2_11_tasmin
-										},
-										{
-											std_month: 12,
-											env_climate_pr: 	period2_12_pr,
-											env_climate_tas: 	period2_12_tas,
-											env_climate_tasmax: period2_12_tasmax,
-											env_climate_tasmin: period2_12_tasmin
-										}
-									]
-								}
-							}
-						},
-						\`2041-2070\`: {
-							\`MPI-ESM1-2-HR\`: {
-								ssp370: {
-									env_climate_bio01: period3_bio01,
-									env_climate_bio02: period3_bio02,
-									env_climate_bio03: period3_bio03,
-									env_climate_bio04: period3_bio04,
-									env_climate_bio05: period3_bio05,
-									env_climate_bio06: period3_bio06,
-									env_climate_bio07: period3_bio07,
-									env_climate_bio08: period3_bio08,
-									env_climate_bio09: period3_bio09,
-									env_climate_bio10: period3_bio10,
-									env_climate_bio11: period3_bio11,
-									env_climate_bio12: period3_bio12,
-									env_climate_bio13: period3_bio13,
-									env_climate_bio14: period3_bio14,
-									env_climate_bio15: period3_bio15,
-									env_climate_bio16: period3_bio16,
-									env_climate_bio17: period3_bio17,
-									env_climate_bio18: period3_bio18,
-									env_climate_bio19: period3_bio19,
-									env_climate_gdd0: period3_gdd0,
-									env_climate_gdd10: period3_gdd10,
-									env_climate_gdd5: period3_gdd5,
-									env_climate_gsl: period3_gsl,
-									env_climate_gsp: period3_gsp,
-									env_climate_gst: period3_gst,
-									env_climate_ngd0: period3_ngd0,
-									env_climate_ngd10: period3_ngd10,
-									env_climate_ngd5: period3_ngd5,
-									env_climate_npp: period3_npp,
-									env_climate_scd: period3_scd,
-									std_date_span_month: [
-										{
-											std_month: 1,
-											env_climate_pr: 	period3_01_pr,
-											env_climate_tas: 	period3_01_tas,
-											env_climate_tasmax: period3_01_tasmax,
-											env_climate_tasmin: period3_01_tasmin
-										},
-										{
-											std_month: 2,
-											env_climate_pr: 	period3_02_pr,
-											env_climate_tas: 	period3_02_tas,
-											env_climate_tasmax: period3_02_tasmax,
-											env_climate_tasmin: period3_02_tasmin
-										},
-										{
-											std_month: 3,
-											env_climate_pr: 	period3_03_pr,
-											env_climate_tas: 	period3_03_tas,
-											env_climate_tasmax: period3_03_tasmax,
-											env_climate_tasmin: period3_03_tasmin
-										},
-										{
-											std_month: 4,
-											env_climate_pr: 	period3_04_pr,
-											env_climate_tas: 	period3_04_tas,
-											env_climate_tasmax: period3_04_tasmax,
-											env_climate_tasmin: period3_04_tasmin
-										},
-										{
-											std_month: 5,
-											env_climate_pr: 	period3_05_pr,
-											env_climate_tas: 	period3_05_tas,
-											env_climate_tasmax: period3_05_tasmax,
-											env_climate_tasmin: period3_05_tasmin
-										},
-										{
-											std_month: 6,
-											env_climate_pr: 	period3_06_pr,
-											env_climate_tas: 	period3_06_tas,
-											env_climate_tasmax: period3_06_tasmax,
-											env_climate_tasmin: period3_06_tasmin
-										},
-										{
-											std_month: 7,
-											env_climate_pr: 	period3_07_pr,
-											env_climate_tas: 	period3_07_tas,
-											env_climate_tasmax: period3_07_tasmax,
-											env_climate_tasmin: period3_07_tasmin
-										},
-										{
-											std_month: 8,
-											env_climate_pr: 	period3_08_pr,
-											env_climate_tas: 	period3_08_tas,
-											env_climate_tasmax: period3_08_tasmax,
-											env_climate_tasmin: period3_08_tasmin
-										},
-										{
-											std_month: 9,
-											env_climate_pr: 	period3_09_pr,
-											env_climate_tas: 	period3_09_tas,
-											env_climate_tasmax: period3_09_tasmax,
-											env_climate_tasmin: period3_09_tasmin
-										},
-										{
-											std_month: 10,
-											env_climate_pr: 	period3_10_pr,
-											env_climate_tas: 	period3_10_tas,
-											env_climate_tasmax: period3_10_tasmax,
-											env_climate_tasmin: period3_10_tasmin
-										},
-										{
-											std_month: 11,
-											env_climate_pr: 	period3_11_pr,
-											env_climate_tas: 	period3_11_tas,
-											env_climate_tasmax: period3_11_tasmax,
-											env_climate_tasmin: period3_11_tasmin
-										},
-										{
-											std_month: 12,
-											env_climate_pr: 	period3_12_pr,
-											env_climate_tas: 	period3_12_tas,
-											env_climate_tasmax: period3_12_tasmax,
-											env_climate_tasmin: period3_12_tasmin
-										}
-									]
-								}
-							}
-						},
-						\`2071-2100\`: {
-							\`MPI-ESM1-2-HR\`: {
-								ssp370: {
-									env_climate_bio01: period4_bio01,
-									env_climate_bio02: period4_bio02,
-									env_climate_bio03: period4_bio03,
-									env_climate_bio04: period4_bio04,
-									env_climate_bio05: period4_bio05,
-									env_climate_bio06: period4_bio06,
-									env_climate_bio07: period4_bio07,
-									env_climate_bio08: period4_bio08,
-									env_climate_bio09: period4_bio09,
-									env_climate_bio10: period4_bio10,
-									env_climate_bio11: period4_bio11,
-									env_climate_bio12: period4_bio12,
-									env_climate_bio13: period4_bio13,
-									env_climate_bio14: period4_bio14,
-									env_climate_bio15: period4_bio15,
-									env_climate_bio16: period4_bio16,
-									env_climate_bio17: period4_bio17,
-									env_climate_bio18: period4_bio18,
-									env_climate_bio19: period4_bio19,
-									env_climate_gdd0: period4_gdd0,
-									env_climate_gdd10: period4_gdd10,
-									env_climate_gdd5: period4_gdd5,
-									env_climate_gsl: period4_gsl,
-									env_climate_gsp: period4_gsp,
-									env_climate_gst: period4_gst,
-									env_climate_ngd0: period4_ngd0,
-									env_climate_ngd10: period4_ngd10,
-									env_climate_ngd5: period4_ngd5,
-									env_climate_npp: period4_npp,
-									env_climate_scd: period4_scd,
-									std_date_span_month: [
-										{
-											std_month: 1,
-											env_climate_pr: 	period4_01_pr,
-											env_climate_tas: 	period4_01_tas,
-											env_climate_tasmax: period4_01_tasmax,
-											env_climate_tasmin: period4_01_tasmin
-										},
-										{
-											std_month: 2,
-											env_climate_pr: 	period4_02_pr,
-											env_climate_tas: 	period4_02_tas,
-											env_climate_tasmax: period4_02_tasmax,
-											env_climate_tasmin: period4_02_tasmin
-										},
-										{
-											std_month: 3,
-											env_climate_pr: 	period4_03_pr,
-											env_climate_tas: 	period4_03_tas,
-											env_climate_tasmax: period4_03_tasmax,
-											env_climate_tasmin: period4_03_tasmin
-										},
-										{
-											std_month: 4,
-											env_climate_pr: 	period4_04_pr,
-											env_climate_tas: 	period4_04_tas,
-											env_climate_tasmax: period4_04_tasmax,
-											env_climate_tasmin: period4_04_tasmin
-										},
-										{
-											std_month: 5,
-											env_climate_pr: 	period4_05_pr,
-											env_climate_tas: 	period4_05_tas,
-											env_climate_tasmax: period4_05_tasmax,
-											env_climate_tasmin: period4_05_tasmin
-										},
-										{
-											std_month: 6,
-											env_climate_pr: 	period4_06_pr,
-											env_climate_tas: 	period4_06_tas,
-											env_climate_tasmax: period4_06_tasmax,
-											env_climate_tasmin: period4_06_tasmin
-										},
-										{
-											std_month: 7,
-											env_climate_pr: 	period4_07_pr,
-											env_climate_tas: 	period4_07_tas,
-											env_climate_tasmax: period4_07_tasmax,
-											env_climate_tasmin: period4_07_tasmin
-										},
-										{
-											std_month: 8,
-											env_climate_pr: 	period4_08_pr,
-											env_climate_tas: 	period4_08_tas,
-											env_climate_tasmax: period4_08_tasmax,
-											env_climate_tasmin: period4_08_tasmin
-										},
-										{
-											std_month: 9,
-											env_climate_pr: 	period4_09_pr,
-											env_climate_tas: 	period4_09_tas,
-											env_climate_tasmax: period4_09_tasmax,
-											env_climate_tasmin: period4_09_tasmin
-										},
-										{
-											std_month: 10,
-											env_climate_pr: 	period4_10_pr,
-											env_climate_tas: 	period4_10_tas,
-											env_climate_tasmax: period4_10_tasmax,
-											env_climate_tasmin: period4_10_tasmin
-										},
-										{
-											std_month: 11,
-											env_climate_pr: 	period4_11_pr,
-											env_climate_tas: 	period4_11_tas,
-											env_climate_tasmax: period4_11_tasmax,
-											env_climate_tasmin: period4_11_tasmin
-										},
-										{
-											std_month: 12,
-											env_climate_pr: 	period4_12_pr,
-											env_climate_tas: 	period4_12_tas,
-											env_climate_tasmax: period4_12_tasmax,
-											env_climate_tasmin: period4_12_tasmin
-										}
-									]
-								}
-							}
-						}
-					}
-				}
-			`
-			break
-
-		///
-		// Return selection variance.
-		///
-		case 'VAR':
-			query = aql`
-				LET target = ${theGeometry}
-				FOR doc IN ${theCollectionMap}
-					FILTER GEO_CONTAINS(${theGeometry}, doc.geometry)
-					FOR dat IN ${theCollection}
-						FILTER dat._key == doc._key
-						COLLECT AGGREGATE count = COUNT(),
-									  period1_ai = VARIANCE(dat.properties.\`1981-2010\`.env_climate_ai),
-									  period1_bio01 = VARIANCE(dat.properties.\`1981-2010\`.env_climate_bio01),
-									  period1_bio02 = VARIANCE(dat.properties.\`1981-2010\`.env_climate_bio02),
-									  period1_bio03 = VARIANCE(dat.properties.\`1981-2010\`.env_climate_bio03),
-									  period1_bio04 = VARIANCE(dat.properties.\`1981-2010\`.env_climate_bio04),
-									  period1_bio05 = VARIANCE(dat.properties.\`1981-2010\`.env_climate_bio05),
-									  period1_bio06 = VARIANCE(dat.properties.\`1981-2010\`.env_climate_bio06),
-									  period1_bio07 = VARIANCE(dat.properties.\`1981-2010\`.env_climate_bio07),
-									  period1_bio08 = VARIANCE(dat.properties.\`1981-2010\`.env_climate_bio08),
-									  period1_bio09 = VARIANCE(dat.properties.\`1981-2010\`.env_climate_bio09),
-									  period1_bio10 = VARIANCE(dat.properties.\`1981-2010\`.env_climate_bio10),
-									  period1_bio11 = VARIANCE(dat.properties.\`1981-2010\`.env_climate_bio11),
-									  period1_bio12 = VARIANCE(dat.properties.\`1981-2010\`.env_climate_bio12),
-									  period1_bio13 = VARIANCE(dat.properties.\`1981-2010\`.env_climate_bio13),
-									  period1_bio14 = VARIANCE(dat.properties.\`1981-2010\`.env_climate_bio14),
-									  period1_bio15 = VARIANCE(dat.properties.\`1981-2010\`.env_climate_bio15),
-									  period1_bio16 = VARIANCE(dat.properties.\`1981-2010\`.env_climate_bio16),
-									  period1_bio17 = VARIANCE(dat.properties.\`1981-2010\`.env_climate_bio17),
-									  period1_bio18 = VARIANCE(dat.properties.\`1981-2010\`.env_climate_bio18),
-									  period1_bio19 = VARIANCE(dat.properties.\`1981-2010\`.env_climate_bio19),
-									  period1_clt_max = VARIANCE(dat.properties.\`1981-2010\`.env_climate_clt_max),
-									  period1_clt_mean = VARIANCE(dat.properties.\`1981-2010\`.env_climate_clt_mean),
-									  period1_clt_min = VARIANCE(dat.properties.\`1981-2010\`.env_climate_clt_min),
-									  period1_clt_range = VARIANCE(dat.properties.\`1981-2010\`.env_climate_clt_range),
-									  period1_cmi_max = VARIANCE(dat.properties.\`1981-2010\`.env_climate_cmi_max),
-									  period1_cmi_mean = VARIANCE(dat.properties.\`1981-2010\`.env_climate_cmi_mean),
-									  period1_cmi_min = VARIANCE(dat.properties.\`1981-2010\`.env_climate_cmi_min),
-									  period1_cmi_range = VARIANCE(dat.properties.\`1981-2010\`.env_climate_cmi_range),
-									  period1_fcf =  VARIANCE(dat.properties.\`1981-2010\`.env_climate_fcf),
-									  period1_fgd =  VARIANCE(dat.properties.\`1981-2010\`.env_climate_fgd),
-									  period1_gdd0 =  VARIANCE(dat.properties.\`1981-2010\`.env_climate_gdd0),
-									  period1_gdd10 = VARIANCE(dat.properties.\`1981-2010\`.env_climate_gdd10),
-									  period1_gdd5 = VARIANCE(dat.properties.\`1981-2010\`.env_climate_gdd5),
-									  period1_gddlgd0 = VARIANCE(dat.properties.\`1981-2010\`.env_climate_gddlgd0),
-									  period1_gddlgd10 = VARIANCE(dat.properties.\`1981-2010\`.env_climate_gddlgd10),
-									  period1_gddlgd5 = VARIANCE(dat.properties.\`1981-2010\`.env_climate_gddlgd5),
-									  period1_gdgfgd0 = VARIANCE(dat.properties.\`1981-2010\`.env_climate_gdgfgd0),
-									  period1_gdgfgd10 = VARIANCE(dat.properties.\`1981-2010\`.env_climate_gdgfgd10),
-									  period1_gdgfgd5 = VARIANCE(dat.properties.\`1981-2010\`.env_climate_gdgfgd5),
-									  period1_gsl = VARIANCE(dat.properties.\`1981-2010\`.env_climate_gsl),
-									  period1_gsp = VARIANCE(dat.properties.\`1981-2010\`.env_climate_gsp),
-									  period1_gst = VARIANCE(dat.properties.\`1981-2010\`.env_climate_gst),
-									  period1_hurs_max = VARIANCE(dat.properties.\`1981-2010\`.env_climate_hurs_max),
-									  period1_hurs_mean = VARIANCE(dat.properties.\`1981-2010\`.env_climate_hurs_mean),
-									  period1_hurs_min = VARIANCE(dat.properties.\`1981-2010\`.env_climate_hurs_min),
-									  period1_hurs_range = VARIANCE(dat.properties.\`1981-2010\`.env_climate_hurs_range),
-									  period1_ngd0 = VARIANCE(dat.properties.\`1981-2010\`.env_climate_ngd0),
-									  period1_ngd10 = VARIANCE(dat.properties.\`1981-2010\`.env_climate_ngd10),
-									  period1_ngd5 = VARIANCE(dat.properties.\`1981-2010\`.env_climate_ngd5),
-									  period1_npp = VARIANCE(dat.properties.\`1981-2010\`.env_climate_npp),
-									  period1_pet_penman_max = VARIANCE(dat.properties.\`1981-2010\`.env_climate_pet_penman_max),
-									  period1_pet_penman_mean = VARIANCE(dat.properties.\`1981-2010\`.env_climate_pet_penman_mean),
-									  period1_pet_penman_min = VARIANCE(dat.properties.\`1981-2010\`.env_climate_pet_penman_min),
-									  period1_pet_penman_range = VARIANCE(dat.properties.\`1981-2010\`.env_climate_pet_penman_range),
-									  period1_rsds_max = VARIANCE(dat.properties.\`1981-2010\`.env_climate_rsds_max),
-									  period1_rsds_mean = VARIANCE(dat.properties.\`1981-2010\`.env_climate_rsds_mean),
-									  period1_rsds_min = VARIANCE(dat.properties.\`1981-2010\`.env_climate_rsds_min),
-									  period1_rsds_range = VARIANCE(dat.properties.\`1981-2010\`.env_climate_rsds_range),
-									  period1_scd = VARIANCE(dat.properties.\`1981-2010\`.env_climate_scd),
-									  period1_sfcWind_max = VARIANCE(dat.properties.\`1981-2010\`.env_climate_sfcWind_max),
-									  period1_sfcWind_mean = VARIANCE(dat.properties.\`1981-2010\`.env_climate_sfcWind_mean),
-									  period1_sfcWind_min = VARIANCE(dat.properties.\`1981-2010\`.env_climate_sfcWind_min),
-									  period1_sfcWind_range = VARIANCE(dat.properties.\`1981-2010\`.env_climate_sfcWind_range),
-									  period1_swb = VARIANCE(dat.properties.\`1981-2010\`.env_climate_swb),
-									  period1_swe = VARIANCE(dat.properties.\`1981-2010\`.env_climate_swe),
-									  period1_vpd_max = VARIANCE(dat.properties.\`1981-2010\`.env_climate_vpd_max),
-									  period1_vpd_mean = VARIANCE(dat.properties.\`1981-2010\`.env_climate_vpd_mean),
-									  period1_vpd_min = VARIANCE(dat.properties.\`1981-2010\`.env_climate_vpd_min),
-									  period1_vpd_range = VARIANCE(dat.properties.\`1981-2010\`.env_climate_vpd_range),
-									  period1_01_pr = VARIANCE(dat.properties.\`1981-2010\`.std_date_span_month[0].env_climate_pr),
-									  period1_01_tas = VARIANCE(dat.properties.\`1981-2010\`.std_date_span_month[0].env_climate_tas),
-									  period1_01_tasmax = VARIANCE(dat.properties.\`1981-2010\`.std_date_span_month[0].env_climate_tasmax),
-									  period1_01_tasmin = VARIANCE(dat.properties.\`1981-2010\`.std_date_span_month[0].env_climate_tasmin),
-									  period1_02_pr = VARIANCE(dat.properties.\`1981-2010\`.std_date_span_month[1].env_climate_pr),
-									  period1_02_tas = VARIANCE(dat.properties.\`1981-2010\`.std_date_span_month[1].env_climate_tas),
-									  period1_02_tasmax = VARIANCE(dat.properties.\`1981-2010\`.std_date_span_month[1].env_climate_tasmax),
-									  period1_02_tasmin = VARIANCE(dat.properties.\`1981-2010\`.std_date_span_month[1].env_climate_tasmin),
-									  period1_03_pr = VARIANCE(dat.properties.\`1981-2010\`.std_date_span_month[2].env_climate_pr),
-									  period1_03_tas = VARIANCE(dat.properties.\`1981-2010\`.std_date_span_month[2].env_climate_tas),
-									  period1_03_tasmax = VARIANCE(dat.properties.\`1981-2010\`.std_date_span_month[2].env_climate_tasmax),
-									  period1_03_tasmin = VARIANCE(dat.properties.\`1981-2010\`.std_date_span_month[2].env_climate_tasmin),
-									  period1_04_pr = VARIANCE(dat.properties.\`1981-2010\`.std_date_span_month[3].env_climate_pr),
-									  period1_04_tas = VARIANCE(dat.properties.\`1981-2010\`.std_date_span_month[3].env_climate_tas),
-									  period1_04_tasmax = VARIANCE(dat.properties.\`1981-2010\`.std_date_span_month[3].env_climate_tasmax),
-									  period1_04_tasmin = VARIANCE(dat.properties.\`1981-2010\`.std_date_span_month[3].env_climate_tasmin),
-									  period1_05_pr = VARIANCE(dat.properties.\`1981-2010\`.std_date_span_month[4].env_climate_pr),
-									  period1_05_tas = VARIANCE(dat.properties.\`1981-2010\`.std_date_span_month[4].env_climate_tas),
-									  period1_05_tasmax = VARIANCE(dat.properties.\`1981-2010\`.std_date_span_month[4].env_climate_tasmax),
-									  period1_05_tasmin = VARIANCE(dat.properties.\`1981-2010\`.std_date_span_month[4].env_climate_tasmin),
-									  period1_06_pr = VARIANCE(dat.properties.\`1981-2010\`.std_date_span_month[5].env_climate_pr),
-									  period1_06_tas = VARIANCE(dat.properties.\`1981-2010\`.std_date_span_month[5].env_climate_tas),
-									  period1_06_tasmax = VARIANCE(dat.properties.\`1981-2010\`.std_date_span_month[5].env_climate_tasmax),
-									  period1_06_tasmin = VARIANCE(dat.properties.\`1981-2010\`.std_date_span_month[5].env_climate_tasmin),
-									  period1_07_pr = VARIANCE(dat.properties.\`1981-2010\`.std_date_span_month[6].env_climate_pr),
-									  period1_07_tas = VARIANCE(dat.properties.\`1981-2010\`.std_date_span_month[6].env_climate_tas),
-									  period1_07_tasmax = VARIANCE(dat.properties.\`1981-2010\`.std_date_span_month[6].env_climate_tasmax),
-									  period1_07_tasmin = VARIANCE(dat.properties.\`1981-2010\`.std_date_span_month[6].env_climate_tasmin),
-									  period1_08_pr = VARIANCE(dat.properties.\`1981-2010\`.std_date_span_month[7].env_climate_pr),
-									  period1_08_tas = VARIANCE(dat.properties.\`1981-2010\`.std_date_span_month[7].env_climate_tas),
-									  period1_08_tasmax = VARIANCE(dat.properties.\`1981-2010\`.std_date_span_month[7].env_climate_tasmax),
-									  period1_08_tasmin = VARIANCE(dat.properties.\`1981-2010\`.std_date_span_month[7].env_climate_tasmin),
-									  period1_09_pr = VARIANCE(dat.properties.\`1981-2010\`.std_date_span_month[8].env_climate_pr),
-									  period1_09_tas = VARIANCE(dat.properties.\`1981-2010\`.std_date_span_month[8].env_climate_tas),
-									  period1_09_tasmax = VARIANCE(dat.properties.\`1981-2010\`.std_date_span_month[8].env_climate_tasmax),
-									  period1_09_tasmin = VARIANCE(dat.properties.\`1981-2010\`.std_date_span_month[8].env_climate_tasmin),
-									  period1_10_pr = VARIANCE(dat.properties.\`1981-2010\`.std_date_span_month[9].env_climate_pr),
-									  period1_10_tas = VARIANCE(dat.properties.\`1981-2010\`.std_date_span_month[9].env_climate_tas),
-									  period1_10_tasmax = VARIANCE(dat.properties.\`1981-2010\`.std_date_span_month[9].env_climate_tasmax),
-									  period1_10_tasmin = VARIANCE(dat.properties.\`1981-2010\`.std_date_span_month[9].env_climate_tasmin),
-									  period1_11_pr = VARIANCE(dat.properties.\`1981-2010\`.std_date_span_month[10].env_climate_pr),
-									  period1_11_tas = VARIANCE(dat.properties.\`1981-2010\`.std_date_span_month[10].env_climate_tas),
-									  period1_11_tasmax = VARIANCE(dat.properties.\`1981-2010\`.std_date_span_month[10].env_climate_tasmax),
-									  period1_11_tasmin = VARIANCE(dat.properties.\`1981-2010\`.std_date_span_month[10].env_climate_tasmin),
-									  period1_12_pr = VARIANCE(dat.properties.\`1981-2010\`.std_date_span_month[11].env_climate_pr),
-									  period1_12_tas = VARIANCE(dat.properties.\`1981-2010\`.std_date_span_month[11].env_climate_tas),
-									  period1_12_tasmax = VARIANCE(dat.properties.\`1981-2010\`.std_date_span_month[11].env_climate_tasmax),
-									  period1_12_tasmin = VARIANCE(dat.properties.\`1981-2010\`.std_date_span_month[11].env_climate_tasmin),
-									  period2_bio01 = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio01),
-									  period2_bio02 = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio02),
-									  period2_bio03 = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio03),
-									  period2_bio04 = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio04),
-									  period2_bio05 = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio05),
-									  period2_bio06 = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio06),
-									  period2_bio07 = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio07),
-									  period2_bio08 = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio08),
-									  period2_bio09 = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio09),
-									  period2_bio10 = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio10),
-									  period2_bio11 = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio11),
-									  period2_bio12 = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio12),
-									  period2_bio13 = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio13),
-									  period2_bio14 = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio14),
-									  period2_bio15 = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio15),
-									  period2_bio16 = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio16),
-									  period2_bio17 = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio17),
-									  period2_bio18 = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio18),
-									  period2_bio19 = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio19),
-									  period2_gdd0 = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gdd0),
-									  period2_gdd10 = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gdd10),
-									  period2_gdd5 = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gdd5),
-									  period2_gsl = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gsl),
-									  period2_gsp = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gsp),
-									  period2_gst = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gst),
-									  period2_ngd0 = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_ngd0),
-									  period2_ngd10 = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_ngd10),
-									  period2_ngd5 = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_ngd5),
-									  period2_npp = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_npp),
-									  period2_scd = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_scd),
-									  period2_01_pr = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_pr),
-									  period2_01_tas = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_tas),
-									  period2_01_tasmax = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_tasmax),
-									  period2_01_tasmin = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_tasmin),
-									  period2_02_pr = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_pr),
-									  period2_02_tas = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_tas),
-									  period2_02_tasmax = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_tasmax),
-									  period2_02_tasmin = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_tasmin),
-									  period2_03_pr = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_pr),
-									  period2_03_tas = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_tas),
-									  period2_03_tasmax = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_tasmax),
-									  period2_03_tasmin = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_tasmin),
-									  period2_04_pr = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_pr),
-									  period2_04_tas = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_tas),
-									  period2_04_tasmax = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_tasmax),
-									  period2_04_tasmin = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_tasmin),
-									  period2_05_pr = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_pr),
-									  period2_05_tas = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_tas),
-									  period2_05_tasmax = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_tasmax),
-									  period2_05_tasmin = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_tasmin),
-									  period2_06_pr = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_pr),
-									  period2_06_tas = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_tas),
-									  period2_06_tasmax = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_tasmax),
-									  period2_06_tasmin = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_tasmin),
-									  period2_07_pr = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_pr),
-									  period2_07_tas = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_tas),
-									  period2_07_tasmax = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_tasmax),
-									  period2_07_tasmin = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_tasmin),
-									  period2_08_pr = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_pr),
-									  period2_08_tas = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_tas),
-									  period2_08_tasmax = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_tasmax),
-									  period2_08_tasmin = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_tasmin),
-									  period2_09_pr = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_pr),
-									  period2_09_tas = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_tas),
-									  period2_09_tasmax = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_tasmax),
-									  period2_09_tasmin = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_tasmin),
-									  period2_10_pr = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_pr),
-									  period2_10_tas = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_tas),
-									  period2_10_tasmax = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_tasmax),
-									  period2_10_tasmin = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_tasmin),
-									  period2_11_pr = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_pr),
-									  period2_11_tas = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_tas),
-									  period2_11_tasmax = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_tasmax),
-									  period2_11_tasmin = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_tasmin),
-									  period2_12_pr = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_pr),
-									  period2_12_tas = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_tas),
-									  period2_12_tasmax = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_tasmax),
-									  period2_12_tasmin = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_tasmin),
-									  period3_bio01 = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio01),
-									  period3_bio02 = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio02),
-									  period3_bio03 = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio03),
-									  period3_bio04 = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio04),
-									  period3_bio05 = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio05),
-									  period3_bio06 = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio06),
-									  period3_bio07 = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio07),
-									  period3_bio08 = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio08),
-									  period3_bio09 = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio09),
-									  period3_bio10 = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio10),
-									  period3_bio11 = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio11),
-									  period3_bio12 = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio12),
-									  period3_bio13 = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio13),
-									  period3_bio14 = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio14),
-									  period3_bio15 = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio15),
-									  period3_bio16 = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio16),
-									  period3_bio17 = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio17),
-									  period3_bio18 = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio18),
-									  period3_bio19 = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio19),
-									  period3_gdd0 = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gdd0),
-									  period3_gdd10 = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gdd10),
-									  period3_gdd5 = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gdd5),
-									  period3_gsl = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gsl),
-									  period3_gsp = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gsp),
-									  period3_gst = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gst),
-									  period3_ngd0 = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_ngd0),
-									  period3_ngd10 = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_ngd10),
-									  period3_ngd5 = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_ngd5),
-									  period3_npp = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_npp),
-									  period3_scd = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_scd),
-									  period3_01_pr = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_pr),
-									  period3_01_tas = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_tas),
-									  period3_01_tasmax = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_tasmax),
-									  period3_01_tasmin = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_tasmin),
-									  period3_02_pr = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_pr),
-									  period3_02_tas = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_tas),
-									  period3_02_tasmax = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_tasmax),
-									  period3_02_tasmin = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_tasmin),
-									  period3_03_pr = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_pr),
-									  period3_03_tas = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_tas),
-									  period3_03_tasmax = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_tasmax),
-									  period3_03_tasmin = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_tasmin),
-									  period3_04_pr = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_pr),
-									  period3_04_tas = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_tas),
-									  period3_04_tasmax = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_tasmax),
-									  period3_04_tasmin = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_tasmin),
-									  period3_05_pr = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_pr),
-									  period3_05_tas = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_tas),
-									  period3_05_tasmax = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_tasmax),
-									  period3_05_tasmin = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_tasmin),
-									  period3_06_pr = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_pr),
-									  period3_06_tas = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_tas),
-									  period3_06_tasmax = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_tasmax),
-									  period3_06_tasmin = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_tasmin),
-									  period3_07_pr = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_pr),
-									  period3_07_tas = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_tas),
-									  period3_07_tasmax = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_tasmax),
-									  period3_07_tasmin = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_tasmin),
-									  period3_08_pr = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_pr),
-									  period3_08_tas = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_tas),
-									  period3_08_tasmax = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_tasmax),
-									  period3_08_tasmin = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_tasmin),
-									  period3_09_pr = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_pr),
-									  period3_09_tas = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_tas),
-									  period3_09_tasmax = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_tasmax),
-									  period3_09_tasmin = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_tasmin),
-									  period3_10_pr = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_pr),
-									  period3_10_tas = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_tas),
-									  period3_10_tasmax = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_tasmax),
-									  period3_10_tasmin = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_tasmin),
-									  period3_11_pr = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_pr),
-									  period3_11_tas = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_tas),
-									  period3_11_tasmax = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_tasmax),
-									  period3_11_tasmin = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_tasmin),
-									  period3_12_pr = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_pr),
-									  period3_12_tas = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_tas),
-									  period3_12_tasmax = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_tasmax),
-									  period3_12_tasmin = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_tasmin),
-									  period4_bio01 = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio01),
-									  period4_bio02 = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio02),
-									  period4_bio03 = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio03),
-									  period4_bio04 = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio04),
-									  period4_bio05 = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio05),
-									  period4_bio06 = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio06),
-									  period4_bio07 = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio07),
-									  period4_bio08 = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio08),
-									  period4_bio09 = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio09),
-									  period4_bio10 = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio10),
-									  period4_bio11 = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio11),
-									  period4_bio12 = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio12),
-									  period4_bio13 = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio13),
-									  period4_bio14 = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio14),
-									  period4_bio15 = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio15),
-									  period4_bio16 = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio16),
-									  period4_bio17 = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio17),
-									  period4_bio18 = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio18),
-									  period4_bio19 = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio19),
-									  period4_gdd0 = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gdd0),
-									  period4_gdd10 = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gdd10),
-									  period4_gdd5 = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gdd5),
-									  period4_gsl = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gsl),
-									  period4_gsp = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gsp),
-									  period4_gst = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gst),
-									  period4_ngd0 = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_ngd0),
-									  period4_ngd10 = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_ngd10),
-									  period4_ngd5 = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_ngd5),
-									  period4_npp = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_npp),
-									  period4_scd = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_scd),
-									  period4_01_pr = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_pr),
-									  period4_01_tas = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_tas),
-									  period4_01_tasmax = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_tasmax),
-									  period4_01_tasmin = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_tasmin),
-									  period4_02_pr = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_pr),
-									  period4_02_tas = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_tas),
-									  period4_02_tasmax = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_tasmax),
-									  period4_02_tasmin = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_tasmin),
-									  period4_03_pr = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_pr),
-									  period4_03_tas = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_tas),
-									  period4_03_tasmax = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_tasmax),
-									  period4_03_tasmin = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_tasmin),
-									  period4_04_pr = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_pr),
-									  period4_04_tas = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_tas),
-									  period4_04_tasmax = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_tasmax),
-									  period4_04_tasmin = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_tasmin),
-									  period4_05_pr = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_pr),
-									  period4_05_tas = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_tas),
-									  period4_05_tasmax = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_tasmax),
-									  period4_05_tasmin = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_tasmin),
-									  period4_06_pr = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_pr),
-									  period4_06_tas = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_tas),
-									  period4_06_tasmax = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_tasmax),
-									  period4_06_tasmin = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_tasmin),
-									  period4_07_pr = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_pr),
-									  period4_07_tas = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_tas),
-									  period4_07_tasmax = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_tasmax),
-									  period4_07_tasmin = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_tasmin),
-									  period4_08_pr = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_pr),
-									  period4_08_tas = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_tas),
-									  period4_08_tasmax = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_tasmax),
-									  period4_08_tasmin = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_tasmin),
-									  period4_09_pr = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_pr),
-									  period4_09_tas = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_tas),
-									  period4_09_tasmax = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_tasmax),
-									  period4_09_tasmin = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_tasmin),
-									  period4_10_pr = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_pr),
-									  period4_10_tas = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_tas),
-									  period4_10_tasmax = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_tasmax),
-									  period4_10_tasmin = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_tasmin),
-									  period4_11_pr = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_pr),
-									  period4_11_tas = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_tas),
-									  period4_11_tasmax = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_tasmax),
-									  period4_11_tasmin = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_tasmin),
-									  period4_12_pr = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_pr),
-									  period4_12_tas = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_tas),
-									  period4_12_tasmax = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_tasmax),
-									  period4_12_tasmin = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_tasmin)
-				RETURN {
-					count: count,
-					properties: {
-						\`1981-2010\`: {
-							env_climate_ai: period1_ai,
-							env_climate_bio01: period1_bio01,
-							env_climate_bio02: period1_bio02,
-							env_climate_bio03: period1_bio03,
-							env_climate_bio04: period1_bio04,
-							env_climate_bio05: period1_bio05,
-							env_climate_bio06: period1_bio06,
-							env_climate_bio07: period1_bio07,
-							env_climate_bio08: period1_bio08,
-							env_climate_bio09: period1_bio09,
-							env_climate_bio10: period1_bio10,
-							env_climate_bio11: period1_bio11,
-							env_climate_bio12: period1_bio12,
-							env_climate_bio13: period1_bio13,
-							env_climate_bio14: period1_bio14,
-							env_climate_bio15: period1_bio15,
-							env_climate_bio16: period1_bio16,
-							env_climate_bio17: period1_bio17,
-							env_climate_bio18: period1_bio18,
-							env_climate_bio19: period1_bio19,
-							env_climate_clt_max: period1_clt_max,
-							env_climate_clt_mean: period1_clt_mean,
-							env_climate_clt_min: period1_clt_min,
-							env_climate_clt_range: period1_clt_range,
-							env_climate_cmi_max: period1_cmi_max,
-							env_climate_cmi_mean: period1_cmi_mean,
-							env_climate_cmi_min: period1_cmi_min,
-							env_climate_cmi_range: period1_cmi_range,
-							env_climate_fcf: period1_fcf,
-							env_climate_fgd: period1_fgd,
-							env_climate_gdd0: period1_gdd0,
-							env_climate_gdd10: period1_gdd10,
-							env_climate_gdd5: period1_gdd5,
-							env_climate_gddlgd0: period1_gddlgd0,
-							env_climate_gddlgd10: period1_gddlgd10,
-							env_climate_gddlgd5: period1_gddlgd5,
-							env_climate_gdgfgd0: period1_gdgfgd0,
-							env_climate_gdgfgd10: period1_gdgfgd10,
-							env_climate_gdgfgd5: period1_gdgfgd5,
-							env_climate_gsl: period1_gsl,
-							env_climate_gsp: period1_gsp,
-							env_climate_gst: period1_gst,
-							env_climate_hurs_max: period1_hurs_max,
-							env_climate_hurs_mean: period1_hurs_mean,
-							env_climate_hurs_min: period1_hurs_min,
-							env_climate_hurs_range: period1_hurs_range,
-							env_climate_ngd0: period1_ngd0,
-							env_climate_ngd10: period1_ngd10,
-							env_climate_ngd5: period1_ngd5,
-							env_climate_npp: period1_npp,
-							env_climate_pet_penman_max: period1_pet_penman_max,
-							env_climate_pet_penman_mean: period1_pet_penman_mean,
-							env_climate_pet_penman_min: period1_pet_penman_min,
-							env_climate_pet_penman_range: period1_pet_penman_range,
-							env_climate_rsds_max: period1_rsds_max,
-							env_climate_rsds_mean: period1_rsds_mean,
-							env_climate_rsds_min: period1_rsds_min,
-							env_climate_rsds_range: period1_rsds_range,
-							env_climate_scd: period1_scd,
-							env_climate_sfcWind_max: period1_sfcWind_max,
-							env_climate_sfcWind_mean: period1_sfcWind_mean,
-							env_climate_sfcWind_min: period1_sfcWind_min,
-							env_climate_sfcWind_range: period1_sfcWind_range,
-							env_climate_swb: period1_swb,
-							env_climate_swe: period1_swe,
-							env_climate_vpd_max: period1_vpd_max,
-							env_climate_vpd_mean: period1_vpd_mean,
-							env_climate_vpd_min: period1_vpd_min,
-							env_climate_vpd_range: period1_vpd_range,
-							std_date_span_month: [
-								{
-									std_month: 1,
-									env_climate_pr: 	period1_01_pr,
-									env_climate_tas: 	period1_01_tas,
-									env_climate_tasmax: period1_01_tasmax,
-									env_climate_tasmin: period1_01_tasmin
-								},
-								{
-									std_month: 2,
-									env_climate_pr: 	period1_02_pr,
-									env_climate_tas: 	period1_02_tas,
-									env_climate_tasmax: period1_02_tasmax,
-									env_climate_tasmin: period1_02_tasmin
-								},
-								{
-									std_month: 3,
-									env_climate_pr: 	period1_03_pr,
-									env_climate_tas: 	period1_03_tas,
-									env_climate_tasmax: period1_03_tasmax,
-									env_climate_tasmin: period1_03_tasmin
-								},
-								{
-									std_month: 4,
-									env_climate_pr: 	period1_04_pr,
-									env_climate_tas: 	period1_04_tas,
-									env_climate_tasmax: period1_04_tasmax,
-									env_climate_tasmin: period1_04_tasmin
-								},
-								{
-									std_month: 5,
-									env_climate_pr: 	period1_05_pr,
-									env_climate_tas: 	period1_05_tas,
-									env_climate_tasmax: period1_05_tasmax,
-									env_climate_tasmin: period1_05_tasmin
-								},
-								{
-									std_month: 6,
-									env_climate_pr: 	period1_06_pr,
-									env_climate_tas: 	period1_06_tas,
-									env_climate_tasmax: period1_06_tasmax,
-									env_climate_tasmin: period1_06_tasmin
-								},
-								{
-									std_month: 7,
-									env_climate_pr: 	period1_07_pr,
-									env_climate_tas: 	period1_07_tas,
-									env_climate_tasmax: period1_07_tasmax,
-									env_climate_tasmin: period1_07_tasmin
-								},
-								{
-									std_month: 8,
-									env_climate_pr: 	period1_08_pr,
-									env_climate_tas: 	period1_08_tas,
-									env_climate_tasmax: period1_08_tasmax,
-									env_climate_tasmin: period1_08_tasmin
-								},
-								{
-									std_month: 9,
-									env_climate_pr: 	period1_09_pr,
-									env_climate_tas: 	period1_09_tas,
-									env_climate_tasmax: period1_09_tasmax,
-									env_climate_tasmin: period1_09_tasmin
-								},
-								{
-									std_month: 10,
-									env_climate_pr: 	period1_10_pr,
-									env_climate_tas: 	period1_10_tas,
-									env_climate_tasmax: period1_10_tasmax,
-									env_climate_tasmin: period1_10_tasmin
-								},
-								{
-									std_month: 11,
-									env_climate_pr: 	period1_11_pr,
-									env_climate_tas: 	period1_11_tas,
-									env_climate_tasmax: period1_11_tasmax,
-									env_climate_tasmin: period1_11_tasmin
-								},
-								{
-									std_month: 12,
-									env_climate_pr: 	period1_12_pr,
-									env_climate_tas: 	period1_12_tas,
-									env_climate_tasmax: period1_12_tasmax,
-									env_climate_tasmin: period1_12_tasmin
-								}
-							]
-						},
-						\`2011-2040\`: {
-							\`MPI-ESM1-2-HR\`: {
-								ssp370: {
-									env_climate_bio01: period2_bio01,
-									env_climate_bio02: period2_bio02,
-									env_climate_bio03: period2_bio03,
-									env_climate_bio04: period2_bio04,
-									env_climate_bio05: period2_bio05,
-									env_climate_bio06: period2_bio06,
-									env_climate_bio07: period2_bio07,
-									env_climate_bio08: period2_bio08,
-									env_climate_bio09: period2_bio09,
-									env_climate_bio10: period2_bio10,
-									env_climate_bio11: period2_bio11,
-									env_climate_bio12: period2_bio12,
-									env_climate_bio13: period2_bio13,
-									env_climate_bio14: period2_bio14,
-									env_climate_bio15: period2_bio15,
-									env_climate_bio16: period2_bio16,
-									env_climate_bio17: period2_bio17,
-									env_climate_bio18: period2_bio18,
-									env_climate_bio19: period2_bio19,
-									env_climate_gdd0: period2_gdd0,
-									env_climate_gdd10: period2_gdd10,
-									env_climate_gdd5: period2_gdd5,
-									env_climate_gsl: period2_gsl,
-									env_climate_gsp: period2_gsp,
-									env_climate_gst: period2_gst,
-									env_climate_ngd0: period2_ngd0,
-									env_climate_ngd10: period2_ngd10,
-									env_climate_ngd5: period2_ngd5,
-									env_climate_npp: period2_npp,
-									env_climate_scd: period2_scd,
-									std_date_span_month: [
-										{
-											std_month: 1,
-											env_climate_pr: 	period2_01_pr,
-											env_climate_tas: 	period2_01_tas,
-											env_climate_tasmax: period2_01_tasmax,
-											env_climate_tasmin: period2_01_tasmin
-										},
-										{
-											std_month: 2,
-											env_climate_pr: 	period2_02_pr,
-											env_climate_tas: 	period2_02_tas,
-											env_climate_tasmax: period2_02_tasmax,
-											env_climate_tasmin: period2_02_tasmin
-										},
-										{
-											std_month: 3,
-											env_climate_pr: 	period2_03_pr,
-											env_climate_tas: 	period2_03_tas,
-											env_climate_tasmax: period2_03_tasmax,
-											env_climate_tasmin: period2_03_tasmin
-										},
-										{
-											std_month: 4,
-											env_climate_pr: 	period2_04_pr,
-											env_climate_tas: 	period2_04_tas,
-											env_climate_tasmax: period2_04_tasmax,
-											env_climate_tasmin: period2_04_tasmin
-										},
-										{
-											std_month: 5,
-											env_climate_pr: 	period2_05_pr,
-											env_climate_tas: 	period2_05_tas,
-											env_climate_tasmax: period2_05_tasmax,
-											env_climate_tasmin: period2_05_tasmin
-										},
-										{
-											std_month: 6,
-											env_climate_pr: 	period2_06_pr,
-											env_climate_tas: 	period2_06_tas,
-											env_climate_tasmax: period2_06_tasmax,
-											env_climate_tasmin: period2_06_tasmin
-										},
-										{
-											std_month: 7,
-											env_climate_pr: 	period2_07_pr,
-											env_climate_tas: 	period2_07_tas,
-											env_climate_tasmax: period2_07_tasmax,
-											env_climate_tasmin: period2_07_tasmin
-										},
-										{
-											std_month: 8,
-											env_climate_pr: 	period2_08_pr,
-											env_climate_tas: 	period2_08_tas,
-											env_climate_tasmax: period2_08_tasmax,
-											env_climate_tasmin: period2_08_tasmin
-										},
-										{
-											std_month: 9,
-											env_climate_pr: 	period2_09_pr,
-											env_climate_tas: 	period2_09_tas,
-											env_climate_tasmax: period2_09_tasmax,
-											env_climate_tasmin: period2_09_tasmin
-										},
-										{
-											std_month: 10,
-											env_climate_pr: 	period2_10_pr,
-											env_climate_tas: 	period2_10_tas,
-											env_climate_tasmax: period2_10_tasmax,
-											env_climate_tasmin: period2_10_tasmin
-										},
-										{
-											std_month: 11,
-											env_climate_pr: 	period2_11_pr,
-											env_climate_tas: 	period2_11_tas,
-											env_climate_tasmax: period2_11_tasmax,
-											env_climate_tasmin: period2_11_tasmin
-										},
-										{
-											std_month: 12,
-											env_climate_pr: 	period2_12_pr,
-											env_climate_tas: 	period2_12_tas,
-											env_climate_tasmax: period2_12_tasmax,
-											env_climate_tasmin: period2_12_tasmin
-										}
-									]
-								}
-							}
-						},
-						\`2041-2070\`: {
-							\`MPI-ESM1-2-HR\`: {
-								ssp370: {
-									env_climate_bio01: period3_bio01,
-									env_climate_bio02: period3_bio02,
-									env_climate_bio03: period3_bio03,
-									env_climate_bio04: period3_bio04,
-									env_climate_bio05: period3_bio05,
-									env_climate_bio06: period3_bio06,
-									env_climate_bio07: period3_bio07,
-									env_climate_bio08: period3_bio08,
-									env_climate_bio09: period3_bio09,
-									env_climate_bio10: period3_bio10,
-									env_climate_bio11: period3_bio11,
-									env_climate_bio12: period3_bio12,
-									env_climate_bio13: period3_bio13,
-									env_climate_bio14: period3_bio14,
-									env_climate_bio15: period3_bio15,
-									env_climate_bio16: period3_bio16,
-									env_climate_bio17: period3_bio17,
-									env_climate_bio18: period3_bio18,
-									env_climate_bio19: period3_bio19,
-									env_climate_gdd0: period3_gdd0,
-									env_climate_gdd10: period3_gdd10,
-									env_climate_gdd5: period3_gdd5,
-									env_climate_gsl: period3_gsl,
-									env_climate_gsp: period3_gsp,
-									env_climate_gst: period3_gst,
-									env_climate_ngd0: period3_ngd0,
-									env_climate_ngd10: period3_ngd10,
-									env_climate_ngd5: period3_ngd5,
-									env_climate_npp: period3_npp,
-									env_climate_scd: period3_scd,
-									std_date_span_month: [
-										{
-											std_month: 1,
-											env_climate_pr: 	period3_01_pr,
-											env_climate_tas: 	period3_01_tas,
-											env_climate_tasmax: period3_01_tasmax,
-											env_climate_tasmin: period3_01_tasmin
-										},
-										{
-											std_month: 2,
-											env_climate_pr: 	period3_02_pr,
-											env_climate_tas: 	period3_02_tas,
-											env_climate_tasmax: period3_02_tasmax,
-											env_climate_tasmin: period3_02_tasmin
-										},
-										{
-											std_month: 3,
-											env_climate_pr: 	period3_03_pr,
-											env_climate_tas: 	period3_03_tas,
-											env_climate_tasmax: period3_03_tasmax,
-											env_climate_tasmin: period3_03_tasmin
-										},
-										{
-											std_month: 4,
-											env_climate_pr: 	period3_04_pr,
-											env_climate_tas: 	period3_04_tas,
-											env_climate_tasmax: period3_04_tasmax,
-											env_climate_tasmin: period3_04_tasmin
-										},
-										{
-											std_month: 5,
-											env_climate_pr: 	period3_05_pr,
-											env_climate_tas: 	period3_05_tas,
-											env_climate_tasmax: period3_05_tasmax,
-											env_climate_tasmin: period3_05_tasmin
-										},
-										{
-											std_month: 6,
-											env_climate_pr: 	period3_06_pr,
-											env_climate_tas: 	period3_06_tas,
-											env_climate_tasmax: period3_06_tasmax,
-											env_climate_tasmin: period3_06_tasmin
-										},
-										{
-											std_month: 7,
-											env_climate_pr: 	period3_07_pr,
-											env_climate_tas: 	period3_07_tas,
-											env_climate_tasmax: period3_07_tasmax,
-											env_climate_tasmin: period3_07_tasmin
-										},
-										{
-											std_month: 8,
-											env_climate_pr: 	period3_08_pr,
-											env_climate_tas: 	period3_08_tas,
-											env_climate_tasmax: period3_08_tasmax,
-											env_climate_tasmin: period3_08_tasmin
-										},
-										{
-											std_month: 9,
-											env_climate_pr: 	period3_09_pr,
-											env_climate_tas: 	period3_09_tas,
-											env_climate_tasmax: period3_09_tasmax,
-											env_climate_tasmin: period3_09_tasmin
-										},
-										{
-											std_month: 10,
-											env_climate_pr: 	period3_10_pr,
-											env_climate_tas: 	period3_10_tas,
-											env_climate_tasmax: period3_10_tasmax,
-											env_climate_tasmin: period3_10_tasmin
-										},
-										{
-											std_month: 11,
-											env_climate_pr: 	period3_11_pr,
-											env_climate_tas: 	period3_11_tas,
-											env_climate_tasmax: period3_11_tasmax,
-											env_climate_tasmin: period3_11_tasmin
-										},
-										{
-											std_month: 12,
-											env_climate_pr: 	period3_12_pr,
-											env_climate_tas: 	period3_12_tas,
-											env_climate_tasmax: period3_12_tasmax,
-											env_climate_tasmin: period3_12_tasmin
-										}
-									]
-								}
-							}
-						},
-						\`2071-2100\`: {
-							\`MPI-ESM1-2-HR\`: {
-								ssp370: {
-									env_climate_bio01: period4_bio01,
-									env_climate_bio02: period4_bio02,
-									env_climate_bio03: period4_bio03,
-									env_climate_bio04: period4_bio04,
-									env_climate_bio05: period4_bio05,
-									env_climate_bio06: period4_bio06,
-									env_climate_bio07: period4_bio07,
-									env_climate_bio08: period4_bio08,
-									env_climate_bio09: period4_bio09,
-									env_climate_bio10: period4_bio10,
-									env_climate_bio11: period4_bio11,
-									env_climate_bio12: period4_bio12,
-									env_climate_bio13: period4_bio13,
-									env_climate_bio14: period4_bio14,
-									env_climate_bio15: period4_bio15,
-									env_climate_bio16: period4_bio16,
-									env_climate_bio17: period4_bio17,
-									env_climate_bio18: period4_bio18,
-									env_climate_bio19: period4_bio19,
-									env_climate_gdd0: period4_gdd0,
-									env_climate_gdd10: period4_gdd10,
-									env_climate_gdd5: period4_gdd5,
-									env_climate_gsl: period4_gsl,
-									env_climate_gsp: period4_gsp,
-									env_climate_gst: period4_gst,
-									env_climate_ngd0: period4_ngd0,
-									env_climate_ngd10: period4_ngd10,
-									env_climate_ngd5: period4_ngd5,
-									env_climate_npp: period4_npp,
-									env_climate_scd: period4_scd,
-									std_date_span_month: [
-										{
-											std_month: 1,
-											env_climate_pr: 	period4_01_pr,
-											env_climate_tas: 	period4_01_tas,
-											env_climate_tasmax: period4_01_tasmax,
-											env_climate_tasmin: period4_01_tasmin
-										},
-										{
-											std_month: 2,
-											env_climate_pr: 	period4_02_pr,
-											env_climate_tas: 	period4_02_tas,
-											env_climate_tasmax: period4_02_tasmax,
-											env_climate_tasmin: period4_02_tasmin
-										},
-										{
-											std_month: 3,
-											env_climate_pr: 	period4_03_pr,
-											env_climate_tas: 	period4_03_tas,
-											env_climate_tasmax: period4_03_tasmax,
-											env_climate_tasmin: period4_03_tasmin
-										},
-										{
-											std_month: 4,
-											env_climate_pr: 	period4_04_pr,
-											env_climate_tas: 	period4_04_tas,
-											env_climate_tasmax: period4_04_tasmax,
-											env_climate_tasmin: period4_04_tasmin
-										},
-										{
-											std_month: 5,
-											env_climate_pr: 	period4_05_pr,
-											env_climate_tas: 	period4_05_tas,
-											env_climate_tasmax: period4_05_tasmax,
-											env_climate_tasmin: period4_05_tasmin
-										},
-										{
-											std_month: 6,
-											env_climate_pr: 	period4_06_pr,
-											env_climate_tas: 	period4_06_tas,
-											env_climate_tasmax: period4_06_tasmax,
-											env_climate_tasmin: period4_06_tasmin
-										},
-										{
-											std_month: 7,
-											env_climate_pr: 	period4_07_pr,
-											env_climate_tas: 	period4_07_tas,
-											env_climate_tasmax: period4_07_tasmax,
-											env_climate_tasmin: period4_07_tasmin
-										},
-										{
-											std_month: 8,
-											env_climate_pr: 	period4_08_pr,
-											env_climate_tas: 	period4_08_tas,
-											env_climate_tasmax: period4_08_tasmax,
-											env_climate_tasmin: period4_08_tasmin
-										},
-										{
-											std_month: 9,
-											env_climate_pr: 	period4_09_pr,
-											env_climate_tas: 	period4_09_tas,
-											env_climate_tasmax: period4_09_tasmax,
-											env_climate_tasmin: period4_09_tasmin
-										},
-										{
-											std_month: 10,
-											env_climate_pr: 	period4_10_pr,
-											env_climate_tas: 	period4_10_tas,
-											env_climate_tasmax: period4_10_tasmax,
-											env_climate_tasmin: period4_10_tasmin
-										},
-										{
-											std_month: 11,
-											env_climate_pr: 	period4_11_pr,
-											env_climate_tas: 	period4_11_tas,
-											env_climate_tasmax: period4_11_tasmax,
-											env_climate_tasmin: period4_11_tasmin
-										},
-										{
-											std_month: 12,
-											env_climate_pr: 	period4_12_pr,
-											env_climate_tas: 	period4_12_tas,
-											env_climate_tasmax: period4_12_tasmax,
-											env_climate_tasmin: period4_12_tasmin
-										}
-									]
-								}
-							}
-						}
-					}
-				}
-			`
-			break
-
-	} // switch(theWhat)
-
-	return query
+	return ClimateContainsAQL(
+		ChelsaDescriptor,
+		theCollection,
+		theCollectionMap,
+		theGeometry,
+		theWhat,
+		theStart,
+		theLimit,
+		theSelection,
+		theBins
+	)
 
 } // ChelsaContainsAQL()
 
@@ -9166,4525 +197,247 @@ function ChelsaContainsAQL(theCollection, theCollectionMap, theGeometry, theWhat
  * - theCollection {String}: Data collection.
  * - theCollectionMap {String}: Map collection.
  * - theGeometry {Object}: GeoJSON reference geometry, provide either a Point, MultiPoint, Polygon, MultiPolygon, LineString, or a MultiLineString.
- * - theWhat {String}: Query result: `KEY` geometry hash; `SHAPE` geometries; `DATA` all properties; `MIN` the minimum of all quantitative  properties; `AVG` the average of all quantitative  properties; `MAX` the maximum of all quantitative  properties; `STD` the standard deviation of all quantitative  properties.; `VAR` the variance of all quantitative  properties.
+ * - theWhat {String}: Query result: `KEY` geometry hash; `SHAPE` geometries; `DATA` all properties; `MIN` the minimum of all quantitative  properties; `AVG` the average of all quantitative  properties; `MAX` the maximum of all quantitative  properties; `STD` the standard deviation of all quantitative  properties.; `VAR` the variance of all quantitative  properties; `MEDIAN` the median of all quantitative properties; `P05`, `P25`, `P75` and `P95` the percentiles of all quantitative properties; `HIST` the histogram of all quantitative properties.
  * - theStart {Integer}: The results start index, 0 based. Default: 0. Only relevant for theWhat == `KEY`, `SHAPE` and `DATA`.
  * - theLimit {Integer}: Number of records to return. Default 10. Only relevant for theWhat == `KEY`, `SHAPE` and `DATA`.
+ * - theSelection {Object}: Properties selection, `std_terms`, `periods` and `months`. Only relevant for theWhat == `DATA` and aggregations.
+ * - theBins {Integer}: Number of histogram bins. Default 10. Only relevant for theWhat == `HIST`.
+ *
+ * Returns:
+ * - {String}: The AQL query.
+ */
+function ChelsaIntersectsAQL(theCollection, theCollectionMap, theGeometry, theWhat, theStart = 0, theLimit = 10, theSelection = {}, theBins = 10)
+{
+	return ClimateIntersectsAQL(
+		ChelsaDescriptor,
+		theCollection,
+		theCollectionMap,
+		theGeometry,
+		theWhat,
+		theStart,
+		theLimit,
+		theSelection,
+		theBins
+	)
+
+} // ChelsaIntersectsAQL()
+
+/**
+ * This function can be used to retrieve the AQL query required for the area
+ * weighted aggregation of the Chelsa data records that intersect with the
+ * reference geometry used to compute the provided coverage.
+ *
+ * Parameters:
+ * - theCollection {String}: Data collection.
+ * - theCoverage {Object}: Records coverage, see ClimateCoverage().
+ * - theWhat {String}: Query result: `AVG` the weighted average of all quantitative properties; `STD` the weighted standard deviation of all quantitative properties; `VAR` the weighted variance of all quantitative properties.
+ * - theSelection {Object}: Properties selection, `std_terms`, `periods` and `months`.
  *
  * Returns:
  * - {String}: The AQL query.
  */
-function ChelsaIntersectsAQL(theCollection, theCollectionMap, theGeometry, theWhat, theStart = 0, theLimit = 10)
+function ChelsaWeightedAQL(theCollection, theCoverage, theWhat, theSelection = {})
 {
-	///
-	// Parse request type.
-	///
-	let query
-	switch(theWhat)
-	{
-		///
-		// Return data record keys.
-		///
-		case 'KEY':
-			query = aql`
-				FOR dat IN ${theCollection}
-					FILTER GEO_INTERSECTS(${theGeometry}, dat.geometry_bounds)
-					LIMIT ${theStart}, ${theLimit}
-				RETURN dat._key
-			`
-			break
+	return ClimateWeightedAQL(
+		ChelsaDescriptor,
+		theCollection,
+		theCoverage,
+		theWhat,
+		theSelection
+	)
 
-		///
-		// Return data record geometries.
-		///
-		case 'SHAPE':
-			query = aql`
-				FOR dat IN ${theCollection}
-					FILTER GEO_INTERSECTS(${theGeometry}, dat.geometry_bounds)
-					LIMIT ${theStart}, ${theLimit}
-				RETURN {
-					geometry_hash: dat._key,
-					geometry_point: dat.geometry_point,
-					geometry_bounds: dat.geometry_bounds
-				}
-			`
-			break
+} // ChelsaWeightedAQL()
 
-		///
-		// Return full data records.
-		///
-		case 'DATA':
-			query = aql`
-				FOR dat IN ${theCollection}
-					FILTER GEO_INTERSECTS(${theGeometry}, dat.geometry_bounds)
-					LIMIT ${theStart}, ${theLimit}
-				RETURN {
-					geometry_hash: dat._key,
-					geometry_point: dat.geometry_point,
-					geometry_bounds: dat.geometry_bounds,
-					properties: dat.properties
-				}
-			`
-			break
+/**
+ * This function can be used to retrieve the AQL query required for comparing
+ * the future periods with the baseline period of the Chelsa data record whose
+ * bounds contain the provided coordinate.
+ *
+ * Parameters:
+ * - theCollection {String}: Data collection.
+ * - theLat {Number}: Latitude.
+ * - theLon {Number}: Longitude.
+ * - theSelection {Object}: Properties selection, `std_terms`, future `periods` and `months`.
+ *
+ * Returns:
+ * - {String}: The AQL query.
+ */
+function ChelsaDeltaClickAQL(theCollection, theLat, theLon, theSelection = {})
+{
+	return ClimateDeltaAQL(
+		ChelsaDescriptor,
+		ChelsaBaseline,
+		(theSource) => ChelsaClickAQL(theCollection, theLat, theLon, theSource),
+		theSelection
+	)
 
-		///
-		// Return selection minimum.
-		///
-		case 'MIN':
-			query = aql`
-				FOR dat IN ${theCollection}
-					FILTER GEO_INTERSECTS(${theGeometry}, dat.geometry_bounds)
-					COLLECT AGGREGATE count = COUNT(),
-									  period1_ai = MIN(dat.properties.\`1981-2010\`.env_climate_ai),
-									  period1_bio01 = MIN(dat.properties.\`1981-2010\`.env_climate_bio01),
-									  period1_bio02 = MIN(dat.properties.\`1981-2010\`.env_climate_bio02),
-									  period1_bio03 = MIN(dat.properties.\`1981-2010\`.env_climate_bio03),
-									  period1_bio04 = MIN(dat.properties.\`1981-2010\`.env_climate_bio04),
-									  period1_bio05 = MIN(dat.properties.\`1981-2010\`.env_climate_bio05),
-									  period1_bio06 = MIN(dat.properties.\`1981-2010\`.env_climate_bio06),
-									  period1_bio07 = MIN(dat.properties.\`1981-2010\`.env_climate_bio07),
-									  period1_bio08 = MIN(dat.properties.\`1981-2010\`.env_climate_bio08),
-									  period1_bio09 = MIN(dat.properties.\`1981-2010\`.env_climate_bio09),
-									  period1_bio10 = MIN(dat.properties.\`1981-2010\`.env_climate_bio10),
-									  period1_bio11 = MIN(dat.properties.\`1981-2010\`.env_climate_bio11),
-									  period1_bio12 = MIN(dat.properties.\`1981-2010\`.env_climate_bio12),
-									  period1_bio13 = MIN(dat.properties.\`1981-2010\`.env_climate_bio13),
-									  period1_bio14 = MIN(dat.properties.\`1981-2010\`.env_climate_bio14),
-									  period1_bio15 = MIN(dat.properties.\`1981-2010\`.env_climate_bio15),
-									  period1_bio16 = MIN(dat.properties.\`1981-2010\`.env_climate_bio16),
-									  period1_bio17 = MIN(dat.properties.\`1981-2010\`.env_climate_bio17),
-									  period1_bio18 = MIN(dat.properties.\`1981-2010\`.env_climate_bio18),
-									  period1_bio19 = MIN(dat.properties.\`1981-2010\`.env_climate_bio19),
-									  period1_clt_max = MIN(dat.properties.\`1981-2010\`.env_climate_clt_max),
-									  period1_clt_mean = MIN(dat.properties.\`1981-2010\`.env_climate_clt_mean),
-									  period1_clt_min = MIN(dat.properties.\`1981-2010\`.env_climate_clt_min),
-									  period1_clt_range = MIN(dat.properties.\`1981-2010\`.env_climate_clt_range),
-									  period1_cmi_max = MIN(dat.properties.\`1981-2010\`.env_climate_cmi_max),
-									  period1_cmi_mean = MIN(dat.properties.\`1981-2010\`.env_climate_cmi_mean),
-									  period1_cmi_min = MIN(dat.properties.\`1981-2010\`.env_climate_cmi_min),
-									  period1_cmi_range = MIN(dat.properties.\`1981-2010\`.env_climate_cmi_range),
-									  period1_fcf =  MIN(dat.properties.\`1981-2010\`.env_climate_fcf),
-									  period1_fgd =  MIN(dat.properties.\`1981-2010\`.env_climate_fgd),
-									  period1_gdd0 =  MIN(dat.properties.\`1981-2010\`.env_climate_gdd0),
-									  period1_gdd10 = MIN(dat.properties.\`1981-2010\`.env_climate_gdd10),
-									  period1_gdd5 = MIN(dat.properties.\`1981-2010\`.env_climate_gdd5),
-									  period1_gddlgd0 = MIN(dat.properties.\`1981-2010\`.env_climate_gddlgd0),
-									  period1_gddlgd10 = MIN(dat.properties.\`1981-2010\`.env_climate_gddlgd10),
-									  period1_gddlgd5 = MIN(dat.properties.\`1981-2010\`.env_climate_gddlgd5),
-									  period1_gdgfgd0 = MIN(dat.properties.\`1981-2010\`.env_climate_gdgfgd0),
-									  period1_gdgfgd10 = MIN(dat.properties.\`1981-2010\`.env_climate_gdgfgd10),
-									  period1_gdgfgd5 = MIN(dat.properties.\`1981-2010\`.env_climate_gdgfgd5),
-									  period1_gsl = MIN(dat.properties.\`1981-2010\`.env_climate_gsl),
-									  period1_gsp = MIN(dat.properties.\`1981-2010\`.env_climate_gsp),
-									  period1_gst = MIN(dat.properties.\`1981-2010\`.env_climate_gst),
-									  period1_hurs_max = MIN(dat.properties.\`1981-2010\`.env_climate_hurs_max),
-									  period1_hurs_mean = MIN(dat.properties.\`1981-2010\`.env_climate_hurs_mean),
-									  period1_hurs_min = MIN(dat.properties.\`1981-2010\`.env_climate_hurs_min),
-									  period1_hurs_range = MIN(dat.properties.\`1981-2010\`.env_climate_hurs_range),
-									  period1_ngd0 = MIN(dat.properties.\`1981-2010\`.env_climate_ngd0),
-									  period1_ngd10 = MIN(dat.properties.\`1981-2010\`.env_climate_ngd10),
-									  period1_ngd5 = MIN(dat.properties.\`1981-2010\`.env_climate_ngd5),
-									  period1_npp = MIN(dat.properties.\`1981-2010\`.env_climate_npp),
-									  period1_pet_penman_max = MIN(dat.properties.\`1981-2010\`.env_climate_pet_penman_max),
-									  period1_pet_penman_mean = MIN(dat.properties.\`1981-2010\`.env_climate_pet_penman_mean),
-									  period1_pet_penman_min = MIN(dat.properties.\`1981-2010\`.env_climate_pet_penman_min),
-									  period1_pet_penman_range = MIN(dat.properties.\`1981-2010\`.env_climate_pet_penman_range),
-									  period1_rsds_max = MIN(dat.properties.\`1981-2010\`.env_climate_rsds_max),
-									  period1_rsds_mean = MIN(dat.properties.\`1981-2010\`.env_climate_rsds_mean),
-									  period1_rsds_min = MIN(dat.properties.\`1981-2010\`.env_climate_rsds_min),
-									  period1_rsds_range = MIN(dat.properties.\`1981-2010\`.env_climate_rsds_range),
-									  period1_scd = MIN(dat.properties.\`1981-2010\`.env_climate_scd),
-									  period1_sfcWind_max = MIN(dat.properties.\`1981-2010\`.env_climate_sfcWind_max),
-									  period1_sfcWind_mean = MIN(dat.properties.\`1981-2010\`.env_climate_sfcWind_mean),
-									  period1_sfcWind_min = MIN(dat.properties.\`1981-2010\`.env_climate_sfcWind_min),
-									  period1_sfcWind_range = MIN(dat.properties.\`1981-2010\`.env_climate_sfcWind_range),
-									  period1_swb = MIN(dat.properties.\`1981-2010\`.env_climate_swb),
-									  period1_swe = MIN(dat.properties.\`1981-2010\`.env_climate_swe),
-									  period1_vpd_max = MIN(dat.properties.\`1981-2010\`.env_climate_vpd_max),
-									  period1_vpd_mean = MIN(dat.properties.\`1981-2010\`.env_climate_vpd_mean),
-									  period1_vpd_min = MIN(dat.properties.\`1981-2010\`.env_climate_vpd_min),
-									  period1_vpd_range = MIN(dat.properties.\`1981-2010\`.env_climate_vpd_range),
-									  period1_01_pr = MIN(dat.properties.\`1981-2010\`.std_date_span_month[0].env_climate_pr),
-									  period1_01_tas = MIN(dat.properties.\`1981-2010\`.std_date_span_month[0].env_climate_tas),
-									  period1_01_tasmax = MIN(dat.properties.\`1981-2010\`.std_date_span_month[0].env_climate_tasmax),
-									  period1_01_tasmin = MIN(dat.properties.\`1981-2010\`.std_date_span_month[0].env_climate_tasmin),
-									  period1_02_pr = MIN(dat.properties.\`1981-2010\`.std_date_span_month[1].env_climate_pr),
-									  period1_02_tas = MIN(dat.properties.\`1981-2010\`.std_date_span_month[1].env_climate_tas),
-									  period1_02_tasmax = MIN(dat.properties.\`1981-2010\`.std_date_span_month[1].env_climate_tasmax),
-									  period1_02_tasmin = MIN(dat.properties.\`1981-2010\`.std_date_span_month[1].env_climate_tasmin),
-									  period1_03_pr = MIN(dat.properties.\`1981-2010\`.std_date_span_month[2].env_climate_pr),
-									  period1_03_tas = MIN(dat.properties.\`1981-2010\`.std_date_span_month[2].env_climate_tas),
-									  period1_03_tasmax = MIN(dat.properties.\`1981-2010\`.std_date_span_month[2].env_climate_tasmax),
-									  period1_03_tasmin = MIN(dat.properties.\`1981-2010\`.std_date_span_month[2].env_climate_tasmin),
-									  period1_04_pr = MIN(dat.properties.\`1981-2010\`.std_date_span_month[3].env_climate_pr),
-									  period1_04_tas = MIN(dat.properties.\`1981-2010\`.std_date_span_month[3].env_climate_tas),
-									  period1_04_tasmax = MIN(dat.properties.\`1981-2010\`.std_date_span_month[3].env_climate_tasmax),
-									  period1_04_tasmin = MIN(dat.properties.\`1981-2010\`.std_date_span_month[3].env_climate_tasmin),
-									  period1_05_pr = MIN(dat.properties.\`1981-2010\`.std_date_span_month[4].env_climate_pr),
-									  period1_05_tas = MIN(dat.properties.\`1981-2010\`.std_date_span_month[4].env_climate_tas),
-									  period1_05_tasmax = MIN(dat.properties.\`1981-2010\`.std_date_span_month[4].env_climate_tasmax),
-									  period1_05_tasmin = MIN(dat.properties.\`1981-2010\`.std_date_span_month[4].env_climate_tasmin),
-									  period1_06_pr = MIN(dat.properties.\`1981-2010\`.std_date_span_month[5].env_climate_pr),
-									  period1_06_tas = MIN(dat.properties.\`1981-2010\`.std_date_span_month[5].env_climate_tas),
-									  period1_06_tasmax = MIN(dat.properties.\`1981-2010\`.std_date_span_month[5].env_climate_tasmax),
-									  period1_06_tasmin = MIN(dat.properties.\`1981-2010\`.std_date_span_month[5].env_climate_tasmin),
-									  period1_07_pr = MIN(dat.properties.\`1981-2010\`.std_date_span_month[6].env_climate_pr),
-									  period1_07_tas = MIN(dat.properties.\`1981-2010\`.std_date_span_month[6].env_climate_tas),
-									  period1_07_tasmax = MIN(dat.properties.\`1981-2010\`.std_date_span_month[6].env_climate_tasmax),
-									  period1_07_tasmin = MIN(dat.properties.\`1981-2010\`.std_date_span_month[6].env_climate_tasmin),
-									  period1_08_pr = MIN(dat.properties.\`1981-2010\`.std_date_span_month[7].env_climate_pr),
-									  period1_08_tas = MIN(dat.properties.\`1981-2010\`.std_date_span_month[7].env_climate_tas),
-									  period1_08_tasmax = MIN(dat.properties.\`1981-2010\`.std_date_span_month[7].env_climate_tasmax),
-									  period1_08_tasmin = MIN(dat.properties.\`1981-2010\`.std_date_span_month[7].env_climate_tasmin),
-									  period1_09_pr = MIN(dat.properties.\`1981-2010\`.std_date_span_month[8].env_climate_pr),
-									  period1_09_tas = MIN(dat.properties.\`1981-2010\`.std_date_span_month[8].env_climate_tas),
-									  period1_09_tasmax = MIN(dat.properties.\`1981-2010\`.std_date_span_month[8].env_climate_tasmax),
-									  period1_09_tasmin = MIN(dat.properties.\`1981-2010\`.std_date_span_month[8].env_climate_tasmin),
-									  period1_10_pr = MIN(dat.properties.\`1981-2010\`.std_date_span_month[9].env_climate_pr),
-									  period1_10_tas = MIN(dat.properties.\`1981-2010\`.std_date_span_month[9].env_climate_tas),
-									  period1_10_tasmax = MIN(dat.properties.\`1981-2010\`.std_date_span_month[9].env_climate_tasmax),
-									  period1_10_tasmin = MIN(dat.properties.\`1981-2010\`.std_date_span_month[9].env_climate_tasmin),
-									  period1_11_pr = MIN(dat.properties.\`1981-2010\`.std_date_span_month[10].env_climate_pr),
-									  period1_11_tas = MIN(dat.properties.\`1981-2010\`.std_date_span_month[10].env_climate_tas),
-									  period1_11_tasmax = MIN(dat.properties.\`1981-2010\`.std_date_span_month[10].env_climate_tasmax),
-									  period1_11_tasmin = MIN(dat.properties.\`1981-2010\`.std_date_span_month[10].env_climate_tasmin),
-									  period1_12_pr = MIN(dat.properties.\`1981-2010\`.std_date_span_month[11].env_climate_pr),
-									  period1_12_tas = MIN(dat.properties.\`1981-2010\`.std_date_span_month[11].env_climate_tas),
-									  period1_12_tasmax = MIN(dat.properties.\`1981-2010\`.std_date_span_month[11].env_climate_tasmax),
-									  period1_12_tasmin = MIN(dat.properties.\`1981-2010\`.std_date_span_month[11].env_climate_tasmin),
-									  period2_bio01 = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio01),
-									  period2_bio02 = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio02),
-									  period2_bio03 = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio03),
-									  period2_bio04 = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio04),
-									  period2_bio05 = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio05),
-									  period2_bio06 = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio06),
-									  period2_bio07 = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio07),
-									  period2_bio08 = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio08),
-									  period2_bio09 = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio09),
-									  period2_bio10 = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio10),
-									  period2_bio11 = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio11),
-									  period2_bio12 = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio12),
-									  period2_bio13 = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio13),
-									  period2_bio14 = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio14),
-									  period2_bio15 = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio15),
-									  period2_bio16 = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio16),
-									  period2_bio17 = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio17),
-									  period2_bio18 = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio18),
-									  period2_bio19 = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio19),
-									  period2_gdd0 = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gdd0),
-									  period2_gdd10 = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gdd10),
-									  period2_gdd5 = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gdd5),
-									  period2_gsl = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gsl),
-									  period2_gsp = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gsp),
-									  period2_gst = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gst),
-									  period2_ngd0 = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_ngd0),
-									  period2_ngd10 = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_ngd10),
-									  period2_ngd5 = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_ngd5),
-									  period2_npp = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_npp),
-									  period2_scd = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_scd),
-									  period2_01_pr = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_pr),
-									  period2_01_tas = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_tas),
-									  period2_01_tasmax = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_tasmax),
-									  period2_01_tasmin = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_tasmin),
-									  period2_02_pr = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_pr),
-									  period2_02_tas = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_tas),
-									  period2_02_tasmax = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_tasmax),
-									  period2_02_tasmin = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_tasmin),
-									  period2_03_pr = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_pr),
-									  period2_03_tas = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_tas),
-									  period2_03_tasmax = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_tasmax),
-									  period2_03_tasmin = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_tasmin),
-									  period2_04_pr = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_pr),
-									  period2_04_tas = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_tas),
-									  period2_04_tasmax = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_tasmax),
-									  period2_04_tasmin = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_tasmin),
-									  period2_05_pr = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_pr),
-									  period2_05_tas = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_tas),
-									  period2_05_tasmax = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_tasmax),
-									  period2_05_tasmin = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_tasmin),
-									  period2_06_pr = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_pr),
-									  period2_06_tas = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_tas),
-									  period2_06_tasmax = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_tasmax),
-									  period2_06_tasmin = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_tasmin),
-									  period2_07_pr = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_pr),
-									  period2_07_tas = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_tas),
-									  period2_07_tasmax = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_tasmax),
-									  period2_07_tasmin = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_tasmin),
-									  period2_08_pr = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_pr),
-									  period2_08_tas = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_tas),
-									  period2_08_tasmax = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_tasmax),
-									  period2_08_tasmin = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_tasmin),
-									  period2_09_pr = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_pr),
-									  period2_09_tas = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_tas),
-									  period2_09_tasmax = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_tasmax),
-									  period2_09_tasmin = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_tasmin),
-									  period2_10_pr = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_pr),
-									  period2_10_tas = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_tas),
-									  period2_10_tasmax = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_tasmax),
-									  period2_10_tasmin = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_tasmin),
-									  period2_11_pr = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_pr),
-									  period2_11_tas = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_tas),
-									  period2_11_tasmax = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_tasmax),
-									  period2_11_tasmin = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_tasmin),
-									  period2_12_pr = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_pr),
-									  period2_12_tas = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_tas),
-									  period2_12_tasmax = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_tasmax),
-									  period2_12_tasmin = MIN(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_tasmin),
-									  period3_bio01 = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio01),
-									  period3_bio02 = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio02),
-									  period3_bio03 = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio03),
-									  period3_bio04 = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio04),
-									  period3_bio05 = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio05),
-									  period3_bio06 = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio06),
-									  period3_bio07 = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio07),
-									  period3_bio08 = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio08),
-									  period3_bio09 = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio09),
-									  period3_bio10 = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio10),
-									  period3_bio11 = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio11),
-									  period3_bio12 = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio12),
-									  period3_bio13 = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio13),
-									  period3_bio14 = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio14),
-									  period3_bio15 = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio15),
-									  period3_bio16 = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio16),
-									  period3_bio17 = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio17),
-									  period3_bio18 = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio18),
-									  period3_bio19 = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio19),
-									  period3_gdd0 = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gdd0),
-									  period3_gdd10 = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gdd10),
-									  period3_gdd5 = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gdd5),
-									  period3_gsl = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gsl),
-									  period3_gsp = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gsp),
-									  period3_gst = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gst),
-									  period3_ngd0 = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_ngd0),
-									  period3_ngd10 = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_ngd10),
-									  period3_ngd5 = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_ngd5),
-									  period3_npp = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_npp),
-									  period3_scd = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_scd),
-									  period3_01_pr = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_pr),
-									  period3_01_tas = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_tas),
-									  period3_01_tasmax = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_tasmax),
-									  period3_01_tasmin = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_tasmin),
-									  period3_02_pr = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_pr),
-									  period3_02_tas = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_tas),
-									  period3_02_tasmax = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_tasmax),
-									  period3_02_tasmin = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_tasmin),
-									  period3_03_pr = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_pr),
-									  period3_03_tas = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_tas),
-									  period3_03_tasmax = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_tasmax),
-									  period3_03_tasmin = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_tasmin),
-									  period3_04_pr = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_pr),
-									  period3_04_tas = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_tas),
-									  period3_04_tasmax = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_tasmax),
-									  period3_04_tasmin = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_tasmin),
-									  period3_05_pr = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_pr),
-									  period3_05_tas = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_tas),
-									  period3_05_tasmax = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_tasmax),
-									  period3_05_tasmin = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_tasmin),
-									  period3_06_pr = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_pr),
-									  period3_06_tas = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_tas),
-									  period3_06_tasmax = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_tasmax),
-									  period3_06_tasmin = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_tasmin),
-									  period3_07_pr = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_pr),
-									  period3_07_tas = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_tas),
-									  period3_07_tasmax = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_tasmax),
-									  period3_07_tasmin = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_tasmin),
-									  period3_08_pr = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_pr),
-									  period3_08_tas = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_tas),
-									  period3_08_tasmax = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_tasmax),
-									  period3_08_tasmin = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_tasmin),
-									  period3_09_pr = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_pr),
-									  period3_09_tas = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_tas),
-									  period3_09_tasmax = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_tasmax),
-									  period3_09_tasmin = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_tasmin),
-									  period3_10_pr = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_pr),
-									  period3_10_tas = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_tas),
-									  period3_10_tasmax = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_tasmax),
-									  period3_10_tasmin = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_tasmin),
-									  period3_11_pr = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_pr),
-									  period3_11_tas = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_tas),
-									  period3_11_tasmax = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_tasmax),
-									  period3_11_tasmin = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_tasmin),
-									  period3_12_pr = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_pr),
-									  period3_12_tas = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_tas),
-									  period3_12_tasmax = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_tasmax),
-									  period3_12_tasmin = MIN(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_tasmin),
-									  period4_bio01 = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio01),
-									  period4_bio02 = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio02),
-									  period4_bio03 = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio03),
-									  period4_bio04 = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio04),
-									  period4_bio05 = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio05),
-									  period4_bio06 = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio06),
-									  period4_bio07 = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio07),
-									  period4_bio08 = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio08),
-									  period4_bio09 = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio09),
-									  period4_bio10 = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio10),
-									  period4_bio11 = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio11),
-									  period4_bio12 = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio12),
-									  period4_bio13 = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio13),
-									  period4_bio14 = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio14),
-									  period4_bio15 = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio15),
-									  period4_bio16 = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio16),
-									  period4_bio17 = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio17),
-									  period4_bio18 = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio18),
-									  period4_bio19 = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio19),
-									  period4_gdd0 = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gdd0),
-									  period4_gdd10 = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gdd10),
-									  period4_gdd5 = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gdd5),
-									  period4_gsl = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gsl),
-									  period4_gsp = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gsp),
-									  period4_gst = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gst),
-									  period4_ngd0 = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_ngd0),
-									  period4_ngd10 = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_ngd10),
-									  period4_ngd5 = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_ngd5),
-									  period4_npp = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_npp),
-									  period4_scd = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_scd),
-									  period4_01_pr = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_pr),
-									  period4_01_tas = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_tas),
-									  period4_01_tasmax = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_tasmax),
-									  period4_01_tasmin = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_tasmin),
-									  period4_02_pr = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_pr),
-									  period4_02_tas = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_tas),
-									  period4_02_tasmax = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_tasmax),
-									  period4_02_tasmin = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_tasmin),
-									  period4_03_pr = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_pr),
-									  period4_03_tas = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_tas),
-									  period4_03_tasmax = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_tasmax),
-									  period4_03_tasmin = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_tasmin),
-									  period4_04_pr = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_pr),
-									  period4_04_tas = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_tas),
-									  period4_04_tasmax = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_tasmax),
-									  period4_04_tasmin = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_tasmin),
-									  period4_05_pr = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_pr),
-									  period4_05_tas = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_tas),
-									  period4_05_tasmax = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_tasmax),
-									  period4_05_tasmin = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_tasmin),
-									  period4_06_pr = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_pr),
-									  period4_06_tas = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_tas),
-									  period4_06_tasmax = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_tasmax),
-									  period4_06_tasmin = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_tasmin),
-									  period4_07_pr = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_pr),
-									  period4_07_tas = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_tas),
-									  period4_07_tasmax = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_tasmax),
-									  period4_07_tasmin = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_tasmin),
-									  period4_08_pr = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_pr),
-									  period4_08_tas = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_tas),
-									  period4_08_tasmax = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_tasmax),
-									  period4_08_tasmin = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_tasmin),
-									  period4_09_pr = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_pr),
-									  period4_09_tas = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_tas),
-									  period4_09_tasmax = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_tasmax),
-									  period4_09_tasmin = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_tasmin),
-									  period4_10_pr = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_pr),
-									  period4_10_tas = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_tas),
-									  period4_10_tasmax = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_tasmax),
-									  period4_10_tasmin = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_tasmin),
-									  period4_11_pr = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_pr),
-									  period4_11_tas = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_tas),
-									  period4_11_tasmax = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_tasmax),
-									  period4_11_tasmin = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_tasmin),
-									  period4_12_pr = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_pr),
-									  period4_12_tas = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_tas),
-									  period4_12_tasmax = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_tasmax),
-									  period4_12_tasmin = MIN(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_tasmin)
-				RETURN {
-					count: count,
-					properties: {
-						\`1981-2010\`: {
-							env_climate_ai: period1_ai,
-							env_climate_bio01: period1_bio01,
-							env_climate_bio02: period1_bio02,
-							env_climate_bio03: period1_bio03,
-							env_climate_bio04: period1_bio04,
-							env_climate_bio05: period1_bio05,
-							env_climate_bio06: period1_bio06,
-							env_climate_bio07: period1_bio07,
-							env_climate_bio08: period1_bio08,
-							env_climate_bio09: period1_bio09,
-							env_climate_bio10: period1_bio10,
-							env_climate_bio11: period1_bio11,
-							env_climate_bio12: period1_bio12,
-							env_climate_bio13: period1_bio13,
-							env_climate_bio14: period1_bio14,
-							env_climate_bio15: period1_bio15,
-							env_climate_bio16: period1_bio16,
-							env_climate_bio17: period1_bio17,
-							env_climate_bio18: period1_bio18,
-							env_climate_bio19: period1_bio19,
-							env_climate_clt_max: period1_clt_max,
-							env_climate_clt_mean: period1_clt_mean,
-							env_climate_clt_min: period1_clt_min,
-							env_climate_clt_range: period1_clt_range,
-							env_climate_cmi_max: period1_cmi_max,
-							env_climate_cmi_mean: period1_cmi_mean,
-							env_climate_cmi_min: period1_cmi_min,
-							env_climate_cmi_range: period1_cmi_range,
-							env_climate_fcf: period1_fcf,
-							env_climate_fgd: period1_fgd,
-							env_climate_gdd0: period1_gdd0,
-							env_climate_gdd10: period1_gdd10,
-							env_climate_gdd5: period1_gdd5,
-							env_climate_gddlgd0: period1_gddlgd0,
-							env_climate_gddlgd10: period1_gddlgd10,
-							env_climate_gddlgd5: period1_gddlgd5,
-							env_climate_gdgfgd0: period1_gdgfgd0,
-							env_climate_gdgfgd10: period1_gdgfgd10,
-							env_climate_gdgfgd5: period1_gdgfgd5,
-							env_climate_gsl: period1_gsl,
-							env_climate_gsp: period1_gsp,
-							env_climate_gst: period1_gst,
-							env_climate_hurs_max: period1_hurs_max,
-							env_climate_hurs_mean: period1_hurs_mean,
-							env_climate_hurs_min: period1_hurs_min,
-							env_climate_hurs_range: period1_hurs_range,
-							env_climate_ngd0: period1_ngd0,
-							env_climate_ngd10: period1_ngd10,
-							env_climate_ngd5: period1_ngd5,
-							env_climate_npp: period1_npp,
-							env_climate_pet_penman_max: period1_pet_penman_max,
-							env_climate_pet_penman_mean: period1_pet_penman_mean,
-							env_climate_pet_penman_min: period1_pet_penman_min,
-							env_climate_pet_penman_range: period1_pet_penman_range,
-							env_climate_rsds_max: period1_rsds_max,
-							env_climate_rsds_mean: period1_rsds_mean,
-							env_climate_rsds_min: period1_rsds_min,
-							env_climate_rsds_range: period1_rsds_range,
-							env_climate_scd: period1_scd,
-							env_climate_sfcWind_max: period1_sfcWind_max,
-							env_climate_sfcWind_mean: period1_sfcWind_mean,
-							env_climate_sfcWind_min: period1_sfcWind_min,
-							env_climate_sfcWind_range: period1_sfcWind_range,
-							env_climate_swb: period1_swb,
-							env_climate_swe: period1_swe,
-							env_climate_vpd_max: period1_vpd_max,
-							env_climate_vpd_mean: period1_vpd_mean,
-							env_climate_vpd_min: period1_vpd_min,
-							env_climate_vpd_range: period1_vpd_range,
-							std_date_span_month: [
-								{
-									std_month: 1,
-									env_climate_pr: 	period1_01_pr,
-									env_climate_tas: 	period1_01_tas,
-									env_climate_tasmax: period1_01_tasmax,
-									env_climate_tasmin: period1_01_tasmin
-								},
-								{
-									std_month: 2,
-									env_climate_pr: 	period1_02_pr,
-									env_climate_tas: 	period1_02_tas,
-									env_climate_tasmax: period1_02_tasmax,
-									env_climate_tasmin: period1_02_tasmin
-								},
-								{
-									std_month: 3,
-									env_climate_pr: 	period1_03_pr,
-									env_climate_tas: 	period1_03_tas,
-									env_climate_tasmax: period1_03_tasmax,
-									env_climate_tasmin: period1_03_tasmin
-								},
-								{
-									std_month: 4,
-									env_climate_pr: 	period1_04_pr,
-									env_climate_tas: 	period1_04_tas,
-									env_climate_tasmax: period1_04_tasmax,
-									env_climate_tasmin: period1_04_tasmin
-								},
-								{
-									std_month: 5,
-									env_climate_pr: 	period1_05_pr,
-									env_climate_tas: 	period1_05_tas,
-									env_climate_tasmax: period1_05_tasmax,
-									env_climate_tasmin: period1_05_tasmin
-								},
-								{
-									std_month: 6,
-									env_climate_pr: 	period1_06_pr,
-									env_climate_tas: 	period1_06_tas,
-									env_climate_tasmax: period1_06_tasmax,
-									env_climate_tasmin: period1_06_tasmin
-								},
-								{
-									std_month: 7,
-									env_climate_pr: 	period1_07_pr,
-									env_climate_tas: 	period1_07_tas,
-									env_climate_tasmax: period1_07_tasmax,
-									env_climate_tasmin: period1_07_tasmin
-								},
-								{
-									std_month: 8,
-									env_climate_pr: 	period1_08_pr,
-									env_climate_tas: 	period1_08_tas,
-									env_climate_tasmax: period1_08_tasmax,
-									env_climate_tasmin: period1_08_tasmin
-								},
-								{
-									std_month: 9,
-									env_climate_pr: 	period1_09_pr,
-									env_climate_tas: 	period1_09_tas,
-									env_climate_tasmax: period1_09_tasmax,
-									env_climate_tasmin: period1_09_tasmin
-								},
-								{
-									std_month: 10,
-									env_climate_pr: 	period1_10_pr,
-									env_climate_tas: 	period1_10_tas,
-									env_climate_tasmax: period1_10_tasmax,
-									env_climate_tasmin: period1_10_tasmin
-								},
-								{
-									std_month: 11,
-									env_climate_pr: 	period1_11_pr,
-									env_climate_tas: 	period1_11_tas,
-									env_climate_tasmax: period1_11_tasmax,
-									env_climate_tasmin: period1_11_tasmin
-								},
-								{
-									std_month: 12,
-									env_climate_pr: 	period1_12_pr,
-									env_climate_tas: 	period1_12_tas,
-									env_climate_tasmax: period1_12_tasmax,
-									env_climate_tasmin: period1_12_tasmin
-								}
-							]
-						},
-						\`2011-2040\`: {
-							\`MPI-ESM1-2-HR\`: {
-								ssp370: {
-									env_climate_bio01: period2_bio01,
-									env_climate_bio02: period2_bio02,
-									env_climate_bio03: period2_bio03,
-									env_climate_bio04: period2_bio04,
-									env_climate_bio05: period2_bio05,
-									env_climate_bio06: period2_bio06,
-									env_climate_bio07: period2_bio07,
-									env_climate_bio08: period2_bio08,
-									env_climate_bio09: period2_bio09,
-									env_climate_bio10: period2_bio10,
-									env_climate_bio11: period2_bio11,
-									env_climate_bio12: period2_bio12,
-									env_climate_bio13: period2_bio13,
-									env_climate_bio14: period2_bio14,
-									env_climate_bio15: period2_bio15,
-									env_climate_bio16: period2_bio16,
-									env_climate_bio17: period2_bio17,
-									env_climate_bio18: period2_bio18,
-									env_climate_bio19: period2_bio19,
-									env_climate_gdd0: period2_gdd0,
-									env_climate_gdd10: period2_gdd10,
-									env_climate_gdd5: period2_gdd5,
-									env_climate_gsl: period2_gsl,
-									env_climate_gsp: period2_gsp,
-									env_climate_gst: period2_gst,
-									env_climate_ngd0: period2_ngd0,
-									env_climate_ngd10: period2_ngd10,
-									env_climate_ngd5: period2_ngd5,
-									env_climate_npp: period2_npp,
-									env_climate_scd: period2_scd,
-									std_date_span_month: [
-										{
-											std_month: 1,
-											env_climate_pr: 	period2_01_pr,
-											env_climate_tas: 	period2_01_tas,
-											env_climate_tasmax: period2_01_tasmax,
-											env_climate_tasmin: period2_01_tasmin
-										},
-										{
-											std_month: 2,
-											env_climate_pr: 	period2_02_pr,
-											env_climate_tas: 	period2_02_tas,
-											env_climate_tasmax: period2_02_tasmax,
-											env_climate_tasmin: period2_02_tasmin
-										},
-										{
-											std_month: 3,
-											env_climate_pr: 	period2_03_pr,
-											env_climate_tas: 	period2_03_tas,
-											env_climate_tasmax: period2_03_tasmax,
-											env_climate_tasmin: period2_03_tasmin
-										},
-										{
-											std_month: 4,
-											env_climate_pr: 	period2_04_pr,
-											env_climate_tas: 	period2_04_tas,
-											env_climate_tasmax: period2_04_tasmax,
-											env_climate_tasmin: period2_04_tasmin
-										},
-										{
-											std_month: 5,
-											env_climate_pr: 	period2_05_pr,
-											env_climate_tas: 	period2_05_tas,
-											env_climate_tasmax: period2_05_tasmax,
-											env_climate_tasmin: period2_05_tasmin
-										},
-										{
-											std_month: 6,
-											env_climate_pr: 	period2_06_pr,
-											env_climate_tas: 	period2_06_tas,
-											env_climate_tasmax: period2_06_tasmax,
-											env_climate_tasmin: period2_06_tasmin
-										},
-										{
-											std_month: 7,
-											env_climate_pr: 	period2_07_pr,
-											env_climate_tas: 	period2_07_tas,
-											env_climate_tasmax: period2_07_tasmax,
-											env_climate_tasmin: period2_07_tasmin
-										},
-										{
-											std_month: 8,
-											env_climate_pr: 	period2_08_pr,
-											env_climate_tas: 	period2_08_tas,
-											env_climate_tasmax: period2_08_tasmax,
-											env_climate_tasmin: period2_08_tasmin
-										},
-										{
-											std_month: 9,
-											env_climate_pr: 	period2_09_pr,
-											env_climate_tas: 	period2_09_tas,
-											env_climate_tasmax: period2_09_tasmax,
-											env_climate_tasmin: period2_09_tasmin
-										},
-										{
-											std_month: 10,
-											env_climate_pr: 	period2_10_pr,
-											env_climate_tas: 	period2_10_tas,
-											env_climate_tasmax: period2_10_tasmax,
-											env_climate_tasmin: period2_10_tasmin
-										},
-										{
-											std_month: 11,
-											env_climate_pr: 	period2_11_pr,
-											env_climate_tas: 	period2_11_tas,
-											env_climate_tasmax: period2_11_tasmax,
-											env_climate_tasmin: period2_11_tasmin
-										},
-										{
-											std_month: 12,
-											env_climate_pr: 	period2_12_pr,
-											env_climate_tas: 	period2_12_tas,
-											env_climate_tasmax: period2_12_tasmax,
-											env_climate_tasmin: period2_12_tasmin
-										}
-									]
-								}
-							}
-						},
-						\`2041-2070\`: {
-							\`MPI-ESM1-2-HR\`: {
-								ssp370: {
-									env_climate_bio01: period3_bio01,
-									env_climate_bio02: period3_bio02,
-									env_climate_bio03: period3_bio03,
-									env_climate_bio04: period3_bio04,
-									env_climate_bio05: period3_bio05,
-									env_climate_bio06: period3_bio06,
-									env_climate_bio07: period3_bio07,
-									env_climate_bio08: period3_bio08,
-									env_climate_bio09: period3_bio09,
-									env_climate_bio10: period3_bio10,
-									env_climate_bio11: period3_bio11,
-									env_climate_bio12: period3_bio12,
-									env_climate_bio13: period3_bio13,
-									env_climate_bio14: period3_bio14,
-									env_climate_bio15: period3_bio15,
-									env_climate_bio16: period3_bio16,
-									env_climate_bio17: period3_bio17,
-									env_climate_bio18: period3_bio18,
-									env_climate_bio19: period3_bio19,
-									env_climate_gdd0: period3_gdd0,
-									env_climate_gdd10: period3_gdd10,
-									env_climate_gdd5: period3_gdd5,
-									env_climate_gsl: period3_gsl,
-									env_climate_gsp: period3_gsp,
-									env_climate_gst: period3_gst,
-									env_climate_ngd0: period3_ngd0,
-									env_climate_ngd10: period3_ngd10,
-									env_climate_ngd5: period3_ngd5,
-									env_climate_npp: period3_npp,
-									env_climate_scd: period3_scd,
-									std_date_span_month: [
-										{
-											std_month: 1,
-											env_climate_pr: 	period3_01_pr,
-											env_climate_tas: 	period3_01_tas,
-											env_climate_tasmax: period3_01_tasmax,
-											env_climate_tasmin: period3_01_tasmin
-										},
-										{
-											std_month: 2,
-											env_climate_pr: 	period3_02_pr,
-											env_climate_tas: 	period3_02_tas,
-											env_climate_tasmax: period3_02_tasmax,
-											env_climate_tasmin: period3_02_tasmin
-										},
-										{
-											std_month: 3,
-											env_climate_pr: 	period3_03_pr,
-											env_climate_tas: 	period3_03_tas,
-											env_climate_tasmax: period3_03_tasmax,
-											env_climate_tasmin: period3_03_tasmin
-										},
-										{
-											std_month: 4,
-											env_climate_pr: 	period3_04_pr,
-											env_climate_tas: 	period3_04_tas,
-											env_climate_tasmax: period3_04_tasmax,
-											env_climate_tasmin: period3_04_tasmin
-										},
-										{
-											std_month: 5,
-											env_climate_pr: 	period3_05_pr,
-											env_climate_tas: 	period3_05_tas,
-											env_climate_tasmax: period3_05_tasmax,
-											env_climate_tasmin: period3_05_tasmin
-										},
-										{
-											std_month: 6,
-											env_climate_pr: 	period3_06_pr,
-											env_climate_tas: 	period3_06_tas,
-											env_climate_tasmax: period3_06_tasmax,
-											env_climate_tasmin: period3_06_tasmin
-										},
-										{
-											std_month: 7,
-											env_climate_pr: 	period3_07_pr,
-											env_climate_tas: 	period3_07_tas,
-											env_climate_tasmax: period3_07_tasmax,
-											env_climate_tasmin: period3_07_tasmin
-										},
-										{
-											std_month: 8,
-											env_climate_pr: 	period3_08_pr,
-											env_climate_tas: 	period3_08_tas,
-											env_climate_tasmax: period3_08_tasmax,
-											env_climate_tasmin: period3_08_tasmin
-										},
-										{
-											std_month: 9,
-											env_climate_pr: 	period3_09_pr,
-											env_climate_tas: 	period3_09_tas,
-											env_climate_tasmax: period3_09_tasmax,
-											env_climate_tasmin: period3_09_tasmin
-										},
-										{
-											std_month: 10,
-											env_climate_pr: 	period3_10_pr,
-											env_climate_tas: 	period3_10_tas,
-											env_climate_tasmax: period3_10_tasmax,
-											env_climate_tasmin: period3_10_tasmin
-										},
-										{
-											std_month: 11,
-											env_climate_pr: 	period3_11_pr,
-											env_climate_tas: 	period3_11_tas,
-											env_climate_tasmax: period3_11_tasmax,
-											env_climate_tasmin: period3_11_tasmin
-										},
-										{
-											std_month: 12,
-											env_climate_pr: 	period3_12_pr,
-											env_climate_tas: 	period3_12_tas,
-											env_climate_tasmax: period3_12_tasmax,
-											env_climate_tasmin: period3_12_tasmin
-										}
-									]
-								}
-							}
-						},
-						\`2071-2100\`: {
-							\`MPI-ESM1-2-HR\`: {
-								ssp370: {
-									env_climate_bio01: period4_bio01,
-									env_climate_bio02: period4_bio02,
-									env_climate_bio03: period4_bio03,
-									env_climate_bio04: period4_bio04,
-									env_climate_bio05: period4_bio05,
-									env_climate_bio06: period4_bio06,
-									env_climate_bio07: period4_bio07,
-									env_climate_bio08: period4_bio08,
-									env_climate_bio09: period4_bio09,
-									env_climate_bio10: period4_bio10,
-									env_climate_bio11: period4_bio11,
-									env_climate_bio12: period4_bio12,
-									env_climate_bio13: period4_bio13,
-									env_climate_bio14: period4_bio14,
-									env_climate_bio15: period4_bio15,
-									env_climate_bio16: period4_bio16,
-									env_climate_bio17: period4_bio17,
-									env_climate_bio18: period4_bio18,
-									env_climate_bio19: period4_bio19,
-									env_climate_gdd0: period4_gdd0,
-									env_climate_gdd10: period4_gdd10,
-									env_climate_gdd5: period4_gdd5,
-									env_climate_gsl: period4_gsl,
-									env_climate_gsp: period4_gsp,
-									env_climate_gst: period4_gst,
-									env_climate_ngd0: period4_ngd0,
-									env_climate_ngd10: period4_ngd10,
-									env_climate_ngd5: period4_ngd5,
-									env_climate_npp: period4_npp,
-									env_climate_scd: period4_scd,
-									std_date_span_month: [
-										{
-											std_month: 1,
-											env_climate_pr: 	period4_01_pr,
-											env_climate_tas: 	period4_01_tas,
-											env_climate_tasmax: period4_01_tasmax,
-											env_climate_tasmin: period4_01_tasmin
-										},
-										{
-											std_month: 2,
-											env_climate_pr: 	period4_02_pr,
-											env_climate_tas: 	period4_02_tas,
-											env_climate_tasmax: period4_02_tasmax,
-											env_climate_tasmin: period4_02_tasmin
-										},
-										{
-											std_month: 3,
-											env_climate_pr: 	period4_03_pr,
-											env_climate_tas: 	period4_03_tas,
-											env_climate_tasmax: period4_03_tasmax,
-											env_climate_tasmin: period4_03_tasmin
-										},
-										{
-											std_month: 4,
-											env_climate_pr: 	period4_04_pr,
-											env_climate_tas: 	period4_04_tas,
-											env_climate_tasmax: period4_04_tasmax,
-											env_climate_tasmin: period4_04_tasmin
-										},
-										{
-											std_month: 5,
-											env_climate_pr: 	period4_05_pr,
-											env_climate_tas: 	period4_05_tas,
-											env_climate_tasmax: period4_05_tasmax,
-											env_climate_tasmin: period4_05_tasmin
-										},
-										{
-											std_month: 6,
-											env_climate_pr: 	period4_06_pr,
-											env_climate_tas: 	period4_06_tas,
-											env_climate_tasmax: period4_06_tasmax,
-											env_climate_tasmin: period4_06_tasmin
-										},
-										{
-											std_month: 7,
-											env_climate_pr: 	period4_07_pr,
-											env_climate_tas: 	period4_07_tas,
-											env_climate_tasmax: period4_07_tasmax,
-											env_climate_tasmin: period4_07_tasmin
-										},
-										{
-											std_month: 8,
-											env_climate_pr: 	period4_08_pr,
-											env_climate_tas: 	period4_08_tas,
-											env_climate_tasmax: period4_08_tasmax,
-											env_climate_tasmin: period4_08_tasmin
-										},
-										{
-											std_month: 9,
-											env_climate_pr: 	period4_09_pr,
-											env_climate_tas: 	period4_09_tas,
-											env_climate_tasmax: period4_09_tasmax,
-											env_climate_tasmin: period4_09_tasmin
-										},
-										{
-											std_month: 10,
-											env_climate_pr: 	period4_10_pr,
-											env_climate_tas: 	period4_10_tas,
-											env_climate_tasmax: period4_10_tasmax,
-											env_climate_tasmin: period4_10_tasmin
-										},
-										{
-											std_month: 11,
-											env_climate_pr: 	period4_11_pr,
-											env_climate_tas: 	period4_11_tas,
-											env_climate_tasmax: period4_11_tasmax,
-											env_climate_tasmin: period4_11_tasmin
-										},
-										{
-											std_month: 12,
-											env_climate_pr: 	period4_12_pr,
-											env_climate_tas: 	period4_12_tas,
-											env_climate_tasmax: period4_12_tasmax,
-											env_climate_tasmin: period4_12_tasmin
-										}
-									]
-								}
-							}
-						}
-					}
-				}
-			`
-			break
+} // ChelsaDeltaClickAQL()
 
-		///
-		// Return selection average.
-		///
-		case 'AVG':
-			query = aql`
-				FOR dat IN ${theCollection}
-					FILTER GEO_INTERSECTS(${theGeometry}, dat.geometry_bounds)
-					COLLECT AGGREGATE count = COUNT(),
-									  period1_ai = AVERAGE(dat.properties.\`1981-2010\`.env_climate_ai),
-									  period1_bio01 = AVERAGE(dat.properties.\`1981-2010\`.env_climate_bio01),
-									  period1_bio02 = AVERAGE(dat.properties.\`1981-2010\`.env_climate_bio02),
-									  period1_bio03 = AVERAGE(dat.properties.\`1981-2010\`.env_climate_bio03),
-									  period1_bio04 = AVERAGE(dat.properties.\`1981-2010\`.env_climate_bio04),
-									  period1_bio05 = AVERAGE(dat.properties.\`1981-2010\`.env_climate_bio05),
-									  period1_bio06 = AVERAGE(dat.properties.\`1981-2010\`.env_climate_bio06),
-									  period1_bio07 = AVERAGE(dat.properties.\`1981-2010\`.env_climate_bio07),
-									  period1_bio08 = AVERAGE(dat.properties.\`1981-2010\`.env_climate_bio08),
-									  period1_bio09 = AVERAGE(dat.properties.\`1981-2010\`.env_climate_bio09),
-									  period1_bio10 = AVERAGE(dat.properties.\`1981-2010\`.env_climate_bio10),
-									  period1_bio11 = AVERAGE(dat.properties.\`1981-2010\`.env_climate_bio11),
-									  period1_bio12 = AVERAGE(dat.properties.\`1981-2010\`.env_climate_bio12),
-									  period1_bio13 = AVERAGE(dat.properties.\`1981-2010\`.env_climate_bio13),
-									  period1_bio14 = AVERAGE(dat.properties.\`1981-2010\`.env_climate_bio14),
-									  period1_bio15 = AVERAGE(dat.properties.\`1981-2010\`.env_climate_bio15),
-									  period1_bio16 = AVERAGE(dat.properties.\`1981-2010\`.env_climate_bio16),
-									  period1_bio17 = AVERAGE(dat.properties.\`1981-2010\`.env_climate_bio17),
-									  period1_bio18 = AVERAGE(dat.properties.\`1981-2010\`.env_climate_bio18),
-									  period1_bio19 = AVERAGE(dat.properties.\`1981-2010\`.env_climate_bio19),
-									  period1_clt_max = AVERAGE(dat.properties.\`1981-2010\`.env_climate_clt_max),
-									  period1_clt_mean = AVERAGE(dat.properties.\`1981-2010\`.env_climate_clt_mean),
-									  period1_clt_min = AVERAGE(dat.properties.\`1981-2010\`.env_climate_clt_min),
-									  period1_clt_range = AVERAGE(dat.properties.\`1981-2010\`.env_climate_clt_range),
-									  period1_cmi_max = AVERAGE(dat.properties.\`1981-2010\`.env_climate_cmi_max),
-									  period1_cmi_mean = AVERAGE(dat.properties.\`1981-2010\`.env_climate_cmi_mean),
-									  period1_cmi_min = AVERAGE(dat.properties.\`1981-2010\`.env_climate_cmi_min),
-									  period1_cmi_range = AVERAGE(dat.properties.\`1981-2010\`.env_climate_cmi_range),
-									  period1_fcf =  AVERAGE(dat.properties.\`1981-2010\`.env_climate_fcf),
-									  period1_fgd =  AVERAGE(dat.properties.\`1981-2010\`.env_climate_fgd),
-									  period1_gdd0 =  AVERAGE(dat.properties.\`1981-2010\`.env_climate_gdd0),
-									  period1_gdd10 = AVERAGE(dat.properties.\`1981-2010\`.env_climate_gdd10),
-									  period1_gdd5 = AVERAGE(dat.properties.\`1981-2010\`.env_climate_gdd5),
-									  period1_gddlgd0 = AVERAGE(dat.properties.\`1981-2010\`.env_climate_gddlgd0),
-									  period1_gddlgd10 = AVERAGE(dat.properties.\`1981-2010\`.env_climate_gddlgd10),
-									  period1_gddlgd5 = AVERAGE(dat.properties.\`1981-2010\`.env_climate_gddlgd5),
-									  period1_gdgfgd0 = AVERAGE(dat.properties.\`1981-2010\`.env_climate_gdgfgd0),
-									  period1_gdgfgd10 = AVERAGE(dat.properties.\`1981-2010\`.env_climate_gdgfgd10),
-									  period1_gdgfgd5 = AVERAGE(dat.properties.\`1981-2010\`.env_climate_gdgfgd5),
-									  period1_gsl = AVERAGE(dat.properties.\`1981-2010\`.env_climate_gsl),
-									  period1_gsp = AVERAGE(dat.properties.\`1981-2010\`.env_climate_gsp),
-									  period1_gst = AVERAGE(dat.properties.\`1981-2010\`.env_climate_gst),
-									  period1_hurs_max = AVERAGE(dat.properties.\`1981-2010\`.env_climate_hurs_max),
-									  period1_hurs_mean = AVERAGE(dat.properties.\`1981-2010\`.env_climate_hurs_mean),
-									  period1_hurs_min = AVERAGE(dat.properties.\`1981-2010\`.env_climate_hurs_min),
-									  period1_hurs_range = AVERAGE(dat.properties.\`1981-2010\`.env_climate_hurs_range),
-									  period1_ngd0 = AVERAGE(dat.properties.\`1981-2010\`.env_climate_ngd0),
-									  period1_ngd10 = AVERAGE(dat.properties.\`1981-2010\`.env_climate_ngd10),
-									  period1_ngd5 = AVERAGE(dat.properties.\`1981-2010\`.env_climate_ngd5),
-									  period1_npp = AVERAGE(dat.properties.\`1981-2010\`.env_climate_npp),
-									  period1_pet_penman_max = AVERAGE(dat.properties.\`1981-2010\`.env_climate_pet_penman_max),
-									  period1_pet_penman_mean = AVERAGE(dat.properties.\`1981-2010\`.env_climate_pet_penman_mean),
-									  period1_pet_penman_min = AVERAGE(dat.properties.\`1981-2010\`.env_climate_pet_penman_min),
-									  period1_pet_penman_range = AVERAGE(dat.properties.\`1981-2010\`.env_climate_pet_penman_range),
-									  period1_rsds_max = AVERAGE(dat.properties.\`1981-2010\`.env_climate_rsds_max),
-									  period1_rsds_mean = AVERAGE(dat.properties.\`1981-2010\`.env_climate_rsds_mean),
-									  period1_rsds_min = AVERAGE(dat.properties.\`1981-2010\`.env_climate_rsds_min),
-									  period1_rsds_range = AVERAGE(dat.properties.\`1981-2010\`.env_climate_rsds_range),
-									  period1_scd = AVERAGE(dat.properties.\`1981-2010\`.env_climate_scd),
-									  period1_sfcWind_max = AVERAGE(dat.properties.\`1981-2010\`.env_climate_sfcWind_max),
-									  period1_sfcWind_mean = AVERAGE(dat.properties.\`1981-2010\`.env_climate_sfcWind_mean),
-									  period1_sfcWind_min = AVERAGE(dat.properties.\`1981-2010\`.env_climate_sfcWind_min),
-									  period1_sfcWind_range = AVERAGE(dat.properties.\`1981-2010\`.env_climate_sfcWind_range),
-									  period1_swb = AVERAGE(dat.properties.\`1981-2010\`.env_climate_swb),
-									  period1_swe = AVERAGE(dat.properties.\`1981-2010\`.env_climate_swe),
-									  period1_vpd_max = AVERAGE(dat.properties.\`1981-2010\`.env_climate_vpd_max),
-									  period1_vpd_mean = AVERAGE(dat.properties.\`1981-2010\`.env_climate_vpd_mean),
-									  period1_vpd_min = AVERAGE(dat.properties.\`1981-2010\`.env_climate_vpd_min),
-									  period1_vpd_range = AVERAGE(dat.properties.\`1981-2010\`.env_climate_vpd_range),
-									  period1_01_pr = AVERAGE(dat.properties.\`1981-2010\`.std_date_span_month[0].env_climate_pr),
-									  period1_01_tas = AVERAGE(dat.properties.\`1981-2010\`.std_date_span_month[0].env_climate_tas),
-									  period1_01_tasmax = AVERAGE(dat.properties.\`1981-2010\`.std_date_span_month[0].env_climate_tasmax),
-									  period1_01_tasmin = AVERAGE(dat.properties.\`1981-2010\`.std_date_span_month[0].env_climate_tasmin),
-									  period1_02_pr = AVERAGE(dat.properties.\`1981-2010\`.std_date_span_month[1].env_climate_pr),
-									  period1_02_tas = AVERAGE(dat.properties.\`1981-2010\`.std_date_span_month[1].env_climate_tas),
-									  period1_02_tasmax = AVERAGE(dat.properties.\`1981-2010\`.std_date_span_month[1].env_climate_tasmax),
-									  period1_02_tasmin = AVERAGE(dat.properties.\`1981-2010\`.std_date_span_month[1].env_climate_tasmin),
-									  period1_03_pr = AVERAGE(dat.properties.\`1981-2010\`.std_date_span_month[2].env_climate_pr),
-									  period1_03_tas = AVERAGE(dat.properties.\`1981-2010\`.std_date_span_month[2].env_climate_tas),
-									  period1_03_tasmax = AVERAGE(dat.properties.\`1981-2010\`.std_date_span_month[2].env_climate_tasmax),
-									  period1_03_tasmin = AVERAGE(dat.properties.\`1981-2010\`.std_date_span_month[2].env_climate_tasmin),
-									  period1_04_pr = AVERAGE(dat.properties.\`1981-2010\`.std_date_span_month[3].env_climate_pr),
-									  period1_04_tas = AVERAGE(dat.properties.\`1981-2010\`.std_date_span_month[3].env_climate_tas),
-									  period1_04_tasmax = AVERAGE(dat.properties.\`1981-2010\`.std_date_span_month[3].env_climate_tasmax),
-									  period1_04_tasmin = AVERAGE(dat.properties.\`1981-2010\`.std_date_span_month[3].env_climate_tasmin),
-									  period1_05_pr = AVERAGE(dat.properties.\`1981-2010\`.std_date_span_month[4].env_climate_pr),
-									  period1_05_tas = AVERAGE(dat.properties.\`1981-2010\`.std_date_span_month[4].env_climate_tas),
-									  period1_05_tasmax = AVERAGE(dat.properties.\`1981-2010\`.std_date_span_month[4].env_climate_tasmax),
-									  period1_05_tasmin = AVERAGE(dat.properties.\`1981-2010\`.std_date_span_month[4].env_climate_tasmin),
-									  period1_06_pr = AVERAGE(dat.properties.\`1981-2010\`.std_date_span_month[5].env_climate_pr),
-									  period1_06_tas = AVERAGE(dat.properties.\`1981-2010\`.std_date_span_month[5].env_climate_tas),
-									  period1_06_tasmax = AVERAGE(dat.properties.\`1981-2010\`.std_date_span_month[5].env_climate_tasmax),
-									  period1_06_tasmin = AVERAGE(dat.properties.\`1981-2010\`.std_date_span_month[5].env_climate_tasmin),
-									  period1_07_pr = AVERAGE(dat.properties.\`1981-2010\`.std_date_span_month[6].env_climate_pr),
-									  period1_07_tas = AVERAGE(dat.properties.\`1981-2010\`.std_date_span_month[6].env_climate_tas),
-									  period1_07_tasmax = AVERAGE(dat.properties.\`1981-2010\`.std_date_span_month[6].env_climate_tasmax),
-									  period1_07_tasmin = AVERAGE(dat.properties.\`1981-2010\`.std_date_span_month[6].env_climate_tasmin),
-									  period1_08_pr = AVERAGE(dat.properties.\`1981-2010\`.std_date_span_month[7].env_climate_pr),
-									  period1_08_tas = AVERAGE(dat.properties.\`1981-2010\`.std_date_span_month[7].env_climate_tas),
-									  period1_08_tasmax = AVERAGE(dat.properties.\`1981-2010\`.std_date_span_month[7].env_climate_tasmax),
-									  period1_08_tasmin = AVERAGE(dat.properties.\`1981-2010\`.std_date_span_month[7].env_climate_tasmin),
-									  period1_09_pr = AVERAGE(dat.properties.\`1981-2010\`.std_date_span_month[8].env_climate_pr),
-									  period1_09_tas = AVERAGE(dat.properties.\`1981-2010\`.std_date_span_month[8].env_climate_tas),
-									  period1_09_tasmax = AVERAGE(dat.properties.\`1981-2010\`.std_date_span_month[8].env_climate_tasmax),
-									  period1_09_tasmin = AVERAGE(dat.properties.\`1981-2010\`.std_date_span_month[8].env_climate_tasmin),
-									  period1_10_pr = AVERAGE(dat.properties.\`1981-2010\`.std_date_span_month[9].env_climate_pr),
-									  period1_10_tas = AVERAGE(dat.properties.\`1981-2010\`.std_date_span_month[9].env_climate_tas),
-									  period1_10_tasmax = AVERAGE(dat.properties.\`1981-2010\`.std_date_span_month[9].env_climate_tasmax),
-									  period1_10_tasmin = AVERAGE(dat.properties.\`1981-2010\`.std_date_span_month[9].env_climate_tasmin),
-									  period1_11_pr = AVERAGE(dat.properties.\`1981-2010\`.std_date_span_month[10].env_climate_pr),
-									  period1_11_tas = AVERAGE(dat.properties.\`1981-2010\`.std_date_span_month[10].env_climate_tas),
-									  period1_11_tasmax = AVERAGE(dat.properties.\`1981-2010\`.std_date_span_month[10].env_climate_tasmax),
-									  period1_11_tasmin = AVERAGE(dat.properties.\`1981-2010\`.std_date_span_month[10].env_climate_tasmin),
-									  period1_12_pr = AVERAGE(dat.properties.\`1981-2010\`.std_date_span_month[11].env_climate_pr),
-									  period1_12_tas = AVERAGE(dat.properties.\`1981-2010\`.std_date_span_month[11].env_climate_tas),
-									  period1_12_tasmax = AVERAGE(dat.properties.\`1981-2010\`.std_date_span_month[11].env_climate_tasmax),
-									  period1_12_tasmin = AVERAGE(dat.properties.\`1981-2010\`.std_date_span_month[11].env_climate_tasmin),
-									  period2_bio01 = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio01),
-									  period2_bio02 = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio02),
-									  period2_bio03 = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio03),
-									  period2_bio04 = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio04),
-									  period2_bio05 = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio05),
-									  period2_bio06 = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio06),
-									  period2_bio07 = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio07),
-									  period2_bio08 = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio08),
-									  period2_bio09 = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio09),
-									  period2_bio10 = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio10),
-									  period2_bio11 = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio11),
-									  period2_bio12 = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio12),
-									  period2_bio13 = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio13),
-									  period2_bio14 = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio14),
-									  period2_bio15 = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio15),
-									  period2_bio16 = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio16),
-									  period2_bio17 = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio17),
-									  period2_bio18 = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio18),
-									  period2_bio19 = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio19),
-									  period2_gdd0 = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gdd0),
-									  period2_gdd10 = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gdd10),
-									  period2_gdd5 = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gdd5),
-									  period2_gsl = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gsl),
-									  period2_gsp = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gsp),
-									  period2_gst = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gst),
-									  period2_ngd0 = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_ngd0),
-									  period2_ngd10 = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_ngd10),
-									  period2_ngd5 = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_ngd5),
-									  period2_npp = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_npp),
-									  period2_scd = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_scd),
-									  period2_01_pr = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_pr),
-									  period2_01_tas = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_tas),
-									  period2_01_tasmax = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_tasmax),
-									  period2_01_tasmin = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_tasmin),
-									  period2_02_pr = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_pr),
-									  period2_02_tas = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_tas),
-									  period2_02_tasmax = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_tasmax),
-									  period2_02_tasmin = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_tasmin),
-									  period2_03_pr = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_pr),
-									  period2_03_tas = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_tas),
-									  period2_03_tasmax = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_tasmax),
-									  period2_03_tasmin = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_tasmin),
-									  period2_04_pr = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_pr),
-									  period2_04_tas = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_tas),
-									  period2_04_tasmax = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_tasmax),
-									  period2_04_tasmin = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_tasmin),
-									  period2_05_pr = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_pr),
-									  period2_05_tas = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_tas),
-									  period2_05_tasmax = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_tasmax),
-									  period2_05_tasmin = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_tasmin),
-									  period2_06_pr = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_pr),
-									  period2_06_tas = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_tas),
-									  period2_06_tasmax = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_tasmax),
-									  period2_06_tasmin = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_tasmin),
-									  period2_07_pr = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_pr),
-									  period2_07_tas = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_tas),
-									  period2_07_tasmax = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_tasmax),
-									  period2_07_tasmin = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_tasmin),
-									  period2_08_pr = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_pr),
-									  period2_08_tas = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_tas),
-									  period2_08_tasmax = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_tasmax),
-									  period2_08_tasmin = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_tasmin),
-									  period2_09_pr = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_pr),
-									  period2_09_tas = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_tas),
-									  period2_09_tasmax = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_tasmax),
-									  period2_09_tasmin = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_tasmin),
-									  period2_10_pr = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_pr),
-									  period2_10_tas = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_tas),
-									  period2_10_tasmax = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_tasmax),
-									  period2_10_tasmin = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_tasmin),
-									  period2_11_pr = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_pr),
-									  period2_11_tas = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_tas),
-									  period2_11_tasmax = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_tasmax),
-									  period2_11_tasmin = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_tasmin),
-									  period2_12_pr = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_pr),
-									  period2_12_tas = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_tas),
-									  period2_12_tasmax = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_tasmax),
-									  period2_12_tasmin = AVERAGE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_tasmin),
-									  period3_bio01 = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio01),
-									  period3_bio02 = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio02),
-									  period3_bio03 = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio03),
-									  period3_bio04 = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio04),
-									  period3_bio05 = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio05),
-									  period3_bio06 = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio06),
-									  period3_bio07 = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio07),
-									  period3_bio08 = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio08),
-									  period3_bio09 = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio09),
-									  period3_bio10 = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio10),
-									  period3_bio11 = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio11),
-									  period3_bio12 = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio12),
-									  period3_bio13 = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio13),
-									  period3_bio14 = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio14),
-									  period3_bio15 = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio15),
-									  period3_bio16 = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio16),
-									  period3_bio17 = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio17),
-									  period3_bio18 = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio18),
-									  period3_bio19 = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio19),
-									  period3_gdd0 = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gdd0),
-									  period3_gdd10 = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gdd10),
-									  period3_gdd5 = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gdd5),
-									  period3_gsl = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gsl),
-									  period3_gsp = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gsp),
-									  period3_gst = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gst),
-									  period3_ngd0 = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_ngd0),
-									  period3_ngd10 = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_ngd10),
-									  period3_ngd5 = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_ngd5),
-									  period3_npp = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_npp),
-									  period3_scd = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_scd),
-									  period3_01_pr = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_pr),
-									  period3_01_tas = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_tas),
-									  period3_01_tasmax = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_tasmax),
-									  period3_01_tasmin = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_tasmin),
-									  period3_02_pr = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_pr),
-									  period3_02_tas = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_tas),
-									  period3_02_tasmax = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_tasmax),
-									  period3_02_tasmin = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_tasmin),
-									  period3_03_pr = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_pr),
-									  period3_03_tas = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_tas),
-									  period3_03_tasmax = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_tasmax),
-									  period3_03_tasmin = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_tasmin),
-									  period3_04_pr = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_pr),
-									  period3_04_tas = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_tas),
-									  period3_04_tasmax = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_tasmax),
-									  period3_04_tasmin = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_tasmin),
-									  period3_05_pr = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_pr),
-									  period3_05_tas = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_tas),
-									  period3_05_tasmax = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_tasmax),
-									  period3_05_tasmin = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_tasmin),
-									  period3_06_pr = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_pr),
-									  period3_06_tas = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_tas),
-									  period3_06_tasmax = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_tasmax),
-									  period3_06_tasmin = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_tasmin),
-									  period3_07_pr = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_pr),
-									  period3_07_tas = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_tas),
-									  period3_07_tasmax = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_tasmax),
-									  period3_07_tasmin = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_tasmin),
-									  period3_08_pr = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_pr),
-									  period3_08_tas = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_tas),
-									  period3_08_tasmax = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_tasmax),
-									  period3_08_tasmin = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_tasmin),
-									  period3_09_pr = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_pr),
-									  period3_09_tas = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_tas),
-									  period3_09_tasmax = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_tasmax),
-									  period3_09_tasmin = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_tasmin),
-									  period3_10_pr = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_pr),
-									  period3_10_tas = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_tas),
-									  period3_10_tasmax = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_tasmax),
-									  period3_10_tasmin = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_tasmin),
-									  period3_11_pr = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_pr),
-									  period3_11_tas = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_tas),
-									  period3_11_tasmax = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_tasmax),
-									  period3_11_tasmin = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_tasmin),
-									  period3_12_pr = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_pr),
-									  period3_12_tas = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_tas),
-									  period3_12_tasmax = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_tasmax),
-									  period3_12_tasmin = AVERAGE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_tasmin),
-									  period4_bio01 = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio01),
-									  period4_bio02 = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio02),
-									  period4_bio03 = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio03),
-									  period4_bio04 = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio04),
-									  period4_bio05 = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio05),
-									  period4_bio06 = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio06),
-									  period4_bio07 = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio07),
-									  period4_bio08 = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio08),
-									  period4_bio09 = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio09),
-									  period4_bio10 = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio10),
-									  period4_bio11 = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio11),
-									  period4_bio12 = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio12),
-									  period4_bio13 = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio13),
-									  period4_bio14 = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio14),
-									  period4_bio15 = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio15),
-									  period4_bio16 = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio16),
-									  period4_bio17 = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio17),
-									  period4_bio18 = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio18),
-									  period4_bio19 = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio19),
-									  period4_gdd0 = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gdd0),
-									  period4_gdd10 = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gdd10),
-									  period4_gdd5 = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gdd5),
-									  period4_gsl = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gsl),
-									  period4_gsp = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gsp),
-									  period4_gst = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gst),
-									  period4_ngd0 = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_ngd0),
-									  period4_ngd10 = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_ngd10),
-									  period4_ngd5 = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_ngd5),
-									  period4_npp = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_npp),
-									  period4_scd = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_scd),
-									  period4_01_pr = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_pr),
-									  period4_01_tas = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_tas),
-									  period4_01_tasmax = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_tasmax),
-									  period4_01_tasmin = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_tasmin),
-									  period4_02_pr = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_pr),
-									  period4_02_tas = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_tas),
-									  period4_02_tasmax = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_tasmax),
-									  period4_02_tasmin = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_tasmin),
-									  period4_03_pr = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_pr),
-									  period4_03_tas = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_tas),
-									  period4_03_tasmax = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_tasmax),
-									  period4_03_tasmin = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_tasmin),
-									  period4_04_pr = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_pr),
-									  period4_04_tas = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_tas),
-									  period4_04_tasmax = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_tasmax),
-									  period4_04_tasmin = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_tasmin),
-									  period4_05_pr = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_pr),
-									  period4_05_tas = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_tas),
-									  period4_05_tasmax = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_tasmax),
-									  period4_05_tasmin = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_tasmin),
-									  period4_06_pr = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_pr),
-									  period4_06_tas = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_tas),
-									  period4_06_tasmax = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_tasmax),
-									  period4_06_tasmin = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_tasmin),
-									  period4_07_pr = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_pr),
-									  period4_07_tas = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_tas),
-									  period4_07_tasmax = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_tasmax),
-									  period4_07_tasmin = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_tasmin),
-									  period4_08_pr = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_pr),
-									  period4_08_tas = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_tas),
-									  period4_08_tasmax = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_tasmax),
-									  period4_08_tasmin = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_tasmin),
-									  period4_09_pr = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_pr),
-									  period4_09_tas = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_tas),
-									  period4_09_tasmax = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_tasmax),
-									  period4_09_tasmin = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_tasmin),
-									  period4_10_pr = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_pr),
-									  period4_10_tas = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_tas),
-									  period4_10_tasmax = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_tasmax),
-									  period4_10_tasmin = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_tasmin),
-									  period4_11_pr = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_pr),
-									  period4_11_tas = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_tas),
-									  period4_11_tasmax = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_tasmax),
-									  period4_11_tasmin = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_tasmin),
-									  period4_12_pr = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_pr),
-									  period4_12_tas = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_tas),
-									  period4_12_tasmax = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_tasmax),
-									  period4_12_tasmin = AVERAGE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_tasmin)
-				RETURN {
-					count: count,
-					properties: {
-						\`1981-2010\`: {
-							env_climate_ai: period1_ai,
-							env_climate_bio01: period1_bio01,
-							env_climate_bio02: period1_bio02,
-							env_climate_bio03: period1_bio03,
-							env_climate_bio04: period1_bio04,
-							env_climate_bio05: period1_bio05,
-							env_climate_bio06: period1_bio06,
-							env_climate_bio07: period1_bio07,
-							env_climate_bio08: period1_bio08,
-							env_climate_bio09: period1_bio09,
-							env_climate_bio10: period1_bio10,
-							env_climate_bio11: period1_bio11,
-							env_climate_bio12: period1_bio12,
-							env_climate_bio13: period1_bio13,
-							env_climate_bio14: period1_bio14,
-							env_climate_bio15: period1_bio15,
-							env_climate_bio16: period1_bio16,
-							env_climate_bio17: period1_bio17,
-							env_climate_bio18: period1_bio18,
-							env_climate_bio19: period1_bio19,
-							env_climate_clt_max: period1_clt_max,
-							env_climate_clt_mean: period1_clt_mean,
-							env_climate_clt_min: period1_clt_min,
-							env_climate_clt_range: period1_clt_range,
-							env_climate_cmi_max: period1_cmi_max,
-							env_climate_cmi_mean: period1_cmi_mean,
-							env_climate_cmi_min: period1_cmi_min,
-							env_climate_cmi_range: period1_cmi_range,
-							env_climate_fcf: period1_fcf,
-							env_climate_fgd: period1_fgd,
-							env_climate_gdd0: period1_gdd0,
-							env_climate_gdd10: period1_gdd10,
-							env_climate_gdd5: period1_gdd5,
-							env_climate_gddlgd0: period1_gddlgd0,
-							env_climate_gddlgd10: period1_gddlgd10,
-							env_climate_gddlgd5: period1_gddlgd5,
-							env_climate_gdgfgd0: period1_gdgfgd0,
-							env_climate_gdgfgd10: period1_gdgfgd10,
-							env_climate_gdgfgd5: period1_gdgfgd5,
-							env_climate_gsl: period1_gsl,
-							env_climate_gsp: period1_gsp,
-							env_climate_gst: period1_gst,
-							env_climate_hurs_max: period1_hurs_max,
-							env_climate_hurs_mean: period1_hurs_mean,
-							env_climate_hurs_min: period1_hurs_min,
-							env_climate_hurs_range: period1_hurs_range,
-							env_climate_ngd0: period1_ngd0,
-							env_climate_ngd10: period1_ngd10,
-							env_climate_ngd5: period1_ngd5,
-							env_climate_npp: period1_npp,
-							env_climate_pet_penman_max: period1_pet_penman_max,
-							env_climate_pet_penman_mean: period1_pet_penman_mean,
-							env_climate_pet_penman_min: period1_pet_penman_min,
-							env_climate_pet_penman_range: period1_pet_penman_range,
-							env_climate_rsds_max: period1_rsds_max,
-							env_climate_rsds_mean: period1_rsds_mean,
-							env_climate_rsds_min: period1_rsds_min,
-							env_climate_rsds_range: period1_rsds_range,
-							env_climate_scd: period1_scd,
-							env_climate_sfcWind_max: period1_sfcWind_max,
-							env_climate_sfcWind_mean: period1_sfcWind_mean,
-							env_climate_sfcWind_min: period1_sfcWind_min,
-							env_climate_sfcWind_range: period1_sfcWind_range,
-							env_climate_swb: period1_swb,
-							env_climate_swe: period1_swe,
-							env_climate_vpd_max: period1_vpd_max,
-							env_climate_vpd_mean: period1_vpd_mean,
-							env_climate_vpd_min: period1_vpd_min,
-							env_climate_vpd_range: period1_vpd_range,
-							std_date_span_month: [
-								{
-									std_month: 1,
-									env_climate_pr: 	period1_01_pr,
-									env_climate_tas: 	period1_01_tas,
-									env_climate_tasmax: period1_01_tasmax,
-									env_climate_tasmin: period1_01_tasmin
-								},
-								{
-									std_month: 2,
-									env_climate_pr: 	period1_02_pr,
-									env_climate_tas: 	period1_02_tas,
-									env_climate_tasmax: period1_02_tasmax,
-									env_climate_tasmin: period1_02_tasmin
-								},
-								{
-									std_month: 3,
-									env_climate_pr: 	period1_03_pr,
-									env_climate_tas: 	period1_03_tas,
-									env_climate_tasmax: period1_03_tasmax,
-									env_climate_tasmin: period1_03_tasmin
-								},
-								{
-									std_month: 4,
-									env_climate_pr: 	period1_04_pr,
-									env_climate_tas: 	period1_04_tas,
-									env_climate_tasmax: period1_04_tasmax,
-									env_climate_tasmin: period1_04_tasmin
-								},
-								{
-									std_month: 5,
-									env_climate_pr: 	period1_05_pr,
-									env_climate_tas: 	period1_05_tas,
-									env_climate_tasmax: period1_05_tasmax,
-									env_climate_tasmin: period1_05_tasmin
-								},
-								{
-									std_month: 6,
-									env_climate_pr: 	period1_06_pr,
-									env_climate_tas: 	period1_06_tas,
-									env_climate_tasmax: period1_06_tasmax,
-									env_climate_tasmin: period1_06_tasmin
-								},
-								{
-									std_month: 7,
-									env_climate_pr: 	period1_07_pr,
-									env_climate_tas: 	period1_07_tas,
-									env_climate_tasmax: period1_07_tasmax,
-									env_climate_tasmin: period1_07_tasmin
-								},
-								{
-									std_month: 8,
-									env_climate_pr: 	period1_08_pr,
-									env_climate_tas: 	period1_08_tas,
-									env_climate_tasmax: period1_08_tasmax,
-									env_climate_tasmin: period1_08_tasmin
-								},
-								{
-									std_month: 9,
-									env_climate_pr: 	period1_09_pr,
-									env_climate_tas: 	period1_09_tas,
-									env_climate_tasmax: period1_09_tasmax,
-									env_climate_tasmin: period1_09_tasmin
-								},
-								{
-									std_month: 10,
-									env_climate_pr: 	period1_10_pr,
-									env_climate_tas: 	period1_10_tas,
-									env_climate_tasmax: period1_10_tasmax,
-									env_climate_tasmin: period1_10_tasmin
-								},
-								{
-									std_month: 11,
-									env_climate_pr: 	period1_11_pr,
-									env_climate_tas: 	period1_11_tas,
-									env_climate_tasmax: period1_11_tasmax,
-									env_climate_tasmin: period1_11_tasmin
-								},
-								{
-									std_month: 12,
-									env_climate_pr: 	period1_12_pr,
-									env_climate_tas: 	period1_12_tas,
-									env_climate_tasmax: period1_12_tasmax,
-									env_climate_tasmin: period1_12_tasmin
-								}
-							]
-						},
-						\`2011-2040\`: {
-							\`MPI-ESM1-2-HR\`: {
-								ssp370: {
-									env_climate_bio01: period2_bio01,
-									env_climate_bio02: period2_bio02,
-									env_climate_bio03: period2_bio03,
-									env_climate_bio04: period2_bio04,
-									env_climate_bio05: period2_bio05,
-									env_climate_bio06: period2_bio06,
-									env_climate_bio07: period2_bio07,
-									env_climate_bio08: period2_bio08,
-									env_climate_bio09: period2_bio09,
-									env_climate_bio10: period2_bio10,
-									env_climate_bio11: period2_bio11,
-									env_climate_bio12: period2_bio12,
-									env_climate_bio13: period2_bio13,
-									env_climate_bio14: period2_bio14,
-									env_climate_bio15: period2_bio15,
-									env_climate_bio16: period2_bio16,
-									env_climate_bio17: period2_bio17,
-									env_climate_bio18: period2_bio18,
-									env_climate_bio19: period2_bio19,
-									env_climate_gdd0: period2_gdd0,
-									env_climate_gdd10: period2_gdd10,
-									env_climate_gdd5: period2_gdd5,
-									env_climate_gsl: period2_gsl,
-									env_climate_gsp: period2_gsp,
-									env_climate_gst: period2_gst,
-									env_climate_ngd0: period2_ngd0,
-									env_climate_ngd10: period2_ngd10,
-									env_climate_ngd5: period2_ngd5,
-									env_climate_npp: period2_npp,
-									env_climate_scd: period2_scd,
-									std_date_span_month: [
-										{
-											std_month: 1,
-											env_climate_pr: 	period2_01_pr,
-											env_climate_tas: 	period2_01_tas,
-											env_climate_tasmax: period2_01_tasmax,
-											env_climate_tasmin: period2_01_tasmin
-										},
-										{
-											std_month: 2,
-											env_climate_pr: 	period2_02_pr,
-											env_climate_tas: 	period2_02_tas,
-											env_climate_tasmax: period2_02_tasmax,
-											env_climate_tasmin: period2_02_tasmin
-										},
-										{
-											std_month: 3,
-											env_climate_pr: 	period2_03_pr,
-											env_climate_tas: 	period2_03_tas,
-											env_climate_tasmax: period2_03_tasmax,
-											env_climate_tasmin: period2_03_tasmin
-										},
-										{
-											std_month: 4,
-											env_climate_pr: 	period2_04_pr,
-											env_climate_tas: 	period2_04_tas,
-											env_climate_tasmax: period2_04_tasmax,
-											env_climate_tasmin: period2_04_tasmin
-										},
-										{
-											std_month: 5,
-											env_climate_pr: 	period2_05_pr,
-											env_climate_tas: 	period2_05_tas,
-											env_climate_tasmax: period2_05_tasmax,
-											env_climate_tasmin: period2_05_tasmin
-										},
-										{
-											std_month: 6,
-											env_climate_pr: 	period2_06_pr,
-											env_climate_tas: 	period2_06_tas,
-											env_climate_tasmax: period2_06_tasmax,
-											env_climate_tasmin: period2_06_tasmin
-										},
-										{
-											std_month: 7,
-											env_climate_pr: 	period2_07_pr,
-											env_climate_tas: 	period2_07_tas,
-											env_climate_tasmax: period2_07_tasmax,
-											env_climate_tasmin: period2_07_tasmin
-										},
-										{
-											std_month: 8,
-											env_climate_pr: 	period2_08_pr,
-											env_climate_tas: 	period2_08_tas,
-											env_climate_tasmax: period2_08_tasmax,
-											env_climate_tasmin: period2_08_tasmin
-										},
-										{
-											std_month: 9,
-											env_climate_pr: 	period2_09_pr,
-											env_climate_tas: 	period2_09_tas,
-											env_climate_tasmax: period2_09_tasmax,
-											env_climate_tasmin: period2_09_tasmin
-										},
-										{
-											std_month: 10,
-											env_climate_pr: 	period2_10_pr,
-											env_climate_tas: 	period2_10_tas,
-											env_climate_tasmax: period2_10_tasmax,
-											env_climate_tasmin: period2_10_tasmin
-										},
-										{
-											std_month: 11,
-											env_climate_pr: 	period2_11_pr,
-											env_climate_tas: 	period2_11_tas,
-											env_climate_tasmax: period2_11_tasmax,
-											env_climate_tasmin: period2_11_tasmin
-										},
-										{
-											std_month: 12,
-											env_climate_pr: 	period2_12_pr,
-											env_climate_tas: 	period2_12_tas,
-											env_climate_tasmax: period2_12_tasmax,
-											env_climate_tasmin: period2_12_tasmin
-										}
-									]
-								}
-							}
-						},
-						\`2041-2070\`: {
-							\`MPI-ESM1-2-HR\`: {
-								ssp370: {
-									env_climate_bio01: period3_bio01,
-									env_climate_bio02: period3_bio02,
-									env_climate_bio03: period3_bio03,
-									env_climate_bio04: period3_bio04,
-									env_climate_bio05: period3_bio05,
-									env_climate_bio06: period3_bio06,
-									env_climate_bio07: period3_bio07,
-									env_climate_bio08: period3_bio08,
-									env_climate_bio09: period3_bio09,
-									env_climate_bio10: period3_bio10,
-									env_climate_bio11: period3_bio11,
-									env_climate_bio12: period3_bio12,
-									env_climate_bio13: period3_bio13,
-									env_climate_bio14: period3_bio14,
-									env_climate_bio15: period3_bio15,
-									env_climate_bio16: period3_bio16,
-									env_climate_bio17: period3_bio17,
-									env_climate_bio18: period3_bio18,
-									env_climate_bio19: period3_bio19,
-									env_climate_gdd0: period3_gdd0,
-									env_climate_gdd10: period3_gdd10,
-									env_climate_gdd5: period3_gdd5,
-									env_climate_gsl: period3_gsl,
-									env_climate_gsp: period3_gsp,
-									env_climate_gst: period3_gst,
-									env_climate_ngd0: period3_ngd0,
-									env_climate_ngd10: period3_ngd10,
-									env_climate_ngd5: period3_ngd5,
-									env_climate_npp: period3_npp,
-									env_climate_scd: period3_scd,
-									std_date_span_month: [
-										{
-											std_month: 1,
-											env_climate_pr: 	period3_01_pr,
-											env_climate_tas: 	period3_01_tas,
-											env_climate_tasmax: period3_01_tasmax,
-											env_climate_tasmin: period3_01_tasmin
-										},
-										{
-											std_month: 2,
-											env_climate_pr: 	period3_02_pr,
-											env_climate_tas: 	period3_02_tas,
-											env_climate_tasmax: period3_02_tasmax,
-											env_climate_tasmin: period3_02_tasmin
-										},
-										{
-											std_month: 3,
-											env_climate_pr: 	period3_03_pr,
-											env_climate_tas: 	period3_03_tas,
-											env_climate_tasmax: period3_03_tasmax,
-											env_climate_tasmin: period3_03_tasmin
-										},
-										{
-											std_month: 4,
-											env_climate_pr: 	period3_04_pr,
-											env_climate_tas: 	period3_04_tas,
-											env_climate_tasmax: period3_04_tasmax,
-											env_climate_tasmin: period3_04_tasmin
-										},
-										{
-											std_month: 5,
-											env_climate_pr: 	period3_05_pr,
-											env_climate_tas: 	period3_05_tas,
-											env_climate_tasmax: period3_05_tasmax,
-											env_climate_tasmin: period3_05_tasmin
-										},
-										{
-											std_month: 6,
-											env_climate_pr: 	period3_06_pr,
-											env_climate_tas: 	period3_06_tas,
-											env_climate_tasmax: period3_06_tasmax,
-											env_climate_tasmin: period3_06_tasmin
-										},
-										{
-											std_month: 7,
-											env_climate_pr: 	period3_07_pr,
-											env_climate_tas: 	period3_07_tas,
-											env_climate_tasmax: period3_07_tasmax,
-											env_climate_tasmin: period3_07_tasmin
-										},
-										{
-											std_month: 8,
-											env_climate_pr: 	period3_08_pr,
-											env_climate_tas: 	period3_08_tas,
-											env_climate_tasmax: period3_08_tasmax,
-											env_climate_tasmin: period3_08_tasmin
-										},
-										{
-											std_month: 9,
-											env_climate_pr: 	period3_09_pr,
-											env_climate_tas: 	period3_09_tas,
-											env_climate_tasmax: period3_09_tasmax,
-											env_climate_tasmin: period3_09_tasmin
-										},
-										{
-											std_month: 10,
-											env_climate_pr: 	period3_10_pr,
-											env_climate_tas: 	period3_10_tas,
-											env_climate_tasmax: period3_10_tasmax,
-											env_climate_tasmin: period3_10_tasmin
-										},
-										{
-											std_month: 11,
-											env_climate_pr: 	period3_11_pr,
-											env_climate_tas: 	period3_11_tas,
-											env_climate_tasmax: period3_11_tasmax,
-											env_climate_tasmin: period3_11_tasmin
-										},
-										{
-											std_month: 12,
-											env_climate_pr: 	period3_12_pr,
-											env_climate_tas: 	period3_12_tas,
-											env_climate_tasmax: period3_12_tasmax,
-											env_climate_tasmin: period3_12_tasmin
-										}
-									]
-								}
-							}
-						},
-						\`2071-2100\`: {
-							\`MPI-ESM1-2-HR\`: {
-								ssp370: {
-									env_climate_bio01: period4_bio01,
-									env_climate_bio02: period4_bio02,
-									env_climate_bio03: period4_bio03,
-									env_climate_bio04: period4_bio04,
-									env_climate_bio05: period4_bio05,
-									env_climate_bio06: period4_bio06,
-									env_climate_bio07: period4_bio07,
-									env_climate_bio08: period4_bio08,
-									env_climate_bio09: period4_bio09,
-									env_climate_bio10: period4_bio10,
-									env_climate_bio11: period4_bio11,
-									env_climate_bio12: period4_bio12,
-									env_climate_bio13: period4_bio13,
-									env_climate_bio14: period4_bio14,
-									env_climate_bio15: period4_bio15,
-									env_climate_bio16: period4_bio16,
-									env_climate_bio17: period4_bio17,
-									env_climate_bio18: period4_bio18,
-									env_climate_bio19: period4_bio19,
-									env_climate_gdd0: period4_gdd0,
-									env_climate_gdd10: period4_gdd10,
-									env_climate_gdd5: period4_gdd5,
-									env_climate_gsl: period4_gsl,
-									env_climate_gsp: period4_gsp,
-									env_climate_gst: period4_gst,
-									env_climate_ngd0: period4_ngd0,
-									env_climate_ngd10: period4_ngd10,
-									env_climate_ngd5: period4_ngd5,
-									env_climate_npp: period4_npp,
-									env_climate_scd: period4_scd,
-									std_date_span_month: [
-										{
-											std_month: 1,
-											env_climate_pr: 	period4_01_pr,
-											env_climate_tas: 	period4_01_tas,
-											env_climate_tasmax: period4_01_tasmax,
-											env_climate_tasmin: period4_01_tasmin
-										},
-										{
-											std_month: 2,
-											env_climate_pr: 	period4_02_pr,
-											env_climate_tas: 	period4_02_tas,
-											env_climate_tasmax: period4_02_tasmax,
-											env_climate_tasmin: period4_02_tasmin
-										},
-										{
-											std_month: 3,
-											env_climate_pr: 	period4_03_pr,
-											env_climate_tas: 	period4_03_tas,
-											env_climate_tasmax: period4_03_tasmax,
-											env_climate_tasmin: period4_03_tasmin
-										},
-										{
-											std_month: 4,
-											env_climate_pr: 	period4_04_pr,
-											env_climate_tas: 	period4_04_tas,
-											env_climate_tasmax: period4_04_tasmax,
-											env_climate_tasmin: period4_04_tasmin
-										},
-										{
-											std_month: 5,
-											env_climate_pr: 	period4_05_pr,
-											env_climate_tas: 	period4_05_tas,
-											env_climate_tasmax: period4_05_tasmax,
-											env_climate_tasmin: period4_05_tasmin
-										},
-										{
-											std_month: 6,
-											env_climate_pr: 	period4_06_pr,
-											env_climate_tas: 	period4_06_tas,
-											env_climate_tasmax: period4_06_tasmax,
-											env_climate_tasmin: period4_06_tasmin
-										},
-										{
-											std_month: 7,
-											env_climate_pr: 	period4_07_pr,
-											env_climate_tas: 	period4_07_tas,
-											env_climate_tasmax: period4_07_tasmax,
-											env_climate_tasmin: period4_07_tasmin
-										},
-										{
-											std_month: 8,
-											env_climate_pr: 	period4_08_pr,
-											env_climate_tas: 	period4_08_tas,
-											env_climate_tasmax: period4_08_tasmax,
-											env_climate_tasmin: period4_08_tasmin
-										},
-										{
-											std_month: 9,
-											env_climate_pr: 	period4_09_pr,
-											env_climate_tas: 	period4_09_tas,
-											env_climate_tasmax: period4_09_tasmax,
-											env_climate_tasmin: period4_09_tasmin
-										},
-										{
-											std_month: 10,
-											env_climate_pr: 	period4_10_pr,
-											env_climate_tas: 	period4_10_tas,
-											env_climate_tasmax: period4_10_tasmax,
-											env_climate_tasmin: period4_10_tasmin
-										},
-										{
-											std_month: 11,
-											env_climate_pr: 	period4_11_pr,
-											env_climate_tas: 	period4_11_tas,
-											env_climate_tasmax: period4_11_tasmax,
-											env_climate_tasmin: period4_11_tasmin
-										},
-										{
-											std_month: 12,
-											env_climate_pr: 	period4_12_pr,
-											env_climate_tas: 	period4_12_tas,
-											env_climate_tasmax: period4_12_tasmax,
-											env_climate_tasmin: period4_12_tasmin
-										}
-									]
-								}
-							}
-						}
-					}
-				}
-			`
-			break
+/**
+ * This function can be used to retrieve the AQL query required for comparing
+ * the future periods with the baseline period of the average of the Chelsa
+ * data records whose centroids are contained in the provided reference geometry.
+ *
+ * Parameters:
+ * - theCollection {String}: Data collection.
+ * - theCollectionMap {String}: Map collection.
+ * - theGeometry {Object}: GeoJSON reference geometry, provide either a Polygon or MultiPolygon.
+ * - theSelection {Object}: Properties selection, `std_terms`, future `periods` and `months`.
+ *
+ * Returns:
+ * - {String}: The AQL query.
+ */
+function ChelsaDeltaContainsAQL(theCollection, theCollectionMap, theGeometry, theSelection = {})
+{
+	return ClimateDeltaAQL(
+		ChelsaDescriptor,
+		ChelsaBaseline,
+		(theSource) => ChelsaContainsAQL(theCollection, theCollectionMap, theGeometry, 'AVG', 0, 10, theSource),
+		theSelection
+	)
 
-		///
-		// Return selection maximum.
-		///
-		case 'MAX':
-			query = aql`
-				FOR dat IN ${theCollection}
-					FILTER GEO_INTERSECTS(${theGeometry}, dat.geometry_bounds)
-					COLLECT AGGREGATE count = COUNT(),
-									  period1_ai = MAX(dat.properties.\`1981-2010\`.env_climate_ai),
-									  period1_bio01 = MAX(dat.properties.\`1981-2010\`.env_climate_bio01),
-									  period1_bio02 = MAX(dat.properties.\`1981-2010\`.env_climate_bio02),
-									  period1_bio03 = MAX(dat.properties.\`1981-2010\`.env_climate_bio03),
-									  period1_bio04 = MAX(dat.properties.\`1981-2010\`.env_climate_bio04),
-									  period1_bio05 = MAX(dat.properties.\`1981-2010\`.env_climate_bio05),
-									  period1_bio06 = MAX(dat.properties.\`1981-2010\`.env_climate_bio06),
-									  period1_bio07 = MAX(dat.properties.\`1981-2010\`.env_climate_bio07),
-									  period1_bio08 = MAX(dat.properties.\`1981-2010\`.env_climate_bio08),
-									  period1_bio09 = MAX(dat.properties.\`1981-2010\`.env_climate_bio09),
-									  period1_bio10 = MAX(dat.properties.\`1981-2010\`.env_climate_bio10),
-									  period1_bio11 = MAX(dat.properties.\`1981-2010\`.env_climate_bio11),
-									  period1_bio12 = MAX(dat.properties.\`1981-2010\`.env_climate_bio12),
-									  period1_bio13 = MAX(dat.properties.\`1981-2010\`.env_climate_bio13),
-									  period1_bio14 = MAX(dat.properties.\`1981-2010\`.env_climate_bio14),
-									  period1_bio15 = MAX(dat.properties.\`1981-2010\`.env_climate_bio15),
-									  period1_bio16 = MAX(dat.properties.\`1981-2010\`.env_climate_bio16),
-									  period1_bio17 = MAX(dat.properties.\`1981-2010\`.env_climate_bio17),
-									  period1_bio18 = MAX(dat.properties.\`1981-2010\`.env_climate_bio18),
-									  period1_bio19 = MAX(dat.properties.\`1981-2010\`.env_climate_bio19),
-									  period1_clt_max = MAX(dat.properties.\`1981-2010\`.env_climate_clt_max),
-									  period1_clt_mean = MAX(dat.properties.\`1981-2010\`.env_climate_clt_mean),
-									  period1_clt_min = MAX(dat.properties.\`1981-2010\`.env_climate_clt_min),
-									  period1_clt_range = MAX(dat.properties.\`1981-2010\`.env_climate_clt_range),
-									  period1_cmi_max = MAX(dat.properties.\`1981-2010\`.env_climate_cmi_max),
-									  period1_cmi_mean = MAX(dat.properties.\`1981-2010\`.env_climate_cmi_mean),
-									  period1_cmi_min = MAX(dat.properties.\`1981-2010\`.env_climate_cmi_min),
-									  period1_cmi_range = MAX(dat.properties.\`1981-2010\`.env_climate_cmi_range),
-									  period1_fcf =  MAX(dat.properties.\`1981-2010\`.env_climate_fcf),
-									  period1_fgd =  MAX(dat.properties.\`1981-2010\`.env_climate_fgd),
-									  period1_gdd0 =  MAX(dat.properties.\`1981-2010\`.env_climate_gdd0),
-									  period1_gdd10 = MAX(dat.properties.\`1981-2010\`.env_climate_gdd10),
-									  period1_gdd5 = MAX(dat.properties.\`1981-2010\`.env_climate_gdd5),
-									  period1_gddlgd0 = MAX(dat.properties.\`1981-2010\`.env_climate_gddlgd0),
-									  period1_gddlgd10 = MAX(dat.properties.\`1981-2010\`.env_climate_gddlgd10),
-									  period1_gddlgd5 = MAX(dat.properties.\`1981-2010\`.env_climate_gddlgd5),
-									  period1_gdgfgd0 = MAX(dat.properties.\`1981-2010\`.env_climate_gdgfgd0),
-									  period1_gdgfgd10 = MAX(dat.properties.\`1981-2010\`.env_climate_gdgfgd10),
-									  period1_gdgfgd5 = MAX(dat.properties.\`1981-2010\`.env_climate_gdgfgd5),
-									  period1_gsl = MAX(dat.properties.\`1981-2010\`.env_climate_gsl),
-									  period1_gsp = MAX(dat.properties.\`1981-2010\`.env_climate_gsp),
-									  period1_gst = MAX(dat.properties.\`1981-2010\`.env_climate_gst),
-									  period1_hurs_max = MAX(dat.properties.\`1981-2010\`.env_climate_hurs_max),
-									  period1_hurs_mean = MAX(dat.properties.\`1981-2010\`.env_climate_hurs_mean),
-									  period1_hurs_min = MAX(dat.properties.\`1981-2010\`.env_climate_hurs_min),
-									  period1_hurs_range = MAX(dat.properties.\`1981-2010\`.env_climate_hurs_range),
-									  period1_ngd0 = MAX(dat.properties.\`1981-2010\`.env_climate_ngd0),
-									  period1_ngd10 = MAX(dat.properties.\`1981-2010\`.env_climate_ngd10),
-									  period1_ngd5 = MAX(dat.properties.\`1981-2010\`.env_climate_ngd5),
-									  period1_npp = MAX(dat.properties.\`1981-2010\`.env_climate_npp),
-									  period1_pet_penman_max = MAX(dat.properties.\`1981-2010\`.env_climate_pet_penman_max),
-									  period1_pet_penman_mean = MAX(dat.properties.\`1981-2010\`.env_climate_pet_penman_mean),
-									  period1_pet_penman_min = MAX(dat.properties.\`1981-2010\`.env_climate_pet_penman_min),
-									  period1_pet_penman_range = MAX(dat.properties.\`1981-2010\`.env_climate_pet_penman_range),
-									  period1_rsds_max = MAX(dat.properties.\`1981-2010\`.env_climate_rsds_max),
-									  period1_rsds_mean = MAX(dat.properties.\`1981-2010\`.env_climate_rsds_mean),
-									  period1_rsds_min = MAX(dat.properties.\`1981-2010\`.env_climate_rsds_min),
-									  period1_rsds_range = MAX(dat.properties.\`1981-2010\`.env_climate_rsds_range),
-									  period1_scd = MAX(dat.properties.\`1981-2010\`.env_climate_scd),
-									  period1_sfcWind_max = MAX(dat.properties.\`1981-2010\`.env_climate_sfcWind_max),
-									  period1_sfcWind_mean = MAX(dat.properties.\`1981-2010\`.env_climate_sfcWind_mean),
-									  period1_sfcWind_min = MAX(dat.properties.\`1981-2010\`.env_climate_sfcWind_min),
-									  period1_sfcWind_range = MAX(dat.properties.\`1981-2010\`.env_climate_sfcWind_range),
-									  period1_swb = MAX(dat.properties.\`1981-2010\`.env_climate_swb),
-									  period1_swe = MAX(dat.properties.\`1981-2010\`.env_climate_swe),
-									  period1_vpd_max = MAX(dat.properties.\`1981-2010\`.env_climate_vpd_max),
-									  period1_vpd_mean = MAX(dat.properties.\`1981-2010\`.env_climate_vpd_mean),
-									  period1_vpd_min = MAX(dat.properties.\`1981-2010\`.env_climate_vpd_min),
-									  period1_vpd_range = MAX(dat.properties.\`1981-2010\`.env_climate_vpd_range),
-									  period1_01_pr = MAX(dat.properties.\`1981-2010\`.std_date_span_month[0].env_climate_pr),
-									  period1_01_tas = MAX(dat.properties.\`1981-2010\`.std_date_span_month[0].env_climate_tas),
-									  period1_01_tasmax = MAX(dat.properties.\`1981-2010\`.std_date_span_month[0].env_climate_tasmax),
-									  period1_01_tasmin = MAX(dat.properties.\`1981-2010\`.std_date_span_month[0].env_climate_tasmin),
-									  period1_02_pr = MAX(dat.properties.\`1981-2010\`.std_date_span_month[1].env_climate_pr),
-									  period1_02_tas = MAX(dat.properties.\`1981-2010\`.std_date_span_month[1].env_climate_tas),
-									  period1_02_tasmax = MAX(dat.properties.\`1981-2010\`.std_date_span_month[1].env_climate_tasmax),
-									  period1_02_tasmin = MAX(dat.properties.\`1981-2010\`.std_date_span_month[1].env_climate_tasmin),
-									  period1_03_pr = MAX(dat.properties.\`1981-2010\`.std_date_span_month[2].env_climate_pr),
-									  period1_03_tas = MAX(dat.properties.\`1981-2010\`.std_date_span_month[2].env_climate_tas),
-									  period1_03_tasmax = MAX(dat.properties.\`1981-2010\`.std_date_span_month[2].env_climate_tasmax),
-									  period1_03_tasmin = MAX(dat.properties.\`1981-2010\`.std_date_span_month[2].env_climate_tasmin),
-									  period1_04_pr = MAX(dat.properties.\`1981-2010\`.std_date_span_month[3].env_climate_pr),
-									  period1_04_tas = MAX(dat.properties.\`1981-2010\`.std_date_span_month[3].env_climate_tas),
-									  period1_04_tasmax = MAX(dat.properties.\`1981-2010\`.std_date_span_month[3].env_climate_tasmax),
-									  period1_04_tasmin = MAX(dat.properties.\`1981-2010\`.std_date_span_month[3].env_climate_tasmin),
-									  period1_05_pr = MAX(dat.properties.\`1981-2010\`.std_date_span_month[4].env_climate_pr),
-									  period1_05_tas = MAX(dat.properties.\`1981-2010\`.std_date_span_month[4].env_climate_tas),
-									  period1_05_tasmax = MAX(dat.properties.\`1981-2010\`.std_date_span_month[4].env_climate_tasmax),
-									  period1_05_tasmin = MAX(dat.properties.\`1981-2010\`.std_date_span_month[4].env_climate_tasmin),
-									  period1_06_pr = MAX(dat.properties.\`1981-2010\`.std_date_span_month[5].env_climate_pr),
-									  period1_06_tas = MAX(dat.properties.\`1981-2010\`.std_date_span_month[5].env_climate_tas),
-									  period1_06_tasmax = MAX(dat.properties.\`1981-2010\`.std_date_span_month[5].env_climate_tasmax),
-									  period1_06_tasmin = MAX(dat.properties.\`1981-2010\`.std_date_span_month[5].env_climate_tasmin),
-									  period1_07_pr = MAX(dat.properties.\`1981-2010\`.std_date_span_month[6].env_climate_pr),
-									  period1_07_tas = MAX(dat.properties.\`1981-2010\`.std_date_span_month[6].env_climate_tas),
-									  period1_07_tasmax = MAX(dat.properties.\`1981-2010\`.std_date_span_month[6].env_climate_tasmax),
-									  period1_07_tasmin = MAX(dat.properties.\`1981-2010\`.std_date_span_month[6].env_climate_tasmin),
-									  period1_08_pr = MAX(dat.properties.\`1981-2010\`.std_date_span_month[7].env_climate_pr),
-									  period1_08_tas = MAX(dat.properties.\`1981-2010\`.std_date_span_month[7].env_climate_tas),
-									  period1_08_tasmax = MAX(dat.properties.\`1981-2010\`.std_date_span_month[7].env_climate_tasmax),
-									  period1_08_tasmin = MAX(dat.properties.\`1981-2010\`.std_date_span_month[7].env_climate_tasmin),
-									  period1_09_pr = MAX(dat.properties.\`1981-2010\`.std_date_span_month[8].env_climate_pr),
-									  period1_09_tas = MAX(dat.properties.\`1981-2010\`.std_date_span_month[8].env_climate_tas),
-									  period1_09_tasmax = MAX(dat.properties.\`1981-2010\`.std_date_span_month[8].env_climate_tasmax),
-									  period1_09_tasmin = MAX(dat.properties.\`1981-2010\`.std_date_span_month[8].env_climate_tasmin),
-									  period1_10_pr = MAX(dat.properties.\`1981-2010\`.std_date_span_month[9].env_climate_pr),
-									  period1_10_tas = MAX(dat.properties.\`1981-2010\`.std_date_span_month[9].env_climate_tas),
-									  period1_10_tasmax = MAX(dat.properties.\`1981-2010\`.std_date_span_month[9].env_climate_tasmax),
-									  period1_10_tasmin = MAX(dat.properties.\`1981-2010\`.std_date_span_month[9].env_climate_tasmin),
-									  period1_11_pr = MAX(dat.properties.\`1981-2010\`.std_date_span_month[10].env_climate_pr),
-									  period1_11_tas = MAX(dat.properties.\`1981-2010\`.std_date_span_month[10].env_climate_tas),
-									  period1_11_tasmax = MAX(dat.properties.\`1981-2010\`.std_date_span_month[10].env_climate_tasmax),
-									  period1_11_tasmin = MAX(dat.properties.\`1981-2010\`.std_date_span_month[10].env_climate_tasmin),
-									  period1_12_pr = MAX(dat.properties.\`1981-2010\`.std_date_span_month[11].env_climate_pr),
-									  period1_12_tas = MAX(dat.properties.\`1981-2010\`.std_date_span_month[11].env_climate_tas),
-									  period1_12_tasmax = MAX(dat.properties.\`1981-2010\`.std_date_span_month[11].env_climate_tasmax),
-									  period1_12_tasmin = MAX(dat.properties.\`1981-2010\`.std_date_span_month[11].env_climate_tasmin),
-									  period2_bio01 = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio01),
-									  period2_bio02 = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio02),
-									  period2_bio03 = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio03),
-									  period2_bio04 = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio04),
-									  period2_bio05 = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio05),
-									  period2_bio06 = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio06),
-									  period2_bio07 = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio07),
-									  period2_bio08 = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio08),
-									  period2_bio09 = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio09),
-									  period2_bio10 = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio10),
-									  period2_bio11 = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio11),
-									  period2_bio12 = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio12),
-									  period2_bio13 = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio13),
-									  period2_bio14 = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio14),
-									  period2_bio15 = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio15),
-									  period2_bio16 = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio16),
-									  period2_bio17 = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio17),
-									  period2_bio18 = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio18),
-									  period2_bio19 = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio19),
-									  period2_gdd0 = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gdd0),
-									  period2_gdd10 = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gdd10),
-									  period2_gdd5 = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gdd5),
-									  period2_gsl = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gsl),
-									  period2_gsp = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gsp),
-									  period2_gst = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gst),
-									  period2_ngd0 = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_ngd0),
-									  period2_ngd10 = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_ngd10),
-									  period2_ngd5 = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_ngd5),
-									  period2_npp = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_npp),
-									  period2_scd = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_scd),
-									  period2_01_pr = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_pr),
-									  period2_01_tas = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_tas),
-									  period2_01_tasmax = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_tasmax),
-									  period2_01_tasmin = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_tasmin),
-									  period2_02_pr = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_pr),
-									  period2_02_tas = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_tas),
-									  period2_02_tasmax = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_tasmax),
-									  period2_02_tasmin = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_tasmin),
-									  period2_03_pr = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_pr),
-									  period2_03_tas = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_tas),
-									  period2_03_tasmax = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_tasmax),
-									  period2_03_tasmin = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_tasmin),
-									  period2_04_pr = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_pr),
-									  period2_04_tas = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_tas),
-									  period2_04_tasmax = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_tasmax),
-									  period2_04_tasmin = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_tasmin),
-									  period2_05_pr = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_pr),
-									  period2_05_tas = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_tas),
-									  period2_05_tasmax = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_tasmax),
-									  period2_05_tasmin = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_tasmin),
-									  period2_06_pr = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_pr),
-									  period2_06_tas = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_tas),
-									  period2_06_tasmax = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_tasmax),
-									  period2_06_tasmin = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_tasmin),
-									  period2_07_pr = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_pr),
-									  period2_07_tas = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_tas),
-									  period2_07_tasmax = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_tasmax),
-									  period2_07_tasmin = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_tasmin),
-									  period2_08_pr = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_pr),
-									  period2_08_tas = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_tas),
-									  period2_08_tasmax = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_tasmax),
-									  period2_08_tasmin = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_tasmin),
-									  period2_09_pr = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_pr),
-									  period2_09_tas = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_tas),
-									  period2_09_tasmax = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_tasmax),
-									  period2_09_tasmin = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_tasmin),
-									  period2_10_pr = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_pr),
-									  period2_10_tas = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_tas),
-									  period2_10_tasmax = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_tasmax),
-									  period2_10_tasmin = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_tasmin),
-									  period2_11_pr = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_pr),
-									  period2_11_tas = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_tas),
-									  period2_11_tasmax = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_tasmax),
-									  period2_11_tasmin = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_tasmin),
-									  period2_12_pr = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_pr),
-									  period2_12_tas = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_tas),
-									  period2_12_tasmax = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_tasmax),
-									  period2_12_tasmin = MAX(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_tasmin),
-									  period3_bio01 = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio01),
-									  period3_bio02 = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio02),
-									  period3_bio03 = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio03),
-									  period3_bio04 = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio04),
-									  period3_bio05 = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio05),
-									  period3_bio06 = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio06),
-									  period3_bio07 = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio07),
-									  period3_bio08 = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio08),
-									  period3_bio09 = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio09),
-									  period3_bio10 = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio10),
-									  period3_bio11 = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio11),
-									  period3_bio12 = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio12),
-									  period3_bio13 = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio13),
-									  period3_bio14 = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio14),
-									  period3_bio15 = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio15),
-									  period3_bio16 = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio16),
-									  period3_bio17 = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio17),
-									  period3_bio18 = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio18),
-									  period3_bio19 = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio19),
-									  period3_gdd0 = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gdd0),
-									  period3_gdd10 = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gdd10),
-									  period3_gdd5 = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gdd5),
-									  period3_gsl = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gsl),
-									  period3_gsp = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gsp),
-									  period3_gst = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gst),
-									  period3_ngd0 = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_ngd0),
-									  period3_ngd10 = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_ngd10),
-									  period3_ngd5 = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_ngd5),
-									  period3_npp = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_npp),
-									  period3_scd = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_scd),
-									  period3_01_pr = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_pr),
-									  period3_01_tas = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_tas),
-									  period3_01_tasmax = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_tasmax),
-									  period3_01_tasmin = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_tasmin),
-									  period3_02_pr = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_pr),
-									  period3_02_tas = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_tas),
-									  period3_02_tasmax = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_tasmax),
-									  period3_02_tasmin = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_tasmin),
-									  period3_03_pr = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_pr),
-									  period3_03_tas = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_tas),
-									  period3_03_tasmax = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_tasmax),
-									  period3_03_tasmin = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_tasmin),
-									  period3_04_pr = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_pr),
-									  period3_04_tas = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_tas),
-									  period3_04_tasmax = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_tasmax),
-									  period3_04_tasmin = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_tasmin),
-									  period3_05_pr = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_pr),
-									  period3_05_tas = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_tas),
-									  period3_05_tasmax = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_tasmax),
-									  period3_05_tasmin = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_tasmin),
-									  period3_06_pr = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_pr),
-									  period3_06_tas = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_tas),
-									  period3_06_tasmax = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_tasmax),
-									  period3_06_tasmin = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_tasmin),
-									  period3_07_pr = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_pr),
-									  period3_07_tas = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_tas),
-									  period3_07_tasmax = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_tasmax),
-									  period3_07_tasmin = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_tasmin),
-									  period3_08_pr = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_pr),
-									  period3_08_tas = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_tas),
-									  period3_08_tasmax = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_tasmax),
-									  period3_08_tasmin = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_tasmin),
-									  period3_09_pr = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_pr),
-									  period3_09_tas = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_tas),
-									  period3_09_tasmax = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_tasmax),
-									  period3_09_tasmin = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_tasmin),
-									  period3_10_pr = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_pr),
-									  period3_10_tas = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_tas),
-									  period3_10_tasmax = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_tasmax),
-									  period3_10_tasmin = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_tasmin),
-									  period3_11_pr = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_pr),
-									  period3_11_tas = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_tas),
-									  period3_11_tasmax = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_tasmax),
-									  period3_11_tasmin = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_tasmin),
-									  period3_12_pr = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_pr),
-									  period3_12_tas = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_tas),
-									  period3_12_tasmax = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_tasmax),
-									  period3_12_tasmin = MAX(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_tasmin),
-									  period4_bio01 = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio01),
-									  period4_bio02 = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio02),
-									  period4_bio03 = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio03),
-									  period4_bio04 = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio04),
-									  period4_bio05 = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio05),
-									  period4_bio06 = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio06),
-									  period4_bio07 = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio07),
-									  period4_bio08 = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio08),
-									  period4_bio09 = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio09),
-									  period4_bio10 = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio10),
-									  period4_bio11 = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio11),
-									  period4_bio12 = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio12),
-									  period4_bio13 = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio13),
-									  period4_bio14 = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio14),
-									  period4_bio15 = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio15),
-									  period4_bio16 = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio16),
-									  period4_bio17 = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio17),
-									  period4_bio18 = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio18),
-									  period4_bio19 = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio19),
-									  period4_gdd0 = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gdd0),
-									  period4_gdd10 = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gdd10),
-									  period4_gdd5 = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gdd5),
-									  period4_gsl = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gsl),
-									  period4_gsp = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gsp),
-									  period4_gst = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gst),
-									  period4_ngd0 = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_ngd0),
-									  period4_ngd10 = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_ngd10),
-									  period4_ngd5 = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_ngd5),
-									  period4_npp = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_npp),
-									  period4_scd = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_scd),
-									  period4_01_pr = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_pr),
-									  period4_01_tas = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_tas),
-									  period4_01_tasmax = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_tasmax),
-									  period4_01_tasmin = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_tasmin),
-									  period4_02_pr = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_pr),
-									  period4_02_tas = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_tas),
-									  period4_02_tasmax = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_tasmax),
-									  period4_02_tasmin = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_tasmin),
-									  period4_03_pr = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_pr),
-									  period4_03_tas = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_tas),
-									  period4_03_tasmax = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_tasmax),
-									  period4_03_tasmin = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_tasmin),
-									  period4_04_pr = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_pr),
-									  period4_04_tas = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_tas),
-									  period4_04_tasmax = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_tasmax),
-									  period4_04_tasmin = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_tasmin),
-									  period4_05_pr = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_pr),
-									  period4_05_tas = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_tas),
-									  period4_05_tasmax = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_tasmax),
-									  period4_05_tasmin = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_tasmin),
-									  period4_06_pr = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_pr),
-									  period4_06_tas = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_tas),
-									  period4_06_tasmax = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_tasmax),
-									  period4_06_tasmin = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_tasmin),
-									  period4_07_pr = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_pr),
-									  period4_07_tas = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_tas),
-									  period4_07_tasmax = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_tasmax),
-									  period4_07_tasmin = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_tasmin),
-									  period4_08_pr = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_pr),
-									  period4_08_tas = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_tas),
-									  period4_08_tasmax = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_tasmax),
-									  period4_08_tasmin = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_tasmin),
-									  period4_09_pr = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_pr),
-									  period4_09_tas = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_tas),
-									  period4_09_tasmax = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_tasmax),
-									  period4_09_tasmin = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_tasmin),
-									  period4_10_pr = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_pr),
-									  period4_10_tas = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_tas),
-									  period4_10_tasmax = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_tasmax),
-									  period4_10_tasmin = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_tasmin),
-									  period4_11_pr = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_pr),
-									  period4_11_tas = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_tas),
-									  period4_11_tasmax = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_tasmax),
-									  period4_11_tasmin = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_tasmin),
-									  period4_12_pr = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_pr),
-									  period4_12_tas = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_tas),
-									  period4_12_tasmax = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_tasmax),
-									  period4_12_tasmin = MAX(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_tasmin)
-				RETURN {
-					count: count,
-					properties: {
-						\`1981-2010\`: {
-							env_climate_ai: period1_ai,
-							env_climate_bio01: period1_bio01,
-							env_climate_bio02: period1_bio02,
-							env_climate_bio03: period1_bio03,
-							env_climate_bio04: period1_bio04,
-							env_climate_bio05: period1_bio05,
-							env_climate_bio06: period1_bio06,
-							env_climate_bio07: period1_bio07,
-							env_climate_bio08: period1_bio08,
-							env_climate_bio09: period1_bio09,
-							env_climate_bio10: period1_bio10,
-							env_climate_bio11: period1_bio11,
-							env_climate_bio12: period1_bio12,
-							env_climate_bio13: period1_bio13,
-							env_climate_bio14: period1_bio14,
-							env_climate_bio15: period1_bio15,
-							env_climate_bio16: period1_bio16,
-							env_climate_bio17: period1_bio17,
-							env_climate_bio18: period1_bio18,
-							env_climate_bio19: period1_bio19,
-							env_climate_clt_max: period1_clt_max,
-							env_climate_clt_mean: period1_clt_mean,
-							env_climate_clt_min: period1_clt_min,
-							env_climate_clt_range: period1_clt_range,
-							env_climate_cmi_max: period1_cmi_max,
-							env_climate_cmi_mean: period1_cmi_mean,
-							env_climate_cmi_min: period1_cmi_min,
-							env_climate_cmi_range: period1_cmi_range,
-							env_climate_fcf: period1_fcf,
-							env_climate_fgd: period1_fgd,
-							env_climate_gdd0: period1_gdd0,
-							env_climate_gdd10: period1_gdd10,
-							env_climate_gdd5: period1_gdd5,
-							env_climate_gddlgd0: period1_gddlgd0,
-							env_climate_gddlgd10: period1_gddlgd10,
-							env_climate_gddlgd5: period1_gddlgd5,
-							env_climate_gdgfgd0: period1_gdgfgd0,
-							env_climate_gdgfgd10: period1_gdgfgd10,
-							env_climate_gdgfgd5: period1_gdgfgd5,
-							env_climate_gsl: period1_gsl,
-							env_climate_gsp: period1_gsp,
-							env_climate_gst: period1_gst,
-							env_climate_hurs_max: period1_hurs_max,
-							env_climate_hurs_mean: period1_hurs_mean,
-							env_climate_hurs_min: period1_hurs_min,
-							env_climate_hurs_range: period1_hurs_range,
-							env_climate_ngd0: period1_ngd0,
-							env_climate_ngd10: period1_ngd10,
-							env_climate_ngd5: period1_ngd5,
-							env_climate_npp: period1_npp,
-							env_climate_pet_penman_max: period1_pet_penman_max,
-							env_climate_pet_penman_mean: period1_pet_penman_mean,
-							env_climate_pet_penman_min: period1_pet_penman_min,
-							env_climate_pet_penman_range: period1_pet_penman_range,
-							env_climate_rsds_max: period1_rsds_max,
-							env_climate_rsds_mean: period1_rsds_mean,
-							env_climate_rsds_min: period1_rsds_min,
-							env_climate_rsds_range: period1_rsds_range,
-							env_climate_scd: period1_scd,
-							env_climate_sfcWind_max: period1_sfcWind_max,
-							env_climate_sfcWind_mean: period1_sfcWind_mean,
-							env_climate_sfcWind_min: period1_sfcWind_min,
-							env_climate_sfcWind_range: period1_sfcWind_range,
-							env_climate_swb: period1_swb,
-							env_climate_swe: period1_swe,
-							env_climate_vpd_max: period1_vpd_max,
-							env_climate_vpd_mean: period1_vpd_mean,
-							env_climate_vpd_min: period1_vpd_min,
-							env_climate_vpd_range: period1_vpd_range,
-							std_date_span_month: [
-								{
-									std_month: 1,
-									env_climate_pr: 	period1_01_pr,
-									env_climate_tas: 	period1_01_tas,
-									env_climate_tasmax: period1_01_tasmax,
-									env_climate_tasmin: period1_01_tasmin
-								},
-								{
-									std_month: 2,
-									env_climate_pr: 	period1_02_pr,
-									env_climate_tas: 	period1_02_tas,
-									env_climate_tasmax: period1_02_tasmax,
-									env_climate_tasmin: period1_02_tasmin
-								},
-								{
-									std_month: 3,
-									env_climate_pr: 	period1_03_pr,
-									env_climate_tas: 	period1_03_tas,
-									env_climate_tasmax: period1_03_tasmax,
-									env_climate_tasmin: period1_03_tasmin
-								},
-								{
-									std_month: 4,
-									env_climate_pr: 	period1_04_pr,
-									env_climate_tas: 	period1_04_tas,
-									env_climate_tasmax: period1_04_tasmax,
-									env_climate_tasmin: period1_04_tasmin
-								},
-								{
-									std_month: 5,
-									env_climate_pr: 	period1_05_pr,
-									env_climate_tas: 	period1_05_tas,
-									env_climate_tasmax: period1_05_tasmax,
-									env_climate_tasmin: period1_05_tasmin
-								},
-								{
-									std_month: 6,
-									env_climate_pr: 	period1_06_pr,
-									env_climate_tas: 	period1_06_tas,
-									env_climate_tasmax: period1_06_tasmax,
-									env_climate_tasmin: period1_06_tasmin
-								},
-								{
-									std_month: 7,
-									env_climate_pr: 	period1_07_pr,
-									env_climate_tas: 	period1_07_tas,
-									env_climate_tasmax: period1_07_tasmax,
-									env_climate_tasmin: period1_07_tasmin
-								},
-								{
-									std_month: 8,
-									env_climate_pr: 	period1_08_pr,
-									env_climate_tas: 	period1_08_tas,
-									env_climate_tasmax: period1_08_tasmax,
-									env_climate_tasmin: period1_08_tasmin
-								},
-								{
-									std_month: 9,
-									env_climate_pr: 	period1_09_pr,
-									env_climate_tas: 	period1_09_tas,
-									env_climate_tasmax: period1_09_tasmax,
-									env_climate_tasmin: period1_09_tasmin
-								},
-								{
-									std_month: 10,
-									env_climate_pr: 	period1_10_pr,
-									env_climate_tas: 	period1_10_tas,
-									env_climate_tasmax: period1_10_tasmax,
-									env_climate_tasmin: period1_10_tasmin
-								},
-								{
-									std_month: 11,
-									env_climate_pr: 	period1_11_pr,
-									env_climate_tas: 	period1_11_tas,
-									env_climate_tasmax: period1_11_tasmax,
-									env_climate_tasmin: period1_11_tasmin
-								},
-								{
-									std_month: 12,
-									env_climate_pr: 	period1_12_pr,
-									env_climate_tas: 	period1_12_tas,
-									env_climate_tasmax: period1_12_tasmax,
-									env_climate_tasmin: period1_12_tasmin
-								}
-							]
-						},
-						\`2011-2040\`: {
-							\`MPI-ESM1-2-HR\`: {
-								ssp370: {
-									env_climate_bio01: period2_bio01,
-									env_climate_bio02: period2_bio02,
-									env_climate_bio03: period2_bio03,
-									env_climate_bio04: period2_bio04,
-									env_climate_bio05: period2_bio05,
-									env_climate_bio06: period2_bio06,
-									env_climate_bio07: period2_bio07,
-									env_climate_bio08: period2_bio08,
-									env_climate_bio09: period2_bio09,
-									env_climate_bio10: period2_bio10,
-									env_climate_bio11: period2_bio11,
-									env_climate_bio12: period2_bio12,
-									env_climate_bio13: period2_bio13,
-									env_climate_bio14: period2_bio14,
-									env_climate_bio15: period2_bio15,
-									env_climate_bio16: period2_bio16,
-									env_climate_bio17: period2_bio17,
-									env_climate_bio18: period2_bio18,
-									env_climate_bio19: period2_bio19,
-									env_climate_gdd0: period2_gdd0,
-									env_climate_gdd10: period2_gdd10,
-									env_climate_gdd5: period2_gdd5,
-									env_climate_gsl: period2_gsl,
-									env_climate_gsp: period2_gsp,
-									env_climate_gst: period2_gst,
-									env_climate_ngd0: period2_ngd0,
-									env_climate_ngd10: period2_ngd10,
-									env_climate_ngd5: period2_ngd5,
-									env_climate_npp: period2_npp,
-									env_climate_scd: period2_scd,
-									std_date_span_month: [
-										{
-											std_month: 1,
-											env_climate_pr: 	period2_01_pr,
-											env_climate_tas: 	period2_01_tas,
-											env_climate_tasmax: period2_01_tasmax,
-											env_climate_tasmin: period2_01_tasmin
-										},
-										{
-											std_month: 2,
-											env_climate_pr: 	period2_02_pr,
-											env_climate_tas: 	period2_02_tas,
-											env_climate_tasmax: period2_02_tasmax,
-											env_climate_tasmin: period2_02_tasmin
-										},
-										{
-											std_month: 3,
-											env_climate_pr: 	period2_03_pr,
-											env_climate_tas: 	period2_03_tas,
-											env_climate_tasmax: period2_03_tasmax,
-											env_climate_tasmin: period2_03_tasmin
-										},
-										{
-											std_month: 4,
-											env_climate_pr: 	period2_04_pr,
-											env_climate_tas: 	period2_04_tas,
-											env_climate_tasmax: period2_04_tasmax,
-											env_climate_tasmin: period2_04_tasmin
-										},
-										{
-											std_month: 5,
-											env_climate_pr: 	period2_05_pr,
-											env_climate_tas: 	period2_05_tas,
-											env_climate_tasmax: period2_05_tasmax,
-											env_climate_tasmin: period2_05_tasmin
-										},
-										{
-											std_month: 6,
-											env_climate_pr: 	period2_06_pr,
-											env_climate_tas: 	period2_06_tas,
-											env_climate_tasmax: period2_06_tasmax,
-											env_climate_tasmin: period2_06_tasmin
-										},
-										{
-											std_month: 7,
-											env_climate_pr: 	period2_07_pr,
-											env_climate_tas: 	period2_07_tas,
-											env_climate_tasmax: period2_07_tasmax,
-											env_climate_tasmin: period2_07_tasmin
-										},
-										{
-											std_month: 8,
-											env_climate_pr: 	period2_08_pr,
-											env_climate_tas: 	period2_08_tas,
-											env_climate_tasmax: period2_08_tasmax,
-											env_climate_tasmin: period2_08_tasmin
-										},
-										{
-											std_month: 9,
-											env_climate_pr: 	period2_09_pr,
-											env_climate_tas: 	period2_09_tas,
-											env_climate_tasmax: period2_09_tasmax,
-											env_climate_tasmin: period2_09_tasmin
-										},
-										{
-											std_month: 10,
-											env_climate_pr: 	period2_10_pr,
-											env_climate_tas: 	period2_10_tas,
-											env_climate_tasmax: period2_10_tasmax,
-											env_climate_tasmin: period2_10_tasmin
-										},
-										{
-											std_month: 11,
-											env_climate_pr: 	period2_11_pr,
-											env_climate_tas: 	period2_11_tas,
-											env_climate_tasmax: period2_11_tasmax,
-											env_climate_tasmin: period2_11_tasmin
-										},
-										{
-											std_month: 12,
-											env_climate_pr: 	period2_12_pr,
-											env_climate_tas: 	period2_12_tas,
-											env_climate_tasmax: period2_12_tasmax,
-											env_climate_tasmin: period2_12_tasmin
-										}
-									]
-								}
-							}
-						},
-						\`2041-2070\`: {
-							\`MPI-ESM1-2-HR\`: {
-								ssp370: {
-									env_climate_bio01: period3_bio01,
-									env_climate_bio02: period3_bio02,
-									env_climate_bio03: period3_bio03,
-									env_climate_bio04: period3_bio04,
-									env_climate_bio05: period3_bio05,
-									env_climate_bio06: period3_bio06,
-									env_climate_bio07: period3_bio07,
-									env_climate_bio08: period3_bio08,
-									env_climate_bio09: period3_bio09,
-									env_climate_bio10: period3_bio10,
-									env_climate_bio11: period3_bio11,
-									env_climate_bio12: period3_bio12,
-									env_climate_bio13: period3_bio13,
-									env_climate_bio14: period3_bio14,
-									env_climate_bio15: period3_bio15,
-									env_climate_bio16: period3_bio16,
-									env_climate_bio17: period3_bio17,
-									env_climate_bio18: period3_bio18,
-									env_climate_bio19: period3_bio19,
-									env_climate_gdd0: period3_gdd0,
-									env_climate_gdd10: period3_gdd10,
-									env_climate_gdd5: period3_gdd5,
-									env_climate_gsl: period3_gsl,
-									env_climate_gsp: period3_gsp,
-									env_climate_gst: period3_gst,
-									env_climate_ngd0: period3_ngd0,
-									env_climate_ngd10: period3_ngd10,
-									env_climate_ngd5: period3_ngd5,
-									env_climate_npp: period3_npp,
-									env_climate_scd: period3_scd,
-									std_date_span_month: [
-										{
-											std_month: 1,
-											env_climate_pr: 	period3_01_pr,
-											env_climate_tas: 	period3_01_tas,
-											env_climate_tasmax: period3_01_tasmax,
-											env_climate_tasmin: period3_01_tasmin
-										},
-										{
-											std_month: 2,
-											env_climate_pr: 	period3_02_pr,
-											env_climate_tas: 	period3_02_tas,
-											env_climate_tasmax: period3_02_tasmax,
-											env_climate_tasmin: period3_02_tasmin
-										},
-										{
-											std_month: 3,
-											env_climate_pr: 	period3_03_pr,
-											env_climate_tas: 	period3_03_tas,
-											env_climate_tasmax: period3_03_tasmax,
-											env_climate_tasmin: period3_03_tasmin
-										},
-										{
-											std_month: 4,
-											env_climate_pr: 	period3_04_pr,
-											env_climate_tas: 	period3_04_tas,
-											env_climate_tasmax: period3_04_tasmax,
-											env_climate_tasmin: period3_04_tasmin
-										},
-										{
-											std_month: 5,
-											env_climate_pr: 	period3_05_pr,
-											env_climate_tas: 	period3_05_tas,
-											env_climate_tasmax: period3_05_tasmax,
-											env_climate_tasmin: period3_05_tasmin
-										},
-										{
-											std_month: 6,
-											env_climate_pr: 	period3_06_pr,
-											env_climate_tas: 	period3_06_tas,
-											env_climate_tasmax: period3_06_tasmax,
-											env_climate_tasmin: period3_06_tasmin
-										},
-										{
-											std_month: 7,
-											env_climate_pr: 	period3_07_pr,
-											env_climate_tas: 	period3_07_tas,
-											env_climate_tasmax: period3_07_tasmax,
-											env_climate_tasmin: period3_07_tasmin
-										},
-										{
-											std_month: 8,
-											env_climate_pr: 	period3_08_pr,
-											env_climate_tas: 	period3_08_tas,
-											env_climate_tasmax: period3_08_tasmax,
-											env_climate_tasmin: period3_08_tasmin
-										},
-										{
-											std_month: 9,
-											env_climate_pr: 	period3_09_pr,
-											env_climate_tas: 	period3_09_tas,
-											env_climate_tasmax: period3_09_tasmax,
-											env_climate_tasmin: period3_09_tasmin
-										},
-										{
-											std_month: 10,
-											env_climate_pr: 	period3_10_pr,
-											env_climate_tas: 	period3_10_tas,
-											env_climate_tasmax: period3_10_tasmax,
-											env_climate_tasmin: period3_10_tasmin
-										},
-										{
-											std_month: 11,
-											env_climate_pr: 	period3_11_pr,
-											env_climate_tas: 	period3_11_tas,
-											env_climate_tasmax: period3_11_tasmax,
-											env_climate_tasmin: period3_11_tasmin
-										},
-										{
-											std_month: 12,
-											env_climate_pr: 	period3_12_pr,
-											env_climate_tas: 	period3_12_tas,
-											env_climate_tasmax: period3_12_tasmax,
-											env_climate_tasmin: period3_12_tasmin
-										}
-									]
-								}
-							}
-						},
-						\`2071-2100\`: {
-							\`MPI-ESM1-2-HR\`: {
-								ssp370: {
-									env_climate_bio01: period4_bio01,
-									env_climate_bio02: period4_bio02,
-									env_climate_bio03: period4_bio03,
-									env_climate_bio04: period4_bio04,
-									env_climate_bio05: period4_bio05,
-									env_climate_bio06: period4_bio06,
-									env_climate_bio07: period4_bio07,
-									env_climate_bio08: period4_bio08,
-									env_climate_bio09: period4_bio09,
-									env_climate_bio10: period4_bio10,
-									env_climate_bio11: period4_bio11,
-									env_climate_bio12: period4_bio12,
-									env_climate_bio13: period4_bio13,
-									env_climate_bio14: period4_bio14,
-									env_climate_bio15: period4_bio15,
-									env_climate_bio16: period4_bio16,
-									env_climate_bio17: period4_bio17,
-									env_climate_bio18: period4_bio18,
-									env_climate_bio19: period4_bio19,
-									env_climate_gdd0: period4_gdd0,
-									env_climate_gdd10: period4_gdd10,
-									env_climate_gdd5: period4_gdd5,
-									env_climate_gsl: period4_gsl,
-									env_climate_gsp: period4_gsp,
-									env_climate_gst: period4_gst,
-									env_climate_ngd0: period4_ngd0,
-									env_climate_ngd10: period4_ngd10,
-									env_climate_ngd5: period4_ngd5,
-									env_climate_npp: period4_npp,
-									env_climate_scd: period4_scd,
-									std_date_span_month: [
-										{
-											std_month: 1,
-											env_climate_pr: 	period4_01_pr,
-											env_climate_tas: 	period4_01_tas,
-											env_climate_tasmax: period4_01_tasmax,
-											env_climate_tasmin: period4_01_tasmin
-										},
-										{
-											std_month: 2,
-											env_climate_pr: 	period4_02_pr,
-											env_climate_tas: 	period4_02_tas,
-											env_climate_tasmax: period4_02_tasmax,
-											env_climate_tasmin: period4_02_tasmin
-										},
-										{
-											std_month: 3,
-											env_climate_pr: 	period4_03_pr,
-											env_climate_tas: 	period4_03_tas,
-											env_climate_tasmax: period4_03_tasmax,
-											env_climate_tasmin: period4_03_tasmin
-										},
-										{
-											std_month: 4,
-											env_climate_pr: 	period4_04_pr,
-											env_climate_tas: 	period4_04_tas,
-											env_climate_tasmax: period4_04_tasmax,
-											env_climate_tasmin: period4_04_tasmin
-										},
-										{
-											std_month: 5,
-											env_climate_pr: 	period4_05_pr,
-											env_climate_tas: 	period4_05_tas,
-											env_climate_tasmax: period4_05_tasmax,
-											env_climate_tasmin: period4_05_tasmin
-										},
-										{
-											std_month: 6,
-											env_climate_pr: 	period4_06_pr,
-											env_climate_tas: 	period4_06_tas,
-											env_climate_tasmax: period4_06_tasmax,
-											env_climate_tasmin: period4_06_tasmin
-										},
-										{
-											std_month: 7,
-											env_climate_pr: 	period4_07_pr,
-											env_climate_tas: 	period4_07_tas,
-											env_climate_tasmax: period4_07_tasmax,
-											env_climate_tasmin: period4_07_tasmin
-										},
-										{
-											std_month: 8,
-											env_climate_pr: 	period4_08_pr,
-											env_climate_tas: 	period4_08_tas,
-											env_climate_tasmax: period4_08_tasmax,
-											env_climate_tasmin: period4_08_tasmin
-										},
-										{
-											std_month: 9,
-											env_climate_pr: 	period4_09_pr,
-											env_climate_tas: 	period4_09_tas,
-											env_climate_tasmax: period4_09_tasmax,
-											env_climate_tasmin: period4_09_tasmin
-										},
-										{
-											std_month: 10,
-											env_climate_pr: 	period4_10_pr,
-											env_climate_tas: 	period4_10_tas,
-											env_climate_tasmax: period4_10_tasmax,
-											env_climate_tasmin: period4_10_tasmin
-										},
-										{
-											std_month: 11,
-											env_climate_pr: 	period4_11_pr,
-											env_climate_tas: 	period4_11_tas,
-											env_climate_tasmax: period4_11_tasmax,
-											env_climate_tasmin: period4_11_tasmin
-										},
-										{
-											std_month: 12,
-											env_climate_pr: 	period4_12_pr,
-											env_climate_tas: 	period4_12_tas,
-											env_climate_tasmax: period4_12_tasmax,
-											env_climate_tasmin: period4_12_tasmin
-										}
-									]
-								}
-							}
-						}
-					}
-				}
-			`
-			break
+} // ChelsaDeltaContainsAQL()
 
-		///
-		// Return selection standard deviation.
-		///
-		case 'STD':
-			query = aql`
-				FOR dat IN ${theCollection}
-					FILTER GEO_INTERSECTS(${theGeometry}, dat.geometry_bounds)
-					COLLECT AGGREGATE count = COUNT(),
-									  period1_ai = STDDEV(dat.properties.\`1981-2010\`.env_climate_ai),
-									  period1_bio01 = STDDEV(dat.properties.\`1981-2010\`.env_climate_bio01),
-									  period1_bio02 = STDDEV(dat.properties.\`1981-2010\`.env_climate_bio02),
-									  period1_bio03 = STDDEV(dat.properties.\`1981-2010\`.env_climate_bio03),
-									  period1_bio04 = STDDEV(dat.properties.\`1981-2010\`.env_climate_bio04),
-									  period1_bio05 = STDDEV(dat.properties.\`1981-2010\`.env_climate_bio05),
-									  period1_bio06 = STDDEV(dat.properties.\`1981-2010\`.env_climate_bio06),
-									  period1_bio07 = STDDEV(dat.properties.\`1981-2010\`.env_climate_bio07),
-									  period1_bio08 = STDDEV(dat.properties.\`1981-2010\`.env_climate_bio08),
-									  period1_bio09 = STDDEV(dat.properties.\`1981-2010\`.env_climate_bio09),
-									  period1_bio10 = STDDEV(dat.properties.\`1981-2010\`.env_climate_bio10),
-									  period1_bio11 = STDDEV(dat.properties.\`1981-2010\`.env_climate_bio11),
-									  period1_bio12 = STDDEV(dat.properties.\`1981-2010\`.env_climate_bio12),
-									  period1_bio13 = STDDEV(dat.properties.\`1981-2010\`.env_climate_bio13),
-									  period1_bio14 = STDDEV(dat.properties.\`1981-2010\`.env_climate_bio14),
-									  period1_bio15 = STDDEV(dat.properties.\`1981-2010\`.env_climate_bio15),
-									  period1_bio16 = STDDEV(dat.properties.\`1981-2010\`.env_climate_bio16),
-									  period1_bio17 = STDDEV(dat.properties.\`1981-2010\`.env_climate_bio17),
-									  period1_bio18 = STDDEV(dat.properties.\`1981-2010\`.env_climate_bio18),
-									  period1_bio19 = STDDEV(dat.properties.\`1981-2010\`.env_climate_bio19),
-									  period1_clt_max = STDDEV(dat.properties.\`1981-2010\`.env_climate_clt_max),
-									  period1_clt_mean = STDDEV(dat.properties.\`1981-2010\`.env_climate_clt_mean),
-									  period1_clt_min = STDDEV(dat.properties.\`1981-2010\`.env_climate_clt_min),
-									  period1_clt_range = STDDEV(dat.properties.\`1981-2010\`.env_climate_clt_range),
-									  period1_cmi_max = STDDEV(dat.properties.\`1981-2010\`.env_climate_cmi_max),
-									  period1_cmi_mean = STDDEV(dat.properties.\`1981-2010\`.env_climate_cmi_mean),
-									  period1_cmi_min = STDDEV(dat.properties.\`1981-2010\`.env_climate_cmi_min),
-									  period1_cmi_range = STDDEV(dat.properties.\`1981-2010\`.env_climate_cmi_range),
-									  period1_fcf =  STDDEV(dat.properties.\`1981-2010\`.env_climate_fcf),
-									  period1_fgd =  STDDEV(dat.properties.\`1981-2010\`.env_climate_fgd),
-									  period1_gdd0 =  STDDEV(dat.properties.\`1981-2010\`.env_climate_gdd0),
-									  period1_gdd10 = STDDEV(dat.properties.\`1981-2010\`.env_climate_gdd10),
-									  period1_gdd5 = STDDEV(dat.properties.\`1981-2010\`.env_climate_gdd5),
-									  period1_gddlgd0 = STDDEV(dat.properties.\`1981-2010\`.env_climate_gddlgd0),
-									  period1_gddlgd10 = STDDEV(dat.properties.\`1981-2010\`.env_climate_gddlgd10),
-									  period1_gddlgd5 = STDDEV(dat.properties.\`1981-2010\`.env_climate_gddlgd5),
-									  period1_gdgfgd0 = STDDEV(dat.properties.\`1981-2010\`.env_climate_gdgfgd0),
-									  period1_gdgfgd10 = STDDEV(dat.properties.\`1981-2010\`.env_climate_gdgfgd10),
-									  period1_gdgfgd5 = STDDEV(dat.properties.\`1981-2010\`.env_climate_gdgfgd5),
-									  period1_gsl = STDDEV(dat.properties.\`1981-2010\`.env_climate_gsl),
-									  period1_gsp = STDDEV(dat.properties.\`1981-2010\`.env_climate_gsp),
-									  period1_gst = STDDEV(dat.properties.\`1981-2010\`.env_climate_gst),
-									  period1_hurs_max = STDDEV(dat.properties.\`1981-2010\`.env_climate_hurs_max),
-									  period1_hurs_mean = STDDEV(dat.properties.\`1981-2010\`.env_climate_hurs_mean),
-									  period1_hurs_min = STDDEV(dat.properties.\`1981-2010\`.env_climate_hurs_min),
-									  period1_hurs_range = STDDEV(dat.properties.\`1981-2010\`.env_climate_hurs_range),
-									  period1_ngd0 = STDDEV(dat.properties.\`1981-2010\`.env_climate_ngd0),
-									  period1_ngd10 = STDDEV(dat.properties.\`1981-2010\`.env_climate_ngd10),
-									  period1_ngd5 = STDDEV(dat.properties.\`1981-2010\`.env_climate_ngd5),
-									  period1_npp = STDDEV(dat.properties.\`1981-2010\`.env_climate_npp),
-									  period1_pet_penman_max = STDDEV(dat.properties.\`1981-2010\`.env_climate_pet_penman_max),
-									  period1_pet_penman_mean = STDDEV(dat.properties.\`1981-2010\`.env_climate_pet_penman_mean),
-									  period1_pet_penman_min = STDDEV(dat.properties.\`1981-2010\`.env_climate_pet_penman_min),
-									  period1_pet_penman_range = STDDEV(dat.properties.\`1981-2010\`.env_climate_pet_penman_range),
-									  period1_rsds_max = STDDEV(dat.properties.\`1981-2010\`.env_climate_rsds_max),
-									  period1_rsds_mean = STDDEV(dat.properties.\`1981-2010\`.env_climate_rsds_mean),
-									  period1_rsds_min = STDDEV(dat.properties.\`1981-2010\`.env_climate_rsds_min),
-									  period1_rsds_range = STDDEV(dat.properties.\`1981-2010\`.env_climate_rsds_range),
-									  period1_scd = STDDEV(dat.properties.\`1981-2010\`.env_climate_scd),
-									  period1_sfcWind_max = STDDEV(dat.properties.\`1981-2010\`.env_climate_sfcWind_max),
-									  period1_sfcWind_mean = STDDEV(dat.properties.\`1981-2010\`.env_climate_sfcWind_mean),
-									  period1_sfcWind_min = STDDEV(dat.properties.\`1981-2010\`.env_climate_sfcWind_min),
-									  period1_sfcWind_range = STDDEV(dat.properties.\`1981-2010\`.env_climate_sfcWind_range),
-									  period1_swb = STDDEV(dat.properties.\`1981-2010\`.env_climate_swb),
-									  period1_swe = STDDEV(dat.properties.\`1981-2010\`.env_climate_swe),
-									  period1_vpd_max = STDDEV(dat.properties.\`1981-2010\`.env_climate_vpd_max),
-									  period1_vpd_mean = STDDEV(dat.properties.\`1981-2010\`.env_climate_vpd_mean),
-									  period1_vpd_min = STDDEV(dat.properties.\`1981-2010\`.env_climate_vpd_min),
-									  period1_vpd_range = STDDEV(dat.properties.\`1981-2010\`.env_climate_vpd_range),
-									  period1_01_pr = STDDEV(dat.properties.\`1981-2010\`.std_date_span_month[0].env_climate_pr),
-									  period1_01_tas = STDDEV(dat.properties.\`1981-2010\`.std_date_span_month[0].env_climate_tas),
-									  period1_01_tasmax = STDDEV(dat.properties.\`1981-2010\`.std_date_span_month[0].env_climate_tasmax),
-									  period1_01_tasmin = STDDEV(dat.properties.\`1981-2010\`.std_date_span_month[0].env_climate_tasmin),
-									  period1_02_pr = STDDEV(dat.properties.\`1981-2010\`.std_date_span_month[1].env_climate_pr),
-									  period1_02_tas = STDDEV(dat.properties.\`1981-2010\`.std_date_span_month[1].env_climate_tas),
-									  period1_02_tasmax = STDDEV(dat.properties.\`1981-2010\`.std_date_span_month[1].env_climate_tasmax),
-									  period1_02_tasmin = STDDEV(dat.properties.\`1981-2010\`.std_date_span_month[1].env_climate_tasmin),
-									  period1_03_pr = STDDEV(dat.properties.\`1981-2010\`.std_date_span_month[2].env_climate_pr),
-									  period1_03_tas = STDDEV(dat.properties.\`1981-2010\`.std_date_span_month[2].env_climate_tas),
-									  period1_03_tasmax = STDDEV(dat.properties.\`1981-2010\`.std_date_span_month[2].env_climate_tasmax),
-									  period1_03_tasmin = STDDEV(dat.properties.\`1981-2010\`.std_date_span_month[2].env_climate_tasmin),
-									  period1_04_pr = STDDEV(dat.properties.\`1981-2010\`.std_date_span_month[3].env_climate_pr),
-									  period1_04_tas = STDDEV(dat.properties.\`1981-2010\`.std_date_span_month[3].env_climate_tas),
-									  period1_04_tasmax = STDDEV(dat.properties.\`1981-2010\`.std_date_span_month[3].env_climate_tasmax),
-									  period1_04_tasmin = STDDEV(dat.properties.\`1981-2010\`.std_date_span_month[3].env_climate_tasmin),
-									  period1_05_pr = STDDEV(dat.properties.\`1981-2010\`.std_date_span_month[4].env_climate_pr),
-									  period1_05_tas = STDDEV(dat.properties.\`1981-2010\`.std_date_span_month[4].env_climate_tas),
-									  period1_05_tasmax = STDDEV(dat.properties.\`1981-2010\`.std_date_span_month[4].env_climate_tasmax),
-									  period1_05_tasmin = STDDEV(dat.properties.\`1981-2010\`.std_date_span_month[4].env_climate_tasmin),
-									  period1_06_pr = STDDEV(dat.properties.\`1981-2010\`.std_date_span_month[5].env_climate_pr),
-									  period1_06_tas = STDDEV(dat.properties.\`1981-2010\`.std_date_span_month[5].env_climate_tas),
-									  period1_06_tasmax = STDDEV(dat.properties.\`1981-2010\`.std_date_span_month[5].env_climate_tasmax),
-									  period1_06_tasmin = STDDEV(dat.properties.\`1981-2010\`.std_date_span_month[5].env_climate_tasmin),
-									  period1_07_pr = STDDEV(dat.properties.\`1981-2010\`.std_date_span_month[6].env_climate_pr),
-									  period1_07_tas = STDDEV(dat.properties.\`1981-2010\`.std_date_span_month[6].env_climate_tas),
-									  period1_07_tasmax = STDDEV(dat.properties.\`1981-2010\`.std_date_span_month[6].env_climate_tasmax),
-									  period1_07_tasmin = STDDEV(dat.properties.\`1981-2010\`.std_date_span_month[6].env_climate_tasmin),
-									  period1_08_pr = STDDEV(dat.properties.\`1981-2010\`.std_date_span_month[7].env_climate_pr),
-									  period1_08_tas = STDDEV(dat.properties.\`1981-2010\`.std_date_span_month[7].env_climate_tas),
-									  period1_08_tasmax = STDDEV(dat.properties.\`1981-2010\`.std_date_span_month[7].env_climate_tasmax),
-									  period1_08_tasmin = STDDEV(dat.properties.\`1981-2010\`.std_date_span_month[7].env_climate_tasmin),
-									  period1_09_pr = STDDEV(dat.properties.\`1981-2010\`.std_date_span_month[8].env_climate_pr),
-									  period1_09_tas = STDDEV(dat.properties.\`1981-2010\`.std_date_span_month[8].env_climate_tas),
-									  period1_09_tasmax = STDDEV(dat.properties.\`1981-2010\`.std_date_span_month[8].env_climate_tasmax),
-									  period1_09_tasmin = STDDEV(dat.properties.\`1981-2010\`.std_date_span_month[8].env_climate_tasmin),
-									  period1_10_pr = STDDEV(dat.properties.\`1981-2010\`.std_date_span_month[9].env_climate_pr),
-									  period1_10_tas = STDDEV(dat.properties.\`1981-2010\`.std_date_span_month[9].env_climate_tas),
-									  period1_10_tasmax = STDDEV(dat.properties.\`1981-2010\`.std_date_span_month[9].env_climate_tasmax),
-									  period1_10_tasmin = STDDEV(dat.properties.\`1981-2010\`.std_date_span_month[9].env_climate_tasmin),
-									  period1_11_pr = STDDEV(dat.properties.\`1981-2010\`.std_date_span_month[10].env_climate_pr),
-									  period1_11_tas = STDDEV(dat.properties.\`1981-2010\`.std_date_span_month[10].env_climate_tas),
-									  period1_11_tasmax = STDDEV(dat.properties.\`1981-2010\`.std_date_span_month[10].env_climate_tasmax),
-									  period1_11_tasmin = STDDEV(dat.properties.\`1981-2010\`.std_date_span_month[10].env_climate_tasmin),
-									  period1_12_pr = STDDEV(dat.properties.\`1981-2010\`.std_date_span_month[11].env_climate_pr),
-									  period1_12_tas = STDDEV(dat.properties.\`1981-2010\`.std_date_span_month[11].env_climate_tas),
-									  period1_12_tasmax = STDDEV(dat.properties.\`1981-2010\`.std_date_span_month[11].env_climate_tasmax),
-									  period1_12_tasmin = STDDEV(dat.properties.\`1981-2010\`.std_date_span_month[11].env_climate_tasmin),
-									  period2_bio01 = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio01),
-									  period2_bio02 = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio02),
-									  period2_bio03 = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio03),
-									  period2_bio04 = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio04),
-									  period2_bio05 = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio05),
-									  period2_bio06 = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio06),
-									  period2_bio07 = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio07),
-									  period2_bio08 = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio08),
-									  period2_bio09 = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio09),
-									  period2_bio10 = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio10),
-									  period2_bio11 = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio11),
-									  period2_bio12 = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio12),
-									  period2_bio13 = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio13),
-									  period2_bio14 = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio14),
-									  period2_bio15 = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio15),
-									  period2_bio16 = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio16),
-									  period2_bio17 = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio17),
-									  period2_bio18 = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio18),
-									  period2_bio19 = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio19),
-									  period2_gdd0 = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gdd0),
-									  period2_gdd10 = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gdd10),
-									  period2_gdd5 = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gdd5),
-									  period2_gsl = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gsl),
-									  period2_gsp = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gsp),
-									  period2_gst = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gst),
-									  period2_ngd0 = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_ngd0),
-									  period2_ngd10 = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_ngd10),
-									  period2_ngd5 = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_ngd5),
-									  period2_npp = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_npp),
-									  period2_scd = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_scd),
-									  period2_01_pr = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_pr),
-									  period2_01_tas = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_tas),
-									  period2_01_tasmax = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_tasmax),
-									  period2_01_tasmin = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_tasmin),
-									  period2_02_pr = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_pr),
-									  period2_02_tas = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_tas),
-									  period2_02_tasmax = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_tasmax),
-									  period2_02_tasmin = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_tasmin),
-									  period2_03_pr = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_pr),
-									  period2_03_tas = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_tas),
-									  period2_03_tasmax = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_tasmax),
-									  period2_03_tasmin = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_tasmin),
-									  period2_04_pr = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_pr),
-									  period2_04_tas = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_tas),
-									  period2_04_tasmax = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_tasmax),
-									  period2_04_tasmin = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_tasmin),
-									  period2_05_pr = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_pr),
-									  period2_05_tas = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_tas),
-									  period2_05_tasmax = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_tasmax),
-									  period2_05_tasmin = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_tasmin),
-									  period2_06_pr = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_pr),
-									  period2_06_tas = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_tas),
-									  period2_06_tasmax = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_tasmax),
-									  period2_06_tasmin = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_tasmin),
-									  period2_07_pr = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_pr),
-									  period2_07_tas = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_tas),
-									  period2_07_tasmax = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_tasmax),
-									  period2_07_tasmin = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_tasmin),
-									  period2_08_pr = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_pr),
-									  period2_08_tas = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_tas),
-									  period2_08_tasmax = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_tasmax),
-									  period2_08_tasmin = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_tasmin),
-									  period2_09_pr = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_pr),
-									  period2_09_tas = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_tas),
-									  period2_09_tasmax = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_tasmax),
-									  period2_09_tasmin = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_tasmin),
-									  period2_10_pr = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_pr),
-									  period2_10_tas = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_tas),
-									  period2_10_tasmax = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_tasmax),
-									  period2_10_tasmin = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_tasmin),
-									  period2_11_pr = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_pr),
-									  period2_11_tas = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_tas),
-									  period2_11_tasmax = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_tasmax),
-									  period2_11_tasmin = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_tasmin),
-									  period2_12_pr = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_pr),
-									  period2_12_tas = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_tas),
-									  period2_12_tasmax = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_tasmax),
-									  period2_12_tasmin = STDDEV(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_tasmin),
-									  period3_bio01 = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio01),
-									  period3_bio02 = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio02),
-									  period3_bio03 = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio03),
-									  period3_bio04 = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio04),
-									  period3_bio05 = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio05),
-									  period3_bio06 = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio06),
-									  period3_bio07 = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio07),
-									  period3_bio08 = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio08),
-									  period3_bio09 = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio09),
-									  period3_bio10 = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio10),
-									  period3_bio11 = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio11),
-									  period3_bio12 = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio12),
-									  period3_bio13 = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio13),
-									  period3_bio14 = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio14),
-									  period3_bio15 = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio15),
-									  period3_bio16 = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio16),
-									  period3_bio17 = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio17),
-									  period3_bio18 = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio18),
-									  period3_bio19 = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio19),
-									  period3_gdd0 = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gdd0),
-									  period3_gdd10 = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gdd10),
-									  period3_gdd5 = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gdd5),
-									  period3_gsl = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gsl),
-									  period3_gsp = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gsp),
-									  period3_gst = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gst),
-									  period3_ngd0 = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_ngd0),
-									  period3_ngd10 = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_ngd10),
-									  period3_ngd5 = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_ngd5),
-									  period3_npp = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_npp),
-									  period3_scd = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_scd),
-									  period3_01_pr = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_pr),
-									  period3_01_tas = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_tas),
-									  period3_01_tasmax = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_tasmax),
-									  period3_01_tasmin = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_tasmin),
-									  period3_02_pr = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_pr),
-									  period3_02_tas = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_tas),
-									  period3_02_tasmax = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_tasmax),
-									  period3_02_tasmin = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_tasmin),
-									  period3_03_pr = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_pr),
-									  period3_03_tas = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_tas),
-									  period3_03_tasmax = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_tasmax),
-									  period3_03_tasmin = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_tasmin),
-									  period3_04_pr = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_pr),
-									  period3_04_tas = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_tas),
-									  period3_04_tasmax = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_tasmax),
-									  period3_04_tasmin = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_tasmin),
-									  period3_05_pr = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_pr),
-									  period3_05_tas = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_tas),
-									  period3_05_tasmax = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_tasmax),
-									  period3_05_tasmin = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_tasmin),
-									  period3_06_pr = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_pr),
-									  period3_06_tas = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_tas),
-									  period3_06_tasmax = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_tasmax),
-									  period3_06_tasmin = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_tasmin),
-									  period3_07_pr = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_pr),
-									  period3_07_tas = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_tas),
-									  period3_07_tasmax = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_tasmax),
-									  period3_07_tasmin = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_tasmin),
-									  period3_08_pr = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_pr),
-									  period3_08_tas = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_tas),
-									  period3_08_tasmax = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_tasmax),
-									  period3_08_tasmin = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_tasmin),
-									  period3_09_pr = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_pr),
-									  period3_09_tas = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_tas),
-									  period3_09_tasmax = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_tasmax),
-									  period3_09_tasmin = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_tasmin),
-									  period3_10_pr = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_pr),
-									  period3_10_tas = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_tas),
-									  period3_10_tasmax = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_tasmax),
-									  period3_10_tasmin = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_tasmin),
-									  period3_11_pr = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_pr),
-									  period3_11_tas = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_tas),
-									  period3_11_tasmax = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_tasmax),
-									  period3_11_tasmin = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_tasmin),
-									  period3_12_pr = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_pr),
-									  period3_12_tas = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_tas),
-									  period3_12_tasmax = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_tasmax),
-									  period3_12_tasmin = STDDEV(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_tasmin),
-									  period4_bio01 = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio01),
-									  period4_bio02 = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio02),
-									  period4_bio03 = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio03),
-									  period4_bio04 = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio04),
-									  period4_bio05 = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio05),
-									  period4_bio06 = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio06),
-									  period4_bio07 = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio07),
-									  period4_bio08 = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio08),
-									  period4_bio09 = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio09),
-									  period4_bio10 = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio10),
-									  period4_bio11 = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio11),
-									  period4_bio12 = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio12),
-									  period4_bio13 = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio13),
-									  period4_bio14 = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio14),
-									  period4_bio15 = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio15),
-									  period4_bio16 = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio16),
-									  period4_bio17 = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio17),
-									  period4_bio18 = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio18),
-									  period4_bio19 = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio19),
-									  period4_gdd0 = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gdd0),
-									  period4_gdd10 = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gdd10),
-									  period4_gdd5 = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gdd5),
-									  period4_gsl = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gsl),
-									  period4_gsp = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gsp),
-									  period4_gst = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gst),
-									  period4_ngd0 = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_ngd0),
-									  period4_ngd10 = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_ngd10),
-									  period4_ngd5 = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_ngd5),
-									  period4_npp = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_npp),
-									  period4_scd = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_scd),
-									  period4_01_pr = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_pr),
-									  period4_01_tas = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_tas),
-									  period4_01_tasmax = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_tasmax),
-									  period4_01_tasmin = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_tasmin),
-									  period4_02_pr = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_pr),
-									  period4_02_tas = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_tas),
-									  period4_02_tasmax = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_tasmax),
-									  period4_02_tasmin = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_tasmin),
-									  period4_03_pr = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_pr),
-									  period4_03_tas = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_tas),
-									  period4_03_tasmax = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_tasmax),
-									  period4_03_tasmin = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_tasmin),
-									  period4_04_pr = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_pr),
-									  period4_04_tas = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_tas),
-									  period4_04_tasmax = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_tasmax),
-									  period4_04_tasmin = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_tasmin),
-									  period4_05_pr = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_pr),
-									  period4_05_tas = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_tas),
-									  period4_05_tasmax = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_tasmax),
-									  period4_05_tasmin = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_tasmin),
-									  period4_06_pr = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_pr),
-									  period4_06_tas = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_tas),
-									  period4_06_tasmax = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_tasmax),
-									  period4_06_tasmin = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_tasmin),
-									  period4_07_pr = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_pr),
-									  period4_07_tas = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_tas),
-									  period4_07_tasmax = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_tasmax),
-									  period4_07_tasmin = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_tasmin),
-									  period4_08_pr = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_pr),
-									  period4_08_tas = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_tas),
-									  period4_08_tasmax = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_tasmax),
-									  period4_08_tasmin = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_tasmin),
-									  period4_09_pr = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_pr),
-									  period4_09_tas = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_tas),
-									  period4_09_tasmax = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_tasmax),
-									  period4_09_tasmin = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_tasmin),
-									  period4_10_pr = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_pr),
-									  period4_10_tas = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_tas),
-									  period4_10_tasmax = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_tasmax),
-									  period4_10_tasmin = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_tasmin),
-									  period4_11_pr = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_pr),
-									  period4_11_tas = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_tas),
-									  period4_11_tasmax = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_tasmax),
-									  period4_11_tasmin = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_tasmin),
-									  period4_12_pr = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_pr),
-									  period4_12_tas = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_tas),
-									  period4_12_tasmax = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_tasmax),
-									  period4_12_tasmin = STDDEV(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_tasmin)
-				RETURN {
-					count: count,
-					properties: {
-						\`1981-2010\`: {
-							env_climate_ai: period1_ai,
-							env_climate_bio01: period1_bio01,
-							env_climate_bio02: period1_bio02,
-							env_climate_bio03: period1_bio03,
-							env_climate_bio04: period1_bio04,
-							env_climate_bio05: period1_bio05,
-							env_climate_bio06: period1_bio06,
-							env_climate_bio07: period1_bio07,
-							env_climate_bio08: period1_bio08,
-							env_climate_bio09: period1_bio09,
-							env_climate_bio10: period1_bio10,
-							env_climate_bio11: period1_bio11,
-							env_climate_bio12: period1_bio12,
-							env_climate_bio13: period1_bio13,
-							env_climate_bio14: period1_bio14,
-							env_climate_bio15: period1_bio15,
-							env_climate_bio16: period1_bio16,
-							env_climate_bio17: period1_bio17,
-							env_climate_bio18: period1_bio18,
-							env_climate_bio19: period1_bio19,
-							env_climate_clt_max: period1_clt_max,
-							env_climate_clt_mean: period1_clt_mean,
-							env_climate_clt_min: period1_clt_min,
-							env_climate_clt_range: period1_clt_range,
-							env_climate_cmi_max: period1_cmi_max,
-							env_climate_cmi_mean: period1_cmi_mean,
-							env_climate_cmi_min: period1_cmi_min,
-							env_climate_cmi_range: period1_cmi_range,
-							env_climate_fcf: period1_fcf,
-							env_climate_fgd: period1_fgd,
-							env_climate_gdd0: period1_gdd0,
-							env_climate_gdd10: period1_gdd10,
-							env_climate_gdd5: period1_gdd5,
-							env_climate_gddlgd0: period1_gddlgd0,
-							env_climate_gddlgd10: period1_gddlgd10,
-							env_climate_gddlgd5: period1_gddlgd5,
-							env_climate_gdgfgd0: period1_gdgfgd0,
-							env_climate_gdgfgd10: period1_gdgfgd10,
-							env_climate_gdgfgd5: period1_gdgfgd5,
-							env_climate_gsl: period1_gsl,
-							env_climate_gsp: period1_gsp,
-							env_climate_gst: period1_gst,
-							env_climate_hurs_max: period1_hurs_max,
-							env_climate_hurs_mean: period1_hurs_mean,
-							env_climate_hurs_min: period1_hurs_min,
-							env_climate_hurs_range: period1_hurs_range,
-							env_climate_ngd0: period1_ngd0,
-							env_climate_ngd10: period1_ngd10,
-							env_climate_ngd5: period1_ngd5,
-							env_climate_npp: period1_npp,
-							env_climate_pet_penman_max: period1_pet_penman_max,
-							env_climate_pet_penman_mean: period1_pet_penman_mean,
-							env_climate_pet_penman_min: period1_pet_penman_min,
-							env_climate_pet_penman_range: period1_pet_penman_range,
-							env_climate_rsds_max: period1_rsds_max,
-							env_climate_rsds_mean: period1_rsds_mean,
-							env_climate_rsds_min: period1_rsds_min,
-							env_climate_rsds_range: period1_rsds_range,
-							env_climate_scd: period1_scd,
-							env_climate_sfcWind_max: period1_sfcWind_max,
-							env_climate_sfcWind_mean: period1_sfcWind_mean,
-							env_climate_sfcWind_min: period1_sfcWind_min,
-							env_climate_sfcWind_range: period1_sfcWind_range,
-							env_climate_swb: period1_swb,
-							env_climate_swe: period1_swe,
-							env_climate_vpd_max: period1_vpd_max,
-							env_climate_vpd_mean: period1_vpd_mean,
-							env_climate_vpd_min: period1_vpd_min,
-							env_climate_vpd_range: period1_vpd_range,
-							std_date_span_month: [
-								{
-									std_month: 1,
-									env_climate_pr: 	period1_01_pr,
-									env_climate_tas: 	period1_01_tas,
-									env_climate_tasmax: period1_01_tasmax,
-									env_climate_tasmin: period1_01_tasmin
-								},
-								{
-									std_month: 2,
-									env_climate_pr: 	period1_02_pr,
-									env_climate_tas: 	period1_02_tas,
-									env_climate_tasmax: period1_02_tasmax,
-									env_climate_tasmin: period1_02_tasmin
-								},
-								{
-									std_month: 3,
-									env_climate_pr: 	period1_03_pr,
-									env_climate_tas: 	period1_03_tas,
-									env_climate_tasmax: period1_03_tasmax,
-									env_climate_tasmin: period1_03_tasmin
-								},
-								{
-									std_month: 4,
-									env_climate_pr: 	period1_04_pr,
-									env_climate_tas: 	period1_04_tas,
-									env_climate_tasmax: period1_04_tasmax,
-									env_climate_tasmin: period1_04_tasmin
-								},
-								{
-									std_month: 5,
-									env_climate_pr: 	period1_05_pr,
-									env_climate_tas: 	period1_05_tas,
-									env_climate_tasmax: period1_05_tasmax,
-									env_climate_tasmin: period1_05_tasmin
-								},
-								{
-									std_month: 6,
-									env_climate_pr: 	period1_06_pr,
-									env_climate_tas: 	period1_06_tas,
-									env_climate_tasmax: period1_06_tasmax,
-									env_climate_tasmin: period1_06_tasmin
-								},
-								{
-									std_month: 7,
-									env_climate_pr: 	period1_07_pr,
-									env_climate_tas: 	period1_07_tas,
-									env_climate_tasmax: period1_07_tasmax,
-									env_climate_tasmin: period1_07_tasmin
-								},
-								{
-									std_month: 8,
-									env_climate_pr: 	period1_08_pr,
-									env_climate_tas: 	period1_08_tas,
-									env_climate_tasmax: period1_08_tasmax,
-									env_climate_tasmin: period1_08_tasmin
-								},
-								{
-									std_month: 9,
-									env_climate_pr: 	period1_09_pr,
-									env_climate_tas: 	period1_09_tas,
-									env_climate_tasmax: period1_09_tasmax,
-									env_climate_tasmin: period1_09_tasmin
-								},
-								{
-									std_month: 10,
-									env_climate_pr: 	period1_10_pr,
-									env_climate_tas: 	period1_10_tas,
-									env_climate_tasmax: period1_10_tasmax,
-									env_climate_tasmin: period1_10_tasmin
-								},
-								{
-									std_month: 11,
-									env_climate_pr: 	period1_11_pr,
-									env_climate_tas: 	period1_11_tas,
-									env_climate_tasmax: period1_11_tasmax,
-									env_climate_tasmin: period1_11_tasmin
-								},
-								{
-									std_month: 12,
-									env_climate_pr: 	period1_12_pr,
-									env_climate_tas: 	period1_12_tas,
-									env_climate_tasmax: period1_12_tasmax,
-									env_climate_tasmin: period1_12_tasmin
-								}
-							]
-						},
-						\`2011-2040\`: {
-							\`MPI-ESM1-2-HR\`: {
-								ssp370: {
-									env_climate_bio01: period2_bio01,
-									env_climate_bio02: period2_bio02,
-									env_climate_bio03: period2_bio03,
-									env_climate_bio04: period2_bio04,
-									env_climate_bio05: period2_bio05,
-									env_climate_bio06: period2_bio06,
-									env_climate_bio07: period2_bio07,
-									env_climate_bio08: period2_bio08,
-									env_climate_bio09: period2_bio09,
-									env_climate_bio10: period2_bio10,
-									env_climate_bio11: period2_bio11,
-									env_climate_bio12: period2_bio12,
-									env_climate_bio13: period2_bio13,
-									env_climate_bio14: period2_bio14,
-									env_climate_bio15: period2_bio15,
-									env_climate_bio16: period2_bio16,
-									env_climate_bio17: period2_bio17,
-									env_climate_bio18: period2_bio18,
-									env_climate_bio19: period2_bio19,
-									env_climate_gdd0: period2_gdd0,
-									env_climate_gdd10: period2_gdd10,
-									env_climate_gdd5: period2_gdd5,
-									env_climate_gsl: period2_gsl,
-									env_climate_gsp: period2_gsp,
-									env_climate_gst: period2_gst,
-									env_climate_ngd0: period2_ngd0,
-									env_climate_ngd10: period2_ngd10,
-									env_climate_ngd5: period2_ngd5,
-									env_climate_npp: period2_npp,
-									env_climate_scd: period2_scd,
-									std_date_span_month: [
-										{
-											std_month: 1,
-											env_climate_pr: 	period2_01_pr,
-											env_climate_tas: 	period2_01_tas,
-											env_climate_tasmax: period2_01_tasmax,
-											env_climate_tasmin: period2_01_tasmin
-										},
-										{
-											std_month: 2,
-											env_climate_pr: 	period2_02_pr,
-											env_climate_tas: 	period2_02_tas,
-											env_climate_tasmax: period2_02_tasmax,
-											env_climate_tasmin: period2_02_tasmin
-										},
-										{
-											std_month: 3,
-											env_climate_pr: 	period2_03_pr,
-											env_climate_tas: 	period2_03_tas,
-											env_climate_tasmax: period2_03_tasmax,
-											env_climate_tasmin: period2_03_tasmin
-										},
-										{
-											std_month: 4,
-											env_climate_pr: 	period2_04_pr,
-											env_climate_tas: 	period2_04_tas,
-											env_climate_tasmax: period2_04_tasmax,
-											env_climate_tasmin: period2_04_tasmin
-										},
-										{
-											std_month: 5,
-											env_climate_pr: 	period2_05_pr,
-											env_climate_tas: 	period2_05_tas,
-											env_climate_tasmax: period2_05_tasmax,
-											env_climate_tasmin: period2_05_tasmin
-										},
-										{
-											std_month: 6,
-											env_climate_pr: 	period2_06_pr,
-											env_climate_tas: 	period2_06_tas,
-											env_climate_tasmax: period2_06_tasmax,
-											env_climate_tasmin: period2_06_tasmin
-										},
-										{
-											std_month: 7,
-											env_climate_pr: 	period2_07_pr,
-											env_climate_tas: 	period2_07_tas,
-											env_climate_tasmax: period2_07_tasmax,
-											env_climate_tasmin: period2_07_tasmin
-										},
-										{
-											std_month: 8,
-											env_climate_pr: 	period2_08_pr,
-											env_climate_tas: 	period2_08_tas,
-											env_climate_tasmax: period2_08_tasmax,
-											env_climate_tasmin: period2_08_tasmin
-										},
-										{
-											std_month: 9,
-											env_climate_pr: 	period2_09_pr,
-											env_climate_tas: 	period2_09_tas,
-											env_climate_tasmax: period2_09_tasmax,
-											env_climate_tasmin: period2_09_tasmin
-										},
-										{
-											std_month: 10,
-											env_climate_pr: 	period2_10_pr,
-											env_climate_tas: 	period2_10_tas,
-											env_climate_tasmax: period2_10_tasmax,
-											env_climate_tasmin: period2_10_tasmin
-										},
-										{
-											std_month: 11,
-											env_climate_pr: 	period2_11_pr,
-											env_climate_tas: 	period2_11_tas,
-											env_climate_tasmax: period2_11_tasmax,
-											env_climate_tasmin: period2_11_tasmin
-										},
-										{
-											std_month: 12,
-											env_climate_pr: 	period2_12_pr,
-											env_climate_tas: 	period2_12_tas,
-											env_climate_tasmax: period2_12_tasmax,
-											env_climate_tasmin: period2_12_tasmin
-										}
-									]
-								}
-							}
-						},
-						\`2041-2070\`: {
-							\`MPI-ESM1-2-HR\`: {
-								ssp370: {
-									env_climate_bio01: period3_bio01,
-									env_climate_bio02: period3_bio02,
-									env_climate_bio03: period3_bio03,
-									env_climate_bio04: period3_bio04,
-									env_climate_bio05: period3_bio05,
-									env_climate_bio06: period3_bio06,
-									env_climate_bio07: period3_bio07,
-									env_climate_bio08: period3_bio08,
-									env_climate_bio09: period3_bio09,
-									env_climate_bio10: period3_bio10,
-									env_climate_bio11: period3_bio11,
-									env_climate_bio12: period3_bio12,
-									env_climate_bio13: period3_bio13,
-									env_climate_bio14: period3_bio14,
-									env_climate_bio15: period3_bio15,
-									env_climate_bio16: period3_bio16,
-									env_climate_bio17: period3_bio17,
-									env_climate_bio18: period3_bio18,
-									env_climate_bio19: period3_bio19,
-									env_climate_gdd0: period3_gdd0,
-									env_climate_gdd10: period3_gdd10,
-									env_climate_gdd5: period3_gdd5,
-									env_climate_gsl: period3_gsl,
-									env_climate_gsp: period3_gsp,
-									env_climate_gst: period3_gst,
-									env_climate_ngd0: period3_ngd0,
-									env_climate_ngd10: period3_ngd10,
-									env_climate_ngd5: period3_ngd5,
-									env_climate_npp: period3_npp,
-									env_climate_scd: period3_scd,
-									std_date_span_month: [
-										{
-											std_month: 1,
-											env_climate_pr: 	period3_01_pr,
-											env_climate_tas: 	period3_01_tas,
-											env_climate_tasmax: period3_01_tasmax,
-											env_climate_tasmin: period3_01_tasmin
-										},
-										{
-											std_month: 2,
-											env_climate_pr: 	period3_02_pr,
-											env_climate_tas: 	period3_02_tas,
-											env_climate_tasmax: period3_02_tasmax,
-											env_climate_tasmin: period3_02_tasmin
-										},
-										{
-											std_month: 3,
-											env_climate_pr: 	period3_03_pr,
-											env_climate_tas: 	period3_03_tas,
-											env_climate_tasmax: period3_03_tasmax,
-											env_climate_tasmin: period3_03_tasmin
-										},
-										{
-											std_month: 4,
-											env_climate_pr: 	period3_04_pr,
-											env_climate_tas: 	period3_04_tas,
-											env_climate_tasmax: period3_04_tasmax,
-											env_climate_tasmin: period3_04_tasmin
-										},
-										{
-											std_month: 5,
-											env_climate_pr: 	period3_05_pr,
-											env_climate_tas: 	period3_05_tas,
-											env_climate_tasmax: period3_05_tasmax,
-											env_climate_tasmin: period3_05_tasmin
-										},
-										{
-											std_month: 6,
-											env_climate_pr: 	period3_06_pr,
-											env_climate_tas: 	period3_06_tas,
-											env_climate_tasmax: period3_06_tasmax,
-											env_climate_tasmin: period3_06_tasmin
-										},
-										{
-											std_month: 7,
-											env_climate_pr: 	period3_07_pr,
-											env_climate_tas: 	period3_07_tas,
-											env_climate_tasmax: period3_07_tasmax,
-											env_climate_tasmin: period3_07_tasmin
-										},
-										{
-											std_month: 8,
-											env_climate_pr: 	period3_08_pr,
-											env_climate_tas: 	period3_08_tas,
-											env_climate_tasmax: period3_08_tasmax,
-											env_climate_tasmin: period3_08_tasmin
-										},
-										{
-											std_month: 9,
-											env_climate_pr: 	period3_09_pr,
-											env_climate_tas: 	period3_09_tas,
-											env_climate_tasmax: period3_09_tasmax,
-											env_climate_tasmin: period3_09_tasmin
-										},
-										{
-											std_month: 10,
-											env_climate_pr: 	period3_10_pr,
-											env_climate_tas: 	period3_10_tas,
-											env_climate_tasmax: period3_10_tasmax,
-											env_climate_tasmin: period3_10_tasmin
-										},
-										{
-											std_month: 11,
-											env_climate_pr: 	period3_11_pr,
-											env_climate_tas: 	period3_11_tas,
-											env_climate_tasmax: period3_11_tasmax,
-											env_climate_tasmin: period3_11_tasmin
-										},
-										{
-											std_month: 12,
-											env_climate_pr: 	period3_12_pr,
-											env_climate_tas: 	period3_12_tas,
-											env_climate_tasmax: period3_12_tasmax,
-											env_climate_tasmin: period3_12_tasmin
-										}
-									]
-								}
-							}
-						},
-						\`2071-2100\`: {
-							\`MPI-ESM1-2-HR\`: {
-								ssp370: {
-									env_climate_bio01: period4_bio01,
-									env_climate_bio02: period4_bio02,
-									env_climate_bio03: period4_bio03,
-									env_climate_bio04: period4_bio04,
-									env_climate_bio05: period4_bio05,
-									env_climate_bio06: period4_bio06,
-									env_climate_bio07: period4_bio07,
-									env_climate_bio08: period4_bio08,
-									env_climate_bio09: period4_bio09,
-									env_climate_bio10: period4_bio10,
-									env_climate_bio11: period4_bio11,
-									env_climate_bio12: period4_bio12,
-									env_climate_bio13: period4_bio13,
-									env_climate_bio14: period4_bio14,
-									env_climate_bio15: period4_bio15,
-									env_climate_bio16: period4_bio16,
-									env_climate_bio17: period4_bio17,
-									env_climate_bio18: period4_bio18,
-									env_climate_bio19: period4_bio19,
-									env_climate_gdd0: period4_gdd0,
-									env_climate_gdd10: period4_gdd10,
-									env_climate_gdd5: period4_gdd5,
-									env_climate_gsl: period4_gsl,
-									env_climate_gsp: period4_gsp,
-									env_climate_gst: period4_gst,
-									env_climate_ngd0: period4_ngd0,
-									env_climate_ngd10: period4_ngd10,
-									env_climate_ngd5: period4_ngd5,
-									env_climate_npp: period4_npp,
-									env_climate_scd: period4_scd,
-									std_date_span_month: [
-										{
-											std_month: 1,
-											env_climate_pr: 	period4_01_pr,
-											env_climate_tas: 	period4_01_tas,
-											env_climate_tasmax: period4_01_tasmax,
-											env_climate_tasmin: period4_01_tasmin
-										},
-										{
-											std_month: 2,
-											env_climate_pr: 	period4_02_pr,
-											env_climate_tas: 	period4_02_tas,
-											env_climate_tasmax: period4_02_tasmax,
-											env_climate_tasmin: period4_02_tasmin
-										},
-										{
-											std_month: 3,
-											env_climate_pr: 	period4_03_pr,
-											env_climate_tas: 	period4_03_tas,
-											env_climate_tasmax: period4_03_tasmax,
-											env_climate_tasmin: period4_03_tasmin
-										},
-										{
-											std_month: 4,
-											env_climate_pr: 	period4_04_pr,
-											env_climate_tas: 	period4_04_tas,
-											env_climate_tasmax: period4_04_tasmax,
-											env_climate_tasmin: period4_04_tasmin
-										},
-										{
-											std_month: 5,
-											env_climate_pr: 	period4_05_pr,
-											env_climate_tas: 	period4_05_tas,
-											env_climate_tasmax: period4_05_tasmax,
-											env_climate_tasmin: period4_05_tasmin
-										},
-										{
-											std_month: 6,
-											env_climate_pr: 	period4_06_pr,
-											env_climate_tas: 	period4_06_tas,
-											env_climate_tasmax: period4_06_tasmax,
-											env_climate_tasmin: period4_06_tasmin
-										},
-										{
-											std_month: 7,
-											env_climate_pr: 	period4_07_pr,
-											env_climate_tas: 	period4_07_tas,
-											env_climate_tasmax: period4_07_tasmax,
-											env_climate_tasmin: period4_07_tasmin
-										},
-										{
-											std_month: 8,
-											env_climate_pr: 	period4_08_pr,
-											env_climate_tas: 	period4_08_tas,
-											env_climate_tasmax: period4_08_tasmax,
-											env_climate_tasmin: period4_08_tasmin
-										},
-										{
-											std_month: 9,
-											env_climate_pr: 	period4_09_pr,
-											env_climate_tas: 	period4_09_tas,
-											env_climate_tasmax: period4_09_tasmax,
-											env_climate_tasmin: period4_09_tasmin
-										},
-										{
-											std_month: 10,
-											env_climate_pr: 	period4_10_pr,
-											env_climate_tas: 	period4_10_tas,
-											env_climate_tasmax: period4_10_tasmax,
-											env_climate_tasmin: period4_10_tasmin
-										},
-										{
-											std_month: 11,
-											env_climate_pr: 	period4_11_pr,
-											env_climate_tas: 	period4_11_tas,
-											env_climate_tasmax: period4_11_tasmax,
-											env_climate_tasmin: period4_11_tasmin
-										},
-										{
-											std_month: 12,
-											env_climate_pr: 	period4_12_pr,
-											env_climate_tas: 	period4_12_tas,
-											env_climate_tasmax: period4_12_tasmax,
-											env_climate_tasmin: period4_12_tasmin
-										}
-									]
-								}
-							}
-						}
-					}
-				}
-			`
-			break
+/**
+ * This function can be used to retrieve the AQL query required for comparing
+ * the future periods with the baseline period of the average of the Chelsa
+ * data records that intersect with the provided reference geometry.
+ *
+ * If the records coverage is provided, the average will be area weighted.
+ *
+ * Parameters:
+ * - theCollection {String}: Data collection.
+ * - theCollectionMap {String}: Map collection.
+ * - theGeometry {Object}: GeoJSON reference geometry, provide either a Point, MultiPoint, Polygon, MultiPolygon, LineString, or a MultiLineString.
+ * - theSelection {Object}: Properties selection, `std_terms`, future `periods` and `months`.
+ * - theCoverage {Object}: Records coverage, see ClimateCoverage(), or `null`.
+ *
+ * Returns:
+ * - {String}: The AQL query.
+ */
+function ChelsaDeltaIntersectsAQL(theCollection, theCollectionMap, theGeometry, theSelection = {}, theCoverage = null)
+{
+	return ClimateDeltaAQL(
+		ChelsaDescriptor,
+		ChelsaBaseline,
+		(theSource) => (theCoverage === null)
+			? ChelsaIntersectsAQL(theCollection, theCollectionMap, theGeometry, 'AVG', 0, 10, theSource)
+			: ChelsaWeightedAQL(theCollection, theCoverage, 'AVG', theSource),
+		theSelection
+	)
 
-		///
-		// Return selection variance.
-		///
-		case 'VAR':
-			query = aql`
-				FOR dat IN ${theCollection}
-					FILTER GEO_INTERSECTS(${theGeometry}, dat.geometry_bounds)
-					COLLECT AGGREGATE count = COUNT(),
-									  period1_ai = VARIANCE(dat.properties.\`1981-2010\`.env_climate_ai),
-									  period1_bio01 = VARIANCE(dat.properties.\`1981-2010\`.env_climate_bio01),
-									  period1_bio02 = VARIANCE(dat.properties.\`1981-2010\`.env_climate_bio02),
-									  period1_bio03 = VARIANCE(dat.properties.\`1981-2010\`.env_climate_bio03),
-									  period1_bio04 = VARIANCE(dat.properties.\`1981-2010\`.env_climate_bio04),
-									  period1_bio05 = VARIANCE(dat.properties.\`1981-2010\`.env_climate_bio05),
-									  period1_bio06 = VARIANCE(dat.properties.\`1981-2010\`.env_climate_bio06),
-									  period1_bio07 = VARIANCE(dat.properties.\`1981-2010\`.env_climate_bio07),
-									  period1_bio08 = VARIANCE(dat.properties.\`1981-2010\`.env_climate_bio08),
-									  period1_bio09 = VARIANCE(dat.properties.\`1981-2010\`.env_climate_bio09),
-									  period1_bio10 = VARIANCE(dat.properties.\`1981-2010\`.env_climate_bio10),
-									  period1_bio11 = VARIANCE(dat.properties.\`1981-2010\`.env_climate_bio11),
-									  period1_bio12 = VARIANCE(dat.properties.\`1981-2010\`.env_climate_bio12),
-									  period1_bio13 = VARIANCE(dat.properties.\`1981-2010\`.env_climate_bio13),
-									  period1_bio14 = VARIANCE(dat.properties.\`1981-2010\`.env_climate_bio14),
-									  period1_bio15 = VARIANCE(dat.properties.\`1981-2010\`.env_climate_bio15),
-									  period1_bio16 = VARIANCE(dat.properties.\`1981-2010\`.env_climate_bio16),
-									  period1_bio17 = VARIANCE(dat.properties.\`1981-2010\`.env_climate_bio17),
-									  period1_bio18 = VARIANCE(dat.properties.\`1981-2010\`.env_climate_bio18),
-									  period1_bio19 = VARIANCE(dat.properties.\`1981-2010\`.env_climate_bio19),
-									  period1_clt_max = VARIANCE(dat.properties.\`1981-2010\`.env_climate_clt_max),
-									  period1_clt_mean = VARIANCE(dat.properties.\`1981-2010\`.env_climate_clt_mean),
-									  period1_clt_min = VARIANCE(dat.properties.\`1981-2010\`.env_climate_clt_min),
-									  period1_clt_range = VARIANCE(dat.properties.\`1981-2010\`.env_climate_clt_range),
-									  period1_cmi_max = VARIANCE(dat.properties.\`1981-2010\`.env_climate_cmi_max),
-									  period1_cmi_mean = VARIANCE(dat.properties.\`1981-2010\`.env_climate_cmi_mean),
-									  period1_cmi_min = VARIANCE(dat.properties.\`1981-2010\`.env_climate_cmi_min),
-									  period1_cmi_range = VARIANCE(dat.properties.\`1981-2010\`.env_climate_cmi_range),
-									  period1_fcf =  VARIANCE(dat.properties.\`1981-2010\`.env_climate_fcf),
-									  period1_fgd =  VARIANCE(dat.properties.\`1981-2010\`.env_climate_fgd),
-									  period1_gdd0 =  VARIANCE(dat.properties.\`1981-2010\`.env_climate_gdd0),
-									  period1_gdd10 = VARIANCE(dat.properties.\`1981-2010\`.env_climate_gdd10),
-									  period1_gdd5 = VARIANCE(dat.properties.\`1981-2010\`.env_climate_gdd5),
-									  period1_gddlgd0 = VARIANCE(dat.properties.\`1981-2010\`.env_climate_gddlgd0),
-									  period1_gddlgd10 = VARIANCE(dat.properties.\`1981-2010\`.env_climate_gddlgd10),
-									  period1_gddlgd5 = VARIANCE(dat.properties.\`1981-2010\`.env_climate_gddlgd5),
-									  period1_gdgfgd0 = VARIANCE(dat.properties.\`1981-2010\`.env_climate_gdgfgd0),
-									  period1_gdgfgd10 = VARIANCE(dat.properties.\`1981-2010\`.env_climate_gdgfgd10),
-									  period1_gdgfgd5 = VARIANCE(dat.properties.\`1981-2010\`.env_climate_gdgfgd5),
-									  period1_gsl = VARIANCE(dat.properties.\`1981-2010\`.env_climate_gsl),
-									  period1_gsp = VARIANCE(dat.properties.\`1981-2010\`.env_climate_gsp),
-									  period1_gst = VARIANCE(dat.properties.\`1981-2010\`.env_climate_gst),
-									  period1_hurs_max = VARIANCE(dat.properties.\`1981-2010\`.env_climate_hurs_max),
-									  period1_hurs_mean = VARIANCE(dat.properties.\`1981-2010\`.env_climate_hurs_mean),
-									  period1_hurs_min = VARIANCE(dat.properties.\`1981-2010\`.env_climate_hurs_min),
-									  period1_hurs_range = VARIANCE(dat.properties.\`1981-2010\`.env_climate_hurs_range),
-									  period1_ngd0 = VARIANCE(dat.properties.\`1981-2010\`.env_climate_ngd0),
-									  period1_ngd10 = VARIANCE(dat.properties.\`1981-2010\`.env_climate_ngd10),
-									  period1_ngd5 = VARIANCE(dat.properties.\`1981-2010\`.env_climate_ngd5),
-									  period1_npp = VARIANCE(dat.properties.\`1981-2010\`.env_climate_npp),
-									  period1_pet_penman_max = VARIANCE(dat.properties.\`1981-2010\`.env_climate_pet_penman_max),
-									  period1_pet_penman_mean = VARIANCE(dat.properties.\`1981-2010\`.env_climate_pet_penman_mean),
-									  period1_pet_penman_min = VARIANCE(dat.properties.\`1981-2010\`.env_climate_pet_penman_min),
-									  period1_pet_penman_range = VARIANCE(dat.properties.\`1981-2010\`.env_climate_pet_penman_range),
-									  period1_rsds_max = VARIANCE(dat.properties.\`1981-2010\`.env_climate_rsds_max),
-									  period1_rsds_mean = VARIANCE(dat.properties.\`1981-2010\`.env_climate_rsds_mean),
-									  period1_rsds_min = VARIANCE(dat.properties.\`1981-2010\`.env_climate_rsds_min),
-									  period1_rsds_range = VARIANCE(dat.properties.\`1981-2010\`.env_climate_rsds_range),
-									  period1_scd = VARIANCE(dat.properties.\`1981-2010\`.env_climate_scd),
-									  period1_sfcWind_max = VARIANCE(dat.properties.\`1981-2010\`.env_climate_sfcWind_max),
-									  period1_sfcWind_mean = VARIANCE(dat.properties.\`1981-2010\`.env_climate_sfcWind_mean),
-									  period1_sfcWind_min = VARIANCE(dat.properties.\`1981-2010\`.env_climate_sfcWind_min),
-									  period1_sfcWind_range = VARIANCE(dat.properties.\`1981-2010\`.env_climate_sfcWind_range),
-									  period1_swb = VARIANCE(dat.properties.\`1981-2010\`.env_climate_swb),
-									  period1_swe = VARIANCE(dat.properties.\`1981-2010\`.env_climate_swe),
-									  period1_vpd_max = VARIANCE(dat.properties.\`1981-2010\`.env_climate_vpd_max),
-									  period1_vpd_mean = VARIANCE(dat.properties.\`1981-2010\`.env_climate_vpd_mean),
-									  period1_vpd_min = VARIANCE(dat.properties.\`1981-2010\`.env_climate_vpd_min),
-									  period1_vpd_range = VARIANCE(dat.properties.\`1981-2010\`.env_climate_vpd_range),
-									  period1_01_pr = VARIANCE(dat.properties.\`1981-2010\`.std_date_span_month[0].env_climate_pr),
-									  period1_01_tas = VARIANCE(dat.properties.\`1981-2010\`.std_date_span_month[0].env_climate_tas),
-									  period1_01_tasmax = VARIANCE(dat.properties.\`1981-2010\`.std_date_span_month[0].env_climate_tasmax),
-									  period1_01_tasmin = VARIANCE(dat.properties.\`1981-2010\`.std_date_span_month[0].env_climate_tasmin),
-									  period1_02_pr = VARIANCE(dat.properties.\`1981-2010\`.std_date_span_month[1].env_climate_pr),
-									  period1_02_tas = VARIANCE(dat.properties.\`1981-2010\`.std_date_span_month[1].env_climate_tas),
-									  period1_02_tasmax = VARIANCE(dat.properties.\`1981-2010\`.std_date_span_month[1].env_climate_tasmax),
-									  period1_02_tasmin = VARIANCE(dat.properties.\`1981-2010\`.std_date_span_month[1].env_climate_tasmin),
-									  period1_03_pr = VARIANCE(dat.properties.\`1981-2010\`.std_date_span_month[2].env_climate_pr),
-									  period1_03_tas = VARIANCE(dat.properties.\`1981-2010\`.std_date_span_month[2].env_climate_tas),
-									  period1_03_tasmax = VARIANCE(dat.properties.\`1981-2010\`.std_date_span_month[2].env_climate_tasmax),
-									  period1_03_tasmin = VARIANCE(dat.properties.\`1981-2010\`.std_date_span_month[2].env_climate_tasmin),
-									  period1_04_pr = VARIANCE(dat.properties.\`1981-2010\`.std_date_span_month[3].env_climate_pr),
-									  period1_04_tas = VARIANCE(dat.properties.\`1981-2010\`.std_date_span_month[3].env_climate_tas),
-									  period1_04_tasmax = VARIANCE(dat.properties.\`1981-2010\`.std_date_span_month[3].env_climate_tasmax),
-									  period1_04_tasmin = VARIANCE(dat.properties.\`1981-2010\`.std_date_span_month[3].env_climate_tasmin),
-									  period1_05_pr = VARIANCE(dat.properties.\`1981-2010\`.std_date_span_month[4].env_climate_pr),
-									  period1_05_tas = VARIANCE(dat.properties.\`1981-2010\`.std_date_span_month[4].env_climate_tas),
-									  period1_05_tasmax = VARIANCE(dat.properties.\`1981-2010\`.std_date_span_month[4].env_climate_tasmax),
-									  period1_05_tasmin = VARIANCE(dat.properties.\`1981-2010\`.std_date_span_month[4].env_climate_tasmin),
-									  period1_06_pr = VARIANCE(dat.properties.\`1981-2010\`.std_date_span_month[5].env_climate_pr),
-									  period1_06_tas = VARIANCE(dat.properties.\`1981-2010\`.std_date_span_month[5].env_climate_tas),
-									  period1_06_tasmax = VARIANCE(dat.properties.\`1981-2010\`.std_date_span_month[5].env_climate_tasmax),
-									  period1_06_tasmin = VARIANCE(dat.properties.\`1981-2010\`.std_date_span_month[5].env_climate_tasmin),
-									  period1_07_pr = VARIANCE(dat.properties.\`1981-2010\`.std_date_span_month[6].env_climate_pr),
-									  period1_07_tas = VARIANCE(dat.properties.\`1981-2010\`.std_date_span_month[6].env_climate_tas),
-									  period1_07_tasmax = VARIANCE(dat.properties.\`1981-2010\`.std_date_span_month[6].env_climate_tasmax),
-									  period1_07_tasmin = VARIANCE(dat.properties.\`1981-2010\`.std_date_span_month[6].env_climate_tasmin),
-									  period1_08_pr = VARIANCE(dat.properties.\`1981-2010\`.std_date_span_month[7].env_climate_pr),
-									  period1_08_tas = VARIANCE(dat.properties.\`1981-2010\`.std_date_span_month[7].env_climate_tas),
-									  period1_08_tasmax = VARIANCE(dat.properties.\`1981-2010\`.std_date_span_month[7].env_climate_tasmax),
-									  period1_08_tasmin = VARIANCE(dat.properties.\`1981-2010\`.std_date_span_month[7].env_climate_tasmin),
-									  period1_09_pr = VARIANCE(dat.properties.\`1981-2010\`.std_date_span_month[8].env_climate_pr),
-									  period1_09_tas = VARIANCE(dat.properties.\`1981-2010\`.std_date_span_month[8].env_climate_tas),
-									  period1_09_tasmax = VARIANCE(dat.properties.\`1981-2010\`.std_date_span_month[8].env_climate_tasmax),
-									  period1_09_tasmin = VARIANCE(dat.properties.\`1981-2010\`.std_date_span_month[8].env_climate_tasmin),
-									  period1_10_pr = VARIANCE(dat.properties.\`1981-2010\`.std_date_span_month[9].env_climate_pr),
-									  period1_10_tas = VARIANCE(dat.properties.\`1981-2010\`.std_date_span_month[9].env_climate_tas),
-									  period1_10_tasmax = VARIANCE(dat.properties.\`1981-2010\`.std_date_span_month[9].env_climate_tasmax),
-									  period1_10_tasmin = VARIANCE(dat.properties.\`1981-2010\`.std_date_span_month[9].env_climate_tasmin),
-									  period1_11_pr = VARIANCE(dat.properties.\`1981-2010\`.std_date_span_month[10].env_climate_pr),
-									  period1_11_tas = VARIANCE(dat.properties.\`1981-2010\`.std_date_span_month[10].env_climate_tas),
-									  period1_11_tasmax = VARIANCE(dat.properties.\`1981-2010\`.std_date_span_month[10].env_climate_tasmax),
-									  period1_11_tasmin = VARIANCE(dat.properties.\`1981-2010\`.std_date_span_month[10].env_climate_tasmin),
-									  period1_12_pr = VARIANCE(dat.properties.\`1981-2010\`.std_date_span_month[11].env_climate_pr),
-									  period1_12_tas = VARIANCE(dat.properties.\`1981-2010\`.std_date_span_month[11].env_climate_tas),
-									  period1_12_tasmax = VARIANCE(dat.properties.\`1981-2010\`.std_date_span_month[11].env_climate_tasmax),
-									  period1_12_tasmin = VARIANCE(dat.properties.\`1981-2010\`.std_date_span_month[11].env_climate_tasmin),
-									  period2_bio01 = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio01),
-									  period2_bio02 = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio02),
-									  period2_bio03 = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio03),
-									  period2_bio04 = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio04),
-									  period2_bio05 = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio05),
-									  period2_bio06 = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio06),
-									  period2_bio07 = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio07),
-									  period2_bio08 = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio08),
-									  period2_bio09 = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio09),
-									  period2_bio10 = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio10),
-									  period2_bio11 = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio11),
-									  period2_bio12 = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio12),
-									  period2_bio13 = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio13),
-									  period2_bio14 = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio14),
-									  period2_bio15 = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio15),
-									  period2_bio16 = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio16),
-									  period2_bio17 = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio17),
-									  period2_bio18 = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio18),
-									  period2_bio19 = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio19),
-									  period2_gdd0 = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gdd0),
-									  period2_gdd10 = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gdd10),
-									  period2_gdd5 = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gdd5),
-									  period2_gsl = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gsl),
-									  period2_gsp = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gsp),
-									  period2_gst = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gst),
-									  period2_ngd0 = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_ngd0),
-									  period2_ngd10 = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_ngd10),
-									  period2_ngd5 = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_ngd5),
-									  period2_npp = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_npp),
-									  period2_scd = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_scd),
-									  period2_01_pr = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_pr),
-									  period2_01_tas = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_tas),
-									  period2_01_tasmax = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_tasmax),
-									  period2_01_tasmin = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_tasmin),
-									  period2_02_pr = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_pr),
-									  period2_02_tas = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_tas),
-									  period2_02_tasmax = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_tasmax),
-									  period2_02_tasmin = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_tasmin),
-									  period2_03_pr = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_pr),
-									  period2_03_tas = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_tas),
-									  period2_03_tasmax = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_tasmax),
-									  period2_03_tasmin = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_tasmin),
-									  period2_04_pr = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_pr),
-									  period2_04_tas = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_tas),
-									  period2_04_tasmax = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_tasmax),
-									  period2_04_tasmin = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_tasmin),
-									  period2_05_pr = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_pr),
-									  period2_05_tas = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_tas),
-									  period2_05_tasmax = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_tasmax),
-									  period2_05_tasmin = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_tasmin),
-									  period2_06_pr = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_pr),
-									  period2_06_tas = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_tas),
-									  period2_06_tasmax = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_tasmax),
-									  period2_06_tasmin = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_tasmin),
-									  period2_07_pr = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_pr),
-									  period2_07_tas = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_tas),
-									  period2_07_tasmax = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_tasmax),
-									  period2_07_tasmin = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_tasmin),
-									  period2_08_pr = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_pr),
-									  period2_08_tas = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_tas),
-									  period2_08_tasmax = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_tasmax),
-									  period2_08_tasmin = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_tasmin),
-									  period2_09_pr = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_pr),
-									  period2_09_tas = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_tas),
-									  period2_09_tasmax = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_tasmax),
-									  period2_09_tasmin = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_tasmin),
-									  period2_10_pr = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_pr),
-									  period2_10_tas = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_tas),
-									  period2_10_tasmax = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_tasmax),
-									  period2_10_tasmin = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_tasmin),
-									  period2_11_pr = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_pr),
-									  period2_11_tas = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_tas),
-									  period2_11_tasmax = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_tasmax),
-									  period2_11_tasmin = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_tasmin),
-									  period2_12_pr = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_pr),
-									  period2_12_tas = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_tas),
-									  period2_12_tasmax = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_tasmax),
-									  period2_12_tasmin = VARIANCE(dat.properties.\`2011-2040\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_tasmin),
-									  period3_bio01 = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio01),
-									  period3_bio02 = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio02),
-									  period3_bio03 = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio03),
-									  period3_bio04 = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio04),
-									  period3_bio05 = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio05),
-									  period3_bio06 = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio06),
-									  period3_bio07 = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio07),
-									  period3_bio08 = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio08),
-									  period3_bio09 = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio09),
-									  period3_bio10 = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio10),
-									  period3_bio11 = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio11),
-									  period3_bio12 = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio12),
-									  period3_bio13 = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio13),
-									  period3_bio14 = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio14),
-									  period3_bio15 = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio15),
-									  period3_bio16 = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio16),
-									  period3_bio17 = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio17),
-									  period3_bio18 = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio18),
-									  period3_bio19 = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio19),
-									  period3_gdd0 = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gdd0),
-									  period3_gdd10 = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gdd10),
-									  period3_gdd5 = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gdd5),
-									  period3_gsl = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gsl),
-									  period3_gsp = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gsp),
-									  period3_gst = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gst),
-									  period3_ngd0 = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_ngd0),
-									  period3_ngd10 = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_ngd10),
-									  period3_ngd5 = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_ngd5),
-									  period3_npp = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_npp),
-									  period3_scd = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_scd),
-									  period3_01_pr = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_pr),
-									  period3_01_tas = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_tas),
-									  period3_01_tasmax = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_tasmax),
-									  period3_01_tasmin = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_tasmin),
-									  period3_02_pr = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_pr),
-									  period3_02_tas = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_tas),
-									  period3_02_tasmax = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_tasmax),
-									  period3_02_tasmin = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_tasmin),
-									  period3_03_pr = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_pr),
-									  period3_03_tas = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_tas),
-									  period3_03_tasmax = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_tasmax),
-									  period3_03_tasmin = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_tasmin),
-									  period3_04_pr = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_pr),
-									  period3_04_tas = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_tas),
-									  period3_04_tasmax = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_tasmax),
-									  period3_04_tasmin = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_tasmin),
-									  period3_05_pr = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_pr),
-									  period3_05_tas = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_tas),
-									  period3_05_tasmax = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_tasmax),
-									  period3_05_tasmin = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_tasmin),
-									  period3_06_pr = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_pr),
-									  period3_06_tas = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_tas),
-									  period3_06_tasmax = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_tasmax),
-									  period3_06_tasmin = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_tasmin),
-									  period3_07_pr = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_pr),
-									  period3_07_tas = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_tas),
-									  period3_07_tasmax = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_tasmax),
-									  period3_07_tasmin = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_tasmin),
-									  period3_08_pr = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_pr),
-									  period3_08_tas = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_tas),
-									  period3_08_tasmax = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_tasmax),
-									  period3_08_tasmin = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_tasmin),
-									  period3_09_pr = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_pr),
-									  period3_09_tas = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_tas),
-									  period3_09_tasmax = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_tasmax),
-									  period3_09_tasmin = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_tasmin),
-									  period3_10_pr = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_pr),
-									  period3_10_tas = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_tas),
-									  period3_10_tasmax = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_tasmax),
-									  period3_10_tasmin = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_tasmin),
-									  period3_11_pr = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_pr),
-									  period3_11_tas = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_tas),
-									  period3_11_tasmax = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_tasmax),
-									  period3_11_tasmin = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_tasmin),
-									  period3_12_pr = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_pr),
-									  period3_12_tas = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_tas),
-									  period3_12_tasmax = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_tasmax),
-									  period3_12_tasmin = VARIANCE(dat.properties.\`2041-2070\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_tasmin),
-									  period4_bio01 = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio01),
-									  period4_bio02 = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio02),
-									  period4_bio03 = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio03),
-									  period4_bio04 = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio04),
-									  period4_bio05 = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio05),
-									  period4_bio06 = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio06),
-									  period4_bio07 = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio07),
-									  period4_bio08 = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio08),
-									  period4_bio09 = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio09),
-									  period4_bio10 = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio10),
-									  period4_bio11 = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio11),
-									  period4_bio12 = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio12),
-									  period4_bio13 = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio13),
-									  period4_bio14 = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio14),
-									  period4_bio15 = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio15),
-									  period4_bio16 = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio16),
-									  period4_bio17 = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio17),
-									  period4_bio18 = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio18),
-									  period4_bio19 = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_bio19),
-									  period4_gdd0 = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gdd0),
-									  period4_gdd10 = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gdd10),
-									  period4_gdd5 = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gdd5),
-									  period4_gsl = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gsl),
-									  period4_gsp = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gsp),
-									  period4_gst = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_gst),
-									  period4_ngd0 = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_ngd0),
-									  period4_ngd10 = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_ngd10),
-									  period4_ngd5 = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_ngd5),
-									  period4_npp = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_npp),
-									  period4_scd = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.env_climate_scd),
-									  period4_01_pr = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_pr),
-									  period4_01_tas = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_tas),
-									  period4_01_tasmax = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_tasmax),
-									  period4_01_tasmin = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[0].env_climate_tasmin),
-									  period4_02_pr = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_pr),
-									  period4_02_tas = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_tas),
-									  period4_02_tasmax = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_tasmax),
-									  period4_02_tasmin = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[1].env_climate_tasmin),
-									  period4_03_pr = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_pr),
-									  period4_03_tas = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_tas),
-									  period4_03_tasmax = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_tasmax),
-									  period4_03_tasmin = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[2].env_climate_tasmin),
-									  period4_04_pr = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_pr),
-									  period4_04_tas = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_tas),
-									  period4_04_tasmax = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_tasmax),
-									  period4_04_tasmin = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[3].env_climate_tasmin),
-									  period4_05_pr = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_pr),
-									  period4_05_tas = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_tas),
-									  period4_05_tasmax = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_tasmax),
-									  period4_05_tasmin = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[4].env_climate_tasmin),
-									  period4_06_pr = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_pr),
-									  period4_06_tas = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_tas),
-									  period4_06_tasmax = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_tasmax),
-									  period4_06_tasmin = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[5].env_climate_tasmin),
-									  period4_07_pr = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_pr),
-									  period4_07_tas = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_tas),
-									  period4_07_tasmax = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_tasmax),
-									  period4_07_tasmin = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[6].env_climate_tasmin),
-									  period4_08_pr = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_pr),
-									  period4_08_tas = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_tas),
-									  period4_08_tasmax = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_tasmax),
-									  period4_08_tasmin = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[7].env_climate_tasmin),
-									  period4_09_pr = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_pr),
-									  period4_09_tas = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_tas),
-									  period4_09_tasmax = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_tasmax),
-									  period4_09_tasmin = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[8].env_climate_tasmin),
-									  period4_10_pr = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_pr),
-									  period4_10_tas = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_tas),
-									  period4_10_tasmax = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_tasmax),
-									  period4_10_tasmin = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[9].env_climate_tasmin),
-									  period4_11_pr = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_pr),
-									  period4_11_tas = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_tas),
-									  period4_11_tasmax = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_tasmax),
-									  period4_11_tasmin = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[10].env_climate_tasmin),
-									  period4_12_pr = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_pr),
-									  period4_12_tas = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_tas),
-									  period4_12_tasmax = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_tasmax),
-									  period4_12_tasmin = VARIANCE(dat.properties.\`2071-2100\`.\`MPI-ESM1-2-HR\`.ssp370.std_date_span_month[11].env_climate_tasmin)
-				RETURN {
-					count: count,
-					properties: {
-						\`1981-2010\`: {
-							env_climate_ai: period1_ai,
-							env_climate_bio01: period1_bio01,
-							env_climate_bio02: period1_bio02,
-							env_climate_bio03: period1_bio03,
-							env_climate_bio04: period1_bio04,
-							env_climate_bio05: period1_bio05,
-							env_climate_bio06: period1_bio06,
-							env_climate_bio07: period1_bio07,
-							env_climate_bio08: period1_bio08,
-							env_climate_bio09: period1_bio09,
-							env_climate_bio10: period1_bio10,
-							env_climate_bio11: period1_bio11,
-							env_climate_bio12: period1_bio12,
-							env_climate_bio13: period1_bio13,
-							env_climate_bio14: period1_bio14,
-							env_climate_bio15: period1_bio15,
-							env_climate_bio16: period1_bio16,
-							env_climate_bio17: period1_bio17,
-							env_climate_bio18: period1_bio18,
-							env_climate_bio19: period1_bio19,
-							env_climate_clt_max: period1_clt_max,
-							env_climate_clt_mean: period1_clt_mean,
-							env_climate_clt_min: period1_clt_min,
-							env_climate_clt_range: period1_clt_range,
-							env_climate_cmi_max: period1_cmi_max,
-							env_climate_cmi_mean: period1_cmi_mean,
-							env_climate_cmi_min: period1_cmi_min,
-							env_climate_cmi_range: period1_cmi_range,
-							env_climate_fcf: period1_fcf,
-							env_climate_fgd: period1_fgd,
-							env_climate_gdd0: period1_gdd0,
-							env_climate_gdd10: period1_gdd10,
-							env_climate_gdd5: period1_gdd5,
-							env_climate_gddlgd0: period1_gddlgd0,
-							env_climate_gddlgd10: period1_gddlgd10,
-							env_climate_gddlgd5: period1_gddlgd5,
-							env_climate_gdgfgd0: period1_gdgfgd0,
-							env_climate_gdgfgd10: period1_gdgfgd10,
-							env_climate_gdgfgd5: period1_gdgfgd5,
-							env_climate_gsl: period1_gsl,
-							env_climate_gsp: period1_gsp,
-							env_climate_gst: period1_gst,
-							env_climate_hurs_max: period1_hurs_max,
-							env_climate_hurs_mean: period1_hurs_mean,
-							env_climate_hurs_min: period1_hurs_min,
-							env_climate_hurs_range: period1_hurs_range,
-							env_climate_ngd0: period1_ngd0,
-							env_climate_ngd10: period1_ngd10,
-							env_climate_ngd5: period1_ngd5,
-							env_climate_npp: period1_npp,
-							env_climate_pet_penman_max: period1_pet_penman_max,
-							env_climate_pet_penman_mean: period1_pet_penman_mean,
-							env_climate_pet_penman_min: period1_pet_penman_min,
-							env_climate_pet_penman_range: period1_pet_penman_range,
-							env_climate_rsds_max: period1_rsds_max,
-							env_climate_rsds_mean: period1_rsds_mean,
-							env_climate_rsds_min: period1_rsds_min,
-							env_climate_rsds_range: period1_rsds_range,
-							env_climate_scd: period1_scd,
-							env_climate_sfcWind_max: period1_sfcWind_max,
-							env_climate_sfcWind_mean: period1_sfcWind_mean,
-							env_climate_sfcWind_min: period1_sfcWind_min,
-							env_climate_sfcWind_range: period1_sfcWind_range,
-							env_climate_swb: period1_swb,
-							env_climate_swe: period1_swe,
-							env_climate_vpd_max: period1_vpd_max,
-							env_climate_vpd_mean: period1_vpd_mean,
-							env_climate_vpd_min: period1_vpd_min,
-							env_climate_vpd_range: period1_vpd_range,
-							std_date_span_month: [
-								{
-									std_month: 1,
-									env_climate_pr: 	period1_01_pr,
-									env_climate_tas: 	period1_01_tas,
-									env_climate_tasmax: period1_01_tasmax,
-									env_climate_tasmin: period1_01_tasmin
-								},
-								{
-									std_month: 2,
-									env_climate_pr: 	period1_02_pr,
-									env_climate_tas: 	period1_02_tas,
-									env_climate_tasmax: period1_02_tasmax,
-									env_climate_tasmin: period1_02_tasmin
-								},
-								{
-									std_month: 3,
-									env_climate_pr: 	period1_03_pr,
-									env_climate_tas: 	period1_03_tas,
-									env_climate_tasmax: period1_03_tasmax,
-									env_climate_tasmin: period1_03_tasmin
-								},
-								{
-									std_month: 4,
-									env_climate_pr: 	period1_04_pr,
-									env_climate_tas: 	period1_04_tas,
-									env_climate_tasmax: period1_04_tasmax,
-									env_climate_tasmin: period1_04_tasmin
-								},
-								{
-									std_month: 5,
-									env_climate_pr: 	period1_05_pr,
-									env_climate_tas: 	period1_05_tas,
-									env_climate_tasmax: period1_05_tasmax,
-									env_climate_tasmin: period1_05_tasmin
-								},
-								{
-									std_month: 6,
-									env_climate_pr: 	period1_06_pr,
-									env_climate_tas: 	period1_06_tas,
-									env_climate_tasmax: period1_06_tasmax,
-									env_climate_tasmin: period1_06_tasmin
-								},
-								{
-									std_month: 7,
-									env_climate_pr: 	period1_07_pr,
-									env_climate_tas: 	period1_07_tas,
-									env_climate_tasmax: period1_07_tasmax,
-									env_climate_tasmin: period1_07_tasmin
-								},
-								{
-									std_month: 8,
-									env_climate_pr: 	period1_08_pr,
-									env_climate_tas: 	period1_08_tas,
-									env_climate_tasmax: period1_08_tasmax,
-									env_climate_tasmin: period1_08_tasmin
-								},
-								{
-									std_month: 9,
-									env_climate_pr: 	period1_09_pr,
-									env_climate_tas: 	period1_09_tas,
-									env_climate_tasmax: period1_09_tasmax,
-									env_climate_tasmin: period1_09_tasmin
-								},
-								{
-									std_month: 10,
-									env_climate_pr: 	period1_10_pr,
-									env_climate_tas: 	period1_10_tas,
-									env_climate_tasmax: period1_10_tasmax,
-									env_climate_tasmin: period1_10_tasmin
-								},
-								{
-									std_month: 11,
-									env_climate_pr: 	period1_11_pr,
-									env_climate_tas: 	period1_11_tas,
-									env_climate_tasmax: period1_11_tasmax,
-									env_climate_tasmin: period1_11_tasmin
-								},
-								{
-									std_month: 12,
-									env_climate_pr: 	period1_12_pr,
-									env_climate_tas: 	period1_12_tas,
-									env_climate_tasmax: period1_12_tasmax,
-									env_climate_tasmin: period1_12_tasmin
-								}
-							]
-						},
-						\`2011-2040\`: {
-							\`MPI-ESM1-2-HR\`: {
-								ssp370: {
-									env_climate_bio01: period2_bio01,
-									env_climate_bio02: period2_bio02,
-									env_climate_bio03: period2_bio03,
-									env_climate_bio04: period2_bio04,
-									env_climate_bio05: period2_bio05,
-									env_climate_bio06: period2_bio06,
-									env_climate_bio07: period2_bio07,
-									env_climate_bio08: period2_bio08,
-									env_climate_bio09: period2_bio09,
-									env_climate_bio10: period2_bio10,
-									env_climate_bio11: period2_bio11,
-									env_climate_bio12: period2_bio12,
-									env_climate_bio13: period2_bio13,
-									env_climate_bio14: period2_bio14,
-									env_climate_bio15: period2_bio15,
-									env_climate_bio16: period2_bio16,
-									env_climate_bio17: period2_bio17,
-									env_climate_bio18: period2_bio18,
-									env_climate_bio19: period2_bio19,
-									env_climate_gdd0: period2_gdd0,
-									env_climate_gdd10: period2_gdd10,
-									env_climate_gdd5: period2_gdd5,
-									env_climate_gsl: period2_gsl,
-									env_climate_gsp: period2_gsp,
-									env_climate_gst: period2_gst,
-									env_climate_ngd0: period2_ngd0,
-									env_climate_ngd10: period2_ngd10,
-									env_climate_ngd5: period2_ngd5,
-									env_climate_npp: period2_npp,
-									env_climate_scd: period2_scd,
-									std_date_span_month: [
-										{
-											std_month: 1,
-											env_climate_pr: 	period2_01_pr,
-											env_climate_tas: 	period2_01_tas,
-											env_climate_tasmax: period2_01_tasmax,
-											env_climate_tasmin: period2_01_tasmin
-										},
-										{
-											std_month: 2,
-											env_climate_pr: 	period2_02_pr,
-											env_climate_tas: 	period2_02_tas,
-											env_climate_tasmax: period2_02_tasmax,
-											env_climate_tasmin: period2_02_tasmin
-										},
-										{
-											std_month: 3,
-											env_climate_pr: 	period2_03_pr,
-											env_climate_tas: 	period2_03_tas,
-											env_climate_tasmax: period2_03_tasmax,
-											env_climate_tasmin: period2_03_tasmin
-										},
-										{
-											std_month: 4,
-											env_climate_pr: 	period2_04_pr,
-											env_climate_tas: 	period2_04_tas,
-											env_climate_tasmax: period2_04_tasmax,
-											env_climate_tasmin: period2_04_tasmin
-										},
-										{
-											std_month: 5,
-											env_climate_pr: 	period2_05_pr,
-											env_climate_tas: 	period2_05_tas,
-											env_climate_tasmax: period2_05_tasmax,
-											env_climate_tasmin: period2_05_tasmin
-										},
-										{
-											std_month: 6,
-											env_climate_pr: 	period2_06_pr,
-											env_climate_tas: 	period2_06_tas,
-											env_climate_tasmax: period2_06_tasmax,
-											env_climate_tasmin: period2_06_tasmin
-										},
-										{
-											std_month: 7,
-											env_climate_pr: 	period2_07_pr,
-											env_climate_tas: 	period2_07_tas,
-											env_climate_tasmax: period2_07_tasmax,
-											env_climate_tasmin: period2_07_tasmin
-										},
-										{
-											std_month: 8,
-											env_climate_pr: 	period2_08_pr,
-											env_climate_tas: 	period2_08_tas,
-											env_climate_tasmax: period2_08_tasmax,
-											env_climate_tasmin: period2_08_tasmin
-										},
-										{
-											std_month: 9,
-											env_climate_pr: 	period2_09_pr,
-											env_climate_tas: 	period2_09_tas,
-											env_climate_tasmax: period2_09_tasmax,
-											env_climate_tasmin: period2_09_tasmin
-										},
-										{
-											std_month: 10,
-											env_climate_pr: 	period2_10_pr,
-											env_climate_tas: 	period2_10_tas,
-											env_climate_tasmax: period2_10_tasmax,
-											env_climate_tasmin: period2_10_tasmin
-										},
-										{
-											std_month: 11,
-											env_climate_pr: 	period2_11_pr,
-											env_climate_tas: 	period2_11_tas,
-											env_climate_tasmax: period2_11_tasmax,
-											env_climate_tasmin: period2_11_tasmin
-										},
-										{
-											std_month: 12,
-											env_climate_pr: 	period2_12_pr,
-											env_climate_tas: 	period2_12_tas,
-											env_climate_tasmax: period2_12_tasmax,
-											env_climate_tasmin: period2_12_tasmin
-										}
-									]
-								}
-							}
-						},
-						\`2041-2070\`: {
-							\`MPI-ESM1-2-HR\`: {
-								ssp370: {
-									env_climate_bio01: period3_bio01,
-									env_climate_bio02: period3_bio02,
-									env_climate_bio03: period3_bio03,
-									env_climate_bio04: period3_bio04,
-									env_climate_bio05: period3_bio05,
-									env_climate_bio06: period3_bio06,
-									env_climate_bio07: period3_bio07,
-									env_climate_bio08: period3_bio08,
-									env_climate_bio09: period3_bio09,
-									env_climate_bio10: period3_bio10,
-									env_climate_bio11: period3_bio11,
-									env_climate_bio12: period3_bio12,
-									env_climate_bio13: period3_bio13,
-									env_climate_bio14: period3_bio14,
-									env_climate_bio15: period3_bio15,
-									env_climate_bio16: period3_bio16,
-									env_climate_bio17: period3_bio17,
-									env_climate_bio18: period3_bio18,
-									env_climate_bio19: period3_bio19,
-									env_climate_gdd0: period3_gdd0,
-									env_climate_gdd10: period3_gdd10,
-									env_climate_gdd5: period3_gdd5,
-									env_climate_gsl: period3_gsl,
-									env_climate_gsp: period3_gsp,
-									env_climate_gst: period3_gst,
-									env_climate_ngd0: period3_ngd0,
-									env_climate_ngd10: period3_ngd10,
-									env_climate_ngd5: period3_ngd5,
-									env_climate_npp: period3_npp,
-									env_climate_scd: period3_scd,
-									std_date_span_month: [
-										{
-											std_month: 1,
-											env_climate_pr: 	period3_01_pr,
-											env_climate_tas: 	period3_01_tas,
-											env_climate_tasmax: period3_01_tasmax,
-											env_climate_tasmin: period3_01_tasmin
-										},
-										{
-											std_month: 2,
-											env_climate_pr: 	period3_02_pr,
-											env_climate_tas: 	period3_02_tas,
-											env_climate_tasmax: period3_02_tasmax,
-											env_climate_tasmin: period3_02_tasmin
-										},
-										{
-											std_month: 3,
-											env_climate_pr: 	period3_03_pr,
-											env_climate_tas: 	period3_03_tas,
-											env_climate_tasmax: period3_03_tasmax,
-											env_climate_tasmin: period3_03_tasmin
-										},
-										{
-											std_month: 4,
-											env_climate_pr: 	period3_04_pr,
-											env_climate_tas: 	period3_04_tas,
-											env_climate_tasmax: period3_04_tasmax,
-											env_climate_tasmin: period3_04_tasmin
-										},
-										{
-											std_month: 5,
-											env_climate_pr: 	period3_05_pr,
-											env_climate_tas: 	period3_05_tas,
-											env_climate_tasmax: period3_05_tasmax,
-											env_climate_tasmin: period3_05_tasmin
-										},
-										{
-											std_month: 6,
-											env_climate_pr: 	period3_06_pr,
-											env_climate_tas: 	period3_06_tas,
-											env_climate_tasmax: period3_06_tasmax,
-											env_climate_tasmin: period3_06_tasmin
-										},
-										{
-											std_month: 7,
-											env_climate_pr: 	period3_07_pr,
-											env_climate_tas: 	period3_07_tas,
-											env_climate_tasmax: period3_07_tasmax,
-											env_climate_tasmin: period3_07_tasmin
-										},
-										{
-											std_month: 8,
-											env_climate_pr: 	period3_08_pr,
-											env_climate_tas: 	period3_08_tas,
-											env_climate_tasmax: period3_08_tasmax,
-											env_climate_tasmin: period3_08_tasmin
-										},
-										{
-											std_month: 9,
-											env_climate_pr: 	period3_09_pr,
-											env_climate_tas: 	period3_09_tas,
-											env_climate_tasmax: period3_09_tasmax,
-											env_climate_tasmin: period3_09_tasmin
-										},
-										{
-											std_month: 10,
-											env_climate_pr: 	period3_10_pr,
-											env_climate_tas: 	period3_10_tas,
-											env_climate_tasmax: period3_10_tasmax,
-											env_climate_tasmin: period3_10_tasmin
-										},
-										{
-											std_month: 11,
-											env_climate_pr: 	period3_11_pr,
-											env_climate_tas: 	period3_11_tas,
-											env_climate_tasmax: period3_11_tasmax,
-											env_climate_tasmin: period3_11_tasmin
-										},
-										{
-											std_month: 12,
-											env_climate_pr: 	period3_12_pr,
-											env_climate_tas: 	period3_12_tas,
-											env_climate_tasmax: period3_12_tasmax,
-											env_climate_tasmin: period3_12_tasmin
-										}
-									]
-								}
-							}
-						},
-						\`2071-2100\`: {
-							\`MPI-ESM1-2-HR\`: {
-								ssp370: {
-									env_climate_bio01: period4_bio01,
-									env_climate_bio02: period4_bio02,
-									env_climate_bio03: period4_bio03,
-									env_climate_bio04: period4_bio04,
-									env_climate_bio05: period4_bio05,
-									env_climate_bio06: period4_bio06,
-									env_climate_bio07: period4_bio07,
-									env_climate_bio08: period4_bio08,
-									env_climate_bio09: period4_bio09,
-									env_climate_bio10: period4_bio10,
-									env_climate_bio11: period4_bio11,
-									env_climate_bio12: period4_bio12,
-									env_climate_bio13: period4_bio13,
-									env_climate_bio14: period4_bio14,
-									env_climate_bio15: period4_bio15,
-									env_climate_bio16: period4_bio16,
-									env_climate_bio17: period4_bio17,
-									env_climate_bio18: period4_bio18,
-									env_climate_bio19: period4_bio19,
-									env_climate_gdd0: period4_gdd0,
-									env_climate_gdd10: period4_gdd10,
-									env_climate_gdd5: period4_gdd5,
-									env_climate_gsl: period4_gsl,
-									env_climate_gsp: period4_gsp,
-									env_climate_gst: period4_gst,
-									env_climate_ngd0: period4_ngd0,
-									env_climate_ngd10: period4_ngd10,
-									env_climate_ngd5: period4_ngd5,
-									env_climate_npp: period4_npp,
-									env_climate_scd: period4_scd,
-									std_date_span_month: [
-										{
-											std_month: 1,
-											env_climate_pr: 	period4_01_pr,
-											env_climate_tas: 	period4_01_tas,
-											env_climate_tasmax: period4_01_tasmax,
-											env_climate_tasmin: period4_01_tasmin
-										},
-										{
-											std_month: 2,
-											env_climate_pr: 	period4_02_pr,
-											env_climate_tas: 	period4_02_tas,
-											env_climate_tasmax: period4_02_tasmax,
-											env_climate_tasmin: period4_02_tasmin
-										},
-										{
-											std_month: 3,
-											env_climate_pr: 	period4_03_pr,
-											env_climate_tas: 	period4_03_tas,
-											env_climate_tasmax: period4_03_tasmax,
-											env_climate_tasmin: period4_03_tasmin
-										},
-										{
-											std_month: 4,
-											env_climate_pr: 	period4_04_pr,
-											env_climate_tas: 	period4_04_tas,
-											env_climate_tasmax: period4_04_tasmax,
-											env_climate_tasmin: period4_04_tasmin
-										},
-										{
-											std_month: 5,
-											env_climate_pr: 	period4_05_pr,
-											env_climate_tas: 	period4_05_tas,
-											env_climate_tasmax: period4_05_tasmax,
-											env_climate_tasmin: period4_05_tasmin
-										},
-										{
-											std_month: 6,
-											env_climate_pr: 	period4_06_pr,
-											env_climate_tas: 	period4_06_tas,
-											env_climate_tasmax: period4_06_tasmax,
-											env_climate_tasmin: period4_06_tasmin
-										},
-										{
-											std_month: 7,
-											env_climate_pr: 	period4_07_pr,
-											env_climate_tas: 	period4_07_tas,
-											env_climate_tasmax: period4_07_tasmax,
-											env_climate_tasmin: period4_07_tasmin
-										},
-										{
-											std_month: 8,
-											env_climate_pr: 	period4_08_pr,
-											env_climate_tas: 	period4_08_tas,
-											env_climate_tasmax: period4_08_tasmax,
-											env_climate_tasmin: period4_08_tasmin
-										},
-										{
-											std_month: 9,
-											env_climate_pr: 	period4_09_pr,
-											env_climate_tas: 	period4_09_tas,
-											env_climate_tasmax: period4_09_tasmax,
-											env_climate_tasmin: period4_09_tasmin
-										},
-										{
-											std_month: 10,
-											env_climate_pr: 	period4_10_pr,
-											env_climate_tas: 	period4_10_tas,
-											env_climate_tasmax: period4_10_tasmax,
-											env_climate_tasmin: period4_10_tasmin
-										},
-										{
-											std_month: 11,
-											env_climate_pr: 	period4_11_pr,
-											env_climate_tas: 	period4_11_tas,
-											env_climate_tasmax: period4_11_tasmax,
-											env_climate_tasmin: period4_11_tasmin
-										},
-										{
-											std_month: 12,
-											env_climate_pr: 	period4_12_pr,
-											env_climate_tas: 	period4_12_tas,
-											env_climate_tasmax: period4_12_tasmax,
-											env_climate_tasmin: period4_12_tasmin
-										}
-									]
-								}
-							}
-						}
-					}
-				}
-			`
-			break
+} // ChelsaDeltaIntersectsAQL()
 
-	} // switch(theWhat)
+/**
+ * This function can be used to retrieve the AQL query required for selecting
+ * the Chelsa data records whose values, in the provided period, fall within all
+ * the provided ranges, or the shapes intersecting them.
+ *
+ * Parameters:
+ * - theCollection {String}: Data collection.
+ * - theCollectionShapes {String}: Shapes collection.
+ * - thePeriod {String}: Group key of the ranges.
+ * - theRanges {Object[]}: List of ranges, `std_term`, `std_month`, `min` and `max`.
+ * - theGeometry {Object}: GeoJSON bounding geometry, or `null` for no spatial constraint.
+ * - theWhat {String}: Query result: `KEY` geometry hash; `SHAPE` geometries; `DATA` all properties; `SHAPES` the matching shape records.
+ * - theStart {Integer}: The results start index, 0 based. Default: 0.
+ * - theLimit {Integer}: Number of records to return. Default 10.
+ * - theSelection {Object}: Properties selection, `std_terms`, `periods` and `months`. Only relevant for theWhat == `DATA`.
+ *
+ * Returns:
+ * - {String}: The AQL query.
+ */
+function ChelsaEnvelopeAQL(theCollection, theCollectionShapes, thePeriod, theRanges, theGeometry, theWhat, theStart = 0, theLimit = 10, theSelection = {})
+{
+	return ClimateEnvelopeAQL(
+		ChelsaDescriptor,
+		theCollection,
+		theCollectionShapes,
+		thePeriod,
+		theRanges,
+		theGeometry,
+		theWhat,
+		theStart,
+		theLimit,
+		theSelection
+	)
+
+} // ChelsaEnvelopeAQL()
 
-	return query
+/**
+ * This function can be used to retrieve the AQL query required for computing
+ * the moments of the provided Chelsa descriptors in the provided period.
+ *
+ * Parameters:
+ * - theCollection {String}: Data collection.
+ * - thePeriod {String}: Period key.
+ * - theTerms {String[]}: Descriptors.
+ * - theCenter {Object}: GeoJSON Point of the search center.
+ * - theRadius {Number}: Search radius in meters, or `null` for no spatial constraint.
+ *
+ * Returns:
+ * - {String}: The AQL query.
+ */
+function ChelsaMomentsAQL(theCollection, thePeriod, theTerms, theCenter, theRadius = null)
+{
+	return ClimateMomentsAQL(
+		ChelsaDescriptor,
+		theCollection,
+		thePeriod,
+		theTerms,
+		theCenter,
+		theRadius
+	)
 
-} // ChelsaIntersectsAQL()
+} // ChelsaMomentsAQL()
+
+/**
+ * This function can be used to retrieve the AQL query required for selecting
+ * the Chelsa data records whose values, in the provided period, are closest to
+ * the provided target values.
+ *
+ * Parameters:
+ * - theCollection {String}: Data collection.
+ * - thePeriod {String}: Period key.
+ * - theTerms {String[]}: Descriptors.
+ * - theTarget {Object}: Target values by descriptor.
+ * - theMatrix {Number[][]}: Distance matrix, in descriptors order.
+ * - theCenter {Object}: GeoJSON Point of the search center.
+ * - theRadius {Number}: Search radius in meters, or `null` for no spatial constraint.
+ * - theLimit {Integer}: Number of records to return. Default 10.
+ *
+ * Returns:
+ * - {String}: The AQL query.
+ */
+function ChelsaAnalogueAQL(theCollection, thePeriod, theTerms, theTarget, theMatrix, theCenter, theRadius = null, theLimit = 10)
+{
+	return ClimateAnalogueAQL(
+		ChelsaDescriptor,
+		theCollection,
+		thePeriod,
+		theTerms,
+		theTarget,
+		theMatrix,
+		theCenter,
+		theRadius,
+		theLimit
+	)
+
+} // ChelsaAnalogueAQL()
 
 
 module.exports = {
+	ChelsaDescriptor,
+	ChelsaBaseline,
+	ChelsaClickAQL,
 	ChelsaDistanceAQL,
 	ChelsaContainsAQL,
-	ChelsaIntersectsAQL
+	ChelsaIntersectsAQL,
+	ChelsaWeightedAQL,
+	ChelsaDeltaClickAQL,
+	ChelsaDeltaContainsAQL,
+	ChelsaDeltaIntersectsAQL,
+	ChelsaEnvelopeAQL,
+	ChelsaMomentsAQL,
+	ChelsaAnalogueAQL
 }
@@ -0,0 +1,1425 @@
+'use strict'
+
+/**
+ * climateAggregateAQL.js
+ *
+ * This script contains the AQL query builders shared by the Chelsa and WorldClim
+ * services. The quantitative properties of each climate dataset are described
+ * by a *descriptor*, an array of property groups structured as follows:
+ *
+ * - `key` {String}: Group identifier, the period for climate data, or the
+ *   top level property name for other groups, such as `topography`.
+ * - `path` {String[]}: Property path, relative to `properties`, of the group.
+ * - `annual` {String[]}: Group scalar descriptors.
+ * - `monthly` {String[]}: Group descriptors featured in each element of the
+ *   `std_date_span_month` array.
+ *
+ * The aggregation queries are generated from the descriptor, so that adding a
+ * period or a variable only requires editing the descriptor.
+ *
+ * Services can restrict the returned properties with a *selection* object,
+ * all its properties are optional:
+ *
+ * - `std_terms` {String[]}: Descriptors to return.
+ * - `periods` {String[]}: Group keys to return.
+ * - `months` {Number[]}: Months, `1` to `12`, of the `std_date_span_month` records to return.
+ */
+
+///
+// Modules.
+///
+const {aql, db} = require('@arangodb')
+const {CoveredFraction, BoundingBox, GeometryPoints, PointInGeometry, GridSample} = require('./geometryUtils')
+
+///
+// Aggregation functions.
+// `aggregate` is the COLLECT AGGREGATE function,
+// `result` returns the final value expression from the aggregate variable.
+///
+const AggregateFunctions = {
+	MIN: { aggregate: 'MIN', result: (theVariable) => theVariable },
+	AVG: { aggregate: 'AVERAGE', result: (theVariable) => theVariable },
+	MAX: { aggregate: 'MAX', result: (theVariable) => theVariable },
+	STD: { aggregate: 'STDDEV', result: (theVariable) => theVariable },
+	VAR: { aggregate: 'VARIANCE', result: (theVariable) => theVariable },
+	MEDIAN: { aggregate: 'PUSH', result: (theVariable) => `MEDIAN(${theVariable})` },
+	P05: { aggregate: 'PUSH', result: (theVariable) => `PERCENTILE(${theVariable}, 5, "interpolation")` },
+	P25: { aggregate: 'PUSH', result: (theVariable) => `PERCENTILE(${theVariable}, 25, "interpolation")` },
+	P75: { aggregate: 'PUSH', result: (theVariable) => `PERCENTILE(${theVariable}, 75, "interpolation")` },
+	P95: { aggregate: 'PUSH', result: (theVariable) => `PERCENTILE(${theVariable}, 95, "interpolation")` },
+	HIST: { aggregate: 'PUSH', result: (theVariable, theBins) => HistogramAQL(theVariable, theBins) }
+}
+
+///
+// Weighted aggregation functions.
+// Functions receive the sum of weights, of weighted values
+// and of weighted squared values variables.
+///
+const WeightedFunctions = {
+	AVG: (theWeight, theSum, theSquares) =>
+		`(${theWeight} > 0) ? ${theSum} / ${theWeight} : null`,
+	VAR: (theWeight, theSum, theSquares) =>
+		`(${theWeight} > 0) ? MAX([ 0, (${theSquares} / ${theWeight}) - POW(${theSum} / ${theWeight}, 2) ]) : null`,
+	STD: (theWeight, theSum, theSquares) =>
+		`(${theWeight} > 0) ? SQRT(MAX([ 0, (${theSquares} / ${theWeight}) - POW(${theSum} / ${theWeight}, 2) ])) : null`
+}
+
+///
+// Number of monthly records.
+///
+const MonthList = [ 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12 ]
+
+
+/**
+ * This function can be used to retrieve the AQL query required for selecting
+ * the climate data record whose bounds contain the provided coordinate.
+ *
+ * Parameters:
+ * - theDescriptor {Object[]}: Dataset descriptor.
+ * - theCollection {String}: Data collection.
+ * - theLat {Number}: Latitude.
+ * - theLon {Number}: Longitude.
+ * - theSelection {Object}: Properties selection.
+ *
+ * Returns:
+ * - {String}: The AQL query.
+ */
+function ClimateClickAQL(theDescriptor, theCollection, theLat, theLon, theSelection = {})
+{
+	return aql`
+		FOR dat IN ${theCollection}
+			FILTER GEO_INTERSECTS(
+				GEO_POINT(${theLon}, ${theLat}),
+				dat.geometry_bounds
+			)
+		RETURN {
+			geometry_hash: dat._key,
+			geometry_point: dat.geometry_point,
+			geometry_bounds: dat.geometry_bounds,
+			properties: ${PropertiesAQL(theDescriptor, theSelection)}
+		}
+	`
+
+} // ClimateClickAQL()
+
+
+/**
+ * This function can be used to retrieve the AQL query required for selecting
+ * the climate data records whose centroids are within a certain distance from
+ * the centroid of the provided reference geometry.
+ *
+ * Parameters:
+ * - theDescriptor {Object[]}: Dataset descriptor.
+ * - theCollection {String}: Data collection.
+ * - theCollectionMap {String}: Map collection.
+ * - theGeometry {Object}: GeoJSON reference geometry, provide either a Point, MultiPoint, Polygon, MultiPolygon, LineString, or a MultiLineString.
+ * - theWhat {String}: Query result: `KEY` geometry hash; `SHAPE` geometries; `DATA` all properties; `MIN` the minimum of all quantitative  properties; `AVG` the average of all quantitative  properties; `MAX` the maximum of all quantitative  properties; `STD` the standard deviation of all quantitative  properties.; `VAR` the variance of all quantitative  properties; `MEDIAN` the median of all quantitative properties; `P05`, `P25`, `P75` and `P95` the percentiles of all quantitative properties; `HIST` the histogram of all quantitative properties.
+ * - theMin {Number}: Minimum distance in meters.
+ * - theMax {Number}: Maximum distance in meters.
+ * - theSort {String}: `NO` for no sorting,`ASC` for ascending or `DESC` for descending. Only relevant for theWhat == `KEY`, `SHAPE` and `DATA`.
+ * - theStart {Integer}: The results start index, 0 based. Default: 0. Only relevant for theWhat == `KEY`, `SHAPE` and `DATA`.
+ * - theLimit {Integer}: Number of records to return. Default 10. Only relevant for theWhat == `KEY`, `SHAPE` and `DATA`.
+ * - theSelection {Object}: Properties selection. Only relevant for theWhat == `DATA` and aggregations.
+ * - theBins {Integer}: Number of histogram bins. Default 10. Only relevant for theWhat == `HIST`.
+ *
+ * Returns:
+ * - {String}: The AQL query.
+ */
+function ClimateDistanceAQL(theDescriptor, theCollection, theCollectionMap, theGeometry, theWhat, theMin, theMax, theSort, theStart = 0, theLimit = 10, theSelection = {}, theBins = 10)
+{
+	///
+	// Sort clause.
+	///
+	const sort = (theSort === 'NO')
+		? aql.literal('')
+		: aql.literal((theSort === 'DESC') ? 'SORT distance DESC' : 'SORT distance ASC')
+
+	///
+	// Parse request type.
+	///
+	switch(theWhat)
+	{
+		///
+		// Return data record keys.
+		///
+		case 'KEY':
+			return aql`
+			    LET target = ${theGeometry}
+				FOR doc IN ${theCollectionMap}
+					LET distance = GEO_DISTANCE(target, doc.geometry)
+					FILTER distance >= ${theMin}
+					FILTER distance <= ${theMax}
+					${sort}
+					LIMIT ${theStart}, ${theLimit}
+				RETURN doc._key
+			`
+
+		///
+		// Return data record geometries.
+		///
+		case 'SHAPE':
+			return aql`
+			    LET target = ${theGeometry}
+				FOR doc IN ${theCollectionMap}
+					LET distance = GEO_DISTANCE(target, doc.geometry)
+					FILTER distance >= ${theMin}
+					FILTER distance <= ${theMax}
+					${sort}
+					LIMIT ${theStart}, ${theLimit}
+				RETURN {
+					geometry_hash: doc._key,
+					distance: distance,
+					geometry_point: doc.geometry,
+					geometry_bounds: doc.geometry_bounds
+				}
+			`
+
+		///
+		// Return full data records.
+		///
+		case 'DATA':
+			return aql`
+			    LET target = ${theGeometry}
+				FOR doc IN ${theCollectionMap}
+					FOR dat IN ${theCollection}
+						FILTER dat._key == doc._key
+						LET distance = GEO_DISTANCE(target, doc.geometry)
+						FILTER distance >= ${theMin}
+						FILTER distance <= ${theMax}
+						${sort}
+						LIMIT ${theStart}, ${theLimit}
+				RETURN {
+					geometry_hash: doc._key,
+					distance: distance,
+					geometry_point: doc.geometry,
+					geometry_bounds: doc.geometry_bounds,
+					properties: ${PropertiesAQL(theDescriptor, theSelection)}
+				}
+			`
+
+		///
+		// Return selection aggregation.
+		///
+		default:
+			return aql`
+				LET target = ${theGeometry}
+				FOR doc IN ${theCollectionMap}
+					FOR dat IN ${theCollection}
+						FILTER dat._key == doc._key
+						LET dist = GEO_DISTANCE(target, doc.geometry)
+						FILTER dist >= ${theMin}
+						FILTER dist <= ${theMax}
+						${AggregateAQL(SelectDescriptor(theDescriptor, theSelection), theWhat, theBins, 'dist')}
+			`
+
+	} // switch(theWhat)
+
+} // ClimateDistanceAQL()
+
+/**
+ * This function can be used to retrieve the AQL query required for selecting
+ * the climate data records whose centroids are contained in the provided reference geometry.
+ *
+ * Parameters:
+ * - theDescriptor {Object[]}: Dataset descriptor.
+ * - theCollection {String}: Data collection.
+ * - theCollectionMap {String}: Map collection.
+ * - theGeometry {Object}: GeoJSON reference geometry, provide either a Polygon or MultiPolygon.
+ * - theWhat {String}: Query result: `KEY` geometry hash; `SHAPE` geometries; `DATA` all properties; `MIN` the minimum of all quantitative  properties; `AVG` the average of all quantitative  properties; `MAX` the maximum of all quantitative  properties; `STD` the standard deviation of all quantitative  properties.; `VAR` the variance of all quantitative  properties; `MEDIAN` the median of all quantitative properties; `P05`, `P25`, `P75` and `P95` the percentiles of all quantitative properties; `HIST` the histogram of all quantitative properties.
+ * - theStart {Integer}: The results start index, 0 based. Default: 0. Only relevant for theWhat == `KEY`, `SHAPE` and `DATA`.
+ * - theLimit {Integer}: Number of records to return. Default 10. Only relevant for theWhat == `KEY`, `SHAPE` and `DATA`.
+ * - theSelection {Object}: Properties selection. Only relevant for theWhat == `DATA` and aggregations.
+ * - theBins {Integer}: Number of histogram bins. Default 10. Only relevant for theWhat == `HIST`.
+ *
+ * Returns:
+ * - {String}: The AQL query.
+ */
+function ClimateContainsAQL(theDescriptor, theCollection, theCollectionMap, theGeometry, theWhat, theStart = 0, theLimit = 10, theSelection = {}, theBins = 10)
+{
+	///
+	// Parse request type.
+	///
+	switch(theWhat)
+	{
+		///
+		// Return data record keys.
+		///
+		case 'KEY':
+			return aql`
+				FOR doc IN ${theCollectionMap}
+					FILTER GEO_CONTAINS(${theGeometry}, doc.geometry)
+					LIMIT ${theStart}, ${theLimit}
+				RETURN doc._key
+			`
+
+		///
+		// Return data record geometries.
+		///
+		case 'SHAPE':
+			return aql`
+				FOR doc IN ${theCollectionMap}
+					FILTER GEO_CONTAINS(${theGeometry}, doc.geometry)
+					LIMIT ${theStart}, ${theLimit}
+				RETURN {
+					geometry_hash: doc._key,
+					geometry_point: doc.geometry,
+					geometry_bounds: doc.geometry_bounds
+				}
+			`
+
+		///
+		// Return full data records.
+		///
+		case 'DATA':
+			return aql`
+				FOR doc IN ${theCollectionMap}
+					FILTER GEO_CONTAINS(${theGeometry}, doc.geometry)
+					FOR dat IN ${theCollection}
+						FILTER dat._key == doc._key
+						LIMIT ${theStart}, ${theLimit}
+				RETURN {
+					geometry_hash: doc._key,
+					geometry_point: doc.geometry,
+					geometry_bounds: doc.geometry_bounds,
+					properties: ${PropertiesAQL(theDescriptor, theSelection)}
+				}
+			`
+
+		///
+		// Return selection aggregation.
+		///
+		default:
+			return aql`
+				FOR doc IN ${theCollectionMap}
+					FILTER GEO_CONTAINS(${theGeometry}, doc.geometry)
+					FOR dat IN ${theCollection}
+						FILTER dat._key == doc._key
+						${AggregateAQL(SelectDescriptor(theDescriptor, theSelection), theWhat, theBins)}
+			`
+
+	} // switch(theWhat)
+
+} // ClimateContainsAQL()
+
+/**
+ * This function can be used to retrieve the AQL query required for selecting
+ * the climate data records that intersect with the provided reference geometry.
+ *
+ * Parameters:
+ * - theDescriptor {Object[]}: Dataset descriptor.
+ * - theCollection {String}: Data collection.
+ * - theCollectionMap {String}: Map collection.
+ * - theGeometry {Object}: GeoJSON reference geometry, provide either a Point, MultiPoint, Polygon, MultiPolygon, LineString, or a MultiLineString.
+ * - theWhat {String}: Query result: `KEY` geometry hash; `SHAPE` geometries; `DATA` all properties; `MIN` the minimum of all quantitative  properties; `AVG` the average of all quantitative  properties; `MAX` the maximum of all quantitative  properties; `STD` the standard deviation of all quantitative  properties.; `VAR` the variance of all quantitative  properties; `MEDIAN` the median of all quantitative properties; `P05`, `P25`, `P75` and `P95` the percentiles of all quantitative properties; `HIST` the histogram of all quantitative properties.
+ * - theStart {Integer}: The results start index, 0 based. Default: 0. Only relevant for theWhat == `KEY`, `SHAPE` and `DATA`.
+ * - theLimit {Integer}: Number of records to return. Default 10. Only relevant for theWhat == `KEY`, `SHAPE` and `DATA`.
+ * - theSelection {Object}: Properties selection. Only relevant for theWhat == `DATA` and aggregations.
+ * - theBins {Integer}: Number of histogram bins. Default 10. Only relevant for theWhat == `HIST`.
+ *
+ * Returns:
+ * - {String}: The AQL query.
+ */
+function ClimateIntersectsAQL(theDescriptor, theCollection, theCollectionMap, theGeometry, theWhat, theStart = 0, theLimit = 10, theSelection = {}, theBins = 10)
+{
+	///
+	// Parse request type.
+	///
+	switch(theWhat)
+	{
+		///
+		// Return data record keys.
+		///
+		case 'KEY':
+			return aql`
+				FOR dat IN ${theCollection}
+					FILTER GEO_INTERSECTS(${theGeometry}, dat.geometry_bounds)
+					LIMIT ${theStart}, ${theLimit}
+				RETURN dat._key
+			`
+
+		///
+		// Return data record geometries.
+		///
+		case 'SHAPE':
+			return aql`
+				FOR dat IN ${theCollection}
+					FILTER GEO_INTERSECTS(${theGeometry}, dat.geometry_bounds)
+					LIMIT ${theStart}, ${theLimit}
+				RETURN {
+					geometry_hash: dat._key,
+					geometry_point: dat.geometry_point,
+					geometry_bounds: dat.geometry_bounds
+				}
+			`
+
+		///
+		// Return full data records.
+		///
+		case 'DATA':
+			return aql`
+				FOR dat IN ${theCollection}
+					FILTER GEO_INTERSECTS(${theGeometry}, dat.geometry_bounds)
+					LIMIT ${theStart}, ${theLimit}
+				RETURN {
+					geometry_hash: dat._key,
+					geometry_point: dat.geometry_point,
+					geometry_bounds: dat.geometry_bounds,
+					properties: ${PropertiesAQL(theDescriptor, theSelection)}
+				}
+			`
+
+		///
+		// Return selection aggregation.
+		///
+		default:
+			return aql`
+				FOR dat IN ${theCollection}
+					FILTER GEO_INTERSECTS(${theGeometry}, dat.geometry_bounds)
+					${AggregateAQL(SelectDescriptor(theDescriptor, theSelection), theWhat, theBins)}
+			`
+
+	} // switch(theWhat)
+
+} // ClimateIntersectsAQL()
+
+/**
+ * This function can be used to compute the coverage of the climate data
+ * records that intersect the provided Polygon or MultiPolygon geometry.
+ *
+ * For each record whose data bounds intersect the geometry, the function
+ * computes the fraction of the data bounds covered by the geometry; records
+ * that only touch the geometry are ignored.
+ *
+ * Parameters:
+ * - theCollection {String}: Data collection.
+ * - theGeometry {Object}: GeoJSON reference geometry, provide either a Polygon or MultiPolygon.
+ *
+ * Returns:
+ * - {Object}: `weights`, the covered fraction by record key, and `area`, the effective covered area in square meters.
+ */
+function ClimateCoverage(theCollection, theGeometry)
+{
+	return ClimateUnionCoverage(theCollection, [ theGeometry ])
+
+} // ClimateCoverage()
+
+/**
+ * This function can be used to compute the coverage of the climate data
+ * records that intersect the union of the provided Polygon or MultiPolygon
+ * geometries.
+ *
+ * The covered fraction of a record covered by a single geometry is computed
+ * by clipping, see CoveredFraction(); the fraction of a record covered by
+ * several geometries is the fraction of the union of the geometries, which
+ * is estimated by sampling the record data bounds, see GridSample().
+ *
+ * Parameters:
+ * - theCollection {String}: Data collection.
+ * - theGeometries {Object[]}: List of GeoJSON Polygon or MultiPolygon geometries.
+ *
+ * Returns:
+ * - {Object}: `weights`, the covered fraction by record key, and `area`, the effective covered area in square meters.
+ */
+function ClimateUnionCoverage(theCollection, theGeometries)
+{
+	///
+	// Collect covering geometries.
+	///
+	const cells = {}
+	theGeometries.forEach( (geometry) => {
+		db._query(aql`
+			FOR dat IN ${theCollection}
+				FILTER GEO_INTERSECTS(${geometry}, dat.geometry_bounds)
+			RETURN {
+				geometry_hash: dat._key,
+				geometry_bounds: dat.geometry_bounds,
+				area: GEO_AREA(dat.geometry_bounds)
+			}
+		`).toArray().forEach( (cell) => {
+			const fraction = CoveredFraction(geometry, cell.geometry_bounds)
+			if(fraction > 0) {
+				if(!cells.hasOwnProperty(cell.geometry_hash)) {
+					cells[cell.geometry_hash] = {
+						area: cell.area,
+						bounds: cell.geometry_bounds,
+						fraction,
+						geometries: []
+					}
+				}
+				cells[cell.geometry_hash].geometries.push(geometry)
+			}
+		})
+	})
+
+	///
+	// Compute weights.
+	///
+	const coverage = { weights: {}, area: 0 }
+	Object.entries(cells).forEach( ([key, cell]) => {
+		const fraction = (cell.geometries.length === 1)
+			? cell.fraction
+			: UnionFraction(cell.geometries, cell.bounds)
+		coverage.weights[key] = fraction
+		coverage.area += fraction * cell.area
+	})
+
+	return coverage
+
+} // ClimateUnionCoverage()
+
+/**
+ * This function will estimate the fraction of the provided bounding box
+ * covered by the union of the provided geometries, sampling the box on a
+ * regular grid; samples are only tested against the geometries whose
+ * bounding box contains them.
+ *
+ * Parameters:
+ * - theGeometries {Object[]}: List of GeoJSON Polygon or MultiPolygon geometries.
+ * - theBounds {Object}: GeoJSON Polygon representing the bounding box.
+ *
+ * Returns:
+ * - {Number}: The covered fraction, between `0` and `1`.
+ */
+function UnionFraction(theGeometries, theBounds)
+{
+	const items = theGeometries.map( (geometry) => ({
+		geometry,
+		box: BoundingBox(GeometryPoints(geometry))
+	}))
+
+	let count = 0
+	const samples = GridSample(BoundingBox(theBounds.coordinates[0]), (thePoint) => {
+		if(items.some( (item) =>
+			thePoint[0] >= item.box[0] && thePoint[0] <= item.box[2] &&
+			thePoint[1] >= item.box[1] && thePoint[1] <= item.box[3] &&
+			PointInGeometry(thePoint, item.geometry)
+		)) {
+			count++
+		}
+	})
+
+	return count / samples
+
+} // UnionFraction()
+
+/**
+ * This function can be used to retrieve the AQL query required for the
+ * area weighted aggregation of the climate data records featured in the
+ * provided coverage.
+ *
+ * Each record contributes to the aggregation proportionally to the fraction
+ * of its data bounds covered by the reference geometry.
+ *
+ * Parameters:
+ * - theDescriptor {Object[]}: Dataset descriptor.
+ * - theCollection {String}: Data collection.
+ * - theCoverage {Object}: Records coverage, see ClimateCoverage().
+ * - theWhat {String}: Query result: `AVG` the weighted mean; `STD` the weighted standard deviation; `VAR` the weighted variance.
+ * - theSelection {Object}: Properties selection.
+ *
+ * Returns:
+ * - {String}: The AQL query.
+ */
+function ClimateWeightedAQL(theDescriptor, theCollection, theCoverage, theWhat, theSelection = {})
+{
+	return aql`
+		LET area = ${theCoverage.area}
+		LET weights = ${theCoverage.weights}
+		FOR dat IN ${theCollection}
+			FILTER dat._key IN ${Object.keys(theCoverage.weights)}
+			LET cell_weight = weights[dat._key]
+			${WeightedAggregateAQL(SelectDescriptor(theDescriptor, theSelection), theWhat)}
+	`
+
+} // ClimateWeightedAQL()
+
+/**
+ * This function can be used to retrieve the AQL query required for computing
+ * the difference between the future periods and the baseline period of the
+ * climate data returned by the provided source query.
+ *
+ * The source query is built by the provided callback, which receives the
+ * properties selection featuring the baseline and the selected future periods:
+ * the callback should return a query whose first record contains the
+ * `properties` to compare, all other record properties will be returned as-is.
+ *
+ * Only descriptors featured in both the future and baseline periods are
+ * compared; each compared value is replaced by an object containing the
+ * `absolute` difference and the `relative` difference as a percentage of the
+ * baseline value.
+ *
+ * Parameters:
+ * - theDescriptor {Object[]}: Dataset descriptor.
+ * - theBaseline {String}: Baseline period key.
+ * - theSource {Function}: Source query callback.
+ * - theSelection {Object}: Properties selection, `periods` refers to future periods.
+ *
+ * Returns:
+ * - {String}: The AQL query.
+ */
+function ClimateDeltaAQL(theDescriptor, theBaseline, theSource, theSelection = {})
+{
+	///
+	// Select compared properties.
+	///
+	const delta = DeltaDescriptor(theDescriptor, theBaseline, theSelection)
+	const baseline = SelectDescriptor(theDescriptor, {
+		std_terms: DescriptorTerms(delta),
+		periods: [ theBaseline ],
+		months: theSelection.months
+	})
+
+	///
+	// Source selection.
+	///
+	const selection = {
+		std_terms: DescriptorTerms(delta),
+		periods: [ theBaseline ].concat(DescriptorPeriods(delta)),
+		months: theSelection.months
+	}
+
+	return aql`
+		LET source = FIRST(${theSource(selection)})
+		FILTER source != null
+		RETURN MERGE(
+			UNSET(source, 'properties'),
+			{
+				baseline: ${theBaseline},
+				properties: ${aql.literal(ObjectAQL(DeltaObject(delta, baseline[0], 'source')))}
+			}
+		)
+	`
+
+} // ClimateDeltaAQL()
+
+/**
+ * This function can be used to retrieve the AQL query required for selecting
+ * the climate data records whose values, in the provided period, fall within
+ * all the provided ranges.
+ *
+ * Each range refers to a descriptor of the period, `std_term`, and may provide
+ * a minimum, `min`, a maximum, `max`, or both, inclusive; monthly descriptors
+ * also require the month, `std_month`. Records lacking a value are excluded.
+ *
+ * When requesting shapes, the query returns the `Shapes` records that
+ * intersect at least one matching data record, along with the number of
+ * matching records they intersect.
+ *
+ * Parameters:
+ * - theDescriptor {Object[]}: Dataset descriptor.
+ * - theCollection {String}: Data collection.
+ * - theCollectionShapes {String}: Shapes collection.
+ * - thePeriod {String}: Group key of the ranges.
+ * - theRanges {Object[]}: List of ranges, `std_term`, `std_month`, `min` and `max`.
+ * - theGeometry {Object}: GeoJSON bounding geometry, or `null` for no spatial constraint.
+ * - theWhat {String}: Query result: `KEY` geometry hash; `SHAPE` geometries; `DATA` all properties; `SHAPES` the matching shape records.
+ * - theStart {Integer}: The results start index, 0 based. Default: 0.
+ * - theLimit {Integer}: Number of records to return. Default 10.
+ * - theSelection {Object}: Properties selection. Only relevant for theWhat == `DATA`.
+ *
+ * Returns:
+ * - {String}: The AQL query.
+ */
+function ClimateEnvelopeAQL(theDescriptor, theCollection, theCollectionShapes, thePeriod, theRanges, theGeometry, theWhat, theStart = 0, theLimit = 10, theSelection = {})
+{
+	///
+	// Filter clauses.
+	///
+	const bounds = (theGeometry === null)
+		? aql.literal('')
+		: aql`FILTER GEO_INTERSECTS(${theGeometry}, dat.geometry_bounds)`
+	const filters = EnvelopeFilterAQL(theDescriptor, thePeriod, theRanges)
+
+	///
+	// Parse request type.
+	///
+	switch(theWhat)
+	{
+		///
+		// Return data record keys.
+		///
+		case 'KEY':
+			return aql`
+				FOR dat IN ${theCollection}
+					${bounds}
+					${filters}
+					LIMIT ${theStart}, ${theLimit}
+				RETURN dat._key
+			`
+
+		///
+		// Return data record geometries.
+		///
+		case 'SHAPE':
+			return aql`
+				FOR dat IN ${theCollection}
+					${bounds}
+					${filters}
+					LIMIT ${theStart}, ${theLimit}
+				RETURN {
+					geometry_hash: dat._key,
+					geometry_point: dat.geometry_point,
+					geometry_bounds: dat.geometry_bounds
+				}
+			`
+
+		///
+		// Return full data records.
+		///
+		case 'DATA':
+			return aql`
+				FOR dat IN ${theCollection}
+					${bounds}
+					${filters}
+					LIMIT ${theStart}, ${theLimit}
+				RETURN {
+					geometry_hash: dat._key,
+					geometry_point: dat.geometry_point,
+					geometry_bounds: dat.geometry_bounds,
+					properties: ${PropertiesAQL(theDescriptor, theSelection)}
+				}
+			`
+
+		///
+		// Return intersecting shapes.
+		///
+		default:
+			return aql`
+				FOR dat IN ${theCollection}
+					${bounds}
+					${filters}
+					FOR shape IN ${theCollectionShapes}
+						FILTER GEO_INTERSECTS(dat.geometry_bounds, shape.geometry)
+						COLLECT key = shape._key WITH COUNT INTO records
+						LIMIT ${theStart}, ${theLimit}
+						FOR doc IN ${theCollectionShapes}
+							FILTER doc._key == key
+				RETURN {
+					geometry_hash: doc._key,
+					count: records,
+					geometry: doc.geometry,
+					geometry_bounds: doc.geometry_bounds,
+					properties: doc.properties
+				}
+			`
+
+	} // switch(theWhat)
+
+} // ClimateEnvelopeAQL()
+
+/**
+ * This function can be used to retrieve the AQL query required for computing
+ * the moments of the provided descriptors in the provided period: the number
+ * of records, the sums of the values and the sums of their pairwise products.
+ *
+ * Only records featuring all the descriptors are considered; if a radius is
+ * provided, only records whose centroid lies within that distance from the
+ * provided center are considered.
+ *
+ * Parameters:
+ * - theDescriptor {Object[]}: Dataset descriptor.
+ * - theCollection {String}: Data collection.
+ * - thePeriod {String}: Group key of the descriptors.
+ * - theTerms {String[]}: Descriptors.
+ * - theCenter {Object}: GeoJSON Point of the search center.
+ * - theRadius {Number}: Search radius in meters, or `null` for no spatial constraint.
+ *
+ * Returns:
+ * - {String}: The AQL query.
+ */
+function ClimateMomentsAQL(theDescriptor, theCollection, thePeriod, theTerms, theCenter, theRadius = null)
+{
+	///
+	// Build aggregates.
+	///
+	const values = AnalogueAccessors(theDescriptor, thePeriod, theTerms)
+	const aggregates = [ 'count = COUNT()' ]
+	const sums = []
+	const products = values.map( () => [] )
+	values.forEach( (value, i) => {
+		aggregates.push(`s${i} = SUM(${value})`)
+		sums.push(`s${i}`)
+		values.forEach( (other, j) => {
+			if(j >= i) {
+				aggregates.push(`q${i}_${j} = SUM(${value} * ${other})`)
+			}
+			products[i].push((j >= i) ? `q${i}_${j}` : `q${j}_${i}`)
+		})
+	})
+
+	return aql`
+		FOR dat IN ${theCollection}
+			${AnalogueFilterAQL(values, theCenter, theRadius)}
+			COLLECT AGGREGATE ${aql.literal(aggregates.join(',\n'))}
+		RETURN ${aql.literal(ObjectAQL({ count: 'count', sums, products }))}
+	`
+
+} // ClimateMomentsAQL()
+
+/**
+ * This function can be used to retrieve the AQL query required for selecting
+ * the climate data records whose values, in the provided period, are closest
+ * to the provided target values.
+ *
+ * The distance is the square root of the quadratic form of the differences
+ * between the record and target values with the provided distance matrix, the
+ * records are returned in ascending distance order.
+ *
+ * Parameters:
+ * - theDescriptor {Object[]}: Dataset descriptor.
+ * - theCollection {String}: Data collection.
+ * - thePeriod {String}: Group key of the descriptors.
+ * - theTerms {String[]}: Descriptors.
+ * - theTarget {Object}: Target values by descriptor.
+ * - theMatrix {Number[][]}: Distance matrix, in descriptors order.
+ * - theCenter {Object}: GeoJSON Point of the search center.
+ * - theRadius {Number}: Search radius in meters, or `null` for no spatial constraint.
+ * - theLimit {Integer}: Number of records to return. Default 10.
+ *
+ * Returns:
+ * - {String}: The AQL query.
+ */
+function ClimateAnalogueAQL(theDescriptor, theCollection, thePeriod, theTerms, theTarget, theMatrix, theCenter, theRadius = null, theLimit = 10)
+{
+	///
+	// Differences and quadratic form.
+	///
+	const values = AnalogueAccessors(theDescriptor, thePeriod, theTerms)
+	const differences = values.map( (value, i) =>
+		`LET d${i} = ${value} - ${Number(theTarget[theTerms[i]])}`
+	)
+	const form = theMatrix.map( (row, i) => {
+		const terms = row
+			.map( (value, j) => (value === 0) ? null : `${Number(value)} * d${j}`)
+			.filter( (item) => item !== null )
+		return (terms.length > 0) ? `d${i} * (${terms.join(' + ')})` : null
+	}).filter( (item) => item !== null )
+
+	///
+	// Returned values.
+	///
+	const result = theTerms.reduce( (object, term, index) => {
+		object[term] = values[index]
+		return object
+	}, {})
+
+	return aql`
+		FOR dat IN ${theCollection}
+			${AnalogueFilterAQL(values, theCenter, theRadius)}
+			${aql.literal(differences.join('\n'))}
+			LET distance = SQRT(MAX([ 0, ${aql.literal((form.length > 0) ? form.join(' + ') : '0')} ]))
+			SORT distance ASC
+			LIMIT ${theLimit}
+		RETURN {
+			geometry_hash: dat._key,
+			geometry_point: dat.geometry_point,
+			geometry_bounds: dat.geometry_bounds,
+			distance: distance,
+			values: ${aql.literal(ObjectAQL(result))}
+		}
+	`
+
+} // ClimateAnalogueAQL()
+
+/**
+ * This function can be used to generate the `COLLECT AGGREGATE` and `RETURN`
+ * clauses that aggregate all the quantitative properties featured in the
+ * provided descriptor.
+ *
+ * The clauses expect the data record to be in the `dat` variable, if a
+ * distance variable name is provided, the distance will also be aggregated.
+ *
+ * Median, percentiles and histograms are computed on the list of values
+ * collected for each property.
+ *
+ * Parameters:
+ * - theDescriptor {Object[]}: Dataset descriptor, see SelectDescriptor().
+ * - theWhat {String}: Aggregation, one of the AggregateFunctions keys.
+ * - theBins {Integer}: Number of histogram bins.
+ * - theDistance {String}: Distance variable name, or `null`.
+ *
+ * Returns:
+ * - {Object}: The AQL literal.
+ */
+function AggregateAQL(theDescriptor, theWhat, theBins = 10, theDistance = null)
+{
+	///
+	// Init local storage.
+	///
+	const func = AggregateFunctions[theWhat]
+	const aggregates = [ 'count = COUNT()' ]
+	const result = { count: 'count' }
+
+	///
+	// Handle distance.
+	///
+	if(theDistance !== null) {
+		aggregates.push(`distance = ${func.aggregate}(${theDistance})`)
+		result.distance = func.result('distance', theBins)
+	}
+
+	///
+	// Aggregate properties.
+	///
+	result.properties = PropertiesObject(theDescriptor, (theSource, theAlias) => {
+		aggregates.push(`${theAlias} = ${func.aggregate}(${theSource})`)
+		return func.result(theAlias, theBins)
+	})
+
+	return aql.literal(`
+		COLLECT AGGREGATE ${aggregates.join(',\n')}
+		RETURN ${ObjectAQL(result)}
+	`)
+
+} // AggregateAQL()
+
+/**
+ * This function can be used to generate the `COLLECT AGGREGATE` and `RETURN`
+ * clauses that compute the weighted aggregation of all the quantitative
+ * properties featured in the provided descriptor.
+ *
+ * The clauses expect the data record to be in the `dat` variable, the record
+ * weight in the `cell_weight` variable and the covered area in the `area`
+ * variable. Weights are only summed for records having a value.
+ *
+ * Parameters:
+ * - theDescriptor {Object[]}: Dataset descriptor, see SelectDescriptor().
+ * - theWhat {String}: Aggregation, one of the WeightedFunctions keys.
+ *
+ * Returns:
+ * - {Object}: The AQL literal.
+ */
+function WeightedAggregateAQL(theDescriptor, theWhat)
+{
+	///
+	// Init local storage.
+	///
+	const func = WeightedFunctions[theWhat]
+	const aggregates = [ 'count = COUNT()', 'weight = SUM(cell_weight)' ]
+	const result = { count: 'count', area: 'area', weight: 'weight' }
+
+	///
+	// Aggregate properties.
+	///
+	result.properties = PropertiesObject(theDescriptor, (theSource, theAlias) => {
+		aggregates.push(`${theAlias}_w = SUM(IS_NUMBER(${theSource}) ? cell_weight : 0)`)
+		aggregates.push(`${theAlias}_s = SUM(IS_NUMBER(${theSource}) ? cell_weight * ${theSource} : 0)`)
+		aggregates.push(`${theAlias}_q = SUM(IS_NUMBER(${theSource}) ? cell_weight * ${theSource} * ${theSource} : 0)`)
+		return func(`${theAlias}_w`, `${theAlias}_s`, `${theAlias}_q`)
+	})
+
+	return aql.literal(`
+		COLLECT AGGREGATE ${aggregates.join(',\n')}
+		RETURN ${ObjectAQL(result)}
+	`)
+
+} // WeightedAggregateAQL()
+
+/**
+ * This function can be used to generate the AQL expression that computes
+ * the fixed bin histogram of the provided list of values.
+ *
+ * The expression returns an object with the values range, `min` and `max`,
+ * the bin `width` and the list of bin `counts`, or `null` if there are no
+ * numeric values. Values equal to the maximum fall in the last bin.
+ *
+ * Parameters:
+ * - theVariable {String}: Variable holding the list of values.
+ * - theBins {Integer}: Number of bins.
+ *
+ * Returns:
+ * - {String}: The AQL expression.
+ */
+function HistogramAQL(theVariable, theBins)
+{
+	const bins = Math.max(1, parseInt(theBins, 10) || 1)
+
+	return `FIRST(
+		FOR list IN [ ${theVariable}[* FILTER IS_NUMBER(CURRENT)] ]
+			LET low = MIN(list)
+			LET high = MAX(list)
+			LET width = (high - low) / ${bins}
+			LET indexes = list[* RETURN (width == 0) ? 0 : MIN([ ${bins - 1}, FLOOR((CURRENT - low) / width) ])]
+		RETURN (LENGTH(list) == 0) ? null : {
+			min: low,
+			max: high,
+			width: width,
+			counts: (FOR bin IN 0..${bins - 1} RETURN LENGTH(indexes[* FILTER CURRENT == bin]))
+		}
+	)`
+
+} // HistogramAQL()
+
+/**
+ * This function can be used to generate the `FILTER` clauses that select the
+ * data records, in the `dat` variable, whose values fall within the provided
+ * ranges.
+ *
+ * Range bounds are validated numbers, so they are serialised in the clauses.
+ *
+ * Parameters:
+ * - theDescriptor {Object[]}: Dataset descriptor.
+ * - thePeriod {String}: Group key of the ranges.
+ * - theRanges {Object[]}: List of ranges, see ClimateEnvelopeAQL().
+ *
+ * Returns:
+ * - {Object}: The AQL literal.
+ */
+function EnvelopeFilterAQL(theDescriptor, thePeriod, theRanges)
+{
+	const group = theDescriptor.find( (item) => item.key === thePeriod )
+	const source = PropertyAccessor([ 'dat', 'properties' ].concat(group.path))
+
+	return aql.literal(
+		theRanges.map( (range) => {
+			const value = (range.std_month === undefined)
+				? `${source}.${PropertyName(range.std_term)}`
+				: `${source}.std_date_span_month[${range.std_month - 1}].${PropertyName(range.std_term)}`
+			const clauses = [ `IS_NUMBER(${value})` ]
+			if(range.min !== undefined) {
+				clauses.push(`${value} >= ${Number(range.min)}`)
+			}
+			if(range.max !== undefined) {
+				clauses.push(`${value} <= ${Number(range.max)}`)
+			}
+
+			return `FILTER ${clauses.join(' && ')}`
+		}).join('\n')
+	)
+
+} // EnvelopeFilterAQL()
+
+/**
+ * This function can be used to generate the `FILTER` clauses that select the
+ * data records, in the `dat` variable, featuring all the provided values and,
+ * if a radius is provided, whose centroid lies within that distance from the
+ * provided center.
+ *
+ * Parameters:
+ * - theValues {String[]}: Value accessors, see AnalogueAccessors().
+ * - theCenter {Object}: GeoJSON Point of the search center.
+ * - theRadius {Number}: Search radius in meters, or `null`.
+ *
+ * Returns:
+ * - {Object}: The AQL query fragment.
+ */
+function AnalogueFilterAQL(theValues, theCenter, theRadius)
+{
+	const values = aql.literal(
+		`FILTER ${theValues.map( (value) => `IS_NUMBER(${value})` ).join(' && ')}`
+	)
+
+	return (theRadius === null)
+		? values
+		: aql`
+			FILTER GEO_DISTANCE(${theCenter}, dat.geometry_point) <= ${theRadius}
+			${values}
+		`
+
+} // AnalogueFilterAQL()
+
+/**
+ * This function will return the AQL accessors of the provided descriptors in
+ * the provided period of the data record in the `dat` variable.
+ *
+ * Parameters:
+ * - theDescriptor {Object[]}: Dataset descriptor.
+ * - thePeriod {String}: Group key of the descriptors.
+ * - theTerms {String[]}: Descriptors.
+ *
+ * Returns:
+ * - {String[]}: The list of accessors.
+ */
+function AnalogueAccessors(theDescriptor, thePeriod, theTerms)
+{
+	const group = theDescriptor.find( (item) => item.key === thePeriod )
+	const source = PropertyAccessor([ 'dat', 'properties' ].concat(group.path))
+
+	return theTerms.map( (term) => `${source}.${PropertyName(term)}` )
+
+} // AnalogueAccessors()
+
+/**
+ * This function can be used to generate the AQL expression returning the
+ * selected properties of the data record in the `dat` variable.
+ *
+ * If the selection is empty, the expression will return all the properties.
+ *
+ * Parameters:
+ * - theDescriptor {Object[]}: Dataset descriptor.
+ * - theSelection {Object}: Properties selection.
+ *
+ * Returns:
+ * - {Object}: The AQL literal.
+ */
+function PropertiesAQL(theDescriptor, theSelection = {})
+{
+	///
+	// Handle no selection.
+	///
+	if(!IsSelection(theSelection)) {
+		return aql.literal('dat.properties')
+	}
+
+	return aql.literal(
+		ObjectAQL(
+			PropertiesObject(
+				SelectDescriptor(theDescriptor, theSelection),
+				(theSource) => theSource
+			)
+		)
+	)
+
+} // PropertiesAQL()
+
+/**
+ * This function can be used to build the structure of the `properties`
+ * object featured in the provided descriptor.
+ *
+ * The provided callback receives the AQL accessor of the property in the
+ * `dat` record and a unique alias for the property, it should return the
+ * AQL expression that will be set in the returned structure.
+ *
+ * Parameters:
+ * - theDescriptor {Object[]}: Dataset descriptor, see SelectDescriptor().
+ * - theValue {Function}: Property expression callback.
+ *
+ * Returns:
+ * - {Object}: The properties structure.
+ */
+function PropertiesObject(theDescriptor, theValue)
+{
+	const properties = {}
+
+	///
+	// Iterate groups.
+	///
+	theDescriptor.forEach( (group, index) =>
+	{
+		///
+		// Locate group in result.
+		///
+		let target = properties
+		group.path.forEach( (key) => {
+			if(!target.hasOwnProperty(key)) {
+				target[key] = {}
+			}
+			target = target[key]
+		})
+
+		///
+		// Handle scalar descriptors.
+		///
+		const source = PropertyAccessor([ 'dat', 'properties' ].concat(group.path))
+		group.annual.forEach( (term) => {
+			target[term] = theValue(`${source}.${term}`, `group${index}_${term}`)
+		})
+
+		///
+		// Handle monthly descriptors.
+		///
+		if(group.monthly.length > 0) {
+			target.std_date_span_month = group.months.map( (month) => {
+				const record = { std_month: String(month) }
+				group.monthly.forEach( (term) => {
+					record[term] = theValue(
+						`${source}.std_date_span_month[${month - 1}].${term}`,
+						`group${index}_${month}_${term}`
+					)
+				})
+				return record
+			})
+		}
+	})
+
+	return properties
+
+} // PropertiesObject()
+
+/**
+ * This function can be used to build the structure of the `properties`
+ * object comparing the future periods with the baseline period.
+ *
+ * Both periods are read from the properties of the record in the provided
+ * variable, which must feature the selected months in the same order.
+ *
+ * Parameters:
+ * - theDelta {Object[]}: Future periods descriptor, see DeltaDescriptor().
+ * - theBaseline {Object}: Baseline descriptor group, or `undefined`.
+ * - theVariable {String}: Record variable name.
+ *
+ * Returns:
+ * - {Object}: The properties structure.
+ */
+function DeltaObject(theDelta, theBaseline, theVariable)
+{
+	const properties = {}
+
+	///
+	// Handle missing baseline.
+	///
+	if(theBaseline === undefined) {
+		return properties
+	}
+
+	///
+	// Difference helper.
+	///
+	const compare = (theFuture, thePast) => ({
+		absolute: `(IS_NUMBER(${theFuture}) && IS_NUMBER(${thePast})) ? ${theFuture} - ${thePast} : null`,
+		relative: `(IS_NUMBER(${theFuture}) && IS_NUMBER(${thePast}) && ${thePast} != 0) ? 100 * (${theFuture} - ${thePast}) / ABS(${thePast}) : null`
+	})
+
+	///
+	// Iterate future periods.
+	///
+	const past = PropertyAccessor([ theVariable, 'properties' ].concat(theBaseline.path))
+	theDelta.forEach( (group) =>
+	{
+		///
+		// Locate group in result.
+		///
+		let target = properties
+		group.path.forEach( (key) => {
+			if(!target.hasOwnProperty(key)) {
+				target[key] = {}
+			}
+			target = target[key]
+		})
+
+		///
+		// Handle scalar descriptors.
+		///
+		const future = PropertyAccessor([ theVariable, 'properties' ].concat(group.path))
+		group.annual.forEach( (term) => {
+			target[term] = compare(`${future}.${term}`, `${past}.${term}`)
+		})
+
+		///
+		// Handle monthly descriptors.
+		///
+		if(group.monthly.length > 0) {
+			target.std_date_span_month = group.months.map( (month, index) => {
+				const record = { std_month: String(month) }
+				group.monthly.forEach( (term) => {
+					record[term] = compare(
+						`${future}.std_date_span_month[${index}].${term}`,
+						`${past}.std_date_span_month[${index}].${term}`
+					)
+				})
+				return record
+			})
+		}
+	})
+
+	return properties
+
+} // DeltaObject()
+
+/**
+ * This function will apply the provided selection to the provided descriptor.
+ *
+ * The returned descriptor groups will feature the selected descriptors and
+ * an additional `months` property containing the selected months; groups
+ * without selected descriptors will be omitted.
+ *
+ * Parameters:
+ * - theDescriptor {Object[]}: Dataset descriptor.
+ * - theSelection {Object}: Properties selection.
+ *
+ * Returns:
+ * - {Object[]}: The selected descriptor.
+ */
+function SelectDescriptor(theDescriptor, theSelection = {})
+{
+	///
+	// Filter helper.
+	///
+	const select = (theList, theSelected) =>
+		(Array.isArray(theSelected) && theSelected.length > 0)
+			? theList.filter( (item) => theSelected.includes(item) )
+			: theList
+
+	return theDescriptor
+		.filter( (group) => select([ group.key ], theSelection.periods).length > 0 )
+		.map( (group) => ({
+			key: group.key,
+			path: group.path,
+			annual: select(group.annual, theSelection.std_terms),
+			monthly: select(group.monthly, theSelection.std_terms),
+			months: select(MonthList, theSelection.months)
+		}))
+		.filter( (group) => (group.annual.length + group.monthly.length) > 0 )
+
+} // SelectDescriptor()
+
+/**
+ * This function will return the descriptor of the future periods that can be
+ * compared with the provided baseline period.
+ *
+ * Groups other than the baseline only retain the descriptors also featured in
+ * the baseline, the provided selection is then applied, see SelectDescriptor().
+ *
+ * Parameters:
+ * - theDescriptor {Object[]}: Dataset descriptor.
+ * - theBaseline {String}: Baseline period key.
+ * - theSelection {Object}: Properties selection.
+ *
+ * Returns:
+ * - {Object[]}: The future periods descriptor.
+ */
+function DeltaDescriptor(theDescriptor, theBaseline, theSelection = {})
+{
+	const baseline = theDescriptor.find( (group) => group.key === theBaseline )
+
+	return SelectDescriptor(
+		theDescriptor
+			.filter( (group) => group.key !== theBaseline )
+			.map( (group) => Object.assign({}, group, {
+				annual: group.annual.filter( (term) => baseline.annual.includes(term) ),
+				monthly: group.monthly.filter( (term) => baseline.monthly.includes(term) )
+			})),
+		theSelection
+	)
+
+} // DeltaDescriptor()
+
+/**
+ * This function will check whether the provided selection restricts the
+ * properties.
+ *
+ * Parameters:
+ * - theSelection {Object}: Properties selection.
+ *
+ * Returns:
+ * - {Boolean}: `true` if any selection list is not empty.
+ */
+function IsSelection(theSelection = {})
+{
+	return [ 'std_terms', 'periods', 'months' ].some( (key) =>
+		Array.isArray(theSelection[key]) && theSelection[key].length > 0
+	)
+
+} // IsSelection()
+
+/**
+ * This function will return all the descriptors featured in the provided
+ * dataset descriptor.
+ *
+ * Parameters:
+ * - theDescriptor {Object[]}: Dataset descriptor.
+ *
+ * Returns:
+ * - {String[]}: The list of descriptors.
+ */
+function DescriptorTerms(theDescriptor)
+{
+	const terms = []
+	theDescriptor.forEach( (group) => {
+		group.annual.concat(group.monthly).forEach( (term) => {
+			if(!terms.includes(term)) {
+				terms.push(term)
+			}
+		})
+	})
+
+	return terms
+
+} // DescriptorTerms()
+
+/**
+ * This function will return all the group keys featured in the provided
+ * dataset descriptor.
+ *
+ * Parameters:
+ * - theDescriptor {Object[]}: Dataset descriptor.
+ *
+ * Returns:
+ * - {String[]}: The list of group keys.
+ */
+function DescriptorPeriods(theDescriptor)
+{
+	return theDescriptor.map( (group) => group.key )
+
+} // DescriptorPeriods()
+
+/**
+ * This function will return the AQL property accessor for the provided path,
+ * path elements that are not valid identifiers will be quoted.
+ *
+ * Parameters:
+ * - thePath {String[]}: Property path, the first element is the variable.
+ *
+ * Returns:
+ * - {String}: The AQL accessor.
+ */
+function PropertyAccessor(thePath)
+{
+	return thePath.map(PropertyName).join('.')
+
+} // PropertyAccessor()
+
+/**
+ * This function will quote the provided property name, if it is not a valid
+ * AQL identifier.
+ *
+ * Parameters:
+ * - theName {String}: Property name.
+ *
+ * Returns:
+ * - {String}: The AQL property name.
+ */
+function PropertyName(theName)
+{
+	return (/^[A-Za-z_][A-Za-z0-9_]*$/.test(theName))
+		? theName
+		: `\`${theName}\``
+
+} // PropertyName()
+
+/**
+ * This function will serialise the provided object as an AQL object literal,
+ * string values are the AQL expressions of the object properties.
+ *
+ * Parameters:
+ * - theObject {Object|Array|String}: Object structure.
+ *
+ * Returns:
+ * - {String}: The AQL expression.
+ */
+function ObjectAQL(theObject)
+{
+	if(Array.isArray(theObject)) {
+		return `[ ${theObject.map(ObjectAQL).join(', ')} ]`
+	}
+
+	if(typeof theObject === 'object') {
+		return `{ ${Object.entries(theObject).map(
+			([key, value]) => `${PropertyName(key)}: ${ObjectAQL(value)}`
+		).join(', ')} }`
+	}
+
+	return theObject
+
+} // ObjectAQL()
+
+
+module.exports = {
+	ClimateClickAQL,
+	ClimateDistanceAQL,
+	ClimateContainsAQL,
+	ClimateIntersectsAQL,
+	ClimateCoverage,
+	ClimateUnionCoverage,
+	ClimateWeightedAQL,
+	ClimateDeltaAQL,
+	ClimateEnvelopeAQL,
+	ClimateMomentsAQL,
+	ClimateAnalogueAQL,
+	HistogramAQL,
+	DeltaDescriptor,
+	SelectDescriptor,
+	IsSelection,
+	DescriptorTerms,
+	DescriptorPeriods
+}
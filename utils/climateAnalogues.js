@@ -0,0 +1,201 @@
+'use strict'
+
+/**
+ * climateAnalogues.js
+ *
+ * This script contains the functions used to find climate analogues: the
+ * locations whose climate in a period best matches the climate of a target
+ * location in another period.
+ *
+ * Climates are compared on a set of bioclimatic variables with either the
+ * *standardised Euclidean* distance, in which each variable difference is
+ * divided by the variable's standard deviation, or the *Mahalanobis*
+ * distance, which also accounts for the covariance of the variables. Both
+ * are expressed as the quadratic form of the differences with a *distance
+ * matrix*, computed from the moments of the searched records.
+ */
+
+///
+// Modules.
+///
+const {DeltaDescriptor, DescriptorTerms} = require('./climateAggregateAQL')
+const {GroupProperties} = require('./climateMonthly')
+
+///
+// Bioclimatic descriptors pattern.
+///
+const BioclimaticPattern = /^env_climate_bio[0-9]{2}$/
+
+///
+// Matrix inversion tolerance.
+///
+const SingularTolerance = 1e-12
+
+
+/**
+ * This function will return the bioclimatic descriptors that can be used to
+ * compare the future periods with the baseline period.
+ *
+ * Parameters:
+ * - theDescriptor {Object[]}: Dataset descriptor.
+ * - theBaseline {String}: Baseline period key.
+ *
+ * Returns:
+ * - {String[]}: The list of descriptors.
+ */
+function AnalogueTerms(theDescriptor, theBaseline)
+{
+	return DescriptorTerms(DeltaDescriptor(theDescriptor, theBaseline))
+		.filter( (term) => BioclimaticPattern.test(term) )
+
+} // AnalogueTerms()
+
+/**
+ * This function will return the values of the provided descriptors in the
+ * provided period of the provided properties.
+ *
+ * Parameters:
+ * - theDescriptor {Object[]}: Dataset descriptor.
+ * - thePeriod {String}: Period key.
+ * - theProperties {Object}: Data record properties, or `null`.
+ * - theTerms {String[]}: Descriptors.
+ *
+ * Returns:
+ * - {Object}: The values by descriptor, or `null` if any value is missing.
+ */
+function AnalogueValues(theDescriptor, thePeriod, theProperties, theTerms)
+{
+	const group = GroupProperties(theDescriptor, thePeriod, theProperties)
+	if(!theTerms.every( (term) => typeof group[term] === 'number' )) {
+		return null
+	}
+
+	return theTerms.reduce( (values, term) => {
+		values[term] = group[term]
+		return values
+	}, {})
+
+} // AnalogueValues()
+
+/**
+ * This function will return the distance matrix of the provided metric.
+ *
+ * The moments are the number of records, `count`, the sums of the values,
+ * `sums`, and the sums of the products of the values, `products`, in the
+ * order of the provided descriptors. Variances and covariances refer to the
+ * population.
+ *
+ * Parameters:
+ * - theMetric {String}: `EUCLIDEAN` or `MAHALANOBIS`.
+ * - theMoments {Object}: Searched records moments.
+ * - theTerms {String[]}: Descriptors.
+ *
+ * Returns:
+ * - {Object}: The `means` and `deviations` by descriptor and the distance `matrix`, or `null` if the matrix cannot be computed.
+ */
+function DistanceMatrix(theMetric, theMoments, theTerms)
+{
+	///
+	// Handle too few records.
+	///
+	const count = theMoments.count
+	if(count < 2) {
+		return null
+	}
+
+	///
+	// Covariance.
+	///
+	const means = theMoments.sums.map( (sum) => sum / count )
+	const covariance = theMoments.products.map( (row, i) =>
+		row.map( (product, j) => (product / count) - (means[i] * means[j]) )
+	)
+	const deviations = covariance.map( (row, i) => Math.sqrt(Math.max(0, row[i])) )
+	if(deviations.some( (deviation) => deviation === 0 )) {
+		return null
+	}
+
+	///
+	// Distance matrix.
+	///
+	const matrix = (theMetric === 'MAHALANOBIS')
+		? InverseMatrix(covariance)
+		: covariance.map( (row, i) =>
+			row.map( (value, j) => (i === j) ? 1 / row[i] : 0 )
+		)
+	if(matrix === null) {
+		return null
+	}
+
+	return {
+		means: theTerms.reduce( (result, term, index) => {
+			result[term] = means[index]
+			return result
+		}, {}),
+		deviations: theTerms.reduce( (result, term, index) => {
+			result[term] = deviations[index]
+			return result
+		}, {}),
+		matrix
+	}
+
+} // DistanceMatrix()
+
+/**
+ * This function will return the inverse of the provided square matrix, using
+ * Gauss-Jordan elimination with partial pivoting.
+ *
+ * Parameters:
+ * - theMatrix {Number[][]}: Square matrix.
+ *
+ * Returns:
+ * - {Number[][]}: The inverse matrix, or `null` if the matrix is singular.
+ */
+function InverseMatrix(theMatrix)
+{
+	const size = theMatrix.length
+	const rows = theMatrix.map( (row, i) =>
+		row.concat(row.map( (value, j) => (i === j) ? 1 : 0 ))
+	)
+
+	for(let column = 0; column < size; column++)
+	{
+		///
+		// Select pivot.
+		///
+		let pivot = column
+		for(let row = column + 1; row < size; row++) {
+			if(Math.abs(rows[row][column]) > Math.abs(rows[pivot][column])) {
+				pivot = row
+			}
+		}
+		const scale = Math.max(...theMatrix[column].map(Math.abs))
+		if(Math.abs(rows[pivot][column]) <= SingularTolerance * scale) {
+			return null
+		}
+		[ rows[column], rows[pivot] ] = [ rows[pivot], rows[column] ]
+
+		///
+		// Eliminate column.
+		///
+		const divisor = rows[column][column]
+		rows[column] = rows[column].map( (value) => value / divisor )
+		for(let row = 0; row < size; row++) {
+			if(row !== column) {
+				const factor = rows[row][column]
+				rows[row] = rows[row].map( (value, index) => value - (factor * rows[column][index]) )
+			}
+		}
+	}
+
+	return rows.map( (row) => row.slice(size) )
+
+} // InverseMatrix()
+
+
+module.exports = {
+	AnalogueTerms,
+	AnalogueValues,
+	DistanceMatrix,
+	InverseMatrix
+}
@@ -0,0 +1,265 @@
+'use strict'
+
+/**
+ * climateComparison.js
+ *
+ * This script contains the functions used to compare the Chelsa and WorldClim
+ * datasets: periods are paired by the closeness of their midpoints and only
+ * the descriptors featured by both datasets are compared.
+ */
+
+///
+// Modules.
+///
+const {ChelsaDescriptor} = require('./chelsaAggregateAQL')
+const {WorldClimDescriptor} = require('./worldclimAggregateAQL')
+const {GroupProperties} = require('./climateMonthly')
+
+///
+// Harmonised scalar descriptors.
+///
+const ComparisonAnnualTerms = [
+	'env_climate_bio01', 'env_climate_bio02', 'env_climate_bio03', 'env_climate_bio04',
+	'env_climate_bio05', 'env_climate_bio06', 'env_climate_bio07', 'env_climate_bio08',
+	'env_climate_bio09', 'env_climate_bio10', 'env_climate_bio11', 'env_climate_bio12',
+	'env_climate_bio13', 'env_climate_bio14', 'env_climate_bio15', 'env_climate_bio16',
+	'env_climate_bio17', 'env_climate_bio18', 'env_climate_bio19'
+]
+
+///
+// Harmonised monthly descriptors.
+///
+const ComparisonMonthlyTerms = [
+	'env_climate_pr', 'env_climate_tas', 'env_climate_tasmax', 'env_climate_tasmin'
+]
+
+///
+// Number of monthly records.
+///
+const MonthList = [ 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12 ]
+
+
+/**
+ * This function will pair each Chelsa period with the WorldClim period whose
+ * midpoint year is closest.
+ *
+ * Parameters:
+ * - thePeriods {String[]}: Chelsa periods to pair, omit to pair all periods.
+ *
+ * Returns:
+ * - {Object[]}: List of `chelsa` and `worldclim` period pairs, with the `offset`
+ *   in years between the WorldClim and Chelsa midpoints.
+ */
+function PeriodPairs(thePeriods = [])
+{
+	const worldclim = WorldClimDescriptor.filter( (group) => PeriodMidpoint(group.key) !== null )
+
+	return ChelsaDescriptor
+		.filter( (group) => thePeriods.length === 0 || thePeriods.includes(group.key) )
+		.map( (group) => {
+			const midpoint = PeriodMidpoint(group.key)
+			const closest = worldclim.reduce( (best, item) =>
+				(Math.abs(PeriodMidpoint(item.key) - midpoint) < Math.abs(PeriodMidpoint(best.key) - midpoint))
+					? item
+					: best
+			)
+
+			return {
+				chelsa: group.key,
+				worldclim: closest.key,
+				offset: PeriodMidpoint(closest.key) - midpoint
+			}
+		})
+
+} // PeriodPairs()
+
+/**
+ * This function will return the Chelsa and WorldClim selections required to
+ * retrieve the properties compared for the provided period pairs.
+ *
+ * Parameters:
+ * - thePairs {Object[]}: Period pairs, see PeriodPairs().
+ * - theTerms {String[]}: Descriptors to compare, omit to compare all harmonised descriptors.
+ * - theMonths {Number[]}: Months to compare, omit to compare all months.
+ *
+ * Returns:
+ * - {Object}: The `chelsa` and `worldclim` selections.
+ */
+function ComparisonSelections(thePairs, theTerms = [], theMonths = [])
+{
+	const terms = (theTerms.length > 0)
+		? theTerms
+		: ComparisonAnnualTerms.concat(ComparisonMonthlyTerms)
+
+	///
+	// Future WorldClim periods lack the mean temperature,
+	// which is derived from the minimum and maximum temperatures.
+	///
+	const worldclim = (terms.includes('env_climate_tas'))
+		? [ ...new Set(terms.concat([ 'env_climate_tasmax', 'env_climate_tasmin' ])) ]
+		: terms
+
+	return {
+		chelsa: {
+			std_terms: terms,
+			periods: thePairs.map( (pair) => pair.chelsa ),
+			months: theMonths
+		},
+		worldclim: {
+			std_terms: worldclim,
+			periods: [ ...new Set(thePairs.map( (pair) => pair.worldclim )) ],
+			months: theMonths
+		}
+	}
+
+} // ComparisonSelections()
+
+/**
+ * This function will compare the provided Chelsa and WorldClim properties
+ * for each of the provided period pairs.
+ *
+ * Monthly records are matched on their `std_month`; if the mean temperature
+ * is missing, it is computed as the mean of the minimum and maximum
+ * temperatures, as in MonthlySeries(). Each compared value is an object
+ * containing the `chelsa` and `worldclim` values and their `difference`,
+ * Chelsa minus WorldClim.
+ *
+ * Parameters:
+ * - thePairs {Object[]}: Period pairs, see PeriodPairs().
+ * - theChelsa {Object}: Chelsa properties, or `null`.
+ * - theWorldClim {Object}: WorldClim properties, or `null`.
+ * - theTerms {String[]}: Descriptors to compare, omit to compare all harmonised descriptors.
+ * - theMonths {Number[]}: Months to compare, omit to compare all months.
+ *
+ * Returns:
+ * - {Object[]}: The period pairs with the compared `properties`.
+ */
+function CompareProperties(thePairs, theChelsa, theWorldClim, theTerms = [], theMonths = [])
+{
+	///
+	// Selection helper.
+	///
+	const select = (theList, theSelected) =>
+		(theSelected.length > 0)
+			? theList.filter( (item) => theSelected.includes(item) )
+			: theList
+	const annual = select(ComparisonAnnualTerms, theTerms)
+	const monthly = select(ComparisonMonthlyTerms, theTerms)
+	const months = select(MonthList, theMonths)
+
+	///
+	// Value helper.
+	///
+	const compare = (theLeft, theRight) => {
+		const chelsa = (typeof theLeft === 'number') ? theLeft : null
+		const worldclim = (typeof theRight === 'number') ? theRight : null
+		return {
+			chelsa,
+			worldclim,
+			difference: (chelsa !== null && worldclim !== null) ? chelsa - worldclim : null
+		}
+	}
+
+	return thePairs.map( (pair) => {
+		const left = GroupProperties(ChelsaDescriptor, pair.chelsa, theChelsa)
+		const right = GroupProperties(WorldClimDescriptor, pair.worldclim, theWorldClim)
+
+		///
+		// Compare scalar descriptors.
+		///
+		const properties = {}
+		annual.forEach( (term) => {
+			properties[term] = compare(left[term], right[term])
+		})
+
+		///
+		// Compare monthly descriptors.
+		///
+		if(monthly.length > 0) {
+			const leftMonths = MonthRecords(left)
+			const rightMonths = MonthRecords(right)
+			properties.std_date_span_month = months.map( (month) => {
+				const record = { std_month: month }
+				monthly.forEach( (term) => {
+					record[term] = compare(
+						leftMonths[month][term],
+						rightMonths[month][term]
+					)
+				})
+				return record
+			})
+		}
+
+		return Object.assign({}, pair, { properties })
+	})
+
+} // CompareProperties()
+
+/**
+ * This function will index the monthly records of the provided period
+ * properties by month number.
+ *
+ * Records are matched on their `std_month`, months lacking a record are
+ * returned as empty objects. If the mean temperature is missing, it is
+ * computed as the mean of the minimum and maximum temperatures.
+ *
+ * Parameters:
+ * - theProperties {Object}: Period properties.
+ *
+ * Returns:
+ * - {Object}: The monthly records keyed by month number.
+ */
+function MonthRecords(theProperties)
+{
+	const records = Array.isArray(theProperties.std_date_span_month)
+		? theProperties.std_date_span_month
+		: []
+
+	return MonthList.reduce( (index, month) => {
+		const record = Object.assign({}, records.find( (item) =>
+			item !== null && typeof item === 'object' && Number(item.std_month) === month
+		))
+
+		///
+		// Derive mean temperature.
+		///
+		if(typeof record.env_climate_tas !== 'number' &&
+		   typeof record.env_climate_tasmax === 'number' &&
+		   typeof record.env_climate_tasmin === 'number') {
+			record.env_climate_tas = (record.env_climate_tasmax + record.env_climate_tasmin) / 2
+		}
+
+		index[month] = record
+		return index
+	}, {})
+
+} // MonthRecords()
+
+/**
+ * This function will return the midpoint year of the provided period key.
+ *
+ * Parameters:
+ * - thePeriod {String}: Period key, formatted as `YYYY-YYYY`.
+ *
+ * Returns:
+ * - {Number}: The midpoint year, or `null` if the key is not a period.
+ */
+function PeriodMidpoint(thePeriod)
+{
+	const match = /^([0-9]{4})-([0-9]{4})$/.exec(thePeriod)
+	if(match === null) {
+		return null
+	}
+
+	return (Number(match[1]) + Number(match[2])) / 2
+
+} // PeriodMidpoint()
+
+
+module.exports = {
+	ComparisonAnnualTerms,
+	ComparisonMonthlyTerms,
+	PeriodPairs,
+	ComparisonSelections,
+	CompareProperties
+}
@@ -0,0 +1,190 @@
+'use strict'
+
+/**
+ * climateIndices.js
+ *
+ * This script contains the functions used to compute aridity and bioclimatic
+ * indices from monthly series, see MonthlySeries().
+ *
+ * Temperatures are expected in degrees Celsius and precipitation in
+ * millimeters per month.
+ */
+
+///
+// Days in each month.
+///
+const MonthDays = [ 31, 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31 ]
+
+///
+// Day of the year of each month's middle day.
+///
+const MonthMidDays = [ 15, 46, 74, 105, 135, 166, 196, 227, 258, 288, 319, 349 ]
+
+
+/**
+ * This function will return the aridity and bioclimatic indices of the
+ * provided monthly series.
+ *
+ * Indices requiring minimum and maximum temperatures are `null` if these are
+ * missing.
+ *
+ * Parameters:
+ * - theSeries {Object}: Monthly series, see MonthlySeries().
+ * - theLatitude {Number}: Latitude.
+ *
+ * Returns:
+ * - {Object}: The indices.
+ */
+function ClimateIndices(theSeries, theLatitude)
+{
+	const sum = (theList) => theList.reduce( (total, item) => total + item, 0 )
+	const temperature = sum(theSeries.tas) / 12
+	const precipitation = sum(theSeries.pr)
+	const amplitude = Math.max(...theSeries.tas) - Math.min(...theSeries.tas)
+
+	///
+	// Potential evapotranspiration and water balance.
+	///
+	const pet = ThornthwaitePET(theSeries.tas, theLatitude)
+	const balance = theSeries.pr.map( (item, index) => item - pet.monthly[index] )
+
+	///
+	// Continentality.
+	///
+	const sine = Math.abs(Math.sin(theLatitude * Math.PI / 180))
+	const sineConrad = Math.abs(Math.sin((Math.abs(theLatitude) + 10) * Math.PI / 180))
+
+	return {
+		period: theSeries.period,
+		temperature_mean: temperature,
+		precipitation_total: precipitation,
+		de_martonne: (temperature + 10 !== 0) ? precipitation / (temperature + 10) : null,
+		emberger: EmbergerQuotient(theSeries, precipitation),
+		thornthwaite: pet,
+		water_balance: {
+			monthly: balance,
+			total: precipitation - pet.total,
+			surplus: sum(balance.filter( (item) => item > 0 )),
+			deficit: sum(balance.filter( (item) => item < 0 ))
+		},
+		continentality: {
+			amplitude,
+			gorczynski: (sine > 0) ? (1.7 * amplitude / sine) - 20.4 : null,
+			conrad: (1.7 * amplitude / sineConrad) - 14
+		},
+		ellenberg: (precipitation > 0)
+			? 1000 * theSeries.tas[(theLatitude >= 0) ? 6 : 0] / precipitation
+			: null
+	}
+
+} // ClimateIndices()
+
+/**
+ * This function will return the Thornthwaite potential evapotranspiration.
+ *
+ * Monthly values are adjusted for the month length and the mean day length
+ * at the provided latitude; above 26.5°C the Willmott et al. (1985) formula
+ * is used.
+ *
+ * Parameters:
+ * - theTemperature {Number[]}: Twelve monthly mean temperatures.
+ * - theLatitude {Number}: Latitude.
+ *
+ * Returns:
+ * - {Object}: The `heat_index`, the `monthly` values and their `total`, in millimeters.
+ */
+function ThornthwaitePET(theTemperature, theLatitude)
+{
+	///
+	// Heat index and exponent.
+	///
+	const heat = theTemperature
+		.filter( (item) => item > 0 )
+		.reduce( (total, item) => total + Math.pow(item / 5, 1.514), 0 )
+	const exponent =
+		(6.75e-7 * Math.pow(heat, 3)) -
+		(7.71e-5 * Math.pow(heat, 2)) +
+		(1.792e-2 * heat) +
+		0.49239
+
+	///
+	// Monthly values.
+	///
+	const monthly = theTemperature.map( (item, index) => {
+		if(item <= 0 || heat === 0) {
+			return 0
+		}
+		const unadjusted = (item < 26.5)
+			? 16 * Math.pow(10 * item / heat, exponent)
+			: -415.85 + (32.24 * item) - (0.43 * item * item)
+
+		return unadjusted * (DayLength(theLatitude, MonthMidDays[index]) / 12) * (MonthDays[index] / 30)
+	})
+
+	return {
+		heat_index: heat,
+		monthly,
+		total: monthly.reduce( (total, item) => total + item, 0 )
+	}
+
+} // ThornthwaitePET()
+
+/**
+ * This function will return Emberger's pluviothermic quotient.
+ *
+ * The quotient is computed as 2000 P / (M² - m²), where P is the annual
+ * precipitation, M and m are the mean daily maximum temperature of the
+ * warmest month and the mean daily minimum temperature of the coldest month
+ * in Kelvin.
+ *
+ * Parameters:
+ * - theSeries {Object}: Monthly series.
+ * - thePrecipitation {Number}: Annual precipitation.
+ *
+ * Returns:
+ * - {Number}: The quotient, or `null` if the extreme temperatures are missing.
+ */
+function EmbergerQuotient(theSeries, thePrecipitation)
+{
+	const tasmax = theSeries.tasmax.filter( (item) => item !== null )
+	const tasmin = theSeries.tasmin.filter( (item) => item !== null )
+	if(tasmax.length < 12 || tasmin.length < 12) {
+		return null
+	}
+
+	const max = Math.max(...tasmax) + 273.15
+	const min = Math.min(...tasmin) + 273.15
+	if(max <= min) {
+		return null
+	}
+
+	return 2000 * thePrecipitation / ((max * max) - (min * min))
+
+} // EmbergerQuotient()
+
+/**
+ * This function will return the day length in hours at the provided latitude
+ * and day of the year.
+ *
+ * Parameters:
+ * - theLatitude {Number}: Latitude.
+ * - theDay {Number}: Day of the year.
+ *
+ * Returns:
+ * - {Number}: The day length in hours.
+ */
+function DayLength(theLatitude, theDay)
+{
+	const latitude = theLatitude * Math.PI / 180
+	const declination = 0.409 * Math.sin((2 * Math.PI * theDay / 365) - 1.39)
+	const cosine = -Math.tan(latitude) * Math.tan(declination)
+
+	return 24 * Math.acos(Math.min(1, Math.max(-1, cosine))) / Math.PI
+
+} // DayLength()
+
+
+module.exports = {
+	ClimateIndices,
+	ThornthwaitePET
+}
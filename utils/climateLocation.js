@@ -0,0 +1,378 @@
+'use strict'
+
+/**
+ * climateLocation.js
+ *
+ * This script contains the functions shared by the Chelsa and WorldClim
+ * services to resolve shapes and locations and to derive their responses.
+ *
+ * Functions working on a dataset take the dataset name, the key of the
+ * ShapeClimateDatasets entry providing its descriptor, collections and
+ * queries.
+ */
+
+///
+// Modules.
+///
+const {aql, db} = require('@arangodb')
+const {documentCollections} = require('../constants')
+const {ClimateCoverage} = require('./climateAggregateAQL')
+const {MonthlySelection, MonthlySeries, IsComplete} = require('./climateMonthly')
+const {SeasonSelection, Seasons, SeasonalProperties} = require('./climateSeasons')
+const {KoppenGeiger} = require('./koppenGeiger')
+const {WalterLieth} = require('./walterLieth')
+const {ClimateIndices} = require('./climateIndices')
+const {AnalogueTerms, AnalogueValues, DistanceMatrix} = require('./climateAnalogues')
+const {ShapeClimateDatasets, ShapeClimateLookup} = require('./shapeClimate')
+const {BoundingBox, GeometryPoints} = require('./geometryUtils')
+
+
+/**
+ * This function will return the geometry of the provided shape.
+ *
+ * If the shape does not exist, the function will respond with a 404 error.
+ *
+ * Parameters:
+ * - theHash {String}: Shape geometry hash.
+ * - theResponse {Object}: Service response.
+ *
+ * Returns:
+ * - {Object}: The GeoJSON geometry.
+ */
+function ShapeGeometry(theHash, theResponse)
+{
+	const result = db._query(aql`
+		FOR doc IN ${db._collection(documentCollections.shapes)}
+			FILTER doc._key == ${theHash}
+		RETURN doc.geometry
+	`).toArray()
+
+	if(result.length === 0) {
+		theResponse.throw(404, 'Shape not found.')
+	}
+
+	return result[0]
+
+} // ShapeGeometry()
+
+/**
+ * This function will return the area weighted aggregation of the records of
+ * the provided dataset that intersect the provided geometry.
+ *
+ * If the aggregation or the geometry are not supported, the function will
+ * respond with a 400 error.
+ *
+ * Parameters:
+ * - theDataset {String}: Dataset name, see ShapeClimateDatasets.
+ * - theGeometry {Object}: GeoJSON reference geometry.
+ * - theWhat {String}: Aggregation, `AVG`, `STD` or `VAR`.
+ * - theSelection {Object}: Properties selection.
+ * - theResponse {Object}: Service response.
+ *
+ * Returns:
+ * - {Object[]}: The aggregated records.
+ */
+function WeightedRecords(theDataset, theGeometry, theWhat, theSelection, theResponse)
+{
+	const dataset = ShapeClimateDatasets[theDataset]
+	const data = db._collection(dataset.data)
+
+	if(![ 'AVG', 'STD', 'VAR' ].includes(theWhat)) {
+		theResponse.throw(400, 'Weighted aggregation is only available for AVG, STD and VAR.')
+	}
+	if(![ 'Polygon', 'MultiPolygon' ].includes(theGeometry.type)) {
+		theResponse.throw(400, 'Weighted aggregation requires a Polygon or MultiPolygon geometry.')
+	}
+
+	return db._query(
+		dataset.weighted(
+			data,
+			ClimateCoverage(data, theGeometry),
+			theWhat,
+			theSelection
+		)
+	).toArray()
+
+} // WeightedRecords()
+
+/**
+ * This function will return the data of the provided dataset and location.
+ *
+ * For a coordinate the function uses the record containing it, for a geometry
+ * it uses the average of the records intersecting it; for a shape, the
+ * average is read from the climate cache, if current.
+ *
+ * Parameters:
+ * - theDataset {String}: Dataset name, see ShapeClimateDatasets.
+ * - theLocation {Object}: Either `lat` and `lon`, or `geometry` and optionally the shape `geometry_hash`.
+ * - theSelection {Object}: Properties selection.
+ *
+ * Returns:
+ * - {Object}: The selection `record`, the `latitude` and the record `properties`.
+ */
+function LocationRecord(theDataset, theLocation, theSelection)
+{
+	const dataset = ShapeClimateDatasets[theDataset]
+	const data = db._collection(dataset.data)
+
+	///
+	// Query data.
+	///
+	let result = (theLocation.hasOwnProperty('geometry_hash'))
+		? ShapeClimateLookup(theDataset, theLocation.geometry_hash, 'AVG', false, theSelection)
+		: null
+	if(result === null) {
+		result = (theLocation.hasOwnProperty('geometry'))
+			? db._query(dataset.intersects(data, db._collection(dataset.map), theLocation.geometry, 'AVG', 0, 10, theSelection)).toArray()
+			: db._query(dataset.click(data, theLocation.lat, theLocation.lon, theSelection)).toArray()
+	}
+
+	///
+	// Get latitude.
+	///
+	let latitude = theLocation.lat
+	if(theLocation.hasOwnProperty('geometry')) {
+		const box = BoundingBox(GeometryPoints(theLocation.geometry))
+		latitude = (box[1] + box[3]) / 2
+	}
+
+	///
+	// Split record.
+	///
+	const record = (result.length > 0) ? Object.assign({}, result[0]) : {}
+	const properties = (record.hasOwnProperty('properties')) ? record.properties : null
+	delete record.properties
+
+	return { record, latitude, properties }
+
+} // LocationRecord()
+
+/**
+ * This function will return the monthly climate of the provided dataset and
+ * location.
+ *
+ * Parameters:
+ * - theDataset {String}: Dataset name, see ShapeClimateDatasets.
+ * - theLocation {Object}: Either `lat` and `lon`, or `geometry`.
+ * - thePeriods {String[]}: Periods, omit to use all monthly periods.
+ *
+ * Returns:
+ * - {Object}: The selection `record`, the `latitude` and the monthly `series`, see MonthlySeries().
+ */
+function MonthlyClimate(theDataset, theLocation, thePeriods = [])
+{
+	const descriptor = ShapeClimateDatasets[theDataset].descriptor
+	const location = LocationRecord(theDataset, theLocation, MonthlySelection(descriptor, thePeriods))
+
+	return {
+		record: location.record,
+		latitude: location.latitude,
+		series: MonthlySeries(descriptor, location.properties, thePeriods)
+	}
+
+} // MonthlyClimate()
+
+/**
+ * This function will return the seasonal climate of the provided dataset and
+ * location.
+ *
+ * Parameters:
+ * - theDataset {String}: Dataset name, see ShapeClimateDatasets.
+ * - theLocation {Object}: Either `lat` and `lon`, or `geometry`.
+ * - thePeriods {String[]}: Periods, omit to use all monthly periods.
+ * - theMonths {Number[]}: Custom season months, omit to use meteorological seasons.
+ *
+ * Returns:
+ * - {Object}: The service response.
+ */
+function SeasonalClimate(theDataset, theLocation, thePeriods = [], theMonths = [])
+{
+	const descriptor = ShapeClimateDatasets[theDataset].descriptor
+	const location = LocationRecord(theDataset, theLocation, SeasonSelection(descriptor, thePeriods))
+
+	return Object.assign({}, location.record, {
+		latitude: location.latitude,
+		periods: SeasonalProperties(descriptor, location.properties, Seasons(theMonths), thePeriods)
+	})
+
+} // SeasonalClimate()
+
+/**
+ * This function will return the Köppen-Geiger classification of the
+ * provided monthly climate.
+ *
+ * Parameters:
+ * - theClimate {Object}: Monthly climate, see MonthlyClimate().
+ *
+ * Returns:
+ * - {Object}: The service response.
+ */
+function KoppenClimate(theClimate)
+{
+	return Object.assign({}, theClimate.record, {
+		latitude: theClimate.latitude,
+		periods: theClimate.series.map( (series) =>
+			(IsComplete(series.tas, series.pr))
+				? Object.assign({ period: series.period }, KoppenGeiger(series.tas, series.pr, theClimate.latitude))
+				: { period: series.period, code: null, description: null, criteria: null }
+		)
+	})
+
+} // KoppenClimate()
+
+/**
+ * This function will return the Walter-Lieth climate diagram data of the
+ * provided monthly climate.
+ *
+ * Parameters:
+ * - theClimate {Object}: Monthly climate, see MonthlyClimate().
+ *
+ * Returns:
+ * - {Object}: The service response.
+ */
+function DiagramClimate(theClimate)
+{
+	const series = theClimate.series[0]
+
+	return Object.assign({}, theClimate.record, {
+		latitude: theClimate.latitude,
+		diagram: (IsComplete(series.tas, series.pr))
+			? WalterLieth(series)
+			: null
+	})
+
+} // DiagramClimate()
+
+/**
+ * This function will return the aridity and bioclimatic indices of the
+ * provided monthly climate.
+ *
+ * Parameters:
+ * - theClimate {Object}: Monthly climate, see MonthlyClimate().
+ *
+ * Returns:
+ * - {Object}: The service response.
+ */
+function IndicesClimate(theClimate)
+{
+	return Object.assign({}, theClimate.record, {
+		latitude: theClimate.latitude,
+		periods: theClimate.series.map( (series) =>
+			(IsComplete(series.tas, series.pr))
+				? ClimateIndices(series, theClimate.latitude)
+				: {
+					period: series.period,
+					temperature_mean: null,
+					precipitation_total: null,
+					de_martonne: null,
+					emberger: null,
+					thornthwaite: null,
+					water_balance: null,
+					continentality: null,
+					ellenberg: null
+				}
+		)
+	})
+
+} // IndicesClimate()
+
+/**
+ * This function will return the climate analogues of the provided location
+ * in the provided dataset.
+ *
+ * The target values are taken from the location's record, or from the
+ * average of the records intersecting its geometry; the search center is the
+ * coordinate or the center of the geometry's bounding box.
+ *
+ * If the target values are missing, the function will respond with a 404
+ * error; if the distance matrix cannot be computed, with a 400 error.
+ *
+ * Parameters:
+ * - theDataset {String}: Dataset name, see ShapeClimateDatasets.
+ * - theLocation {Object}: Either `lat` and `lon`, or `geometry`.
+ * - theParameters {Object}: `period`, `direction`, `metric`, `std_terms`, `limit` and `radius`.
+ * - theResponse {Object}: Service response.
+ *
+ * Returns:
+ * - {Object}: The service response.
+ */
+function AnalogueClimate(theDataset, theLocation, theParameters, theResponse)
+{
+	const dataset = ShapeClimateDatasets[theDataset]
+	const data = db._collection(dataset.data)
+
+	///
+	// Resolve parameters.
+	///
+	const terms = (Array.isArray(theParameters.std_terms) && theParameters.std_terms.length > 0)
+		? [ ...new Set(theParameters.std_terms) ]
+		: AnalogueTerms(dataset.descriptor, dataset.baseline)
+	const future = (theParameters.direction === 'FUTURE')
+	const target_period = (future) ? theParameters.period : dataset.baseline
+	const search_period = (future) ? dataset.baseline : theParameters.period
+	const radius = (theParameters.radius !== undefined) ? theParameters.radius : null
+
+	///
+	// Get target values.
+	///
+	const location = LocationRecord(theDataset, theLocation, { std_terms: terms, periods: [ target_period ] })
+	const target = AnalogueValues(dataset.descriptor, target_period, location.properties, terms)
+	if(target === null) {
+		theResponse.throw(404, 'Target climate not found.')
+	}
+
+	///
+	// Get search center.
+	///
+	let center = { type: 'Point', coordinates: [ theLocation.lon, theLocation.lat ] }
+	if(theLocation.hasOwnProperty('geometry')) {
+		const box = BoundingBox(GeometryPoints(theLocation.geometry))
+		center = { type: 'Point', coordinates: [ (box[0] + box[2]) / 2, (box[1] + box[3]) / 2 ] }
+	}
+
+	///
+	// Compute distance matrix.
+	///
+	const moments = db._query(
+		dataset.moments(data, search_period, terms, center, radius)
+	).toArray()[0]
+	const distance = DistanceMatrix(theParameters.metric, moments, terms)
+	if(distance === null) {
+		theResponse.throw(400, 'Unable to compute the distance: the searched records are too few, or their values are constant or collinear.')
+	}
+
+	///
+	// Search analogues.
+	///
+	const analogues = db._query(
+		dataset.analogue(data, search_period, terms, target, distance.matrix, center, radius, theParameters.limit)
+	).toArray()
+
+	return Object.assign({}, location.record, {
+		direction: theParameters.direction,
+		metric: theParameters.metric,
+		target: { period: target_period, values: target },
+		search: {
+			period: search_period,
+			count: moments.count,
+			radius,
+			means: distance.means,
+			deviations: distance.deviations
+		},
+		analogues
+	})
+
+} // AnalogueClimate()
+
+
+module.exports = {
+	ShapeGeometry,
+	WeightedRecords,
+	LocationRecord,
+	MonthlyClimate,
+	SeasonalClimate,
+	KoppenClimate,
+	DiagramClimate,
+	IndicesClimate,
+	AnalogueClimate
+}
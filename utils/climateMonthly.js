@@ -0,0 +1,168 @@
+'use strict'
+
+/**
+ * climateMonthly.js
+ *
+ * This script contains the functions used to extract the monthly temperature
+ * and precipitation series from the Chelsa and WorldClim data properties,
+ * these series are the input of the derived climate services.
+ *
+ * Temperatures are expected in degrees Celsius and precipitation in
+ * millimeters per month.
+ */
+
+///
+// Monthly descriptors.
+///
+const MonthlyTerms = [
+	'env_climate_pr', 'env_climate_tas', 'env_climate_tasmax', 'env_climate_tasmin'
+]
+
+///
+// Number of monthly records.
+///
+const MonthList = [ 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12 ]
+
+
+/**
+ * This function will return the periods of the provided descriptor that
+ * feature monthly precipitation and temperatures.
+ *
+ * Parameters:
+ * - theDescriptor {Object[]}: Dataset descriptor.
+ *
+ * Returns:
+ * - {String[]}: The list of period keys.
+ */
+function MonthlyPeriods(theDescriptor)
+{
+	return theDescriptor
+		.filter( (group) =>
+			group.monthly.includes('env_climate_pr') && (
+				group.monthly.includes('env_climate_tas') || (
+					group.monthly.includes('env_climate_tasmax') &&
+					group.monthly.includes('env_climate_tasmin')
+				)
+			)
+		)
+		.map( (group) => group.key )
+
+} // MonthlyPeriods()
+
+/**
+ * This function will return the properties selection required to retrieve
+ * the monthly series of the provided periods.
+ *
+ * Parameters:
+ * - theDescriptor {Object[]}: Dataset descriptor.
+ * - thePeriods {String[]}: Periods, omit to select all monthly periods.
+ *
+ * Returns:
+ * - {Object}: The properties selection.
+ */
+function MonthlySelection(theDescriptor, thePeriods = [])
+{
+	return {
+		std_terms: MonthlyTerms,
+		periods: (thePeriods.length > 0) ? thePeriods : MonthlyPeriods(theDescriptor),
+		months: MonthList
+	}
+
+} // MonthlySelection()
+
+/**
+ * This function will return the monthly series of the provided periods.
+ *
+ * Each element contains the `period` key and the `pr`, `tas`, `tasmax` and
+ * `tasmin` arrays of twelve values, missing values are `null`. If the mean
+ * temperature is missing, it is computed as the mean of the minimum and
+ * maximum temperatures.
+ *
+ * Parameters:
+ * - theDescriptor {Object[]}: Dataset descriptor.
+ * - theProperties {Object}: Data record properties, or `null`.
+ * - thePeriods {String[]}: Periods, omit to return all monthly periods.
+ *
+ * Returns:
+ * - {Object[]}: The list of monthly series.
+ */
+function MonthlySeries(theDescriptor, theProperties, thePeriods = [])
+{
+	///
+	// Value helper.
+	///
+	const value = (theRecord, theTerm) =>
+		(theRecord !== undefined && typeof theRecord[theTerm] === 'number')
+			? theRecord[theTerm]
+			: null
+
+	return MonthlySelection(theDescriptor, thePeriods).periods.map( (period) => {
+		const months = GroupProperties(theDescriptor, period, theProperties).std_date_span_month || []
+		const series = { period }
+		MonthlyTerms.forEach( (term) => {
+			series[term.replace('env_climate_', '')] = MonthList.map( (month, index) => value(months[index], term) )
+		})
+
+		///
+		// Derive mean temperature.
+		///
+		series.tas = series.tas.map( (item, index) =>
+			(item === null && series.tasmax[index] !== null && series.tasmin[index] !== null)
+				? (series.tasmax[index] + series.tasmin[index]) / 2
+				: item
+		)
+
+		return series
+	})
+
+} // MonthlySeries()
+
+/**
+ * This function will check whether the provided series are complete.
+ *
+ * Parameters:
+ * - theValues {Array[]}: List of monthly value arrays.
+ *
+ * Returns:
+ * - {Boolean}: `true` if all values are numbers.
+ */
+function IsComplete(...theValues)
+{
+	return theValues.every( (list) =>
+		list.length === 12 && list.every( (item) => typeof item === 'number' )
+	)
+
+} // IsComplete()
+
+/**
+ * This function will return the properties of the provided period.
+ *
+ * Parameters:
+ * - theDescriptor {Object[]}: Dataset descriptor.
+ * - thePeriod {String}: Period key.
+ * - theProperties {Object}: Data record properties, or `null`.
+ *
+ * Returns:
+ * - {Object}: The period properties, or an empty object if missing.
+ */
+function GroupProperties(theDescriptor, thePeriod, theProperties)
+{
+	const group = theDescriptor.find( (item) => item.key === thePeriod )
+
+	return group.path.reduce( (target, key) =>
+		(target !== null && typeof target === 'object' && target.hasOwnProperty(key))
+			? target[key]
+			: {}
+	, theProperties || {})
+
+} // GroupProperties()
+
+
+module.exports = {
+	MonthlyTerms,
+	MonthlyPeriods,
+	MonthlySelection,
+	MonthlySeries,
+	IsComplete,
+	GroupProperties
+}
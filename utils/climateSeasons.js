@@ -0,0 +1,175 @@
+'use strict'
+
+/**
+ * climateSeasons.js
+ *
+ * This script contains the functions used to aggregate the monthly records of
+ * the climate datasets into seasons: precipitation is summed, all other
+ * monthly descriptors, such as temperatures, are averaged.
+ */
+
+///
+// Modules.
+///
+const {GroupProperties} = require('./climateMonthly')
+
+///
+// Meteorological seasons.
+///
+const MeteorologicalSeasons = [
+	{ season: 'DJF', months: [ 12, 1, 2 ] },
+	{ season: 'MAM', months: [ 3, 4, 5 ] },
+	{ season: 'JJA', months: [ 6, 7, 8 ] },
+	{ season: 'SON', months: [ 9, 10, 11 ] }
+]
+
+///
+// Summed descriptors.
+///
+const SeasonSumTerms = [ 'env_climate_pr' ]
+
+///
+// Month initials.
+///
+const MonthInitials = 'JFMAMJJASOND'
+
+///
+// Number of monthly records.
+///
+const MonthList = [ 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12 ]
+
+
+/**
+ * This function will return the periods of the provided descriptor that
+ * feature monthly descriptors.
+ *
+ * Parameters:
+ * - theDescriptor {Object[]}: Dataset descriptor.
+ *
+ * Returns:
+ * - {String[]}: The list of period keys.
+ */
+function SeasonPeriods(theDescriptor)
+{
+	return theDescriptor
+		.filter( (group) => group.monthly.length > 0 )
+		.map( (group) => group.key )
+
+} // SeasonPeriods()
+
+/**
+ * This function will return the properties selection required to retrieve
+ * the monthly records of the provided periods.
+ *
+ * Parameters:
+ * - theDescriptor {Object[]}: Dataset descriptor.
+ * - thePeriods {String[]}: Periods, omit to select all periods featuring monthly descriptors.
+ *
+ * Returns:
+ * - {Object}: The properties selection.
+ */
+function SeasonSelection(theDescriptor, thePeriods = [])
+{
+	const periods = (thePeriods.length > 0) ? thePeriods : SeasonPeriods(theDescriptor)
+	const terms = []
+	theDescriptor
+		.filter( (group) => periods.includes(group.key) )
+		.forEach( (group) => {
+			group.monthly.forEach( (term) => {
+				if(!terms.includes(term)) {
+					terms.push(term)
+				}
+			})
+		})
+
+	return {
+		std_terms: terms,
+		periods,
+		months: MonthList
+	}
+
+} // SeasonSelection()
+
+/**
+ * This function will return the list of seasons to aggregate.
+ *
+ * If a custom month set is provided, the function will return a single season
+ * named after the initials of its months; if not, the function will return
+ * the meteorological seasons.
+ *
+ * Parameters:
+ * - theMonths {Number[]}: Custom season months, `1` to `12`, in season order.
+ *
+ * Returns:
+ * - {Object[]}: List of seasons, with `season` name and `months`.
+ */
+function Seasons(theMonths = [])
+{
+	if(theMonths.length === 0) {
+		return MeteorologicalSeasons
+	}
+
+	const months = [ ...new Set(theMonths) ]
+
+	return [ {
+		season: months.map( (month) => MonthInitials[month - 1] ).join(''),
+		months
+	} ]
+
+} // Seasons()
+
+/**
+ * This function will aggregate the monthly records of the provided properties
+ * into the provided seasons.
+ *
+ * The properties must feature all twelve monthly records, in month order.
+ * Seasonal values are `null` if any of the season's monthly values is missing.
+ *
+ * Parameters:
+ * - theDescriptor {Object[]}: Dataset descriptor.
+ * - theProperties {Object}: Data record properties, or `null`.
+ * - theSeasons {Object[]}: Seasons, see Seasons().
+ * - thePeriods {String[]}: Periods, omit to process all periods featuring monthly descriptors.
+ *
+ * Returns:
+ * - {Object[]}: List of periods, with `period` key and `seasons` values.
+ */
+function SeasonalProperties(theDescriptor, theProperties, theSeasons, thePeriods = [])
+{
+	return SeasonSelection(theDescriptor, thePeriods).periods.map( (period) => {
+		const group = theDescriptor.find( (item) => item.key === period )
+		const months = GroupProperties(theDescriptor, period, theProperties).std_date_span_month || []
+
+		return {
+			period,
+			seasons: theSeasons.map( (season) => {
+				const record = { season: season.season, months: season.months }
+				group.monthly.forEach( (term) => {
+					const values = season.months.map( (month) =>
+						(months[month - 1] !== undefined) ? months[month - 1][term] : undefined
+					)
+					if(values.every( (item) => typeof item === 'number' )) {
+						const total = values.reduce( (sum, item) => sum + item, 0 )
+						record[term] = (SeasonSumTerms.includes(term))
+							? total
+							: total / values.length
+					} else {
+						record[term] = null
+					}
+				})
+
+				return record
+			})
+		}
+	})
+
+} // SeasonalProperties()
+
+
+module.exports = {
+	MeteorologicalSeasons,
+	SeasonPeriods,
+	SeasonSelection,
+	Seasons,
+	SeasonalProperties
+}
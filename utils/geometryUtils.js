@@ -0,0 +1,623 @@
+'use strict'
+
+/**
+ * geometryUtils.js
+ *
+ * This script contains planar geometry functions operating on GeoJSON
+ * coordinates expressed in decimal degrees. Computations are performed in the
+ * longitude/latitude plane, so they should only be used for *ratios* between
+ * geometries covering small areas, such as climate data cells.
+ *
+ * Distances between points are computed on the sphere, see SphereDistance().
+ */
+
+///
+// Mean Earth radius in meters.
+///
+const EarthRadius = 6371008.8
+
+///
+// Meters per degree of latitude.
+///
+const DegreeLength = EarthRadius * Math.PI / 180
+
+///
+// Overlap sampling grid size.
+///
+const OverlapGridSize = 100
+
+
+/**
+ * This function will return the fraction of the provided bounding box
+ * covered by the provided Polygon or MultiPolygon geometry.
+ *
+ * The geometry rings are clipped by the box, the covered area is the sum of
+ * the clipped outer ring areas, minus the sum of the clipped hole areas.
+ *
+ * Parameters:
+ * - theGeometry {Object}: GeoJSON Polygon or MultiPolygon.
+ * - theBounds {Object}: GeoJSON Polygon representing the bounding box.
+ *
+ * Returns:
+ * - {Number}: The covered fraction, between `0` and `1`.
+ */
+function CoveredFraction(theGeometry, theBounds)
+{
+	///
+	// Get box and its area.
+	///
+	const box = BoundingBox(theBounds.coordinates[0])
+	const boxArea = (box[2] - box[0]) * (box[3] - box[1])
+	if(boxArea <= 0) {
+		return 0
+	}
+
+	///
+	// Normalise polygons.
+	///
+	const polygons = (theGeometry.type === 'MultiPolygon')
+		? theGeometry.coordinates
+		: [ theGeometry.coordinates ]
+
+	///
+	// Sum clipped areas.
+	///
+	let covered = 0
+	polygons.forEach( (polygon) => {
+		polygon.forEach( (ring, index) => {
+			const area = Math.abs(RingArea(ClipRing(ring, box)))
+			covered += (index === 0) ? area : -area
+		})
+	})
+
+	return Math.min(1, Math.max(0, covered / boxArea))
+
+} // CoveredFraction()
+
+/**
+ * This function will return the bounding box of the provided list of points.
+ *
+ * Parameters:
+ * - thePoints {Array[]}: List of `[lon, lat]` points.
+ *
+ * Returns:
+ * - {Number[]}: The box as `[minLon, minLat, maxLon, maxLat]`.
+ */
+function BoundingBox(thePoints)
+{
+	const box = [ Infinity, Infinity, -Infinity, -Infinity ]
+	thePoints.forEach( (point) => {
+		box[0] = Math.min(box[0], point[0])
+		box[1] = Math.min(box[1], point[1])
+		box[2] = Math.max(box[2], point[0])
+		box[3] = Math.max(box[3], point[1])
+	})
+
+	return box
+
+} // BoundingBox()
+
+/**
+ * This function will return all the points of the provided GeoJSON geometry.
+ *
+ * Parameters:
+ * - theGeometry {Object}: GeoJSON geometry.
+ *
+ * Returns:
+ * - {Array[]}: List of `[lon, lat]` points.
+ */
+function GeometryPoints(theGeometry)
+{
+	const points = []
+	const collect = (theCoordinates) => {
+		if(typeof theCoordinates[0] === 'number') {
+			points.push(theCoordinates)
+		} else {
+			theCoordinates.forEach(collect)
+		}
+	}
+	collect(theGeometry.coordinates)
+
+	return points
+
+} // GeometryPoints()
+
+/**
+ * This function will return the signed area of the provided ring using the
+ * shoelace formula: counter-clockwise rings have a positive area.
+ *
+ * Parameters:
+ * - theRing {Array[]}: List of `[lon, lat]` points, closed or not.
+ *
+ * Returns:
+ * - {Number}: The signed area in square decimal degrees.
+ */
+function RingArea(theRing)
+{
+	let area = 0
+	for(let i = 0; i < theRing.length; i++) {
+		const a = theRing[i]
+		const b = theRing[(i + 1) % theRing.length]
+		area += (a[0] * b[1]) - (b[0] * a[1])
+	}
+
+	return area / 2
+
+} // RingArea()
+
+/**
+ * This function will return the centroid of the provided geometries.
+ *
+ * The centroid of Polygon and MultiPolygon geometries is the area weighted
+ * mean of their ring centroids, holes have a negative weight; if the
+ * geometries have no area, the centroid is the mean of their points.
+ * Overlapping geometries are not merged.
+ *
+ * Parameters:
+ * - theGeometries {Object[]}: List of GeoJSON geometries.
+ *
+ * Returns:
+ * - {Number[]}: The `[lon, lat]` centroid, or `null` if there are no points.
+ */
+function GeometryCentroid(theGeometries)
+{
+	///
+	// Sum ring moments.
+	///
+	let area = 0
+	let lon = 0
+	let lat = 0
+	theGeometries
+		.filter(IsPolygon)
+		.forEach( (geometry) => {
+			const polygons = (geometry.type === 'MultiPolygon')
+				? geometry.coordinates
+				: [ geometry.coordinates ]
+			polygons.forEach( (polygon) => {
+				polygon.forEach( (ring, index) => {
+					const sign = Math.sign(RingArea(ring)) * ((index === 0) ? 1 : -1)
+					for(let i = 0; i < ring.length; i++) {
+						const a = ring[i]
+						const b = ring[(i + 1) % ring.length]
+						const cross = ((a[0] * b[1]) - (b[0] * a[1])) * sign
+						area += cross / 2
+						lon += (a[0] + b[0]) * cross / 6
+						lat += (a[1] + b[1]) * cross / 6
+					}
+				})
+			})
+		})
+	if(area > 0) {
+		return [ lon / area, lat / area ]
+	}
+
+	///
+	// Average points.
+	///
+	const points = theGeometries.flatMap(GeometryPoints)
+	if(points.length === 0) {
+		return null
+	}
+
+	return [
+		points.reduce( (total, point) => total + point[0], 0 ) / points.length,
+		points.reduce( (total, point) => total + point[1], 0 ) / points.length
+	]
+
+} // GeometryCentroid()
+
+/**
+ * This function will check whether the provided point lies within the
+ * provided Polygon or MultiPolygon geometry, using the even-odd rule: points
+ * in holes are outside.
+ *
+ * Parameters:
+ * - thePoint {Number[]}: The `[lon, lat]` point.
+ * - theGeometry {Object}: GeoJSON Polygon or MultiPolygon.
+ *
+ * Returns:
+ * - {Boolean}: `true` if the point is inside the geometry.
+ */
+function PointInGeometry(thePoint, theGeometry)
+{
+	const polygons = (theGeometry.type === 'MultiPolygon')
+		? theGeometry.coordinates
+		: [ theGeometry.coordinates ]
+
+	return polygons.some( (polygon) => {
+		let inside = false
+		polygon.forEach( (ring) => {
+			for(let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+				const a = ring[i]
+				const b = ring[j]
+				if(((a[1] > thePoint[1]) !== (b[1] > thePoint[1])) &&
+				   (thePoint[0] < ((b[0] - a[0]) * (thePoint[1] - a[1]) / (b[1] - a[1])) + a[0])) {
+					inside = !inside
+				}
+			}
+		})
+		return inside
+	})
+
+} // PointInGeometry()
+
+/**
+ * This function will return the great circle distance between the provided
+ * points, using the haversine formula.
+ *
+ * Parameters:
+ * - theStart {Number[]}: The `[lon, lat]` start point.
+ * - theEnd {Number[]}: The `[lon, lat]` end point.
+ *
+ * Returns:
+ * - {Number}: The distance in meters.
+ */
+function SphereDistance(theStart, theEnd)
+{
+	const radians = (theDegrees) => theDegrees * Math.PI / 180
+	const dLat = radians(theEnd[1] - theStart[1])
+	const dLon = radians(theEnd[0] - theStart[0])
+	const h =
+		(Math.sin(dLat / 2) * Math.sin(dLat / 2)) +
+		(Math.cos(radians(theStart[1])) * Math.cos(radians(theEnd[1])) * Math.sin(dLon / 2) * Math.sin(dLon / 2))
+
+	return 2 * EarthRadius * Math.asin(Math.min(1, Math.sqrt(h)))
+
+} // SphereDistance()
+
+/**
+ * This function will return the area of the provided ring on the sphere.
+ *
+ * Parameters:
+ * - theRing {Array[]}: List of `[lon, lat]` points, closed or not.
+ *
+ * Returns:
+ * - {Number}: The unsigned area in square meters.
+ */
+function SphereRingArea(theRing)
+{
+	const radians = (theDegrees) => theDegrees * Math.PI / 180
+	let area = 0
+	for(let i = 0; i < theRing.length; i++) {
+		const a = theRing[i]
+		const b = theRing[(i + 1) % theRing.length]
+		area += radians(b[0] - a[0]) * (2 + Math.sin(radians(a[1])) + Math.sin(radians(b[1])))
+	}
+
+	return Math.abs(area * EarthRadius * EarthRadius / 2)
+
+} // SphereRingArea()
+
+/**
+ * This function will return the area of the provided geometry on the
+ * sphere: the area of the outer rings minus the area of the holes.
+ *
+ * Parameters:
+ * - theGeometry {Object}: GeoJSON geometry.
+ *
+ * Returns:
+ * - {Number}: The area in square meters, `0` for geometries other than polygons.
+ */
+function GeometryArea(theGeometry)
+{
+	if(!IsPolygon(theGeometry)) {
+		return 0
+	}
+	const polygons = (theGeometry.type === 'MultiPolygon')
+		? theGeometry.coordinates
+		: [ theGeometry.coordinates ]
+
+	return polygons.reduce( (total, polygon) =>
+		total + polygon.reduce( (sum, ring, index) =>
+			sum + (((index === 0) ? 1 : -1) * SphereRingArea(ring))
+		, 0)
+	, 0)
+
+} // GeometryArea()
+
+/**
+ * This function will return the rings of the provided geometry: the rings of
+ * polygons, the lines of line strings and single point rings for points.
+ *
+ * Parameters:
+ * - theGeometry {Object}: GeoJSON geometry.
+ *
+ * Returns:
+ * - {Array[]}: List of rings, each a list of `[lon, lat]` points.
+ */
+function GeometryRings(theGeometry)
+{
+	switch(theGeometry.type) {
+		case 'Point':
+			return [ [ theGeometry.coordinates ] ]
+		case 'MultiPoint':
+			return theGeometry.coordinates.map( (point) => [ point ] )
+		case 'LineString':
+			return [ theGeometry.coordinates ]
+		case 'MultiLineString':
+		case 'Polygon':
+			return theGeometry.coordinates
+		case 'MultiPolygon':
+			return theGeometry.coordinates.flat()
+		default:
+			return []
+	}
+
+} // GeometryRings()
+
+/**
+ * This function will return the shortest distance between the boundaries of
+ * the provided geometries.
+ *
+ * Coordinates are projected on a plane tangent at the mean latitude of both
+ * geometries, so the result is only accurate for nearby geometries. The
+ * geometries are expected not to intersect.
+ *
+ * Parameters:
+ * - theFirst {Object}: GeoJSON geometry.
+ * - theSecond {Object}: GeoJSON geometry.
+ *
+ * Returns:
+ * - {Number}: The distance in meters.
+ */
+function BoundaryDistance(theFirst, theSecond)
+{
+	///
+	// Project rings.
+	///
+	const points = GeometryPoints(theFirst).concat(GeometryPoints(theSecond))
+	const latitude = points.reduce( (total, point) => total + point[1], 0 ) / points.length
+	const ratio = Math.cos(latitude * Math.PI / 180)
+	const project = (theGeometry) => GeometryRings(theGeometry).map( (ring) =>
+		ring.map( (point) => [ point[0] * ratio * DegreeLength, point[1] * DegreeLength ] )
+	)
+	const first = project(theFirst)
+	const second = project(theSecond)
+
+	///
+	// Point to segment distance.
+	///
+	const segment = (thePoint, theStart, theEnd) => {
+		const dx = theEnd[0] - theStart[0]
+		const dy = theEnd[1] - theStart[1]
+		const length = (dx * dx) + (dy * dy)
+		const t = (length > 0)
+			? Math.max(0, Math.min(1, (((thePoint[0] - theStart[0]) * dx) + ((thePoint[1] - theStart[1]) * dy)) / length))
+			: 0
+		return Math.hypot(thePoint[0] - (theStart[0] + (t * dx)), thePoint[1] - (theStart[1] + (t * dy)))
+	}
+
+	///
+	// Vertices to rings distance.
+	///
+	const distance = (theVertices, theRings) => {
+		let minimum = Infinity
+		theVertices.forEach( (vertices) => {
+			vertices.forEach( (point) => {
+				theRings.forEach( (ring) => {
+					if(ring.length === 1) {
+						minimum = Math.min(minimum, Math.hypot(point[0] - ring[0][0], point[1] - ring[0][1]))
+					}
+					for(let i = 1; i < ring.length; i++) {
+						minimum = Math.min(minimum, segment(point, ring[i - 1], ring[i]))
+					}
+				})
+			})
+		})
+		return minimum
+	}
+
+	return Math.min(distance(first, second), distance(second, first))
+
+} // BoundaryDistance()
+
+/**
+ * This function will check whether the provided geometry is a Polygon or a
+ * MultiPolygon.
+ *
+ * Parameters:
+ * - theGeometry {Object}: GeoJSON geometry, or `null`.
+ *
+ * Returns:
+ * - {Boolean}: `true` if the geometry is a polygon.
+ */
+function IsPolygon(theGeometry)
+{
+	return (theGeometry !== null && typeof theGeometry === 'object') &&
+		[ 'Polygon', 'MultiPolygon' ].includes(theGeometry.type)
+
+} // IsPolygon()
+
+/**
+ * This function will call the provided function with the centre of each cell
+ * of a regular grid of OverlapGridSize by OverlapGridSize cells covering the
+ * provided box.
+ *
+ * Parameters:
+ * - theBox {Number[]}: The box as `[minLon, minLat, maxLon, maxLat]`.
+ * - theCallback {Function}: Function receiving the `[lon, lat]` sample point.
+ *
+ * Returns:
+ * - {Number}: The number of samples, `OverlapGridSize` squared.
+ */
+function GridSample(theBox, theCallback)
+{
+	const width = (theBox[2] - theBox[0]) / OverlapGridSize
+	const height = (theBox[3] - theBox[1]) / OverlapGridSize
+	for(let row = 0; row < OverlapGridSize; row++) {
+		for(let column = 0; column < OverlapGridSize; column++) {
+			theCallback([
+				theBox[0] + ((column + 0.5) * width),
+				theBox[1] + ((row + 0.5) * height)
+			])
+		}
+	}
+
+	return OverlapGridSize * OverlapGridSize
+
+} // GridSample()
+
+/**
+ * This function will return the area shared by the provided Polygon or
+ * MultiPolygon geometries, or sets of geometries.
+ *
+ * The area is estimated by sampling the centres of a regular grid covering
+ * the intersection of the geometries bounding boxes; the box area is
+ * computed on a plane tangent at its mean latitude. A set covers a point if
+ * any of its geometries does.
+ *
+ * Parameters:
+ * - theFirst {Object|Object[]}: GeoJSON Polygon or MultiPolygon, or list of them.
+ * - theSecond {Object|Object[]}: GeoJSON Polygon or MultiPolygon, or list of them.
+ *
+ * Returns:
+ * - {Number}: The overlap area in square meters.
+ */
+function OverlapArea(theFirst, theSecond)
+{
+	///
+	// Geometry boxes, used to skip point tests.
+	///
+	const boxes = (theGeometries) => [].concat(theGeometries).map( (geometry) => ({
+		geometry,
+		box: BoundingBox(GeometryPoints(geometry))
+	}))
+	const inside = (thePoint, theItems) => theItems.some( (item) =>
+		thePoint[0] >= item.box[0] && thePoint[0] <= item.box[2] &&
+		thePoint[1] >= item.box[1] && thePoint[1] <= item.box[3] &&
+		PointInGeometry(thePoint, item.geometry)
+	)
+	const first = boxes(theFirst)
+	const second = boxes(theSecond)
+	if(first.length === 0 || second.length === 0) {
+		return 0
+	}
+
+	///
+	// Intersect bounding boxes.
+	///
+	const bounds = (theItems) => BoundingBox(theItems.flatMap( (item) => [
+		[ item.box[0], item.box[1] ], [ item.box[2], item.box[3] ]
+	]))
+	const a = bounds(first)
+	const b = bounds(second)
+	const box = [
+		Math.max(a[0], b[0]), Math.max(a[1], b[1]),
+		Math.min(a[2], b[2]), Math.min(a[3], b[3])
+	]
+	if(box[0] >= box[2] || box[1] >= box[3]) {
+		return 0
+	}
+
+	///
+	// Sample grid.
+	///
+	let count = 0
+	const samples = GridSample(box, (thePoint) => {
+		if(inside(thePoint, first) && inside(thePoint, second)) {
+			count++
+		}
+	})
+
+	const ratio = Math.cos(((box[1] + box[3]) / 2) * Math.PI / 180)
+	const area = (box[2] - box[0]) * ratio * DegreeLength * (box[3] - box[1]) * DegreeLength
+
+	return area * count / samples
+
+} // OverlapArea()
+
+/**
+ * This function will clip the provided ring by the provided box using the
+ * Sutherland-Hodgman algorithm.
+ *
+ * The ring may be concave: the result may then feature degenerate edges
+ * along the box border, which do not affect the ring area.
+ *
+ * Parameters:
+ * - theRing {Array[]}: List of `[lon, lat]` points.
+ * - theBox {Number[]}: The box as `[minLon, minLat, maxLon, maxLat]`.
+ *
+ * Returns:
+ * - {Array[]}: The clipped list of points, not closed.
+ */
+function ClipRing(theRing, theBox)
+{
+	///
+	// Box edges as inside test and intersection.
+	///
+	const edges = [
+		{ inside: (p) => p[0] >= theBox[0], cut: (a, b) => CutAt(a, b, 0, theBox[0]) },
+		{ inside: (p) => p[0] <= theBox[2], cut: (a, b) => CutAt(a, b, 0, theBox[2]) },
+		{ inside: (p) => p[1] >= theBox[1], cut: (a, b) => CutAt(a, b, 1, theBox[1]) },
+		{ inside: (p) => p[1] <= theBox[3], cut: (a, b) => CutAt(a, b, 1, theBox[3]) }
+	]
+
+	///
+	// Clip by each edge.
+	///
+	let points = theRing.slice(0, -1)
+	edges.forEach( (edge) => {
+		const input = points
+		points = []
+		input.forEach( (current, index) => {
+			const previous = input[(index + input.length - 1) % input.length]
+			if(edge.inside(current)) {
+				if(!edge.inside(previous)) {
+					points.push(edge.cut(previous, current))
+				}
+				points.push(current)
+			} else if(edge.inside(previous)) {
+				points.push(edge.cut(previous, current))
+			}
+		})
+	})
+
+	return points
+
+} // ClipRing()
+
+/**
+ * This function will return the point of the provided segment whose
+ * coordinate at the provided axis has the provided value.
+ *
+ * Parameters:
+ * - theStart {Number[]}: Segment start point.
+ * - theEnd {Number[]}: Segment end point.
+ * - theAxis {Number}: `0` for longitude, `1` for latitude.
+ * - theValue {Number}: Coordinate value.
+ *
+ * Returns:
+ * - {Number[]}: The `[lon, lat]` point.
+ */
+function CutAt(theStart, theEnd, theAxis, theValue)
+{
+	const ratio = (theValue - theStart[theAxis]) / (theEnd[theAxis] - theStart[theAxis])
+	const point = [
+		theStart[0] + ((theEnd[0] - theStart[0]) * ratio),
+		theStart[1] + ((theEnd[1] - theStart[1]) * ratio)
+	]
+	point[theAxis] = theValue
+
+	return point
+
+} // CutAt()
+
+
+module.exports = {
+	DegreeLength,
+	CoveredFraction,
+	BoundingBox,
+	GeometryPoints,
+	GeometryCentroid,
+	PointInGeometry,
+	SphereDistance,
+	SphereRingArea,
+	GeometryArea,
+	GeometryRings,
+	BoundaryDistance,
+	IsPolygon,
+	GridSample,
+	OverlapArea,
+	RingArea,
+	ClipRing
+}
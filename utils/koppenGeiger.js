@@ -0,0 +1,187 @@
+'use strict'
+
+/**
+ * koppenGeiger.js
+ *
+ * This script contains the Köppen-Geiger climate classification, computed
+ * from monthly mean temperatures and precipitation following the criteria
+ * of Beck et al. (2018), Present and future Köppen-Geiger climate
+ * classification maps at 1-km resolution, Scientific Data 5, 180214.
+ *
+ * Temperatures are expected in degrees Celsius and precipitation in
+ * millimeters per month.
+ */
+
+///
+// Class descriptions.
+///
+const KoppenDescriptions = {
+	Af: 'Tropical, rainforest',
+	Am: 'Tropical, monsoon',
+	Aw: 'Tropical, savannah',
+	BWh: 'Arid, desert, hot',
+	BWk: 'Arid, desert, cold',
+	BSh: 'Arid, steppe, hot',
+	BSk: 'Arid, steppe, cold',
+	Csa: 'Temperate, dry summer, hot summer',
+	Csb: 'Temperate, dry summer, warm summer',
+	Csc: 'Temperate, dry summer, cold summer',
+	Cwa: 'Temperate, dry winter, hot summer',
+	Cwb: 'Temperate, dry winter, warm summer',
+	Cwc: 'Temperate, dry winter, cold summer',
+	Cfa: 'Temperate, no dry season, hot summer',
+	Cfb: 'Temperate, no dry season, warm summer',
+	Cfc: 'Temperate, no dry season, cold summer',
+	Dsa: 'Cold, dry summer, hot summer',
+	Dsb: 'Cold, dry summer, warm summer',
+	Dsc: 'Cold, dry summer, cold summer',
+	Dsd: 'Cold, dry summer, very cold winter',
+	Dwa: 'Cold, dry winter, hot summer',
+	Dwb: 'Cold, dry winter, warm summer',
+	Dwc: 'Cold, dry winter, cold summer',
+	Dwd: 'Cold, dry winter, very cold winter',
+	Dfa: 'Cold, no dry season, hot summer',
+	Dfb: 'Cold, no dry season, warm summer',
+	Dfc: 'Cold, no dry season, cold summer',
+	Dfd: 'Cold, no dry season, very cold winter',
+	ET: 'Polar, tundra',
+	EF: 'Polar, frost'
+}
+
+///
+// Summer months, zero based: April to September in the northern hemisphere,
+// October to March in the southern hemisphere.
+///
+const NorthernSummer = [ 3, 4, 5, 6, 7, 8 ]
+const SouthernSummer = [ 0, 1, 2, 9, 10, 11 ]
+
+
+/**
+ * This function will return the Köppen-Geiger class of the provided monthly
+ * climate.
+ *
+ * Summer is April to September in the northern hemisphere and October to
+ * March in the southern hemisphere. The polar class takes precedence over
+ * the arid class, which takes precedence over the others.
+ *
+ * Parameters:
+ * - theTemperature {Number[]}: Twelve monthly mean temperatures.
+ * - thePrecipitation {Number[]}: Twelve monthly precipitation totals.
+ * - theLatitude {Number}: Latitude, used to determine the hemisphere.
+ *
+ * Returns:
+ * - {Object}: The class `code`, its `description` and the `criteria` used in the classification.
+ */
+function KoppenGeiger(theTemperature, thePrecipitation, theLatitude)
+{
+	///
+	// Split seasons.
+	///
+	const summer = (theLatitude >= 0) ? NorthernSummer : SouthernSummer
+	const winter = (theLatitude >= 0) ? SouthernSummer : NorthernSummer
+	const pick = (theList, theMonths) => theMonths.map( (month) => theList[month] )
+	const sum = (theList) => theList.reduce( (total, item) => total + item, 0 )
+
+	///
+	// Compute criteria.
+	///
+	const criteria = {
+		MAT: sum(theTemperature) / 12,
+		MAP: sum(thePrecipitation),
+		Thot: Math.max(...theTemperature),
+		Tcold: Math.min(...theTemperature),
+		Tmon10: theTemperature.filter( (item) => item > 10 ).length,
+		Pdry: Math.min(...thePrecipitation),
+		Psdry: Math.min(...pick(thePrecipitation, summer)),
+		Pwdry: Math.min(...pick(thePrecipitation, winter)),
+		Pswet: Math.max(...pick(thePrecipitation, summer)),
+		Pwwet: Math.max(...pick(thePrecipitation, winter))
+	}
+	const summerTotal = sum(pick(thePrecipitation, summer))
+	const winterTotal = criteria.MAP - summerTotal
+	criteria.Pthreshold = (winterTotal >= 0.7 * criteria.MAP)
+		? 2 * criteria.MAT
+		: (summerTotal >= 0.7 * criteria.MAP)
+			? (2 * criteria.MAT) + 28
+			: (2 * criteria.MAT) + 14
+
+	///
+	// Classify.
+	///
+	const code = ClassCode(criteria)
+
+	return {
+		code,
+		description: KoppenDescriptions[code],
+		criteria
+	}
+
+} // KoppenGeiger()
+
+/**
+ * This function will return the Köppen-Geiger class code of the provided
+ * criteria.
+ *
+ * Parameters:
+ * - theCriteria {Object}: Classification criteria, see KoppenGeiger().
+ *
+ * Returns:
+ * - {String}: The class code.
+ */
+function ClassCode(theCriteria)
+{
+	const c = theCriteria
+
+	///
+	// Polar.
+	///
+	if(c.Thot < 10) {
+		return (c.Thot > 0) ? 'ET' : 'EF'
+	}
+
+	///
+	// Arid.
+	///
+	if(c.MAP < 10 * c.Pthreshold) {
+		return 'B' +
+			((c.MAP < 5 * c.Pthreshold) ? 'W' : 'S') +
+			((c.MAT >= 18) ? 'h' : 'k')
+	}
+
+	///
+	// Tropical.
+	///
+	if(c.Tcold >= 18) {
+		if(c.Pdry >= 60) {
+			return 'Af'
+		}
+		return (c.Pdry >= 100 - (c.MAP / 25)) ? 'Am' : 'Aw'
+	}
+
+	///
+	// Temperate and cold.
+	///
+	const precipitation =
+		(c.Psdry < 40 && c.Psdry < c.Pwwet / 3)
+			? 's'
+			: (c.Pwdry < c.Pswet / 10)
+				? 'w'
+				: 'f'
+	const temperature =
+		(c.Thot >= 22)
+			? 'a'
+			: (c.Tmon10 >= 4)
+				? 'b'
+				: (c.Tcold < -38)
+					? 'd'
+					: 'c'
+
+	return ((c.Tcold > 0) ? 'C' : 'D') + precipitation + temperature
+
+} // ClassCode()
+
+
+module.exports = {
+	KoppenDescriptions,
+	KoppenGeiger
+}
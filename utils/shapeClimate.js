@@ -0,0 +1,536 @@
+'use strict'
+
+/**
+ * shapeClimate.js
+ *
+ * This script contains the functions used to manage the `ShapeClimate`
+ * collection, which caches the climate aggregations of the unit shapes.
+ *
+ * Each record holds the aggregations of one dataset for one shape, computed
+ * on the climate records intersecting the shape without properties selection:
+ *
+ * - `_key`: The dataset name and the shape geometry hash, see ShapeClimateKey().
+ * - `geometry_hash`: The shape geometry hash.
+ * - `dataset`: The dataset name, `chelsa` or `worldclim`.
+ * - `shape_rev`: The revision of the `Shapes` record used in the aggregation.
+ * - `data_rev`: The revision of the climate data collection used in the aggregation.
+ * - `std_date_stamp`: The aggregation timestamp.
+ * - `aggregations`: The query results of each aggregation.
+ * - `weighted`: The query results of each area weighted aggregation, `null` if the shape is not a polygon.
+ *
+ * A record is *stale* when the shape or the climate data collection changed
+ * after the aggregation: stale records are ignored by lookups until rebuilt.
+ * Stale and missing records are rebuilt by the jobs queued by
+ * ShapeClimateSchedule(), which the recurring refresh job, registered at
+ * setup, calls for all datasets every ShapeClimateRefreshDelay.
+ */
+
+///
+// Modules.
+///
+const {aql, db} = require('@arangodb')
+const queues = require('@arangodb/foxx/queues')
+const {context} = require('@arangodb/locals')
+const {documentCollections} = require('../constants')
+const {ClimateCoverage, SelectDescriptor, IsSelection} = require('./climateAggregateAQL')
+const {
+	ChelsaDescriptor,
+	ChelsaBaseline,
+	ChelsaClickAQL,
+	ChelsaIntersectsAQL,
+	ChelsaWeightedAQL,
+	ChelsaMomentsAQL,
+	ChelsaAnalogueAQL
+} = require('./chelsaAggregateAQL')
+const {
+	WorldClimDescriptor,
+	WorldClimBaseline,
+	WorldClimClickAQL,
+	WorldClimIntersectsAQL,
+	WorldClimWeightedAQL,
+	WorldClimMomentsAQL,
+	WorldClimAnalogueAQL
+} = require('./worldclimAggregateAQL')
+
+///
+// Cached datasets.
+///
+const ShapeClimateDatasets = {
+	chelsa: {
+		descriptor: ChelsaDescriptor,
+		baseline: ChelsaBaseline,
+		data: documentCollections.chelsa,
+		map: documentCollections.chelsa_map,
+		click: ChelsaClickAQL,
+		intersects: ChelsaIntersectsAQL,
+		weighted: ChelsaWeightedAQL,
+		moments: ChelsaMomentsAQL,
+		analogue: ChelsaAnalogueAQL
+	},
+	worldclim: {
+		descriptor: WorldClimDescriptor,
+		baseline: WorldClimBaseline,
+		data: documentCollections.worldclim,
+		map: documentCollections.worldclim_map,
+		click: WorldClimClickAQL,
+		intersects: WorldClimIntersectsAQL,
+		weighted: WorldClimWeightedAQL,
+		moments: WorldClimMomentsAQL,
+		analogue: WorldClimAnalogueAQL
+	}
+}
+
+///
+// Cached aggregations.
+///
+const ShapeClimateAggregations = [
+	'MIN', 'AVG', 'MAX', 'STD', 'VAR', 'MEDIAN', 'P05', 'P25', 'P75', 'P95', 'HIST'
+]
+const ShapeClimateWeighted = [ 'AVG', 'STD', 'VAR' ]
+
+///
+// Cached histogram bins.
+///
+const ShapeClimateBins = 10
+
+///
+// Shapes per rebuild job.
+///
+const ShapeClimateBatch = 100
+
+///
+// Jobs queue and scripts.
+///
+const ShapeClimateQueue = 'shape-climate'
+const ShapeClimateBuildScript = 'shapeClimate'
+const ShapeClimateRefreshScript = 'shapeClimateRefresh'
+
+///
+// Refresh job delay in milliseconds.
+///
+const ShapeClimateRefreshDelay = 60 * 60 * 1000
+
+
+/**
+ * This function will return the cache record key of the provided dataset
+ * and shape.
+ *
+ * Parameters:
+ * - theDataset {String}: Dataset name.
+ * - theHash {String}: Shape geometry hash.
+ *
+ * Returns:
+ * - {String}: The record key.
+ */
+function ShapeClimateKey(theDataset, theHash)
+{
+	return `${theDataset}_${theHash}`
+
+} // ShapeClimateKey()
+
+/**
+ * This function will check whether the provided aggregation can be served
+ * from the cache.
+ *
+ * Parameters:
+ * - theWhat {String}: Aggregation.
+ * - theWeighted {Boolean}: Area weighted aggregation.
+ * - theBins {Integer}: Number of histogram bins.
+ *
+ * Returns:
+ * - {Boolean}: `true` if the aggregation is cached.
+ */
+function IsShapeClimateCached(theWhat, theWeighted = false, theBins = ShapeClimateBins)
+{
+	if(theWeighted) {
+		return ShapeClimateWeighted.includes(theWhat)
+	}
+
+	return ShapeClimateAggregations.includes(theWhat) &&
+		(theWhat !== 'HIST' || theBins === ShapeClimateBins)
+
+} // IsShapeClimateCached()
+
+/**
+ * This function will return the cached aggregation of the provided dataset
+ * and shape, restricted to the provided selection.
+ *
+ * Parameters:
+ * - theDataset {String}: Dataset name.
+ * - theHash {String}: Shape geometry hash.
+ * - theWhat {String}: Aggregation.
+ * - theWeighted {Boolean}: Area weighted aggregation.
+ * - theSelection {Object}: Properties selection.
+ *
+ * Returns:
+ * - {Object[]}: The aggregation query result, or `null` if not cached or stale.
+ */
+function ShapeClimateLookup(theDataset, theHash, theWhat, theWeighted = false, theSelection = {})
+{
+	const dataset = ShapeClimateDatasets[theDataset]
+
+	///
+	// Get current record.
+	///
+	const result = db._query(aql`
+		FOR doc IN ${db._collection(documentCollections.shape_climate)}
+			FILTER doc._key == ${ShapeClimateKey(theDataset, theHash)}
+			FILTER doc.data_rev == ${db._collection(dataset.data).revision()}
+			FOR shape IN ${db._collection(documentCollections.shapes)}
+				FILTER shape._key == doc.geometry_hash
+				FILTER shape._rev == doc.shape_rev
+		RETURN (${theWeighted}) ? doc.weighted[${theWhat}] : doc.aggregations[${theWhat}]
+	`).toArray()
+
+	if(result.length === 0 || !Array.isArray(result[0])) {
+		return null
+	}
+
+	///
+	// Apply selection.
+	///
+	return result[0].map( (record) =>
+		Object.assign({}, record, {
+			properties: SelectProperties(dataset.descriptor, record.properties, theSelection)
+		})
+	)
+
+} // ShapeClimateLookup()
+
+/**
+ * This function will compute and store the cached aggregations of the
+ * provided dataset and shape.
+ *
+ * If the shape does not exist, its cache record will be removed.
+ *
+ * Parameters:
+ * - theDataset {String}: Dataset name.
+ * - theHash {String}: Shape geometry hash.
+ *
+ * Returns:
+ * - {Boolean}: `true` if the record was stored, `false` if the shape does not exist.
+ */
+function ShapeClimateBuild(theDataset, theHash)
+{
+	const dataset = ShapeClimateDatasets[theDataset]
+	const collection = db._collection(documentCollections.shape_climate)
+	const key = ShapeClimateKey(theDataset, theHash)
+
+	///
+	// Get shape.
+	///
+	const shape = db._query(aql`
+		FOR doc IN ${db._collection(documentCollections.shapes)}
+			FILTER doc._key == ${theHash}
+		RETURN { rev: doc._rev, geometry: doc.geometry }
+	`).toArray()
+
+	if(shape.length === 0) {
+		if(collection.exists(key)) {
+			collection.remove(key)
+		}
+		return false
+	}
+
+	///
+	// Aggregate.
+	///
+	const geometry = shape[0].geometry
+	const data = db._collection(dataset.data)
+	const map = db._collection(dataset.map)
+	const revision = data.revision()
+	const aggregations = {}
+	ShapeClimateAggregations.forEach( (what) => {
+		aggregations[what] = db._query(
+			dataset.intersects(data, map, geometry, what, 0, 10, {}, ShapeClimateBins)
+		).toArray()
+	})
+
+	let weighted = null
+	if([ 'Polygon', 'MultiPolygon' ].includes(geometry.type)) {
+		const coverage = ClimateCoverage(data, geometry)
+		weighted = {}
+		ShapeClimateWeighted.forEach( (what) => {
+			weighted[what] = db._query(
+				dataset.weighted(data, coverage, what, {})
+			).toArray()
+		})
+	}
+
+	///
+	// Store record.
+	///
+	collection.save({
+		_key: key,
+		geometry_hash: theHash,
+		dataset: theDataset,
+		shape_rev: shape[0].rev,
+		data_rev: revision,
+		std_date_stamp: new Date().toISOString(),
+		aggregations,
+		weighted
+	}, { overwrite: true })
+
+	return true
+
+} // ShapeClimateBuild()
+
+/**
+ * This function will return the cache status of the provided dataset: the
+ * number of shapes, and the number of shapes whose cache record is current,
+ * stale or missing.
+ *
+ * Parameters:
+ * - theDataset {String}: Dataset name.
+ *
+ * Returns:
+ * - {Object}: The cache status.
+ */
+function ShapeClimateStatus(theDataset)
+{
+	const dataset = ShapeClimateDatasets[theDataset]
+
+	return db._query(aql`
+		LET revision = ${db._collection(dataset.data).revision()}
+		FOR shape IN ${db._collection(documentCollections.shapes)}
+			LET doc = FIRST(
+				FOR item IN ${db._collection(documentCollections.shape_climate)}
+					FILTER item._key == CONCAT(${theDataset}, '_', shape._key)
+				RETURN { shape_rev: item.shape_rev, data_rev: item.data_rev }
+			)
+			LET current = (doc != null && doc.shape_rev == shape._rev && doc.data_rev == revision)
+			COLLECT AGGREGATE
+				shapes = COUNT(),
+				current_count = SUM(current ? 1 : 0),
+				missing_count = SUM((doc == null) ? 1 : 0)
+		RETURN {
+			dataset: ${theDataset},
+			shapes: shapes,
+			current: current_count,
+			stale: shapes - current_count - missing_count,
+			missing: missing_count
+		}
+	`).toArray()[0]
+
+} // ShapeClimateStatus()
+
+/**
+ * This function will return the geometry hashes of the shapes whose cache
+ * record of the provided dataset should be rebuilt.
+ *
+ * Parameters:
+ * - theDataset {String}: Dataset name.
+ * - theHashes {String[]}: Shape geometry hashes, omit to consider all shapes.
+ * - theStale {Boolean}: `true` to only return shapes whose record is stale or missing.
+ *
+ * Returns:
+ * - {String[]}: The list of geometry hashes.
+ */
+function ShapeClimateTargets(theDataset, theHashes = [], theStale = true)
+{
+	const dataset = ShapeClimateDatasets[theDataset]
+	const hashes = (theHashes.length > 0)
+		? aql`FILTER shape._key IN ${theHashes}`
+		: aql.literal('')
+
+	return db._query(aql`
+		LET revision = ${db._collection(dataset.data).revision()}
+		FOR shape IN ${db._collection(documentCollections.shapes)}
+			${hashes}
+			LET doc = FIRST(
+				FOR item IN ${db._collection(documentCollections.shape_climate)}
+					FILTER item._key == CONCAT(${theDataset}, '_', shape._key)
+				RETURN { shape_rev: item.shape_rev, data_rev: item.data_rev }
+			)
+			FILTER !${theStale} || doc == null || doc.shape_rev != shape._rev || doc.data_rev != revision
+		RETURN shape._key
+	`).toArray()
+
+} // ShapeClimateTargets()
+
+/**
+ * This function will queue the jobs that rebuild the cache records of the
+ * provided datasets, each job processes ShapeClimateBatch shapes.
+ *
+ * Parameters:
+ * - theDatasets {String[]}: Dataset names.
+ * - theHashes {String[]}: Shape geometry hashes, omit to consider all shapes.
+ * - theStale {Boolean}: `true` to only rebuild stale or missing records.
+ *
+ * Returns:
+ * - {Object[]}: One record per dataset, with the `dataset`, the number of `shapes` to rebuild and of queued `jobs`.
+ */
+function ShapeClimateSchedule(theDatasets, theHashes = [], theStale = true)
+{
+	const queue = queues.create(ShapeClimateQueue)
+
+	return theDatasets.map( (dataset) => {
+		const targets = ShapeClimateTargets(dataset, theHashes, theStale)
+		let jobs = 0
+		for(let i = 0; i < targets.length; i += ShapeClimateBatch) {
+			queue.push(
+				{ mount: context.mount, name: ShapeClimateBuildScript },
+				{ dataset, hashes: targets.slice(i, i + ShapeClimateBatch) }
+			)
+			jobs++
+		}
+
+		return { dataset, shapes: targets.length, jobs }
+	})
+
+} // ShapeClimateSchedule()
+
+/**
+ * This function will register the recurring job that rebuilds the stale and
+ * missing cache records of all datasets, replacing any registered one.
+ *
+ * Parameters:
+ * - theRegister {Boolean}: `false` to only remove the registered job.
+ *
+ * Returns:
+ * - {String}: The job ID, or `null` if not registered.
+ */
+function ShapeClimateRefresh(theRegister = true)
+{
+	const queue = queues.create(ShapeClimateQueue)
+	const job = { mount: context.mount, name: ShapeClimateRefreshScript }
+
+	queue.all(job).forEach( (id) => queue.delete(id) )
+	if(!theRegister) {
+		return null
+	}
+
+	return queue.push(job, {}, {
+		repeatTimes: Infinity,
+		repeatDelay: ShapeClimateRefreshDelay
+	})
+
+} // ShapeClimateRefresh()
+
+/**
+ * This function will check whether cache rebuild jobs are pending or in
+ * progress.
+ *
+ * Returns:
+ * - {Boolean}: `true` if there are rebuild jobs waiting or running.
+ */
+function ShapeClimateBusy()
+{
+	const queue = queues.create(ShapeClimateQueue)
+	const job = { mount: context.mount, name: ShapeClimateBuildScript }
+
+	return (queue.pending(job).length + queue.progress(job).length) > 0
+
+} // ShapeClimateBusy()
+
+/**
+ * This function will remove the cache records of the provided dataset.
+ *
+ * Parameters:
+ * - theDataset {String}: Dataset name.
+ * - theHashes {String[]}: Shape geometry hashes, omit to remove all records of the dataset.
+ *
+ * Returns:
+ * - {Number}: The number of removed records.
+ */
+function ShapeClimateInvalidate(theDataset, theHashes = [])
+{
+	const hashes = (theHashes.length > 0)
+		? aql`FILTER doc.geometry_hash IN ${theHashes}`
+		: aql.literal('')
+
+	return db._query(aql`
+		FOR doc IN ${db._collection(documentCollections.shape_climate)}
+			FILTER doc.dataset == ${theDataset}
+			${hashes}
+			REMOVE doc IN ${db._collection(documentCollections.shape_climate)}
+		COLLECT WITH COUNT INTO removed
+		RETURN removed
+	`).toArray()[0] || 0
+
+} // ShapeClimateInvalidate()
+
+/**
+ * This function will restrict the provided properties to the provided
+ * selection, the result matches the structure of the properties returned
+ * by the aggregation queries with the same selection.
+ *
+ * Parameters:
+ * - theDescriptor {Object[]}: Dataset descriptor.
+ * - theProperties {Object}: Aggregated properties.
+ * - theSelection {Object}: Properties selection.
+ *
+ * Returns:
+ * - {Object}: The selected properties.
+ */
+function SelectProperties(theDescriptor, theProperties, theSelection = {})
+{
+	///
+	// Handle no selection.
+	///
+	if(!IsSelection(theSelection) || theProperties === null || typeof theProperties !== 'object') {
+		return theProperties
+	}
+
+	///
+	// Iterate groups.
+	///
+	const value = (theValue) => (theValue !== undefined) ? theValue : null
+	const properties = {}
+	SelectDescriptor(theDescriptor, theSelection).forEach( (group) =>
+	{
+		///
+		// Locate group in source and result.
+		///
+		let target = properties
+		let source = theProperties
+		group.path.forEach( (key) => {
+			if(!target.hasOwnProperty(key)) {
+				target[key] = {}
+			}
+			target = target[key]
+			source = (source !== null && typeof source === 'object' && source.hasOwnProperty(key))
+				? source[key]
+				: {}
+		})
+
+		///
+		// Handle scalar descriptors.
+		///
+		group.annual.forEach( (term) => {
+			target[term] = value(source[term])
+		})
+
+		///
+		// Handle monthly descriptors.
+		///
+		if(group.monthly.length > 0) {
+			const months = Array.isArray(source.std_date_span_month) ? source.std_date_span_month : []
+			target.std_date_span_month = group.months.map( (month) => {
+				const item = months[month - 1] || {}
+				const record = { std_month: value(item.std_month) }
+				group.monthly.forEach( (term) => {
+					record[term] = value(item[term])
+				})
+				return record
+			})
+		}
+	})
+
+	return properties
+
+} // SelectProperties()
+
+
+module.exports = {
+	ShapeClimateDatasets,
+	IsShapeClimateCached,
+	ShapeClimateLookup,
+	ShapeClimateBuild,
+	ShapeClimateStatus,
+	ShapeClimateTargets,
+	ShapeClimateSchedule,
+	ShapeClimateRefresh,
+	ShapeClimateBusy,
+	ShapeClimateInvalidate
+}
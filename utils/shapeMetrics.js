@@ -0,0 +1,212 @@
+'use strict'
+
+/**
+ * shapeMetrics.js
+ *
+ * This script contains the functions used to compute the geometric
+ * descriptors of unit shapes from their stored GeoJSON `geometry`, used to
+ * spot implausible polygons such as slivers and digitising errors.
+ *
+ * Areas and lengths are measured on the sphere; the convex hull is computed
+ * on the plane of longitudes and latitudes, which is adequate for the extent
+ * of unit shapes.
+ */
+
+///
+// Modules.
+///
+const {aql, db} = require('@arangodb')
+const {documentCollections} = require('../constants')
+const {
+	BoundingBox,
+	GeometryPoints,
+	GeometryCentroid,
+	GeometryRings,
+	SphereDistance,
+	SphereRingArea
+} = require('./geometryUtils')
+
+
+/**
+ * This function will return the geometric descriptors of the shapes
+ * identified by the provided geometry hashes.
+ *
+ * Parameters:
+ * - theHashes {String[]}: List of shape geometry hashes.
+ *
+ * Returns:
+ * - {Object[]}: The list of found shapes metrics, see ShapeMetrics().
+ */
+function ShapeMetricsRecords(theHashes)
+{
+	return db._query(aql`
+		FOR doc IN ${db._collection(documentCollections.shapes)}
+			FILTER doc._key IN ${theHashes}
+		RETURN { geometry_hash: doc._key, geometry: doc.geometry }
+	`).toArray()
+		.map( (shape) => Object.assign(
+			{ geometry_hash: shape.geometry_hash },
+			ShapeMetrics(shape.geometry)
+		))
+
+} // ShapeMetricsRecords()
+
+/**
+ * This function will return the geometric descriptors of the provided
+ * geometry.
+ *
+ * The returned object contains the following properties:
+ *
+ * - `geometry_type` {String}: The GeoJSON geometry type.
+ * - `area` {Number}: The area in square meters, outer rings minus holes.
+ * - `perimeter` {Number}: The length of all rings, or lines, in meters.
+ * - `centroid` {Object}: The GeoJSON Point of the centroid.
+ * - `bbox` {Object}: The bounding box `bounds`, `[minLon, minLat, maxLon, maxLat]`, and its `width` and `height` in meters.
+ * - `convex_hull` {Object}: The GeoJSON Polygon of the convex hull, `null` for less than three distinct points.
+ * - `convex_hull_area` {Number}: The convex hull area in square meters.
+ * - `polsby_popper` {Number}: The compactness, `4π * area / perimeter²`, from `0` to `1` for a circle, `null` for non polygons.
+ * - `parts` {Number}: The number of polygons, lines or points.
+ * - `holes` {Number}: The number of polygon inner rings.
+ * - `vertices` {Number}: The number of vertices, not counting ring closing points.
+ *
+ * Parameters:
+ * - theGeometry {Object}: GeoJSON geometry.
+ *
+ * Returns:
+ * - {Object}: The metrics.
+ */
+function ShapeMetrics(theGeometry)
+{
+	///
+	// Polygons and rings.
+	///
+	const polygons = (theGeometry.type === 'MultiPolygon')
+		? theGeometry.coordinates
+		: (theGeometry.type === 'Polygon') ? [ theGeometry.coordinates ] : []
+	const rings = GeometryRings(theGeometry)
+	const isPolygon = (polygons.length > 0)
+
+	///
+	// Area and perimeter.
+	///
+	const area = polygons.reduce( (total, polygon) =>
+		total + polygon.reduce( (sum, ring, index) =>
+			sum + ((index === 0) ? 1 : -1) * SphereRingArea(ring)
+		, 0)
+	, 0)
+	const perimeter = rings.reduce( (total, ring) =>
+		total + ring.slice(1).reduce( (sum, point, index) =>
+			sum + SphereDistance(ring[index], point)
+		, 0)
+	, 0)
+
+	///
+	// Bounding box.
+	///
+	const points = GeometryPoints(theGeometry)
+	const bounds = BoundingBox(points)
+	const middle = (bounds[1] + bounds[3]) / 2
+	const centroid = GeometryCentroid([ theGeometry ])
+
+	///
+	// Convex hull.
+	///
+	const hull = ConvexHull(points)
+
+	return {
+		geometry_type: theGeometry.type,
+		area,
+		perimeter,
+		centroid: (centroid !== null) ? { type: 'Point', coordinates: centroid } : null,
+		bbox: {
+			bounds,
+			width: SphereDistance([ bounds[0], middle ], [ bounds[2], middle ]),
+			height: SphereDistance([ bounds[0], bounds[1] ], [ bounds[0], bounds[3] ])
+		},
+		convex_hull: (hull !== null) ? { type: 'Polygon', coordinates: [ hull ] } : null,
+		convex_hull_area: (hull !== null) ? SphereRingArea(hull) : 0,
+		polsby_popper: (isPolygon && perimeter > 0)
+			? (4 * Math.PI * area) / (perimeter * perimeter)
+			: null,
+		parts: (isPolygon) ? polygons.length : rings.length,
+		holes: polygons.reduce( (total, polygon) => total + polygon.length - 1, 0 ),
+		vertices: (isPolygon)
+			? rings.reduce( (total, ring) => total + OpenRing(ring).length, 0 )
+			: points.length
+	}
+
+} // ShapeMetrics()
+
+/**
+ * This function will return the convex hull of the provided points, using
+ * the monotone chain algorithm.
+ *
+ * Parameters:
+ * - thePoints {Array[]}: List of `[lon, lat]` points.
+ *
+ * Returns:
+ * - {Array[]}: The closed counterclockwise hull ring, or `null` for less than three distinct points.
+ */
+function ConvexHull(thePoints)
+{
+	///
+	// Sort unique points.
+	///
+	const points = thePoints
+		.slice()
+		.sort( (a, b) => (a[0] - b[0]) || (a[1] - b[1]) )
+		.filter( (point, index, list) =>
+			index === 0 || point[0] !== list[index - 1][0] || point[1] !== list[index - 1][1]
+		)
+	if(points.length < 3) {
+		return null
+	}
+
+	///
+	// Build lower and upper chains.
+	///
+	const cross = (o, a, b) => ((a[0] - o[0]) * (b[1] - o[1])) - ((a[1] - o[1]) * (b[0] - o[0]))
+	const chain = (theList) => theList.reduce( (result, point) => {
+		while(result.length >= 2 && cross(result[result.length - 2], result[result.length - 1], point) <= 0) {
+			result.pop()
+		}
+		result.push(point)
+		return result
+	}, [])
+	const lower = chain(points)
+	const upper = chain(points.slice().reverse())
+	const hull = lower.slice(0, -1).concat(upper.slice(0, -1))
+	if(hull.length < 3) {
+		return null
+	}
+
+	return hull.concat([ hull[0] ])
+
+} // ConvexHull()
+
+/**
+ * This function will return the provided ring without its closing point.
+ *
+ * Parameters:
+ * - theRing {Array[]}: List of `[lon, lat]` points.
+ *
+ * Returns:
+ * - {Array[]}: The ring points, not closed.
+ */
+function OpenRing(theRing)
+{
+	const first = theRing[0]
+	const last = theRing[theRing.length - 1]
+
+	return (theRing.length > 1 && first[0] === last[0] && first[1] === last[1])
+		? theRing.slice(0, -1)
+		: theRing
+
+} // OpenRing()
+
+
+module.exports = {
+	ConvexHull,
+	ShapeMetrics,
+	ShapeMetricsRecords
+}
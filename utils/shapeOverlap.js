@@ -0,0 +1,359 @@
+'use strict'
+
+/**
+ * shapeOverlap.js
+ *
+ * This script contains the functions used to detect overlapping, touching
+ * and nearby unit shapes, and the units owning them.
+ *
+ * Shapes *overlap* if they share some area, they *touch* if they intersect
+ * without sharing any area and they are *near* if their boundaries lie
+ * within a tolerance distance. Overlap areas are estimated by sampling, see
+ * OverlapArea(), so touching shapes may include overlaps below the sampling
+ * resolution.
+ *
+ * The network overlaps report scans all pairs of shapes: it is computed by
+ * the job queued by OverlapReportSchedule() and stored in the `ShapeOverlaps`
+ * collection, one record per overlapping pair, from which OverlapReport()
+ * serves the report pages. A shape featured by several unit numbers overlaps
+ * itself: it is reported as a record holding that single shape.
+ */
+
+///
+// Modules.
+///
+const {aql, db} = require('@arangodb')
+const queues = require('@arangodb/foxx/queues')
+const {context} = require('@arangodb/locals')
+const {documentCollections} = require('../constants')
+const {
+	BoundingBox,
+	GeometryPoints,
+	BoundaryDistance,
+	OverlapArea,
+	IsPolygon,
+	DegreeLength
+} = require('./geometryUtils')
+
+///
+// Relation sort order.
+///
+const RelationOrder = [ 'overlap', 'touch', 'near' ]
+
+///
+// Report job queue and script.
+///
+const ShapeOverlapQueue = 'shape-overlaps'
+const ShapeOverlapScript = 'shapeOverlaps'
+
+
+/**
+ * This function will return the shapes overlapping, touching or lying
+ * within the provided tolerance from the provided shape.
+ *
+ * The provided shape is itself returned, as overlapping, if it is featured
+ * by several unit numbers.
+ *
+ * Parameters:
+ * - theHash {String}: Shape geometry hash.
+ * - theTolerance {Number}: Tolerance distance in meters.
+ *
+ * Returns:
+ * - {Object[]}: The list of matching shapes, or `null` if the shape was not found.
+ */
+function ShapeNeighbours(theHash, theTolerance = 0)
+{
+	///
+	// Get shape.
+	///
+	const shape = db._query(aql`
+		FOR doc IN ${db._collection(documentCollections.shapes)}
+			FILTER doc._key == ${theHash}
+		RETURN { geometry: doc.geometry, area: doc.properties.topography.geo_shape_area }
+	`).toArray()
+	if(shape.length === 0) {
+		return null
+	}
+	const geometry = shape[0].geometry
+
+	///
+	// Get candidates within the tolerance box.
+	///
+	const candidates = db._query(aql`
+		LET target = ${geometry}
+		FOR doc IN ${db._collection(documentCollections.shapes)}
+			FILTER GEO_INTERSECTS(${ToleranceBox(geometry, theTolerance)}, doc.geometry)
+			LET units = ${ShapeUnitsAQL('doc')}
+			FILTER doc._key != ${theHash} OR COUNT_DISTINCT(units[*].gcu_id_number) > 1
+		RETURN {
+			geometry_hash: doc._key,
+			geometry: doc.geometry,
+			geo_shape_area: doc.properties.topography.geo_shape_area,
+			intersects: GEO_INTERSECTS(target, doc.geometry),
+			units: units
+		}
+	`).toArray()
+
+	///
+	// Classify candidates.
+	///
+	return candidates
+		.map( (candidate) => {
+			const { geometry: other, intersects, ...record } = candidate
+			if(intersects) {
+				const area = (IsPolygon(geometry) && IsPolygon(other))
+					? OverlapArea(geometry, other)
+					: 0
+				return Object.assign(record, {
+					relation: (area > 0) ? 'overlap' : 'touch',
+					overlap_area: area,
+					overlap_ratio: OverlapRatio(area, shape[0].area, candidate.geo_shape_area),
+					distance: 0
+				})
+			}
+			return Object.assign(record, {
+				relation: 'near',
+				overlap_area: 0,
+				overlap_ratio: 0,
+				distance: BoundaryDistance(geometry, other)
+			})
+		})
+		.filter( (record) => record.distance <= theTolerance )
+		.sort( (a, b) =>
+			(RelationOrder.indexOf(a.relation) - RelationOrder.indexOf(b.relation)) ||
+			(b.overlap_area - a.overlap_area) ||
+			(a.distance - b.distance)
+		)
+
+} // ShapeNeighbours()
+
+/**
+ * This function will return the page of the stored overlaps report, see
+ * OverlapReportBuild(), sorted by decreasing overlap area.
+ *
+ * Parameters:
+ * - theStart {Number}: The results start index, 0 based.
+ * - theLimit {Number}: Number of records to return.
+ * - theMinRatio {Number}: Minimum overlap ratio.
+ *
+ * Returns:
+ * - {Object}: The `total` number of overlapping pairs, `start`, `limit`, the report `std_date_stamp` and the `items` list.
+ */
+function OverlapReport(theStart, theLimit, theMinRatio = 0)
+{
+	const collection = db._collection(documentCollections.shape_overlaps)
+	const ratio = (theMinRatio > 0)
+		? aql`FILTER doc.overlap_ratio != null AND doc.overlap_ratio >= ${theMinRatio}`
+		: aql.literal('')
+
+	return db._query(aql`
+		RETURN {
+			total: FIRST(
+				FOR doc IN ${collection}
+					${ratio}
+					COLLECT WITH COUNT INTO count
+				RETURN count
+			),
+			start: ${theStart},
+			limit: ${theLimit},
+			std_date_stamp: FIRST(
+				FOR doc IN ${collection}
+					LIMIT 1
+				RETURN doc.std_date_stamp
+			),
+			items: (
+				FOR doc IN ${collection}
+					${ratio}
+					SORT doc.overlap_area DESC
+					LIMIT ${theStart}, ${theLimit}
+				RETURN UNSET(doc, '_id', '_key', '_rev', 'std_date_stamp')
+			)
+		}
+	`).toArray()[0]
+
+} // OverlapReport()
+
+/**
+ * This function will compute the pairs of overlapping shapes belonging to
+ * different unit numbers, along with the shapes featured by several unit
+ * numbers, and replace the contents of the `ShapeOverlaps` collection with
+ * them.
+ *
+ * The contents are replaced in a single transaction, so that a failing
+ * rebuild keeps the previous report.
+ *
+ * Returns:
+ * - {Number}: The number of stored overlapping pairs.
+ */
+function OverlapReportBuild()
+{
+	///
+	// Get intersecting pairs.
+	///
+	const pairs = db._query(aql`
+		FOR doc IN ${db._collection(documentCollections.shapes)}
+			FILTER doc.geometry.type IN [ 'Polygon', 'MultiPolygon' ]
+			LET units = ${ShapeUnitsAQL('doc')}
+			FOR other IN ${db._collection(documentCollections.shapes)}
+				FILTER GEO_INTERSECTS(doc.geometry, other.geometry)
+				FILTER other._key >= doc._key
+				FILTER other.geometry.type IN [ 'Polygon', 'MultiPolygon' ]
+				LET others = ${ShapeUnitsAQL('other')}
+				FILTER (other._key == doc._key)
+					? COUNT_DISTINCT(units[*].gcu_id_number) > 1
+					: LENGTH(INTERSECTION(units[*].gcu_id_number, others[*].gcu_id_number)) == 0
+		RETURN [
+			{
+				geometry_hash: doc._key,
+				geometry: doc.geometry,
+				geo_shape_area: doc.properties.topography.geo_shape_area,
+				units: units
+			},
+			{
+				geometry_hash: other._key,
+				geometry: other.geometry,
+				geo_shape_area: other.properties.topography.geo_shape_area,
+				units: others
+			}
+		]
+	`).toArray()
+
+	///
+	// Estimate overlaps.
+	///
+	const stamp = new Date().toISOString()
+	const items = pairs
+		.map( (pair) => {
+			const area = OverlapArea(pair[0].geometry, pair[1].geometry)
+			return {
+				overlap_area: area,
+				overlap_ratio: OverlapRatio(area, pair[0].geo_shape_area, pair[1].geo_shape_area),
+				shapes: pair
+					.filter( (item, index) => index === 0 || item.geometry_hash !== pair[0].geometry_hash )
+					.map( (item) => {
+						const { geometry, ...record } = item
+						return record
+					}),
+				std_date_stamp: stamp
+			}
+		})
+		.filter( (item) => item.overlap_area > 0 )
+
+	///
+	// Replace report.
+	///
+	db._executeTransaction({
+		collections: { write: [ documentCollections.shape_overlaps ] },
+		params: { collection: documentCollections.shape_overlaps, items },
+		action: function (theParams) {
+			const {db} = require('@arangodb')
+			const collection = db._collection(theParams.collection)
+			collection.truncate()
+			if(theParams.items.length > 0) {
+				collection.save(theParams.items)
+			}
+		}
+	})
+
+	return items.length
+
+} // OverlapReportBuild()
+
+/**
+ * This function will queue the job that rebuilds the overlaps report, see
+ * OverlapReportBuild(), unless a rebuild job is already waiting or running.
+ *
+ * Returns:
+ * - {String}: The queued job ID, or `null` if a rebuild job is already queued.
+ */
+function OverlapReportSchedule()
+{
+	const queue = queues.create(ShapeOverlapQueue)
+	const job = { mount: context.mount, name: ShapeOverlapScript }
+
+	if((queue.pending(job).length + queue.progress(job).length) > 0) {
+		return null
+	}
+
+	return queue.push(job, {})
+
+} // OverlapReportSchedule()
+
+/**
+ * This function will return the subquery selecting the units of the shape
+ * held by the provided variable.
+ *
+ * Parameters:
+ * - theVariable {String}: Shape variable name.
+ *
+ * Returns:
+ * - {Object}: The AQL subquery, returning the `gcu_id_number` and `gcu_id_unit-id` of each unit.
+ */
+function ShapeUnitsAQL(theVariable)
+{
+	return aql`(
+		FOR unit IN ${db._collection(documentCollections.unit_shapes)}
+			FILTER unit.geometry_hash == ${aql.literal(theVariable)}._key
+		RETURN { gcu_id_number: unit.gcu_id_number, \`gcu_id_unit-id\`: unit.\`gcu_id_unit-id\` }
+	)`
+
+} // ShapeUnitsAQL()
+
+/**
+ * This function will return the bounding box of the provided geometry,
+ * expanded by the provided tolerance.
+ *
+ * Parameters:
+ * - theGeometry {Object}: GeoJSON geometry.
+ * - theTolerance {Number}: Tolerance distance in meters.
+ *
+ * Returns:
+ * - {Object}: The GeoJSON Polygon of the box.
+ */
+function ToleranceBox(theGeometry, theTolerance)
+{
+	const box = BoundingBox(GeometryPoints(theGeometry))
+	const lat = theTolerance / DegreeLength
+	const lon = lat / Math.max(Math.cos(Math.max(Math.abs(box[1]), Math.abs(box[3])) * Math.PI / 180), 0.01)
+	const min = [ Math.max(-180, box[0] - lon), Math.max(-90, box[1] - lat) ]
+	const max = [ Math.min(180, box[2] + lon), Math.min(90, box[3] + lat) ]
+
+	return {
+		type: 'Polygon',
+		coordinates: [ [
+			min, [ max[0], min[1] ], max, [ min[0], max[1] ], min
+		] ]
+	}
+
+} // ToleranceBox()
+
+/**
+ * This function will return the overlap area as a fraction of the smaller
+ * of the provided shape areas.
+ *
+ * Parameters:
+ * - theArea {Number}: Overlap area.
+ * - theFirst {Number}: First shape area, or `null`.
+ * - theSecond {Number}: Second shape area, or `null`.
+ *
+ * Returns:
+ * - {Number}: The ratio, capped at `1`, or `null` if the shape areas are missing.
+ */
+function OverlapRatio(theArea, theFirst, theSecond)
+{
+	const areas = [ theFirst, theSecond ].filter( (area) => typeof area === 'number' && area > 0 )
+	if(areas.length === 0) {
+		return null
+	}
+
+	return Math.min(1, theArea / Math.min(...areas))
+
+} // OverlapRatio()
+
+
+module.exports = {
+	ShapeNeighbours,
+	OverlapReport,
+	OverlapReportBuild,
+	OverlapReportSchedule
+}
@@ -0,0 +1,320 @@
+'use strict'
+
+/**
+ * shapeTopography.js
+ *
+ * This script contains the functions used to select unit shapes by their
+ * topography, `properties.topography` of the `Shapes` records, combined with
+ * an optional spatial filter, and to summarise the topography of a set of
+ * shapes.
+ *
+ * Descriptors are referenced by the same names used in the `topo` service
+ * paths: aspect is expressed in degrees clockwise from north, so aspect
+ * ranges whose minimum is larger than the maximum wrap around north.
+ */
+
+///
+// Modules.
+///
+const {aql, db} = require('@arangodb')
+const {documentCollections} = require('../constants')
+const {HistogramAQL} = require('./climateAggregateAQL')
+
+///
+// Topography descriptors.
+// Service keys and the matching `properties.topography` field of the
+// `Shapes` records, see the shapeData model.
+///
+const ShapeTopographyDescriptors = {
+	area: 'geo_shape_area',
+	alt: 'geo_shape_elevation',
+	altsd: 'geo_shape_elevation_sd',
+	slope: 'geo_shape_slope',
+	aspect: 'geo_shape_aspect'
+}
+
+///
+// Compass sectors, 45 degrees wide and centred on their direction.
+///
+const CompassSectors = [ 'N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW' ]
+
+
+/**
+ * This function will return the shapes matching all the provided topography
+ * ranges and the optional spatial filter.
+ *
+ * The query object may contain the following properties:
+ *
+ * - `ranges` {Object}: Ranges by descriptor, see ShapeTopographyDescriptors, each with `min` and/or `max`.
+ * - `spatial` {Object}: Spatial filter, with `operation` (`contain`, `intersect` or `distance`), `geometry` and, for `distance`, `min` and `max`.
+ * - `sort` {Object[]}: Sort keys, each with `by`, a descriptor or `distance`, and `order`.
+ * - `start` {Number}: The results start index, 0 based.
+ * - `limit` {Number}: Number of records to return.
+ *
+ * Parameters:
+ * - theQuery {Object}: Query.
+ *
+ * Returns:
+ * - {Object[]}: The list of shape records, with `distance` for distance filters.
+ */
+function ShapeTopoSearch(theQuery)
+{
+	///
+	// Topography filters.
+	///
+	const ranges = Object.keys(theQuery.ranges || {}).reduce( (query, key) =>
+		aql`${query}${TopographyFilterAQL(key, theQuery.ranges[key])}`
+	, aql.literal(''))
+
+	///
+	// Spatial filter.
+	///
+	const spatial = theQuery.spatial || null
+	let filter = aql.literal('')
+	if(spatial !== null) {
+		switch(spatial.operation) {
+			case 'contain':
+				filter = aql`FILTER GEO_CONTAINS(${spatial.geometry}, doc.geometry)`
+				break
+			case 'intersect':
+				filter = aql`FILTER GEO_INTERSECTS(${spatial.geometry}, doc.geometry)`
+				break
+			case 'distance':
+				filter = aql`
+					LET distance = GEO_DISTANCE(${spatial.geometry}, doc.geometry, "wgs84")
+					FILTER distance >= ${spatial.min}
+					FILTER distance <= ${spatial.max}
+				`
+				break
+		}
+	}
+	const distance = (spatial !== null && spatial.operation === 'distance')
+		? aql`{ geometry_hash: doc._key, distance: distance }`
+		: aql`{ geometry_hash: doc._key }`
+
+	///
+	// Sort keys.
+	///
+	const keys = (theQuery.sort || []).map( (key) =>
+		((key.by === 'distance')
+			? 'distance'
+			: `doc.properties.topography.${ShapeTopographyDescriptors[key.by]}`) +
+		((key.order === 'DESC') ? ' DESC' : ' ASC')
+	)
+	const sort = (keys.length > 0)
+		? aql.literal(`SORT ${keys.join(', ')}`)
+		: aql.literal('')
+
+	return db._query(aql`
+		FOR doc IN ${db._collection(documentCollections.shapes)}
+			${ranges}
+			${filter}
+			${sort}
+			LIMIT ${theQuery.start}, ${theQuery.limit}
+		RETURN MERGE(
+			${distance},
+			UNSET(doc, '_id', '_key', '_rev')
+		)
+	`).toArray()
+
+} // ShapeTopoSearch()
+
+/**
+ * This function will return the topography statistics of the shapes
+ * matching the provided filters.
+ *
+ * The filters object may contain the following properties, omitted
+ * properties are not considered:
+ *
+ * - `countries` {String[]}: Unit number prefixes, selects the shapes of the units of these countries.
+ * - `geometry` {Object}: GeoJSON geometry intersecting the shapes.
+ *
+ * Each descriptor, see ShapeTopographyDescriptors, features the `count` of
+ * shapes with a value, `min`, `max`, `mean`, population standard deviation,
+ * `std`, the 5th, 25th, 50th, 75th and 95th percentile `quantiles` and the
+ * `histogram`, see HistogramAQL(); the aspect also features the `circular`
+ * statistics and the compass `sectors` counts. Aspect values outside the 0
+ * to 360 range, such as the -1 used for flat terrain, are ignored.
+ *
+ * Parameters:
+ * - theFilters {Object}: Filters.
+ * - theBins {Integer}: Number of histogram bins.
+ *
+ * Returns:
+ * - {Object}: The number of selected shapes, `count`, and the statistics by descriptor, `null` if there are no values.
+ */
+function ShapeTopoStats(theFilters, theBins)
+{
+	///
+	// Country filter.
+	///
+	const countries = (Array.isArray(theFilters.countries) && theFilters.countries.length > 0)
+		? aql`
+			FILTER doc._key IN (
+				FOR unit IN ${db._collection(documentCollections.unit_shapes)}
+					FILTER SUBSTRING(unit.gcu_id_number, 0, 3) IN ${theFilters.countries}
+				RETURN DISTINCT unit.geometry_hash
+			)
+		`
+		: aql.literal('')
+
+	///
+	// Geometry filter.
+	///
+	const geometry = (theFilters.geometry !== undefined && theFilters.geometry !== null)
+		? aql`FILTER GEO_INTERSECTS(${theFilters.geometry}, doc.geometry)`
+		: aql.literal('')
+
+	///
+	// Descriptor statistics.
+	///
+	const statistics = Object.keys(ShapeTopographyDescriptors).map( (key) => {
+		const values = (key === 'aspect')
+			? `(shapes[*].${ShapeTopographyDescriptors[key]})[* FILTER IS_NUMBER(CURRENT) && CURRENT >= 0 && CURRENT <= 360]`
+			: `(shapes[*].${ShapeTopographyDescriptors[key]})[* FILTER IS_NUMBER(CURRENT)]`
+		const circular = (key === 'aspect')
+			? `,
+				circular: ${CircularAQL('values')},
+				sectors: ${SectorsAQL('values')}`
+			: ''
+
+		return `${key}: FIRST(
+			FOR values IN [ ${values} ]
+			RETURN (LENGTH(values) == 0) ? null : {
+				count: LENGTH(values),
+				min: MIN(values),
+				max: MAX(values),
+				mean: AVERAGE(values),
+				std: STDDEV_POPULATION(values),
+				quantiles: {
+					p05: PERCENTILE(values, 5, "interpolation"),
+					p25: PERCENTILE(values, 25, "interpolation"),
+					p50: PERCENTILE(values, 50, "interpolation"),
+					p75: PERCENTILE(values, 75, "interpolation"),
+					p95: PERCENTILE(values, 95, "interpolation")
+				},
+				histogram: ${HistogramAQL('values', theBins)}${circular}
+			}
+		)`
+	})
+
+	return db._query(aql`
+		LET shapes = (
+			FOR doc IN ${db._collection(documentCollections.shapes)}
+				${countries}
+				${geometry}
+			RETURN doc.properties.topography
+		)
+		RETURN {
+			count: LENGTH(shapes),
+			${aql.literal(statistics.join(',\n'))}
+		}
+	`).toArray()[0]
+
+} // ShapeTopoStats()
+
+/**
+ * This function will return the AQL expression that computes the circular
+ * statistics of the provided list of angles in degrees.
+ *
+ * The expression returns the `mean` direction in degrees, the mean
+ * `resultant_length`, from `0`, evenly spread directions, to `1`, identical
+ * directions, and the circular standard deviation, `std`, in degrees.
+ *
+ * Parameters:
+ * - theVariable {String}: Variable holding the non empty list of angles.
+ *
+ * Returns:
+ * - {String}: The AQL expression.
+ */
+function CircularAQL(theVariable)
+{
+	return `FIRST(
+		LET sines = SUM(${theVariable}[* RETURN SIN(RADIANS(CURRENT))])
+		LET cosines = SUM(${theVariable}[* RETURN COS(RADIANS(CURRENT))])
+		LET resultant = SQRT((sines * sines) + (cosines * cosines)) / LENGTH(${theVariable})
+		RETURN {
+			mean: (resultant == 0) ? null : (DEGREES(ATAN2(sines, cosines)) + 360) % 360,
+			resultant_length: resultant,
+			std: (resultant == 0) ? null : (resultant >= 1) ? 0 : DEGREES(SQRT(-2 * LOG(resultant)))
+		}
+	)`
+
+} // CircularAQL()
+
+/**
+ * This function will return the AQL expression that counts the provided
+ * angles in degrees by compass sector, see CompassSectors.
+ *
+ * Parameters:
+ * - theVariable {String}: Variable holding the list of angles.
+ *
+ * Returns:
+ * - {String}: The AQL expression, an object with one count per sector.
+ */
+function SectorsAQL(theVariable)
+{
+	const width = 360 / CompassSectors.length
+
+	return `FIRST(
+		LET sectors = ${theVariable}[* RETURN FLOOR(((CURRENT + ${width / 2}) % 360) / ${width})]
+		RETURN {
+			${CompassSectors.map( (sector, index) =>
+				`${sector}: LENGTH(sectors[* FILTER CURRENT == ${index}])`
+			).join(',\n')}
+		}
+	)`
+
+} // SectorsAQL()
+
+/**
+ * This function will return the filter selecting the shapes whose provided
+ * descriptor lies within the provided range.
+ *
+ * Omitted bounds are not considered; shapes lacking the descriptor are
+ * excluded, as are aspects outside the 0 to 360 range, such as the -1 used
+ * for flat terrain. Aspect ranges whose minimum is larger than the maximum
+ * wrap around north: 315 to 45 selects aspects from 315 to 360 and from 0
+ * to 45.
+ *
+ * Parameters:
+ * - theKey {String}: Descriptor key, see ShapeTopographyDescriptors.
+ * - theRange {Object}: The range, with `min` and/or `max`.
+ *
+ * Returns:
+ * - {Object}: The AQL filter.
+ */
+function TopographyFilterAQL(theKey, theRange)
+{
+	const value = aql`doc.properties.topography.${ShapeTopographyDescriptors[theKey]}`
+	const min = (theRange.min !== undefined && theRange.min !== null)
+	const max = (theRange.max !== undefined && theRange.max !== null)
+
+	const valid = (theKey === 'aspect')
+		? aql`FILTER ${value} >= 0 AND ${value} <= 360`
+		: aql.literal('')
+
+	if(theKey === 'aspect' && min && max && theRange.min > theRange.max) {
+		return aql`
+			FILTER IS_NUMBER(${value})
+			${valid}
+			FILTER ${value} >= ${theRange.min} OR ${value} <= ${theRange.max}
+		`
+	}
+
+	return aql`
+		FILTER IS_NUMBER(${value})
+		${valid}
+		${(min) ? aql`FILTER ${value} >= ${theRange.min}` : aql.literal('')}
+		${(max) ? aql`FILTER ${value} <= ${theRange.max}` : aql.literal('')}
+	`
+
+} // TopographyFilterAQL()
+
+
+module.exports = {
+	ShapeTopographyDescriptors,
+	ShapeTopoSearch,
+	ShapeTopoStats,
+	TopographyFilterAQL
+}
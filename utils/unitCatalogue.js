@@ -0,0 +1,157 @@
+'use strict'
+
+/**
+ * unitCatalogue.js
+ *
+ * This script contains the functions used to list the genetic conservation
+ * units, filtered by country, data collection date, location of their
+ * shapes and availability of remote sensing data.
+ *
+ * The country is the three letter prefix of the unit number, the data
+ * collection date is the four digit postfix of the unit ID.
+ */
+
+///
+// Modules.
+///
+const {aql, db} = require('@arangodb')
+const {documentCollections} = require('../constants')
+
+
+/**
+ * This function will return the units matching the provided filters.
+ *
+ * The filters object may contain the following properties, omitted
+ * properties are not considered:
+ *
+ * - `countries` {String[]}: Unit number prefixes.
+ * - `startDate` {String}: Minimum data collection date.
+ * - `endDate` {String}: Maximum data collection date.
+ * - `geometry` {Object}: GeoJSON geometry intersecting at least one unit shape.
+ * - `has_rs` {Boolean}: `true` to select units with remote sensing data, `false` to select units without.
+ *
+ * Parameters:
+ * - theFilters {Object}: Filters.
+ * - theStart {Number}: The results start index, 0 based.
+ * - theLimit {Number}: Number of records to return.
+ *
+ * Returns:
+ * - {Object}: The `total` number of matching units, `start`, `limit` and the `items` list, sorted by unit number, date and ID.
+ */
+function UnitList(theFilters, theStart, theLimit)
+{
+	///
+	// Unit filters.
+	///
+	const countries = (Array.isArray(theFilters.countries) && theFilters.countries.length > 0)
+		? aql`FILTER SUBSTRING(doc.gcu_id_number, 0, 3) IN ${theFilters.countries}`
+		: aql.literal('')
+	const start = (theFilters.startDate !== undefined && theFilters.startDate !== null)
+		? aql`FILTER date >= ${theFilters.startDate}`
+		: aql.literal('')
+	const end = (theFilters.endDate !== undefined && theFilters.endDate !== null)
+		? aql`FILTER date <= ${theFilters.endDate}`
+		: aql.literal('')
+
+	///
+	// Shape filters.
+	///
+	const geometry = (theFilters.geometry !== undefined && theFilters.geometry !== null)
+		? aql`
+			FILTER LENGTH(
+				FOR shape IN ${db._collection(documentCollections.shapes)}
+					FILTER shape._key IN hashes
+					FILTER GEO_INTERSECTS(${theFilters.geometry}, shape.geometry)
+					LIMIT 1
+				RETURN true
+			) > 0
+		`
+		: aql.literal('')
+	const data = (typeof theFilters.has_rs === 'boolean')
+		? aql`
+			FILTER (LENGTH(
+				FOR item IN VIEW_SHAPE_DATA
+					SEARCH item.geometry_hash IN hashes
+					LIMIT 1
+				RETURN true
+			) > 0) == ${theFilters.has_rs}
+		`
+		: aql.literal('')
+
+	return db._query(aql`
+		LET units = (
+			FOR doc IN ${db._collection(documentCollections.unit_shapes)}
+				${countries}
+				LET date = SUBSTRING(doc.\`gcu_id_unit-id\`, 8)
+				${start}
+				${end}
+				COLLECT id = doc.\`gcu_id_unit-id\`, number = doc.gcu_id_number, std_date = date
+				INTO items
+				LET hashes = UNIQUE(items[*].doc.geometry_hash)
+				${geometry}
+				${data}
+				SORT number, std_date, id
+			RETURN {
+				gcu_id_number: number,
+				\`gcu_id_unit-id\`: id,
+				std_date: std_date,
+				geometry_hash_list: hashes
+			}
+		)
+		RETURN {
+			total: LENGTH(units),
+			start: ${theStart},
+			limit: ${theLimit},
+			items: SLICE(units, ${theStart}, ${theLimit})
+		}
+	`).toArray()[0]
+
+} // UnitList()
+
+/**
+ * This function will return the units featuring shapes that intersect the
+ * provided geometry.
+ *
+ * Parameters:
+ * - theGeometry {Object}: GeoJSON reference geometry.
+ * - theLatest {Boolean}: `true` to only consider the most recent unit ID of each unit number.
+ *
+ * Returns:
+ * - {Object[]}: The list of units, with `gcu_id_number`, `gcu_id_unit-id` and the intersecting shapes `geometry_hash_list`.
+ */
+function UnitLocate(theGeometry, theLatest = false)
+{
+	const latest = (theLatest)
+		? aql`
+			FILTER id == FIRST(
+				FOR item IN ${db._collection(documentCollections.unit_shapes)}
+					FILTER item.gcu_id_number == number
+					SORT item.\`gcu_id_unit-id\` DESC
+					LIMIT 1
+				RETURN item.\`gcu_id_unit-id\`
+			)
+		`
+		: aql.literal('')
+
+	return db._query(aql`
+		FOR shape IN ${db._collection(documentCollections.shapes)}
+			FILTER GEO_INTERSECTS(${theGeometry}, shape.geometry)
+			FOR doc IN ${db._collection(documentCollections.unit_shapes)}
+				FILTER doc.geometry_hash == shape._key
+				COLLECT number = doc.gcu_id_number, id = doc.\`gcu_id_unit-id\`
+				INTO items
+				${latest}
+		RETURN {
+			gcu_id_number: number,
+			\`gcu_id_unit-id\`: id,
+			geometry_hash_list: UNIQUE(items[*].shape._key)
+		}
+	`).toArray()
+
+} // UnitLocate()
+
+
+module.exports = {
+	UnitList,
+	UnitLocate
+}
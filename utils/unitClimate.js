@@ -0,0 +1,176 @@
+'use strict'
+
+/**
+ * unitClimate.js
+ *
+ * This script contains the functions used to aggregate the climate data of
+ * a genetic conservation unit, that is, of the union of its shapes.
+ *
+ * Unit aggregations are area weighted: each climate record contributes
+ * proportionally to the fraction of its data bounds covered by the unit's
+ * Polygon and MultiPolygon shapes, see ClimateUnionCoverage().
+ */
+
+///
+// Modules.
+///
+const {aql, db} = require('@arangodb')
+const {documentCollections} = require('../constants')
+const {ClimateCoverage, ClimateUnionCoverage} = require('./climateAggregateAQL')
+const {ShapeClimateDatasets, ShapeClimateLookup} = require('./shapeClimate')
+const {IsPolygon} = require('./geometryUtils')
+
+
+/**
+ * This function will return the unit record of the provided unit ID, along
+ * with the geometry of each of its shapes.
+ *
+ * Parameters:
+ * - theId {String}: Unit ID.
+ *
+ * Returns:
+ * - {Object}: The unit `gcu_id_number`, `gcu_id_unit-id` and `shapes`, each with `geometry_hash` and `geometry`, or `null` if not found.
+ */
+function UnitRecord(theId)
+{
+	const result = db._query(aql`
+		FOR doc IN ${db._collection(documentCollections.unit_shapes)}
+			FILTER doc.\`gcu_id_unit-id\` == ${theId}
+			LET geometry = FIRST(
+				FOR shape IN ${db._collection(documentCollections.shapes)}
+					FILTER shape._key == doc.geometry_hash
+				RETURN shape.geometry
+			)
+			COLLECT id = doc.\`gcu_id_unit-id\`, number = doc.gcu_id_number INTO items
+		RETURN {
+			gcu_id_number: number,
+			\`gcu_id_unit-id\`: id,
+			shapes: (
+				FOR item IN items
+				RETURN { geometry_hash: item.doc.geometry_hash, geometry: item.geometry }
+			)
+		}
+	`).toArray()
+
+	return (result.length > 0) ? result[0] : null
+
+} // UnitRecord()
+
+/**
+ * This function will return the most recent unit ID of the provided unit
+ * number, unit IDs are postfixed with the data collection date.
+ *
+ * Parameters:
+ * - theNumber {String}: Unit number.
+ *
+ * Returns:
+ * - {String}: The unit ID, or `null` if not found.
+ */
+function UnitLatestId(theNumber)
+{
+	const result = db._query(aql`
+		FOR doc IN ${db._collection(documentCollections.unit_shapes)}
+			FILTER doc.gcu_id_number == ${theNumber}
+			SORT doc.\`gcu_id_unit-id\` DESC
+			LIMIT 1
+		RETURN doc.\`gcu_id_unit-id\`
+	`).toArray()
+
+	return (result.length > 0) ? result[0] : null
+
+} // UnitLatestId()
+
+/**
+ * This function will return the area weighted aggregation of the provided
+ * dataset over the union of the provided shapes.
+ *
+ * Only Polygon and MultiPolygon shapes contribute to the aggregation.
+ *
+ * Parameters:
+ * - theDataset {String}: Dataset name, see ShapeClimateDatasets.
+ * - theShapes {Object[]}: List of shapes, with `geometry_hash` and `geometry`.
+ * - theWhat {String}: Aggregation, `AVG`, `STD` or `VAR`.
+ * - theSelection {Object}: Properties selection.
+ *
+ * Returns:
+ * - {Object}: The aggregated record, or `null` if no records are covered.
+ */
+function UnitClimate(theDataset, theShapes, theWhat, theSelection = {})
+{
+	const dataset = ShapeClimateDatasets[theDataset]
+	const data = db._collection(dataset.data)
+
+	///
+	// Compute union coverage.
+	///
+	const coverage = ClimateUnionCoverage(
+		data,
+		theShapes
+			.filter( (shape) => IsPolygon(shape.geometry) )
+			.map( (shape) => shape.geometry )
+	)
+	if(Object.keys(coverage.weights).length === 0) {
+		return null
+	}
+
+	return db._query(
+		dataset.weighted(data, coverage, theWhat, theSelection)
+	).toArray()[0]
+
+} // UnitClimate()
+
+/**
+ * This function will return the area weighted aggregation of the provided
+ * dataset over the provided shape.
+ *
+ * The aggregation is read from the climate cache, if current.
+ *
+ * Parameters:
+ * - theDataset {String}: Dataset name, see ShapeClimateDatasets.
+ * - theShape {Object}: Shape, with `geometry_hash` and `geometry`.
+ * - theWhat {String}: Aggregation, `AVG`, `STD` or `VAR`.
+ * - theSelection {Object}: Properties selection.
+ *
+ * Returns:
+ * - {Object}: The aggregated record, or `null` if the shape is not a polygon or no records are covered.
+ */
+function ShapeClimate(theDataset, theShape, theWhat, theSelection = {})
+{
+	///
+	// Handle non polygons.
+	///
+	if(!IsPolygon(theShape.geometry)) {
+		return null
+	}
+
+	///
+	// Serve cached aggregation.
+	///
+	const cached = ShapeClimateLookup(theDataset, theShape.geometry_hash, theWhat, true, theSelection)
+	if(cached !== null) {
+		return (cached.length > 0 && cached[0].count > 0) ? cached[0] : null
+	}
+
+	///
+	// Aggregate.
+	///
+	const dataset = ShapeClimateDatasets[theDataset]
+	const data = db._collection(dataset.data)
+	const coverage = ClimateCoverage(data, theShape.geometry)
+	if(Object.keys(coverage.weights).length === 0) {
+		return null
+	}
+
+	return db._query(
+		dataset.weighted(data, coverage, theWhat, theSelection)
+	).toArray()[0]
+
+} // ShapeClimate()
+
+
+module.exports = {
+	UnitRecord,
+	UnitLatestId,
+	UnitClimate,
+	ShapeClimate
+}
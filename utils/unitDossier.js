@@ -0,0 +1,258 @@
+'use strict'
+
+/**
+ * unitDossier.js
+ *
+ * This script contains the functions used to compile the dossier of a
+ * genetic conservation unit: a single document combining the unit records,
+ * its shapes, their climate, the drought observatory metadata at the unit
+ * centroid, the remote sensing metadata of each shape and the species
+ * occurrences intersecting the unit.
+ */
+
+///
+// Modules.
+///
+const {aql, db} = require('@arangodb')
+const {documentCollections} = require('../constants')
+const {GeometryCentroid} = require('./geometryUtils')
+const {ShapeClimateDatasets} = require('./shapeClimate')
+const {UnitClimate} = require('./unitClimate')
+
+///
+// Maximum number of returned occurrence records.
+///
+const UnitOccurrencesLimit = 100
+
+
+/**
+ * This function will return the dossier of the provided unit ID.
+ *
+ * Parameters:
+ * - theId {String}: Unit ID.
+ *
+ * Returns:
+ * - {Object}: The unit dossier, or `null` if the unit was not found.
+ */
+function UnitDossier(theId)
+{
+	///
+	// Get unit and shapes.
+	///
+	const unit = UnitShapeRecords(theId)
+	if(unit === null) {
+		return null
+	}
+
+	///
+	// Get centroid.
+	///
+	const centroid = GeometryCentroid(
+		unit.shapes
+			.filter( (shape) => shape.geometry !== null )
+			.map( (shape) => shape.geometry )
+	)
+
+	return {
+		gcu_id_number: unit.gcu_id_number,
+		'gcu_id_unit-id': unit['gcu_id_unit-id'],
+		'gcu_id_unit-id_list': UnitIdList(unit.gcu_id_number),
+		geometry_hash_list: unit.shapes.map( (shape) => shape.geometry_hash ),
+		geometry_point: (centroid !== null)
+			? { type: 'Point', coordinates: centroid }
+			: null,
+		shapes: unit.shapes,
+		climate: Object.keys(ShapeClimateDatasets).reduce( (result, dataset) => {
+			result[dataset] = UnitClimate(dataset, unit.shapes, 'AVG')
+			return result
+		}, {}),
+		drought: (centroid !== null) ? DroughtMetadata(centroid) : null,
+		remote_sensing: unit.shapes.map( (shape) => ({
+			geometry_hash: shape.geometry_hash,
+			spans: RemoteSensingSpans(shape.geometry_hash)
+		})),
+		occurrences: UnitOccurrences(unit.shapes)
+	}
+
+} // UnitDossier()
+
+/**
+ * This function will return the unit record of the provided unit ID, along
+ * with the geometry and topography of each of its shapes.
+ *
+ * Parameters:
+ * - theId {String}: Unit ID.
+ *
+ * Returns:
+ * - {Object}: The unit `gcu_id_number`, `gcu_id_unit-id` and `shapes`, or `null` if not found.
+ */
+function UnitShapeRecords(theId)
+{
+	const result = db._query(aql`
+		FOR doc IN ${db._collection(documentCollections.unit_shapes)}
+			FILTER doc.\`gcu_id_unit-id\` == ${theId}
+			LET shape = FIRST(
+				FOR item IN ${db._collection(documentCollections.shapes)}
+					FILTER item._key == doc.geometry_hash
+				RETURN item
+			)
+			COLLECT id = doc.\`gcu_id_unit-id\`, number = doc.gcu_id_number INTO items
+		RETURN {
+			gcu_id_number: number,
+			\`gcu_id_unit-id\`: id,
+			shapes: (
+				FOR item IN items
+				RETURN {
+					geometry_hash: item.doc.geometry_hash,
+					geometry: item.shape.geometry,
+					geometry_bounds: item.shape.geometry_bounds,
+					properties: { topography: item.shape.properties.topography }
+				}
+			)
+		}
+	`).toArray()
+
+	return (result.length > 0) ? result[0] : null
+
+} // UnitShapeRecords()
+
+/**
+ * This function will return the unit IDs of the provided unit number.
+ *
+ * Parameters:
+ * - theNumber {String}: Unit number.
+ *
+ * Returns:
+ * - {String[]}: The sorted list of unit IDs.
+ */
+function UnitIdList(theNumber)
+{
+	return db._query(aql`
+		FOR doc IN ${db._collection(documentCollections.unit_shapes)}
+			FILTER doc.gcu_id_number == ${theNumber}
+			COLLECT id = doc.\`gcu_id_unit-id\`
+		RETURN id
+	`).toArray()
+
+} // UnitIdList()
+
+/**
+ * This function will return the drought observatory metadata at the
+ * provided coordinate.
+ *
+ * Parameters:
+ * - theCoordinates {Number[]}: The `[lon, lat]` coordinate.
+ *
+ * Returns:
+ * - {Object}: The `count`, `std_date_start`, `std_date_end` and `std_terms`, or `null` if there is no data.
+ */
+function DroughtMetadata(theCoordinates)
+{
+	const result = db._query(aql`
+		FOR shape IN ${db._collection(documentCollections.drought_observatory_map)}
+			FILTER GEO_INTERSECTS(
+				GEO_POINT(${theCoordinates[0]}, ${theCoordinates[1]}),
+				shape.geometry
+			)
+			FOR data IN ${db._collection(documentCollections.drought_observatory)}
+				FILTER data.geometry_hash == shape._key
+				COLLECT AGGREGATE start = MIN(data.std_date),
+				                  end   = MAX(data.std_date),
+				                  terms = UNIQUE(data.std_terms),
+				                  count = COUNT()
+		RETURN {
+			count: count,
+			std_date_start: start,
+			std_date_end: end,
+			std_terms: UNIQUE(FLATTEN(terms))
+		}
+	`).toArray()
+
+	return (result.length > 0 && result[0].count > 0) ? result[0] : null
+
+} // DroughtMetadata()
+
+/**
+ * This function will return the remote sensing data summary of the provided
+ * shape, grouped by time span.
+ *
+ * Parameters:
+ * - theHash {String}: Shape geometry hash.
+ *
+ * Returns:
+ * - {Object[]}: One record per time span, see the `/rs/meta/spans` service.
+ */
+function RemoteSensingSpans(theHash)
+{
+	return db._query(aql`
+		FOR doc IN VIEW_SHAPE_DATA
+			SEARCH doc.geometry_hash == ${theHash}
+			COLLECT span = doc.std_date_span
+			AGGREGATE terms = UNIQUE(doc.std_terms),
+			          start = MIN(doc.std_date),
+			          end = MAX(doc.std_date),
+			          count = COUNT()
+		RETURN {
+			std_date_span: span,
+			std_terms: UNIQUE(FLATTEN(terms)),
+			std_date_start: start,
+			std_date_end: end,
+			count: count
+		}
+	`).toArray()
+
+} // RemoteSensingSpans()
+
+/**
+ * This function will return the summary of the species occurrences
+ * intersecting any of the provided shapes.
+ *
+ * The summary features the `count` of intersecting occurrences, the sorted
+ * `species_list` of all of them and the first UnitOccurrencesLimit occurrence
+ * `items`, with `geometry_hash`, `geometry` and `properties`.
+ *
+ * Parameters:
+ * - theShapes {Object[]}: List of shapes, with `geometry`.
+ *
+ * Returns:
+ * - {Object}: The occurrences summary.
+ */
+function UnitOccurrences(theShapes)
+{
+	const geometries = theShapes
+		.filter( (shape) => shape.geometry !== null )
+		.map( (shape) => shape.geometry )
+
+	return db._query(aql`
+		LET keys = UNIQUE(
+			FOR geometry IN ${geometries}
+				FOR doc IN ${db._collection(documentCollections.species_occurrences)}
+					FILTER GEO_INTERSECTS(geometry, doc.geometry)
+			RETURN doc._key
+		)
+		RETURN {
+			count: LENGTH(keys),
+			species_list: SORTED_UNIQUE(FLATTEN(
+				FOR doc IN ${db._collection(documentCollections.species_occurrences)}
+					FILTER doc._key IN keys
+				RETURN doc.properties.species_list[* FILTER IS_STRING(CURRENT)]
+			)),
+			items: (
+				FOR doc IN ${db._collection(documentCollections.species_occurrences)}
+					FILTER doc._key IN keys
+					SORT doc._key
+					LIMIT ${UnitOccurrencesLimit}
+				RETURN MERGE(
+					{ geometry_hash: doc._key },
+					UNSET(doc, '_id', '_key', '_rev')
+				)
+			)
+		}
+	`).toArray()[0]
+
+} // UnitOccurrences()
+
+
+module.exports = {
+	UnitDossier
+}
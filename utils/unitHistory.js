@@ -0,0 +1,180 @@
+'use strict'
+
+/**
+ * unitHistory.js
+ *
+ * This script contains the functions used to compare the versions of a
+ * genetic conservation unit: each unit ID of a unit number is a version,
+ * postfixed with the data collection date, featuring its own set of shapes.
+ *
+ * The version area is the sum of the `geo_shape_area` of its shapes. The
+ * overlap of consecutive versions, the intersection over union (IoU) of
+ * their Polygon and MultiPolygon shapes, is estimated by sampling the
+ * shapes on a regular grid covering the area shared by both versions.
+ */
+
+///
+// Modules.
+///
+const {aql, db} = require('@arangodb')
+const {documentCollections} = require('../constants')
+const {
+	GeometryCentroid,
+	GeometryArea,
+	SphereDistance,
+	OverlapArea,
+	IsPolygon
+} = require('./geometryUtils')
+
+
+/**
+ * This function will return the version history of the provided unit number.
+ *
+ * Parameters:
+ * - theNumber {String}: Unit number.
+ *
+ * Returns:
+ * - {Object}: The unit number, its `versions` in chronological order and the `changes` between consecutive versions, or `null` if not found.
+ */
+function UnitHistory(theNumber)
+{
+	///
+	// Load versions.
+	///
+	const versions = db._query(aql`
+		FOR doc IN ${db._collection(documentCollections.unit_shapes)}
+			FILTER doc.gcu_id_number == ${theNumber}
+			LET shape = FIRST(
+				FOR item IN ${db._collection(documentCollections.shapes)}
+					FILTER item._key == doc.geometry_hash
+				RETURN { geometry: item.geometry, area: item.properties.topography.geo_shape_area }
+			)
+			COLLECT id = doc.\`gcu_id_unit-id\` INTO items
+			SORT SUBSTRING(id, 8), id
+		RETURN {
+			\`gcu_id_unit-id\`: id,
+			std_date: SUBSTRING(id, 8),
+			shapes: (
+				FOR item IN items
+				RETURN {
+					geometry_hash: item.doc.geometry_hash,
+					geometry: item.shape.geometry,
+					area: item.shape.area
+				}
+			)
+		}
+	`).toArray()
+	if(versions.length === 0) {
+		return null
+	}
+
+	///
+	// Summarise versions.
+	///
+	const summaries = versions.map( (version) => {
+		const geometries = version.shapes
+			.filter( (shape) => shape.geometry !== null && typeof shape.geometry === 'object' )
+			.map( (shape) => shape.geometry )
+		const centroid = GeometryCentroid(geometries)
+		return {
+			'gcu_id_unit-id': version['gcu_id_unit-id'],
+			std_date: version.std_date,
+			geometry_hash_list: version.shapes.map( (shape) => shape.geometry_hash ),
+			geo_shape_area: version.shapes.reduce( (total, shape) =>
+				total + ((typeof shape.area === 'number') ? shape.area : 0)
+			, 0),
+			geometry_point: (centroid !== null) ? { type: 'Point', coordinates: centroid } : null,
+			polygons: geometries.filter(IsPolygon)
+		}
+	})
+
+	///
+	// Compare consecutive versions.
+	///
+	const changes = summaries.slice(1).map( (current, index) =>
+		VersionChange(summaries[index], current)
+	)
+
+	return {
+		gcu_id_number: theNumber,
+		versions: summaries.map( (summary) => {
+			const { polygons, ...version } = summary
+			return version
+		}),
+		changes
+	}
+
+} // UnitHistory()
+
+/**
+ * This function will return the changes between the provided versions.
+ *
+ * Parameters:
+ * - thePrevious {Object}: Previous version summary.
+ * - theCurrent {Object}: Current version summary.
+ *
+ * Returns:
+ * - {Object}: The version change record.
+ */
+function VersionChange(thePrevious, theCurrent)
+{
+	const previous = thePrevious.geometry_hash_list
+	const current = theCurrent.geometry_hash_list
+	const unchanged = previous.length === current.length &&
+		previous.every( (hash) => current.includes(hash) )
+
+	return {
+		from: thePrevious['gcu_id_unit-id'],
+		to: theCurrent['gcu_id_unit-id'],
+		added: current.filter( (hash) => !previous.includes(hash) ),
+		removed: previous.filter( (hash) => !current.includes(hash) ),
+		unchanged: previous.filter( (hash) => current.includes(hash) ),
+		area_difference: theCurrent.geo_shape_area - thePrevious.geo_shape_area,
+		iou: (unchanged && thePrevious.polygons.length > 0)
+			? 1
+			: IntersectionOverUnion(thePrevious.polygons, theCurrent.polygons),
+		centroid_shift: (thePrevious.geometry_point !== null && theCurrent.geometry_point !== null)
+			? SphereDistance(thePrevious.geometry_point.coordinates, theCurrent.geometry_point.coordinates)
+			: null
+	}
+
+} // VersionChange()
+
+/**
+ * This function will estimate the intersection over union of the provided
+ * polygon sets.
+ *
+ * The intersection is sampled over the intersection of the sets bounding
+ * boxes, see OverlapArea(); the union is the sum of the sets areas minus
+ * the intersection. Shapes of the same set are expected not to overlap.
+ *
+ * Parameters:
+ * - theFirst {Object[]}: List of GeoJSON Polygon and MultiPolygon geometries.
+ * - theSecond {Object[]}: List of GeoJSON Polygon and MultiPolygon geometries.
+ *
+ * Returns:
+ * - {Number}: The ratio, between `0` and `1`, or `null` if either set is empty.
+ */
+function IntersectionOverUnion(theFirst, theSecond)
+{
+	if(theFirst.length === 0 || theSecond.length === 0) {
+		return null
+	}
+
+	///
+	// Compute areas.
+	///
+	const area = (theGeometries) => theGeometries.reduce( (total, geometry) =>
+		total + GeometryArea(geometry)
+	, 0)
+	const intersection = OverlapArea(theFirst, theSecond)
+	const union = area(theFirst) + area(theSecond) - intersection
+
+	return (union > 0) ? Math.min(1, Math.max(0, intersection / union)) : 0
+
+} // IntersectionOverUnion()
+
+
+module.exports = {
+	UnitHistory
+}
@@ -0,0 +1,136 @@
+'use strict'
+
+/**
+ * unitRemoteSensing.js
+ *
+ * This script contains the functions used to combine the remote sensing
+ * data of the shapes of a genetic conservation unit.
+ *
+ * Unit observations are area weighted: for each time span, date and
+ * variable, the values of the unit shapes are averaged using the shape area,
+ * `properties.topography.geo_shape_area` of the `Shapes` record, as weight.
+ * Only shapes featuring the variable at that date contribute to the average.
+ */
+
+///
+// Modules.
+///
+const {aql, db} = require('@arangodb')
+const {documentCollections} = require('../constants')
+
+
+/**
+ * This function will return the shapes of the provided unit ID along with
+ * their area.
+ *
+ * Parameters:
+ * - theId {String}: Unit ID.
+ *
+ * Returns:
+ * - {Object[]}: The list of shapes, with `geometry_hash` and `area`, or `null` if the unit was not found.
+ */
+function UnitShapeAreas(theId)
+{
+	const result = db._query(aql`
+		FOR doc IN ${db._collection(documentCollections.unit_shapes)}
+			FILTER doc.\`gcu_id_unit-id\` == ${theId}
+			LET area = FIRST(
+				FOR shape IN ${db._collection(documentCollections.shapes)}
+					FILTER shape._key == doc.geometry_hash
+				RETURN shape.properties.topography.geo_shape_area
+			)
+		RETURN { geometry_hash: doc.geometry_hash, area: area }
+	`).toArray()
+
+	return (result.length > 0) ? result : null
+
+} // UnitShapeAreas()
+
+/**
+ * This function will return the query combining the remote sensing data of
+ * the provided shapes, grouped by time span.
+ *
+ * Only numeric values are combined; shapes without a positive area are
+ * ignored.
+ *
+ * Parameters:
+ * - theShapes {Object[]}: List of shapes, with `geometry_hash` and `area`, see UnitShapeAreas().
+ * - theStartDate {String}: Start date, or `null`.
+ * - theEndDate {String}: End date, or `null`.
+ * - theSpans {String[]}: Time spans, omit to consider all time spans.
+ * - theTerms {String[]}: Observation variables, omit to consider all variables.
+ *
+ * Returns:
+ * - {Object}: The AQL query, returning the `std_date_span` and `std_date_series` records.
+ */
+function UnitRemoteSensingAQL(
+	theShapes,
+	theStartDate = null,
+	theEndDate = null,
+	theSpans = [],
+	theTerms = []
+){
+	///
+	// Shape weights.
+	///
+	const areas = theShapes
+		.filter( (shape) => typeof shape.area === 'number' && shape.area > 0 )
+		.reduce( (result, shape) => {
+			result[shape.geometry_hash] = shape.area
+			return result
+		}, {})
+
+	///
+	// Filters.
+	///
+	const start = (theStartDate !== null)
+		? aql`AND doc.std_date >= ${theStartDate}`
+		: aql.literal('')
+	const end = (theEndDate !== null)
+		? aql`AND doc.std_date <= ${theEndDate}`
+		: aql.literal('')
+	const spans = (theSpans.length > 0)
+		? aql`AND doc.std_date_span IN ${theSpans}`
+		: aql.literal('')
+	const terms = (theTerms.length > 0)
+		? aql`AND doc.std_terms IN ${theTerms}`
+		: aql.literal('')
+	const properties = (theTerms.length > 0)
+		? aql`KEEP(doc.properties, ${theTerms})`
+		: aql`doc.properties`
+
+	return aql`
+		LET areas = ${areas}
+		FOR doc IN VIEW_SHAPE_DATA
+			SEARCH doc.geometry_hash IN ${Object.keys(areas)}
+				${start}
+				${end}
+				${spans}
+				${terms}
+			LET area = areas[doc.geometry_hash]
+			LET values = ${properties}
+			FOR name IN ATTRIBUTES(values)
+				FILTER IS_NUMBER(values[name])
+				COLLECT span = doc.std_date_span, date = doc.std_date, term = name
+				AGGREGATE total = SUM(values[name] * area), weight = SUM(area)
+			COLLECT span_ = span, date_ = date
+			INTO items = { name: term, value: total / weight }
+			SORT date_
+			COLLECT group = span_
+			INTO series = {
+				std_date: date_,
+				properties: ZIP(items[*].name, items[*].value)
+			}
+		RETURN {
+			std_date_span: group,
+			std_date_series: series
+		}
+	`
+
+} // UnitRemoteSensingAQL()
+
+
+module.exports = {
+	UnitShapeAreas,
+	UnitRemoteSensingAQL
+}
@@ -0,0 +1,483 @@
+'use strict'
+
+/**
+ * unitSheet.js
+ *
+ * This script contains the functions used to render the fact sheet of a
+ * genetic conservation unit: a self-contained HTML page, printable from a
+ * browser, compiled from the unit dossier, see UnitDossier().
+ *
+ * The page features the outline of the unit shapes, their topography, the
+ * Chelsa and WorldClim climate of all periods, a monthly climate chart of
+ * each dataset baseline and the availability of the drought observatory,
+ * remote sensing and species occurrence data.
+ */
+
+///
+// Modules.
+///
+const {ShapeClimateDatasets} = require('./shapeClimate')
+const {MonthlyPeriods, MonthlySeries, GroupProperties} = require('./climateMonthly')
+const {BoundingBox, GeometryRings, IsPolygon} = require('./geometryUtils')
+const {ShapeTopographyDescriptors} = require('./shapeTopography')
+
+///
+// Topography table columns.
+///
+const TopographyColumns = [
+	{ term: ShapeTopographyDescriptors.area, label: 'Area (m²)', digits: 0 },
+	{ term: ShapeTopographyDescriptors.alt, label: 'Elevation (m)', digits: 0 },
+	{ term: ShapeTopographyDescriptors.altsd, label: 'Elevation SD (m)', digits: 1 },
+	{ term: ShapeTopographyDescriptors.slope, label: 'Slope (°)', digits: 1 },
+	{ term: ShapeTopographyDescriptors.aspect, label: 'Aspect (°)', digits: 0 }
+]
+
+///
+// Climate table columns.
+///
+const ClimateColumns = [
+	{ term: 'env_climate_bio01', label: 'Mean temperature (°C)', digits: 1 },
+	{ term: 'env_climate_bio05', label: 'Max. warmest month (°C)', digits: 1 },
+	{ term: 'env_climate_bio06', label: 'Min. coldest month (°C)', digits: 1 },
+	{ term: 'env_climate_bio07', label: 'Annual range (°C)', digits: 1 },
+	{ term: 'env_climate_bio12', label: 'Precipitation (mm)', digits: 0 },
+	{ term: 'env_climate_bio15', label: 'Precipitation seasonality (%)', digits: 0 }
+]
+
+///
+// Chart and outline sizes.
+///
+const OutlineSize = 360
+const ChartWidth = 480
+const ChartHeight = 240
+const ChartMargin = 40
+
+///
+// Month initials.
+///
+const MonthInitials = 'JFMAMJJASOND'
+
+///
+// Page style.
+///
+const SheetStyle = `
+	body { font-family: Helvetica, Arial, sans-serif; font-size: 10pt; color: #222; margin: 2em; }
+	h1 { font-size: 16pt; margin-bottom: 0; }
+	h2 { font-size: 12pt; border-bottom: 1px solid #888; margin-top: 1.5em; }
+	h3 { font-size: 10pt; }
+	table { border-collapse: collapse; margin: 0.5em 0; }
+	th, td { border: 1px solid #bbb; padding: 2px 6px; text-align: right; }
+	th:first-child, td:first-child { text-align: left; }
+	.subtitle { color: #666; margin-top: 0.2em; }
+	.figures { display: flex; flex-wrap: wrap; gap: 1em; }
+	section { page-break-inside: avoid; }
+	@media print { body { margin: 0; } a { color: inherit; text-decoration: none; } }
+`
+
+
+/**
+ * This function will return the HTML fact sheet of the provided dossier.
+ *
+ * Parameters:
+ * - theDossier {Object}: Unit dossier, see UnitDossier().
+ *
+ * Returns:
+ * - {String}: The HTML page.
+ */
+function UnitSheet(theDossier)
+{
+	const title = `Genetic Conservation Unit ${theDossier['gcu_id_unit-id']}`
+	const point = (theDossier.geometry_point !== null)
+		? `centroid ${Coordinate(theDossier.geometry_point.coordinates[1], 'N', 'S')}, ${Coordinate(theDossier.geometry_point.coordinates[0], 'E', 'W')}`
+		: 'no geometry'
+
+	return [
+		'<!DOCTYPE html>',
+		'<html lang="en">',
+		'<head>',
+		'<meta charset="utf-8">',
+		`<title>${Escape(title)}</title>`,
+		`<style>${SheetStyle}</style>`,
+		'</head>',
+		'<body>',
+		`<h1>${Escape(title)}</h1>`,
+		`<p class="subtitle">Unit number ${Escape(theDossier.gcu_id_number)}, ` +
+			`${theDossier.geometry_hash_list.length} shape(s), ${point}. ` +
+			`Unit IDs: ${theDossier['gcu_id_unit-id_list'].map(Escape).join(', ')}.</p>`,
+		'<section>',
+		'<h2>Shapes</h2>',
+		`<div class="figures">${OutlineSVG(theDossier.shapes)}</div>`,
+		TopographyTable(theDossier.shapes),
+		'</section>',
+		'<section>',
+		'<h2>Climate</h2>',
+		ClimateTable(theDossier.climate),
+		`<div class="figures">${MonthlyCharts(theDossier.climate)}</div>`,
+		'</section>',
+		'<section>',
+		'<h2>Data availability</h2>',
+		AvailabilityTables(theDossier),
+		'</section>',
+		'</body>',
+		'</html>'
+	].join('\n')
+
+} // UnitSheet()
+
+/**
+ * This function will return the SVG outline of the provided shapes.
+ *
+ * Coordinates are projected on the longitude/latitude plane, longitudes are
+ * scaled by the cosine of the mean latitude.
+ *
+ * Parameters:
+ * - theShapes {Object[]}: List of shapes, with `geometry_hash` and `geometry`.
+ *
+ * Returns:
+ * - {String}: The SVG element, or a paragraph if there are no geometries.
+ */
+function OutlineSVG(theShapes)
+{
+	///
+	// Collect rings and points.
+	///
+	const shapes = theShapes
+		.filter( (shape) => shape.geometry !== null && typeof shape.geometry === 'object' )
+		.map( (shape) => ({
+			hash: shape.geometry_hash,
+			polygon: IsPolygon(shape.geometry),
+			rings: GeometryRings(shape.geometry)
+		}))
+	const points = shapes.flatMap( (shape) => shape.rings.flat() )
+	if(points.length === 0) {
+		return '<p>No shape geometries.</p>'
+	}
+
+	///
+	// Projection.
+	///
+	const box = BoundingBox(points)
+	const ratio = Math.cos(((box[1] + box[3]) / 2) * Math.PI / 180)
+	const width = Math.max((box[2] - box[0]) * ratio, 1e-9)
+	const height = Math.max(box[3] - box[1], 1e-9)
+	const scale = (OutlineSize - 20) / Math.max(width, height)
+	const project = (point) => [
+		10 + ((point[0] - box[0]) * ratio * scale),
+		10 + ((box[3] - point[1]) * scale)
+	]
+
+	///
+	// Paths.
+	///
+	const paths = shapes.map( (shape) => {
+		const rings = shape.rings.map( (ring) => {
+			const projected = ring.map(project)
+			if(ring.length === 1) {
+				return `M${Format(projected[0][0] - 3, 1)},${Format(projected[0][1], 1)}h6M${Format(projected[0][0], 1)},${Format(projected[0][1] - 3, 1)}v6`
+			}
+			return 'M' + projected.map( (point) => `${Format(point[0], 1)},${Format(point[1], 1)}` ).join('L')
+		})
+		return `<path d="${rings.join('')}" fill="${(shape.polygon) ? '#9c6' : 'none'}" fill-opacity="0.5" fill-rule="evenodd" stroke="#363" stroke-width="1">` +
+			`<title>${Escape(shape.hash)}</title></path>`
+	})
+
+	return `<svg xmlns="http://www.w3.org/2000/svg" width="${OutlineSize}" height="${OutlineSize}" ` +
+		`viewBox="0 0 ${OutlineSize} ${OutlineSize}">` +
+		`<rect width="${OutlineSize}" height="${OutlineSize}" fill="#fff" stroke="#bbb"/>` +
+		paths.join('') +
+		'</svg>'
+
+} // OutlineSVG()
+
+/**
+ * This function will return the topography table of the provided shapes.
+ *
+ * Parameters:
+ * - theShapes {Object[]}: List of shapes, with `geometry_hash` and `properties`.
+ *
+ * Returns:
+ * - {String}: The HTML table.
+ */
+function TopographyTable(theShapes)
+{
+	const rows = theShapes.map( (shape) => {
+		const topography = (shape.properties && shape.properties.topography) || {}
+		return [ `<code>${Escape(shape.geometry_hash)}</code>` ]
+			.concat(TopographyColumns.map( (column) => Format(topography[column.term], column.digits) ))
+	})
+
+	return Table(
+		[ 'Shape' ].concat(TopographyColumns.map( (column) => column.label )),
+		rows
+	)
+
+} // TopographyTable()
+
+/**
+ * This function will return the climate table of all periods of all
+ * datasets.
+ *
+ * Parameters:
+ * - theClimate {Object}: Aggregated climate by dataset, see UnitClimate().
+ *
+ * Returns:
+ * - {String}: The HTML table.
+ */
+function ClimateTable(theClimate)
+{
+	const rows = []
+	Object.keys(ShapeClimateDatasets).forEach( (dataset) => {
+		const record = theClimate[dataset]
+		if(record === null || record === undefined) {
+			return
+		}
+		ShapeClimateDatasets[dataset].descriptor
+			.filter( (group) => group.annual.some( (term) => term.startsWith('env_climate_') ) )
+			.forEach( (group) => {
+				const values = GroupProperties(ShapeClimateDatasets[dataset].descriptor, group.key, record.properties)
+				rows.push(
+					[ `${Escape(dataset)} ${Escape(group.key)}` ]
+						.concat(ClimateColumns.map( (column) => Format(values[column.term], column.digits) ))
+				)
+			})
+	})
+	if(rows.length === 0) {
+		return '<p>No climate data covers the unit shapes.</p>'
+	}
+
+	return Table(
+		[ 'Period' ].concat(ClimateColumns.map( (column) => column.label )),
+		rows
+	)
+
+} // ClimateTable()
+
+/**
+ * This function will return the monthly climate chart of the baseline
+ * period of each dataset: monthly precipitation is drawn as bars, mean
+ * temperature as a line, at the Walter-Lieth scale of 10°C to 20 mm.
+ *
+ * Parameters:
+ * - theClimate {Object}: Aggregated climate by dataset, see UnitClimate().
+ *
+ * Returns:
+ * - {String}: The SVG charts.
+ */
+function MonthlyCharts(theClimate)
+{
+	const charts = Object.keys(ShapeClimateDatasets).map( (dataset) => {
+		const record = theClimate[dataset]
+		const descriptor = ShapeClimateDatasets[dataset].descriptor
+		const periods = MonthlyPeriods(descriptor)
+		if(record === null || record === undefined || periods.length === 0) {
+			return ''
+		}
+
+		const series = MonthlySeries(descriptor, record.properties, [ periods[0] ])[0]
+		if(!series.tas.every( (item) => typeof item === 'number' ) ||
+		   !series.pr.every( (item) => typeof item === 'number' )) {
+			return ''
+		}
+
+		return MonthlyChart(`${dataset} ${periods[0]}`, series)
+	})
+
+	return charts.join('')
+
+} // MonthlyCharts()
+
+/**
+ * This function will return the SVG chart of the provided monthly series.
+ *
+ * Parameters:
+ * - theTitle {String}: Chart title.
+ * - theSeries {Object}: Monthly series, see MonthlySeries().
+ *
+ * Returns:
+ * - {String}: The SVG element.
+ */
+function MonthlyChart(theTitle, theSeries)
+{
+	///
+	// Scales: precipitation is plotted at twice the temperature scale.
+	///
+	const top = Math.max(10, Math.ceil(Math.max(...theSeries.tas, ...theSeries.pr.map( (item) => item / 2 )) / 10) * 10)
+	const bottom = Math.min(0, Math.floor(Math.min(...theSeries.tas) / 10) * 10)
+	const plot = ChartHeight - (2 * ChartMargin)
+	const step = (ChartWidth - (2 * ChartMargin)) / 12
+	const y = (theTemperature) => ChartMargin + ((top - theTemperature) / (top - bottom) * plot)
+	const x = (theIndex) => ChartMargin + ((theIndex + 0.5) * step)
+
+	///
+	// Elements.
+	///
+	const bars = theSeries.pr.map( (item, index) =>
+		`<rect x="${Format(x(index) - (step * 0.35), 1)}" y="${Format(y(item / 2), 1)}" ` +
+		`width="${Format(step * 0.7, 1)}" height="${Format(y(0) - y(item / 2), 1)}" fill="#69c"/>`
+	)
+	const line = theSeries.tas.map( (item, index) => `${Format(x(index), 1)},${Format(y(item), 1)}` ).join(' ')
+	const ticks = []
+	for(let value = bottom; value <= top; value += 10) {
+		ticks.push(
+			`<line x1="${ChartMargin}" x2="${ChartWidth - ChartMargin}" y1="${Format(y(value), 1)}" y2="${Format(y(value), 1)}" stroke="#ddd"/>` +
+			`<text x="${ChartMargin - 4}" y="${Format(y(value) + 3, 1)}" text-anchor="end" font-size="9" fill="#c33">${value}</text>` +
+			((value >= 0)
+				? `<text x="${ChartWidth - ChartMargin + 4}" y="${Format(y(value) + 3, 1)}" font-size="9" fill="#369">${value * 2}</text>`
+				: '')
+		)
+	}
+	const months = MonthInitials.split('').map( (initial, index) =>
+		`<text x="${Format(x(index), 1)}" y="${ChartHeight - ChartMargin + 14}" text-anchor="middle" font-size="9">${initial}</text>`
+	)
+
+	return `<svg xmlns="http://www.w3.org/2000/svg" width="${ChartWidth}" height="${ChartHeight}" ` +
+		`viewBox="0 0 ${ChartWidth} ${ChartHeight}">` +
+		`<text x="${ChartWidth / 2}" y="16" text-anchor="middle" font-size="11">${Escape(theTitle)}</text>` +
+		`<text x="${ChartMargin - 4}" y="${ChartMargin - 10}" text-anchor="end" font-size="9" fill="#c33">°C</text>` +
+		`<text x="${ChartWidth - ChartMargin + 4}" y="${ChartMargin - 10}" font-size="9" fill="#369">mm</text>` +
+		ticks.join('') +
+		bars.join('') +
+		`<polyline points="${line}" fill="none" stroke="#c33" stroke-width="2"/>` +
+		months.join('') +
+		'</svg>'
+
+} // MonthlyChart()
+
+/**
+ * This function will return the data availability tables of the provided
+ * dossier.
+ *
+ * Parameters:
+ * - theDossier {Object}: Unit dossier, see UnitDossier().
+ *
+ * Returns:
+ * - {String}: The HTML tables.
+ */
+function AvailabilityTables(theDossier)
+{
+	///
+	// Remote sensing.
+	///
+	const spans = theDossier.remote_sensing.flatMap( (shape) =>
+		shape.spans.map( (span) => [
+			`<code>${Escape(shape.geometry_hash)}</code>`,
+			Escape(span.std_date_span.replace('std_date_span_', '')),
+			Escape(span.std_date_start),
+			Escape(span.std_date_end),
+			Format(span.count, 0),
+			Format(span.std_terms.length, 0)
+		])
+	)
+
+	///
+	// Species occurrences.
+	///
+	const occurrences = theDossier.occurrences
+	const species = occurrences.species_list
+
+	const drought = theDossier.drought
+	return [
+		'<h3>Remote sensing</h3>',
+		(spans.length > 0)
+			? Table([ 'Shape', 'Time span', 'Start', 'End', 'Observations', 'Variables' ], spans)
+			: '<p>No remote sensing data.</p>',
+		'<h3>Drought observatory</h3>',
+		(drought !== null)
+			? Table(
+				[ 'Location', 'Start', 'End', 'Observations', 'Variables' ],
+				[ [ 'Unit centroid', Escape(drought.std_date_start), Escape(drought.std_date_end), Format(drought.count, 0), Format(drought.std_terms.length, 0) ] ]
+			)
+			: '<p>No drought observatory data at the unit centroid.</p>',
+		'<h3>Species occurrences</h3>',
+		(occurrences.count > 0)
+			? `<p>${Format(occurrences.count, 0)} occurrence(s) intersecting the unit shapes` +
+				((species.length > 0) ? `: <i>${species.map(Escape).join('</i>, <i>')}</i>.` : '.') +
+				'</p>'
+			: '<p>No species occurrences intersect the unit shapes.</p>'
+	].join('\n')
+
+} // AvailabilityTables()
+
+/**
+ * This function will return the HTML table of the provided cells, cells are
+ * expected to be escaped.
+ *
+ * Parameters:
+ * - theHeader {String[]}: Column labels.
+ * - theRows {Array[]}: List of rows.
+ *
+ * Returns:
+ * - {String}: The HTML table.
+ */
+function Table(theHeader, theRows)
+{
+	return '<table>' +
+		'<tr>' + theHeader.map( (label) => `<th>${Escape(label)}</th>` ).join('') + '</tr>' +
+		theRows.map( (row) =>
+			'<tr>' + row.map( (cell) => `<td>${cell}</td>` ).join('') + '</tr>'
+		).join('') +
+		'</table>'
+
+} // Table()
+
+/**
+ * This function will format the provided number.
+ *
+ * Parameters:
+ * - theValue {Number}: Value, or `null`.
+ * - theDigits {Number}: Number of decimal digits.
+ *
+ * Returns:
+ * - {String}: The formatted number, or a dash if the value is not a number.
+ */
+function Format(theValue, theDigits)
+{
+	return (typeof theValue === 'number' && isFinite(theValue))
+		? theValue.toFixed(theDigits)
+		: '–'
+
+} // Format()
+
+/**
+ * This function will format the provided coordinate as its absolute value
+ * followed by the hemisphere letter.
+ *
+ * Parameters:
+ * - theValue {Number}: Latitude or longitude.
+ * - thePositive {String}: Letter of positive values, `N` or `E`.
+ * - theNegative {String}: Letter of negative values, `S` or `W`.
+ *
+ * Returns:
+ * - {String}: The formatted coordinate.
+ */
+function Coordinate(theValue, thePositive, theNegative)
+{
+	return (typeof theValue === 'number' && isFinite(theValue))
+		? `${Format(Math.abs(theValue), 5)} ${(theValue < 0) ? theNegative : thePositive}`
+		: Format(theValue, 5)
+
+} // Coordinate()
+
+/**
+ * This function will escape the provided text for HTML.
+ *
+ * Parameters:
+ * - theText {String}: Text, or `null`.
+ *
+ * Returns:
+ * - {String}: The escaped text.
+ */
+function Escape(theText)
+{
+	return String((theText === null || theText === undefined) ? '' : theText)
+		.replace(/&/g, '&amp;')
+		.replace(/</g, '&lt;')
+		.replace(/>/g, '&gt;')
+		.replace(/"/g, '&quot;')
+
+} // Escape()
+
+
+module.exports = {
+	UnitSheet
+}
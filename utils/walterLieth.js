@@ -0,0 +1,124 @@
+'use strict'
+
+/**
+ * walterLieth.js
+ *
+ * This script contains the functions used to compute the data of Walter-Lieth
+ * climate diagrams from monthly series, see MonthlySeries().
+ *
+ * In the diagram precipitation is plotted at twice the temperature scale,
+ * 10°C corresponding to 20 mm: months in which the precipitation curve lies
+ * below the temperature curve are *arid*, the others are *humid*; months
+ * exceeding 100 mm are *perhumid*.
+ */
+
+///
+// Perhumid threshold in millimeters.
+///
+const PerhumidThreshold = 100
+
+
+/**
+ * This function will return the Walter-Lieth diagram data of the provided
+ * monthly series.
+ *
+ * Absolute extremes are not featured in the monthly data, so the absolute
+ * minimum and maximum temperatures are `null` and frost months are the
+ * months whose mean daily minimum temperature is below zero.
+ *
+ * Parameters:
+ * - theSeries {Object}: Monthly series, see MonthlySeries().
+ *
+ * Returns:
+ * - {Object}: The diagram data.
+ */
+function WalterLieth(theSeries)
+{
+	const sum = (theList) => theList.reduce( (total, item) => total + item, 0 )
+	const tasmin = theSeries.tasmin.filter( (item) => item !== null )
+	const tasmax = theSeries.tasmax.filter( (item) => item !== null )
+
+	///
+	// Monthly data.
+	///
+	const months = theSeries.tas.map( (temperature, index) => {
+		const precipitation = theSeries.pr[index]
+		return {
+			std_month: index + 1,
+			temperature,
+			precipitation,
+			temperature_min: theSeries.tasmin[index],
+			temperature_max: theSeries.tasmax[index],
+			arid: precipitation < 2 * temperature,
+			perhumid: precipitation > PerhumidThreshold,
+			frost: (theSeries.tasmin[index] !== null) ? theSeries.tasmin[index] < 0 : temperature < 0
+		}
+	})
+
+	return {
+		period: theSeries.period,
+		temperature_mean: sum(theSeries.tas) / 12,
+		precipitation_total: sum(theSeries.pr),
+		coldest_month_min: (tasmin.length > 0) ? Math.min(...tasmin) : null,
+		warmest_month_max: (tasmax.length > 0) ? Math.max(...tasmax) : null,
+		absolute_min: null,
+		absolute_max: null,
+		months,
+		arid_periods: MonthRanges(months.map( (month) => month.arid )),
+		humid_periods: MonthRanges(months.map( (month) => !month.arid )),
+		perhumid_periods: MonthRanges(months.map( (month) => month.perhumid )),
+		frost_months: months.filter( (month) => month.frost ).map( (month) => month.std_month )
+	}
+
+} // WalterLieth()
+
+/**
+ * This function will return the ranges of consecutive months matching the
+ * provided flags, ranges may wrap around the end of the year.
+ *
+ * Parameters:
+ * - theFlags {Boolean[]}: Twelve monthly flags.
+ *
+ * Returns:
+ * - {Object[]}: List of ranges, `from` and `to` months, `1` to `12`, inclusive.
+ */
+function MonthRanges(theFlags)
+{
+	///
+	// Handle all or no months.
+	///
+	if(theFlags.every( (flag) => flag )) {
+		return [ { from: 1, to: 12 } ]
+	}
+	if(!theFlags.some( (flag) => flag )) {
+		return []
+	}
+
+	///
+	// Start after an unflagged month, so that ranges do not get split.
+	///
+	const start = theFlags.indexOf(false) + 1
+	const ranges = []
+	let current = null
+	for(let i = 0; i < 12; i++) {
+		const index = (start + i) % 12
+		if(theFlags[index]) {
+			if(current === null) {
+				current = { from: index + 1, to: index + 1 }
+				ranges.push(current)
+			} else {
+				current.to = index + 1
+			}
+		} else {
+			current = null
+		}
+	}
+
+	return ranges
+
+} // MonthRanges()
+
+
+module.exports = {
+	WalterLieth
+}